@@ -7,11 +7,15 @@ import Login from './pages/Login';
 import Register from './pages/Register';
 import Dashboard from './pages/Dashboard';
 import LeadsList from './pages/LeadsList';
+import LeadBoard from './pages/LeadBoard';
 import LeadDetail from './pages/LeadDetail';
+import ImportLeads from './pages/ImportLeads';
 import FormManagement from './pages/FormManagement';
 import Settings from './pages/Settings';
 import NotFound from './pages/NotFound';
 import Analytics from './pages/Analytics.jsx';
+import Routing from './pages/Routing';
+import WebForms from './pages/WebForms';
 
 // Components
 import Layout from './components/Layout';
@@ -31,10 +35,14 @@ function App() {
         <Route index element={<Navigate to="/dashboard" replace />} />
         <Route path="dashboard" element={<Dashboard />} />
         <Route path="leads" element={<LeadsList />} />
+        <Route path="leads/board" element={<LeadBoard />} />
+        <Route path="leads/import" element={<ImportLeads />} />
         <Route path="leads/:id" element={<LeadDetail />} />
         <Route path="forms" element={<FormManagement />} />
+        <Route path="web-forms" element={<WebForms />} />
         <Route path="settings" element={<Settings />} />
         <Route path="analytics" element={<Analytics />} />
+        <Route path="routing" element={<Routing />} />
       </Route>
       
       {/* 404 route */}
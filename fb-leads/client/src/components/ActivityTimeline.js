@@ -0,0 +1,221 @@
+import React, { useState, useEffect } from 'react';
+import { toast } from 'react-toastify';
+import leadService from '../services/leadService';
+import { useAuth } from '../context/AuthContext';
+import {
+  ArchiveBoxIcon,
+  ArchiveBoxXMarkIcon,
+  ArrowPathIcon,
+  ArrowUpTrayIcon,
+  ArrowsPointingInIcon,
+  ArrowUturnLeftIcon,
+  ChatBubbleLeftEllipsisIcon,
+  EnvelopeIcon,
+  PhoneIcon,
+  PlusCircleIcon,
+  TagIcon,
+  UserIcon
+} from '@heroicons/react/24/outline';
+
+const ACTIVITY_ICONS = {
+  status_change: TagIcon,
+  note: ChatBubbleLeftEllipsisIcon,
+  call: PhoneIcon,
+  email: EnvelopeIcon,
+  assignment: UserIcon,
+  sync: ArrowPathIcon,
+  merge: ArrowsPointingInIcon,
+  unmerge: ArrowUturnLeftIcon,
+  archive: ArchiveBoxIcon,
+  unarchive: ArchiveBoxXMarkIcon,
+  import: ArrowUpTrayIcon,
+  created: PlusCircleIcon
+};
+
+const LOG_OPTIONS = [
+  { value: 'note', label: 'Note' },
+  { value: 'call', label: 'Call' },
+  { value: 'email', label: 'Email' }
+];
+
+// A lead's history, oldest first, with a box to log notes, calls and emails.
+// Bump refreshKey to reload it after changing the lead elsewhere on the page.
+const ActivityTimeline = ({ leadId, refreshKey }) => {
+  const { can } = useAuth();
+  const [activities, setActivities] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [type, setType] = useState('note');
+  const [body, setBody] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    const fetchActivities = async () => {
+      try {
+        const response = await leadService.getActivities(leadId);
+        if (response.success) {
+          setActivities(response.data);
+        }
+      } catch (error) {
+        console.error('Error fetching activities:', error);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchActivities();
+  }, [leadId, refreshKey]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    try {
+      setSaving(true);
+      const response = await leadService.addActivity(leadId, { type, body });
+      if (response.success) {
+        setActivities([...activities, response.data]);
+        setBody('');
+      }
+    } catch (error) {
+      console.error('Error adding activity:', error);
+      toast.error(error.response?.data?.error || 'Failed to add activity');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const formatDate = (dateString) => {
+    const options = { year: 'numeric', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' };
+    return new Date(dateString).toLocaleDateString(undefined, options);
+  };
+
+  const describe = (activity) => {
+    const author = activity.author?.name || 'System';
+    const { data = {} } = activity;
+
+    switch (activity.type) {
+      case 'status_change':
+        return data.toPipeline
+          ? `${author} moved the lead from ${data.fromPipeline} to ${data.toPipeline} (${data.toName || data.to})`
+          : `${author} changed the status from ${data.fromName || data.from} to ${data.toName || data.to}`;
+      case 'assignment':
+        if (!data.to) {
+          return `${author} unassigned the lead`;
+        }
+        return activity.author
+          ? `${author} assigned the lead to ${data.toName || 'a former member'}`
+          : `Routed to ${data.toName || 'a former member'}`;
+      case 'sync':
+        return `Lead received from Facebook${data.formName ? ` via ${data.formName}` : ''}`;
+      case 'import':
+        return data.updated
+          ? `${author} updated the lead from ${data.fileName}`
+          : `${author} imported the lead from ${data.fileName}`;
+      case 'created':
+        if (data.source === 'api') {
+          return `Lead received from ${data.client || 'the API'}${activity.author ? ` with ${author}'s key` : ''}`;
+        }
+        if (data.source === 'website_form') {
+          return `Lead submitted on the website${data.formName ? ` via ${data.formName}` : ''}`;
+        }
+        return `${author} added the lead`;
+      case 'merge':
+        return `${author} merged ${data.name}${data.formName ? ` (${data.formName})` : ''} into this lead`;
+      case 'unmerge':
+        return `${author} unmerged this lead and ${data.name}`;
+      case 'archive':
+        return `${author} archived the lead`;
+      case 'unarchive':
+        return `${author} restored the lead from the archive`;
+      case 'call':
+        return `${author} logged a call`;
+      case 'email':
+        return `${author} logged an email`;
+      default:
+        return data.legacy ? 'Notes' : `${author} added a note`;
+    }
+  };
+
+  return (
+    <div className="bg-white shadow overflow-hidden sm:rounded-lg">
+      <div className="px-4 py-5 sm:px-6">
+        <h2 className="text-lg leading-6 font-medium text-gray-900">
+          Activity
+        </h2>
+      </div>
+      <div className="border-t border-gray-200 px-4 py-5 sm:px-6">
+        {loading ? (
+          <div className="flex justify-center">
+            <div className="animate-spin rounded-full h-8 w-8 border-t-2 border-b-2 border-primary-600"></div>
+          </div>
+        ) : activities.length > 0 ? (
+          <ul className="space-y-4">
+            {activities.map(activity => {
+              const Icon = ACTIVITY_ICONS[activity.type] || ChatBubbleLeftEllipsisIcon;
+
+              return (
+                <li key={activity._id} className="flex space-x-3">
+                  <span className="h-8 w-8 rounded-full bg-gray-100 flex items-center justify-center flex-shrink-0">
+                    <Icon className="h-4 w-4 text-gray-500" />
+                  </span>
+                  <div className="min-w-0 flex-1">
+                    <p className="text-sm text-gray-900">{describe(activity)}</p>
+                    <p className="text-xs text-gray-500">
+                      {formatDate(activity.createdAt)}
+                      {activity.mergedFrom && ` · from ${activity.mergedFrom.fullName || activity.mergedFrom.leadId}`}
+                    </p>
+                    {activity.body && (
+                      <p className="mt-1 text-sm text-gray-700 whitespace-pre-line border border-gray-200 rounded-md p-2 bg-gray-50">
+                        {activity.body}
+                      </p>
+                    )}
+                  </div>
+                </li>
+              );
+            })}
+          </ul>
+        ) : (
+          <p className="text-sm text-gray-500">No activity yet.</p>
+        )}
+
+        {can('leads:update') && (
+          <form onSubmit={handleSubmit} className="mt-6 space-y-2">
+            <div className="flex space-x-2">
+              {LOG_OPTIONS.map(option => (
+                <button
+                  key={option.value}
+                  type="button"
+                  onClick={() => setType(option.value)}
+                  className={`px-3 py-1 text-sm rounded-md border ${
+                    type === option.value
+                      ? 'bg-primary-50 border-primary-500 text-primary-700'
+                      : 'border-gray-300 text-gray-700 hover:bg-gray-50'
+                  }`}
+                >
+                  {option.label}
+                </button>
+              ))}
+            </div>
+            <textarea
+              rows={3}
+              value={body}
+              onChange={(e) => setBody(e.target.value)}
+              className="shadow-sm focus:ring-primary-500 focus:border-primary-500 block w-full sm:text-sm border-gray-300 rounded-md"
+              placeholder={type === 'note' ? 'Add a note about this lead...' : `What happened on the ${type}?`}
+            />
+            <button
+              type="submit"
+              disabled={saving || !body.trim()}
+              className={`inline-flex items-center px-3 py-2 border border-transparent text-sm leading-4 font-medium rounded-md text-white bg-primary-600 hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 ${
+                saving || !body.trim() ? 'opacity-70 cursor-not-allowed' : ''
+              }`}
+            >
+              {saving ? 'Saving...' : `Log ${LOG_OPTIONS.find(option => option.value === type).label}`}
+            </button>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ActivityTimeline;
@@ -0,0 +1,186 @@
+import React, { useState, useEffect } from 'react';
+import { toast } from 'react-toastify';
+import leadService from '../services/leadService';
+import organizationService from '../services/organizationService';
+import { useAuth } from '../context/AuthContext';
+import { XMarkIcon } from '@heroicons/react/24/outline';
+
+const EMPTY_LEAD = {
+  firstName: '',
+  lastName: '',
+  email: '',
+  phone: '',
+  city: '',
+  pipelineId: '',
+  status: '',
+  assignedTo: '',
+  tags: ''
+};
+
+const inputClassName = 'mt-1 focus:ring-primary-500 focus:border-primary-500 block w-full sm:text-sm border-gray-300 rounded-md';
+
+// A form to add a lead by hand, e.g. from a phone call. It goes into the
+// picked pipeline and stage, the default pipeline's first stage otherwise.
+const AddLeadModal = ({ pipelines = [], onClose, onCreated }) => {
+  const { can } = useAuth();
+  const [lead, setLead] = useState(EMPTY_LEAD);
+  const [members, setMembers] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const canAssign = can('leads:assign');
+
+  const pipeline = pipelines.find(p => p._id === lead.pipelineId)
+    || pipelines.find(p => p.isDefault)
+    || null;
+
+  // Fetch members to assign the lead to
+  useEffect(() => {
+    if (!canAssign) return;
+
+    const fetchMembers = async () => {
+      try {
+        const response = await organizationService.getOrganization();
+        if (response.success) {
+          setMembers(response.data.members);
+        }
+      } catch (error) {
+        console.error('Error fetching members:', error);
+      }
+    };
+
+    fetchMembers();
+  }, [canAssign]);
+
+  const getErrorMessage = (error, fallback) => {
+    return error.response?.data?.error
+      || error.response?.data?.errors?.[0]?.msg
+      || fallback;
+  };
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+
+    // A stage only makes sense within its pipeline
+    setLead(prev => ({ ...prev, [name]: value, ...(name === 'pipelineId' ? { status: '' } : {}) }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    try {
+      setSaving(true);
+      const { tags, ...fields } = lead;
+      const body = Object.fromEntries(Object.entries(fields).filter(([, value]) => value.trim()));
+      body.tags = tags.split(',').map(tag => tag.trim()).filter(Boolean);
+
+      const response = await leadService.createLead(body);
+
+      if (response.success) {
+        toast.success('Lead added');
+        onCreated(response.data);
+      }
+    } catch (error) {
+      console.error('Error adding lead:', error);
+      toast.error(getErrorMessage(error, 'Failed to add the lead'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-40 flex items-center justify-center p-4">
+      <div className="fixed inset-0 bg-gray-600 bg-opacity-75" onClick={onClose}></div>
+
+      <form onSubmit={handleSubmit} className="relative bg-white rounded-lg shadow-xl w-full max-w-lg">
+        <div className="flex items-center justify-between px-6 py-4 border-b border-gray-200">
+          <h2 className="text-lg font-medium text-gray-900">Add lead</h2>
+          <button type="button" onClick={onClose} className="text-gray-500 hover:text-gray-700">
+            <XMarkIcon className="w-6 h-6" />
+          </button>
+        </div>
+
+        <div className="px-6 py-5 grid grid-cols-1 gap-4 sm:grid-cols-2">
+          <div>
+            <label htmlFor="firstName" className="block text-sm font-medium text-gray-700">First name</label>
+            <input id="firstName" name="firstName" value={lead.firstName} onChange={handleChange} className={inputClassName} />
+          </div>
+          <div>
+            <label htmlFor="lastName" className="block text-sm font-medium text-gray-700">Last name</label>
+            <input id="lastName" name="lastName" value={lead.lastName} onChange={handleChange} className={inputClassName} />
+          </div>
+          <div>
+            <label htmlFor="email" className="block text-sm font-medium text-gray-700">Email</label>
+            <input id="email" name="email" type="email" value={lead.email} onChange={handleChange} className={inputClassName} />
+          </div>
+          <div>
+            <label htmlFor="phone" className="block text-sm font-medium text-gray-700">Phone</label>
+            <input id="phone" name="phone" type="tel" value={lead.phone} onChange={handleChange} className={inputClassName} />
+          </div>
+          <div className="sm:col-span-2">
+            <label htmlFor="city" className="block text-sm font-medium text-gray-700">City</label>
+            <input id="city" name="city" value={lead.city} onChange={handleChange} className={inputClassName} />
+          </div>
+
+          {pipelines.length > 1 && (
+          <div>
+            <label htmlFor="pipelineId" className="block text-sm font-medium text-gray-700">Pipeline</label>
+            <select id="pipelineId" name="pipelineId" value={lead.pipelineId} onChange={handleChange} className={inputClassName}>
+              <option value="">Default pipeline</option>
+              {pipelines.map(p => (
+                <option key={p._id} value={p._id}>{p.name}</option>
+              ))}
+            </select>
+          </div>
+          )}
+          {pipeline && (
+          <div>
+            <label htmlFor="status" className="block text-sm font-medium text-gray-700">Stage</label>
+            <select id="status" name="status" value={lead.status} onChange={handleChange} className={inputClassName}>
+              <option value="">{pipeline.stages[0]?.name}</option>
+              {pipeline.stages.slice(1).map(stage => (
+                <option key={stage.key} value={stage.key}>{stage.name}</option>
+              ))}
+            </select>
+          </div>
+          )}
+
+          {canAssign && (
+          <div>
+            <label htmlFor="assignedTo" className="block text-sm font-medium text-gray-700">Owner</label>
+            <select id="assignedTo" name="assignedTo" value={lead.assignedTo} onChange={handleChange} className={inputClassName}>
+              <option value="">Route automatically</option>
+              {members.map(member => (
+                <option key={member.userId} value={member.userId}>
+                  {member.name} ({member.role})
+                </option>
+              ))}
+            </select>
+          </div>
+          )}
+          <div className={canAssign ? '' : 'sm:col-span-2'}>
+            <label htmlFor="tags" className="block text-sm font-medium text-gray-700">Tags</label>
+            <input id="tags" name="tags" placeholder="VIP, Callback" value={lead.tags} onChange={handleChange} className={inputClassName} />
+          </div>
+        </div>
+
+        <div className="flex justify-end space-x-3 px-6 py-4 border-t border-gray-200">
+          <button
+            type="button"
+            onClick={onClose}
+            className="px-4 py-2 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50"
+          >
+            Cancel
+          </button>
+          <button
+            type="submit"
+            disabled={saving || ![lead.firstName, lead.lastName, lead.email, lead.phone].some(value => value.trim())}
+            className="px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-primary-600 hover:bg-primary-700 disabled:opacity-50"
+          >
+            {saving ? 'Adding...' : 'Add lead'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default AddLeadModal;
@@ -0,0 +1,230 @@
+import React, { useState, useEffect } from 'react';
+import { toast } from 'react-toastify';
+import leadService from '../services/leadService';
+import organizationService from '../services/organizationService';
+import { useAuth } from '../context/AuthContext';
+import {
+  ArchiveBoxIcon,
+  ArchiveBoxXMarkIcon,
+  ArrowDownTrayIcon,
+  TrashIcon,
+  XMarkIcon
+} from '@heroicons/react/24/outline';
+
+// What each action did, for the summary toast
+const ACTION_DONE = {
+  status: 'updated',
+  assign: 'assigned',
+  tag: 'tagged',
+  archive: 'archived',
+  unarchive: 'restored',
+  delete: 'deleted'
+};
+
+const countLeads = (count) => `${count} lead${count === 1 ? '' : 's'}`;
+
+const buttonClassName = 'inline-flex items-center px-3 py-2 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 disabled:opacity-50';
+const selectClassName = 'block w-44 pl-3 pr-10 py-2 text-base border-gray-300 focus:outline-none focus:ring-primary-500 focus:border-primary-500 sm:text-sm rounded-md';
+
+// The leads a bulk action couldn't apply to, with why
+export const BulkReport = ({ results, onDismiss }) => (
+  <div className="mt-4 rounded-md bg-yellow-50 p-4">
+    <div className="flex items-start justify-between">
+      <h3 className="text-sm font-medium text-yellow-800">
+        {countLeads(results.length)} couldn't be changed
+      </h3>
+      <button type="button" onClick={onDismiss} className="text-yellow-700 hover:text-yellow-900">
+        <XMarkIcon className="h-5 w-5" />
+        <span className="sr-only">Dismiss</span>
+      </button>
+    </div>
+    <ul className="mt-2 space-y-1 text-sm text-yellow-700">
+      {results.map(result => (
+        <li key={result.leadId}>
+          <span className="font-medium">{result.name || result.leadId}</span>: {result.error}
+        </li>
+      ))}
+    </ul>
+  </div>
+);
+
+// Action bar for the leads selected in the list. `target` is what the server
+// acts on, { leadIds } or { filters }, and `count` how many leads that is.
+// `onDone` gets the results of the leads the action couldn't change.
+const BulkActions = ({ target, count, statusOptions, archived, onDone, onClear }) => {
+  const { can } = useAuth();
+  const [members, setMembers] = useState([]);
+  const [tags, setTags] = useState('');
+  const [working, setWorking] = useState(false);
+  const canAssign = can('leads:assign');
+
+  // Fetch members to assign the leads to
+  useEffect(() => {
+    if (!canAssign) return;
+
+    const fetchMembers = async () => {
+      try {
+        const response = await organizationService.getOrganization();
+        if (response.success) {
+          setMembers(response.data.members);
+        }
+      } catch (error) {
+        console.error('Error fetching members:', error);
+      }
+    };
+
+    fetchMembers();
+  }, [canAssign]);
+
+  const getErrorMessage = (error, fallback) => {
+    return error.response?.data?.error
+      || error.response?.data?.errors?.[0]?.msg
+      || fallback;
+  };
+
+  const run = async (action, params = {}) => {
+    try {
+      setWorking(true);
+      const response = await leadService.bulkLeads({ ...target, ...params, action });
+
+      if (response.success) {
+        const { succeeded, failed, results } = response.data;
+
+        if (failed > 0) {
+          toast.warning(`${countLeads(succeeded)} ${ACTION_DONE[action]}, ${failed} failed`);
+        } else {
+          toast.success(`${countLeads(succeeded)} ${ACTION_DONE[action]}`);
+        }
+
+        onDone(results.filter(result => !result.success));
+      }
+    } catch (error) {
+      console.error(`Error running bulk ${action}:`, error);
+      toast.error(getErrorMessage(error, 'Failed to apply the action'));
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleTags = (e) => {
+    e.preventDefault();
+
+    const list = tags.split(',').map(tag => tag.trim()).filter(Boolean);
+    if (list.length > 0) {
+      run('tag', { tags: list });
+      setTags('');
+    }
+  };
+
+  const handleExport = async () => {
+    try {
+      setWorking(true);
+      toast.info('Preparing CSV export...');
+      await leadService.bulkExport(target);
+    } catch (error) {
+      toast.error('Failed to export leads');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleDelete = () => {
+    if (window.confirm(`Delete ${countLeads(count)} with their activity and tasks? This can't be undone.`)) {
+      run('delete');
+    }
+  };
+
+  return (
+    <div className="mt-4 flex flex-wrap items-center gap-3 rounded-md bg-primary-50 px-4 py-3">
+      <span className="text-sm font-medium text-primary-800">{countLeads(count)} selected</span>
+
+      {can('leads:update') && (
+        <select
+          value=""
+          onChange={(e) => e.target.value && run('status', { status: e.target.value })}
+          disabled={working}
+          aria-label="Change status"
+          className={selectClassName}
+        >
+          <option value="">Change status...</option>
+          {statusOptions.map(stage => (
+            <option key={stage.key} value={stage.key}>{stage.name}</option>
+          ))}
+        </select>
+      )}
+
+      {canAssign && (
+        <select
+          value=""
+          onChange={(e) => e.target.value && run('assign', { userId: e.target.value === 'none' ? null : e.target.value })}
+          disabled={working}
+          aria-label="Assign to"
+          className={selectClassName}
+        >
+          <option value="">Assign to...</option>
+          <option value="none">Unassigned</option>
+          {members.map(member => (
+            <option key={member.userId} value={member.userId}>
+              {member.name} ({member.role})
+            </option>
+          ))}
+        </select>
+      )}
+
+      {can('leads:update') && (
+        <form onSubmit={handleTags} className="flex items-center gap-2">
+          <input
+            type="text"
+            value={tags}
+            onChange={(e) => setTags(e.target.value)}
+            placeholder="Tags, comma separated"
+            aria-label="Tags to add"
+            className="focus:ring-primary-500 focus:border-primary-500 block w-48 shadow-sm sm:text-sm border-gray-300 rounded-md"
+          />
+          <button type="submit" disabled={working || !tags.trim()} className={buttonClassName}>
+            Add tags
+          </button>
+        </form>
+      )}
+
+      {can('leads:export') && (
+        <button type="button" onClick={handleExport} disabled={working} className={buttonClassName}>
+          <ArrowDownTrayIcon className="-ml-1 mr-2 h-5 w-5 text-gray-500" />
+          Export
+        </button>
+      )}
+
+      {can('leads:delete') && (
+        archived ? (
+          <button type="button" onClick={() => run('unarchive')} disabled={working} className={buttonClassName}>
+            <ArchiveBoxXMarkIcon className="-ml-1 mr-2 h-5 w-5 text-gray-500" />
+            Restore
+          </button>
+        ) : (
+          <button type="button" onClick={() => run('archive')} disabled={working} className={buttonClassName}>
+            <ArchiveBoxIcon className="-ml-1 mr-2 h-5 w-5 text-gray-500" />
+            Archive
+          </button>
+        )
+      )}
+
+      {can('leads:delete') && (
+        <button
+          type="button"
+          onClick={handleDelete}
+          disabled={working}
+          className="inline-flex items-center px-3 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-red-600 hover:bg-red-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-red-500 disabled:opacity-50"
+        >
+          <TrashIcon className="-ml-1 mr-2 h-5 w-5" />
+          Delete
+        </button>
+      )}
+
+      <button type="button" onClick={onClear} className="text-sm text-gray-500 hover:text-gray-700">
+        Clear selection
+      </button>
+    </div>
+  );
+};
+
+export default BulkActions;
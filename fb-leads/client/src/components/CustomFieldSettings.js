@@ -0,0 +1,262 @@
+import React, { useState, useEffect } from 'react';
+import { toast } from 'react-toastify';
+import customFieldService from '../services/customFieldService';
+import {
+  ArrowDownIcon,
+  ArrowUpIcon,
+  PencilIcon,
+  PlusIcon,
+  TrashIcon
+} from '@heroicons/react/24/outline';
+
+export const FIELD_TYPE_LABELS = {
+  text: 'Text',
+  number: 'Number',
+  date: 'Date',
+  select: 'Select',
+  multi_select: 'Multi-select',
+  boolean: 'Yes / No'
+};
+
+const hasOptions = (type) => type === 'select' || type === 'multi_select';
+
+const newField = { name: '', type: 'text', options: '' };
+
+// Custom lead fields, shown on the Settings page to members who can manage
+// them. A field's type can't change once created, so stored values keep
+// matching it.
+const CustomFieldSettings = () => {
+  const [fields, setFields] = useState([]);
+  const [types, setTypes] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [editing, setEditing] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const fetchFields = async () => {
+    try {
+      const response = await customFieldService.getCustomFields();
+      if (response.success) {
+        setFields(response.data);
+        setTypes(response.types);
+      }
+    } catch (error) {
+      console.error('Error fetching custom fields:', error);
+      toast.error('Failed to load custom fields');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchFields();
+  }, []);
+
+  const getErrorMessage = (error, fallback) => {
+    return error.response?.data?.error
+      || error.response?.data?.errors?.[0]?.msg
+      || fallback;
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+
+    try {
+      setSaving(true);
+      const data = { name: editing.name };
+      if (hasOptions(editing.type)) {
+        data.options = editing.options.split(',').map(option => option.trim()).filter(Boolean);
+      }
+
+      const response = editing._id
+        ? await customFieldService.updateCustomField(editing._id, data)
+        : await customFieldService.createCustomField({ ...data, type: editing.type });
+
+      if (response.success) {
+        toast.success(editing._id ? 'Custom field updated' : 'Custom field created');
+        setEditing(null);
+        fetchFields();
+      }
+    } catch (error) {
+      console.error('Error saving custom field:', error);
+      toast.error(getErrorMessage(error, 'Failed to save custom field'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Swap a field's position with its neighbour
+  const handleMove = async (index, offset) => {
+    const moved = [...fields];
+    [moved[index], moved[index + offset]] = [moved[index + offset], moved[index]];
+    setFields(moved);
+
+    try {
+      await Promise.all(moved.map((field, order) => (
+        field.order === order ? null : customFieldService.updateCustomField(field._id, { order })
+      )));
+      fetchFields();
+    } catch (error) {
+      console.error('Error reordering custom fields:', error);
+      toast.error(getErrorMessage(error, 'Failed to reorder custom fields'));
+      fetchFields();
+    }
+  };
+
+  const handleDelete = async (field) => {
+    if (!window.confirm(`Delete ${field.name}? Its values are removed from every lead.`)) {
+      return;
+    }
+
+    try {
+      await customFieldService.deleteCustomField(field._id);
+      toast.success('Custom field deleted');
+      setFields(fields.filter(f => f._id !== field._id));
+    } catch (error) {
+      console.error('Error deleting custom field:', error);
+      toast.error(getErrorMessage(error, 'Failed to delete custom field'));
+    }
+  };
+
+  return (
+    <div className="mt-8 bg-white shadow px-4 py-5 sm:rounded-lg sm:p-6">
+      <div className="md:grid md:grid-cols-3 md:gap-6">
+        <div className="md:col-span-1">
+          <h3 className="text-lg font-medium leading-6 text-gray-900">Custom Fields</h3>
+          <p className="mt-1 text-sm text-gray-500">
+            Extra details to keep on every lead. Map form questions to them, filter leads by them
+            and find them as columns in exports.
+          </p>
+        </div>
+        <div className="mt-5 md:mt-0 md:col-span-2">
+          {loading ? (
+            <div className="flex justify-center py-4">
+              <div className="animate-spin rounded-full h-8 w-8 border-t-2 border-b-2 border-primary-600"></div>
+            </div>
+          ) : editing ? (
+            <form onSubmit={handleSave} className="space-y-4">
+              <div>
+                <label htmlFor="customFieldName" className="block text-sm font-medium text-gray-700">Name</label>
+                <input
+                  type="text"
+                  id="customFieldName"
+                  value={editing.name}
+                  onChange={(e) => setEditing({ ...editing, name: e.target.value })}
+                  className="mt-1 focus:ring-primary-500 focus:border-primary-500 block w-full shadow-sm sm:text-sm border-gray-300 rounded-md"
+                  placeholder="e.g. Budget"
+                  required
+                />
+              </div>
+
+              <div>
+                <label htmlFor="customFieldType" className="block text-sm font-medium text-gray-700">Type</label>
+                <select
+                  id="customFieldType"
+                  value={editing.type}
+                  onChange={(e) => setEditing({ ...editing, type: e.target.value })}
+                  disabled={Boolean(editing._id)}
+                  className="mt-1 block w-full pl-3 pr-10 py-2 text-base border-gray-300 focus:outline-none focus:ring-primary-500 focus:border-primary-500 sm:text-sm rounded-md disabled:bg-gray-100"
+                >
+                  {types.map(type => (
+                    <option key={type} value={type}>{FIELD_TYPE_LABELS[type] || type}</option>
+                  ))}
+                </select>
+              </div>
+
+              {hasOptions(editing.type) && (
+                <div>
+                  <label htmlFor="customFieldOptions" className="block text-sm font-medium text-gray-700">Options</label>
+                  <input
+                    type="text"
+                    id="customFieldOptions"
+                    value={editing.options}
+                    onChange={(e) => setEditing({ ...editing, options: e.target.value })}
+                    className="mt-1 focus:ring-primary-500 focus:border-primary-500 block w-full shadow-sm sm:text-sm border-gray-300 rounded-md"
+                    placeholder="e.g. 1 bedroom, 2 bedrooms, 3+ bedrooms"
+                    required
+                  />
+                  <p className="mt-1 text-xs text-gray-500">Separate options with commas.</p>
+                </div>
+              )}
+
+              <div className="flex space-x-2">
+                <button
+                  type="submit"
+                  disabled={saving}
+                  className={`inline-flex justify-center py-2 px-4 border border-transparent shadow-sm text-sm font-medium rounded-md text-white bg-primary-600 hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 ${
+                    saving ? 'opacity-70 cursor-not-allowed' : ''
+                  }`}
+                >
+                  {saving ? 'Saving...' : 'Save Field'}
+                </button>
+                <button
+                  type="button"
+                  onClick={() => setEditing(null)}
+                  className="inline-flex justify-center py-2 px-4 border border-gray-300 shadow-sm text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50"
+                >
+                  Cancel
+                </button>
+              </div>
+            </form>
+          ) : (
+            <>
+              {fields.length > 0 ? (
+                <ul className="divide-y divide-gray-200 border border-gray-200 rounded-md">
+                  {fields.map((field, index) => (
+                    <li key={field._id} className="px-4 py-3 flex items-center justify-between">
+                      <div>
+                        <p className="text-sm font-medium text-gray-900">{field.name}</p>
+                        <p className="text-xs text-gray-500">
+                          {FIELD_TYPE_LABELS[field.type] || field.type}
+                          {field.options.length > 0 && ` · ${field.options.join(', ')}`}
+                        </p>
+                      </div>
+                      <div className="flex items-center space-x-3">
+                        <button
+                          onClick={() => handleMove(index, -1)}
+                          disabled={index === 0}
+                          className="text-gray-400 hover:text-gray-600 disabled:opacity-30"
+                        >
+                          <ArrowUpIcon className="h-4 w-4" />
+                        </button>
+                        <button
+                          onClick={() => handleMove(index, 1)}
+                          disabled={index === fields.length - 1}
+                          className="text-gray-400 hover:text-gray-600 disabled:opacity-30"
+                        >
+                          <ArrowDownIcon className="h-4 w-4" />
+                        </button>
+                        <button
+                          onClick={() => setEditing({ ...field, options: field.options.join(', ') })}
+                          className="text-primary-600 hover:text-primary-900"
+                        >
+                          <PencilIcon className="h-5 w-5" />
+                        </button>
+                        <button
+                          onClick={() => handleDelete(field)}
+                          className="text-red-600 hover:text-red-900"
+                        >
+                          <TrashIcon className="h-5 w-5" />
+                        </button>
+                      </div>
+                    </li>
+                  ))}
+                </ul>
+              ) : (
+                <p className="text-sm text-gray-500">No custom fields yet.</p>
+              )}
+              <button
+                onClick={() => setEditing({ ...newField })}
+                className="mt-4 inline-flex items-center px-3 py-2 border border-transparent text-sm leading-4 font-medium rounded-md text-white bg-primary-600 hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500"
+              >
+                <PlusIcon className="-ml-0.5 mr-2 h-4 w-4" />
+                New Field
+              </button>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CustomFieldSettings;
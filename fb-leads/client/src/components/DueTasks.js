@@ -0,0 +1,119 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import taskService from '../services/taskService';
+import { useAuth } from '../context/AuthContext';
+import { getTaskIcon, formatDueDate } from './TaskList';
+
+// The signed-in member's open tasks that are overdue or due by the end of today
+const DueTasks = () => {
+  const { can } = useAuth();
+  const [tasks, setTasks] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    const fetchTasks = async () => {
+      try {
+        const endOfToday = new Date();
+        endOfToday.setHours(23, 59, 59, 999);
+
+        const response = await taskService.getTasks({
+          assignee: 'me',
+          status: 'open',
+          dueBefore: endOfToday.toISOString()
+        });
+
+        if (response.success) {
+          setTasks(response.data);
+        }
+      } catch (error) {
+        console.error('Error fetching tasks:', error);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchTasks();
+  }, []);
+
+  const handleComplete = async (task) => {
+    try {
+      const response = await taskService.updateTask(task._id, { completed: true });
+      if (response.success) {
+        setTasks(prev => prev.filter(t => t._id !== task._id));
+        toast.success('Task completed');
+      }
+    } catch (error) {
+      console.error('Error completing task:', error);
+      toast.error('Failed to complete task');
+    }
+  };
+
+  const now = new Date();
+  const groups = [
+    { title: 'Overdue', tasks: tasks.filter(task => new Date(task.dueAt) < now), color: 'text-red-600' },
+    { title: 'Due today', tasks: tasks.filter(task => new Date(task.dueAt) >= now), color: 'text-gray-900' }
+  ];
+
+  return (
+    <div className="mt-8">
+      <h2 className="text-lg font-medium text-gray-900">My Tasks</h2>
+
+      <div className="mt-4 bg-white shadow overflow-hidden sm:rounded-md">
+        {loading ? (
+          <div className="p-4 flex justify-center">
+            <div className="animate-spin rounded-full h-8 w-8 border-t-2 border-b-2 border-primary-600"></div>
+          </div>
+        ) : tasks.length > 0 ? (
+          <div className="divide-y divide-gray-200">
+            {groups.filter(group => group.tasks.length > 0).map(group => (
+              <div key={group.title} className="px-4 py-4 sm:px-6">
+                <h3 className={`text-sm font-medium ${group.color}`}>
+                  {group.title} ({group.tasks.length})
+                </h3>
+                <ul className="mt-2 space-y-2">
+                  {group.tasks.map(task => {
+                    const Icon = getTaskIcon(task.type);
+
+                    return (
+                      <li key={task._id} className="flex items-center space-x-3">
+                        <input
+                          type="checkbox"
+                          checked={false}
+                          onChange={() => handleComplete(task)}
+                          disabled={!can('leads:update')}
+                          className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300 rounded"
+                        />
+                        <Icon className="h-5 w-5 text-gray-400 flex-shrink-0" />
+                        <div className="min-w-0 flex-1">
+                          <p className="text-sm text-gray-900">{task.title}</p>
+                          <p className="text-xs text-gray-500">
+                            {formatDueDate(task.dueAt)}
+                            {task.lead && (
+                              <>
+                                {' · '}
+                                <Link to={`/leads/${task.lead._id}`} className="text-primary-600 hover:text-primary-500">
+                                  {task.lead.fullName || task.lead.leadId}
+                                </Link>
+                              </>
+                            )}
+                          </p>
+                        </div>
+                      </li>
+                    );
+                  })}
+                </ul>
+              </div>
+            ))}
+          </div>
+        ) : (
+          <div className="p-4 text-center text-gray-500">
+            Nothing due today.
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default DueTasks;
@@ -0,0 +1,159 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import leadService from '../services/leadService';
+import { useAuth } from '../context/AuthContext';
+import { describeSource } from './LeadSource';
+import { ArrowsPointingInIcon, ArrowUturnLeftIcon } from '@heroicons/react/24/outline';
+
+const formatDate = (dateString) => {
+  const options = { year: 'numeric', month: 'short', day: 'numeric' };
+  return new Date(dateString).toLocaleDateString(undefined, options);
+};
+
+// One of the person's other leads, with the action that applies to it
+const RelatedLead = ({ lead, action }) => (
+  <li className="py-3 flex items-center justify-between">
+    <div className="min-w-0">
+      <Link to={`/leads/${lead._id}`} className="text-sm font-medium text-primary-600 hover:text-primary-900">
+        {lead.fullName || lead.leadId}
+      </Link>
+      <p className="text-xs text-gray-500 truncate">
+        {describeSource(lead)} · {formatDate(lead.createdTime)}
+        {lead.email && ` · ${lead.email}`}
+        {(lead.phoneE164 || lead.phone) && ` · ${lead.phoneE164 || lead.phone}`}
+      </p>
+    </div>
+    {action}
+  </li>
+);
+
+// Other submissions by the same person, matched by email or phone, and the
+// leads merged into this one. Merging moves a lead's notes and activities
+// onto this one; onChange runs after a merge or unmerge.
+const DuplicateLeads = ({ leadId, onChange }) => {
+  const { can } = useAuth();
+  const [duplicates, setDuplicates] = useState(null);
+  const [working, setWorking] = useState(null);
+  const canMerge = can('leads:merge');
+
+  useEffect(() => {
+    const fetchDuplicates = async () => {
+      try {
+        const response = await leadService.getDuplicates(leadId);
+        if (response.success) {
+          setDuplicates(response.data);
+        }
+      } catch (error) {
+        console.error('Error fetching duplicate leads:', error);
+      }
+    };
+
+    fetchDuplicates();
+  }, [leadId]);
+
+  const handleMerge = async (lead) => {
+    if (!window.confirm(`Merge ${lead.fullName || lead.leadId} into this lead? Its notes and activities will move here.`)) {
+      return;
+    }
+
+    try {
+      setWorking(lead._id);
+      const response = await leadService.mergeLeads(leadId, [lead._id]);
+      if (response.success) {
+        setDuplicates(response.data);
+        onChange?.();
+        toast.success('Leads merged');
+      }
+    } catch (error) {
+      console.error('Error merging leads:', error);
+      toast.error(error.response?.data?.error || 'Failed to merge leads');
+    } finally {
+      setWorking(null);
+    }
+  };
+
+  const handleUnmerge = async (lead) => {
+    try {
+      setWorking(lead._id);
+      const response = await leadService.unmergeLead(leadId, lead._id);
+      if (response.success) {
+        setDuplicates(response.data);
+        onChange?.();
+        toast.success('Lead unmerged');
+      }
+    } catch (error) {
+      console.error('Error unmerging lead:', error);
+      toast.error(error.response?.data?.error || 'Failed to unmerge lead');
+    } finally {
+      setWorking(null);
+    }
+  };
+
+  if (!duplicates || (duplicates.leads.length === 0 && duplicates.merged.length === 0)) {
+    return null;
+  }
+
+  const buttonClassName = 'ml-4 inline-flex items-center px-2.5 py-1.5 border border-gray-300 text-xs font-medium rounded text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50';
+
+  return (
+    <div className="bg-white shadow overflow-hidden sm:rounded-lg">
+      {duplicates.leads.length > 0 && (
+        <div className="px-4 py-5 sm:px-6">
+          <h2 className="text-lg leading-6 font-medium text-gray-900">
+            This person also submitted…
+          </h2>
+          <p className="mt-1 text-sm text-gray-500">
+            Leads with the same email or phone.
+          </p>
+          <ul className="mt-2 divide-y divide-gray-200">
+            {duplicates.leads.map(lead => (
+              <RelatedLead
+                key={lead._id}
+                lead={lead}
+                action={canMerge && (
+                  <button
+                    onClick={() => handleMerge(lead)}
+                    disabled={working === lead._id}
+                    className={buttonClassName}
+                  >
+                    <ArrowsPointingInIcon className="-ml-0.5 mr-1 h-4 w-4" />
+                    Merge here
+                  </button>
+                )}
+              />
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {duplicates.merged.length > 0 && (
+        <div className="px-4 py-5 sm:px-6 border-t border-gray-200">
+          <h2 className="text-lg leading-6 font-medium text-gray-900">
+            Merged leads
+          </h2>
+          <ul className="mt-2 divide-y divide-gray-200">
+            {duplicates.merged.map(lead => (
+              <RelatedLead
+                key={lead._id}
+                lead={lead}
+                action={canMerge && (
+                  <button
+                    onClick={() => handleUnmerge(lead)}
+                    disabled={working === lead._id}
+                    className={buttonClassName}
+                  >
+                    <ArrowUturnLeftIcon className="-ml-0.5 mr-1 h-4 w-4" />
+                    Unmerge
+                  </button>
+                )}
+              />
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DuplicateLeads;
@@ -0,0 +1,177 @@
+import React, { useState, useEffect } from 'react';
+import { toast } from 'react-toastify';
+import formService from '../services/formService';
+import customFieldService from '../services/customFieldService';
+
+export const FIELD_ATTRIBUTE_OPTIONS = [
+  { value: 'fullName', label: 'Full name' },
+  { value: 'firstName', label: 'First name' },
+  { value: 'lastName', label: 'Last name' },
+  { value: 'email', label: 'Email' },
+  { value: 'phone', label: 'Phone' },
+  { value: 'city', label: 'City' },
+  { value: 'custom', label: 'Custom field…' }
+];
+
+// One row per question on the form, plus mapped questions the form no longer asks
+const buildRows = (questions, fieldMappings) => {
+  const rows = questions.map(question => {
+    const mapping = fieldMappings.find(m => m.key === question.key);
+
+    return {
+      key: question.key,
+      label: question.label,
+      attribute: mapping?.attribute || '',
+      customField: mapping?.customField || ''
+    };
+  });
+
+  fieldMappings
+    .filter(mapping => !questions.some(question => question.key === mapping.key))
+    .forEach(mapping => rows.push({
+      key: mapping.key,
+      label: `${mapping.label || mapping.key} (no longer on the form)`,
+      attribute: mapping.attribute,
+      customField: mapping.customField || ''
+    }));
+
+  return rows;
+};
+
+// Maps a form's questions, loaded from Facebook, onto lead attributes or
+// the organization's custom fields. Saving re-applies the mapping to the
+// form's leads.
+const FieldMappingEditor = ({ form, onSaved, onClose }) => {
+  const [rows, setRows] = useState([]);
+  const [customFields, setCustomFields] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    const fetchQuestions = async () => {
+      try {
+        const [response, fieldsResponse] = await Promise.all([
+          formService.getQuestions(form._id),
+          customFieldService.getCustomFields()
+        ]);
+        if (response.success) {
+          setRows(buildRows(response.data.questions, response.data.fieldMappings));
+        }
+        if (fieldsResponse.success) {
+          setCustomFields(fieldsResponse.data);
+        }
+      } catch (error) {
+        console.error('Error fetching form questions:', error);
+        toast.error(error.response?.data?.error || 'Failed to load the form\'s questions');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchQuestions();
+  }, [form._id]);
+
+  const updateRow = (key, changes) => {
+    setRows(rows.map(row => (row.key === key ? { ...row, ...changes } : row)));
+  };
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      const fieldMappings = rows
+        .filter(row => row.attribute)
+        .map(row => ({
+          key: row.key,
+          label: row.label,
+          attribute: row.attribute,
+          customField: row.attribute === 'custom' ? row.customField : null
+        }));
+
+      const response = await formService.updateFieldMappings(form._id, fieldMappings);
+      if (response.success) {
+        toast.success(`Field mapping saved, updating ${response.leads} lead(s)`);
+        onSaved(response.data);
+      }
+    } catch (error) {
+      console.error('Error saving field mapping:', error);
+      toast.error(error.response?.data?.error || error.response?.data?.errors?.[0]?.msg || 'Failed to save field mapping');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="mt-4 border-t border-gray-200 pt-4">
+      <h4 className="text-sm font-medium text-gray-900">Field Mapping</h4>
+      <p className="mt-1 text-xs text-gray-500">
+        Copy answers onto lead attributes or custom fields. Unmapped questions stay in the lead's form fields.
+        Custom fields are set up under Settings.
+      </p>
+
+      {loading ? (
+        <div className="flex justify-center py-4">
+          <div className="animate-spin rounded-full h-6 w-6 border-t-2 border-b-2 border-primary-600"></div>
+        </div>
+      ) : rows.length > 0 ? (
+        <table className="mt-3 min-w-full">
+          <tbody className="divide-y divide-gray-200">
+            {rows.map(row => (
+              <tr key={row.key}>
+                <td className="py-2 pr-4 text-sm text-gray-900">
+                  {row.label}
+                  <div className="text-xs text-gray-500">{row.key}</div>
+                </td>
+                <td className="py-2 pr-2 w-48">
+                  <select
+                    value={row.attribute}
+                    onChange={(e) => updateRow(row.key, { attribute: e.target.value })}
+                    className="block w-full pl-3 pr-10 py-1.5 text-sm border-gray-300 focus:outline-none focus:ring-primary-500 focus:border-primary-500 rounded-md"
+                  >
+                    <option value="">Not mapped</option>
+                    {FIELD_ATTRIBUTE_OPTIONS.map(option => (
+                      <option key={option.value} value={option.value}>{option.label}</option>
+                    ))}
+                  </select>
+                </td>
+                <td className="py-2 w-48">
+                  {row.attribute === 'custom' && (
+                    <select
+                      value={row.customField}
+                      onChange={(e) => updateRow(row.key, { customField: e.target.value })}
+                      className="block w-full pl-3 pr-10 py-1.5 text-sm border-gray-300 focus:outline-none focus:ring-primary-500 focus:border-primary-500 rounded-md"
+                    >
+                      <option value="">Choose a field</option>
+                      {customFields.map(field => (
+                        <option key={field.key} value={field.key}>{field.name}</option>
+                      ))}
+                    </select>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      ) : (
+        <p className="mt-3 text-sm text-gray-500">This form has no questions.</p>
+      )}
+
+      <div className="mt-4 flex space-x-2">
+        <button
+          onClick={handleSave}
+          disabled={saving || loading}
+          className="inline-flex justify-center items-center py-2 px-4 border border-transparent shadow-sm text-sm font-medium rounded-md text-white bg-primary-600 hover:bg-primary-700 disabled:opacity-70"
+        >
+          {saving ? 'Saving...' : 'Save Mapping'}
+        </button>
+        <button
+          onClick={onClose}
+          className="inline-flex justify-center items-center py-2 px-4 border border-gray-300 shadow-sm text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50"
+        >
+          Close
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default FieldMappingEditor;
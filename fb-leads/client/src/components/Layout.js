@@ -1,6 +1,7 @@
 import React, { useState } from 'react';
 import { Outlet, Link, useLocation } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
+import NotificationBell from './NotificationBell';
 import { 
   HomeIcon, 
   DocumentTextIcon, 
@@ -9,21 +10,26 @@ import {
   ArrowRightOnRectangleIcon,
   Bars3Icon,
   XMarkIcon,
-  ChartBarIcon
+  ChartBarIcon,
+  ArrowsRightLeftIcon,
+  GlobeAltIcon
 } from '@heroicons/react/24/outline';
 
 const Layout = () => {
-  const { user, logout } = useAuth();
+  const { user, logout, can } = useAuth();
   const location = useLocation();
   const [sidebarOpen, setSidebarOpen] = useState(false);
 
+  // Items with a permission are hidden from roles that don't have it
   const navigation = [
     { name: 'Dashboard', href: '/dashboard', icon: HomeIcon },
-    { name: 'Leads', href: '/leads', icon: DocumentTextIcon },
-    { name: 'Forms', href: '/forms', icon: DocumentDuplicateIcon },
-    { name: 'Analytics', href: '/analytics', icon: ChartBarIcon },
+    { name: 'Leads', href: '/leads', icon: DocumentTextIcon, permission: 'leads:read' },
+    { name: 'Forms', href: '/forms', icon: DocumentDuplicateIcon, permission: 'forms:manage' },
+    { name: 'Website Forms', href: '/web-forms', icon: GlobeAltIcon, permission: 'forms:read' },
+    { name: 'Analytics', href: '/analytics', icon: ChartBarIcon, permission: 'analytics:read' },
+    { name: 'Routing', href: '/routing', icon: ArrowsRightLeftIcon, permission: 'routing:manage' },
     { name: 'Settings', href: '/settings', icon: CogIcon },
-  ];
+  ].filter(item => !item.permission || can(item.permission));
 
   const isActive = (path) => {
     return location.pathname === path;
@@ -164,6 +170,7 @@ const Layout = () => {
               {/* Empty space for search or other elements */}
             </div>
             <div className="ml-4 flex items-center md:ml-6">
+              <NotificationBell />
               <div className="flex items-center">
                 <div className="text-sm font-medium text-gray-700 mr-2">
                   {user?.name || 'User'}
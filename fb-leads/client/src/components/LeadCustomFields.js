@@ -0,0 +1,241 @@
+import React, { useState, useEffect } from 'react';
+import { toast } from 'react-toastify';
+import leadService from '../services/leadService';
+import customFieldService from '../services/customFieldService';
+import { useAuth } from '../context/AuthContext';
+import { PencilIcon } from '@heroicons/react/24/outline';
+
+// A stored value as shown on the lead
+export const formatCustomValue = (field, value) => {
+  if (value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0)) {
+    return 'Not set';
+  }
+
+  switch (field.type) {
+    case 'date':
+      return new Date(value).toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric' });
+    case 'boolean':
+      return value ? 'Yes' : 'No';
+    case 'multi_select':
+      return [].concat(value).join(', ');
+    default:
+      return String(value);
+  }
+};
+
+// A stored value as the editor's inputs hold it
+const toInputValue = (field, value) => {
+  if (value === null || value === undefined) {
+    return field.type === 'multi_select' ? [] : '';
+  }
+
+  switch (field.type) {
+    case 'date':
+      return new Date(value).toISOString().split('T')[0];
+    case 'boolean':
+      return value ? 'true' : 'false';
+    case 'multi_select':
+      return [].concat(value);
+    default:
+      return String(value);
+  }
+};
+
+// An input's value as sent to the server; empty clears the field
+const fromInputValue = (field, value) => {
+  if (value === '' || (Array.isArray(value) && value.length === 0)) {
+    return null;
+  }
+
+  return field.type === 'boolean' ? value === 'true' : value;
+};
+
+const inputClassName = 'block w-full focus:ring-primary-500 focus:border-primary-500 sm:text-sm border-gray-300 rounded-md';
+
+// Input for one field, by type
+const CustomFieldInput = ({ field, value, onChange }) => {
+  switch (field.type) {
+    case 'number':
+    case 'date':
+      return (
+        <input
+          type={field.type}
+          id={`custom-${field.key}`}
+          value={value}
+          onChange={(e) => onChange(e.target.value)}
+          className={inputClassName}
+        />
+      );
+    case 'boolean':
+    case 'select':
+      return (
+        <select
+          id={`custom-${field.key}`}
+          value={value}
+          onChange={(e) => onChange(e.target.value)}
+          className={inputClassName}
+        >
+          <option value="">Not set</option>
+          {field.type === 'boolean' ? (
+            <>
+              <option value="true">Yes</option>
+              <option value="false">No</option>
+            </>
+          ) : field.options.map(option => (
+            <option key={option} value={option}>{option}</option>
+          ))}
+        </select>
+      );
+    case 'multi_select':
+      return (
+        <div className="flex flex-wrap gap-x-4 gap-y-1">
+          {field.options.map(option => (
+            <label key={option} className="inline-flex items-center text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={value.includes(option)}
+                onChange={(e) => onChange(e.target.checked
+                  ? [...value, option]
+                  : value.filter(selected => selected !== option))}
+                className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300 rounded"
+              />
+              <span className="ml-2">{option}</span>
+            </label>
+          ))}
+        </div>
+      );
+    default:
+      return (
+        <input
+          type="text"
+          id={`custom-${field.key}`}
+          value={value}
+          onChange={(e) => onChange(e.target.value)}
+          className={inputClassName}
+        />
+      );
+  }
+};
+
+// The organization's custom fields on a lead, editable by members who can
+// update leads. onSaved gets the updated lead.
+const LeadCustomFields = ({ lead, onSaved }) => {
+  const { can } = useAuth();
+  const [fields, setFields] = useState([]);
+  const [values, setValues] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    const fetchFields = async () => {
+      try {
+        const response = await customFieldService.getCustomFields();
+        if (response.success) {
+          setFields(response.data);
+        }
+      } catch (error) {
+        console.error('Error fetching custom fields:', error);
+      }
+    };
+
+    fetchFields();
+  }, []);
+
+  const startEditing = () => {
+    setValues(Object.fromEntries(
+      fields.map(field => [field.key, toInputValue(field, lead.customFields?.[field.key])])
+    ));
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+
+    try {
+      setSaving(true);
+      const customFields = Object.fromEntries(
+        fields.map(field => [field.key, fromInputValue(field, values[field.key])])
+      );
+
+      const response = await leadService.updateCustomFields(lead._id, customFields);
+      if (response.success) {
+        toast.success('Custom fields updated');
+        setValues(null);
+        onSaved(response.data);
+      }
+    } catch (error) {
+      console.error('Error updating custom fields:', error);
+      toast.error(error.response?.data?.error || 'Failed to update custom fields');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (fields.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="bg-white shadow overflow-hidden sm:rounded-lg">
+      <div className="px-4 py-5 sm:px-6 flex justify-between items-center">
+        <h2 className="text-lg leading-6 font-medium text-gray-900">
+          Custom Fields
+        </h2>
+        {!values && can('leads:update') && !lead.mergedInto && (
+          <button
+            onClick={startEditing}
+            className="text-primary-600 hover:text-primary-900"
+          >
+            <PencilIcon className="h-5 w-5" />
+            <span className="sr-only">Edit custom fields</span>
+          </button>
+        )}
+      </div>
+      <div className="border-t border-gray-200 px-4 py-5 sm:p-0">
+        {values ? (
+          <form onSubmit={handleSave} className="px-4 py-5 sm:px-6 space-y-4">
+            {fields.map(field => (
+              <div key={field.key}>
+                <label htmlFor={`custom-${field.key}`} className="block text-sm font-medium text-gray-700 mb-1">
+                  {field.name}
+                </label>
+                <CustomFieldInput
+                  field={field}
+                  value={values[field.key]}
+                  onChange={(value) => setValues({ ...values, [field.key]: value })}
+                />
+              </div>
+            ))}
+            <div className="flex space-x-2">
+              <button
+                type="submit"
+                disabled={saving}
+                className="inline-flex justify-center py-2 px-4 border border-transparent shadow-sm text-sm font-medium rounded-md text-white bg-primary-600 hover:bg-primary-700 disabled:opacity-70"
+              >
+                {saving ? 'Saving...' : 'Save'}
+              </button>
+              <button
+                type="button"
+                onClick={() => setValues(null)}
+                className="inline-flex justify-center py-2 px-4 border border-gray-300 shadow-sm text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50"
+              >
+                Cancel
+              </button>
+            </div>
+          </form>
+        ) : (
+          <dl className="sm:divide-y sm:divide-gray-200">
+            {fields.map(field => (
+              <div key={field.key} className="py-4 sm:py-5 sm:grid sm:grid-cols-3 sm:gap-4 sm:px-6">
+                <dt className="text-sm font-medium text-gray-500">{field.name}</dt>
+                <dd className="mt-1 text-sm text-gray-900 sm:mt-0 sm:col-span-2">
+                  {formatCustomValue(field, lead.customFields?.[field.key])}
+                </dd>
+              </div>
+            ))}
+          </dl>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default LeadCustomFields;
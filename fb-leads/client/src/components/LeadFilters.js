@@ -0,0 +1,437 @@
+import React from 'react';
+import { FunnelIcon } from '@heroicons/react/24/outline';
+import { useAuth } from '../context/AuthContext';
+import { SOURCE_LABELS } from './LeadSource';
+
+export const DATE_RANGE_OPTIONS = [
+  { value: 'all', label: 'All Time' },
+  { value: 'today', label: 'Today' },
+  { value: 'yesterday', label: 'Yesterday' },
+  { value: 'week', label: 'This Week' },
+  { value: 'month', label: 'This Month' }
+];
+
+export const EMPTY_FILTERS = {
+  source: '',
+  formId: '',
+  pageId: '',
+  pipelineId: '',
+  status: '',
+  dateRange: 'all',
+  searchTerm: '',
+  assignedTo: '',
+  sla: '',
+  minScore: '',
+  archived: '',
+  tags: '',
+  segmentId: '',
+  customField: '',
+  customValue: '',
+  customMin: '',
+  customMax: ''
+};
+
+// Start and end of a date range option, in local time
+const getDateRange = (range) => {
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+
+  switch (range) {
+    case 'today':
+      return { startDate: today };
+    case 'yesterday': {
+      const yesterday = new Date(today);
+      yesterday.setDate(today.getDate() - 1);
+      return { startDate: yesterday, endDate: new Date(today.getTime() - 1) };
+    }
+    case 'week': {
+      const weekStart = new Date(today);
+      weekStart.setDate(today.getDate() - today.getDay());
+      return { startDate: weekStart };
+    }
+    case 'month':
+      return { startDate: new Date(today.getFullYear(), today.getMonth(), 1) };
+    default:
+      return {};
+  }
+};
+
+// Turn the filter bar's state into /api/leads query parameters. The custom
+// field filter becomes cf[key]=value, or cf[key][gte]/[lte] for a range.
+export const toLeadParams = (filters) => {
+  const { dateRange, searchTerm, customField, customValue, customMin, customMax, ...rest } = filters;
+  const { startDate, endDate } = getDateRange(dateRange);
+  const params = {
+    ...rest,
+    search: searchTerm?.trim(),
+    startDate: startDate?.toISOString(),
+    endDate: endDate?.toISOString()
+  };
+
+  if (customField) {
+    params[`cf[${customField}]`] = customValue?.trim();
+    params[`cf[${customField}][gte]`] = customMin;
+    params[`cf[${customField}][lte]`] = customMax;
+  }
+
+  return Object.fromEntries(Object.entries(params).filter(([, value]) => value));
+};
+
+// The same filters as a JSON request body, as bulk actions take them, with
+// the custom field filter as a cf object instead of bracketed keys
+export const toLeadBody = (filters) => {
+  const { customField, customValue, customMin, customMax, ...rest } = filters;
+  const body = toLeadParams(rest);
+  const range = Object.fromEntries(Object.entries({ gte: customMin, lte: customMax }).filter(([, value]) => value));
+
+  if (customField && customValue?.trim()) {
+    body.cf = { [customField]: customValue.trim() };
+  } else if (customField && Object.keys(range).length > 0) {
+    body.cf = { [customField]: range };
+  }
+
+  return body;
+};
+
+// Unique pages of the given forms, for the page filter
+export const getPagesFromForms = (forms) => {
+  return [...new Set(
+    forms
+      .filter(form => form.pageId && form.pageName)
+      .map(form => JSON.stringify({
+        id: form.pageId,
+        name: form.pageName
+      }))
+  )].map(page => JSON.parse(page));
+};
+
+const selectClassName = 'mt-1 block w-full pl-3 pr-10 py-2 text-base border-gray-300 focus:outline-none focus:ring-primary-500 focus:border-primary-500 sm:text-sm rounded-md';
+const inputClassName = 'mt-1 focus:ring-primary-500 focus:border-primary-500 block w-full sm:text-sm border-gray-300 rounded-md';
+
+// Value inputs for the chosen custom field: a range for numbers and dates,
+// the options for selects, and free text otherwise
+const CustomFieldValue = ({ field, filters, onChange }) => {
+  if (field.type === 'number' || field.type === 'date') {
+    const type = field.type === 'date' ? 'date' : 'number';
+
+    return (
+      <div className="flex space-x-2">
+        <input type={type} name="customMin" aria-label="From" placeholder="From" value={filters.customMin} onChange={onChange} className={inputClassName} />
+        <input type={type} name="customMax" aria-label="To" placeholder="To" value={filters.customMax} onChange={onChange} className={inputClassName} />
+      </div>
+    );
+  }
+
+  if (field.type === 'select' || field.type === 'multi_select' || field.type === 'boolean') {
+    const options = field.type === 'boolean' ? ['Yes', 'No'] : field.options;
+
+    return (
+      <select name="customValue" aria-label="Value" value={filters.customValue} onChange={onChange} className={selectClassName}>
+        <option value="">Any</option>
+        {options.map(option => (
+          <option key={option} value={option}>{option}</option>
+        ))}
+      </select>
+    );
+  }
+
+  return (
+    <input type="text" name="customValue" aria-label="Value" placeholder="Contains..." value={filters.customValue} onChange={onChange} className={inputClassName} />
+  );
+};
+
+// The lead filter bar shared by the table and the board. The pipeline,
+// status, tag, segment and custom field filters only show when given
+// pipelines, status options, tags, segments and custom fields.
+const LeadFilters = ({ filters, onChange, forms, pages, pipelines = [], statusOptions, customFields = [], tags = [], segments = [] }) => {
+  const { can } = useAuth();
+  const customField = customFields.find(field => field.key === filters.customField);
+
+  return (
+    <div className="mt-6 bg-white shadow px-4 py-5 sm:rounded-lg sm:p-6">
+      <div className="grid grid-cols-1 gap-y-6 gap-x-4 sm:grid-cols-6">
+        <div className="sm:col-span-1">
+          <label htmlFor="source" className="block text-sm font-medium text-gray-700">
+            Source
+          </label>
+          <select
+            id="source"
+            name="source"
+            value={filters.source}
+            onChange={onChange}
+            className={selectClassName}
+          >
+            <option value="">All Sources</option>
+            {Object.entries(SOURCE_LABELS).map(([source, label]) => (
+              <option key={source} value={source}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        <div className="sm:col-span-1">
+          <label htmlFor="pageId" className="block text-sm font-medium text-gray-700">
+            Page
+          </label>
+          <select
+            id="pageId"
+            name="pageId"
+            value={filters.pageId}
+            onChange={onChange}
+            className={selectClassName}
+          >
+            <option value="">All Pages</option>
+            {pages.map(page => (
+              <option key={page.id} value={page.id}>
+                {page.name}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        <div className="sm:col-span-1">
+          <label htmlFor="formId" className="block text-sm font-medium text-gray-700">
+            Form
+          </label>
+          <select
+            id="formId"
+            name="formId"
+            value={filters.formId}
+            onChange={onChange}
+            className={selectClassName}
+          >
+            <option value="">All Forms</option>
+            {forms
+              .filter(form => !filters.pageId || form.pageId === filters.pageId)
+              .map(form => (
+                <option key={form._id} value={form.formId}>
+                  {form.formName || form.formId}
+                </option>
+              ))}
+          </select>
+        </div>
+
+        {pipelines.length > 1 && (
+        <div className="sm:col-span-1">
+          <label htmlFor="pipelineId" className="block text-sm font-medium text-gray-700">
+            Pipeline
+          </label>
+          <select
+            id="pipelineId"
+            name="pipelineId"
+            value={filters.pipelineId}
+            onChange={onChange}
+            className={selectClassName}
+          >
+            <option value="">All Pipelines</option>
+            {pipelines.map(pipeline => (
+              <option key={pipeline._id} value={pipeline._id}>
+                {pipeline.name}
+              </option>
+            ))}
+          </select>
+        </div>
+        )}
+
+        {statusOptions && (
+        <div className="sm:col-span-1">
+          <label htmlFor="status" className="block text-sm font-medium text-gray-700">
+            Status
+          </label>
+          <select
+            id="status"
+            name="status"
+            value={filters.status}
+            onChange={onChange}
+            className={selectClassName}
+          >
+            <option value="">All Status</option>
+            {statusOptions.map(stage => (
+              <option key={stage.key} value={stage.key}>
+                {stage.name}
+              </option>
+            ))}
+          </select>
+        </div>
+        )}
+
+        <div className="sm:col-span-1">
+          <label htmlFor="dateRange" className="block text-sm font-medium text-gray-700">
+            Date Range
+          </label>
+          <select
+            id="dateRange"
+            name="dateRange"
+            value={filters.dateRange}
+            onChange={onChange}
+            className={selectClassName}
+          >
+            {DATE_RANGE_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        {can('leads:read_all') && (
+        <div className="sm:col-span-1">
+          <label htmlFor="assignedTo" className="block text-sm font-medium text-gray-700">
+            Assigned To
+          </label>
+          <select
+            id="assignedTo"
+            name="assignedTo"
+            value={filters.assignedTo}
+            onChange={onChange}
+            className={selectClassName}
+          >
+            <option value="">Anyone</option>
+            <option value="me">Me</option>
+            <option value="unassigned">Unassigned</option>
+          </select>
+        </div>
+        )}
+
+        <div className="sm:col-span-1">
+          <label htmlFor="sla" className="block text-sm font-medium text-gray-700">
+            SLA
+          </label>
+          <select
+            id="sla"
+            name="sla"
+            value={filters.sla}
+            onChange={onChange}
+            className={selectClassName}
+          >
+            <option value="">Any</option>
+            <option value="breached">Breached</option>
+          </select>
+        </div>
+
+        <div className="sm:col-span-1">
+          <label htmlFor="minScore" className="block text-sm font-medium text-gray-700">
+            Min Score
+          </label>
+          <input
+            type="number"
+            id="minScore"
+            name="minScore"
+            value={filters.minScore}
+            onChange={onChange}
+            className={inputClassName}
+            placeholder="Any"
+          />
+        </div>
+
+        {tags.length > 0 && (
+        <div className="sm:col-span-1">
+          <label htmlFor="tags" className="block text-sm font-medium text-gray-700">
+            Tag
+          </label>
+          <select
+            id="tags"
+            name="tags"
+            value={filters.tags}
+            onChange={onChange}
+            className={selectClassName}
+          >
+            <option value="">All Tags</option>
+            {tags.map(tag => (
+              <option key={tag._id} value={tag.name}>
+                {tag.name}
+              </option>
+            ))}
+          </select>
+        </div>
+        )}
+
+        {segments.length > 0 && (
+        <div className="sm:col-span-1">
+          <label htmlFor="segmentId" className="block text-sm font-medium text-gray-700">
+            Segment
+          </label>
+          <select
+            id="segmentId"
+            name="segmentId"
+            value={filters.segmentId}
+            onChange={onChange}
+            className={selectClassName}
+          >
+            <option value="">All Leads</option>
+            {segments.map(segment => (
+              <option key={segment._id} value={segment._id}>
+                {segment.name}
+              </option>
+            ))}
+          </select>
+        </div>
+        )}
+
+        <div className="sm:col-span-1">
+          <label htmlFor="archived" className="block text-sm font-medium text-gray-700">
+            Archive
+          </label>
+          <select
+            id="archived"
+            name="archived"
+            value={filters.archived}
+            onChange={onChange}
+            className={selectClassName}
+          >
+            <option value="">Active leads</option>
+            <option value="true">Archived leads</option>
+          </select>
+        </div>
+
+        {customFields.length > 0 && (
+        <div className="sm:col-span-2">
+          <label htmlFor="customField" className="block text-sm font-medium text-gray-700">
+            Custom Field
+          </label>
+          <div className="flex space-x-2">
+            <select
+              id="customField"
+              name="customField"
+              value={filters.customField}
+              onChange={onChange}
+              className={selectClassName}
+            >
+              <option value="">None</option>
+              {customFields.map(field => (
+                <option key={field.key} value={field.key}>
+                  {field.name}
+                </option>
+              ))}
+            </select>
+            {customField && <CustomFieldValue field={customField} filters={filters} onChange={onChange} />}
+          </div>
+        </div>
+        )}
+
+        <div className="sm:col-span-2">
+          <label htmlFor="searchTerm" className="block text-sm font-medium text-gray-700">
+            Search
+          </label>
+          <div className="mt-1 relative rounded-md shadow-sm">
+            <input
+              type="text"
+              name="searchTerm"
+              id="searchTerm"
+              value={filters.searchTerm}
+              onChange={onChange}
+              className="focus:ring-primary-500 focus:border-primary-500 block w-full pl-3 pr-10 sm:text-sm border-gray-300 rounded-md"
+              placeholder="Name, email, phone, answers, notes..."
+            />
+            <div className="absolute inset-y-0 right-0 pr-3 flex items-center pointer-events-none">
+              <FunnelIcon className="h-5 w-5 text-gray-400" aria-hidden="true" />
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default LeadFilters;
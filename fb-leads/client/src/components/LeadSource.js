@@ -0,0 +1,48 @@
+import React from 'react';
+
+// How each lead source reads, matching the server's adapters
+export const SOURCE_LABELS = {
+  facebook_lead_ad: 'Facebook lead ad',
+  website_form: 'Website form',
+  manual: 'Added by hand',
+  import: 'Import',
+  api: 'API'
+};
+
+// Where a lead came from in a few words: its form, file or integration
+export const describeSource = (lead, formName = lead?.formName || lead?.formId) => {
+  switch (lead?.source) {
+    case 'import':
+      return lead.provenance?.fileName || SOURCE_LABELS.import;
+    case 'manual':
+      return SOURCE_LABELS.manual;
+    case 'api':
+      return lead.provenance?.client || SOURCE_LABELS.api;
+    default:
+      return formName || SOURCE_LABELS[lead?.source] || '';
+  }
+};
+
+// A lead's source, with its page or form, file or integration underneath
+const LeadSource = ({ lead, formName }) => {
+  if (!lead.source || lead.source === 'facebook_lead_ad') {
+    return (
+      <>
+        <div className="font-medium">{lead.pageName || 'Unknown Page'}</div>
+        <div>{formName || lead.formName || lead.formId}</div>
+      </>
+    );
+  }
+
+  const label = SOURCE_LABELS[lead.source] || lead.source;
+  const detail = describeSource(lead, formName);
+
+  return (
+    <>
+      <div className="font-medium">{label}</div>
+      {detail !== label && <div>{detail}</div>}
+    </>
+  );
+};
+
+export default LeadSource;
@@ -0,0 +1,102 @@
+import React, { useState, useEffect } from 'react';
+import { toast } from 'react-toastify';
+import leadService from '../services/leadService';
+import tagService from '../services/tagService';
+import { useAuth } from '../context/AuthContext';
+import { TagChip, getTagColors } from './TagChips';
+
+// A lead's tags, which members who can update leads add and remove in place.
+// Names typed in match the workspace's tags ignoring case, or become new
+// ones. onSaved gets the updated lead.
+const LeadTags = ({ lead, onSaved }) => {
+  const { can } = useAuth();
+  const [tags, setTags] = useState([]);
+  const [name, setName] = useState('');
+  const [saving, setSaving] = useState(false);
+  const editable = can('leads:update') && !lead.mergedInto;
+
+  const fetchTags = async () => {
+    try {
+      const response = await tagService.getTags();
+      if (response.success) {
+        setTags(response.data);
+      }
+    } catch (error) {
+      console.error('Error fetching tags:', error);
+    }
+  };
+
+  useEffect(() => {
+    fetchTags();
+  }, []);
+
+  const saveTags = async (names) => {
+    try {
+      setSaving(true);
+      const response = await leadService.updateTags(lead._id, names);
+      if (response.success) {
+        onSaved(response.data);
+        // A new name is a new workspace tag
+        if (response.data.tags.some(tag => !tags.find(t => t.name === tag))) {
+          fetchTags();
+        }
+      }
+    } catch (error) {
+      console.error('Error updating tags:', error);
+      toast.error(error.response?.data?.errors?.[0]?.msg || error.response?.data?.error || 'Failed to update tags');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+
+    if (name.trim()) {
+      await saveTags([...(lead.tags || []), name.trim()]);
+      setName('');
+    }
+  };
+
+  const colors = getTagColors(tags);
+  const leadTags = lead.tags || [];
+
+  if (!editable && leadTags.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="mt-2 flex flex-wrap items-center gap-1">
+      {leadTags.map(tag => (
+        <TagChip
+          key={tag}
+          name={tag}
+          color={colors.get(tag)}
+          onRemove={editable && !saving ? () => saveTags(leadTags.filter(t => t !== tag)) : null}
+        />
+      ))}
+      {editable && (
+        <form onSubmit={handleAdd}>
+          <input
+            type="text"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            list="lead-tag-options"
+            maxLength={50}
+            disabled={saving}
+            placeholder="Add tag"
+            aria-label="Add tag"
+            className="w-28 rounded-full border-gray-300 px-2 py-0.5 text-xs focus:border-primary-500 focus:ring-primary-500"
+          />
+          <datalist id="lead-tag-options">
+            {tags.filter(tag => !leadTags.includes(tag.name)).map(tag => (
+              <option key={tag._id} value={tag.name} />
+            ))}
+          </datalist>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default LeadTags;
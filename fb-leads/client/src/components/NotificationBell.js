@@ -0,0 +1,125 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import notificationService from '../services/notificationService';
+import { BellIcon } from '@heroicons/react/24/outline';
+
+// How often to check for new notifications
+const POLL_INTERVAL = 60 * 1000;
+
+// Bell in the top header with the unread count and the latest notifications
+const NotificationBell = () => {
+  const navigate = useNavigate();
+  const [notifications, setNotifications] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [open, setOpen] = useState(false);
+
+  useEffect(() => {
+    const fetchNotifications = async () => {
+      try {
+        const response = await notificationService.getNotifications();
+        if (response.success) {
+          setNotifications(response.data);
+          setUnreadCount(response.unreadCount);
+        }
+      } catch (error) {
+        console.error('Error fetching notifications:', error);
+      }
+    };
+
+    fetchNotifications();
+    const interval = setInterval(fetchNotifications, POLL_INTERVAL);
+
+    return () => clearInterval(interval);
+  }, []);
+
+  const handleOpen = async (notification) => {
+    setOpen(false);
+
+    if (!notification.readAt) {
+      setNotifications(prev => prev.map(n => (n._id === notification._id ? { ...n, readAt: new Date().toISOString() } : n)));
+      setUnreadCount(count => Math.max(0, count - 1));
+
+      try {
+        await notificationService.markRead(notification._id);
+      } catch (error) {
+        console.error('Error marking notification read:', error);
+      }
+    }
+
+    if (notification.link) {
+      navigate(notification.link);
+    }
+  };
+
+  const handleMarkAllRead = async () => {
+    try {
+      await notificationService.markAllRead();
+      setNotifications(prev => prev.map(n => ({ ...n, readAt: n.readAt || new Date().toISOString() })));
+      setUnreadCount(0);
+    } catch (error) {
+      console.error('Error marking notifications read:', error);
+    }
+  };
+
+  const formatDate = (dateString) => {
+    const options = { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' };
+    return new Date(dateString).toLocaleDateString(undefined, options);
+  };
+
+  return (
+    <div className="relative mr-4">
+      <button
+        type="button"
+        onClick={() => setOpen(!open)}
+        className="relative p-1 text-gray-400 hover:text-gray-600 focus:outline-none focus:ring-2 focus:ring-primary-500 rounded-full"
+      >
+        <span className="sr-only">View notifications</span>
+        <BellIcon className="h-6 w-6" />
+        {unreadCount > 0 && (
+          <span className="absolute -top-1 -right-1 h-5 min-w-[1.25rem] px-1 rounded-full bg-red-600 text-white text-xs flex items-center justify-center">
+            {unreadCount > 99 ? '99+' : unreadCount}
+          </span>
+        )}
+      </button>
+
+      {open && (
+        <>
+          <div className="fixed inset-0 z-10" onClick={() => setOpen(false)}></div>
+          <div className="absolute right-0 z-20 mt-2 w-80 bg-white rounded-md shadow-lg ring-1 ring-black ring-opacity-5">
+            <div className="flex items-center justify-between px-4 py-2 border-b border-gray-200">
+              <span className="text-sm font-medium text-gray-900">Notifications</span>
+              {unreadCount > 0 && (
+                <button
+                  onClick={handleMarkAllRead}
+                  className="text-xs text-primary-600 hover:text-primary-500"
+                >
+                  Mark all read
+                </button>
+              )}
+            </div>
+            {notifications.length > 0 ? (
+              <ul className="max-h-96 overflow-y-auto divide-y divide-gray-100">
+                {notifications.map(notification => (
+                  <li key={notification._id}>
+                    <button
+                      onClick={() => handleOpen(notification)}
+                      className={`w-full text-left px-4 py-3 hover:bg-gray-50 ${notification.readAt ? '' : 'bg-primary-50'}`}
+                    >
+                      <p className="text-sm text-gray-900">{notification.title}</p>
+                      {notification.body && <p className="text-xs text-gray-600">{notification.body}</p>}
+                      <p className="text-xs text-gray-400">{formatDate(notification.createdAt)}</p>
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            ) : (
+              <p className="px-4 py-6 text-center text-sm text-gray-500">No notifications</p>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default NotificationBell;
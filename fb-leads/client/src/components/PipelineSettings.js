@@ -0,0 +1,295 @@
+import React, { useState, useEffect } from 'react';
+import { toast } from 'react-toastify';
+import pipelineService from '../services/pipelineService';
+import StageBadge from './StageBadge';
+import {
+  ArrowDownIcon,
+  ArrowUpIcon,
+  PencilIcon,
+  PlusIcon,
+  TrashIcon
+} from '@heroicons/react/24/outline';
+
+const OUTCOME_OPTIONS = [
+  { value: 'open', label: 'Open' },
+  { value: 'won', label: 'Won' },
+  { value: 'lost', label: 'Lost' }
+];
+
+const newPipeline = {
+  name: '',
+  stages: [{ name: 'New', color: 'blue', outcome: 'open' }]
+};
+
+// Sales pipelines, shown on the Settings page to members who can manage them.
+// Stages keep their key when renamed, so leads stay in place.
+const PipelineSettings = () => {
+  const [pipelines, setPipelines] = useState([]);
+  const [colors, setColors] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [editing, setEditing] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const fetchPipelines = async () => {
+    try {
+      const response = await pipelineService.getPipelines();
+      if (response.success) {
+        setPipelines(response.data);
+        setColors(response.colors);
+      }
+    } catch (error) {
+      console.error('Error fetching pipelines:', error);
+      toast.error('Failed to load pipelines');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchPipelines();
+  }, []);
+
+  const getErrorMessage = (error, fallback) => {
+    return error.response?.data?.error
+      || error.response?.data?.errors?.[0]?.msg
+      || fallback;
+  };
+
+  const updateStage = (index, changes) => {
+    setEditing(pipeline => ({
+      ...pipeline,
+      stages: pipeline.stages.map((stage, i) => (i === index ? { ...stage, ...changes } : stage))
+    }));
+  };
+
+  const moveStage = (index, offset) => {
+    setEditing(pipeline => {
+      const stages = [...pipeline.stages];
+      [stages[index], stages[index + offset]] = [stages[index + offset], stages[index]];
+      return { ...pipeline, stages };
+    });
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+
+    try {
+      setSaving(true);
+      const data = { name: editing.name, stages: editing.stages };
+      const response = editing._id
+        ? await pipelineService.updatePipeline(editing._id, data)
+        : await pipelineService.createPipeline(data);
+
+      if (response.success) {
+        toast.success(editing._id ? 'Pipeline updated' : 'Pipeline created');
+        setEditing(null);
+        fetchPipelines();
+      }
+    } catch (error) {
+      console.error('Error saving pipeline:', error);
+      toast.error(getErrorMessage(error, 'Failed to save pipeline'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleMakeDefault = async (pipeline) => {
+    try {
+      await pipelineService.updatePipeline(pipeline._id, { isDefault: true });
+      toast.success(`${pipeline.name} is now the default pipeline`);
+      fetchPipelines();
+    } catch (error) {
+      console.error('Error changing default pipeline:', error);
+      toast.error(getErrorMessage(error, 'Failed to change the default pipeline'));
+    }
+  };
+
+  const handleDelete = async (pipeline) => {
+    if (!window.confirm(`Delete the ${pipeline.name} pipeline?`)) {
+      return;
+    }
+
+    try {
+      await pipelineService.deletePipeline(pipeline._id);
+      toast.success('Pipeline deleted');
+      setPipelines(pipelines.filter(p => p._id !== pipeline._id));
+    } catch (error) {
+      console.error('Error deleting pipeline:', error);
+      toast.error(getErrorMessage(error, 'Failed to delete pipeline'));
+    }
+  };
+
+  return (
+    <div className="mt-8 bg-white shadow px-4 py-5 sm:rounded-lg sm:p-6">
+      <div className="md:grid md:grid-cols-3 md:gap-6">
+        <div className="md:col-span-1">
+          <h3 className="text-lg font-medium leading-6 text-gray-900">Pipelines</h3>
+          <p className="mt-1 text-sm text-gray-500">
+            The stages leads move through. Each form feeds a pipeline; forms without one use the default.
+            Won and lost stages close a lead.
+          </p>
+        </div>
+        <div className="mt-5 md:mt-0 md:col-span-2">
+          {loading ? (
+            <div className="flex justify-center py-4">
+              <div className="animate-spin rounded-full h-8 w-8 border-t-2 border-b-2 border-primary-600"></div>
+            </div>
+          ) : editing ? (
+            <form onSubmit={handleSave} className="space-y-4">
+              <div>
+                <label htmlFor="pipelineName" className="block text-sm font-medium text-gray-700">Name</label>
+                <input
+                  type="text"
+                  id="pipelineName"
+                  value={editing.name}
+                  onChange={(e) => setEditing({ ...editing, name: e.target.value })}
+                  className="mt-1 focus:ring-primary-500 focus:border-primary-500 block w-full shadow-sm sm:text-sm border-gray-300 rounded-md"
+                  placeholder="e.g. Real estate"
+                  required
+                />
+              </div>
+
+              <div>
+                <span className="block text-sm font-medium text-gray-700">Stages</span>
+                {editing.stages.map((stage, index) => (
+                  <div key={stage.key || `new-${index}`} className="mt-2 flex items-center space-x-2">
+                    <input
+                      type="text"
+                      value={stage.name}
+                      onChange={(e) => updateStage(index, { name: e.target.value })}
+                      className="focus:ring-primary-500 focus:border-primary-500 block w-1/3 shadow-sm sm:text-sm border-gray-300 rounded-md"
+                      placeholder="Stage name"
+                      required
+                    />
+                    <select
+                      value={stage.color}
+                      onChange={(e) => updateStage(index, { color: e.target.value })}
+                      className="block w-1/5 pl-3 pr-8 py-2 text-base border-gray-300 focus:outline-none focus:ring-primary-500 focus:border-primary-500 sm:text-sm rounded-md"
+                    >
+                      {colors.map(color => (
+                        <option key={color} value={color}>{color}</option>
+                      ))}
+                    </select>
+                    <select
+                      value={stage.outcome}
+                      onChange={(e) => updateStage(index, { outcome: e.target.value })}
+                      className="block w-1/5 pl-3 pr-8 py-2 text-base border-gray-300 focus:outline-none focus:ring-primary-500 focus:border-primary-500 sm:text-sm rounded-md"
+                    >
+                      {OUTCOME_OPTIONS.map(option => (
+                        <option key={option.value} value={option.value}>{option.label}</option>
+                      ))}
+                    </select>
+                    <button
+                      type="button"
+                      onClick={() => moveStage(index, -1)}
+                      disabled={index === 0}
+                      className="text-gray-400 hover:text-gray-600 disabled:opacity-30"
+                    >
+                      <ArrowUpIcon className="h-4 w-4" />
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => moveStage(index, 1)}
+                      disabled={index === editing.stages.length - 1}
+                      className="text-gray-400 hover:text-gray-600 disabled:opacity-30"
+                    >
+                      <ArrowDownIcon className="h-4 w-4" />
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => setEditing({ ...editing, stages: editing.stages.filter((_, i) => i !== index) })}
+                      disabled={editing.stages.length === 1}
+                      className="text-red-600 hover:text-red-900 disabled:opacity-30"
+                    >
+                      <TrashIcon className="h-4 w-4" />
+                    </button>
+                  </div>
+                ))}
+                <button
+                  type="button"
+                  onClick={() => setEditing({ ...editing, stages: [...editing.stages, { name: '', color: 'gray', outcome: 'open' }] })}
+                  className="mt-2 text-sm text-primary-600 hover:text-primary-500"
+                >
+                  + Add stage
+                </button>
+                <p className="mt-1 text-xs text-gray-500">New leads start in the first stage.</p>
+              </div>
+
+              <div className="flex space-x-2">
+                <button
+                  type="submit"
+                  disabled={saving}
+                  className={`inline-flex justify-center py-2 px-4 border border-transparent shadow-sm text-sm font-medium rounded-md text-white bg-primary-600 hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 ${
+                    saving ? 'opacity-70 cursor-not-allowed' : ''
+                  }`}
+                >
+                  {saving ? 'Saving...' : 'Save Pipeline'}
+                </button>
+                <button
+                  type="button"
+                  onClick={() => setEditing(null)}
+                  className="inline-flex justify-center py-2 px-4 border border-gray-300 shadow-sm text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50"
+                >
+                  Cancel
+                </button>
+              </div>
+            </form>
+          ) : (
+            <>
+              <ul className="divide-y divide-gray-200 border border-gray-200 rounded-md">
+                {pipelines.map(pipeline => (
+                  <li key={pipeline._id} className="px-4 py-3">
+                    <div className="flex items-center justify-between">
+                      <p className="text-sm font-medium text-gray-900">
+                        {pipeline.name}
+                        {pipeline.isDefault && <span className="ml-2 text-xs text-gray-500">(default)</span>}
+                      </p>
+                      <div className="flex items-center space-x-3">
+                        {!pipeline.isDefault && (
+                          <button
+                            onClick={() => handleMakeDefault(pipeline)}
+                            className="text-xs font-medium text-gray-600 hover:text-gray-900"
+                          >
+                            Make default
+                          </button>
+                        )}
+                        <button
+                          onClick={() => setEditing({ ...pipeline, stages: pipeline.stages.map(stage => ({ ...stage })) })}
+                          className="text-primary-600 hover:text-primary-900"
+                        >
+                          <PencilIcon className="h-5 w-5" />
+                        </button>
+                        {!pipeline.isDefault && (
+                          <button
+                            onClick={() => handleDelete(pipeline)}
+                            className="text-red-600 hover:text-red-900"
+                          >
+                            <TrashIcon className="h-5 w-5" />
+                          </button>
+                        )}
+                      </div>
+                    </div>
+                    <div className="mt-2 flex flex-wrap gap-2">
+                      {pipeline.stages.map(stage => (
+                        <StageBadge key={stage.key} stage={stage} />
+                      ))}
+                    </div>
+                  </li>
+                ))}
+              </ul>
+              <button
+                onClick={() => setEditing({ ...newPipeline, stages: newPipeline.stages.map(stage => ({ ...stage })) })}
+                className="mt-4 inline-flex items-center px-3 py-2 border border-transparent text-sm leading-4 font-medium rounded-md text-white bg-primary-600 hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500"
+              >
+                <PlusIcon className="-ml-0.5 mr-2 h-4 w-4" />
+                New Pipeline
+              </button>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PipelineSettings;
@@ -0,0 +1,317 @@
+import React, { useState, useEffect } from 'react';
+import { toast } from 'react-toastify';
+import savedViewService from '../services/savedViewService';
+import { EMPTY_FILTERS } from './LeadFilters';
+import { useAuth } from '../context/AuthContext';
+import {
+  BookmarkIcon,
+  LinkIcon,
+  TableCellsIcon,
+  TrashIcon
+} from '@heroicons/react/24/outline';
+
+// Leads list columns that can be hidden, in table order
+export const LEAD_COLUMNS = [
+  { key: 'contact', label: 'Contact' },
+  { key: 'source', label: 'Source' },
+  { key: 'campaign', label: 'Campaign' },
+  { key: 'date', label: 'Date' },
+  { key: 'score', label: 'Score' },
+  { key: 'status', label: 'Status' }
+];
+
+export const DEFAULT_COLUMNS = LEAD_COLUMNS.map(column => column.key);
+export const DEFAULT_SORT = '-createdTime';
+
+// The filters that differ from the empty filter bar
+const changedFilters = (filters) => Object.fromEntries(
+  Object.entries(filters).filter(([key, value]) => value && value !== EMPTY_FILTERS[key])
+);
+
+// Read the leads list's filters, sort, columns and view from the URL query
+export const readListState = (searchParams) => {
+  const filters = { ...EMPTY_FILTERS };
+
+  Object.keys(EMPTY_FILTERS).forEach(key => {
+    if (searchParams.has(key)) {
+      filters[key] = searchParams.get(key);
+    }
+  });
+
+  const columns = searchParams.get('columns');
+
+  return {
+    filters,
+    sort: searchParams.get('sort') || DEFAULT_SORT,
+    columns: columns !== null ? DEFAULT_COLUMNS.filter(key => columns.split(',').includes(key)) : DEFAULT_COLUMNS,
+    viewId: searchParams.get('view') || ''
+  };
+};
+
+// The URL query for a leads list state. Defaults are left out to keep links short.
+export const toListQuery = ({ filters, sort, columns, viewId }) => {
+  const query = changedFilters(filters);
+
+  if (sort !== DEFAULT_SORT) {
+    query.sort = sort;
+  }
+  if (columns.join(',') !== DEFAULT_COLUMNS.join(',')) {
+    query.columns = columns.join(',');
+  }
+  if (viewId) {
+    query.view = viewId;
+  }
+
+  return query;
+};
+
+// A saved view as a leads list state
+const viewToState = (view) => ({
+  filters: { ...EMPTY_FILTERS, ...view.filters },
+  sort: view.sort || DEFAULT_SORT,
+  columns: DEFAULT_COLUMNS.filter(key => (view.columns || DEFAULT_COLUMNS).includes(key)),
+  viewId: view._id
+});
+
+// Whether the list no longer shows exactly what a view saved
+const isModified = (state, view) => {
+  const query = (listState) => JSON.stringify(toListQuery({ ...listState, viewId: '' }));
+  return query(state) !== query(viewToState(view));
+};
+
+const buttonClassName = 'inline-flex items-center px-3 py-2 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500';
+
+// Checkboxes for the columns the leads list shows
+export const ColumnPicker = ({ columns, onChange }) => {
+  const [open, setOpen] = useState(false);
+
+  const toggle = (key) => {
+    onChange(DEFAULT_COLUMNS.filter(column => (column === key ? !columns.includes(key) : columns.includes(column))));
+  };
+
+  return (
+    <div className="relative">
+      <button type="button" onClick={() => setOpen(!open)} className={buttonClassName}>
+        <TableCellsIcon className="-ml-1 mr-2 h-5 w-5 text-gray-500" />
+        Columns
+      </button>
+      {open && (
+        <div className="absolute right-0 z-10 mt-2 w-44 rounded-md bg-white p-3 shadow-lg ring-1 ring-black ring-opacity-5 space-y-2">
+          {LEAD_COLUMNS.map(column => (
+            <label key={column.key} className="flex items-center text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={columns.includes(column.key)}
+                onChange={() => toggle(column.key)}
+                className="h-4 w-4 rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+              />
+              <span className="ml-2">{column.label}</span>
+            </label>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Saved views dropdown for the leads list: pick a view, save the current
+// filters, sort and columns as one, update or delete it, or copy a link to
+// what the list shows. `state` is the list's { filters, sort, columns, viewId }.
+const SavedViews = ({ state, onChange }) => {
+  const { can } = useAuth();
+  const [views, setViews] = useState([]);
+  const [saving, setSaving] = useState(null);
+
+  const fetchViews = async () => {
+    try {
+      const response = await savedViewService.getSavedViews();
+      if (response.success) {
+        setViews(response.data);
+      }
+    } catch (error) {
+      console.error('Error fetching saved views:', error);
+    }
+  };
+
+  useEffect(() => {
+    fetchViews();
+  }, []);
+
+  const getErrorMessage = (error, fallback) => {
+    return error.response?.data?.error
+      || error.response?.data?.errors?.[0]?.msg
+      || fallback;
+  };
+
+  const currentView = views.find(view => view._id === state.viewId);
+  const modified = currentView && isModified(state, currentView);
+
+  // What a view saves of the list
+  const viewData = () => ({
+    filters: changedFilters(state.filters),
+    sort: state.sort,
+    columns: state.columns
+  });
+
+  const handleSelect = (e) => {
+    const view = views.find(v => v._id === e.target.value);
+
+    onChange(view
+      ? viewToState(view)
+      : { filters: EMPTY_FILTERS, sort: DEFAULT_SORT, columns: DEFAULT_COLUMNS, viewId: '' });
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+
+    try {
+      const response = await savedViewService.createSavedView({ ...viewData(), name: saving.name, shared: saving.shared });
+
+      if (response.success) {
+        toast.success('View saved');
+        setViews(prev => [...prev, response.data].sort((a, b) => a.name.localeCompare(b.name)));
+        setSaving(null);
+        onChange({ ...state, viewId: response.data._id });
+      }
+    } catch (error) {
+      console.error('Error saving view:', error);
+      toast.error(getErrorMessage(error, 'Failed to save view'));
+    }
+  };
+
+  const handleUpdate = async () => {
+    try {
+      const response = await savedViewService.updateSavedView(currentView._id, viewData());
+
+      if (response.success) {
+        toast.success('View updated');
+        setViews(prev => prev.map(view => (view._id === currentView._id ? { ...view, ...response.data, createdBy: view.createdBy } : view)));
+      }
+    } catch (error) {
+      console.error('Error updating view:', error);
+      toast.error(getErrorMessage(error, 'Failed to update view'));
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Delete the view "${currentView.name}"?`)) {
+      return;
+    }
+
+    try {
+      await savedViewService.deleteSavedView(currentView._id);
+      toast.success('View deleted');
+      setViews(prev => prev.filter(view => view._id !== currentView._id));
+      onChange({ ...state, viewId: '' });
+    } catch (error) {
+      console.error('Error deleting view:', error);
+      toast.error(getErrorMessage(error, 'Failed to delete view'));
+    }
+  };
+
+  // The URL holds the list's whole state, so the link shows the same leads
+  const handleCopyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      toast.success('Link copied');
+    } catch (error) {
+      toast.error('Failed to copy link');
+    }
+  };
+
+  const myViews = views.filter(view => !view.shared);
+  const sharedViews = views.filter(view => view.shared);
+
+  return (
+    <div className="mt-6 flex flex-wrap items-center gap-3">
+      <select
+        value={currentView ? currentView._id : ''}
+        onChange={handleSelect}
+        aria-label="Saved view"
+        className="block w-64 pl-3 pr-10 py-2 text-base border-gray-300 focus:outline-none focus:ring-primary-500 focus:border-primary-500 sm:text-sm rounded-md"
+      >
+        <option value="">All leads</option>
+        {myViews.length > 0 && (
+          <optgroup label="My views">
+            {myViews.map(view => (
+              <option key={view._id} value={view._id}>{view.name}</option>
+            ))}
+          </optgroup>
+        )}
+        {sharedViews.length > 0 && (
+          <optgroup label="Shared with the team">
+            {sharedViews.map(view => (
+              <option key={view._id} value={view._id}>{view.name}</option>
+            ))}
+          </optgroup>
+        )}
+      </select>
+
+      {modified && <span className="text-sm text-gray-500 italic">Edited</span>}
+
+      {modified && currentView.canEdit && (
+        <button type="button" onClick={handleUpdate} className={buttonClassName}>
+          Update view
+        </button>
+      )}
+
+      {saving ? (
+        <form onSubmit={handleSave} className="flex flex-wrap items-center gap-3">
+          <input
+            type="text"
+            value={saving.name}
+            onChange={(e) => setSaving({ ...saving, name: e.target.value })}
+            placeholder="View name"
+            aria-label="View name"
+            required
+            autoFocus
+            className="focus:ring-primary-500 focus:border-primary-500 block w-56 shadow-sm sm:text-sm border-gray-300 rounded-md"
+          />
+          {can('views:share') && (
+            <label className="flex items-center text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={saving.shared}
+                onChange={(e) => setSaving({ ...saving, shared: e.target.checked })}
+                className="h-4 w-4 rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+              />
+              <span className="ml-2">Share with the team</span>
+            </label>
+          )}
+          <button
+            type="submit"
+            className="inline-flex items-center px-3 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-primary-600 hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500"
+          >
+            Save
+          </button>
+          <button type="button" onClick={() => setSaving(null)} className="text-sm text-gray-500 hover:text-gray-700">
+            Cancel
+          </button>
+        </form>
+      ) : (
+        <button type="button" onClick={() => setSaving({ name: '', shared: false })} className={buttonClassName}>
+          <BookmarkIcon className="-ml-1 mr-2 h-5 w-5 text-gray-500" />
+          {currentView ? 'Save as new view' : 'Save view'}
+        </button>
+      )}
+
+      {currentView?.canEdit && (
+        <button type="button" onClick={handleDelete} className={buttonClassName} title="Delete view">
+          <TrashIcon className="h-5 w-5 text-gray-500" />
+          <span className="sr-only">Delete view</span>
+        </button>
+      )}
+
+      <button type="button" onClick={handleCopyLink} className={buttonClassName}>
+        <LinkIcon className="-ml-1 mr-2 h-5 w-5 text-gray-500" />
+        Copy link
+      </button>
+
+      {currentView?.shared && currentView.createdBy?.name && (
+        <span className="text-xs text-gray-500">Shared by {currentView.createdBy.name}</span>
+      )}
+    </div>
+  );
+};
+
+export default SavedViews;
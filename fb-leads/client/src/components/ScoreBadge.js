@@ -0,0 +1,33 @@
+import React from 'react';
+import { FireIcon } from '@heroicons/react/24/outline';
+
+// Score bands, highest first
+export const SCORE_BANDS = [
+  { min: 50, label: 'Hot', className: 'bg-red-100 text-red-800' },
+  { min: 20, label: 'Warm', className: 'bg-orange-100 text-orange-800' },
+  { min: -Infinity, label: 'Cold', className: 'bg-gray-100 text-gray-800' }
+];
+
+export const getScoreBand = (score = 0) => SCORE_BANDS.find(band => score >= band.min);
+
+// A lead's score, colored by band, with the rules behind it on hover
+const ScoreBadge = ({ lead }) => {
+  const score = lead?.score ?? 0;
+  const band = getScoreBand(score);
+  const title = (lead?.scoreBreakdown || []).length > 0
+    ? lead.scoreBreakdown.map(item => `${item.points > 0 ? '+' : ''}${item.points} ${item.name}`).join('\n')
+    : 'No scoring rules match';
+
+  return (
+    <span
+      title={title}
+      className={`inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium ${band.className}`}
+    >
+      <FireIcon className="-ml-0.5 mr-1 h-3.5 w-3.5" aria-hidden="true" />
+      {score}
+      <span className="sr-only"> ({band.label})</span>
+    </span>
+  );
+};
+
+export default ScoreBadge;
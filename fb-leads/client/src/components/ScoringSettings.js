@@ -0,0 +1,464 @@
+import React, { useState, useEffect } from 'react';
+import { toast } from 'react-toastify';
+import scoringService from '../services/scoringService';
+import { OPERATOR_LABELS } from '../pages/Routing';
+import {
+  PencilIcon,
+  PlusIcon,
+  TrashIcon
+} from '@heroicons/react/24/outline';
+
+export const CRITERION_LABELS = {
+  answer: 'Form answers',
+  platform: 'Platform',
+  campaign: 'Campaign or ad',
+  completeness: 'Contact details',
+  recency: 'Recency'
+};
+
+const SOURCE_LABELS = {
+  campaign: 'Campaign',
+  adset: 'Ad set',
+  ad: 'Ad'
+};
+
+const CONTACT_FIELD_LABELS = {
+  fullName: 'Name',
+  email: 'Email',
+  phone: 'Valid phone'
+};
+
+const emptyRule = {
+  name: '',
+  isActive: true,
+  criterion: 'answer',
+  points: 10,
+  match: 'all',
+  conditions: [{ field: '', operator: 'equals', value: '' }],
+  values: '',
+  source: 'campaign',
+  contactFields: ['email', 'phone'],
+  withinHours: 24
+};
+
+// What a rule scores, in words
+const describeRule = (rule) => {
+  switch (rule.criterion) {
+    case 'answer':
+      return rule.conditions
+        .map(condition => `${condition.field} ${OPERATOR_LABELS[condition.operator] || condition.operator}${condition.operator === 'exists' ? '' : ` "${condition.value}"`}`)
+        .join(rule.match === 'any' ? ' or ' : ' and ');
+    case 'platform':
+      return `Platform is ${rule.values.join(' or ')}`;
+    case 'campaign':
+      return `${SOURCE_LABELS[rule.source]} name contains ${rule.values.map(value => `"${value}"`).join(' or ')}`;
+    case 'completeness':
+      return `Has ${rule.contactFields.map(field => CONTACT_FIELD_LABELS[field].toLowerCase()).join(' and ')}`;
+    case 'recency':
+      return `Created in the last ${rule.withinHours} hours`;
+    default:
+      return rule.criterion;
+  }
+};
+
+const inputClassName = 'focus:ring-primary-500 focus:border-primary-500 block w-full shadow-sm sm:text-sm border-gray-300 rounded-md';
+const selectClassName = 'block w-full pl-3 pr-10 py-2 text-base border-gray-300 focus:outline-none focus:ring-primary-500 focus:border-primary-500 sm:text-sm rounded-md';
+
+// Lead scoring rules, shown on the Settings page to members who can manage
+// them. Saving a rule rescores every lead.
+const ScoringSettings = () => {
+  const [rules, setRules] = useState([]);
+  const [operators, setOperators] = useState(Object.keys(OPERATOR_LABELS));
+  const [loading, setLoading] = useState(true);
+  const [editing, setEditing] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const fetchRules = async () => {
+    try {
+      const response = await scoringService.getRules();
+      if (response.success) {
+        setRules(response.data);
+        setOperators(response.operators);
+      }
+    } catch (error) {
+      console.error('Error fetching scoring rules:', error);
+      toast.error('Failed to load scoring rules');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchRules();
+  }, []);
+
+  const getErrorMessage = (error, fallback) => {
+    return error.response?.data?.error
+      || error.response?.data?.errors?.[0]?.msg
+      || fallback;
+  };
+
+  const updateEditing = (changes) => {
+    setEditing(rule => ({ ...rule, ...changes }));
+  };
+
+  const updateCondition = (index, changes) => {
+    setEditing(rule => ({
+      ...rule,
+      conditions: rule.conditions.map((condition, i) => (i === index ? { ...condition, ...changes } : condition))
+    }));
+  };
+
+  const toggleContactField = (field) => {
+    setEditing(rule => ({
+      ...rule,
+      contactFields: rule.contactFields.includes(field)
+        ? rule.contactFields.filter(f => f !== field)
+        : [...rule.contactFields, field]
+    }));
+  };
+
+  const startEditing = (rule) => {
+    setEditing({
+      ...emptyRule,
+      ...rule,
+      conditions: rule.conditions.length > 0 ? rule.conditions.map(condition => ({ ...condition })) : emptyRule.conditions,
+      values: rule.values.join(', '),
+      contactFields: rule.contactFields.length > 0 ? rule.contactFields : emptyRule.contactFields,
+      withinHours: rule.withinHours || emptyRule.withinHours
+    });
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+
+    try {
+      setSaving(true);
+      const data = {
+        name: editing.name,
+        isActive: editing.isActive,
+        criterion: editing.criterion,
+        points: parseInt(editing.points, 10) || 0,
+        match: editing.match,
+        conditions: editing.criterion === 'answer' ? editing.conditions : [],
+        values: ['platform', 'campaign'].includes(editing.criterion)
+          ? editing.values.split(',').map(value => value.trim()).filter(Boolean)
+          : [],
+        source: editing.source,
+        contactFields: editing.criterion === 'completeness' ? editing.contactFields : [],
+        withinHours: editing.criterion === 'recency' ? parseInt(editing.withinHours, 10) || null : null
+      };
+
+      const response = editing._id
+        ? await scoringService.updateRule(editing._id, data)
+        : await scoringService.createRule(data);
+
+      if (response.success) {
+        toast.success(`Scoring rule saved, ${response.rescored} lead(s) rescored`);
+        setEditing(null);
+        fetchRules();
+      }
+    } catch (error) {
+      console.error('Error saving scoring rule:', error);
+      toast.error(getErrorMessage(error, 'Failed to save scoring rule'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (rule) => {
+    if (!window.confirm(`Delete the scoring rule "${rule.name}"? Leads will be rescored.`)) {
+      return;
+    }
+
+    try {
+      await scoringService.deleteRule(rule._id);
+      toast.success('Scoring rule deleted');
+      setRules(rules.filter(r => r._id !== rule._id));
+    } catch (error) {
+      console.error('Error deleting scoring rule:', error);
+      toast.error(getErrorMessage(error, 'Failed to delete scoring rule'));
+    }
+  };
+
+  return (
+    <div className="mt-8 bg-white shadow px-4 py-5 sm:rounded-lg sm:p-6">
+      <div className="md:grid md:grid-cols-3 md:gap-6">
+        <div className="md:col-span-1">
+          <h3 className="text-lg font-medium leading-6 text-gray-900">Lead Scoring</h3>
+          <p className="mt-1 text-sm text-gray-500">
+            A lead's score is the sum of the points of the rules it matches, so reps can call the hottest leads first.
+            Use negative points to mark leads down.
+          </p>
+        </div>
+        <div className="mt-5 md:mt-0 md:col-span-2">
+          {loading ? (
+            <div className="flex justify-center py-4">
+              <div className="animate-spin rounded-full h-8 w-8 border-t-2 border-b-2 border-primary-600"></div>
+            </div>
+          ) : editing ? (
+            <form onSubmit={handleSave} className="space-y-4">
+              <div className="grid grid-cols-6 gap-4">
+                <div className="col-span-6 sm:col-span-3">
+                  <label htmlFor="scoringRuleName" className="block text-sm font-medium text-gray-700">Name</label>
+                  <input
+                    type="text"
+                    id="scoringRuleName"
+                    value={editing.name}
+                    onChange={(e) => updateEditing({ name: e.target.value })}
+                    className={`mt-1 ${inputClassName}`}
+                    placeholder="e.g. Budget over $20k"
+                    required
+                  />
+                </div>
+                <div className="col-span-3 sm:col-span-1">
+                  <label htmlFor="scoringRulePoints" className="block text-sm font-medium text-gray-700">Points</label>
+                  <input
+                    type="number"
+                    id="scoringRulePoints"
+                    value={editing.points}
+                    onChange={(e) => updateEditing({ points: e.target.value })}
+                    className={`mt-1 ${inputClassName}`}
+                    required
+                  />
+                </div>
+                <div className="col-span-3 sm:col-span-2">
+                  <label htmlFor="scoringRuleCriterion" className="block text-sm font-medium text-gray-700">Looks at</label>
+                  <select
+                    id="scoringRuleCriterion"
+                    value={editing.criterion}
+                    onChange={(e) => updateEditing({ criterion: e.target.value })}
+                    className={`mt-1 ${selectClassName}`}
+                  >
+                    {Object.entries(CRITERION_LABELS).map(([value, label]) => (
+                      <option key={value} value={value}>{label}</option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+
+              {editing.criterion === 'answer' && (
+                <div>
+                  <div className="flex items-center justify-between">
+                    <span className="block text-sm font-medium text-gray-700">Conditions on form answers</span>
+                    <select
+                      value={editing.match}
+                      onChange={(e) => updateEditing({ match: e.target.value })}
+                      aria-label="Match"
+                      className="pl-3 pr-8 py-1 text-sm border-gray-300 focus:outline-none focus:ring-primary-500 focus:border-primary-500 rounded-md"
+                    >
+                      <option value="all">All conditions</option>
+                      <option value="any">Any condition</option>
+                    </select>
+                  </div>
+                  {editing.conditions.map((condition, index) => (
+                    <div key={index} className="mt-2 flex space-x-2">
+                      <input
+                        type="text"
+                        value={condition.field}
+                        onChange={(e) => updateCondition(index, { field: e.target.value })}
+                        className={`w-1/3 ${inputClassName}`}
+                        placeholder="Field, e.g. budget"
+                        required
+                      />
+                      <select
+                        value={condition.operator}
+                        onChange={(e) => updateCondition(index, { operator: e.target.value })}
+                        className={`w-1/4 ${selectClassName}`}
+                      >
+                        {operators.map(operator => (
+                          <option key={operator} value={operator}>{OPERATOR_LABELS[operator] || operator}</option>
+                        ))}
+                      </select>
+                      {condition.operator !== 'exists' && (
+                        <input
+                          type="text"
+                          value={condition.value ?? ''}
+                          onChange={(e) => updateCondition(index, { value: e.target.value })}
+                          className={`w-1/3 ${inputClassName}`}
+                          placeholder={condition.operator === 'in' ? 'Comma separated values' : 'Value'}
+                        />
+                      )}
+                      <button
+                        type="button"
+                        onClick={() => updateEditing({ conditions: editing.conditions.filter((_, i) => i !== index) })}
+                        disabled={editing.conditions.length === 1}
+                        className="text-red-600 hover:text-red-900 disabled:opacity-30"
+                      >
+                        <TrashIcon className="h-5 w-5" />
+                      </button>
+                    </div>
+                  ))}
+                  <button
+                    type="button"
+                    onClick={() => updateEditing({ conditions: [...editing.conditions, { field: '', operator: 'equals', value: '' }] })}
+                    className="mt-2 text-sm text-primary-600 hover:text-primary-500"
+                  >
+                    + Add condition
+                  </button>
+                </div>
+              )}
+
+              {editing.criterion === 'platform' && (
+                <div>
+                  <label htmlFor="scoringRuleValues" className="block text-sm font-medium text-gray-700">Platforms</label>
+                  <input
+                    type="text"
+                    id="scoringRuleValues"
+                    value={editing.values}
+                    onChange={(e) => updateEditing({ values: e.target.value })}
+                    className={`mt-1 ${inputClassName}`}
+                    placeholder="e.g. fb, ig"
+                    required
+                  />
+                  <p className="mt-1 text-xs text-gray-500">Separate platforms with commas, as Facebook reports them: fb or ig.</p>
+                </div>
+              )}
+
+              {editing.criterion === 'campaign' && (
+                <div className="grid grid-cols-6 gap-4">
+                  <div className="col-span-6 sm:col-span-2">
+                    <label htmlFor="scoringRuleSource" className="block text-sm font-medium text-gray-700">Name of the</label>
+                    <select
+                      id="scoringRuleSource"
+                      value={editing.source}
+                      onChange={(e) => updateEditing({ source: e.target.value })}
+                      className={`mt-1 ${selectClassName}`}
+                    >
+                      {Object.entries(SOURCE_LABELS).map(([value, label]) => (
+                        <option key={value} value={value}>{label}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <div className="col-span-6 sm:col-span-4">
+                    <label htmlFor="scoringRuleValues" className="block text-sm font-medium text-gray-700">Contains</label>
+                    <input
+                      type="text"
+                      id="scoringRuleValues"
+                      value={editing.values}
+                      onChange={(e) => updateEditing({ values: e.target.value })}
+                      className={`mt-1 ${inputClassName}`}
+                      placeholder="e.g. retargeting, lookalike"
+                      required
+                    />
+                  </div>
+                </div>
+              )}
+
+              {editing.criterion === 'completeness' && (
+                <div>
+                  <span className="block text-sm font-medium text-gray-700">Lead has all of</span>
+                  <div className="mt-2 flex space-x-4">
+                    {Object.entries(CONTACT_FIELD_LABELS).map(([field, label]) => (
+                      <label key={field} className="inline-flex items-center text-sm text-gray-700">
+                        <input
+                          type="checkbox"
+                          checked={editing.contactFields.includes(field)}
+                          onChange={() => toggleContactField(field)}
+                          className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300 rounded"
+                        />
+                        <span className="ml-2">{label}</span>
+                      </label>
+                    ))}
+                  </div>
+                </div>
+              )}
+
+              {editing.criterion === 'recency' && (
+                <div>
+                  <label htmlFor="scoringRuleHours" className="block text-sm font-medium text-gray-700">Created within (hours)</label>
+                  <input
+                    type="number"
+                    id="scoringRuleHours"
+                    min="1"
+                    value={editing.withinHours}
+                    onChange={(e) => updateEditing({ withinHours: e.target.value })}
+                    className={`mt-1 w-32 ${inputClassName}`}
+                    required
+                  />
+                  <p className="mt-1 text-xs text-gray-500">The points drop off once a lead is older.</p>
+                </div>
+              )}
+
+              <div className="flex items-center">
+                <input
+                  type="checkbox"
+                  id="scoringRuleActive"
+                  checked={editing.isActive}
+                  onChange={(e) => updateEditing({ isActive: e.target.checked })}
+                  className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300 rounded"
+                />
+                <label htmlFor="scoringRuleActive" className="ml-2 block text-sm text-gray-900">Active</label>
+              </div>
+
+              <div className="flex space-x-2">
+                <button
+                  type="submit"
+                  disabled={saving}
+                  className={`inline-flex justify-center py-2 px-4 border border-transparent shadow-sm text-sm font-medium rounded-md text-white bg-primary-600 hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 ${
+                    saving ? 'opacity-70 cursor-not-allowed' : ''
+                  }`}
+                >
+                  {saving ? 'Saving...' : 'Save Rule'}
+                </button>
+                <button
+                  type="button"
+                  onClick={() => setEditing(null)}
+                  className="inline-flex justify-center py-2 px-4 border border-gray-300 shadow-sm text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50"
+                >
+                  Cancel
+                </button>
+              </div>
+            </form>
+          ) : (
+            <>
+              {rules.length > 0 ? (
+                <ul className="divide-y divide-gray-200 border border-gray-200 rounded-md">
+                  {rules.map(rule => (
+                    <li key={rule._id} className="px-4 py-3 flex items-center justify-between">
+                      <div className="min-w-0">
+                        <p className="text-sm font-medium text-gray-900">
+                          {rule.name}
+                          <span className={`ml-2 text-xs font-semibold ${rule.points < 0 ? 'text-red-600' : 'text-green-600'}`}>
+                            {rule.points > 0 ? '+' : ''}{rule.points}
+                          </span>
+                          {!rule.isActive && <span className="ml-2 text-xs text-gray-500">(inactive)</span>}
+                        </p>
+                        <p className="text-xs text-gray-500 truncate">{describeRule(rule)}</p>
+                      </div>
+                      <div className="ml-4 flex items-center space-x-3">
+                        <button
+                          onClick={() => startEditing(rule)}
+                          className="text-primary-600 hover:text-primary-900"
+                        >
+                          <PencilIcon className="h-5 w-5" />
+                        </button>
+                        <button
+                          onClick={() => handleDelete(rule)}
+                          className="text-red-600 hover:text-red-900"
+                        >
+                          <TrashIcon className="h-5 w-5" />
+                        </button>
+                      </div>
+                    </li>
+                  ))}
+                </ul>
+              ) : (
+                <p className="text-sm text-gray-500">No scoring rules yet, so every lead scores 0.</p>
+              )}
+              <button
+                onClick={() => setEditing({ ...emptyRule, conditions: emptyRule.conditions.map(condition => ({ ...condition })) })}
+                className="mt-4 inline-flex items-center px-3 py-2 border border-transparent text-sm leading-4 font-medium rounded-md text-white bg-primary-600 hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500"
+              >
+                <PlusIcon className="-ml-0.5 mr-2 h-4 w-4" />
+                New Rule
+              </button>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ScoringSettings;
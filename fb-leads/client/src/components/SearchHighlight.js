@@ -0,0 +1,28 @@
+import React from 'react';
+
+// Escape a value for use in a regex, so words match literally
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// The words of a search, as the server looks them up
+export const getSearchWords = (search) => (search || '')
+  .split(/\s+/)
+  .map(word => word.replace(/["\\]/g, '').replace(/^-+/, ''))
+  .filter(word => /[\p{L}\p{N}]/u.test(word));
+
+// Text with the words of a search marked
+const SearchHighlight = ({ text, search }) => {
+  const words = getSearchWords(search);
+
+  if (!text || words.length === 0) {
+    return text || null;
+  }
+
+  // With a capture group, split keeps the matches at the odd indexes
+  const pattern = new RegExp(`(${words.map(escapeRegex).join('|')})`, 'gi');
+
+  return String(text).split(pattern).map((part, index) => (index % 2 === 1
+    ? <mark key={index} className="bg-yellow-200 text-gray-900 rounded-sm">{part}</mark>
+    : part));
+};
+
+export default SearchHighlight;
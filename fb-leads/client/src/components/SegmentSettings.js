@@ -0,0 +1,325 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import segmentService from '../services/segmentService';
+import leadService from '../services/leadService';
+import { toLeadBody } from './LeadFilters';
+import { SOURCE_LABELS } from './LeadSource';
+import { useAuth } from '../context/AuthContext';
+import {
+  ArrowDownTrayIcon,
+  BellAlertIcon,
+  EyeIcon,
+  PencilIcon,
+  RectangleGroupIcon,
+  TrashIcon
+} from '@heroicons/react/24/outline';
+
+// How a segment's filters read, e.g. "Status: new · Tags: VIP"
+const FILTER_LABELS = {
+  source: 'Source',
+  formId: 'Form',
+  pageId: 'Page',
+  pipelineId: 'Pipeline',
+  status: 'Status',
+  assignedTo: 'Assigned to',
+  sla: 'SLA',
+  minScore: 'Min score',
+  maxScore: 'Max score',
+  tags: 'Tags',
+  archived: 'Archived',
+  startDate: 'From',
+  endDate: 'To'
+};
+
+const describeFilters = (filters = {}) => {
+  const parts = Object.entries(filters).map(([key, value]) => {
+    if (key === 'createdWithin') return `Created in the last ${value} days`;
+    if (key === 'cf') return `Custom fields: ${Object.keys(value).join(', ')}`;
+    if (key === 'source') return `${FILTER_LABELS.source}: ${SOURCE_LABELS[value] || value}`;
+    if (key === 'startDate' || key === 'endDate') return `${FILTER_LABELS[key]}: ${new Date(value).toLocaleDateString()}`;
+    return `${FILTER_LABELS[key] || key}: ${value}`;
+  });
+
+  return parts.length > 0 ? parts.join(' · ') : 'Every lead';
+};
+
+const getErrorMessage = (error, fallback) => {
+  return error.response?.data?.error
+    || error.response?.data?.errors?.[0]?.msg
+    || fallback;
+};
+
+const inputClassName = 'focus:ring-primary-500 focus:border-primary-500 block shadow-sm sm:text-sm border-gray-300 rounded-md';
+
+// Save the leads list's filters as a segment. Segments are dynamic, so
+// instead of the list's date range they can keep leads from the last so
+// many days; the search isn't kept.
+export const SaveSegment = ({ filters, onSaved }) => {
+  const [saving, setSaving] = useState(null);
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+
+    try {
+      const body = toLeadBody({ ...filters, dateRange: 'all', searchTerm: '', segmentId: '' });
+      if (saving.createdWithin) {
+        body.createdWithin = saving.createdWithin;
+      }
+
+      const response = await segmentService.createSegment({ name: saving.name, filters: body });
+
+      if (response.success) {
+        toast.success('Segment saved');
+        setSaving(null);
+        onSaved(response.data);
+      }
+    } catch (error) {
+      console.error('Error saving segment:', error);
+      toast.error(getErrorMessage(error, 'Failed to save segment'));
+    }
+  };
+
+  if (!saving) {
+    return (
+      <button
+        type="button"
+        onClick={() => setSaving({ name: '', createdWithin: '' })}
+        className="inline-flex items-center px-3 py-2 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500"
+      >
+        <RectangleGroupIcon className="-ml-1 mr-2 h-5 w-5 text-gray-500" />
+        Save as segment
+      </button>
+    );
+  }
+
+  return (
+    <form onSubmit={handleSave} className="flex flex-wrap items-center gap-3">
+      <input
+        type="text"
+        value={saving.name}
+        onChange={(e) => setSaving({ ...saving, name: e.target.value })}
+        placeholder="Segment name"
+        aria-label="Segment name"
+        required
+        autoFocus
+        className={`${inputClassName} w-48`}
+      />
+      <label className="flex items-center text-sm text-gray-700">
+        Created in the last
+        <input
+          type="number"
+          min="1"
+          value={saving.createdWithin}
+          onChange={(e) => setSaving({ ...saving, createdWithin: e.target.value })}
+          placeholder="Any"
+          className={`${inputClassName} mx-2 w-20`}
+        />
+        days
+      </label>
+      <button
+        type="submit"
+        className="inline-flex items-center px-3 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-primary-600 hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500"
+      >
+        Save
+      </button>
+      <button type="button" onClick={() => setSaving(null)} className="text-sm text-gray-500 hover:text-gray-700">
+        Cancel
+      </button>
+      {filters.searchTerm?.trim() && <span className="text-xs text-gray-500">The search isn't saved with the segment.</span>}
+    </form>
+  );
+};
+
+// Lead segments on the Settings page: how many leads each has, a switch to
+// be notified of new ones, and for members who can, exporting, renaming
+// and deleting them. Segments are made from the leads list's filters.
+const SegmentSettings = () => {
+  const { can } = useAuth();
+  const [segments, setSegments] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [editing, setEditing] = useState(null);
+  const canManage = can('segments:manage');
+
+  const fetchSegments = async () => {
+    try {
+      const response = await segmentService.getSegments();
+      if (response.success) {
+        setSegments(response.data);
+      }
+    } catch (error) {
+      console.error('Error fetching segments:', error);
+      toast.error('Failed to load segments');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchSegments();
+  }, []);
+
+  const replaceSegment = (segment) => {
+    setSegments(prev => prev.map(s => (s._id === segment._id ? segment : s)));
+  };
+
+  const handleSubscribe = async (segment) => {
+    try {
+      const response = await segmentService.setSubscribed(segment._id, !segment.subscribed);
+      if (response.success) {
+        replaceSegment(response.data);
+        toast.success(response.data.subscribed
+          ? `You'll be notified of new leads in ${segment.name}`
+          : `Notifications for ${segment.name} turned off`);
+      }
+    } catch (error) {
+      console.error('Error updating segment subscription:', error);
+      toast.error(getErrorMessage(error, 'Failed to update notifications'));
+    }
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+
+    try {
+      const response = await segmentService.updateSegment(editing._id, {
+        name: editing.name,
+        description: editing.description
+      });
+      if (response.success) {
+        toast.success('Segment updated');
+        replaceSegment(response.data);
+        setEditing(null);
+      }
+    } catch (error) {
+      console.error('Error updating segment:', error);
+      toast.error(getErrorMessage(error, 'Failed to update segment'));
+    }
+  };
+
+  const handleExport = (segment) => {
+    try {
+      leadService.exportLeads({ segmentId: segment._id });
+      toast.info('Preparing CSV export...');
+    } catch (error) {
+      console.error('Error exporting segment:', error);
+      toast.error('Failed to export leads');
+    }
+  };
+
+  const handleDelete = async (segment) => {
+    if (!window.confirm(`Delete the segment "${segment.name}"? Its leads stay as they are.`)) {
+      return;
+    }
+
+    try {
+      await segmentService.deleteSegment(segment._id);
+      toast.success('Segment deleted');
+      setSegments(prev => prev.filter(s => s._id !== segment._id));
+    } catch (error) {
+      console.error('Error deleting segment:', error);
+      toast.error(getErrorMessage(error, 'Failed to delete segment'));
+    }
+  };
+
+  return (
+    <div className="mt-8 bg-white shadow px-4 py-5 sm:rounded-lg sm:p-6">
+      <div className="md:grid md:grid-cols-3 md:gap-6">
+        <div className="md:col-span-1">
+          <h3 className="text-lg font-medium leading-6 text-gray-900">Segments</h3>
+          <p className="mt-1 text-sm text-gray-500">
+            Groups of leads defined by filters, kept up to date as leads come in and change.
+            Open one as a list, export it, or get notified of its new leads.
+            {canManage && ' Save a segment from the filters on the leads list.'}
+          </p>
+        </div>
+        <div className="mt-5 md:mt-0 md:col-span-2">
+          {loading ? (
+            <div className="flex justify-center py-4">
+              <div className="animate-spin rounded-full h-8 w-8 border-t-2 border-b-2 border-primary-600"></div>
+            </div>
+          ) : segments.length > 0 ? (
+            <ul className="divide-y divide-gray-200 border border-gray-200 rounded-md">
+              {segments.map(segment => (
+                <li key={segment._id} className="px-4 py-3">
+                  {editing?._id === segment._id ? (
+                    <form onSubmit={handleSave} className="flex flex-wrap items-center gap-3">
+                      <input
+                        type="text"
+                        value={editing.name}
+                        onChange={(e) => setEditing({ ...editing, name: e.target.value })}
+                        aria-label="Segment name"
+                        required
+                        className={`${inputClassName} w-48`}
+                      />
+                      <input
+                        type="text"
+                        value={editing.description}
+                        onChange={(e) => setEditing({ ...editing, description: e.target.value })}
+                        placeholder="Description"
+                        aria-label="Description"
+                        className={`${inputClassName} flex-1`}
+                      />
+                      <button type="submit" className="text-sm font-medium text-primary-600 hover:text-primary-900">Save</button>
+                      <button type="button" onClick={() => setEditing(null)} className="text-sm text-gray-500 hover:text-gray-700">Cancel</button>
+                    </form>
+                  ) : (
+                    <div className="flex items-center justify-between">
+                      <div>
+                        <p className="text-sm font-medium text-gray-900">
+                          {segment.name}
+                          <span className="ml-2 text-xs font-normal text-gray-500">{segment.leadCount} leads</span>
+                        </p>
+                        {segment.description && <p className="text-xs text-gray-600">{segment.description}</p>}
+                        <p className="text-xs text-gray-500">{describeFilters(segment.filters)}</p>
+                      </div>
+                      <div className="flex items-center space-x-3">
+                        <button
+                          onClick={() => handleSubscribe(segment)}
+                          title={segment.subscribed ? 'Stop notifying me of new leads' : 'Notify me of new leads'}
+                          className={segment.subscribed ? 'text-primary-600 hover:text-primary-900' : 'text-gray-400 hover:text-gray-600'}
+                        >
+                          <BellAlertIcon className="h-5 w-5" />
+                          <span className="sr-only">{segment.subscribed ? 'Stop notifications' : 'Notify me'}</span>
+                        </button>
+                        <Link to={`/leads?segmentId=${segment._id}`} className="text-gray-400 hover:text-gray-600" title="View leads">
+                          <EyeIcon className="h-5 w-5" />
+                          <span className="sr-only">View leads</span>
+                        </Link>
+                        {can('leads:export') && (
+                          <button onClick={() => handleExport(segment)} className="text-gray-400 hover:text-gray-600" title="Export CSV">
+                            <ArrowDownTrayIcon className="h-5 w-5" />
+                            <span className="sr-only">Export CSV</span>
+                          </button>
+                        )}
+                        {canManage && (
+                          <button
+                            onClick={() => setEditing({ _id: segment._id, name: segment.name, description: segment.description || '' })}
+                            className="text-primary-600 hover:text-primary-900"
+                          >
+                            <PencilIcon className="h-5 w-5" />
+                            <span className="sr-only">Edit segment</span>
+                          </button>
+                        )}
+                        {canManage && (
+                          <button onClick={() => handleDelete(segment)} className="text-red-600 hover:text-red-900">
+                            <TrashIcon className="h-5 w-5" />
+                            <span className="sr-only">Delete segment</span>
+                          </button>
+                        )}
+                      </div>
+                    </div>
+                  )}
+                </li>
+              ))}
+            </ul>
+          ) : (
+            <p className="text-sm text-gray-500">No segments yet.</p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SegmentSettings;
@@ -0,0 +1,66 @@
+import React from 'react';
+
+// A duration in minutes as "45m", "3h 5m" or "2d 4h"
+export const formatMinutes = (minutes) => {
+  if (minutes === null || minutes === undefined) {
+    return '—';
+  }
+
+  const rounded = Math.round(minutes);
+
+  if (rounded < 60) {
+    return `${rounded}m`;
+  }
+  if (rounded < 60 * 24) {
+    return `${Math.floor(rounded / 60)}h${rounded % 60 ? ` ${rounded % 60}m` : ''}`;
+  }
+
+  const hours = Math.floor((rounded % (60 * 24)) / 60);
+  return `${Math.floor(rounded / (60 * 24))}d${hours ? ` ${hours}h` : ''}`;
+};
+
+// Where a lead stands against its SLA: null without a target, otherwise
+// met, breached, or pending with the minutes left
+export const getSlaState = (lead, now = new Date()) => {
+  if (!lead?.slaDueAt) {
+    return null;
+  }
+
+  const dueAt = new Date(lead.slaDueAt);
+
+  if (lead.firstContactedAt) {
+    return { state: new Date(lead.firstContactedAt) > dueAt ? 'breached' : 'met' };
+  }
+
+  if (now > dueAt) {
+    return { state: 'breached' };
+  }
+
+  return {
+    state: lead.slaWarnAt && now >= new Date(lead.slaWarnAt) ? 'at_risk' : 'pending',
+    minutesLeft: (dueAt - now) / 60000
+  };
+};
+
+const SLA_STYLES = {
+  breached: 'bg-red-100 text-red-800',
+  at_risk: 'bg-yellow-100 text-yellow-800',
+  pending: 'bg-gray-100 text-gray-800'
+};
+
+// A flag for leads that missed or are close to their SLA; nothing once met
+const SlaBadge = ({ lead }) => {
+  const sla = getSlaState(lead);
+
+  if (!sla || sla.state === 'met') {
+    return null;
+  }
+
+  return (
+    <span className={`inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium ${SLA_STYLES[sla.state]}`}>
+      {sla.state === 'breached' ? 'SLA breached' : `${formatMinutes(sla.minutesLeft)} to contact`}
+    </span>
+  );
+};
+
+export default SlaBadge;
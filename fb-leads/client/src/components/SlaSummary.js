@@ -0,0 +1,96 @@
+import React, { useState, useEffect } from 'react';
+import leadService from '../services/leadService';
+import { formatMinutes } from './SlaBadge';
+
+// One table of response times, per agent or per form
+const ResponseTable = ({ title, rows, nameOf }) => (
+  <div className="bg-white shadow overflow-hidden sm:rounded-md">
+    <table className="min-w-full divide-y divide-gray-200">
+      <thead className="bg-gray-50">
+        <tr>
+          <th scope="col" className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">{title}</th>
+          <th scope="col" className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Leads</th>
+          <th scope="col" className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Median</th>
+          <th scope="col" className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Breached</th>
+        </tr>
+      </thead>
+      <tbody className="divide-y divide-gray-200">
+        {rows.length > 0 ? rows.map(row => (
+          <tr key={row.formId || row.userId || 'unassigned'}>
+            <td className="px-4 py-2 text-sm text-gray-900">{nameOf(row)}</td>
+            <td className="px-4 py-2 text-sm text-gray-500 text-right">{row.leads}</td>
+            <td className="px-4 py-2 text-sm text-gray-500 text-right">{formatMinutes(row.medianMinutes)}</td>
+            <td className={`px-4 py-2 text-sm text-right ${row.breached > 0 ? 'text-red-600 font-medium' : 'text-gray-500'}`}>
+              {row.withSla > 0 ? row.breached : '—'}
+            </td>
+          </tr>
+        )) : (
+          <tr>
+            <td colSpan="4" className="px-4 py-4 text-center text-sm text-gray-500">No leads yet</td>
+          </tr>
+        )}
+      </tbody>
+    </table>
+  </div>
+);
+
+// Median time to first contact and SLA breaches over the last 30 days
+const SlaSummary = () => {
+  const [summary, setSummary] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    const fetchSummary = async () => {
+      try {
+        const response = await leadService.getSlaSummary();
+        if (response.success) {
+          setSummary(response.data);
+        }
+      } catch (error) {
+        console.error('Error fetching response times:', error);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchSummary();
+  }, []);
+
+  return (
+    <div className="mt-8">
+      <h2 className="text-lg font-medium text-gray-900">Response Times <span className="text-sm font-normal text-gray-500">(last 30 days)</span></h2>
+
+      {loading ? (
+        <div className="mt-4 p-4 flex justify-center">
+          <div className="animate-spin rounded-full h-8 w-8 border-t-2 border-b-2 border-primary-600"></div>
+        </div>
+      ) : summary ? (
+        <>
+          <dl className="mt-4 grid grid-cols-1 gap-5 sm:grid-cols-3">
+            <div className="bg-white shadow rounded-lg p-5">
+              <dt className="text-sm font-medium text-gray-500">Median first contact</dt>
+              <dd className="text-lg font-medium text-gray-900">{formatMinutes(summary.overall.medianMinutes)}</dd>
+            </div>
+            <div className="bg-white shadow rounded-lg p-5">
+              <dt className="text-sm font-medium text-gray-500">Contacted</dt>
+              <dd className="text-lg font-medium text-gray-900">{summary.overall.contacted} of {summary.overall.leads}</dd>
+            </div>
+            <div className="bg-white shadow rounded-lg p-5">
+              <dt className="text-sm font-medium text-gray-500">SLA breaches</dt>
+              <dd className={`text-lg font-medium ${summary.overall.breached > 0 ? 'text-red-600' : 'text-gray-900'}`}>
+                {summary.overall.withSla > 0 ? `${summary.overall.breached} of ${summary.overall.withSla}` : 'No SLA set'}
+              </dd>
+            </div>
+          </dl>
+
+          <div className="mt-4 grid grid-cols-1 gap-5 lg:grid-cols-2">
+            <ResponseTable title="Agent" rows={summary.byAgent} nameOf={row => row.name} />
+            <ResponseTable title="Form" rows={summary.byForm} nameOf={row => row.formName} />
+          </div>
+        </>
+      ) : null}
+    </div>
+  );
+};
+
+export default SlaSummary;
@@ -0,0 +1,39 @@
+import React from 'react';
+
+// Badge classes for each stage color the server allows
+export const STAGE_COLORS = {
+  gray: 'bg-gray-100 text-gray-800',
+  blue: 'bg-blue-100 text-blue-800',
+  indigo: 'bg-indigo-100 text-indigo-800',
+  purple: 'bg-purple-100 text-purple-800',
+  pink: 'bg-pink-100 text-pink-800',
+  red: 'bg-red-100 text-red-800',
+  orange: 'bg-orange-100 text-orange-800',
+  yellow: 'bg-yellow-100 text-yellow-800',
+  green: 'bg-green-100 text-green-800',
+  teal: 'bg-teal-100 text-teal-800'
+};
+
+// The pipeline a lead is in; leads from before pipelines are in the default
+export const getLeadPipeline = (pipelines, lead) => {
+  return pipelines.find(pipeline => pipeline._id === lead?.pipelineId)
+    || pipelines.find(pipeline => pipeline.isDefault)
+    || null;
+};
+
+// The lead's stage in its pipeline
+export const getLeadStage = (pipelines, lead) => {
+  const pipeline = getLeadPipeline(pipelines, lead);
+  return pipeline?.stages.find(stage => stage.key === lead?.status) || null;
+};
+
+// A lead's stage as a colored pill
+const StageBadge = ({ stage, status }) => (
+  <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${
+    STAGE_COLORS[stage?.color] || STAGE_COLORS.gray
+  }`}>
+    {stage?.name || status || 'Unknown'}
+  </span>
+);
+
+export default StageBadge;
@@ -0,0 +1,36 @@
+import React from 'react';
+import { XMarkIcon } from '@heroicons/react/24/outline';
+import { STAGE_COLORS } from './StageBadge';
+
+// Color of each tag by name, from the workspace's tags
+export const getTagColors = (tags) => new Map(tags.map(tag => [tag.name, tag.color]));
+
+// One tag, removable when given onRemove
+export const TagChip = ({ name, color, onRemove }) => (
+  <span className={`inline-flex items-center rounded-full px-2 py-0.5 text-xs font-medium ${
+    STAGE_COLORS[color] || STAGE_COLORS.gray
+  }`}>
+    {name}
+    {onRemove && (
+      <button type="button" onClick={onRemove} className="ml-1 -mr-0.5 opacity-60 hover:opacity-100">
+        <XMarkIcon className="h-3 w-3" />
+        <span className="sr-only">Remove {name}</span>
+      </button>
+    )}
+  </span>
+);
+
+// A lead's tags, colored as the workspace's tags are
+const TagChips = ({ names = [], colors = new Map() }) => {
+  if (names.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="flex flex-wrap gap-1">
+      {names.map(name => <TagChip key={name} name={name} color={colors.get(name)} />)}
+    </div>
+  );
+};
+
+export default TagChips;
@@ -0,0 +1,230 @@
+import React, { useState, useEffect } from 'react';
+import { toast } from 'react-toastify';
+import tagService from '../services/tagService';
+import { TagChip } from './TagChips';
+import {
+  ArrowsPointingInIcon,
+  PencilIcon,
+  PlusIcon,
+  TrashIcon
+} from '@heroicons/react/24/outline';
+
+const getErrorMessage = (error, fallback) => {
+  return error.response?.data?.error
+    || error.response?.data?.errors?.[0]?.msg
+    || fallback;
+};
+
+const inputClassName = 'focus:ring-primary-500 focus:border-primary-500 block shadow-sm sm:text-sm border-gray-300 rounded-md';
+const selectClassName = 'block pl-3 pr-10 py-2 text-base border-gray-300 focus:outline-none focus:ring-primary-500 focus:border-primary-500 sm:text-sm rounded-md';
+
+// Lead tags on the Settings page, for members who can manage them: rename
+// or recolor a tag, merge it into another, or delete it. Renames and merges
+// apply to every lead with the tag.
+const TagSettings = () => {
+  const [tags, setTags] = useState([]);
+  const [colors, setColors] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [editing, setEditing] = useState(null);
+  const [merging, setMerging] = useState(null);
+
+  const fetchTags = async () => {
+    try {
+      const response = await tagService.getTags();
+      if (response.success) {
+        setTags(response.data);
+        setColors(response.colors);
+      }
+    } catch (error) {
+      console.error('Error fetching tags:', error);
+      toast.error('Failed to load tags');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchTags();
+  }, []);
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+
+    try {
+      const data = { name: editing.name, color: editing.color };
+      const response = editing._id
+        ? await tagService.updateTag(editing._id, data)
+        : await tagService.createTag(data);
+
+      if (response.success) {
+        toast.success(editing._id ? 'Tag updated' : 'Tag created');
+        setEditing(null);
+        fetchTags();
+      }
+    } catch (error) {
+      console.error('Error saving tag:', error);
+      toast.error(getErrorMessage(error, 'Failed to save tag'));
+    }
+  };
+
+  const handleMerge = async (e) => {
+    e.preventDefault();
+
+    const target = tags.find(tag => tag._id === merging.targetId);
+    if (!target || !window.confirm(`Merge ${merging.tag.name} into ${target.name}? Its leads get ${target.name} instead.`)) {
+      return;
+    }
+
+    try {
+      const response = await tagService.mergeTag(merging.tag._id, target._id);
+      if (response.success) {
+        toast.success(`${merging.tag.name} merged into ${target.name}`);
+        setMerging(null);
+        fetchTags();
+      }
+    } catch (error) {
+      console.error('Error merging tags:', error);
+      toast.error(getErrorMessage(error, 'Failed to merge tags'));
+    }
+  };
+
+  const handleDelete = async (tag) => {
+    if (!window.confirm(`Delete ${tag.name}? It's taken off ${tag.leadCount} leads.`)) {
+      return;
+    }
+
+    try {
+      await tagService.deleteTag(tag._id);
+      toast.success('Tag deleted');
+      setTags(prev => prev.filter(t => t._id !== tag._id));
+    } catch (error) {
+      console.error('Error deleting tag:', error);
+      toast.error(getErrorMessage(error, 'Failed to delete tag'));
+    }
+  };
+
+  const renderEditor = () => (
+    <form onSubmit={handleSave} className="flex flex-wrap items-center gap-3">
+      <input
+        type="text"
+        value={editing.name}
+        onChange={(e) => setEditing({ ...editing, name: e.target.value })}
+        placeholder="e.g. VIP"
+        aria-label="Tag name"
+        maxLength={50}
+        required
+        autoFocus
+        className={`${inputClassName} w-48`}
+      />
+      <select
+        value={editing.color}
+        onChange={(e) => setEditing({ ...editing, color: e.target.value })}
+        aria-label="Color"
+        className={selectClassName}
+      >
+        {colors.map(color => (
+          <option key={color} value={color}>{color}</option>
+        ))}
+      </select>
+      <TagChip name={editing.name || 'Preview'} color={editing.color} />
+      <button type="submit" className="text-sm font-medium text-primary-600 hover:text-primary-900">Save</button>
+      <button type="button" onClick={() => setEditing(null)} className="text-sm text-gray-500 hover:text-gray-700">Cancel</button>
+    </form>
+  );
+
+  return (
+    <div className="mt-8 bg-white shadow px-4 py-5 sm:rounded-lg sm:p-6">
+      <div className="md:grid md:grid-cols-3 md:gap-6">
+        <div className="md:col-span-1">
+          <h3 className="text-lg font-medium leading-6 text-gray-900">Tags</h3>
+          <p className="mt-1 text-sm text-gray-500">
+            Labels on leads, like "VIP" or "wrong number". Anyone who can update leads can tag them;
+            renaming or merging a tag here changes it on every lead.
+          </p>
+        </div>
+        <div className="mt-5 md:mt-0 md:col-span-2">
+          {loading ? (
+            <div className="flex justify-center py-4">
+              <div className="animate-spin rounded-full h-8 w-8 border-t-2 border-b-2 border-primary-600"></div>
+            </div>
+          ) : (
+            <>
+              {tags.length > 0 ? (
+                <ul className="divide-y divide-gray-200 border border-gray-200 rounded-md">
+                  {tags.map(tag => (
+                    <li key={tag._id} className="px-4 py-3">
+                      {editing?._id === tag._id ? renderEditor() : merging?.tag._id === tag._id ? (
+                        <form onSubmit={handleMerge} className="flex flex-wrap items-center gap-3">
+                          <span className="text-sm text-gray-700">Merge <TagChip name={tag.name} color={tag.color} /> into</span>
+                          <select
+                            value={merging.targetId}
+                            onChange={(e) => setMerging({ ...merging, targetId: e.target.value })}
+                            aria-label="Tag to merge into"
+                            required
+                            className={selectClassName}
+                          >
+                            <option value="">Pick a tag</option>
+                            {tags.filter(t => t._id !== tag._id).map(t => (
+                              <option key={t._id} value={t._id}>{t.name}</option>
+                            ))}
+                          </select>
+                          <button type="submit" className="text-sm font-medium text-primary-600 hover:text-primary-900">Merge</button>
+                          <button type="button" onClick={() => setMerging(null)} className="text-sm text-gray-500 hover:text-gray-700">Cancel</button>
+                        </form>
+                      ) : (
+                        <div className="flex items-center justify-between">
+                          <div className="flex items-center space-x-2">
+                            <TagChip name={tag.name} color={tag.color} />
+                            <span className="text-xs text-gray-500">{tag.leadCount} leads</span>
+                          </div>
+                          <div className="flex items-center space-x-3">
+                            <button
+                              onClick={() => setEditing({ _id: tag._id, name: tag.name, color: tag.color })}
+                              className="text-primary-600 hover:text-primary-900"
+                            >
+                              <PencilIcon className="h-5 w-5" />
+                              <span className="sr-only">Edit tag</span>
+                            </button>
+                            {tags.length > 1 && (
+                              <button
+                                onClick={() => setMerging({ tag, targetId: '' })}
+                                className="text-gray-400 hover:text-gray-600"
+                                title="Merge into another tag"
+                              >
+                                <ArrowsPointingInIcon className="h-5 w-5" />
+                                <span className="sr-only">Merge tag</span>
+                              </button>
+                            )}
+                            <button onClick={() => handleDelete(tag)} className="text-red-600 hover:text-red-900">
+                              <TrashIcon className="h-5 w-5" />
+                              <span className="sr-only">Delete tag</span>
+                            </button>
+                          </div>
+                        </div>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+              ) : (
+                <p className="text-sm text-gray-500">No tags yet.</p>
+              )}
+              {editing && !editing._id ? (
+                <div className="mt-4">{renderEditor()}</div>
+              ) : (
+                <button
+                  onClick={() => setEditing({ name: '', color: 'gray' })}
+                  className="mt-4 inline-flex items-center px-3 py-2 border border-transparent text-sm leading-4 font-medium rounded-md text-white bg-primary-600 hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500"
+                >
+                  <PlusIcon className="-ml-0.5 mr-2 h-4 w-4" />
+                  New Tag
+                </button>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TagSettings;
@@ -0,0 +1,250 @@
+import React, { useState, useEffect } from 'react';
+import { toast } from 'react-toastify';
+import taskService from '../services/taskService';
+import { useAuth } from '../context/AuthContext';
+import {
+  CalendarIcon,
+  EnvelopeIcon,
+  PhoneIcon,
+  TrashIcon
+} from '@heroicons/react/24/outline';
+
+export const TASK_TYPES = [
+  { value: 'call', label: 'Call', icon: PhoneIcon },
+  { value: 'email', label: 'Email', icon: EnvelopeIcon },
+  { value: 'meeting', label: 'Meeting', icon: CalendarIcon }
+];
+
+export const getTaskIcon = (type) => {
+  return TASK_TYPES.find(option => option.value === type)?.icon || CalendarIcon;
+};
+
+export const formatDueDate = (dateString) => {
+  const options = { weekday: 'short', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' };
+  return new Date(dateString).toLocaleDateString(undefined, options);
+};
+
+// Tomorrow at 10am, in the format a datetime-local input takes
+const defaultDueAt = () => {
+  const date = new Date();
+  date.setDate(date.getDate() + 1);
+  date.setHours(10, 0, 0, 0);
+  return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
+
+const newTask = () => ({ title: '', type: 'call', dueAt: defaultDueAt(), assignee: '' });
+
+// A lead's follow-up tasks, open ones first, with a form to add one.
+// Members are only given to people who can assign leads to others.
+const TaskList = ({ leadId, members = [] }) => {
+  const { can } = useAuth();
+  const [tasks, setTasks] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [form, setForm] = useState(newTask);
+  const [saving, setSaving] = useState(false);
+  const canUpdate = can('leads:update');
+
+  useEffect(() => {
+    const fetchTasks = async () => {
+      try {
+        const response = await taskService.getTasks({ lead: leadId });
+        if (response.success) {
+          setTasks(response.data);
+        }
+      } catch (error) {
+        console.error('Error fetching tasks:', error);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchTasks();
+  }, [leadId]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    try {
+      setSaving(true);
+      const response = await taskService.createTask({
+        lead: leadId,
+        title: form.title,
+        type: form.type,
+        dueAt: new Date(form.dueAt).toISOString(),
+        ...(form.assignee && { assignee: form.assignee })
+      });
+
+      if (response.success) {
+        setTasks(prev => [...prev, response.data].sort((a, b) => new Date(a.dueAt) - new Date(b.dueAt)));
+        setForm(newTask());
+        toast.success('Task added');
+      }
+    } catch (error) {
+      console.error('Error creating task:', error);
+      toast.error(error.response?.data?.error || error.response?.data?.errors?.[0]?.msg || 'Failed to add task');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggle = async (task) => {
+    try {
+      const response = await taskService.updateTask(task._id, { completed: !task.completedAt });
+      if (response.success) {
+        setTasks(prev => prev.map(t => (t._id === task._id ? response.data : t)));
+      }
+    } catch (error) {
+      console.error('Error updating task:', error);
+      toast.error('Failed to update task');
+    }
+  };
+
+  const handleDelete = async (task) => {
+    if (!window.confirm(`Delete "${task.title}"?`)) {
+      return;
+    }
+
+    try {
+      await taskService.deleteTask(task._id);
+      setTasks(prev => prev.filter(t => t._id !== task._id));
+    } catch (error) {
+      console.error('Error deleting task:', error);
+      toast.error('Failed to delete task');
+    }
+  };
+
+  const now = new Date();
+  const sortedTasks = [
+    ...tasks.filter(task => !task.completedAt),
+    ...tasks.filter(task => task.completedAt)
+  ];
+
+  return (
+    <div className="bg-white shadow overflow-hidden sm:rounded-lg">
+      <div className="px-4 py-5 sm:px-6">
+        <h2 className="text-lg leading-6 font-medium text-gray-900">
+          Tasks
+        </h2>
+      </div>
+      <div className="border-t border-gray-200 px-4 py-5 sm:px-6">
+        {loading ? (
+          <div className="flex justify-center">
+            <div className="animate-spin rounded-full h-8 w-8 border-t-2 border-b-2 border-primary-600"></div>
+          </div>
+        ) : sortedTasks.length > 0 ? (
+          <ul className="divide-y divide-gray-200">
+            {sortedTasks.map(task => {
+              const Icon = getTaskIcon(task.type);
+              const overdue = !task.completedAt && new Date(task.dueAt) < now;
+
+              return (
+                <li key={task._id} className="py-3 flex items-center space-x-3">
+                  <input
+                    type="checkbox"
+                    checked={!!task.completedAt}
+                    onChange={() => handleToggle(task)}
+                    disabled={!canUpdate}
+                    className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300 rounded"
+                  />
+                  <Icon className="h-5 w-5 text-gray-400 flex-shrink-0" />
+                  <div className="min-w-0 flex-1">
+                    <p className={`text-sm ${task.completedAt ? 'line-through text-gray-400' : 'text-gray-900'}`}>
+                      {task.title}
+                    </p>
+                    <p className={`text-xs ${overdue ? 'text-red-600 font-medium' : 'text-gray-500'}`}>
+                      {overdue ? 'Overdue · ' : ''}{formatDueDate(task.dueAt)}
+                      {task.assignee && ` · ${task.assignee.name}`}
+                    </p>
+                  </div>
+                  {canUpdate && (
+                    <button
+                      onClick={() => handleDelete(task)}
+                      className="text-gray-400 hover:text-red-600"
+                    >
+                      <TrashIcon className="h-4 w-4" />
+                    </button>
+                  )}
+                </li>
+              );
+            })}
+          </ul>
+        ) : (
+          <p className="text-sm text-gray-500">No tasks yet.</p>
+        )}
+
+        {canUpdate && (
+          <form onSubmit={handleSubmit} className="mt-6 grid grid-cols-1 gap-y-3 gap-x-4 sm:grid-cols-6">
+            <div className="sm:col-span-6">
+              <input
+                type="text"
+                name="title"
+                value={form.title}
+                onChange={handleChange}
+                className="shadow-sm focus:ring-primary-500 focus:border-primary-500 block w-full sm:text-sm border-gray-300 rounded-md"
+                placeholder="e.g. Call back about pricing"
+                required
+              />
+            </div>
+            <div className="sm:col-span-2">
+              <select
+                name="type"
+                value={form.type}
+                onChange={handleChange}
+                className="block w-full pl-3 pr-10 py-2 text-base border-gray-300 focus:outline-none focus:ring-primary-500 focus:border-primary-500 sm:text-sm rounded-md"
+              >
+                {TASK_TYPES.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+            </div>
+            <div className="sm:col-span-2">
+              <input
+                type="datetime-local"
+                name="dueAt"
+                value={form.dueAt}
+                onChange={handleChange}
+                className="shadow-sm focus:ring-primary-500 focus:border-primary-500 block w-full sm:text-sm border-gray-300 rounded-md"
+                required
+              />
+            </div>
+            {members.length > 0 && (
+              <div className="sm:col-span-2">
+                <select
+                  name="assignee"
+                  value={form.assignee}
+                  onChange={handleChange}
+                  className="block w-full pl-3 pr-10 py-2 text-base border-gray-300 focus:outline-none focus:ring-primary-500 focus:border-primary-500 sm:text-sm rounded-md"
+                >
+                  <option value="">Lead's assignee</option>
+                  {members.map(member => (
+                    <option key={member.userId} value={member.userId}>
+                      {member.name}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            )}
+            <div className="sm:col-span-6">
+              <button
+                type="submit"
+                disabled={saving || !form.title.trim()}
+                className={`inline-flex items-center px-3 py-2 border border-transparent text-sm leading-4 font-medium rounded-md text-white bg-primary-600 hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 ${
+                  saving || !form.title.trim() ? 'opacity-70 cursor-not-allowed' : ''
+                }`}
+              >
+                {saving ? 'Saving...' : 'Add Task'}
+              </button>
+            </div>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default TaskList;
@@ -0,0 +1,318 @@
+import React, { useState, useEffect } from 'react';
+import { useForm } from 'react-hook-form';
+import { toast } from 'react-toastify';
+import organizationService from '../services/organizationService';
+import { useAuth } from '../context/AuthContext';
+
+const ROLE_OPTIONS = [
+  { value: 'admin', label: 'Admin' },
+  { value: 'manager', label: 'Manager' },
+  { value: 'agent', label: 'Agent' },
+  { value: 'readonly', label: 'Read-only' }
+];
+
+const ROLE_LABELS = {
+  owner: 'Owner',
+  ...Object.fromEntries(ROLE_OPTIONS.map(option => [option.value, option.label]))
+};
+
+// Organization members, shown on the Settings page. Owners and admins can
+// add, remove and change the role of teammates; only the owner manages admins.
+const TeamSettings = () => {
+  const { user } = useAuth();
+  const [organization, setOrganization] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [removing, setRemoving] = useState(null);
+  const [country, setCountry] = useState('');
+  const [savingCountry, setSavingCountry] = useState(false);
+
+  const {
+    register,
+    handleSubmit,
+    reset,
+    formState: { errors, isSubmitting }
+  } = useForm({
+    defaultValues: {
+      name: '',
+      email: '',
+      password: '',
+      role: 'agent'
+    }
+  });
+
+  useEffect(() => {
+    const fetchOrganization = async () => {
+      try {
+        const response = await organizationService.getOrganization();
+        if (response.success) {
+          setOrganization(response.data);
+          setCountry(response.data.defaultCountry || '');
+        }
+      } catch (error) {
+        console.error('Error fetching organization:', error);
+        toast.error('Failed to load team');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchOrganization();
+  }, []);
+
+  const getErrorMessage = (error, fallback) => {
+    return error.response?.data?.error
+      || error.response?.data?.errors?.[0]?.msg
+      || fallback;
+  };
+
+  const onAddMember = async (data) => {
+    try {
+      const response = await organizationService.addMember(data);
+      if (response.success) {
+        setOrganization(response.data);
+        reset();
+        toast.success(`${data.name} added to the team`);
+      }
+    } catch (error) {
+      console.error('Error adding member:', error);
+      toast.error(getErrorMessage(error, 'Failed to add member'));
+    }
+  };
+
+  const handleRoleChange = async (member, role) => {
+    try {
+      const response = await organizationService.updateMemberRole(member.userId, role);
+      if (response.success) {
+        setOrganization(response.data);
+        toast.success(`${member.name} is now ${ROLE_LABELS[role]}`);
+      }
+    } catch (error) {
+      console.error('Error changing role:', error);
+      toast.error(getErrorMessage(error, 'Failed to change role'));
+    }
+  };
+
+  const handleCountrySubmit = async (e) => {
+    e.preventDefault();
+
+    try {
+      setSavingCountry(true);
+      const response = await organizationService.updateOrganization({ defaultCountry: country.trim() || null });
+      if (response.success) {
+        setOrganization(response.data);
+        toast.success('Default phone country saved');
+      }
+    } catch (error) {
+      console.error('Error saving default country:', error);
+      toast.error(getErrorMessage(error, 'Failed to save default country'));
+    } finally {
+      setSavingCountry(false);
+    }
+  };
+
+  const handleRemoveMember = async (member) => {
+    if (!window.confirm(`Remove ${member.name} from the team?`)) {
+      return;
+    }
+
+    try {
+      setRemoving(member.userId);
+      const response = await organizationService.removeMember(member.userId);
+      if (response.success) {
+        setOrganization(response.data);
+        toast.success(`${member.name} removed from the team`);
+      }
+    } catch (error) {
+      console.error('Error removing member:', error);
+      toast.error(getErrorMessage(error, 'Failed to remove member'));
+    } finally {
+      setRemoving(null);
+    }
+  };
+
+  // Login returns userId, the profile returns _id
+  const currentUserId = user?._id || user?.userId;
+
+  const canManageMembers = !!organization?.permissions?.includes('members:manage');
+
+  // Mirrors the server rule: admins are managed by the owner only
+  const canManageRole = (role) => {
+    return canManageMembers && role !== 'owner' && (role !== 'admin' || organization.role === 'owner');
+  };
+
+  const assignableRoles = ROLE_OPTIONS.filter(option => canManageRole(option.value));
+
+  return (
+    <div className="mt-8 bg-white shadow px-4 py-5 sm:rounded-lg sm:p-6">
+      <div className="md:grid md:grid-cols-3 md:gap-6">
+        <div className="md:col-span-1">
+          <h3 className="text-lg font-medium leading-6 text-gray-900">Team</h3>
+          <p className="mt-1 text-sm text-gray-500">
+            Everyone in {organization?.name || 'your workspace'} shares the same Facebook apps, forms and leads.
+          </p>
+        </div>
+        <div className="mt-5 md:mt-0 md:col-span-2">
+          {loading ? (
+            <div className="flex justify-center py-4">
+              <div className="animate-spin rounded-full h-8 w-8 border-t-2 border-b-2 border-primary-600"></div>
+            </div>
+          ) : (
+            <>
+              <ul className="divide-y divide-gray-200 border border-gray-200 rounded-md">
+                {(organization?.members || []).map(member => (
+                  <li key={member.userId} className="flex items-center justify-between px-4 py-3">
+                    <div>
+                      <p className="text-sm font-medium text-gray-900">{member.name}</p>
+                      <p className="text-xs text-gray-500">{member.email}</p>
+                    </div>
+                    <div className="flex items-center space-x-3">
+                      {canManageRole(member.role) && member.userId !== currentUserId ? (
+                        <select
+                          value={member.role}
+                          onChange={(e) => handleRoleChange(member, e.target.value)}
+                          className="rounded-md border-gray-300 text-xs py-1 focus:ring-primary-500 focus:border-primary-500"
+                        >
+                          {assignableRoles.map(option => (
+                            <option key={option.value} value={option.value}>{option.label}</option>
+                          ))}
+                        </select>
+                      ) : (
+                        <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${
+                          member.role === 'owner' ? 'bg-primary-100 text-primary-800' : 'bg-gray-100 text-gray-800'
+                        }`}>
+                          {ROLE_LABELS[member.role] || member.role}
+                        </span>
+                      )}
+                      {canManageRole(member.role) && member.userId !== currentUserId && (
+                        <button
+                          onClick={() => handleRemoveMember(member)}
+                          disabled={removing === member.userId}
+                          className="text-xs font-medium text-red-600 hover:text-red-500 disabled:opacity-50"
+                        >
+                          {removing === member.userId ? 'Removing...' : 'Remove'}
+                        </button>
+                      )}
+                    </div>
+                  </li>
+                ))}
+              </ul>
+
+              {organization?.permissions?.includes('organization:update') && (
+                <form onSubmit={handleCountrySubmit} className="mt-6">
+                  <label htmlFor="defaultCountry" className="block text-sm font-medium text-gray-700">
+                    Default Phone Country
+                  </label>
+                  <div className="mt-1 flex space-x-2">
+                    <input
+                      type="text"
+                      id="defaultCountry"
+                      value={country}
+                      onChange={(e) => setCountry(e.target.value.toUpperCase())}
+                      maxLength={2}
+                      placeholder="e.g. IN"
+                      className="focus:ring-primary-500 focus:border-primary-500 block w-24 shadow-sm sm:text-sm border-gray-300 rounded-md"
+                    />
+                    <button
+                      type="submit"
+                      disabled={savingCountry}
+                      className="inline-flex items-center py-2 px-4 border border-gray-300 shadow-sm text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+                    >
+                      {savingCountry ? 'Saving...' : 'Save'}
+                    </button>
+                  </div>
+                  <p className="mt-1 text-xs text-gray-500">
+                    Lead phone numbers without a country code are read as numbers of this country. Forms can set their own.
+                  </p>
+                </form>
+              )}
+
+              {canManageMembers && (
+                <form onSubmit={handleSubmit(onAddMember)} className="mt-6">
+                  <h4 className="text-md font-medium text-gray-900 mb-4">Add Teammate</h4>
+                  <div className="grid grid-cols-6 gap-6">
+                    <div className="col-span-6 sm:col-span-2">
+                      <label htmlFor="memberName" className="block text-sm font-medium text-gray-700">
+                        Name
+                      </label>
+                      <input
+                        type="text"
+                        id="memberName"
+                        className="mt-1 focus:ring-primary-500 focus:border-primary-500 block w-full shadow-sm sm:text-sm border-gray-300 rounded-md"
+                        {...register('name', { required: 'Name is required' })}
+                      />
+                      {errors.name && (
+                        <p className="mt-2 text-sm text-red-600">{errors.name.message}</p>
+                      )}
+                    </div>
+
+                    <div className="col-span-6 sm:col-span-2">
+                      <label htmlFor="memberEmail" className="block text-sm font-medium text-gray-700">
+                        Email
+                      </label>
+                      <input
+                        type="email"
+                        id="memberEmail"
+                        className="mt-1 focus:ring-primary-500 focus:border-primary-500 block w-full shadow-sm sm:text-sm border-gray-300 rounded-md"
+                        {...register('email', { required: 'Email is required' })}
+                      />
+                      {errors.email && (
+                        <p className="mt-2 text-sm text-red-600">{errors.email.message}</p>
+                      )}
+                    </div>
+
+                    <div className="col-span-6 sm:col-span-3">
+                      <label htmlFor="memberRole" className="block text-sm font-medium text-gray-700">
+                        Role
+                      </label>
+                      <select
+                        id="memberRole"
+                        className="mt-1 block w-full py-2 px-3 border border-gray-300 bg-white rounded-md shadow-sm focus:outline-none focus:ring-primary-500 focus:border-primary-500 sm:text-sm"
+                        {...register('role')}
+                      >
+                        {assignableRoles.map(option => (
+                          <option key={option.value} value={option.value}>{option.label}</option>
+                        ))}
+                      </select>
+                    </div>
+
+                    <div className="col-span-6 sm:col-span-3">
+                      <label htmlFor="memberPassword" className="block text-sm font-medium text-gray-700">
+                        Temporary Password
+                      </label>
+                      <input
+                        type="password"
+                        id="memberPassword"
+                        className="mt-1 focus:ring-primary-500 focus:border-primary-500 block w-full shadow-sm sm:text-sm border-gray-300 rounded-md"
+                        {...register('password', {
+                          required: 'Password is required',
+                          minLength: { value: 6, message: 'Password must be at least 6 characters' }
+                        })}
+                      />
+                      {errors.password && (
+                        <p className="mt-2 text-sm text-red-600">{errors.password.message}</p>
+                      )}
+                    </div>
+                  </div>
+
+                  <div className="mt-5">
+                    <button
+                      type="submit"
+                      disabled={isSubmitting}
+                      className={`inline-flex justify-center py-2 px-4 border border-transparent shadow-sm text-sm font-medium rounded-md text-white bg-primary-600 hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 ${
+                        isSubmitting ? 'opacity-70 cursor-not-allowed' : ''
+                      }`}
+                    >
+                      {isSubmitting ? 'Adding...' : 'Add Teammate'}
+                    </button>
+                  </div>
+                </form>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TeamSettings;
@@ -182,6 +182,11 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Check a permission of the user's organization role
+  const can = (permission) => {
+    return !!user?.organization?.permissions?.includes(permission);
+  };
+
   const value = {
     user,
     loading,
@@ -190,7 +195,8 @@ export const AuthProvider = ({ children }) => {
     register,
     login,
     logout,
-    updateAccessToken
+    updateAccessToken,
+    can
   };
 
   return (
@@ -3,6 +3,12 @@ import { Link } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 import formService from '../services/formService';
 import leadService from '../services/leadService';
+import pipelineService from '../services/pipelineService';
+import StageBadge, { getLeadStage } from '../components/StageBadge';
+import DueTasks from '../components/DueTasks';
+import SlaSummary from '../components/SlaSummary';
+import ScoreBadge from '../components/ScoreBadge';
+import { describeSource } from '../components/LeadSource';
 import { toast } from 'react-toastify';
 import { 
   ArrowPathIcon, 
@@ -43,6 +49,8 @@ const Dashboard = () => {
   });
   const [forms, setForms] = useState([]);
   const [recentLeads, setRecentLeads] = useState([]);
+  const [hotLeads, setHotLeads] = useState([]);
+  const [pipelines, setPipelines] = useState([]);
   const [loading, setLoading] = useState(true);
   const [syncing, setSyncing] = useState(false);
 
@@ -58,12 +66,28 @@ const Dashboard = () => {
           setForms(formsResponse.data);
         }
         
+        // Fetch pipelines for stage names and won stages
+        const pipelinesResponse = await pipelineService.getPipelines();
+        const pipelineList = pipelinesResponse.success ? pipelinesResponse.data : [];
+        setPipelines(pipelineList);
+        
         // Fetch recent leads
         const leadsResponse = await leadService.getLeads({ 
           page: 1, 
           limit: 5 
         });
         
+        // Fetch the highest-scoring leads
+        const hotLeadsResponse = await leadService.getLeads({
+          page: 1,
+          limit: 5,
+          sort: '-score',
+          minScore: 1
+        });
+        if (hotLeadsResponse.success) {
+          setHotLeads(hotLeadsResponse.data);
+        }
+        
         if (leadsResponse.success) {
           setRecentLeads(leadsResponse.data);
           
@@ -79,7 +103,7 @@ const Dashboard = () => {
               return leadDate >= yesterday;
             }).length,
             conversionRate: leadsResponse.total > 0 
-              ? Math.round((leadsResponse.data.filter(lead => lead.status === 'converted').length / leadsResponse.total) * 100) 
+              ? Math.round((leadsResponse.data.filter(lead => getLeadStage(pipelineList, lead)?.outcome === 'won').length / leadsResponse.total) * 100) 
               : 0
           });
         }
@@ -173,6 +197,47 @@ const Dashboard = () => {
           </div>
         </div>
 
+        {/* Tasks due today and overdue */}
+        <DueTasks />
+
+        {/* Speed-to-lead */}
+        <SlaSummary />
+
+        {/* Hottest Leads */}
+        {!loading && hotLeads.length > 0 && (
+          <div className="mt-8">
+            <div className="flex items-center justify-between">
+              <h2 className="text-lg font-medium text-gray-900">Hottest Leads</h2>
+              <span className="text-sm text-gray-500">Highest scores first</span>
+            </div>
+            
+            <div className="mt-4 bg-white shadow overflow-hidden sm:rounded-md">
+              <ul className="divide-y divide-gray-200">
+                {hotLeads.map((lead) => (
+                  <li key={lead._id}>
+                    <Link to={`/leads/${lead._id}`} className="block px-4 py-4 sm:px-6 hover:bg-gray-50">
+                      <div className="flex items-center justify-between">
+                        <div>
+                          <div className="text-sm font-medium text-gray-900">
+                            {lead.fullName || 'Unknown'}
+                          </div>
+                          <div className="text-sm text-gray-500">
+                            {describeSource(lead)} · {formatDate(lead.createdTime)}
+                          </div>
+                        </div>
+                        <div className="flex items-center space-x-2">
+                          <StageBadge stage={getLeadStage(pipelines, lead)} status={lead.status} />
+                          <ScoreBadge lead={lead} />
+                        </div>
+                      </div>
+                    </Link>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          </div>
+        )}
+
         {/* Recent Leads */}
         <div className="mt-8">
           <div className="flex items-center justify-between">
@@ -215,16 +280,9 @@ const Dashboard = () => {
                           <div className="text-sm text-gray-500">
                             {formatDate(lead.createdTime)}
                           </div>
-                          <div className="mt-1">
-                            <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${
-                              lead.status === 'new' ? 'bg-blue-100 text-blue-800' :
-                              lead.status === 'contacted' ? 'bg-yellow-100 text-yellow-800' :
-                              lead.status === 'qualified' ? 'bg-green-100 text-green-800' :
-                              lead.status === 'converted' ? 'bg-purple-100 text-purple-800' :
-                              'bg-red-100 text-red-800'
-                            }`}>
-                              {lead.status || 'new'}
-                            </span>
+                          <div className="mt-1 flex items-center space-x-2">
+                            <ScoreBadge lead={lead} />
+                            <StageBadge stage={getLeadStage(pipelines, lead)} status={lead.status} />
                           </div>
                         </div>
                       </div>
@@ -3,7 +3,9 @@ import { useForm } from 'react-hook-form';
 import { toast } from 'react-toastify';
 import formService from '../services/formService';
 import leadService from '../services/leadService';
+import pipelineService from '../services/pipelineService';
 import api from '../services/api';
+import FieldMappingEditor from '../components/FieldMappingEditor';
 import { 
   PlusIcon, 
   TrashIcon, 
@@ -11,14 +13,17 @@ import {
   ArrowPathIcon,
   CheckIcon,
   XMarkIcon,
-  MagnifyingGlassIcon
+  MagnifyingGlassIcon,
+  AdjustmentsHorizontalIcon
 } from '@heroicons/react/24/outline';
 
 const FormManagement = () => {
   const [forms, setForms] = useState([]);
+  const [pipelines, setPipelines] = useState([]);
   const [loading, setLoading] = useState(true);
   const [syncing, setSyncing] = useState(false);
   const [editingForm, setEditingForm] = useState(null);
+  const [mappingFormId, setMappingFormId] = useState(null);
   const [apps, setApps] = useState([]);
   const [selectedAppId, setSelectedAppId] = useState('');
   const [discovering, setDiscovering] = useState(false);
@@ -27,6 +32,10 @@ const FormManagement = () => {
   const [loadingPages, setLoadingPages] = useState(false);
   const [refreshKey, setRefreshKey] = useState(0); // Add a key to force refresh
   const [selectedPages, setSelectedPages] = useState([]); // Add state for selected pages
+  const [syncRuns, setSyncRuns] = useState([]);
+  const [loadingSyncRuns, setLoadingSyncRuns] = useState(false);
+  const [syncRunsFormId, setSyncRunsFormId] = useState('');
+  const [syncRunsKey, setSyncRunsKey] = useState(0);
   
   const { 
     register, 
@@ -42,6 +51,22 @@ const FormManagement = () => {
     formState: { errors: errorsEdit } 
   } = useForm();
 
+  // Fetch pipelines forms can feed
+  useEffect(() => {
+    const fetchPipelines = async () => {
+      try {
+        const response = await pipelineService.getPipelines();
+        if (response.success) {
+          setPipelines(response.data);
+        }
+      } catch (error) {
+        console.error('Error fetching pipelines:', error);
+      }
+    };
+
+    fetchPipelines();
+  }, []);
+
   // Fetch forms
   useEffect(() => {
     const fetchForms = async () => {
@@ -65,6 +90,30 @@ const FormManagement = () => {
     fetchForms();
   }, [refreshKey]);
 
+  // Fetch sync run history
+  useEffect(() => {
+    const fetchSyncRuns = async () => {
+      try {
+        setLoadingSyncRuns(true);
+        const params = { limit: 20 };
+        if (syncRunsFormId) params.formId = syncRunsFormId;
+        
+        const response = await formService.getSyncRuns(params);
+        
+        if (response.success) {
+          setSyncRuns(response.data);
+        }
+      } catch (error) {
+        console.error('Error fetching sync history:', error);
+        toast.error('Failed to load sync history');
+      } finally {
+        setLoadingSyncRuns(false);
+      }
+    };
+
+    fetchSyncRuns();
+  }, [refreshKey, syncRunsFormId, syncRunsKey]);
+
   // Fetch apps
   useEffect(() => {
     const fetchApps = async () => {
@@ -158,7 +207,12 @@ const FormManagement = () => {
   const onSubmitEdit = async (data) => {
     try {
       console.log('Updating form:', data);
-      const response = await formService.updateForm(editingForm._id, data);
+      const response = await formService.updateForm(editingForm._id, {
+        ...data,
+        pipelineId: data.pipelineId || null,
+        slaMinutes: data.slaMinutes ? Number(data.slaMinutes) : null,
+        defaultCountry: data.defaultCountry.trim().toUpperCase() || null
+      });
       console.log('Update form response:', response);
       
       if (response.success) {
@@ -215,6 +269,9 @@ const FormManagement = () => {
         setForms(forms.map(form => 
           form._id === formId ? { ...form, lastFetchedAt: new Date().toISOString() } : form
         ));
+        
+        // Show the new run in the history
+        setSyncRunsKey(prevKey => prevKey + 1);
       }
     } catch (error) {
       console.error('Error syncing leads:', error);
@@ -298,7 +355,11 @@ const FormManagement = () => {
     setEditingForm(form);
     resetEdit({
       formName: form.formName,
-      isActive: form.isActive
+      isActive: form.isActive,
+      // Forms on the default pipeline follow it if another becomes the default
+      pipelineId: pipelines.find(pipeline => pipeline._id === form.pipelineId && !pipeline.isDefault)?._id || '',
+      slaMinutes: form.slaMinutes || '',
+      defaultCountry: form.defaultCountry || ''
     });
   };
 
@@ -315,6 +376,21 @@ const FormManagement = () => {
     return new Date(dateString).toLocaleDateString(undefined, options);
   };
 
+  // Format how long a sync run took
+  const formatDuration = (run) => {
+    if (!run.finishedAt) return 'Running';
+    const seconds = Math.round((new Date(run.finishedAt) - new Date(run.startedAt)) / 1000);
+    return seconds < 60 ? `${seconds}s` : `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+  };
+
+  // Sync run status badge colors
+  const runStatusColors = {
+    running: 'bg-blue-100 text-blue-800',
+    completed: 'bg-green-100 text-green-800',
+    partial: 'bg-yellow-100 text-yellow-800',
+    failed: 'bg-red-100 text-red-800'
+  };
+
   // Group forms by page
   const formsByPage = forms.reduce((acc, form) => {
     const pageName = form.pageName || 'Unknown Page';
@@ -589,6 +665,55 @@ const FormManagement = () => {
                                       <p className="text-gray-500">Inactive forms won't be synced automatically</p>
                                     </div>
                                   </div>
+
+                                  <div className="col-span-6 sm:col-span-3">
+                                    <label htmlFor="edit-pipelineId" className="block text-sm font-medium text-gray-700">
+                                      Pipeline
+                                    </label>
+                                    <select
+                                      id="edit-pipelineId"
+                                      className="mt-1 block w-full pl-3 pr-10 py-2 text-base border-gray-300 focus:outline-none focus:ring-primary-500 focus:border-primary-500 sm:text-sm rounded-md"
+                                      {...registerEdit('pipelineId')}
+                                    >
+                                      {pipelines.map(pipeline => (
+                                        <option key={pipeline._id} value={pipeline.isDefault ? '' : pipeline._id}>
+                                          {pipeline.name}{pipeline.isDefault ? ' (default)' : ''}
+                                        </option>
+                                      ))}
+                                    </select>
+                                    <p className="mt-1 text-xs text-gray-500">New leads from this form start in the pipeline's first stage</p>
+                                  </div>
+
+                                  <div className="col-span-6 sm:col-span-3">
+                                    <label htmlFor="edit-slaMinutes" className="block text-sm font-medium text-gray-700">
+                                      First contact within (minutes)
+                                    </label>
+                                    <input
+                                      type="number"
+                                      id="edit-slaMinutes"
+                                      min="1"
+                                      step="1"
+                                      placeholder="No target"
+                                      className="mt-1 focus:ring-primary-500 focus:border-primary-500 block w-full shadow-sm sm:text-sm border-gray-300 rounded-md"
+                                      {...registerEdit('slaMinutes')}
+                                    />
+                                    <p className="mt-1 text-xs text-gray-500">Leads not moved out of the first stage in time are flagged as breaching the SLA</p>
+                                  </div>
+
+                                  <div className="col-span-6 sm:col-span-3">
+                                    <label htmlFor="edit-defaultCountry" className="block text-sm font-medium text-gray-700">
+                                      Default phone country
+                                    </label>
+                                    <input
+                                      type="text"
+                                      id="edit-defaultCountry"
+                                      maxLength={2}
+                                      placeholder="Workspace default"
+                                      className="mt-1 focus:ring-primary-500 focus:border-primary-500 block w-full shadow-sm sm:text-sm border-gray-300 rounded-md uppercase"
+                                      {...registerEdit('defaultCountry')}
+                                    />
+                                    <p className="mt-1 text-xs text-gray-500">Two-letter code, e.g. IN, for phone numbers entered without a country code</p>
+                                  </div>
                                 </div>
                                 
                                 <div className="mt-4 flex space-x-2">
@@ -633,6 +758,21 @@ const FormManagement = () => {
                                 <div className="mt-1 text-sm text-gray-500">
                                   Last synced: {formatDate(form.lastFetchedAt)}
                                 </div>
+                                {form.slaMinutes && (
+                                  <div className="mt-1 text-sm text-gray-500">
+                                    SLA: first contact within {form.slaMinutes} min
+                                  </div>
+                                )}
+                                {form.defaultCountry && (
+                                  <div className="mt-1 text-sm text-gray-500">
+                                    Phone country: {form.defaultCountry}
+                                  </div>
+                                )}
+                                {pipelines.length > 1 && (
+                                  <div className="mt-1 text-sm text-gray-500">
+                                    Pipeline: {(pipelines.find(pipeline => pipeline._id === form.pipelineId) || pipelines.find(pipeline => pipeline.isDefault))?.name}
+                                  </div>
+                                )}
                               </div>
                               <div className="flex space-x-2">
                                 <button
@@ -643,6 +783,13 @@ const FormManagement = () => {
                                 >
                                   <ArrowPathIcon className={`h-5 w-5 ${syncing === form._id ? 'animate-spin' : ''}`} />
                                 </button>
+                                <button
+                                  onClick={() => setMappingFormId(mappingFormId === form._id ? null : form._id)}
+                                  className="inline-flex items-center p-2 border border-transparent rounded-full shadow-sm text-white bg-gray-600 hover:bg-gray-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-gray-500"
+                                  title="Map Fields"
+                                >
+                                  <AdjustmentsHorizontalIcon className="h-5 w-5" />
+                                </button>
                                 <button
                                   onClick={() => handleEdit(form)}
                                   className="inline-flex items-center p-2 border border-transparent rounded-full shadow-sm text-white bg-indigo-600 hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500"
@@ -660,6 +807,16 @@ const FormManagement = () => {
                               </div>
                             </div>
                           )}
+                          {mappingFormId === form._id && (
+                            <FieldMappingEditor
+                              form={form}
+                              onSaved={(updatedForm) => {
+                                setForms(forms.map(f => (f._id === updatedForm._id ? updatedForm : f)));
+                                setMappingFormId(null);
+                              }}
+                              onClose={() => setMappingFormId(null)}
+                            />
+                          )}
                         </li>
                       ))}
                     </ul>
@@ -673,6 +830,95 @@ const FormManagement = () => {
             )}
           </div>
         </div>
+        
+        {/* Sync History */}
+        <div className="mt-8">
+          <div className="flex items-center justify-between">
+            <div>
+              <h2 className="text-lg font-medium text-gray-900">Sync History</h2>
+              <p className="mt-1 text-sm text-gray-500">
+                Every sync run per form. A failed run is resumed from where it stopped on the next sync.
+              </p>
+            </div>
+            <select
+              value={syncRunsFormId}
+              onChange={(e) => setSyncRunsFormId(e.target.value)}
+              className="block pl-3 pr-10 py-2 text-base border-gray-300 focus:outline-none focus:ring-primary-500 focus:border-primary-500 sm:text-sm rounded-md"
+            >
+              <option value="">All Forms</option>
+              {forms.map(form => (
+                <option key={form._id} value={form.formId}>
+                  {form.formName || form.formId}
+                </option>
+              ))}
+            </select>
+          </div>
+          
+          <div className="mt-4 bg-white shadow overflow-hidden sm:rounded-lg">
+            {loadingSyncRuns ? (
+              <div className="p-4 flex justify-center">
+                <div className="animate-spin rounded-full h-8 w-8 border-t-2 border-b-2 border-primary-600"></div>
+              </div>
+            ) : syncRuns.length > 0 ? (
+              <div className="overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-200">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Started</th>
+                      <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Form</th>
+                      <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Trigger</th>
+                      <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                      <th scope="col" className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Fetched</th>
+                      <th scope="col" className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Inserted</th>
+                      <th scope="col" className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Updated</th>
+                      <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Since</th>
+                      <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Duration</th>
+                    </tr>
+                  </thead>
+                  <tbody className="bg-white divide-y divide-gray-200">
+                    {syncRuns.map(run => (
+                      <tr key={run._id}>
+                        <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-500">
+                          {formatDate(run.startedAt)}
+                        </td>
+                        <td className="px-4 py-3 text-sm text-gray-900">
+                          <div>{run.form?.formName || run.formId}</div>
+                          {run.syncErrors?.length > 0 && (
+                            <div className="mt-1 text-xs text-red-600" title={run.syncErrors.map(error => error.message).join('\n')}>
+                              {run.syncErrors.length} error{run.syncErrors.length === 1 ? '' : 's'}: {run.syncErrors[run.syncErrors.length - 1].message}
+                            </div>
+                          )}
+                        </td>
+                        <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-500 capitalize">
+                          {run.trigger}
+                        </td>
+                        <td className="px-4 py-3 whitespace-nowrap text-sm">
+                          <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full capitalize ${runStatusColors[run.status] || 'bg-gray-100 text-gray-800'}`}>
+                            {run.status}
+                          </span>
+                        </td>
+                        <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-900 text-right">{run.fetched}</td>
+                        <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-900 text-right">{run.inserted}</td>
+                        <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-900 text-right">{run.updated}</td>
+                        <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-500">
+                          {run.since ? formatDate(run.since) : 'All time'}
+                          {run.startCursor && <span className="ml-1 text-xs text-yellow-700">(resumed)</span>}
+                        </td>
+                        <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-500">
+                          {formatDuration(run)}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            ) : (
+              <div className="p-4 text-center text-gray-500">
+                No sync runs yet. Sync a form to start recording its history.
+              </div>
+            )}
+          </div>
+        </div>
       </div>
     </div>
   );
@@ -0,0 +1,440 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import importService from '../services/importService';
+import { FIELD_ATTRIBUTE_OPTIONS } from '../components/FieldMappingEditor';
+import {
+  ArrowDownTrayIcon,
+  ArrowLeftIcon,
+  ArrowUpTrayIcon,
+  ExclamationTriangleIcon
+} from '@heroicons/react/24/outline';
+
+const formatDate = (dateString) => {
+  const options = { year: 'numeric', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' };
+  return new Date(dateString).toLocaleString(undefined, options);
+};
+
+// How often a running import's progress is checked
+const POLL_INTERVAL = 2000;
+
+// What a column can be imported as, besides custom fields
+const ATTRIBUTE_LABELS = {
+  ...Object.fromEntries(FIELD_ATTRIBUTE_OPTIONS.map(option => [option.value, option.label])),
+  createdTime: 'Created time',
+  status: 'Stage',
+  tags: 'Tags (comma separated)'
+};
+
+const STRATEGIES = [
+  { value: 'skip', label: 'Skip them', description: 'Leave the stored lead as it is' },
+  { value: 'update', label: 'Update them', description: 'Fill the stored lead in with the row\'s values; its stage and owner stay' },
+  { value: 'create', label: 'Add them anyway', description: 'Every row becomes a new lead' }
+];
+
+const getErrorMessage = (error, fallback) => {
+  return error.response?.data?.error
+    || error.response?.data?.errors?.[0]?.msg
+    || fallback;
+};
+
+const selectClassName = 'block w-full pl-3 pr-10 py-1.5 text-sm border-gray-300 focus:outline-none focus:ring-primary-500 focus:border-primary-500 rounded-md';
+
+// Targets as select values: the attribute, or "custom:" and the field key
+const targetValue = ({ attribute, customField }) => (attribute === 'custom' ? `custom:${customField}` : attribute);
+
+const targetLabel = (target) => (target.attribute === 'custom' ? target.name : ATTRIBUTE_LABELS[target.attribute] || target.attribute);
+
+// Mapping for the API from the select value picked for each column
+const toMapping = (columns) => columns
+  .map((value, column) => {
+    if (!value) return null;
+    const [attribute, customField] = value.split(':');
+    return { column, attribute, customField: customField || null };
+  })
+  .filter(Boolean);
+
+// One line on how an import went, e.g. "120 added · 4 updated · 2 failed"
+const describeCounts = (job) => [
+  `${job.inserted} added`,
+  job.updated > 0 && `${job.updated} updated`,
+  job.skipped > 0 && `${job.skipped} skipped`,
+  job.failed > 0 && `${job.failed} failed`
+].filter(Boolean).join(' · ');
+
+// Import leads from a CSV or XLSX file: upload it, say which column is
+// which, preview what would happen, then import in the background.
+const ImportLeads = () => {
+  const [file, setFile] = useState(null);
+  const [uploading, setUploading] = useState(false);
+  const [upload, setUpload] = useState(null);
+  const [columns, setColumns] = useState([]);
+  const [strategy, setStrategy] = useState('skip');
+  const [matchBy, setMatchBy] = useState('email');
+  const [preview, setPreview] = useState(null);
+  const [previewing, setPreviewing] = useState(false);
+  const [job, setJob] = useState(null);
+  const [recent, setRecent] = useState([]);
+
+  const fetchRecent = useCallback(async () => {
+    try {
+      const response = await importService.getImports();
+      if (response.success) {
+        setRecent(response.data);
+      }
+    } catch (error) {
+      console.error('Error fetching imports:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchRecent();
+  }, [fetchRecent]);
+
+  // Follow a running import until it's done
+  useEffect(() => {
+    if (!job || !['queued', 'running'].includes(job.status)) {
+      return undefined;
+    }
+
+    const timer = setTimeout(async () => {
+      try {
+        const response = await importService.getImport(job._id);
+        if (response.success) {
+          setJob(response.data);
+          if (!['queued', 'running'].includes(response.data.status)) {
+            fetchRecent();
+          }
+        }
+      } catch (error) {
+        console.error('Error checking import:', error);
+      }
+    }, POLL_INTERVAL);
+
+    return () => clearTimeout(timer);
+  }, [job, fetchRecent]);
+
+  const options = () => ({ mapping: toMapping(columns), strategy, matchBy });
+
+  const handleUpload = async (e) => {
+    e.preventDefault();
+    setUploading(true);
+
+    try {
+      const response = await importService.uploadFile(file);
+      if (response.success) {
+        const suggested = Array(response.data.headers.length).fill('');
+        response.mapping.forEach(mapping => {
+          suggested[mapping.column] = targetValue(mapping);
+        });
+
+        setUpload(response);
+        setColumns(suggested);
+        setMatchBy(suggested.includes('email') || !suggested.includes('phone') ? 'email' : 'phone');
+        setPreview(null);
+        setJob(null);
+      }
+    } catch (error) {
+      console.error('Error uploading import:', error);
+      toast.error(getErrorMessage(error, 'Failed to read the file'));
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  // Settings changed since the preview make it stale
+  const changeSettings = (update) => {
+    update();
+    setPreview(null);
+  };
+
+  const handlePreview = async () => {
+    setPreviewing(true);
+
+    try {
+      const response = await importService.previewImport(upload.data._id, options());
+      if (response.success) {
+        setPreview(response.data);
+      }
+    } catch (error) {
+      console.error('Error previewing import:', error);
+      toast.error(getErrorMessage(error, 'Failed to preview the import'));
+    } finally {
+      setPreviewing(false);
+    }
+  };
+
+  const handleStart = async () => {
+    try {
+      const response = await importService.startImport(upload.data._id, options());
+      if (response.success) {
+        setJob(response.data);
+        setUpload(null);
+        setFile(null);
+        setPreview(null);
+        fetchRecent();
+      }
+    } catch (error) {
+      console.error('Error starting import:', error);
+      toast.error(getErrorMessage(error, 'Failed to start the import'));
+    }
+  };
+
+  const handleDownloadErrors = async (importJob) => {
+    try {
+      await importService.downloadErrors(importJob);
+    } catch (error) {
+      toast.error('Failed to download the error report');
+    }
+  };
+
+  const running = job && ['queued', 'running'].includes(job.status);
+
+  return (
+    <div className="py-6">
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+        <Link to="/leads" className="inline-flex items-center text-sm text-gray-500 hover:text-gray-700">
+          <ArrowLeftIcon className="mr-1 h-4 w-4" />
+          Back to leads
+        </Link>
+        <h1 className="mt-2 text-2xl font-semibold text-gray-900">Import Leads</h1>
+        <p className="mt-1 text-sm text-gray-500">
+          Bring in leads from a spreadsheet, up to 10,000 rows per file. Imported leads go into the default pipeline
+          and are routed, scored and grouped with a person's other leads like leads from Facebook.
+        </p>
+
+        {/* Upload */}
+        {!upload && !running && (
+          <form onSubmit={handleUpload} className="mt-6 bg-white shadow px-4 py-5 sm:rounded-lg sm:p-6">
+            <h3 className="text-lg font-medium leading-6 text-gray-900">Choose a file</h3>
+            <p className="mt-1 text-sm text-gray-500">
+              A .csv or .xlsx file of up to 5 MB, with column headings in the first row. Only the first sheet of a workbook is read.
+            </p>
+            <div className="mt-4 flex flex-wrap items-center gap-3">
+              <input
+                type="file"
+                accept=".csv,.xlsx"
+                onChange={(e) => setFile(e.target.files[0] || null)}
+                className="text-sm text-gray-700"
+              />
+              <button
+                type="submit"
+                disabled={!file || uploading}
+                className="inline-flex items-center px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-primary-600 hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 disabled:opacity-50"
+              >
+                <ArrowUpTrayIcon className="-ml-1 mr-2 h-5 w-5" />
+                {uploading ? 'Reading...' : 'Upload'}
+              </button>
+            </div>
+          </form>
+        )}
+
+        {/* Mapping, dedup and preview */}
+        {upload && (
+          <div className="mt-6 bg-white shadow px-4 py-5 sm:rounded-lg sm:p-6">
+            <div className="flex justify-between items-center">
+              <h3 className="text-lg font-medium leading-6 text-gray-900">Map the columns of {upload.data.fileName}</h3>
+              <button type="button" onClick={() => setUpload(null)} className="text-sm text-gray-500 hover:text-gray-700">
+                Choose another file
+              </button>
+            </div>
+            <p className="mt-1 text-sm text-gray-500">
+              {upload.data.total} rows. Every column is kept on the lead as it was in the file; map the ones that hold
+              lead details. Custom fields are set up under Settings.
+            </p>
+
+            <table className="mt-4 min-w-full divide-y divide-gray-200">
+              <thead>
+                <tr>
+                  <th className="py-2 pr-4 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Column</th>
+                  <th className="py-2 pr-4 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">First rows</th>
+                  <th className="py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider w-56">Import as</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {upload.data.headers.map((header, column) => (
+                  <tr key={column}>
+                    <td className="py-2 pr-4 text-sm font-medium text-gray-900">{header}</td>
+                    <td className="py-2 pr-4 text-xs text-gray-500 truncate max-w-xs">
+                      {upload.sample.slice(0, 3).map(row => row[column]).filter(Boolean).join(' · ')}
+                    </td>
+                    <td className="py-2">
+                      <select
+                        value={columns[column]}
+                        onChange={(e) => changeSettings(() => setColumns(prev => prev.map((value, i) => (i === column ? e.target.value : value))))}
+                        aria-label={`Import ${header} as`}
+                        className={selectClassName}
+                      >
+                        <option value="">Don't map</option>
+                        {upload.targets.map(target => (
+                          <option key={targetValue(target)} value={targetValue(target)}>
+                            {target.attribute === 'custom' ? `Custom: ${targetLabel(target)}` : targetLabel(target)}
+                          </option>
+                        ))}
+                      </select>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+
+            <div className="mt-6">
+              <h4 className="text-sm font-medium text-gray-900">Leads that are already stored</h4>
+              <div className="mt-2 flex flex-wrap items-center gap-3 text-sm text-gray-700">
+                {strategy !== 'create' && (
+                  <label className="flex items-center">
+                    Match by
+                    <select
+                      value={matchBy}
+                      onChange={(e) => changeSettings(() => setMatchBy(e.target.value))}
+                      className={`${selectClassName} ml-2 w-32`}
+                    >
+                      <option value="email">Email</option>
+                      <option value="phone">Phone</option>
+                    </select>
+                  </label>
+                )}
+                {STRATEGIES.map(option => (
+                  <label key={option.value} className="flex items-center" title={option.description}>
+                    <input
+                      type="radio"
+                      name="strategy"
+                      value={option.value}
+                      checked={strategy === option.value}
+                      onChange={() => changeSettings(() => setStrategy(option.value))}
+                      className="mr-1 text-primary-600 focus:ring-primary-500"
+                    />
+                    {option.label}
+                  </label>
+                ))}
+              </div>
+              <p className="mt-1 text-xs text-gray-500">{STRATEGIES.find(option => option.value === strategy).description}.</p>
+            </div>
+
+            {preview && (
+              <div className="mt-6 border-t border-gray-200 pt-4">
+                <h4 className="text-sm font-medium text-gray-900">Preview</h4>
+                <p className="mt-1 text-sm text-gray-700">
+                  {preview.toCreate} new leads
+                  {preview.toUpdate > 0 && `, ${preview.toUpdate} updated`}
+                  {preview.toSkip > 0 && `, ${preview.toSkip} already stored and skipped`}
+                  {preview.invalid > 0 && `, ${preview.invalid} rows with errors left out`}.
+                </p>
+                {preview.sample.length > 0 && (
+                  <ul className="mt-2 text-xs text-gray-600 space-y-1">
+                    {preview.sample.map(lead => (
+                      <li key={lead.row}>
+                        Row {lead.row}: {[lead.fullName, lead.email, lead.phone].filter(Boolean).join(' · ')}
+                      </li>
+                    ))}
+                  </ul>
+                )}
+                {preview.errors.length > 0 && (
+                  <div className="mt-3 rounded-md bg-yellow-50 p-3">
+                    <div className="flex items-center text-sm font-medium text-yellow-800">
+                      <ExclamationTriangleIcon className="mr-2 h-5 w-5" />
+                      Rows that won't be imported
+                    </div>
+                    <ul className="mt-2 max-h-48 overflow-y-auto text-xs text-yellow-800 space-y-1">
+                      {preview.errors.map(error => (
+                        <li key={error.row}>Row {error.row}: {error.message}</li>
+                      ))}
+                    </ul>
+                    {preview.invalid > preview.errors.length && (
+                      <p className="mt-1 text-xs text-yellow-700">And {preview.invalid - preview.errors.length} more, listed in the error report after the import.</p>
+                    )}
+                  </div>
+                )}
+              </div>
+            )}
+
+            <div className="mt-6 flex space-x-3">
+              <button
+                type="button"
+                onClick={handlePreview}
+                disabled={previewing}
+                className="inline-flex items-center px-4 py-2 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 disabled:opacity-50"
+              >
+                {previewing ? 'Checking...' : 'Preview'}
+              </button>
+              <button
+                type="button"
+                onClick={handleStart}
+                disabled={!preview || preview.valid === 0}
+                title={preview ? undefined : 'Preview the import first'}
+                className="inline-flex items-center px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-primary-600 hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 disabled:opacity-50"
+              >
+                Import {preview ? preview.valid - preview.toSkip : ''} leads
+              </button>
+            </div>
+          </div>
+        )}
+
+        {/* Progress of the import just started */}
+        {job && (
+          <div className="mt-6 bg-white shadow px-4 py-5 sm:rounded-lg sm:p-6">
+            <h3 className="text-lg font-medium leading-6 text-gray-900">
+              {running ? `Importing ${job.fileName}...` : `${job.fileName} ${job.status === 'completed' ? 'imported' : 'failed'}`}
+            </h3>
+            <div className="mt-3 w-full bg-gray-200 rounded-full h-2">
+              <div
+                className={`h-2 rounded-full ${job.status === 'failed' ? 'bg-red-500' : 'bg-primary-600'}`}
+                style={{ width: `${job.total > 0 ? Math.round((job.processed / job.total) * 100) : 0}%` }}
+              ></div>
+            </div>
+            <p className="mt-2 text-sm text-gray-700">
+              {job.processed} of {job.total} rows · {describeCounts(job)}
+            </p>
+            {job.error && <p className="mt-1 text-sm text-red-600">{job.error}</p>}
+            {!running && (
+              <div className="mt-4 flex space-x-3">
+                <Link to="/leads" className="text-sm font-medium text-primary-600 hover:text-primary-900">View leads</Link>
+                {job.failed > 0 && (
+                  <button onClick={() => handleDownloadErrors(job)} className="inline-flex items-center text-sm font-medium text-primary-600 hover:text-primary-900">
+                    <ArrowDownTrayIcon className="mr-1 h-4 w-4" />
+                    Download error report
+                  </button>
+                )}
+                <button onClick={() => setJob(null)} className="text-sm text-gray-500 hover:text-gray-700">Import another file</button>
+              </div>
+            )}
+          </div>
+        )}
+
+        {/* Recent imports */}
+        {recent.length > 0 && (
+          <div className="mt-6 bg-white shadow px-4 py-5 sm:rounded-lg sm:p-6">
+            <h3 className="text-lg font-medium leading-6 text-gray-900">Recent Imports</h3>
+            <ul className="mt-3 divide-y divide-gray-200">
+              {recent.map(importJob => (
+                <li key={importJob._id} className="py-3 flex items-center justify-between">
+                  <div>
+                    <p className="text-sm font-medium text-gray-900">{importJob.fileName}</p>
+                    <p className="text-xs text-gray-500">
+                      {formatDate(importJob.createdAt)}
+                      {importJob.userId?.name && ` by ${importJob.userId.name}`}
+                      {' · '}
+                      {importJob.status === 'pending' ? 'Not started' : `${importJob.status} · ${describeCounts(importJob)}`}
+                    </p>
+                  </div>
+                  {importJob.failed > 0 && (
+                    <button
+                      onClick={() => handleDownloadErrors(importJob)}
+                      className="text-gray-400 hover:text-gray-600"
+                      title="Download error report"
+                    >
+                      <ArrowDownTrayIcon className="h-5 w-5" />
+                      <span className="sr-only">Download error report</span>
+                    </button>
+                  )}
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ImportLeads;
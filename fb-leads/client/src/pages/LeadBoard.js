@@ -0,0 +1,365 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { Link } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import leadService from '../services/leadService';
+import formService from '../services/formService';
+import pipelineService from '../services/pipelineService';
+import organizationService from '../services/organizationService';
+import StageBadge from '../components/StageBadge';
+import SlaBadge from '../components/SlaBadge';
+import { describeSource } from '../components/LeadSource';
+import LeadFilters, { EMPTY_FILTERS, toLeadParams, getPagesFromForms } from '../components/LeadFilters';
+import { TableCellsIcon } from '@heroicons/react/24/outline';
+import { useAuth } from '../context/AuthContext';
+
+// Leads loaded per column at a time
+const PAGE_SIZE = 20;
+
+// How long ago a lead came in, e.g. "5m", "3h" or "2d"
+const formatAge = (dateString) => {
+  const minutes = Math.max(0, Math.floor((Date.now() - new Date(dateString)) / 60000));
+
+  if (minutes < 60) {
+    return `${minutes}m`;
+  }
+  if (minutes < 60 * 24) {
+    return `${Math.floor(minutes / 60)}h`;
+  }
+  return `${Math.floor(minutes / (60 * 24))}d`;
+};
+
+// Leads as cards in one column per stage of a pipeline. Dragging a card to
+// another column changes the lead's status; columns load more as they scroll.
+const LeadBoard = () => {
+  const { can } = useAuth();
+  const [pipelines, setPipelines] = useState([]);
+  const [pipelineId, setPipelineId] = useState('');
+  const [forms, setForms] = useState([]);
+  const [pages, setPages] = useState([]);
+  const [members, setMembers] = useState([]);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [columns, setColumns] = useState({});
+  const [counts, setCounts] = useState({});
+  const [dragging, setDragging] = useState(null);
+  const [dropTarget, setDropTarget] = useState(null);
+
+  // Bumped whenever the board reloads, so late responses for the old filters are dropped
+  const generation = useRef(0);
+
+  const pipeline = pipelines.find(p => p._id === pipelineId);
+
+  useEffect(() => {
+    const fetchPipelines = async () => {
+      try {
+        const response = await pipelineService.getPipelines();
+        if (response.success) {
+          setPipelines(response.data);
+          setPipelineId((response.data.find(p => p.isDefault) || response.data[0])?._id || '');
+        }
+      } catch (error) {
+        console.error('Error fetching pipelines:', error);
+        toast.error('Failed to load pipelines');
+      }
+    };
+
+    const fetchForms = async () => {
+      try {
+        const response = await formService.getForms();
+        if (response.success) {
+          setForms(response.data);
+          setPages(getPagesFromForms(response.data));
+        }
+      } catch (error) {
+        console.error('Error fetching forms:', error);
+      }
+    };
+
+    // Members, for the assignee on each card
+    const fetchMembers = async () => {
+      try {
+        const response = await organizationService.getOrganization();
+        if (response.success) {
+          setMembers(response.data.members);
+        }
+      } catch (error) {
+        console.error('Error fetching members:', error);
+      }
+    };
+
+    fetchPipelines();
+    fetchForms();
+    fetchMembers();
+  }, []);
+
+  // Load a stage's next leads into its column, newest first. They're asked
+  // for after the last card loaded rather than by page, so cards dragged out
+  // of the column don't make the next leads skip one.
+  const loadColumn = useCallback(async (stageKey, cursor, run) => {
+    setColumns(prev => ({
+      ...prev,
+      [stageKey]: { leads: [], ...prev[stageKey], loading: true }
+    }));
+
+    try {
+      const response = await leadService.getLeads({
+        ...toLeadParams(filters),
+        pipelineId,
+        status: stageKey,
+        sort: '-createdTime',
+        ...(cursor && { before: cursor.createdTime, beforeId: cursor._id }),
+        limit: PAGE_SIZE
+      });
+
+      if (run !== generation.current || !response.success) {
+        return;
+      }
+
+      setColumns(prev => {
+        // Cards dragged in since the last page may come back again
+        const loaded = cursor ? prev[stageKey].leads : [];
+        const ids = new Set(loaded.map(lead => lead._id));
+        const last = response.data[response.data.length - 1];
+
+        return {
+          ...prev,
+          [stageKey]: {
+            leads: [...loaded, ...response.data.filter(lead => !ids.has(lead._id))],
+            cursor: last ? { createdTime: last.createdTime, _id: last._id } : cursor,
+            hasMore: response.total > response.data.length,
+            loading: false
+          }
+        };
+      });
+    } catch (error) {
+      console.error('Error fetching leads:', error);
+      if (run === generation.current) {
+        setColumns(prev => ({ ...prev, [stageKey]: { ...prev[stageKey], loading: false } }));
+        toast.error('Failed to load leads');
+      }
+    }
+  }, [filters, pipelineId]);
+
+  // Reload every column when the pipeline or filters change
+  useEffect(() => {
+    if (!pipeline) {
+      return;
+    }
+
+    const run = ++generation.current;
+    setColumns({});
+    setCounts({});
+    pipeline.stages.forEach(stage => loadColumn(stage.key, null, run));
+
+    const fetchCounts = async () => {
+      try {
+        const response = await leadService.getStageCounts({ ...toLeadParams(filters), pipelineId: pipeline._id });
+        if (run === generation.current && response.success) {
+          setCounts(response.data);
+        }
+      } catch (error) {
+        console.error('Error counting leads:', error);
+      }
+    };
+
+    fetchCounts();
+  }, [pipeline, filters, loadColumn]);
+
+  const handleFilterChange = (e) => {
+    const { name, value } = e.target;
+    setFilters(prev => ({ ...prev, [name]: value }));
+  };
+
+  // Load the next page when a column is scrolled near its end
+  const handleScroll = (e, stageKey) => {
+    const column = columns[stageKey];
+    const { scrollTop, clientHeight, scrollHeight } = e.currentTarget;
+
+    if (column && column.hasMore && !column.loading && scrollTop + clientHeight >= scrollHeight - 100) {
+      loadColumn(stageKey, column.cursor, generation.current);
+    }
+  };
+
+  // Move a card between columns and adjust the counts
+  const moveCard = (lead, from, to) => {
+    setColumns(prev => ({
+      ...prev,
+      [from]: { ...prev[from], leads: prev[from].leads.filter(l => l._id !== lead._id) },
+      [to]: { ...prev[to], leads: [lead, ...(prev[to]?.leads || [])] }
+    }));
+    setCounts(prev => ({
+      ...prev,
+      [from]: Math.max(0, (prev[from] || 0) - 1),
+      [to]: (prev[to] || 0) + 1
+    }));
+  };
+
+  const handleDrop = async (e, stage) => {
+    e.preventDefault();
+    setDropTarget(null);
+
+    if (!dragging || dragging.status === stage.key) {
+      return;
+    }
+
+    const lead = dragging;
+    setDragging(null);
+
+    // Move the card right away and put it back if the update fails
+    moveCard({ ...lead, status: stage.key }, lead.status, stage.key);
+
+    try {
+      const response = await leadService.updateLeadStatus(lead._id, { status: stage.key });
+      if (response.success) {
+        // Leaving the first stage may have set the first contact time
+        setColumns(prev => ({
+          ...prev,
+          [stage.key]: {
+            ...prev[stage.key],
+            leads: prev[stage.key].leads.map(l => (
+              l._id === lead._id ? { ...l, firstContactedAt: response.data.firstContactedAt } : l
+            ))
+          }
+        }));
+        toast.success(`Moved ${lead.fullName || 'lead'} to ${stage.name}`);
+      }
+    } catch (error) {
+      console.error('Error updating lead status:', error);
+      moveCard(lead, stage.key, lead.status);
+      toast.error(error.response?.data?.error || 'Failed to move lead');
+    }
+  };
+
+  const getMemberName = (userId) => {
+    return members.find(member => member.userId === userId)?.name || 'Former member';
+  };
+
+  const getFormName = (lead) => {
+    return describeSource(lead, lead.formName || forms.find(f => f.formId === lead.formId)?.formName || lead.formId);
+  };
+
+  const canMove = can('leads:update');
+
+  return (
+    <div className="py-6">
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+        <div className="flex justify-between items-center">
+          <h1 className="text-2xl font-semibold text-gray-900">Leads</h1>
+          <div className="flex space-x-3">
+            {pipelines.length > 1 && (
+              <select
+                value={pipelineId}
+                onChange={(e) => setPipelineId(e.target.value)}
+                className="block pl-3 pr-10 py-2 text-base border-gray-300 focus:outline-none focus:ring-primary-500 focus:border-primary-500 sm:text-sm rounded-md"
+              >
+                {pipelines.map(p => (
+                  <option key={p._id} value={p._id}>
+                    {p.name}
+                  </option>
+                ))}
+              </select>
+            )}
+            <Link
+              to="/leads"
+              className="inline-flex items-center px-4 py-2 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500"
+            >
+              <TableCellsIcon className="-ml-1 mr-2 h-5 w-5 text-gray-500" />
+              Table
+            </Link>
+          </div>
+        </div>
+
+        {/* Filters */}
+        <LeadFilters
+          filters={filters}
+          onChange={handleFilterChange}
+          forms={forms}
+          pages={pages}
+        />
+
+        {/* Board */}
+        <div className="mt-8 flex space-x-4 overflow-x-auto pb-4">
+          {pipeline?.stages.map(stage => {
+            const column = columns[stage.key] || { leads: [], loading: true };
+
+            return (
+              <div
+                key={stage.key}
+                onDragOver={(e) => {
+                  if (canMove && dragging) {
+                    e.preventDefault();
+                    setDropTarget(stage.key);
+                  }
+                }}
+                onDragLeave={(e) => {
+                  if (!e.currentTarget.contains(e.relatedTarget)) {
+                    setDropTarget(null);
+                  }
+                }}
+                onDrop={(e) => handleDrop(e, stage)}
+                className={`w-72 flex-shrink-0 rounded-lg ${
+                  dropTarget === stage.key ? 'bg-primary-50 ring-2 ring-primary-500' : 'bg-gray-50'
+                }`}
+              >
+                <div className="flex items-center justify-between px-3 py-2 border-b border-gray-200">
+                  <StageBadge stage={stage} />
+                  <span className="text-sm text-gray-500">{counts[stage.key] ?? ''}</span>
+                </div>
+                <div
+                  onScroll={(e) => handleScroll(e, stage.key)}
+                  className="p-2 space-y-2 max-h-[70vh] overflow-y-auto"
+                >
+                  {column.leads.map(lead => (
+                    <div
+                      key={lead._id}
+                      draggable={canMove}
+                      onDragStart={(e) => {
+                        // Firefox only starts a drag with some data set
+                        e.dataTransfer.setData('text/plain', lead._id);
+                        setDragging(lead);
+                      }}
+                      onDragEnd={() => {
+                        setDragging(null);
+                        setDropTarget(null);
+                      }}
+                      className={`bg-white rounded-md shadow p-3 ${canMove ? 'cursor-move' : ''} ${
+                        dragging?._id === lead._id ? 'opacity-50' : ''
+                      }`}
+                    >
+                      <div className="flex items-start justify-between">
+                        <Link to={`/leads/${lead._id}`} className="text-sm font-medium text-gray-900 hover:text-primary-600">
+                          {lead.fullName || 'Unknown'}
+                        </Link>
+                        <span className="ml-2 text-xs text-gray-500" title={new Date(lead.createdTime).toLocaleString()}>
+                          {formatAge(lead.createdTime)}
+                        </span>
+                      </div>
+                      <p className="mt-1 text-xs text-gray-500 truncate">{getFormName(lead)}</p>
+                      <div className="mt-1 flex items-center justify-between">
+                        <p className="text-xs text-gray-700">
+                          {lead.assignedTo ? getMemberName(lead.assignedTo) : 'Unassigned'}
+                        </p>
+                        <SlaBadge lead={lead} />
+                      </div>
+                    </div>
+                  ))}
+
+                  {column.loading && (
+                    <div className="flex justify-center py-2">
+                      <div className="animate-spin rounded-full h-6 w-6 border-t-2 border-b-2 border-primary-600"></div>
+                    </div>
+                  )}
+
+                  {!column.loading && column.leads.length === 0 && (
+                    <p className="text-center text-xs text-gray-400 py-4">No leads</p>
+                  )}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default LeadBoard;
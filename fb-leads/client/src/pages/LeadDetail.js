@@ -2,6 +2,17 @@ import React, { useState, useEffect } from 'react';
 import { useParams, Link } from 'react-router-dom';
 import { toast } from 'react-toastify';
 import leadService from '../services/leadService';
+import organizationService from '../services/organizationService';
+import pipelineService from '../services/pipelineService';
+import { useAuth } from '../context/AuthContext';
+import ActivityTimeline from '../components/ActivityTimeline';
+import TaskList from '../components/TaskList';
+import DuplicateLeads from '../components/DuplicateLeads';
+import LeadCustomFields from '../components/LeadCustomFields';
+import LeadTags from '../components/LeadTags';
+import StageBadge, { getLeadPipeline, getLeadStage } from '../components/StageBadge';
+import ScoreBadge from '../components/ScoreBadge';
+import { SOURCE_LABELS } from '../components/LeadSource';
 import {
   ArrowLeftIcon,
   PencilIcon,
@@ -11,21 +22,36 @@ import {
 
 const LeadDetail = () => {
   const { id } = useParams();
+  const { can } = useAuth();
   const [lead, setLead] = useState(null);
   const [loading, setLoading] = useState(true);
-  const [notes, setNotes] = useState('');
   const [status, setStatus] = useState('');
+  const [pipelineId, setPipelineId] = useState('');
+  const [pipelines, setPipelines] = useState([]);
   const [editing, setEditing] = useState(false);
   const [saving, setSaving] = useState(false);
+  const [members, setMembers] = useState([]);
+  const [timelineKey, setTimelineKey] = useState(0);
+  const canAssign = can('leads:assign');
   
-  // Status options
-  const statusOptions = [
-    { value: 'new', label: 'New', color: 'bg-blue-100 text-blue-800' },
-    { value: 'contacted', label: 'Contacted', color: 'bg-yellow-100 text-yellow-800' },
-    { value: 'qualified', label: 'Qualified', color: 'bg-green-100 text-green-800' },
-    { value: 'converted', label: 'Converted', color: 'bg-purple-100 text-purple-800' },
-    { value: 'lost', label: 'Lost', color: 'bg-red-100 text-red-800' }
-  ];
+  const leadStage = getLeadStage(pipelines, lead);
+  const editingStages = pipelines.find(pipeline => pipeline._id === pipelineId)?.stages || [];
+
+  // Fetch pipelines for the lead's stages
+  useEffect(() => {
+    const fetchPipelines = async () => {
+      try {
+        const response = await pipelineService.getPipelines();
+        if (response.success) {
+          setPipelines(response.data);
+        }
+      } catch (error) {
+        console.error('Error fetching pipelines:', error);
+      }
+    };
+
+    fetchPipelines();
+  }, []);
 
   // Fetch lead data
   useEffect(() => {
@@ -36,8 +62,6 @@ const LeadDetail = () => {
         
         if (response.success) {
           setLead(response.data);
-          setNotes(response.data.notes || '');
-          setStatus(response.data.status || 'new');
         }
       } catch (error) {
         console.error('Error fetching lead:', error);
@@ -50,28 +74,72 @@ const LeadDetail = () => {
     fetchLead();
   }, [id]);
 
+  // Fetch members to assign the lead to
+  useEffect(() => {
+    if (!canAssign) return;
+
+    const fetchMembers = async () => {
+      try {
+        const response = await organizationService.getOrganization();
+        if (response.success) {
+          setMembers(response.data.members);
+        }
+      } catch (error) {
+        console.error('Error fetching members:', error);
+      }
+    };
+
+    fetchMembers();
+  }, [canAssign]);
+
+  // Handle assignment change
+  const handleAssign = async (userId) => {
+    try {
+      const response = await leadService.assignLead(id, userId || null);
+      if (response.success) {
+        setLead({ ...lead, assignedTo: response.data.assignedTo });
+        setTimelineKey(key => key + 1);
+        toast.success(userId ? 'Lead assigned' : 'Lead unassigned');
+      }
+    } catch (error) {
+      console.error('Error assigning lead:', error);
+      toast.error(error.response?.data?.error || 'Failed to assign lead');
+    }
+  };
+
+  // Start editing from the lead's current pipeline and stage
+  const handleStartEditing = () => {
+    setPipelineId(getLeadPipeline(pipelines, lead)?._id || '');
+    setStatus(lead.status || '');
+    setEditing(true);
+  };
+
+  // Moving to another pipeline starts the lead at its first stage
+  const handlePipelineChange = (nextPipelineId) => {
+    setPipelineId(nextPipelineId);
+    setStatus(pipelines.find(pipeline => pipeline._id === nextPipelineId)?.stages[0]?.key || '');
+  };
+
   // Handle save changes
   const handleSaveChanges = async () => {
     try {
       setSaving(true);
       
-      const response = await leadService.updateLeadStatus(id, {
-        status,
-        notes
-      });
+      const response = await leadService.updateLeadStatus(id, { pipelineId, status });
       
       if (response.success) {
         toast.success('Lead updated successfully');
         setEditing(false);
         setLead({
           ...lead,
-          status,
-          notes
+          status: response.data.status,
+          pipelineId: response.data.pipelineId
         });
+        setTimelineKey(key => key + 1);
       }
     } catch (error) {
       console.error('Error updating lead:', error);
-      toast.error('Failed to update lead');
+      toast.error(error.response?.data?.error || 'Failed to update lead');
     } finally {
       setSaving(false);
     }
@@ -100,6 +168,33 @@ const LeadDetail = () => {
     }, {});
   };
 
+  // What the lead's source recorded about where it came from
+  const getSourceDetails = (lead) => {
+    const provenance = lead.provenance || {};
+    const source = ['Source', SOURCE_LABELS[lead.source] || lead.source];
+
+    switch (lead.source) {
+      case 'import':
+        return [source, ['Imported From', `${provenance.fileName || 'A file'}${provenance.row ? `, row ${provenance.row}` : ''}`]];
+      case 'manual':
+        return [source, ['Added By', members.find(member => member.userId === provenance.createdBy)?.name || 'A member']];
+      case 'api':
+        return [source, ['Integration', provenance.client], ['External ID', provenance.externalId]];
+      case 'website_form':
+        return [source, ['Form', lead.formName || lead.formId], ['Page', provenance.pageUrl], ['Referrer', provenance.referrer]];
+      default:
+        return [
+          source,
+          ['Facebook Page', lead.pageName || 'Unknown'],
+          ['Form', lead.formName || lead.formId],
+          ['Campaign', provenance.campaignName || lead.rawData?.campaignName],
+          ['Ad Set', provenance.adsetName || lead.rawData?.adsetName],
+          ['Ad', provenance.adName || lead.rawData?.adName],
+          ['Platform', provenance.platform || lead.rawData?.platform]
+        ];
+    }
+  };
+
   return (
     <div className="py-6">
       <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
@@ -112,9 +207,9 @@ const LeadDetail = () => {
             <h1 className="text-2xl font-semibold text-gray-900">Lead Details</h1>
           </div>
           
-          {!editing ? (
+          {!can('leads:update') ? null : !editing ? (
             <button
-              onClick={() => setEditing(true)}
+              onClick={handleStartEditing}
               className="inline-flex items-center px-3 py-2 border border-transparent text-sm leading-4 font-medium rounded-md text-white bg-primary-600 hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500"
             >
               <PencilIcon className="-ml-0.5 mr-2 h-4 w-4" />
@@ -147,8 +242,6 @@ const LeadDetail = () => {
               <button
                 onClick={() => {
                   setEditing(false);
-                  setNotes(lead.notes || '');
-                  setStatus(lead.status || 'new');
                 }}
                 className="inline-flex items-center px-3 py-2 border border-gray-300 text-sm leading-4 font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500"
               >
@@ -165,6 +258,23 @@ const LeadDetail = () => {
           </div>
         ) : lead ? (
           <div className="mt-6 space-y-6">
+            {lead.mergedInto && (
+              <div className="rounded-md bg-yellow-50 p-4 text-sm text-yellow-800">
+                This lead was merged into{' '}
+                <Link to={`/leads/${lead.mergedInto}`} className="font-medium underline">
+                  another lead
+                </Link>
+                {' '}on {formatDate(lead.mergedAt)}, along with its notes and activities.
+              </div>
+            )}
+
+            {lead.archivedAt && (
+              <div className="rounded-md bg-gray-100 p-4 text-sm text-gray-700">
+                This lead was archived on {formatDate(lead.archivedAt)}. It is left out of the leads list,
+                routing and SLA alerts until it is restored.
+              </div>
+            )}
+
             {/* Basic Info Card */}
             <div className="bg-white shadow overflow-hidden sm:rounded-lg">
               <div className="px-4 py-5 sm:px-6 flex justify-between items-center">
@@ -175,12 +285,12 @@ const LeadDetail = () => {
                   <p className="mt-1 max-w-2xl text-sm text-gray-500">
                     Lead ID: {lead.leadId}
                   </p>
+                  <LeadTags lead={lead} onSaved={(updated) => setLead({ ...lead, tags: updated.tags })} />
+                </div>
+                <div className="flex items-center space-x-2">
+                  <ScoreBadge lead={lead} />
+                  <StageBadge stage={leadStage} status={lead.status} />
                 </div>
-                <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${
-                  statusOptions.find(s => s.value === lead.status)?.color || 'bg-gray-100 text-gray-800'
-                }`}>
-                  {statusOptions.find(s => s.value === lead.status)?.label || 'Unknown'}
-                </span>
               </div>
               <div className="border-t border-gray-200 px-4 py-5 sm:p-0">
                 <dl className="sm:divide-y sm:divide-gray-200">
@@ -193,9 +303,35 @@ const LeadDetail = () => {
                   <div className="py-4 sm:py-5 sm:grid sm:grid-cols-3 sm:gap-4 sm:px-6">
                     <dt className="text-sm font-medium text-gray-500">Phone</dt>
                     <dd className="mt-1 text-sm text-gray-900 sm:mt-0 sm:col-span-2">
-                      {lead.phone || 'Not provided'}
+                      {lead.phoneE164 ? (
+                        <>
+                          <a href={`tel:${lead.phoneE164}`} className="text-primary-600 hover:text-primary-900">
+                            {lead.phoneE164}
+                          </a>
+                          {lead.phone !== lead.phoneE164 && (
+                            <span className="ml-2 text-gray-500">(entered as {lead.phone})</span>
+                          )}
+                        </>
+                      ) : lead.phone ? (
+                        <>
+                          {lead.phone}
+                          {lead.phoneValid === false && (
+                            <span className="ml-2 inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-yellow-100 text-yellow-800">
+                              Invalid number
+                            </span>
+                          )}
+                        </>
+                      ) : 'Not provided'}
                     </dd>
                   </div>
+                  {lead.city && (
+                    <div className="py-4 sm:py-5 sm:grid sm:grid-cols-3 sm:gap-4 sm:px-6">
+                      <dt className="text-sm font-medium text-gray-500">City</dt>
+                      <dd className="mt-1 text-sm text-gray-900 sm:mt-0 sm:col-span-2">
+                        {lead.city}
+                      </dd>
+                    </div>
+                  )}
                   <div className="py-4 sm:py-5 sm:grid sm:grid-cols-3 sm:gap-4 sm:px-6">
                     <dt className="text-sm font-medium text-gray-500">Created</dt>
                     <dd className="mt-1 text-sm text-gray-900 sm:mt-0 sm:col-span-2">
@@ -215,47 +351,22 @@ const LeadDetail = () => {
               </div>
               <div className="border-t border-gray-200 px-4 py-5 sm:p-0">
                 <dl className="sm:divide-y sm:divide-gray-200">
-                  <div className="py-4 sm:py-5 sm:grid sm:grid-cols-3 sm:gap-4 sm:px-6">
-                    <dt className="text-sm font-medium text-gray-500">Facebook Page</dt>
-                    <dd className="mt-1 text-sm text-gray-900 sm:mt-0 sm:col-span-2">
-                      {lead.pageName || 'Unknown'}
-                    </dd>
-                  </div>
-                  <div className="py-4 sm:py-5 sm:grid sm:grid-cols-3 sm:gap-4 sm:px-6">
-                    <dt className="text-sm font-medium text-gray-500">Form</dt>
-                    <dd className="mt-1 text-sm text-gray-900 sm:mt-0 sm:col-span-2">
-                      {lead.formName || lead.formId}
-                    </dd>
-                  </div>
-                  <div className="py-4 sm:py-5 sm:grid sm:grid-cols-3 sm:gap-4 sm:px-6">
-                    <dt className="text-sm font-medium text-gray-500">Campaign</dt>
-                    <dd className="mt-1 text-sm text-gray-900 sm:mt-0 sm:col-span-2">
-                      {lead.rawData?.campaignName || 'Not available'}
-                    </dd>
-                  </div>
-                  <div className="py-4 sm:py-5 sm:grid sm:grid-cols-3 sm:gap-4 sm:px-6">
-                    <dt className="text-sm font-medium text-gray-500">Ad Set</dt>
-                    <dd className="mt-1 text-sm text-gray-900 sm:mt-0 sm:col-span-2">
-                      {lead.rawData?.adsetName || 'Not available'}
-                    </dd>
-                  </div>
-                  <div className="py-4 sm:py-5 sm:grid sm:grid-cols-3 sm:gap-4 sm:px-6">
-                    <dt className="text-sm font-medium text-gray-500">Ad</dt>
-                    <dd className="mt-1 text-sm text-gray-900 sm:mt-0 sm:col-span-2">
-                      {lead.rawData?.adName || 'Not available'}
-                    </dd>
-                  </div>
-                  <div className="py-4 sm:py-5 sm:grid sm:grid-cols-3 sm:gap-4 sm:px-6">
-                    <dt className="text-sm font-medium text-gray-500">Platform</dt>
-                    <dd className="mt-1 text-sm text-gray-900 sm:mt-0 sm:col-span-2">
-                      {lead.rawData?.platform || 'Not available'}
+                  {getSourceDetails(lead).map(([term, value]) => (
+                  <div key={term} className="py-4 sm:py-5 sm:grid sm:grid-cols-3 sm:gap-4 sm:px-6">
+                    <dt className="text-sm font-medium text-gray-500">{term}</dt>
+                    <dd className="mt-1 text-sm text-gray-900 sm:mt-0 sm:col-span-2 break-words">
+                      {value || 'Not available'}
                     </dd>
                   </div>
+                  ))}
                 </dl>
               </div>
             </div>
 
             {/* Custom Fields Card */}
+            <LeadCustomFields lead={lead} onSaved={(updated) => setLead({ ...lead, customFields: updated.customFields })} />
+
+            {/* Form Fields Card */}
             {lead.fieldData && lead.fieldData.length > 0 && (
               <div className="bg-white shadow overflow-hidden sm:rounded-lg">
                 <div className="px-4 py-5 sm:px-6">
@@ -283,15 +394,64 @@ const LeadDetail = () => {
               </div>
             )}
 
-            {/* Status and Notes Card */}
+            {/* Status Card */}
             <div className="bg-white shadow overflow-hidden sm:rounded-lg">
               <div className="px-4 py-5 sm:px-6">
                 <h2 className="text-lg leading-6 font-medium text-gray-900">
-                  Status and Notes
+                  Status
                 </h2>
               </div>
               <div className="border-t border-gray-200 px-4 py-5 sm:px-6">
                 <div className="space-y-6">
+                  {canAssign && (
+                    <div>
+                      <label htmlFor="assignedTo" className="block text-sm font-medium text-gray-700">
+                        Assigned To
+                      </label>
+                      <select
+                        id="assignedTo"
+                        name="assignedTo"
+                        value={lead.assignedTo || ''}
+                        onChange={(e) => handleAssign(e.target.value)}
+                        className="mt-1 block w-full pl-3 pr-10 py-2 text-base border-gray-300 focus:outline-none focus:ring-primary-500 focus:border-primary-500 sm:text-sm rounded-md"
+                      >
+                        <option value="">Unassigned</option>
+                        {members.map(member => (
+                          <option key={member.userId} value={member.userId}>
+                            {member.name} ({member.role})
+                          </option>
+                        ))}
+                      </select>
+                    </div>
+                  )}
+
+                  {pipelines.length > 1 && (
+                    <div>
+                      <label htmlFor="pipelineId" className="block text-sm font-medium text-gray-700">
+                        Pipeline
+                      </label>
+                      {editing ? (
+                        <select
+                          id="pipelineId"
+                          name="pipelineId"
+                          value={pipelineId}
+                          onChange={(e) => handlePipelineChange(e.target.value)}
+                          className="mt-1 block w-full pl-3 pr-10 py-2 text-base border-gray-300 focus:outline-none focus:ring-primary-500 focus:border-primary-500 sm:text-sm rounded-md"
+                        >
+                          {pipelines.map(pipeline => (
+                            <option key={pipeline._id} value={pipeline._id}>
+                              {pipeline.name}
+                            </option>
+                          ))}
+                        </select>
+                      ) : (
+                        <div className="mt-1 text-sm text-gray-900">
+                          {getLeadPipeline(pipelines, lead)?.name}
+                        </div>
+                      )}
+                    </div>
+                  )}
+
                   <div>
                     <label htmlFor="status" className="block text-sm font-medium text-gray-700">
                       Status
@@ -304,48 +464,29 @@ const LeadDetail = () => {
                         onChange={(e) => setStatus(e.target.value)}
                         className="mt-1 block w-full pl-3 pr-10 py-2 text-base border-gray-300 focus:outline-none focus:ring-primary-500 focus:border-primary-500 sm:text-sm rounded-md"
                       >
-                        {statusOptions.map(option => (
-                          <option key={option.value} value={option.value}>
-                            {option.label}
+                        {editingStages.map(stage => (
+                          <option key={stage.key} value={stage.key}>
+                            {stage.name}
                           </option>
                         ))}
                       </select>
                     ) : (
                       <div className="mt-1">
-                        <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${
-                          statusOptions.find(s => s.value === lead.status)?.color || 'bg-gray-100 text-gray-800'
-                        }`}>
-                          {statusOptions.find(s => s.value === lead.status)?.label || 'Unknown'}
-                        </span>
-                      </div>
-                    )}
-                  </div>
-                  
-                  <div>
-                    <label htmlFor="notes" className="block text-sm font-medium text-gray-700">
-                      Notes
-                    </label>
-                    {editing ? (
-                      <div className="mt-1">
-                        <textarea
-                          id="notes"
-                          name="notes"
-                          rows={4}
-                          value={notes}
-                          onChange={(e) => setNotes(e.target.value)}
-                          className="shadow-sm focus:ring-primary-500 focus:border-primary-500 block w-full sm:text-sm border-gray-300 rounded-md"
-                          placeholder="Add notes about this lead..."
-                        />
-                      </div>
-                    ) : (
-                      <div className="mt-1 text-sm text-gray-900 border border-gray-200 rounded-md p-3 min-h-[100px] bg-gray-50">
-                        {lead.notes || 'No notes added yet.'}
+                        <StageBadge stage={leadStage} status={lead.status} />
                       </div>
                     )}
                   </div>
                 </div>
               </div>
             </div>
+
+            {!lead.mergedInto && (
+              <DuplicateLeads leadId={lead._id} onChange={() => setTimelineKey(key => key + 1)} />
+            )}
+
+            <TaskList leadId={lead._id} members={members} />
+
+            <ActivityTimeline leadId={id} refreshKey={timelineKey} />
           </div>
         ) : (
           <div className="mt-6 bg-white shadow overflow-hidden sm:rounded-lg p-6 text-center">
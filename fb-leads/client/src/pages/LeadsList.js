@@ -1,22 +1,47 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import { toast } from 'react-toastify';
 import leadService from '../services/leadService';
 import formService from '../services/formService';
+import pipelineService from '../services/pipelineService';
+import customFieldService from '../services/customFieldService';
+import tagService from '../services/tagService';
+import segmentService from '../services/segmentService';
+import { STAGE_COLORS, getLeadPipeline, getLeadStage } from '../components/StageBadge';
+import SlaBadge from '../components/SlaBadge';
+import ScoreBadge from '../components/ScoreBadge';
+import SearchHighlight from '../components/SearchHighlight';
+import LeadFilters, { toLeadParams, toLeadBody, getPagesFromForms } from '../components/LeadFilters';
+import SavedViews, { ColumnPicker, readListState, toListQuery } from '../components/SavedViews';
+import BulkActions, { BulkReport } from '../components/BulkActions';
+import TagChips, { getTagColors } from '../components/TagChips';
+import { SaveSegment } from '../components/SegmentSettings';
+import LeadSource from '../components/LeadSource';
+import AddLeadModal from '../components/AddLeadModal';
 import {
   ArrowPathIcon,
-  FunnelIcon,
   ArrowDownTrayIcon,
+  ArrowUpTrayIcon,
+  ChevronDownIcon,
   ChevronLeftIcon,
   ChevronRightIcon,
-  EyeIcon
+  EyeIcon,
+  PlusIcon,
+  ViewColumnsIcon
 } from '@heroicons/react/24/outline';
-import { Link } from 'react-router-dom';
+import { Link, useSearchParams } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
 
 const LeadsList = () => {
+  const { can } = useAuth();
   const [leads, setLeads] = useState([]);
   const [forms, setForms] = useState([]);
+  const [pipelines, setPipelines] = useState([]);
+  const [customFields, setCustomFields] = useState([]);
+  const [tags, setTags] = useState([]);
+  const [segments, setSegments] = useState([]);
   const [loading, setLoading] = useState(true);
   const [syncing, setSyncing] = useState(false);
+  const [adding, setAdding] = useState(false);
   const [totalLeads, setTotalLeads] = useState(0);
   const [pagination, setPagination] = useState({
     page: 1,
@@ -24,35 +49,36 @@ const LeadsList = () => {
     totalPages: 1
   });
   
-  // Filters
-  const [filters, setFilters] = useState({
-    formId: '',
-    pageId: '',
-    status: '',
-    dateRange: 'all',
-    searchTerm: ''
-  });
+  // Filters, sort (newest first, highest score first, or best match first
+  // while searching), columns and saved view live in the URL, so the list
+  // survives navigation and can be shared as a link
+  const [searchParams, setSearchParams] = useSearchParams();
+  const listState = useMemo(() => readListState(searchParams), [searchParams]);
+  const { filters, sort, columns } = listState;
+  const searching = Boolean(filters.searchTerm?.trim());
+
+  // Picking a view adds a history entry; editing filters replaces the current one
+  const updateListState = (changes, { push = false } = {}) => {
+    setSearchParams(toListQuery({ ...listState, ...changes }), { replace: !push });
+    setPagination(prev => ({ ...prev, page: 1 }));
+  };
   
   // Pages list (extracted from forms)
   const [pages, setPages] = useState([]);
+
+  // Leads picked for a bulk action, across pages, or every lead matching the
+  // filters; and the leads the last bulk action couldn't change
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [allMatching, setAllMatching] = useState(false);
+  const [bulkReport, setBulkReport] = useState([]);
   
-  // Status options
-  const statusOptions = [
-    { value: 'new', label: 'New', color: 'bg-blue-100 text-blue-800' },
-    { value: 'contacted', label: 'Contacted', color: 'bg-yellow-100 text-yellow-800' },
-    { value: 'qualified', label: 'Qualified', color: 'bg-green-100 text-green-800' },
-    { value: 'converted', label: 'Converted', color: 'bg-purple-100 text-purple-800' },
-    { value: 'lost', label: 'Lost', color: 'bg-red-100 text-red-800' }
-  ];
-
-  // Date range options
-  const dateRangeOptions = [
-    { value: 'all', label: 'All Time' },
-    { value: 'today', label: 'Today' },
-    { value: 'yesterday', label: 'Yesterday' },
-    { value: 'week', label: 'This Week' },
-    { value: 'month', label: 'This Month' }
-  ];
+  // Status filter options: the chosen pipeline's stages, or every stage
+  const statusOptions = (filters.pipelineId
+    ? pipelines.filter(pipeline => pipeline._id === filters.pipelineId)
+    : pipelines
+  )
+    .flatMap(pipeline => pipeline.stages)
+    .filter((stage, index, stages) => stages.findIndex(s => s.key === stage.key) === index);
 
   // Fetch leads
   const fetchLeads = async () => {
@@ -63,7 +89,8 @@ const LeadsList = () => {
       const params = {
         page: pagination.page,
         limit: pagination.limit,
-        ...filters
+        sort,
+        ...toLeadParams(filters)
       };
       
       const response = await leadService.getLeads(params);
@@ -91,38 +118,109 @@ const LeadsList = () => {
       if (response.success) {
         setForms(response.data);
         
-        // Extract unique pages from forms
-        const uniquePages = [...new Set(
-          response.data
-            .filter(form => form.pageId && form.pageName)
-            .map(form => JSON.stringify({
-              id: form.pageId,
-              name: form.pageName
-            }))
-        )].map(page => JSON.parse(page));
-        
-        setPages(uniquePages);
+        setPages(getPagesFromForms(response.data));
       }
     } catch (error) {
       console.error('Error fetching forms:', error);
     }
   };
 
+  // Fetch pipelines for stage names and colors
+  const fetchPipelines = async () => {
+    try {
+      const response = await pipelineService.getPipelines();
+      if (response.success) {
+        setPipelines(response.data);
+      }
+    } catch (error) {
+      console.error('Error fetching pipelines:', error);
+    }
+  };
+
+  // Fetch custom fields for the custom field filter
+  const fetchCustomFields = async () => {
+    try {
+      const response = await customFieldService.getCustomFields();
+      if (response.success) {
+        setCustomFields(response.data);
+      }
+    } catch (error) {
+      console.error('Error fetching custom fields:', error);
+    }
+  };
+
+  // Fetch tags for the tag filter and chip colors
+  const fetchTags = async () => {
+    try {
+      const response = await tagService.getTags();
+      if (response.success) {
+        setTags(response.data);
+      }
+    } catch (error) {
+      console.error('Error fetching tags:', error);
+    }
+  };
+
+  // Fetch segments for the segment filter
+  const fetchSegments = async () => {
+    try {
+      const response = await segmentService.getSegments();
+      if (response.success) {
+        setSegments(response.data);
+      }
+    } catch (error) {
+      console.error('Error fetching segments:', error);
+    }
+  };
+
   // Initial data fetch
   useEffect(() => {
     fetchForms();
+    fetchPipelines();
+    fetchCustomFields();
+    fetchTags();
+    fetchSegments();
   }, []);
 
   // Fetch leads when filters or pagination changes
   useEffect(() => {
     fetchLeads();
-  }, [pagination.page, pagination.limit, filters]);
+  }, [pagination.page, pagination.limit, filters, sort]);
+
+  // A selection belongs to the filters it was made with
+  useEffect(() => {
+    clearSelection();
+  }, [filters]);
 
   // Handle filter changes
   const handleFilterChange = (e) => {
     const { name, value } = e.target;
-    setFilters(prev => ({ ...prev, [name]: value }));
-    setPagination(prev => ({ ...prev, page: 1 })); // Reset to first page on filter change
+    // Stage keys belong to a pipeline, so changing the pipeline clears the status;
+    // likewise values belong to a custom field
+    const changes = {
+      filters: {
+        ...filters,
+        [name]: value,
+        ...(name === 'pipelineId' && { status: '' }),
+        ...(name === 'customField' && { customValue: '', customMin: '', customMax: '' })
+      }
+    };
+
+    // Searches start out ranked by best match
+    if (name === 'searchTerm') {
+      if (value.trim() && !searching) {
+        changes.sort = 'relevance';
+      } else if (!value.trim() && sort === 'relevance') {
+        changes.sort = '-createdTime';
+      }
+    }
+
+    updateListState(changes); // Also resets to the first page
+  };
+
+  // Handle sort changes
+  const handleSortChange = (value) => {
+    updateListState({ sort: value });
   };
 
   // Handle status update
@@ -136,7 +234,9 @@ const LeadsList = () => {
         // Update local state
         setLeads(prevLeads => 
           prevLeads.map(lead => 
-            lead._id === leadId ? { ...lead, status: newStatus } : lead
+            lead._id === leadId
+              ? { ...lead, status: newStatus, pipelineId: response.data.pipelineId, firstContactedAt: response.data.firstContactedAt }
+              : lead
           )
         );
       }
@@ -170,7 +270,7 @@ const LeadsList = () => {
   const handleExport = () => {
     try {
       // Prepare export parameters (same as current filters)
-      leadService.exportLeads(filters);
+      leadService.exportLeads({ sort, ...toLeadParams(filters) });
       toast.info('Preparing CSV export...');
     } catch (error) {
       console.error('Error exporting leads:', error);
@@ -178,6 +278,42 @@ const LeadsList = () => {
     }
   };
 
+  const clearSelection = () => {
+    setSelectedIds([]);
+    setAllMatching(false);
+  };
+
+  const pageSelected = leads.length > 0 && leads.every(lead => allMatching || selectedIds.includes(lead._id));
+
+  // Select or unselect the leads on this page
+  const handleSelectPage = (checked) => {
+    const pageIds = leads.map(lead => lead._id);
+
+    setAllMatching(false);
+    setSelectedIds(prev => (checked
+      ? [...new Set([...prev, ...pageIds])]
+      : prev.filter(id => !pageIds.includes(id))));
+  };
+
+  // Unselecting a lead while every match is selected leaves the rest of the page
+  const handleSelectLead = (leadId, checked) => {
+    if (allMatching) {
+      setAllMatching(false);
+      setSelectedIds(leads.map(lead => lead._id).filter(id => id !== leadId));
+      return;
+    }
+
+    setSelectedIds(prev => (checked ? [...prev, leadId] : prev.filter(id => id !== leadId)));
+  };
+
+  // Once a bulk action ran, reload the list and report the leads it couldn't change
+  const handleBulkDone = (failures) => {
+    clearSelection();
+    setBulkReport(failures);
+    fetchLeads();
+    fetchTags();
+  };
+
   // Format date
   const formatDate = (dateString) => {
     const options = { year: 'numeric', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' };
@@ -191,6 +327,11 @@ const LeadsList = () => {
     }
   };
 
+  const tagColors = getTagColors(tags);
+
+  // Whether the list shows a column
+  const showColumn = (key) => columns.includes(key);
+
   // Find form name by ID
   const getFormName = (formId) => {
     const form = forms.find(f => f.formId === formId);
@@ -203,6 +344,32 @@ const LeadsList = () => {
         <div className="flex justify-between items-center">
           <h1 className="text-2xl font-semibold text-gray-900">Leads</h1>
           <div className="flex space-x-3">
+            <Link
+              to="/leads/board"
+              className="inline-flex items-center px-4 py-2 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500"
+            >
+              <ViewColumnsIcon className="-ml-1 mr-2 h-5 w-5 text-gray-500" />
+              Board
+            </Link>
+            {can('leads:import') && (
+            <Link
+              to="/leads/import"
+              className="inline-flex items-center px-4 py-2 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500"
+            >
+              <ArrowUpTrayIcon className="-ml-1 mr-2 h-5 w-5 text-gray-500" />
+              Import
+            </Link>
+            )}
+            {can('leads:create') && (
+            <button
+              onClick={() => setAdding(true)}
+              className="inline-flex items-center px-4 py-2 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500"
+            >
+              <PlusIcon className="-ml-1 mr-2 h-5 w-5 text-gray-500" />
+              Add lead
+            </button>
+            )}
+            {can('leads:export') && (
             <button
               onClick={handleExport}
               className="inline-flex items-center px-4 py-2 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500"
@@ -210,6 +377,8 @@ const LeadsList = () => {
               <ArrowDownTrayIcon className="-ml-1 mr-2 h-5 w-5 text-gray-500" />
               Export CSV
             </button>
+            )}
+            {can('leads:sync') && (
             <button
               onClick={handleSync}
               disabled={syncing}
@@ -224,114 +393,67 @@ const LeadsList = () => {
               )}
               Sync Leads
             </button>
+            )}
           </div>
         </div>
 
-        {/* Filters */}
-        <div className="mt-6 bg-white shadow px-4 py-5 sm:rounded-lg sm:p-6">
-          <div className="grid grid-cols-1 gap-y-6 gap-x-4 sm:grid-cols-6">
-            <div className="sm:col-span-1">
-              <label htmlFor="pageId" className="block text-sm font-medium text-gray-700">
-                Page
-              </label>
-              <select
-                id="pageId"
-                name="pageId"
-                value={filters.pageId}
-                onChange={handleFilterChange}
-                className="mt-1 block w-full pl-3 pr-10 py-2 text-base border-gray-300 focus:outline-none focus:ring-primary-500 focus:border-primary-500 sm:text-sm rounded-md"
-              >
-                <option value="">All Pages</option>
-                {pages.map(page => (
-                  <option key={page.id} value={page.id}>
-                    {page.name}
-                  </option>
-                ))}
-              </select>
-            </div>
-
-            <div className="sm:col-span-1">
-              <label htmlFor="formId" className="block text-sm font-medium text-gray-700">
-                Form
-              </label>
-              <select
-                id="formId"
-                name="formId"
-                value={filters.formId}
-                onChange={handleFilterChange}
-                className="mt-1 block w-full pl-3 pr-10 py-2 text-base border-gray-300 focus:outline-none focus:ring-primary-500 focus:border-primary-500 sm:text-sm rounded-md"
-              >
-                <option value="">All Forms</option>
-                {forms
-                  .filter(form => !filters.pageId || form.pageId === filters.pageId)
-                  .map(form => (
-                    <option key={form._id} value={form.formId}>
-                      {form.formName || form.formId}
-                    </option>
-                  ))}
-              </select>
-            </div>
+        {/* Saved views and columns */}
+        <div className="flex flex-wrap items-start justify-between gap-3">
+          <SavedViews state={listState} onChange={(state) => updateListState(state, { push: true })} />
+          <div className="mt-6 flex flex-wrap items-center gap-3">
+            {can('segments:manage') && (
+              <SaveSegment filters={filters} onSaved={(segment) => setSegments(prev => [...prev, segment])} />
+            )}
+            <ColumnPicker columns={columns} onChange={(value) => updateListState({ columns: value })} />
+          </div>
+        </div>
 
-            <div className="sm:col-span-1">
-              <label htmlFor="status" className="block text-sm font-medium text-gray-700">
-                Status
-              </label>
-              <select
-                id="status"
-                name="status"
-                value={filters.status}
-                onChange={handleFilterChange}
-                className="mt-1 block w-full pl-3 pr-10 py-2 text-base border-gray-300 focus:outline-none focus:ring-primary-500 focus:border-primary-500 sm:text-sm rounded-md"
-              >
-                <option value="">All Status</option>
-                {statusOptions.map(option => (
-                  <option key={option.value} value={option.value}>
-                    {option.label}
-                  </option>
-                ))}
-              </select>
-            </div>
+        {/* Filters */}
+        <LeadFilters
+          filters={filters}
+          onChange={handleFilterChange}
+          forms={forms}
+          pages={pages}
+          pipelines={pipelines}
+          statusOptions={statusOptions}
+          customFields={customFields}
+          tags={tags}
+          segments={segments}
+        />
 
-            <div className="sm:col-span-1">
-              <label htmlFor="dateRange" className="block text-sm font-medium text-gray-700">
-                Date Range
-              </label>
-              <select
-                id="dateRange"
-                name="dateRange"
-                value={filters.dateRange}
-                onChange={handleFilterChange}
-                className="mt-1 block w-full pl-3 pr-10 py-2 text-base border-gray-300 focus:outline-none focus:ring-primary-500 focus:border-primary-500 sm:text-sm rounded-md"
-              >
-                {dateRangeOptions.map(option => (
-                  <option key={option.value} value={option.value}>
-                    {option.label}
-                  </option>
-                ))}
-              </select>
-            </div>
+        {/* Bulk actions on the selected leads */}
+        {(allMatching || selectedIds.length > 0) && (
+          <BulkActions
+            target={allMatching ? { filters: { sort, ...toLeadBody(filters) } } : { leadIds: selectedIds }}
+            count={allMatching ? totalLeads : selectedIds.length}
+            statusOptions={statusOptions}
+            archived={filters.archived === 'true'}
+            onDone={handleBulkDone}
+            onClear={clearSelection}
+          />
+        )}
 
-            <div className="sm:col-span-2">
-              <label htmlFor="searchTerm" className="block text-sm font-medium text-gray-700">
-                Search
-              </label>
-              <div className="mt-1 relative rounded-md shadow-sm">
-                <input
-                  type="text"
-                  name="searchTerm"
-                  id="searchTerm"
-                  value={filters.searchTerm}
-                  onChange={handleFilterChange}
-                  className="focus:ring-primary-500 focus:border-primary-500 block w-full pl-3 pr-10 sm:text-sm border-gray-300 rounded-md"
-                  placeholder="Name, email, phone..."
-                />
-                <div className="absolute inset-y-0 right-0 pr-3 flex items-center pointer-events-none">
-                  <FunnelIcon className="h-5 w-5 text-gray-400" aria-hidden="true" />
-                </div>
-              </div>
-            </div>
+        {pageSelected && totalLeads > leads.length && (
+          <div className="mt-2 text-sm text-gray-700">
+            {allMatching ? (
+              <>
+                All <span className="font-medium">{totalLeads}</span> leads matching the filters are selected.{' '}
+                <button type="button" onClick={clearSelection} className="font-medium text-primary-600 hover:text-primary-900">
+                  Clear selection
+                </button>
+              </>
+            ) : (
+              <>
+                All <span className="font-medium">{leads.length}</span> leads on this page are selected.{' '}
+                <button type="button" onClick={() => setAllMatching(true)} className="font-medium text-primary-600 hover:text-primary-900">
+                  Select all {totalLeads} leads matching the filters
+                </button>
+              </>
+            )}
           </div>
-        </div>
+        )}
+
+        {bulkReport.length > 0 && <BulkReport results={bulkReport} onDismiss={() => setBulkReport([])} />}
 
         {/* Leads Table */}
         <div className="mt-8 flex flex-col">
@@ -341,24 +463,59 @@ const LeadsList = () => {
                 <table className="min-w-full divide-y divide-gray-300">
                   <thead className="bg-gray-50">
                     <tr>
-                      <th scope="col" className="py-3.5 pl-4 pr-3 text-left text-sm font-semibold text-gray-900 sm:pl-6">
-                        Lead
+                      <th scope="col" className="py-3.5 pl-4 pr-3 sm:pl-6">
+                        <input
+                          type="checkbox"
+                          checked={pageSelected}
+                          onChange={(e) => handleSelectPage(e.target.checked)}
+                          aria-label="Select the leads on this page"
+                          className="h-4 w-4 rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+                        />
+                      </th>
+                      <th scope="col" className="py-3.5 pr-3 text-left text-sm font-semibold text-gray-900">
+                        {searching ? (
+                          <button onClick={() => handleSortChange('relevance')} className="inline-flex items-center" title="Best match first">
+                            Lead
+                            {sort === 'relevance' && <ChevronDownIcon className="ml-1 h-4 w-4" />}
+                          </button>
+                        ) : 'Lead'}
                       </th>
+                      {showColumn('contact') && (
                       <th scope="col" className="px-3 py-3.5 text-left text-sm font-semibold text-gray-900">
                         Contact
                       </th>
+                      )}
+                      {showColumn('source') && (
                       <th scope="col" className="px-3 py-3.5 text-left text-sm font-semibold text-gray-900">
                         Source
                       </th>
+                      )}
+                      {showColumn('campaign') && (
                       <th scope="col" className="px-3 py-3.5 text-left text-sm font-semibold text-gray-900">
                         Campaign
                       </th>
+                      )}
+                      {showColumn('date') && (
+                      <th scope="col" className="px-3 py-3.5 text-left text-sm font-semibold text-gray-900">
+                        <button onClick={() => handleSortChange('-createdTime')} className="inline-flex items-center">
+                          Date
+                          {sort === '-createdTime' && <ChevronDownIcon className="ml-1 h-4 w-4" />}
+                        </button>
+                      </th>
+                      )}
+                      {showColumn('score') && (
                       <th scope="col" className="px-3 py-3.5 text-left text-sm font-semibold text-gray-900">
-                        Date
+                        <button onClick={() => handleSortChange('-score')} className="inline-flex items-center">
+                          Score
+                          {sort === '-score' && <ChevronDownIcon className="ml-1 h-4 w-4" />}
+                        </button>
                       </th>
+                      )}
+                      {showColumn('status') && (
                       <th scope="col" className="px-3 py-3.5 text-left text-sm font-semibold text-gray-900">
                         Status
                       </th>
+                      )}
                       <th scope="col" className="relative py-3.5 pl-3 pr-4 sm:pr-6">
                         <span className="sr-only">Actions</span>
                       </th>
@@ -367,7 +524,7 @@ const LeadsList = () => {
                   <tbody className="divide-y divide-gray-200 bg-white">
                     {loading ? (
                       <tr>
-                        <td colSpan="7" className="px-6 py-4 whitespace-nowrap text-center text-sm text-gray-500">
+                        <td colSpan={columns.length + 3} className="px-6 py-4 whitespace-nowrap text-center text-sm text-gray-500">
                           <div className="flex justify-center">
                             <div className="animate-spin rounded-full h-6 w-6 border-t-2 border-b-2 border-primary-600"></div>
                           </div>
@@ -375,47 +532,90 @@ const LeadsList = () => {
                       </tr>
                     ) : leads.length > 0 ? (
                       leads.map((lead) => (
-                        <tr key={lead._id}>
-                          <td className="whitespace-nowrap py-4 pl-4 pr-3 text-sm sm:pl-6">
+                        <tr key={lead._id} className={allMatching || selectedIds.includes(lead._id) ? 'bg-primary-50' : ''}>
+                          <td className="py-4 pl-4 pr-3 sm:pl-6">
+                            <input
+                              type="checkbox"
+                              checked={allMatching || selectedIds.includes(lead._id)}
+                              onChange={(e) => handleSelectLead(lead._id, e.target.checked)}
+                              aria-label={`Select ${lead.fullName || lead.leadId}`}
+                              className="h-4 w-4 rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+                            />
+                          </td>
+                          <td className="whitespace-nowrap py-4 pr-3 text-sm">
                             <div className="flex items-center">
                               <div className="h-10 w-10 flex-shrink-0 rounded-full bg-primary-100 flex items-center justify-center text-primary-700 font-semibold">
                                 {lead.fullName?.charAt(0) || 'L'}
                               </div>
                               <div className="ml-4">
-                                <div className="font-medium text-gray-900">{lead.fullName || 'Unknown'}</div>
+                                <div className="font-medium text-gray-900">
+                                  {lead.fullName ? <SearchHighlight text={lead.fullName} search={filters.searchTerm} /> : 'Unknown'}
+                                </div>
                                 <div className="text-gray-500">ID: {lead.leadId}</div>
+                                {lead.tags?.length > 0 && (
+                                  <div className="mt-1">
+                                    <TagChips names={lead.tags} colors={tagColors} />
+                                  </div>
+                                )}
+                                {lead.searchMatch && !['fullName', 'email', 'phone'].includes(lead.searchMatch.field) && (
+                                  <div className="mt-1 max-w-xs truncate text-xs text-gray-500" title={lead.searchMatch.value}>
+                                    <span className="font-medium text-gray-700">{lead.searchMatch.label}:</span>{' '}
+                                    <SearchHighlight text={lead.searchMatch.value} search={filters.searchTerm} />
+                                  </div>
+                                )}
                               </div>
                             </div>
                           </td>
+                          {showColumn('contact') && (
                           <td className="whitespace-nowrap px-3 py-4 text-sm text-gray-500">
-                            <div>{lead.email || 'No email'}</div>
-                            <div>{lead.phone || 'No phone'}</div>
+                            <div>{lead.email ? <SearchHighlight text={lead.email} search={filters.searchTerm} /> : 'No email'}</div>
+                            <div>
+                              {lead.searchMatch?.field === 'phone'
+                                ? <mark className="bg-yellow-200 text-gray-900 rounded-sm">{lead.phoneE164 || lead.phone}</mark>
+                                : lead.phoneE164 || lead.phone || 'No phone'}
+                            </div>
                           </td>
+                          )}
+                          {showColumn('source') && (
                           <td className="whitespace-nowrap px-3 py-4 text-sm text-gray-500">
-                            <div className="font-medium">{lead.pageName || 'Unknown Page'}</div>
-                            <div>{lead.formName || getFormName(lead.formId)}</div>
+                            <LeadSource lead={lead} formName={getFormName(lead.formId)} />
                           </td>
+                          )}
+                          {showColumn('campaign') && (
                           <td className="whitespace-nowrap px-3 py-4 text-sm text-gray-500">
                             {lead.rawData?.campaignName || 'N/A'}
                           </td>
+                          )}
+                          {showColumn('date') && (
                           <td className="whitespace-nowrap px-3 py-4 text-sm text-gray-500">
-                            {formatDate(lead.createdTime)}
+                            <div>{formatDate(lead.createdTime)}</div>
+                            <SlaBadge lead={lead} />
                           </td>
+                          )}
+                          {showColumn('score') && (
+                          <td className="whitespace-nowrap px-3 py-4 text-sm text-gray-500">
+                            <ScoreBadge lead={lead} />
+                          </td>
+                          )}
+                          {showColumn('status') && (
                           <td className="whitespace-nowrap px-3 py-4 text-sm text-gray-500">
                             <select
                               value={lead.status}
                               onChange={(e) => handleStatusUpdate(lead._id, e.target.value)}
+                              disabled={!can('leads:update')}
                               className={`rounded-md text-xs font-medium px-2 py-1 ${
-                                statusOptions.find(s => s.value === lead.status)?.color || 'bg-gray-100 text-gray-800'
+                                STAGE_COLORS[getLeadStage(pipelines, lead)?.color] || STAGE_COLORS.gray
                               }`}
                             >
-                              {statusOptions.map(option => (
-                                <option key={option.value} value={option.value}>
-                                  {option.label}
+                              {!getLeadStage(pipelines, lead) && <option value={lead.status}>{lead.status}</option>}
+                              {(getLeadPipeline(pipelines, lead)?.stages || []).map(stage => (
+                                <option key={stage.key} value={stage.key}>
+                                  {stage.name}
                                 </option>
                               ))}
                             </select>
                           </td>
+                          )}
                           <td className="relative whitespace-nowrap py-4 pl-3 pr-4 text-right text-sm font-medium sm:pr-6">
                             <Link to={`/leads/${lead._id}`} className="text-primary-600 hover:text-primary-900">
                               <EyeIcon className="h-5 w-5" />
@@ -426,7 +626,7 @@ const LeadsList = () => {
                       ))
                     ) : (
                       <tr>
-                        <td colSpan="7" className="px-6 py-4 whitespace-nowrap text-center text-sm text-gray-500">
+                        <td colSpan={columns.length + 3} className="px-6 py-4 whitespace-nowrap text-center text-sm text-gray-500">
                           No leads found. Try adjusting your filters or sync leads from Facebook.
                         </td>
                       </tr>
@@ -538,6 +738,17 @@ const LeadsList = () => {
           </div>
         )}
       </div>
+
+      {adding && (
+        <AddLeadModal
+          pipelines={pipelines}
+          onClose={() => setAdding(false)}
+          onCreated={() => {
+            setAdding(false);
+            fetchLeads();
+          }}
+        />
+      )}
     </div>
   );
 };
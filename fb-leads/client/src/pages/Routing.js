@@ -0,0 +1,491 @@
+import React, { useState, useEffect } from 'react';
+import { toast } from 'react-toastify';
+import routingService from '../services/routingService';
+import {
+  PlusIcon,
+  TrashIcon,
+  PencilIcon
+} from '@heroicons/react/24/outline';
+
+export const OPERATOR_LABELS = {
+  equals: 'equals',
+  not_equals: 'does not equal',
+  contains: 'contains',
+  in: 'is one of',
+  gt: 'is greater than',
+  gte: 'is at least',
+  lt: 'is less than',
+  lte: 'is at most',
+  exists: 'is answered'
+};
+
+const emptyRule = {
+  name: '',
+  priority: 0,
+  isActive: true,
+  formIds: [],
+  match: 'all',
+  conditions: [],
+  assignees: []
+};
+
+const Routing = () => {
+  const [loading, setLoading] = useState(true);
+  const [rules, setRules] = useState([]);
+  const [forms, setForms] = useState([]);
+  const [members, setMembers] = useState([]);
+  const [operators, setOperators] = useState(Object.keys(OPERATOR_LABELS));
+  const [editingRule, setEditingRule] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [capacities, setCapacities] = useState({});
+
+  const fetchRouting = async () => {
+    try {
+      const response = await routingService.getRouting();
+      if (response.success) {
+        setRules(response.data.rules);
+        setForms(response.data.forms);
+        setMembers(response.data.members);
+        setOperators(response.data.operators);
+        setCapacities(Object.fromEntries(response.data.members.map(member => [
+          member.userId,
+          member.maxOpenLeads === null ? '' : String(member.maxOpenLeads)
+        ])));
+      }
+    } catch (error) {
+      console.error('Error fetching routing:', error);
+      toast.error('Failed to load routing settings');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchRouting();
+  }, []);
+
+  const getErrorMessage = (error, fallback) => {
+    return error.response?.data?.error
+      || error.response?.data?.errors?.[0]?.msg
+      || fallback;
+  };
+
+  const memberName = (userId) => {
+    return members.find(member => member.userId === userId)?.name || 'Former member';
+  };
+
+  const formName = (formId) => {
+    const form = forms.find(f => f.formId === formId);
+    return form ? form.formName || form.formId : formId;
+  };
+
+  const toggleInList = (list, value) => {
+    return list.includes(value) ? list.filter(item => item !== value) : [...list, value];
+  };
+
+  // Rule editor
+  const updateEditingRule = (changes) => {
+    setEditingRule(rule => ({ ...rule, ...changes }));
+  };
+
+  const updateCondition = (index, changes) => {
+    setEditingRule(rule => ({
+      ...rule,
+      conditions: rule.conditions.map((condition, i) => (i === index ? { ...condition, ...changes } : condition))
+    }));
+  };
+
+  const handleSaveRule = async (e) => {
+    e.preventDefault();
+
+    try {
+      setSaving(true);
+      const { _id, ...ruleData } = editingRule;
+      const response = _id
+        ? await routingService.updateRule(_id, ruleData)
+        : await routingService.createRule(ruleData);
+
+      if (response.success) {
+        toast.success(_id ? 'Routing rule updated' : 'Routing rule created');
+        setEditingRule(null);
+        fetchRouting();
+      }
+    } catch (error) {
+      console.error('Error saving routing rule:', error);
+      toast.error(getErrorMessage(error, 'Failed to save routing rule'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDeleteRule = async (rule) => {
+    if (!window.confirm(`Delete the routing rule "${rule.name}"?`)) {
+      return;
+    }
+
+    try {
+      await routingService.deleteRule(rule._id);
+      toast.success('Routing rule deleted');
+      setRules(rules.filter(r => r._id !== rule._id));
+    } catch (error) {
+      console.error('Error deleting routing rule:', error);
+      toast.error(getErrorMessage(error, 'Failed to delete routing rule'));
+    }
+  };
+
+  const handleToggleRule = async (rule) => {
+    try {
+      const response = await routingService.updateRule(rule._id, { isActive: !rule.isActive });
+      if (response.success) {
+        setRules(rules.map(r => (r._id === rule._id ? response.data : r)));
+      }
+    } catch (error) {
+      console.error('Error updating routing rule:', error);
+      toast.error(getErrorMessage(error, 'Failed to update routing rule'));
+    }
+  };
+
+  const handleToggleFormAgent = async (form, userId) => {
+    try {
+      const response = await routingService.updateFormAgents(form._id, toggleInList(form.agents, userId));
+      if (response.success) {
+        setForms(forms.map(f => (f._id === form._id ? response.data : f)));
+      }
+    } catch (error) {
+      console.error('Error updating form agents:', error);
+      toast.error(getErrorMessage(error, 'Failed to update form agents'));
+    }
+  };
+
+  const handleSaveCapacity = async (member) => {
+    const value = capacities[member.userId];
+
+    try {
+      await routingService.updateMemberCapacity(member.userId, value === '' ? null : parseInt(value, 10));
+      toast.success(`Capacity saved for ${member.name}`);
+      fetchRouting();
+    } catch (error) {
+      console.error('Error saving capacity:', error);
+      toast.error(getErrorMessage(error, 'Failed to save capacity'));
+    }
+  };
+
+  const describeRule = (rule) => {
+    if (!rule.conditions.length) {
+      return 'Every lead';
+    }
+
+    return rule.conditions
+      .map(condition => `${condition.field} ${OPERATOR_LABELS[condition.operator] || condition.operator}${condition.operator === 'exists' ? '' : ` "${condition.value}"`}`)
+      .join(rule.match === 'any' ? ' or ' : ' and ');
+  };
+
+  if (loading) {
+    return (
+      <div className="py-6 flex justify-center">
+        <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-primary-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="py-6">
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+        <h1 className="text-2xl font-semibold text-gray-900">Lead Routing</h1>
+        <p className="mt-1 text-sm text-gray-500">
+          New leads are checked against the rules in priority order. The first matching rule assigns the lead to its
+          members in turn. Leads no rule matches are shared between the form's agents. Members at capacity are skipped.
+        </p>
+
+        {/* Rules */}
+        <div className="mt-6 bg-white shadow px-4 py-5 sm:rounded-lg sm:p-6">
+          <div className="flex justify-between items-center">
+            <h3 className="text-lg font-medium leading-6 text-gray-900">Routing Rules</h3>
+            {!editingRule && (
+              <button
+                onClick={() => setEditingRule({ ...emptyRule, priority: rules.length })}
+                className="inline-flex items-center px-3 py-2 border border-transparent text-sm leading-4 font-medium rounded-md text-white bg-primary-600 hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500"
+              >
+                <PlusIcon className="-ml-0.5 mr-2 h-4 w-4" />
+                New Rule
+              </button>
+            )}
+          </div>
+
+          {editingRule && (
+            <form onSubmit={handleSaveRule} className="mt-4 border border-gray-200 rounded-md p-4 space-y-4">
+              <div className="grid grid-cols-6 gap-4">
+                <div className="col-span-6 sm:col-span-3">
+                  <label htmlFor="ruleName" className="block text-sm font-medium text-gray-700">Name</label>
+                  <input
+                    type="text"
+                    id="ruleName"
+                    value={editingRule.name}
+                    onChange={(e) => updateEditingRule({ name: e.target.value })}
+                    className="mt-1 focus:ring-primary-500 focus:border-primary-500 block w-full shadow-sm sm:text-sm border-gray-300 rounded-md"
+                    placeholder="e.g. High budget leads"
+                    required
+                  />
+                </div>
+                <div className="col-span-3 sm:col-span-1">
+                  <label htmlFor="rulePriority" className="block text-sm font-medium text-gray-700">Priority</label>
+                  <input
+                    type="number"
+                    id="rulePriority"
+                    value={editingRule.priority}
+                    onChange={(e) => updateEditingRule({ priority: parseInt(e.target.value, 10) || 0 })}
+                    className="mt-1 focus:ring-primary-500 focus:border-primary-500 block w-full shadow-sm sm:text-sm border-gray-300 rounded-md"
+                  />
+                </div>
+                <div className="col-span-3 sm:col-span-2">
+                  <label htmlFor="ruleMatch" className="block text-sm font-medium text-gray-700">Match</label>
+                  <select
+                    id="ruleMatch"
+                    value={editingRule.match}
+                    onChange={(e) => updateEditingRule({ match: e.target.value })}
+                    className="mt-1 block w-full pl-3 pr-10 py-2 text-base border-gray-300 focus:outline-none focus:ring-primary-500 focus:border-primary-500 sm:text-sm rounded-md"
+                  >
+                    <option value="all">All conditions</option>
+                    <option value="any">Any condition</option>
+                  </select>
+                </div>
+              </div>
+
+              <div>
+                <span className="block text-sm font-medium text-gray-700">Conditions on form answers</span>
+                {editingRule.conditions.map((condition, index) => (
+                  <div key={index} className="mt-2 flex space-x-2">
+                    <input
+                      type="text"
+                      value={condition.field}
+                      onChange={(e) => updateCondition(index, { field: e.target.value })}
+                      className="focus:ring-primary-500 focus:border-primary-500 block w-1/3 shadow-sm sm:text-sm border-gray-300 rounded-md"
+                      placeholder="Field, e.g. city"
+                      required
+                    />
+                    <select
+                      value={condition.operator}
+                      onChange={(e) => updateCondition(index, { operator: e.target.value })}
+                      className="block w-1/4 pl-3 pr-10 py-2 text-base border-gray-300 focus:outline-none focus:ring-primary-500 focus:border-primary-500 sm:text-sm rounded-md"
+                    >
+                      {operators.map(operator => (
+                        <option key={operator} value={operator}>{OPERATOR_LABELS[operator] || operator}</option>
+                      ))}
+                    </select>
+                    {condition.operator !== 'exists' && (
+                      <input
+                        type="text"
+                        value={condition.value ?? ''}
+                        onChange={(e) => updateCondition(index, { value: e.target.value })}
+                        className="focus:ring-primary-500 focus:border-primary-500 block w-1/3 shadow-sm sm:text-sm border-gray-300 rounded-md"
+                        placeholder={condition.operator === 'in' ? 'Comma separated values' : 'Value'}
+                      />
+                    )}
+                    <button
+                      type="button"
+                      onClick={() => updateEditingRule({ conditions: editingRule.conditions.filter((_, i) => i !== index) })}
+                      className="text-red-600 hover:text-red-900"
+                    >
+                      <TrashIcon className="h-5 w-5" />
+                    </button>
+                  </div>
+                ))}
+                <button
+                  type="button"
+                  onClick={() => updateEditingRule({ conditions: [...editingRule.conditions, { field: '', operator: 'equals', value: '' }] })}
+                  className="mt-2 text-sm text-primary-600 hover:text-primary-500"
+                >
+                  + Add condition
+                </button>
+                {editingRule.conditions.length === 0 && (
+                  <p className="mt-1 text-xs text-gray-500">A rule without conditions matches every lead from its forms.</p>
+                )}
+              </div>
+
+              <div className="grid grid-cols-6 gap-4">
+                <div className="col-span-6 sm:col-span-3">
+                  <span className="block text-sm font-medium text-gray-700">Forms (none selected means all forms)</span>
+                  <div className="mt-2 space-y-1 max-h-40 overflow-y-auto">
+                    {forms.map(form => (
+                      <label key={form._id} className="flex items-center text-sm text-gray-700">
+                        <input
+                          type="checkbox"
+                          checked={editingRule.formIds.includes(form.formId)}
+                          onChange={() => updateEditingRule({ formIds: toggleInList(editingRule.formIds, form.formId) })}
+                          className="h-4 w-4 text-primary-600 border-gray-300 rounded mr-2"
+                        />
+                        {form.formName || form.formId}
+                      </label>
+                    ))}
+                  </div>
+                </div>
+                <div className="col-span-6 sm:col-span-3">
+                  <span className="block text-sm font-medium text-gray-700">Assign to, in turn</span>
+                  <div className="mt-2 space-y-1 max-h-40 overflow-y-auto">
+                    {members.map(member => (
+                      <label key={member.userId} className="flex items-center text-sm text-gray-700">
+                        <input
+                          type="checkbox"
+                          checked={editingRule.assignees.includes(member.userId)}
+                          onChange={() => updateEditingRule({ assignees: toggleInList(editingRule.assignees, member.userId) })}
+                          className="h-4 w-4 text-primary-600 border-gray-300 rounded mr-2"
+                        />
+                        {member.name} <span className="ml-1 text-gray-400">({member.role})</span>
+                      </label>
+                    ))}
+                  </div>
+                </div>
+              </div>
+
+              <div className="flex space-x-2">
+                <button
+                  type="submit"
+                  disabled={saving}
+                  className={`inline-flex justify-center py-2 px-4 border border-transparent shadow-sm text-sm font-medium rounded-md text-white bg-primary-600 hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 ${
+                    saving ? 'opacity-70 cursor-not-allowed' : ''
+                  }`}
+                >
+                  {saving ? 'Saving...' : 'Save Rule'}
+                </button>
+                <button
+                  type="button"
+                  onClick={() => setEditingRule(null)}
+                  className="inline-flex justify-center py-2 px-4 border border-gray-300 shadow-sm text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50"
+                >
+                  Cancel
+                </button>
+              </div>
+            </form>
+          )}
+
+          {rules.length > 0 ? (
+            <ul className="mt-4 divide-y divide-gray-200 border border-gray-200 rounded-md">
+              {rules.map(rule => (
+                <li key={rule._id} className="flex items-start justify-between px-4 py-3">
+                  <div>
+                    <p className="text-sm font-medium text-gray-900">
+                      <span className="text-gray-400 mr-2">#{rule.priority}</span>
+                      {rule.name}
+                      {!rule.isActive && <span className="ml-2 text-xs text-gray-500">(paused)</span>}
+                    </p>
+                    <p className="text-xs text-gray-500">{describeRule(rule)}</p>
+                    <p className="text-xs text-gray-500">
+                      Forms: {rule.formIds.length ? rule.formIds.map(formName).join(', ') : 'All'}
+                      {' · '}
+                      Assign to: {rule.assignees.map(memberName).join(', ')}
+                    </p>
+                  </div>
+                  <div className="flex items-center space-x-3">
+                    <button
+                      onClick={() => handleToggleRule(rule)}
+                      className="text-xs font-medium text-gray-600 hover:text-gray-900"
+                    >
+                      {rule.isActive ? 'Pause' : 'Resume'}
+                    </button>
+                    <button
+                      onClick={() => setEditingRule({ ...emptyRule, ...rule })}
+                      className="text-primary-600 hover:text-primary-900"
+                    >
+                      <PencilIcon className="h-5 w-5" />
+                    </button>
+                    <button
+                      onClick={() => handleDeleteRule(rule)}
+                      className="text-red-600 hover:text-red-900"
+                    >
+                      <TrashIcon className="h-5 w-5" />
+                    </button>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          ) : !editingRule && (
+            <div className="text-center py-4 text-gray-500">No routing rules yet.</div>
+          )}
+        </div>
+
+        {/* Form agents */}
+        <div className="mt-8 bg-white shadow px-4 py-5 sm:rounded-lg sm:p-6">
+          <h3 className="text-lg font-medium leading-6 text-gray-900">Form Agents</h3>
+          <p className="mt-1 text-sm text-gray-500">
+            Leads that no rule matches are shared round-robin between the agents of their form.
+          </p>
+          {forms.length > 0 ? (
+            <div className="mt-4 space-y-4">
+              {forms.map(form => (
+                <div key={form._id} className="border border-gray-200 rounded-md p-4">
+                  <p className="text-sm font-medium text-gray-900">
+                    {form.formName || form.formId}
+                    {form.pageName && <span className="ml-2 text-xs text-gray-500">{form.pageName}</span>}
+                  </p>
+                  <div className="mt-2 flex flex-wrap gap-4">
+                    {members.map(member => (
+                      <label key={member.userId} className="flex items-center text-sm text-gray-700">
+                        <input
+                          type="checkbox"
+                          checked={form.agents.includes(member.userId)}
+                          onChange={() => handleToggleFormAgent(form, member.userId)}
+                          className="h-4 w-4 text-primary-600 border-gray-300 rounded mr-2"
+                        />
+                        {member.name}
+                      </label>
+                    ))}
+                  </div>
+                </div>
+              ))}
+            </div>
+          ) : (
+            <div className="text-center py-4 text-gray-500">No forms added yet.</div>
+          )}
+        </div>
+
+        {/* Capacity */}
+        <div className="mt-8 bg-white shadow px-4 py-5 sm:rounded-lg sm:p-6">
+          <h3 className="text-lg font-medium leading-6 text-gray-900">Capacity</h3>
+          <p className="mt-1 text-sm text-gray-500">
+            The most open leads routing will give each member. Leave empty for no limit.
+          </p>
+          <table className="mt-4 min-w-full divide-y divide-gray-200">
+            <thead>
+              <tr>
+                <th className="py-2 text-left text-xs font-medium text-gray-500 uppercase">Member</th>
+                <th className="py-2 text-left text-xs font-medium text-gray-500 uppercase">Open Leads</th>
+                <th className="py-2 text-left text-xs font-medium text-gray-500 uppercase">Maximum</th>
+                <th className="py-2"></th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {members.map(member => (
+                <tr key={member.userId}>
+                  <td className="py-2 text-sm text-gray-900">
+                    {member.name} <span className="text-gray-400">({member.role})</span>
+                  </td>
+                  <td className="py-2 text-sm text-gray-500">{member.openLeads}</td>
+                  <td className="py-2">
+                    <input
+                      type="number"
+                      min="0"
+                      value={capacities[member.userId] ?? ''}
+                      onChange={(e) => setCapacities({ ...capacities, [member.userId]: e.target.value })}
+                      className="w-24 focus:ring-primary-500 focus:border-primary-500 shadow-sm sm:text-sm border-gray-300 rounded-md"
+                      placeholder="No limit"
+                    />
+                  </td>
+                  <td className="py-2 text-right">
+                    <button
+                      onClick={() => handleSaveCapacity(member)}
+                      className="text-sm font-medium text-primary-600 hover:text-primary-500"
+                    >
+                      Save
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Routing;
@@ -3,9 +3,17 @@ import { useForm } from 'react-hook-form';
 import { toast } from 'react-toastify';
 import { useAuth } from '../context/AuthContext';
 import api from '../services/api';
+import TeamSettings from '../components/TeamSettings';
+import PipelineSettings from '../components/PipelineSettings';
+import CustomFieldSettings from '../components/CustomFieldSettings';
+import ScoringSettings from '../components/ScoringSettings';
+import TagSettings from '../components/TagSettings';
+import SegmentSettings from '../components/SegmentSettings';
 
 const Settings = () => {
-  const { user, updateAccessToken } = useAuth();
+  const { user, updateAccessToken, can } = useAuth();
+  const canReadApps = can('facebook:read');
+  const canManageApps = can('facebook:manage');
   const [showToken, setShowToken] = useState(false);
   const [showAppSecret, setShowAppSecret] = useState(false);
   const [apps, setApps] = useState([]);
@@ -33,6 +41,11 @@ const Settings = () => {
   // Fetch apps on component mount and when refreshKey changes
   useEffect(() => {
     const fetchApps = async () => {
+      if (!canReadApps) {
+        setLoading(false);
+        return;
+      }
+
       try {
         setLoading(true);
         console.log('Fetching Facebook apps...');
@@ -68,11 +81,13 @@ const Settings = () => {
     };
 
     fetchApps();
-  }, [refreshKey]); // Depend on refreshKey to trigger refetch
+  }, [refreshKey, canReadApps]); // Depend on refreshKey to trigger refetch
   
   // Fetch app credentials on component mount
   useEffect(() => {
     const fetchAppCredentials = async () => {
+      if (!canReadApps) return;
+
       try {
         const response = await api.get('/api/facebook/app-credentials');
         if (response.data.success) {
@@ -90,7 +105,7 @@ const Settings = () => {
     };
     
     fetchAppCredentials();
-  }, []);
+  }, [canReadApps]);
 
   const onSubmit = async (data) => {
     try {
@@ -363,6 +378,7 @@ const Settings = () => {
         <h1 className="text-2xl font-semibold text-gray-900">Settings</h1>
         
         {/* Facebook Apps Section */}
+        {canReadApps && (
         <div className="mt-6 bg-white shadow px-4 py-5 sm:rounded-lg sm:p-6">
           <div className="md:grid md:grid-cols-3 md:gap-6">
             <div className="md:col-span-1">
@@ -383,6 +399,7 @@ const Settings = () => {
             </div>
             <div className="mt-5 md:mt-0 md:col-span-2">
               {/* Add new token form */}
+              {canManageApps && (
               <form onSubmit={handleSubmit(onSubmit)} className="mb-8 border-b border-gray-200 pb-8">
                 <h4 className="text-md font-medium text-gray-900 mb-4">Add New Access Token</h4>
                 <div className="grid grid-cols-6 gap-6">
@@ -456,6 +473,7 @@ const Settings = () => {
                   </button>
                 </div>
               </form>
+              )}
               
               {/* Apps list */}
               <div>
@@ -501,6 +519,7 @@ const Settings = () => {
                                 )}
                               </div>
                             </div>
+                            {canManageApps && (
                             <div className="flex space-x-2">
                               {app.tokenType !== 'long_lived' && (
                                 <button
@@ -569,6 +588,7 @@ const Settings = () => {
                                 ) : 'Delete Alt'}
                               </button>
                             </div>
+                            )}
                           </div>
                         </div>
                       );
@@ -583,8 +603,10 @@ const Settings = () => {
             </div>
           </div>
         </div>
+        )}
         
         {/* Facebook App Credentials */}
+        {canManageApps && (
         <div className="mt-8 bg-white shadow px-4 py-5 sm:rounded-lg sm:p-6">
           <div className="md:grid md:grid-cols-3 md:gap-6">
             <div className="md:col-span-1">
@@ -660,6 +682,7 @@ const Settings = () => {
             </div>
           </div>
         </div>
+        )}
         
         {/* Account Information */}
         <div className="mt-8 bg-white shadow px-4 py-5 sm:rounded-lg sm:p-6">
@@ -685,11 +708,36 @@ const Settings = () => {
                     {user?.email || 'Not available'}
                   </div>
                 </div>
+                
+                <div className="col-span-6 sm:col-span-3">
+                  <label className="block text-sm font-medium text-gray-700">Role</label>
+                  <div className="mt-1 py-2 px-3 bg-gray-50 border border-gray-300 rounded-md text-gray-900 capitalize">
+                    {user?.organization?.role || 'Not available'}
+                  </div>
+                </div>
               </div>
             </div>
           </div>
         </div>
         
+        {/* Team */}
+        <TeamSettings />
+        
+        {/* Pipelines */}
+        {can('pipelines:manage') && <PipelineSettings />}
+        
+        {/* Custom fields */}
+        {can('fields:manage') && <CustomFieldSettings />}
+        
+        {/* Lead scoring */}
+        {can('scoring:manage') && <ScoringSettings />}
+        
+        {/* Lead tags */}
+        {can('tags:manage') && <TagSettings />}
+        
+        {/* Lead segments */}
+        <SegmentSettings />
+        
         {/* Help & Resources */}
         <div className="mt-8 bg-white shadow px-4 py-5 sm:rounded-lg sm:p-6">
           <h3 className="text-lg font-medium leading-6 text-gray-900">Help & Resources</h3>
@@ -0,0 +1,607 @@
+import React, { useState, useEffect } from 'react';
+import { toast } from 'react-toastify';
+import webFormService from '../services/webFormService';
+import pipelineService from '../services/pipelineService';
+import customFieldService from '../services/customFieldService';
+import { FIELD_ATTRIBUTE_OPTIONS } from '../components/FieldMappingEditor';
+import { useAuth } from '../context/AuthContext';
+import {
+  ArrowDownIcon,
+  ArrowTopRightOnSquareIcon,
+  ArrowUpIcon,
+  ClipboardDocumentIcon,
+  CodeBracketIcon,
+  PencilIcon,
+  PlusIcon,
+  TrashIcon
+} from '@heroicons/react/24/outline';
+
+const FIELD_TYPES = [
+  { value: 'text', label: 'Short text' },
+  { value: 'email', label: 'Email' },
+  { value: 'tel', label: 'Phone' },
+  { value: 'textarea', label: 'Long text' },
+  { value: 'select', label: 'Choice' },
+  { value: 'checkbox', label: 'Checkbox' }
+];
+
+// A new form starts with the fields most lead forms ask for
+const NEW_FORM = {
+  name: '',
+  title: '',
+  description: '',
+  fields: [
+    { key: 'full_name', label: 'Full name', type: 'text', required: true, options: '', placeholder: '', attribute: 'fullName', customField: '' },
+    { key: 'email', label: 'Email', type: 'email', required: true, options: '', placeholder: '', attribute: 'email', customField: '' },
+    { key: 'phone', label: 'Phone', type: 'tel', required: false, options: '', placeholder: '', attribute: 'phone', customField: '' }
+  ],
+  submitLabel: 'Submit',
+  successMessage: "Thanks! We'll be in touch soon.",
+  redirectUrl: '',
+  allowedDomains: '',
+  pipelineId: '',
+  isActive: true
+};
+
+const NEW_FIELD = { key: '', label: '', type: 'text', required: false, options: '', placeholder: '', attribute: '', customField: '' };
+
+const formatDate = (dateString) => {
+  const options = { year: 'numeric', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' };
+  return new Date(dateString).toLocaleString(undefined, options);
+};
+
+const getErrorMessage = (error, fallback) => {
+  return error.response?.data?.error
+    || error.response?.data?.errors?.[0]?.msg
+    || fallback;
+};
+
+// A field key from its label, e.g. "Company name" -> "company_name"
+const toKey = (label) => {
+  const key = label.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^[^a-z]+|_+$/g, '');
+  return key.slice(0, 50);
+};
+
+// The form as the editor holds it: choices and domains as text
+const toEditing = (form) => ({
+  _id: form._id,
+  name: form.name,
+  title: form.title || '',
+  description: form.description || '',
+  fields: form.fields.map(field => ({
+    ...NEW_FIELD,
+    ...field,
+    options: (field.options || []).join('\n'),
+    placeholder: field.placeholder || '',
+    attribute: field.attribute || '',
+    customField: field.customField || ''
+  })),
+  submitLabel: form.submitLabel,
+  successMessage: form.successMessage,
+  redirectUrl: form.redirectUrl || '',
+  allowedDomains: (form.allowedDomains || []).join(', '),
+  pipelineId: form.pipelineId || '',
+  isActive: form.isActive
+});
+
+// The editor's form as the API takes it
+const toBody = (editing) => ({
+  name: editing.name,
+  title: editing.title,
+  description: editing.description,
+  fields: editing.fields.map(field => ({
+    key: field.key || toKey(field.label),
+    label: field.label,
+    type: field.type,
+    required: field.required,
+    options: field.type === 'select' ? field.options.split('\n').map(option => option.trim()).filter(Boolean) : [],
+    placeholder: field.placeholder,
+    attribute: field.attribute || null,
+    customField: field.attribute === 'custom' ? field.customField : null
+  })),
+  submitLabel: editing.submitLabel,
+  successMessage: editing.successMessage,
+  redirectUrl: editing.redirectUrl,
+  allowedDomains: editing.allowedDomains.split(/[\s,]+/).map(domain => domain.trim().toLowerCase()).filter(Boolean),
+  pipelineId: editing.pipelineId || null,
+  isActive: editing.isActive
+});
+
+// The ways to put a form on a site
+const getEmbedCodes = (form) => [
+  {
+    label: 'Embed script',
+    description: 'Draws the form where you put this code, in your site\'s styles. Changes to the form show without changing the code.',
+    code: `<div data-lead-form="${form.publicId}"></div>\n<script src="${form.urls.embedUrl}" async></script>`
+  },
+  {
+    label: 'Iframe',
+    description: 'Shows the hosted page inside yours.',
+    code: `<iframe src="${form.urls.pageUrl}" width="100%" height="600" frameborder="0" title="${form.name.replace(/"/g, '&quot;')}"></iframe>`
+  },
+  {
+    label: 'Link',
+    description: 'A page of its own, to link to or share.',
+    code: form.urls.pageUrl
+  }
+];
+
+const inputClassName = 'focus:ring-primary-500 focus:border-primary-500 block w-full shadow-sm sm:text-sm border-gray-300 rounded-md';
+
+// Forms to put on the organization's websites. Answers become leads like
+// Facebook leads: routed, scored and shown in the leads list with their page.
+const WebForms = () => {
+  const { can } = useAuth();
+  const [forms, setForms] = useState([]);
+  const [pipelines, setPipelines] = useState([]);
+  const [customFields, setCustomFields] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [editing, setEditing] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [embedFormId, setEmbedFormId] = useState(null);
+  const canManage = can('forms:manage');
+
+  useEffect(() => {
+    const fetchWebForms = async () => {
+      try {
+        const [formsResponse, pipelinesResponse, customFieldsResponse] = await Promise.all([
+          webFormService.getWebForms(),
+          pipelineService.getPipelines(),
+          customFieldService.getCustomFields()
+        ]);
+
+        if (formsResponse.success) setForms(formsResponse.data);
+        if (pipelinesResponse.success) setPipelines(pipelinesResponse.data);
+        if (customFieldsResponse.success) setCustomFields(customFieldsResponse.data);
+      } catch (error) {
+        console.error('Error fetching website forms:', error);
+        toast.error('Failed to load website forms');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchWebForms();
+  }, []);
+
+  const updateField = (index, changes) => {
+    setEditing(prev => ({
+      ...prev,
+      fields: prev.fields.map((field, i) => (i === index ? { ...field, ...changes } : field))
+    }));
+  };
+
+  const moveField = (index, offset) => {
+    setEditing(prev => {
+      const fields = [...prev.fields];
+      [fields[index], fields[index + offset]] = [fields[index + offset], fields[index]];
+      return { ...prev, fields };
+    });
+  };
+
+  const removeField = (index) => {
+    setEditing(prev => ({ ...prev, fields: prev.fields.filter((field, i) => i !== index) }));
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+
+    try {
+      setSaving(true);
+      const response = editing._id
+        ? await webFormService.updateWebForm(editing._id, toBody(editing))
+        : await webFormService.createWebForm(toBody(editing));
+
+      if (response.success) {
+        toast.success(editing._id ? 'Form updated' : 'Form created');
+        setForms(prev => (editing._id
+          ? prev.map(form => (form._id === response.data._id ? response.data : form))
+          : [...prev, response.data]));
+        setEmbedFormId(editing._id ? embedFormId : response.data._id);
+        setEditing(null);
+      }
+    } catch (error) {
+      console.error('Error saving website form:', error);
+      toast.error(getErrorMessage(error, 'Failed to save form'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggleActive = async (form) => {
+    try {
+      const response = await webFormService.updateWebForm(form._id, { isActive: !form.isActive });
+      if (response.success) {
+        toast.success(response.data.isActive ? `${form.name} is open` : `${form.name} is closed`);
+        setForms(prev => prev.map(f => (f._id === form._id ? response.data : f)));
+      }
+    } catch (error) {
+      console.error('Error updating website form:', error);
+      toast.error(getErrorMessage(error, 'Failed to update form'));
+    }
+  };
+
+  const handleDelete = async (form) => {
+    if (!window.confirm(`Delete the form "${form.name}"? Sites embedding it will stop showing it; its leads stay.`)) {
+      return;
+    }
+
+    try {
+      await webFormService.deleteWebForm(form._id);
+      toast.success('Form deleted');
+      setForms(prev => prev.filter(f => f._id !== form._id));
+    } catch (error) {
+      console.error('Error deleting website form:', error);
+      toast.error(getErrorMessage(error, 'Failed to delete form'));
+    }
+  };
+
+  const handleCopy = async (code) => {
+    try {
+      await navigator.clipboard.writeText(code);
+      toast.success('Copied');
+    } catch (error) {
+      toast.error('Failed to copy');
+    }
+  };
+
+  const renderEditor = () => (
+    <form onSubmit={handleSave} className="mt-6 bg-white shadow px-4 py-5 sm:rounded-lg sm:p-6 space-y-6">
+      <h3 className="text-lg font-medium leading-6 text-gray-900">{editing._id ? `Edit ${editing.name}` : 'New website form'}</h3>
+
+      <div className="grid grid-cols-1 gap-4 sm:grid-cols-2">
+        <div>
+          <label htmlFor="web-form-name" className="block text-sm font-medium text-gray-700">Name</label>
+          <input
+            id="web-form-name"
+            type="text"
+            value={editing.name}
+            onChange={(e) => setEditing({ ...editing, name: e.target.value })}
+            required
+            className={`${inputClassName} mt-1`}
+          />
+          <p className="mt-1 text-xs text-gray-500">Shown as the lead's form in the app.</p>
+        </div>
+        <div>
+          <label htmlFor="web-form-title" className="block text-sm font-medium text-gray-700">Title</label>
+          <input
+            id="web-form-title"
+            type="text"
+            value={editing.title}
+            onChange={(e) => setEditing({ ...editing, title: e.target.value })}
+            placeholder="e.g. Book a viewing"
+            className={`${inputClassName} mt-1`}
+          />
+          <p className="mt-1 text-xs text-gray-500">Shown to visitors above the form.</p>
+        </div>
+        <div className="sm:col-span-2">
+          <label htmlFor="web-form-description" className="block text-sm font-medium text-gray-700">Description</label>
+          <textarea
+            id="web-form-description"
+            rows={2}
+            value={editing.description}
+            onChange={(e) => setEditing({ ...editing, description: e.target.value })}
+            className={`${inputClassName} mt-1`}
+          />
+        </div>
+      </div>
+
+      <div>
+        <h4 className="text-sm font-medium text-gray-900">Fields</h4>
+        <ul className="mt-2 divide-y divide-gray-200 border border-gray-200 rounded-md">
+          {editing.fields.map((field, index) => (
+            <li key={index} className="px-4 py-3 space-y-3">
+              <div className="grid grid-cols-1 gap-3 sm:grid-cols-4">
+                <input
+                  type="text"
+                  value={field.label}
+                  onChange={(e) => updateField(index, { label: e.target.value })}
+                  onBlur={() => !field.key && field.label && updateField(index, { key: toKey(field.label) })}
+                  placeholder="Label"
+                  aria-label="Label"
+                  required
+                  className={inputClassName}
+                />
+                <input
+                  type="text"
+                  value={field.key}
+                  onChange={(e) => updateField(index, { key: e.target.value })}
+                  placeholder="Key, e.g. company"
+                  aria-label="Key"
+                  pattern="[a-z][a-z0-9_]*"
+                  title="Lowercase letters, digits and underscores, starting with a letter"
+                  className={inputClassName}
+                />
+                <select
+                  value={field.type}
+                  onChange={(e) => updateField(index, { type: e.target.value })}
+                  aria-label="Type"
+                  className={inputClassName}
+                >
+                  {FIELD_TYPES.map(type => (
+                    <option key={type.value} value={type.value}>{type.label}</option>
+                  ))}
+                </select>
+                <div className="flex items-center justify-between">
+                  <label className="flex items-center text-sm text-gray-700">
+                    <input
+                      type="checkbox"
+                      checked={field.required}
+                      onChange={(e) => updateField(index, { required: e.target.checked })}
+                      className="mr-2 h-4 w-4 text-primary-600 border-gray-300 rounded"
+                    />
+                    Required
+                  </label>
+                  <div className="flex items-center space-x-2">
+                    <button type="button" onClick={() => moveField(index, -1)} disabled={index === 0} className="text-gray-400 hover:text-gray-600 disabled:opacity-30">
+                      <ArrowUpIcon className="h-4 w-4" />
+                      <span className="sr-only">Move up</span>
+                    </button>
+                    <button type="button" onClick={() => moveField(index, 1)} disabled={index === editing.fields.length - 1} className="text-gray-400 hover:text-gray-600 disabled:opacity-30">
+                      <ArrowDownIcon className="h-4 w-4" />
+                      <span className="sr-only">Move down</span>
+                    </button>
+                    <button type="button" onClick={() => removeField(index)} className="text-red-600 hover:text-red-900">
+                      <TrashIcon className="h-4 w-4" />
+                      <span className="sr-only">Remove field</span>
+                    </button>
+                  </div>
+                </div>
+              </div>
+              <div className="grid grid-cols-1 gap-3 sm:grid-cols-4">
+                {field.type !== 'checkbox' && (
+                  <input
+                    type="text"
+                    value={field.placeholder}
+                    onChange={(e) => updateField(index, { placeholder: e.target.value })}
+                    placeholder="Placeholder"
+                    aria-label="Placeholder"
+                    className={inputClassName}
+                  />
+                )}
+                <select
+                  value={field.attribute}
+                  onChange={(e) => updateField(index, { attribute: e.target.value })}
+                  aria-label="Save as"
+                  className={inputClassName}
+                >
+                  <option value="">Keep as an answer</option>
+                  {FIELD_ATTRIBUTE_OPTIONS.map(option => (
+                    <option key={option.value} value={option.value}>Save as {option.label}</option>
+                  ))}
+                </select>
+                {field.attribute === 'custom' && (
+                  <select
+                    value={field.customField}
+                    onChange={(e) => updateField(index, { customField: e.target.value })}
+                    aria-label="Custom field"
+                    required
+                    className={inputClassName}
+                  >
+                    <option value="">Choose a custom field</option>
+                    {customFields.map(customField => (
+                      <option key={customField.key} value={customField.key}>{customField.name}</option>
+                    ))}
+                  </select>
+                )}
+                {field.type === 'select' && (
+                  <textarea
+                    rows={3}
+                    value={field.options}
+                    onChange={(e) => updateField(index, { options: e.target.value })}
+                    placeholder="One choice per line"
+                    aria-label="Choices"
+                    required
+                    className={`${inputClassName} sm:col-span-2`}
+                  />
+                )}
+              </div>
+            </li>
+          ))}
+        </ul>
+        <button
+          type="button"
+          onClick={() => setEditing({ ...editing, fields: [...editing.fields, { ...NEW_FIELD }] })}
+          className="mt-3 inline-flex items-center text-sm font-medium text-primary-600 hover:text-primary-900"
+        >
+          <PlusIcon className="mr-1 h-4 w-4" />
+          Add field
+        </button>
+      </div>
+
+      <div className="grid grid-cols-1 gap-4 sm:grid-cols-2">
+        <div>
+          <label htmlFor="web-form-submit-label" className="block text-sm font-medium text-gray-700">Button text</label>
+          <input
+            id="web-form-submit-label"
+            type="text"
+            value={editing.submitLabel}
+            onChange={(e) => setEditing({ ...editing, submitLabel: e.target.value })}
+            className={`${inputClassName} mt-1`}
+          />
+        </div>
+        <div>
+          <label htmlFor="web-form-pipeline" className="block text-sm font-medium text-gray-700">Pipeline</label>
+          <select
+            id="web-form-pipeline"
+            value={editing.pipelineId}
+            onChange={(e) => setEditing({ ...editing, pipelineId: e.target.value })}
+            className={`${inputClassName} mt-1`}
+          >
+            <option value="">Default pipeline</option>
+            {pipelines.map(pipeline => (
+              <option key={pipeline._id} value={pipeline._id}>{pipeline.name}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label htmlFor="web-form-success-message" className="block text-sm font-medium text-gray-700">Thank-you message</label>
+          <input
+            id="web-form-success-message"
+            type="text"
+            value={editing.successMessage}
+            onChange={(e) => setEditing({ ...editing, successMessage: e.target.value })}
+            className={`${inputClassName} mt-1`}
+          />
+        </div>
+        <div>
+          <label htmlFor="web-form-redirect-url" className="block text-sm font-medium text-gray-700">Thank-you page</label>
+          <input
+            id="web-form-redirect-url"
+            type="url"
+            value={editing.redirectUrl}
+            onChange={(e) => setEditing({ ...editing, redirectUrl: e.target.value })}
+            placeholder="https://example.com/thanks"
+            className={`${inputClassName} mt-1`}
+          />
+          <p className="mt-1 text-xs text-gray-500">Visitors go here after sending the form, instead of seeing the message.</p>
+        </div>
+        <div>
+          <label htmlFor="web-form-allowed-domains" className="block text-sm font-medium text-gray-700">Allowed sites</label>
+          <input
+            id="web-form-allowed-domains"
+            type="text"
+            value={editing.allowedDomains}
+            onChange={(e) => setEditing({ ...editing, allowedDomains: e.target.value })}
+            placeholder="example.com, example.org"
+            className={`${inputClassName} mt-1`}
+          />
+          <p className="mt-1 text-xs text-gray-500">
+            Only take submissions from these domains and their subdomains, and the hosted page. Leave empty to take them from anywhere.
+          </p>
+        </div>
+        <div className="flex items-center">
+          <label className="flex items-center text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={editing.isActive}
+              onChange={(e) => setEditing({ ...editing, isActive: e.target.checked })}
+              className="mr-2 h-4 w-4 text-primary-600 border-gray-300 rounded"
+            />
+            Open for submissions
+          </label>
+        </div>
+      </div>
+
+      <div className="flex justify-end space-x-3">
+        <button type="button" onClick={() => setEditing(null)} className="px-4 py-2 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50">
+          Cancel
+        </button>
+        <button
+          type="submit"
+          disabled={saving}
+          className="px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-primary-600 hover:bg-primary-700 disabled:opacity-50"
+        >
+          {saving ? 'Saving...' : 'Save form'}
+        </button>
+      </div>
+    </form>
+  );
+
+  const renderEmbedCodes = (form) => (
+    <div className="mt-3 space-y-3">
+      {getEmbedCodes(form).map(embed => (
+        <div key={embed.label}>
+          <div className="flex items-center justify-between">
+            <p className="text-xs font-medium text-gray-700">{embed.label}</p>
+            <button type="button" onClick={() => handleCopy(embed.code)} className="inline-flex items-center text-xs text-primary-600 hover:text-primary-900">
+              <ClipboardDocumentIcon className="mr-1 h-4 w-4" />
+              Copy
+            </button>
+          </div>
+          <p className="text-xs text-gray-500">{embed.description}</p>
+          <pre className="mt-1 p-2 bg-gray-50 border border-gray-200 rounded text-xs text-gray-800 whitespace-pre-wrap break-all">{embed.code}</pre>
+        </div>
+      ))}
+    </div>
+  );
+
+  return (
+    <div className="py-6">
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+        <div className="flex items-center justify-between">
+          <h1 className="text-2xl font-semibold text-gray-900">Website Forms</h1>
+          {canManage && !editing && (
+            <button
+              type="button"
+              onClick={() => setEditing({ ...NEW_FORM, fields: NEW_FORM.fields.map(field => ({ ...field })) })}
+              className="inline-flex items-center px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-primary-600 hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500"
+            >
+              <PlusIcon className="-ml-1 mr-2 h-5 w-5" />
+              New form
+            </button>
+          )}
+        </div>
+        <p className="mt-1 text-sm text-gray-500">
+          Capture leads on your own sites. Answers become leads like those from Facebook: routed, scored and
+          shown with the page they were sent from. Bots are kept out by a hidden field, a minimum fill time and a limit on submissions per visitor.
+        </p>
+
+        {editing && renderEditor()}
+
+        {loading ? (
+          <div className="flex justify-center py-12">
+            <div className="animate-spin rounded-full h-8 w-8 border-t-2 border-b-2 border-primary-600"></div>
+          </div>
+        ) : forms.length > 0 ? (
+          <ul className="mt-6 bg-white shadow divide-y divide-gray-200 sm:rounded-lg">
+            {forms.map(form => (
+              <li key={form._id} className="px-4 py-4 sm:px-6">
+                <div className="flex items-center justify-between">
+                  <div>
+                    <p className="text-sm font-medium text-gray-900">
+                      {form.name}
+                      <span className={`ml-2 px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${form.isActive ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-800'}`}>
+                        {form.isActive ? 'Open' : 'Closed'}
+                      </span>
+                    </p>
+                    <p className="text-xs text-gray-500">
+                      {form.fields.length} fields · {form.submissionCount} leads · {form.spamCount} dropped as spam
+                      {form.lastSubmittedAt && ` · Last lead ${formatDate(form.lastSubmittedAt)}`}
+                    </p>
+                  </div>
+                  <div className="flex items-center space-x-3">
+                    <button
+                      onClick={() => setEmbedFormId(embedFormId === form._id ? null : form._id)}
+                      className="text-gray-400 hover:text-gray-600"
+                      title="Embed code"
+                    >
+                      <CodeBracketIcon className="h-5 w-5" />
+                      <span className="sr-only">Embed code</span>
+                    </button>
+                    <a href={form.urls.pageUrl} target="_blank" rel="noopener noreferrer" className="text-gray-400 hover:text-gray-600" title="Open hosted page">
+                      <ArrowTopRightOnSquareIcon className="h-5 w-5" />
+                      <span className="sr-only">Open hosted page</span>
+                    </a>
+                    {canManage && (
+                      <button onClick={() => handleToggleActive(form)} className="text-sm text-gray-500 hover:text-gray-700">
+                        {form.isActive ? 'Close' : 'Open'}
+                      </button>
+                    )}
+                    {canManage && (
+                      <button onClick={() => setEditing(toEditing(form))} className="text-primary-600 hover:text-primary-900">
+                        <PencilIcon className="h-5 w-5" />
+                        <span className="sr-only">Edit form</span>
+                      </button>
+                    )}
+                    {canManage && (
+                      <button onClick={() => handleDelete(form)} className="text-red-600 hover:text-red-900">
+                        <TrashIcon className="h-5 w-5" />
+                        <span className="sr-only">Delete form</span>
+                      </button>
+                    )}
+                  </div>
+                </div>
+                {embedFormId === form._id && renderEmbedCodes(form)}
+              </li>
+            ))}
+          </ul>
+        ) : !editing && (
+          <p className="mt-6 text-sm text-gray-500">No website forms yet.</p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default WebForms;
@@ -0,0 +1,45 @@
+import api from './api';
+
+const customFieldService = {
+  // Get the organization's custom lead fields and the types they can have
+  getCustomFields: async () => {
+    try {
+      const response = await api.get('/api/custom-fields');
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Create a custom field
+  createCustomField: async (fieldData) => {
+    try {
+      const response = await api.post('/api/custom-fields', fieldData);
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Rename a custom field, change its options or move it
+  updateCustomField: async (fieldId, fieldData) => {
+    try {
+      const response = await api.put(`/api/custom-fields/${fieldId}`, fieldData);
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Delete a custom field and its values on leads
+  deleteCustomField: async (fieldId) => {
+    try {
+      const response = await api.delete(`/api/custom-fields/${fieldId}`);
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  }
+};
+
+export default customFieldService;
@@ -39,6 +39,36 @@ const formService = {
     } catch (error) {
       throw error;
     }
+  },
+  
+  // Get a form's questions from Facebook and how each is mapped
+  getQuestions: async (formId) => {
+    try {
+      const response = await api.get(`/api/forms/${formId}/questions`);
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+  
+  // Map a form's questions to lead attributes or custom fields
+  updateFieldMappings: async (formId, fieldMappings) => {
+    try {
+      const response = await api.put(`/api/forms/${formId}/field-mappings`, { fieldMappings });
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+  
+  // Get lead sync run history
+  getSyncRuns: async (params = {}) => {
+    try {
+      const response = await api.get('/api/facebook/sync-runs', { params });
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
   }
 };
 
@@ -0,0 +1,81 @@
+import api from './api';
+
+const importService = {
+  // Get the organization's recent lead imports
+  getImports: async () => {
+    try {
+      const response = await api.get('/api/imports');
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Upload a CSV or XLSX file; returns its columns and a suggested mapping
+  uploadFile: async (file) => {
+    try {
+      const formData = new FormData();
+      formData.append('file', file);
+
+      const response = await api.post('/api/imports', formData, {
+        headers: { 'Content-Type': 'multipart/form-data' }
+      });
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Check every row with a mapping and dedup strategy, without importing
+  previewImport: async (importId, options) => {
+    try {
+      const response = await api.post(`/api/imports/${importId}/preview`, options);
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Start importing in the background
+  startImport: async (importId, options) => {
+    try {
+      const response = await api.post(`/api/imports/${importId}/start`, options);
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Get an import's progress
+  getImport: async (importId) => {
+    try {
+      const response = await api.get(`/api/imports/${importId}`);
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Download the rows an import couldn't bring in, as CSV
+  downloadErrors: async (job) => {
+    try {
+      const response = await api.get(`/api/imports/${job._id}/errors`, { responseType: 'blob' });
+      const url = window.URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+
+      link.href = url;
+      link.download = `${job.fileName.replace(/\.[^.]+$/, '')}-errors.csv`;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      window.URL.revokeObjectURL(url);
+
+      return true;
+    } catch (error) {
+      console.error('Error downloading import errors:', error);
+      throw error;
+    }
+  }
+};
+
+export default importService;
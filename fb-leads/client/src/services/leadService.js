@@ -11,6 +11,36 @@ const leadService = {
     }
   },
   
+  // Add a lead by hand
+  createLead: async (lead) => {
+    try {
+      const response = await api.post('/api/leads', lead);
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+  
+  // Count a pipeline's leads in each stage, with the same filters as getLeads
+  getStageCounts: async (params = {}) => {
+    try {
+      const response = await api.get('/api/leads/stage-counts', { params });
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+  
+  // Median time to first contact and SLA breaches, per agent and per form
+  getSlaSummary: async (params = {}) => {
+    try {
+      const response = await api.get('/api/leads/sla-summary', { params });
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+  
   // Get a specific lead
   getLead: async (leadId) => {
     try {
@@ -31,6 +61,86 @@ const leadService = {
     }
   },
   
+  // Assign a lead to a member (null to unassign)
+  assignLead: async (leadId, userId) => {
+    try {
+      const response = await api.put(`/api/leads/${leadId}/assign`, { userId });
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+  
+  // Get a lead's activity timeline
+  getActivities: async (leadId) => {
+    try {
+      const response = await api.get(`/api/leads/${leadId}/activities`);
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+  
+  // Log a note, call or email on a lead
+  addActivity: async (leadId, activityData) => {
+    try {
+      const response = await api.post(`/api/leads/${leadId}/activities`, activityData);
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+  
+  // Set a lead's custom field values; null clears a field
+  updateCustomFields: async (leadId, customFields) => {
+    try {
+      const response = await api.put(`/api/leads/${leadId}/custom-fields`, { customFields });
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Set a lead's tags
+  updateTags: async (leadId, tags) => {
+    try {
+      const response = await api.put(`/api/leads/${leadId}/tags`, { tags });
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+  
+  // Get the same person's other leads and the leads merged into this one
+  getDuplicates: async (leadId) => {
+    try {
+      const response = await api.get(`/api/leads/${leadId}/duplicates`);
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+  
+  // Merge duplicate leads into a lead
+  mergeLeads: async (leadId, leadIds) => {
+    try {
+      const response = await api.post(`/api/leads/${leadId}/merge`, { leadIds });
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+  
+  // Split a merged lead back off
+  unmergeLead: async (leadId, mergedId) => {
+    try {
+      const response = await api.delete(`/api/leads/${leadId}/merge/${mergedId}`);
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+  
   // Manually fetch leads from Facebook
   fetchLeads: async (formId = null, pageId = null, appId = null) => {
     try {
@@ -91,6 +201,38 @@ const leadService = {
         document.body.removeChild(iframe);
       }, 5000);
       
+      return true;
+    } catch (error) {
+      console.error('Error exporting leads:', error);
+      throw error;
+    }
+  },
+
+  // Apply a bulk action to the picked leads ({ leadIds }) or to every lead
+  // matching the filters ({ filters }), and get a report on each lead
+  bulkLeads: async (data) => {
+    try {
+      const response = await api.post('/api/leads/bulk', data);
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Download the picked leads, or every lead matching the filters, as CSV
+  bulkExport: async (data) => {
+    try {
+      const response = await api.post('/api/leads/bulk', { ...data, action: 'export' }, { responseType: 'blob' });
+      const url = window.URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+
+      link.href = url;
+      link.download = `leads-${new Date().toISOString().split('T')[0]}.csv`;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      window.URL.revokeObjectURL(url);
+
       return true;
     } catch (error) {
       console.error('Error exporting leads:', error);
@@ -0,0 +1,35 @@
+import api from './api';
+
+const notificationService = {
+  // Get the latest notifications and the unread count
+  getNotifications: async () => {
+    try {
+      const response = await api.get('/api/notifications');
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Mark a notification as read
+  markRead: async (notificationId) => {
+    try {
+      const response = await api.put(`/api/notifications/${notificationId}/read`);
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Mark all notifications as read
+  markAllRead: async () => {
+    try {
+      const response = await api.put('/api/notifications/read');
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  }
+};
+
+export default notificationService;
@@ -0,0 +1,55 @@
+import api from './api';
+
+const organizationService = {
+  // Get the current organization and its members
+  getOrganization: async () => {
+    try {
+      const response = await api.get('/api/organizations/current');
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Rename the organization or set its default phone country
+  updateOrganization: async (data) => {
+    try {
+      const response = await api.put('/api/organizations/current', data);
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Create a teammate account in the organization
+  addMember: async (memberData) => {
+    try {
+      const response = await api.post('/api/organizations/current/members', memberData);
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Change a teammate's role
+  updateMemberRole: async (userId, role) => {
+    try {
+      const response = await api.put(`/api/organizations/current/members/${userId}`, { role });
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Remove a teammate from the organization
+  removeMember: async (userId) => {
+    try {
+      const response = await api.delete(`/api/organizations/current/members/${userId}`);
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  }
+};
+
+export default organizationService;
@@ -0,0 +1,45 @@
+import api from './api';
+
+const pipelineService = {
+  // Get the organization's pipelines and the colors stages can use
+  getPipelines: async () => {
+    try {
+      const response = await api.get('/api/pipelines');
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Create a pipeline
+  createPipeline: async (pipelineData) => {
+    try {
+      const response = await api.post('/api/pipelines', pipelineData);
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Rename a pipeline, change its stages or make it the default
+  updatePipeline: async (pipelineId, pipelineData) => {
+    try {
+      const response = await api.put(`/api/pipelines/${pipelineId}`, pipelineData);
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Delete a pipeline
+  deletePipeline: async (pipelineId) => {
+    try {
+      const response = await api.delete(`/api/pipelines/${pipelineId}`);
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  }
+};
+
+export default pipelineService;
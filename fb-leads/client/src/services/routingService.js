@@ -0,0 +1,65 @@
+import api from './api';
+
+const routingService = {
+  // Get routing rules, form agents and member capacity
+  getRouting: async () => {
+    try {
+      const response = await api.get('/api/routing');
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Create a routing rule
+  createRule: async (ruleData) => {
+    try {
+      const response = await api.post('/api/routing/rules', ruleData);
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Update a routing rule
+  updateRule: async (ruleId, ruleData) => {
+    try {
+      const response = await api.put(`/api/routing/rules/${ruleId}`, ruleData);
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Delete a routing rule
+  deleteRule: async (ruleId) => {
+    try {
+      const response = await api.delete(`/api/routing/rules/${ruleId}`);
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Set the agents a form's leads are shared between
+  updateFormAgents: async (formId, agents) => {
+    try {
+      const response = await api.put(`/api/routing/forms/${formId}`, { agents });
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Set a member's open lead cap (null for no limit)
+  updateMemberCapacity: async (userId, maxOpenLeads) => {
+    try {
+      const response = await api.put(`/api/routing/members/${userId}`, { maxOpenLeads });
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  }
+};
+
+export default routingService;
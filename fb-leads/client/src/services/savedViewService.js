@@ -0,0 +1,45 @@
+import api from './api';
+
+const savedViewService = {
+  // Get the user's saved lead list views and the team's shared ones
+  getSavedViews: async () => {
+    try {
+      const response = await api.get('/api/saved-views');
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Save a view
+  createSavedView: async (viewData) => {
+    try {
+      const response = await api.post('/api/saved-views', viewData);
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Update a view's name, filters, sort, columns or sharing
+  updateSavedView: async (viewId, viewData) => {
+    try {
+      const response = await api.put(`/api/saved-views/${viewId}`, viewData);
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Delete a view
+  deleteSavedView: async (viewId) => {
+    try {
+      const response = await api.delete(`/api/saved-views/${viewId}`);
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  }
+};
+
+export default savedViewService;
@@ -0,0 +1,45 @@
+import api from './api';
+
+const scoringService = {
+  // Get the lead scoring rules and the options they can use
+  getRules: async () => {
+    try {
+      const response = await api.get('/api/scoring/rules');
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Create a scoring rule; leads are rescored
+  createRule: async (ruleData) => {
+    try {
+      const response = await api.post('/api/scoring/rules', ruleData);
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Update a scoring rule; leads are rescored
+  updateRule: async (ruleId, ruleData) => {
+    try {
+      const response = await api.put(`/api/scoring/rules/${ruleId}`, ruleData);
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Delete a scoring rule; leads are rescored
+  deleteRule: async (ruleId) => {
+    try {
+      const response = await api.delete(`/api/scoring/rules/${ruleId}`);
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  }
+};
+
+export default scoringService;
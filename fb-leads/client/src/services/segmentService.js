@@ -0,0 +1,55 @@
+import api from './api';
+
+const segmentService = {
+  // Get the organization's lead segments with their lead counts
+  getSegments: async () => {
+    try {
+      const response = await api.get('/api/segments');
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Create a segment from lead list filters
+  createSegment: async (segmentData) => {
+    try {
+      const response = await api.post('/api/segments', segmentData);
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Rename a segment or change its filters
+  updateSegment: async (segmentId, segmentData) => {
+    try {
+      const response = await api.put(`/api/segments/${segmentId}`, segmentData);
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Turn notifications of new leads in a segment on or off
+  setSubscribed: async (segmentId, subscribed) => {
+    try {
+      const response = await api.put(`/api/segments/${segmentId}/subscription`, { subscribed });
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Delete a segment
+  deleteSegment: async (segmentId) => {
+    try {
+      const response = await api.delete(`/api/segments/${segmentId}`);
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  }
+};
+
+export default segmentService;
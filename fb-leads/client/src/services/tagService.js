@@ -0,0 +1,55 @@
+import api from './api';
+
+const tagService = {
+  // Get the organization's lead tags with their lead counts, and the colors they can have
+  getTags: async () => {
+    try {
+      const response = await api.get('/api/tags');
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Create a tag
+  createTag: async (tagData) => {
+    try {
+      const response = await api.post('/api/tags', tagData);
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Rename a tag on every lead, or change its color
+  updateTag: async (tagId, tagData) => {
+    try {
+      const response = await api.put(`/api/tags/${tagId}`, tagData);
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Merge a tag into another one
+  mergeTag: async (tagId, targetId) => {
+    try {
+      const response = await api.post(`/api/tags/${tagId}/merge`, { targetId });
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Delete a tag and take it off its leads
+  deleteTag: async (tagId) => {
+    try {
+      const response = await api.delete(`/api/tags/${tagId}`);
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  }
+};
+
+export default tagService;
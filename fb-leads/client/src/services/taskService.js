@@ -0,0 +1,45 @@
+import api from './api';
+
+const taskService = {
+  // Get tasks (filters: lead, assignee, status, dueBefore, dueAfter)
+  getTasks: async (params = {}) => {
+    try {
+      const response = await api.get('/api/tasks', { params });
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Create a follow-up task on a lead
+  createTask: async (taskData) => {
+    try {
+      const response = await api.post('/api/tasks', taskData);
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Update a task, or mark it done with { completed: true }
+  updateTask: async (taskId, taskData) => {
+    try {
+      const response = await api.put(`/api/tasks/${taskId}`, taskData);
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Delete a task
+  deleteTask: async (taskId) => {
+    try {
+      const response = await api.delete(`/api/tasks/${taskId}`);
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  }
+};
+
+export default taskService;
@@ -0,0 +1,45 @@
+import api from './api';
+
+const webFormService = {
+  // Get the organization's website forms with their embed URLs
+  getWebForms: async () => {
+    try {
+      const response = await api.get('/api/web-forms');
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Create a website form
+  createWebForm: async (formData) => {
+    try {
+      const response = await api.post('/api/web-forms', formData);
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Change a website form's fields or settings
+  updateWebForm: async (formId, formData) => {
+    try {
+      const response = await api.put(`/api/web-forms/${formId}`, formData);
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Delete a website form
+  deleteWebForm: async (formId) => {
+    try {
+      const response = await api.delete(`/api/web-forms/${formId}`);
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  }
+};
+
+export default webFormService;
@@ -1,6 +1,36 @@
 module.exports = {
   facebook: {
     appId: process.env.FACEBOOK_APP_ID || '123456789012345',
-    appSecret: process.env.FACEBOOK_APP_SECRET || 'your-app-secret-here'
+    // No default: webhook payloads are only taken when signed with a real secret
+    appSecret: process.env.FACEBOOK_APP_SECRET || null,
+    // Token Facebook echoes back when verifying the leadgen webhook
+    // subscription. No default: without one, subscriptions are refused.
+    webhookVerifyToken: process.env.FACEBOOK_WEBHOOK_VERIFY_TOKEN || null,
+    graphApi: {
+      // Point at the mock server (npm run mock:graph) to develop and test without Facebook
+      baseUrl: process.env.FACEBOOK_GRAPH_API_URL || 'https://graph.facebook.com',
+      version: process.env.FACEBOOK_GRAPH_API_VERSION || 'v18.0',
+      // Retries for transient Graph errors (codes 1, 2, 4, 17, 613 and network failures)
+      maxRetries: parseInt(process.env.FACEBOOK_GRAPH_MAX_RETRIES, 10) || 3,
+      baseDelayMs: 1000,
+      maxDelayMs: 30000,
+      // Start slowing down once app or business usage passes this percentage
+      usageThreshold: parseInt(process.env.FACEBOOK_GRAPH_USAGE_THRESHOLD, 10) || 90
+    }
+  },
+  // Website lead capture forms, submitted by anyone
+  publicForms: {
+    // Submissions per visitor IP and form in each window
+    rateLimit: {
+      windowMs: 15 * 60 * 1000,
+      max: parseInt(process.env.PUBLIC_FORM_RATE_LIMIT, 10) || 10
+    },
+    // Submissions sooner than this after the form was shown are taken for bots
+    minFillMs: 2000,
+    // and ones later than this are refused, so a signed time can't be reused for good
+    maxFillMs: 24 * 60 * 60 * 1000,
+    // Key that signs when a form was shown; without one each server process
+    // makes its own, so forms shown before a restart have to be reloaded
+    signingSecret: process.env.PUBLIC_FORM_SECRET || process.env.JWT_SECRET || null
   }
-}; 
\ No newline at end of file
+};
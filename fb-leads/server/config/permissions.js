@@ -0,0 +1,86 @@
+// Organization roles, from most to least access
+const ROLES = ['owner', 'admin', 'manager', 'agent', 'readonly'];
+
+// Roles a member can be given; there is exactly one owner per organization
+const ASSIGNABLE_ROLES = ROLES.filter(role => role !== 'owner');
+
+// Permission matrix: which roles may perform each action
+const PERMISSIONS = {
+  // Leads. Agents only see leads assigned to them, everyone else sees all of them
+  'leads:read': ['owner', 'admin', 'manager', 'agent', 'readonly'],
+  'leads:read_all': ['owner', 'admin', 'manager', 'readonly'],
+  'leads:update': ['owner', 'admin', 'manager', 'agent'],
+  'leads:create': ['owner', 'admin', 'manager', 'agent'],
+  'leads:assign': ['owner', 'admin', 'manager'],
+  'leads:merge': ['owner', 'admin', 'manager'],
+  'leads:delete': ['owner', 'admin', 'manager'],
+  'leads:export': ['owner', 'admin', 'manager'],
+  'leads:sync': ['owner', 'admin', 'manager'],
+  // Importing leads from CSV and XLSX files
+  'leads:import': ['owner', 'admin', 'manager'],
+
+  // Lead forms and sync history
+  'forms:read': ['owner', 'admin', 'manager', 'agent', 'readonly'],
+  'forms:manage': ['owner', 'admin', 'manager'],
+
+  // Sales pipelines and their stages
+  'pipelines:manage': ['owner', 'admin', 'manager'],
+
+  // Custom lead fields
+  'fields:manage': ['owner', 'admin', 'manager'],
+
+  // Lead scoring rules
+  'scoring:manage': ['owner', 'admin', 'manager'],
+
+  // Renaming, merging, coloring and deleting lead tags; anyone who can
+  // update leads can tag them
+  'tags:manage': ['owner', 'admin', 'manager'],
+
+  // Lead segments, which exports and notifications can target
+  'segments:manage': ['owner', 'admin', 'manager'],
+
+  // Sharing saved lead list views with the team, and changing shared ones
+  'views:share': ['owner', 'admin', 'manager'],
+
+  // Lead routing rules, form agents and member capacity
+  'routing:manage': ['owner', 'admin', 'manager'],
+
+  // Facebook apps, tokens, app credentials and pages
+  'facebook:read': ['owner', 'admin', 'manager'],
+  'facebook:manage': ['owner', 'admin'],
+
+  // Ads analytics
+  'analytics:read': ['owner', 'admin', 'manager', 'readonly'],
+  'analytics:export': ['owner', 'admin', 'manager'],
+
+  // Organization settings and team
+  'members:manage': ['owner', 'admin'],
+  'organization:update': ['owner']
+};
+
+/**
+ * Check whether a role has a permission
+ * @param {string} role - Organization role
+ * @param {string} permission - Permission name
+ * @returns {boolean} Whether the role has the permission
+ */
+const hasPermission = (role, permission) => {
+  return (PERMISSIONS[permission] || []).includes(role);
+};
+
+/**
+ * List the permissions of a role
+ * @param {string} role - Organization role
+ * @returns {Array<string>} Permission names
+ */
+const getPermissions = (role) => {
+  return Object.keys(PERMISSIONS).filter(permission => hasPermission(role, permission));
+};
+
+module.exports = {
+  ROLES,
+  ASSIGNABLE_ROLES,
+  PERMISSIONS,
+  hasPermission,
+  getPermissions
+};
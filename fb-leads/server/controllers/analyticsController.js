@@ -1,5 +1,5 @@
 const analyticsService = require('../services/analyticsService');
-const User = require('../models/User');
+const { graphClient, GraphApiError } = require('../services/graphClient');
 const cron = require('node-cron');
 
 /**
@@ -36,32 +36,8 @@ const getInsights = async (req, res) => {
       });
     }
     
-    // Get user to find access token
-    const user = await User.findById(userId);
-    
-    if (!user) {
-      return res.status(404).json({
-        success: false,
-        error: 'User not found'
-      });
-    }
-    
-    // Get access token from user's Facebook apps
-    let accessToken = null;
-    
-    // First check if token is provided in query
-    if (req.query.access_token) {
-      accessToken = req.query.access_token;
-    } else if (user.facebookApps && user.facebookApps.length > 0) {
-      // Otherwise use the first available app token
-      const app = user.facebookApps.find(app => app.accessToken);
-      if (app) {
-        accessToken = app.accessToken;
-      }
-    } else if (user.accessToken) {
-      // Fall back to legacy token if available
-      accessToken = user.accessToken;
-    }
+    // Use the token from the query, otherwise the organization's token
+    const accessToken = req.query.access_token || req.organization.getAccessToken();
     
     if (!accessToken) {
       return res.status(400).json({
@@ -72,7 +48,7 @@ const getInsights = async (req, res) => {
     
     // Get insights from service
     const insights = await analyticsService.getInsights(
-      userId,
+      { organizationId: req.organizationId, userId },
       accessToken,
       ad_account_id,
       date_preset,
@@ -89,8 +65,8 @@ const getInsights = async (req, res) => {
     console.error('Error getting insights:', error);
     
     // Handle Facebook API errors
-    if (error.message && error.message.includes('Facebook API Error')) {
-      return res.status(400).json({
+    if (error instanceof GraphApiError) {
+      return res.status(error.isThrottled ? 429 : 400).json({
         success: false,
         error: error.message
       });
@@ -110,31 +86,8 @@ const getInsights = async (req, res) => {
  */
 const getAdAccounts = async (req, res) => {
   try {
-    const userId = req.userId;
-    
-    // Get user to find access token
-    const user = await User.findById(userId);
-    
-    if (!user) {
-      return res.status(404).json({
-        success: false,
-        error: 'User not found'
-      });
-    }
-    
-    // Get access token from user's Facebook apps
-    let accessToken = null;
-    
-    if (user.facebookApps && user.facebookApps.length > 0) {
-      // Use the first available app token
-      const app = user.facebookApps.find(app => app.accessToken);
-      if (app) {
-        accessToken = app.accessToken;
-      }
-    } else if (user.accessToken) {
-      // Fall back to legacy token if available
-      accessToken = user.accessToken;
-    }
+    // Get the organization's access token
+    const accessToken = req.organization.getAccessToken();
     
     if (!accessToken) {
       return res.status(400).json({
@@ -144,31 +97,28 @@ const getAdAccounts = async (req, res) => {
     }
     
     // Fetch ad accounts from Facebook API
-    const axios = require('axios');
-    const response = await axios.get('https://graph.facebook.com/v18.0/me/adaccounts', {
-      params: {
-        access_token: accessToken,
-        fields: 'id,name,account_id,account_status'
-      }
+    const response = await graphClient.get('me/adaccounts', {
+      access_token: accessToken,
+      fields: 'id,name,account_id,account_status'
     });
     
-    if (!response.data || !response.data.data) {
+    if (!response || !response.data) {
       throw new Error('Invalid response from Facebook Ad Accounts API');
     }
     
     // Return ad accounts
     res.json({
       success: true,
-      data: response.data.data
+      data: response.data
     });
   } catch (error) {
     console.error('Error getting ad accounts:', error);
     
     // Handle Facebook API errors
-    if (error.response && error.response.data && error.response.data.error) {
-      return res.status(400).json({
+    if (error instanceof GraphApiError) {
+      return res.status(error.isThrottled ? 429 : 400).json({
         success: false,
-        error: `Facebook API Error: ${error.response.data.error.message}`
+        error: error.message
       });
     }
     
@@ -197,27 +147,8 @@ const exportInsights = async (req, res) => {
       });
     }
     
-    // Get user to find access token
-    const user = await User.findById(userId);
-    
-    if (!user) {
-      return res.status(404).json({
-        success: false,
-        error: 'User not found'
-      });
-    }
-    
-    // Get access token
-    let accessToken = null;
-    
-    if (user.facebookApps && user.facebookApps.length > 0) {
-      const app = user.facebookApps.find(app => app.accessToken);
-      if (app) {
-        accessToken = app.accessToken;
-      }
-    } else if (user.accessToken) {
-      accessToken = user.accessToken;
-    }
+    // Get the organization's access token
+    const accessToken = req.organization.getAccessToken();
     
     if (!accessToken) {
       return res.status(400).json({
@@ -228,7 +159,7 @@ const exportInsights = async (req, res) => {
     
     // Get insights data
     const insights = await analyticsService.getInsights(
-      userId,
+      { organizationId: req.organizationId, userId },
       accessToken,
       ad_account_id,
       date_preset,
@@ -293,32 +224,8 @@ const startCronJob = () => {
  */
 const getPages = async (req, res) => {
   try {
-    const userId = req.userId;
-    
-    // Get user to find access token
-    const user = await User.findById(userId);
-    
-    if (!user) {
-      return res.status(404).json({
-        success: false,
-        error: 'User not found'
-      });
-    }
-    
-    // Get access token from user's Facebook apps (same approach as facebookPageController)
-    let accessToken = null;
-    let app = null;
-    
-    if (user.facebookApps && user.facebookApps.length > 0) {
-      // Use the first available app
-      app = user.facebookApps.find(app => app.accessToken);
-      if (app) {
-        accessToken = app.accessToken;
-      }
-    } else if (user.accessToken) {
-      // Fall back to legacy token if available
-      accessToken = user.accessToken;
-    }
+    // Get the organization's access token
+    const accessToken = req.organization.getAccessToken();
     
     if (!accessToken) {
       return res.status(400).json({
@@ -328,20 +235,17 @@ const getPages = async (req, res) => {
     }
     
     // Fetch pages from Facebook API (same endpoint as facebookPageController)
-    const axios = require('axios');
-    const response = await axios.get('https://graph.facebook.com/v18.0/me/accounts', {
-      params: {
-        access_token: accessToken,
-        fields: 'id,name,category'
-      }
+    const response = await graphClient.get('me/accounts', {
+      access_token: accessToken,
+      fields: 'id,name,category'
     });
     
-    if (!response.data || !response.data.data) {
+    if (!response || !response.data) {
       throw new Error('Invalid response from Facebook Pages API');
     }
     
     // Return pages in the same format as facebookPageController
-    const pages = response.data.data.map(page => ({
+    const pages = response.data.map(page => ({
       id: page.id,
       name: page.name,
       category: page.category
@@ -358,10 +262,10 @@ const getPages = async (req, res) => {
     console.error('Error getting pages:', error);
     
     // Handle Facebook API errors
-    if (error.response && error.response.data && error.response.data.error) {
-      return res.status(400).json({
+    if (error instanceof GraphApiError) {
+      return res.status(error.isThrottled ? 429 : 400).json({
         success: false,
-        error: `Facebook API Error: ${error.response.data.error.message}`
+        error: error.message
       });
     }
     
@@ -380,7 +284,6 @@ const getPages = async (req, res) => {
 const getAdAccountsByPage = async (req, res) => {
   try {
     const { pageId } = req.query;
-    const userId = req.userId;
     
     if (!pageId) {
       return res.status(400).json({
@@ -389,29 +292,8 @@ const getAdAccountsByPage = async (req, res) => {
       });
     }
     
-    // Get user to find access token
-    const user = await User.findById(userId);
-    
-    if (!user) {
-      return res.status(404).json({
-        success: false,
-        error: 'User not found'
-      });
-    }
-    
-    // Get access token from user's Facebook apps (same approach as facebookPageController)
-    let accessToken = null;
-    
-    if (user.facebookApps && user.facebookApps.length > 0) {
-      // Use the first available app
-      const app = user.facebookApps.find(app => app.accessToken);
-      if (app) {
-        accessToken = app.accessToken;
-      }
-    } else if (user.accessToken) {
-      // Fall back to legacy token if available
-      accessToken = user.accessToken;
-    }
+    // Get the organization's access token
+    const accessToken = req.organization.getAccessToken();
     
     if (!accessToken) {
       return res.status(400).json({
@@ -421,19 +303,16 @@ const getAdAccountsByPage = async (req, res) => {
     }
     
     // First get the page access token (same approach as facebookPageController)
-    const axios = require('axios');
-    const pagesResponse = await axios.get('https://graph.facebook.com/v18.0/me/accounts', {
-      params: {
-        access_token: accessToken,
-        fields: 'id,access_token'
-      }
+    const pagesResponse = await graphClient.get('me/accounts', {
+      access_token: accessToken,
+      fields: 'id,access_token'
     });
     
-    if (!pagesResponse.data || !pagesResponse.data.data) {
+    if (!pagesResponse || !pagesResponse.data) {
       throw new Error('Invalid response from Facebook Pages API');
     }
     
-    const page = pagesResponse.data.data.find(p => p.id === pageId);
+    const page = pagesResponse.data.find(p => p.id === pageId);
     
     if (!page) {
       return res.status(404).json({
@@ -443,32 +322,30 @@ const getAdAccountsByPage = async (req, res) => {
     }
     
     // Now get ad accounts for this page
-    const adAccountsResponse = await axios.get(`https://graph.facebook.com/v18.0/${pageId}/adaccounts`, {
-      params: {
-        access_token: page.access_token,
-        fields: 'id,name,account_id,account_status'
-      }
+    const adAccountsResponse = await graphClient.get(`${pageId}/adaccounts`, {
+      access_token: page.access_token,
+      fields: 'id,name,account_id,account_status'
     });
     
-    if (!adAccountsResponse.data || !adAccountsResponse.data.data) {
+    if (!adAccountsResponse || !adAccountsResponse.data) {
       throw new Error('Invalid response from Facebook Ad Accounts API');
     }
     
-    console.log(`Successfully fetched ${adAccountsResponse.data.data.length} ad accounts for page ${pageId}`);
+    console.log(`Successfully fetched ${adAccountsResponse.data.length} ad accounts for page ${pageId}`);
     
     // Return ad accounts
     res.json({
       success: true,
-      data: adAccountsResponse.data.data
+      data: adAccountsResponse.data
     });
   } catch (error) {
     console.error('Error getting ad accounts by page:', error);
     
     // Handle Facebook API errors
-    if (error.response && error.response.data && error.response.data.error) {
-      return res.status(400).json({
+    if (error instanceof GraphApiError) {
+      return res.status(error.isThrottled ? 429 : 400).json({
         success: false,
-        error: `Facebook API Error: ${error.response.data.error.message}`
+        error: error.message
       });
     }
     
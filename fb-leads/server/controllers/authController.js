@@ -1,12 +1,28 @@
-import User from '../models/User.js';
-import { generateToken } from '../middleware/auth.js';
-import { validationResult } from 'express-validator';
-import facebookTokenService from '../services/facebookTokenService.js';
+const User = require('../models/User');
+const Organization = require('../models/Organization');
+const { generateToken } = require('../middleware/auth');
+const { validationResult } = require('express-validator');
+const facebookTokenService = require('../services/facebookTokenService');
+const { getPermissions } = require('../config/permissions');
+
+/**
+ * Organization details sent to the client with the user
+ * @param {Object} organization - Organization document
+ * @param {string} userId - User ID
+ * @returns {Object} Organization summary
+ */
+const summarizeOrganization = (organization, userId) => ({
+  id: organization._id,
+  name: organization.name,
+  role: organization.getRole(userId),
+  permissions: getPermissions(organization.getRole(userId)),
+  memberCount: organization.members.length
+});
 
 /**
  * Register a new user
  */
-export const register = async (req, res) => {
+const register = async (req, res) => {
   try {
     // Check for validation errors
     const errors = validationResult(req);
@@ -45,6 +61,9 @@ export const register = async (req, res) => {
       throw new Error('Failed to create user. Please try again later.');
     });
 
+    // Every new account starts with its own organization
+    const organization = await Organization.ensureForUser(user);
+
     // Generate JWT token
     const token = generateToken(user._id);
 
@@ -54,6 +73,7 @@ export const register = async (req, res) => {
         userId: user._id,
         name: user.name,
         email: user.email,
+        organization: summarizeOrganization(organization, user._id),
         token
       }
     });
@@ -69,7 +89,7 @@ export const register = async (req, res) => {
 /**
  * Login user
  */
-export const login = async (req, res) => {
+const login = async (req, res) => {
   try {
     // Check for validation errors
     const errors = validationResult(req);
@@ -107,8 +127,9 @@ export const login = async (req, res) => {
     // Generate JWT token
     const token = generateToken(user._id);
 
-    // Get Facebook apps
-    const apps = await facebookTokenService.getUserApps(user._id);
+    // Facebook apps belong to the organization
+    const organization = await Organization.ensureForUser(user);
+    const apps = await facebookTokenService.getOrganizationApps(organization._id);
 
     res.status(200).json({
       success: true,
@@ -116,7 +137,8 @@ export const login = async (req, res) => {
         userId: user._id,
         name: user.name,
         email: user.email,
-        accessToken: user.accessToken,
+        accessToken: organization.accessToken,
+        organization: summarizeOrganization(organization, user._id),
         facebookApps: apps.map(app => ({
           id: app._id,
           appId: app.appId,
@@ -139,7 +161,7 @@ export const login = async (req, res) => {
 /**
  * Get current user profile
  */
-export const getProfile = async (req, res) => {
+const getProfile = async (req, res) => {
   try {
     // User is already attached to req object from auth middleware
     const user = await User.findById(req.userId).select('-password');
@@ -152,10 +174,12 @@ export const getProfile = async (req, res) => {
     }
 
     // Get Facebook apps
-    const apps = await facebookTokenService.getUserApps(user._id);
+    const apps = await facebookTokenService.getOrganizationApps(req.organizationId);
 
-    // Prepare response data
+    // Prepare response data, without the legacy credentials that moved to the organization
     const userData = user.toObject();
+    delete userData.facebookAppSecret;
+    userData.organization = summarizeOrganization(req.organization, user._id);
     
     // Add Facebook apps with masked tokens
     userData.facebookApps = apps.map(app => ({
@@ -184,7 +208,7 @@ export const getProfile = async (req, res) => {
  * Update Facebook access token
  * @deprecated Use the facebookTokenController.saveToken method instead
  */
-export const updateAccessToken = async (req, res) => {
+const updateAccessToken = async (req, res) => {
   try {
     const { accessToken } = req.body;
 
@@ -196,7 +220,7 @@ export const updateAccessToken = async (req, res) => {
     }
 
     // Save token using the token service
-    await facebookTokenService.saveUserToken(req.userId, { accessToken });
+    await facebookTokenService.saveOrganizationToken(req.organizationId, { accessToken });
 
     // Get updated user
     const user = await User.findById(req.userId).select('-password');
@@ -212,4 +236,11 @@ export const updateAccessToken = async (req, res) => {
       error: 'Server error' 
     });
   }
-}; 
\ No newline at end of file
+};
+
+module.exports = {
+  register,
+  login,
+  getProfile,
+  updateAccessToken
+};
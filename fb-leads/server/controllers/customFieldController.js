@@ -0,0 +1,194 @@
+const { validationResult } = require('express-validator');
+const mongoose = require('mongoose');
+const CustomField = require('../models/CustomField');
+const customFieldService = require('../services/customFieldService');
+
+/**
+ * Find one of the organization's custom fields
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object|null>} CustomField document
+ */
+const findField = (req) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return Promise.resolve(null);
+  }
+
+  return CustomField.findOne({ _id: req.params.id, organizationId: req.organizationId });
+};
+
+/**
+ * Clean up a select field's options: trimmed, non-empty and unique
+ * @param {Array} options - Options from the request
+ * @returns {Array<string>} Options
+ */
+const cleanOptions = (options = []) => {
+  return [...new Set(options.map(option => String(option).trim()).filter(Boolean))];
+};
+
+/**
+ * Get the organization's custom fields
+ */
+const getCustomFields = async (req, res) => {
+  try {
+    const fields = await customFieldService.getFields(req.organizationId);
+
+    res.status(200).json({
+      success: true,
+      data: fields,
+      types: CustomField.TYPES
+    });
+  } catch (error) {
+    console.error('Get custom fields error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+/**
+ * Create a custom field
+ */
+const createCustomField = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { name, type } = req.body;
+    const options = cleanOptions(req.body.options);
+
+    if ((type === 'select' || type === 'multi_select') && options.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Select fields need at least one option'
+      });
+    }
+
+    const existing = await customFieldService.getFields(req.organizationId);
+
+    const field = await CustomField.create({
+      organizationId: req.organizationId,
+      key: customFieldService.makeKey(name, new Set(existing.map(f => f.key))),
+      name,
+      type,
+      options: type === 'select' || type === 'multi_select' ? options : [],
+      order: req.body.order ?? existing.length
+    });
+
+    res.status(201).json({
+      success: true,
+      data: field
+    });
+  } catch (error) {
+    console.error('Create custom field error:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      error: error.message || 'Server error'
+    });
+  }
+};
+
+/**
+ * Rename a custom field, change its options or move it. The type and key
+ * never change, so stored values keep matching the field.
+ */
+const updateCustomField = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const field = await findField(req);
+
+    if (!field) {
+      return res.status(404).json({
+        success: false,
+        error: 'Custom field not found'
+      });
+    }
+
+    const { name, options, order } = req.body;
+
+    if (options !== undefined && (field.type === 'select' || field.type === 'multi_select')) {
+      const nextOptions = cleanOptions(options);
+
+      if (nextOptions.length === 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Select fields need at least one option'
+        });
+      }
+
+      field.options = nextOptions;
+    }
+
+    if (name !== undefined) {
+      field.name = name;
+    }
+
+    if (order !== undefined) {
+      field.order = order;
+    }
+
+    await field.save();
+
+    res.status(200).json({
+      success: true,
+      data: field
+    });
+  } catch (error) {
+    console.error('Update custom field error:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      error: error.message || 'Server error'
+    });
+  }
+};
+
+/**
+ * Delete a custom field, its values on leads and the form mappings to it
+ */
+const deleteCustomField = async (req, res) => {
+  try {
+    const field = await findField(req);
+
+    if (!field) {
+      return res.status(404).json({
+        success: false,
+        error: 'Custom field not found'
+      });
+    }
+
+    await customFieldService.removeValues(field);
+    await field.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    console.error('Delete custom field error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+module.exports = {
+  getCustomFields,
+  createCustomField,
+  updateCustomField,
+  deleteCustomField
+};
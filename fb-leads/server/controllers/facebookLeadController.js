@@ -1,103 +1,182 @@
 // Verify the correct Lead import - should be at the top of the file
 const Lead = require('../models/Lead');
 const Form = require('../models/Form');
+const SyncRun = require('../models/SyncRun');
+const Organization = require('../models/Organization');
 const facebookLeadService = require('../services/facebookLeadService');
+const leadIngestService = require('../services/leadIngestService');
+const activityService = require('../services/activityService');
+const pipelineService = require('../services/pipelineService');
+const slaService = require('../services/slaService');
+const contactService = require('../services/contactService');
+const leadSearchService = require('../services/leadSearchService');
+const leadFilterService = require('../services/leadFilterService');
+const customFieldService = require('../services/customFieldService');
+const bulkLeadService = require('../services/bulkLeadService');
+const tagService = require('../services/tagService');
 const cron = require('node-cron');
 const mongoose = require('mongoose');
+const { validationResult } = require('express-validator');
+const { hasPermission } = require('../config/permissions');
+const { getSourceLabel } = require('../services/leadSources');
+
+// Lead list orders for ?sort=; a leading "-" means descending
+const LEAD_SORTS = {
+  '-createdTime': { createdTime: -1, _id: -1 },
+  createdTime: { createdTime: 1 },
+  '-score': { score: -1, createdTime: -1 },
+  score: { score: 1, createdTime: -1 }
+};
+
+/**
+ * List filters sent in a bulk action's body. JSON can hold anything, so
+ * keep what a query string would: text, and the custom field filters.
+ * @param {Object} [filters] - Filters from the request body
+ * @returns {Object} Filters for leadFilters
+ */
+const bulkFilters = (filters = {}) => {
+  return Object.fromEntries(Object.entries(filters).filter(([key, value]) => (
+    typeof value === 'string' || (key === 'cf' && value !== null && typeof value === 'object')
+  )));
+};
 
 class FacebookLeadController {
   constructor() {
     // Bind methods to maintain 'this' context
     this.handleManualSync = this.handleManualSync.bind(this);
     this.getLeads = this.getLeads.bind(this);
+    this.getStageCounts = this.getStageCounts.bind(this);
+    this.getSlaSummary = this.getSlaSummary.bind(this);
     this.getLead = this.getLead.bind(this);
+    this.createLead = this.createLead.bind(this);
     this.updateLeadStatus = this.updateLeadStatus.bind(this);
     this.exportLeads = this.exportLeads.bind(this);
+    this.getSyncRuns = this.getSyncRuns.bind(this);
+    this.assignLead = this.assignLead.bind(this);
+    this.getActivities = this.getActivities.bind(this);
+    this.addActivity = this.addActivity.bind(this);
+    this.getDuplicates = this.getDuplicates.bind(this);
+    this.mergeLeads = this.mergeLeads.bind(this);
+    this.unmergeLead = this.unmergeLead.bind(this);
+    this.bulkLeads = this.bulkLeads.bind(this);
+    this.updateCustomFields = this.updateCustomFields.bind(this);
+    this.updateTags = this.updateTags.bind(this);
+  }
+
+  /**
+   * Base query for the leads a member may see: the organization's leads, or
+   * only the leads assigned to them for roles without leads:read_all
+   * @param {Object} req - Express request object
+   * @returns {Object} MongoDB query
+   */
+  leadScope(req) {
+    return leadFilterService.scope(req);
+  }
+
+  /**
+   * Query matching a lead by MongoDB ObjectId or Facebook leadId, within the
+   * member's scope
+   * @param {Object} req - Express request object
+   * @returns {Object} MongoDB query
+   */
+  leadQuery(req) {
+    const leadId = req.params.id;
+    const query = this.leadScope(req);
+
+    // Check if the ID is a valid MongoDB ObjectId
+    if (mongoose.Types.ObjectId.isValid(leadId)) {
+      query._id = leadId;
+    } else {
+      // If not a valid ObjectId, search by leadId instead
+      query.leadId = leadId;
+    }
+
+    return query;
+  }
+
+  /**
+   * Lead query for the list filters shared by the table, the board, the
+   * export and bulk actions (see leadFilterService.buildQuery)
+   * @param {Object} req - Express request object
+   * @param {Object} [params] - Filters, the query string's by default
+   * @returns {Promise<Object>} MongoDB query
+   */
+  leadFilters(req, params = req.query) {
+    return leadFilterService.buildQuery(params, req);
+  }
+
+  /**
+   * Sort order for the lead list and export: newest first unless ?sort=
+   * names another, e.g. "-score" for the highest scores first. Searches
+   * rank the best matches first unless another order is picked.
+   * @param {string} [sort] - Requested order
+   * @param {Object} query - Query from leadFilters
+   * @returns {Object} MongoDB sort
+   */
+  leadSort(sort, query) {
+    if (query.$text && (!sort || sort === 'relevance')) {
+      return { relevance: { $meta: 'textScore' }, createdTime: -1 };
+    }
+
+    return LEAD_SORTS[sort] || LEAD_SORTS['-createdTime'];
   }
 
   /**
    * Syncs leads from Facebook to the database
    * @param {Object} options - Sync options
-   * @param {string} options.userId - User ID
+   * @param {string} options.organizationId - Organization ID
+   * @param {string} options.userId - User ID of the member running the sync
    * @param {string} options.formId - Form ID (optional)
    * @param {string} options.appId - Facebook app ID (optional)
+   * @param {string} options.trigger - What started the sync: 'manual' or 'cron' (default: 'manual')
    * @returns {Promise<Object>} Sync results
    */
   async syncFacebookLeads(options = {}) {
     try {
-      const { userId, formId, appId } = options;
-      console.log(`Starting Facebook lead sync for user: ${userId}...`);
-      
-      if (!userId) {
-        throw new Error('User ID is required for syncing leads');
-      }
+      const { organizationId, userId, formId, appId, trigger = 'manual' } = options;
+      console.log(`Starting Facebook lead sync for organization: ${organizationId}...`);
 
-      // Get the timestamp of the last synced lead for this user
-      const query = { userId };
-      if (formId) {
-        query.formId = formId;
+      if (!organizationId) {
+        throw new Error('Organization ID is required for syncing leads');
       }
-      
-      const lastLead = await Lead.findOne(query, { createdTime: 1 })
-        .sort({ createdTime: -1 })
-        .lean();
 
-      console.log('Last synced lead time:', lastLead?.createdTime || 'No previous leads');
-
-      // If we have a last lead, fetch only newer leads
-      const syncOptions = {
-        ...options,
-        since: lastLead ? lastLead.createdTime.toISOString() : undefined
-      };
+      const { accessToken } = await facebookLeadService.validateOrganizationConfig(organizationId, appId);
+      const forms = await facebookLeadService.getFormsToSync({ organizationId, formId, appId });
 
-      // Fetch leads from Facebook
-      const leads = await facebookLeadService.fetchFacebookLeads(syncOptions);
+      console.log(`Syncing leads for ${forms.length} forms...`);
 
       // Initialize results
       const results = {
         totalFetched: 0,
         inserted: 0,
+        updated: 0,
         errors: [],
+        runs: []
       };
 
-      // If no leads were returned, return early with empty results
-      if (!leads || !Array.isArray(leads)) {
-        console.log('No leads returned from Facebook API');
-        return results;
-      }
-
-      // Update total fetched
-      results.totalFetched = leads.length;
-      console.log(`Processing ${leads.length} leads...`);
-
-      // Process each lead
-      for (const lead of leads) {
-        try {
-          console.log(`Processing lead ID: ${lead.leadId}`);
-          
-          // Try to insert the lead, skip if it already exists
-          const savedLead = await Lead.findOneAndUpdate(
-            { leadId: lead.leadId },
-            {
-              ...lead,
-              lastSyncedAt: new Date()
-            },
-            {
-              upsert: true,
-              new: true,
-              setDefaultsOnInsert: true
-            }
-          );
-          
-          console.log(`Lead ${lead.leadId} saved to database`);
-          results.inserted++;
-        } catch (error) {
-          console.error(`Error processing lead ${lead.leadId}:`, error);
-          results.errors.push({
-            leadId: lead.leadId,
-            error: error.message
-          });
-        }
+      // Each form gets its own run so one failing form doesn't hide the others
+      for (const form of forms) {
+        const run = await this.syncForm({
+          form,
+          organizationId,
+          userId: userId || form.userId,
+          accessToken,
+          trigger
+        });
+
+        results.totalFetched += run.fetched;
+        results.inserted += run.inserted;
+        results.updated += run.updated;
+        results.errors.push(...run.syncErrors.map(error => ({
+          formId: form.formId,
+          leadId: error.leadId,
+          error: error.message
+        })));
+        results.runs.push({
+          id: run._id,
+          formId: form.formId,
+          status: run.status
+        });
       }
 
       console.log('Sync results:', results);
@@ -108,17 +187,146 @@ class FacebookLeadController {
     }
   }
 
+  /**
+   * Syncs a single form page by page, recording progress in a SyncRun so a
+   * failed run can be resumed from the page it stopped at
+   * @param {Object} options - Sync options
+   * @param {Object} options.form - Form document
+   * @param {string} options.organizationId - Organization ID
+   * @param {string} options.userId - User ID of the member running the sync
+   * @param {string} options.accessToken - Facebook access token
+   * @param {string} options.trigger - What started the sync
+   * @returns {Promise<Object>} The finished SyncRun document
+   */
+  async syncForm({ form, organizationId, userId, accessToken, trigger }) {
+    const checkpoint = await SyncRun.getCheckpoint(form);
+
+    // Forms synced before run history existed start from their newest lead
+    if (checkpoint.firstRun) {
+      const lastLead = await Lead.findOne({ organizationId, formId: form.formId }, { createdTime: 1 })
+        .sort({ createdTime: -1 })
+        .lean();
+
+      if (lastLead) {
+        checkpoint.since = lastLead.createdTime;
+        checkpoint.watermark = lastLead.createdTime;
+      }
+    }
+
+    const run = await SyncRun.create({
+      userId,
+      organizationId,
+      form: form._id,
+      formId: form.formId,
+      trigger,
+      since: checkpoint.since,
+      startCursor: checkpoint.cursor,
+      cursor: checkpoint.cursor,
+      watermark: checkpoint.watermark,
+      retryFrom: checkpoint.retryFrom
+    });
+
+    // Keep the next run's window open back to a lead that couldn't be stored
+    const holdBack = (createdTime) => {
+      const time = createdTime || run.since || new Date(0);
+      if (!run.retryFrom || time < run.retryFrom) {
+        run.retryFrom = time;
+      }
+    };
+
+    console.log(`Sync run ${run._id} for form ${form.formId}, since: ${checkpoint.since || 'all time'}${checkpoint.cursor ? ', resuming from saved cursor' : ''}`);
+
+    try {
+      let after = checkpoint.cursor;
+
+      do {
+        const { leads, failed, nextCursor } = await facebookLeadService.fetchLeadPage({
+          formId: form.formId,
+          formName: form.formName,
+          pageId: form.pageId,
+          pageName: form.pageName,
+          accessToken,
+          since: checkpoint.since ? checkpoint.since.toISOString() : undefined,
+          after,
+          fieldMappings: form.fieldMappings
+        });
+
+        for (const lead of leads) {
+          try {
+            console.log(`Processing lead ID: ${lead.leadId}`);
+
+            const { inserted } = await leadIngestService.ingest({ ...lead, userId, organizationId });
+
+            if (inserted) {
+              run.inserted++;
+            } else {
+              run.updated++;
+            }
+
+            if (!run.watermark || lead.createdTime > run.watermark) {
+              run.watermark = lead.createdTime;
+            }
+          } catch (error) {
+            console.error(`Error processing lead ${lead.leadId}:`, error);
+            run.syncErrors.push({
+              leadId: lead.leadId,
+              message: error.message
+            });
+            holdBack(lead.createdTime);
+          }
+        }
+
+        failed.forEach(({ leadId, createdTime, message }) => {
+          run.syncErrors.push({ leadId, message });
+          holdBack(createdTime);
+        });
+
+        // Checkpoint after every page
+        run.fetched += leads.length + failed.length;
+        run.pages++;
+        run.cursor = nextCursor;
+        await run.save();
+
+        after = nextCursor;
+      } while (after);
+
+      run.status = run.retryFrom ? 'partial' : 'completed';
+    } catch (error) {
+      console.error(`Sync run ${run._id} for form ${form.formId} failed:`, error);
+      run.status = 'failed';
+      run.syncErrors.push({ message: error.message });
+    }
+
+    // Facebook's "since" is in seconds, so stop a second before the lead;
+    // one without a time sends the next run back to this run's window
+    if (run.retryFrom && run.status !== 'failed') {
+      const before = new Date(run.retryFrom.getTime() - 1000);
+      run.watermark = before.getTime() > 0 && (!run.since || before >= run.since)
+        ? (run.watermark && run.watermark < before ? run.watermark : before)
+        : null;
+    }
+
+    run.finishedAt = new Date();
+    await run.save();
+
+    // Update lastFetchedAt for the form
+    form.lastFetchedAt = new Date();
+    await form.save();
+
+    return run;
+  }
+
   /**
    * Express route handler for manual sync
    */
   async handleManualSync(req, res) {
     try {
-      const userId = req.userId;
       const { formId, appId } = req.query;
       
       // Sync leads
       const results = await this.syncFacebookLeads({
-        userId,
+        organizationId: req.organizationId,
+        userId: req.userId,
         formId,
         appId
       });
@@ -153,10 +361,18 @@ class FacebookLeadController {
         // Sync leads for each form
         for (const form of forms) {
           try {
+            // Forms of accounts that haven't signed in since organizations were added
+            if (!form.organizationId && form.userId) {
+              const organization = await Organization.ensureForUser(form.userId);
+              form.organizationId = organization._id;
+            }
+
             await this.syncFacebookLeads({
-              userId: form.userId,
+              organizationId: form.organizationId,
+              userId: form.userId?._id,
               formId: form.formId,
-              appId: form.facebookAppId // Use the app ID associated with the form
+              appId: form.facebookAppId, // Use the app ID associated with the form
+              trigger: 'cron'
             });
           } catch (error) {
             console.error(`Error syncing leads for form ${form.formId}:`, error);
@@ -170,67 +386,104 @@ class FacebookLeadController {
     });
     
     console.log('Facebook lead sync cron job started');
+
+    // Alert members about leads about to miss their SLA
+    slaService.setupCronJob(cron);
   }
 
   /**
-   * Get all Facebook leads with pagination and enhanced filtering
+   * Get the sync run history, newest first
    */
-  async getLeads(req, res) {
+  async getSyncRuns(req, res) {
     try {
-      const userId = req.userId;
-      const { 
-        page = 1, 
-        limit = 10, 
-        formId, 
-        pageId,
-        startDate, 
-        endDate, 
-        status,
-        search
-      } = req.query;
-      
-      // Build query
-      const query = { userId };
-      
-      // Add form filter if provided
+      const { page = 1, limit = 20, formId, status } = req.query;
+
+      const query = { organizationId: req.organizationId };
+
       if (formId) {
         query.formId = formId;
       }
-      
-      // Add page filter if provided
-      if (pageId) {
-        query.pageId = pageId;
-      }
-      
-      // Add date range filter if provided
-      if (startDate || endDate) {
-        query.createdTime = {};
-        if (startDate) query.createdTime.$gte = new Date(startDate);
-        if (endDate) query.createdTime.$lte = new Date(endDate);
-      }
-      
-      // Add status filter if provided
+
       if (status) {
         query.status = status;
       }
-      
-      // Add search filter if provided
-      if (search) {
-        query.$or = [
-          { fullName: { $regex: search, $options: 'i' } },
-          { email: { $regex: search, $options: 'i' } },
-          { phone: { $regex: search, $options: 'i' } }
-        ];
-      }
 
-      const leads = await Lead.find(query)
-        .sort({ createdTime: -1 })
+      const runs = await SyncRun.find(query)
+        .sort({ startedAt: -1 })
         .limit(limit * 1)
         .skip((page - 1) * limit)
+        .populate('form', 'formName pageName')
+        .lean();
+
+      const count = await SyncRun.countDocuments(query);
+
+      res.json({
+        success: true,
+        data: runs,
+        totalPages: Math.ceil(count / limit),
+        currentPage: page,
+        total: count
+      });
+    } catch (error) {
+      console.error('Error fetching sync runs:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch sync runs'
+      });
+    }
+  }
+
+  /**
+   * Get all Facebook leads with pagination and enhanced filtering
+   */
+  async getLeads(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array()
+        });
+      }
+
+      const { page = 1, limit = 10, before, beforeId } = req.query;
+      const query = await this.leadFilters(req);
+
+      // With a cursor, the leads after a card already loaded, newest first.
+      // Unlike pages, they don't shift when leads before them move away.
+      if (before) {
+        const createdTime = new Date(before);
+        query.$and = [...(query.$and || []), {
+          $or: [
+            { createdTime: { $lt: createdTime } },
+            ...(beforeId ? [{ createdTime, _id: { $lt: new mongoose.Types.ObjectId(beforeId) } }] : [])
+          ]
+        }];
+      }
+
+      const find = Lead.find(query)
+        .sort(before ? LEAD_SORTS['-createdTime'] : this.leadSort(req.query.sort, query))
+        .limit(limit * 1)
+        .skip(before ? 0 : (page - 1) * limit)
         .lean();
 
+      // Timeline notes are only needed to say where a search matched
+      if (query.$text) {
+        find.select('+noteText');
+      }
+
+      const leads = await find;
+
       const count = await Lead.countDocuments(query);
 
+      // Say where each lead matched the search, for the list to highlight
+      if (req.query.search) {
+        leads.forEach(lead => {
+          lead.searchMatch = leadSearchService.findMatch(lead, req.query.search);
+          delete lead.noteText;
+        });
+      }
+
       res.json({
         success: true,
         data: leads,
@@ -247,26 +500,192 @@ class FacebookLeadController {
     }
   }
 
+  /**
+   * Count a pipeline's leads in each stage, with the same filters as the
+   * lead list. Uses the default pipeline when none is given.
+   */
+  async getStageCounts(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array()
+        });
+      }
+
+      const pipeline = req.query.pipelineId
+        ? await pipelineService.findPipeline(req.organizationId, req.query.pipelineId)
+        : await pipelineService.getDefaultPipeline(req.organizationId);
+
+      if (!pipeline) {
+        return res.status(404).json({
+          success: false,
+          error: 'Pipeline not found'
+        });
+      }
+
+      const query = await this.leadFilters(req);
+      query.pipelineId = pipeline._id;
+
+      const counts = await Promise.all(
+        pipeline.stages.map(stage => Lead.countDocuments({ ...query, status: stage.key }))
+      );
+
+      res.json({
+        success: true,
+        data: Object.fromEntries(pipeline.stages.map((stage, i) => [stage.key, counts[i]]))
+      });
+    } catch (error) {
+      console.error('Error counting leads by stage:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to count leads'
+      });
+    }
+  }
+
+  /**
+   * Median time to first contact and SLA breaches, overall, per agent and per
+   * form, for leads created in the last 30 days unless dates are given
+   */
+  async getSlaSummary(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array()
+        });
+      }
+
+      const query = await this.leadFilters(req);
+
+      if (!query.createdTime) {
+        query.createdTime = { $gte: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000) };
+      }
+
+      await req.organization.populate('members.user', 'name');
+      const summary = await slaService.getSummary(query, req.organization);
+
+      res.json({
+        success: true,
+        data: summary
+      });
+    } catch (error) {
+      console.error('Error building SLA summary:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to build SLA summary'
+      });
+    }
+  }
+
+  /**
+   * Add a lead by hand, or from another system through the API. Agents'
+   * leads are theirs; others are routed unless an owner is picked.
+   */
+  async createLead(req, res) {
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array()
+        });
+      }
+
+      const { source = 'manual', externalId, client, pipelineId, status, tags, customFields } = req.body;
+      let { assignedTo } = req.body;
+
+      if (assignedTo && !hasPermission(req.role, 'leads:assign')) {
+        return res.status(403).json({
+          success: false,
+          error: 'You don\'t have permission to assign leads'
+        });
+      }
+      if (assignedTo && !req.organization.getMember(assignedTo)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Leads can only be assigned to members of this organization'
+        });
+      }
+      if (!hasPermission(req.role, 'leads:read_all')) {
+        assignedTo = req.userId;
+      }
+
+      const pipeline = pipelineId
+        ? await pipelineService.findPipeline(req.organizationId, pipelineId)
+        : await pipelineService.getDefaultPipeline(req.organizationId);
+
+      if (!pipeline) {
+        return res.status(400).json({
+          success: false,
+          error: 'Pipeline not found'
+        });
+      }
+      if (status && !pipeline.stages.some(stage => stage.key === status)) {
+        return res.status(400).json({
+          success: false,
+          error: `Status must be a stage of ${pipeline.name}`
+        });
+      }
+
+      const fields = await customFieldService.getFields(req.organizationId);
+      const { values, errors: valueErrors } = customFieldService.coerceValues(fields, customFields || {});
+
+      if (valueErrors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: valueErrors.join('; ')
+        });
+      }
+
+      // Only the attributes sent are set, so an API lead sent again keeps
+      // the ones it leaves out
+      const attributes = {};
+      ['fullName', 'firstName', 'lastName', 'email', 'phone', 'city'].forEach(attribute => {
+        if (req.body[attribute] !== undefined) {
+          attributes[attribute] = req.body[attribute] || null;
+        }
+      });
+      if (!attributes.fullName && (attributes.firstName || attributes.lastName)) {
+        attributes.fullName = [attributes.firstName, attributes.lastName].filter(Boolean).join(' ');
+      }
+
+      const { lead: saved, inserted } = await leadIngestService.ingest({
+        ...attributes,
+        source,
+        provenance: { externalId, client },
+        userId: req.userId,
+        organizationId: req.organizationId,
+        pipelineId: pipeline._id,
+        status,
+        assignedTo,
+        customFields: values,
+        tags: await tagService.resolveNames(req.organizationId, tags || [])
+      });
+
+      res.status(inserted ? 201 : 200).json({
+        success: true,
+        data: saved
+      });
+    } catch (error) {
+      console.error('Error creating lead:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to create lead'
+      });
+    }
+  }
+
   /**
    * Get a specific Facebook lead by ID
    */
   async getLead(req, res) {
     try {
-      const userId = req.userId;
-      const leadId = req.params.id;
-      
-      // Create a query that safely checks for either MongoDB ObjectId or Facebook leadId
-      let query = { userId };
-      
-      // Check if the ID is a valid MongoDB ObjectId
-      if (mongoose.Types.ObjectId.isValid(leadId)) {
-        query._id = leadId;
-      } else {
-        // If not a valid ObjectId, search by leadId instead
-        query.leadId = leadId;
-      }
-      
-      const lead = await Lead.findOne(query).lean();
+      const lead = await Lead.findOne(this.leadQuery(req)).lean();
       
       if (!lead) {
         return res.status(404).json({
@@ -289,30 +708,14 @@ class FacebookLeadController {
   }
 
   /**
-   * Updates a lead's status
+   * Updates a lead's stage, optionally moving it to another pipeline. The
+   * change, and any notes sent with it, are added to the lead's timeline.
    */
   async updateLeadStatus(req, res) {
     try {
-      const userId = req.userId;
-      const leadId = req.params.id;
-      const { status, notes } = req.body;
+      const { status, pipelineId, notes } = req.body;
 
-      // Create a query that safely checks for either MongoDB ObjectId or Facebook leadId
-      let query = { userId };
-      
-      // Check if the ID is a valid MongoDB ObjectId
-      if (mongoose.Types.ObjectId.isValid(leadId)) {
-        query._id = leadId;
-      } else {
-        // If not a valid ObjectId, search by leadId instead
-        query.leadId = leadId;
-      }
-
-      const lead = await Lead.findOneAndUpdate(
-        query,
-        { status, notes },
-        { new: true }
-      );
+      const lead = await Lead.findOne(this.leadQuery(req));
 
       if (!lead) {
         return res.status(404).json({
@@ -321,6 +724,67 @@ class FacebookLeadController {
         });
       }
 
+      const previousPipeline = await pipelineService.getLeadPipeline(lead);
+      const previousStatus = lead.status;
+      let pipeline = previousPipeline;
+
+      if (pipelineId && String(pipelineId) !== String(previousPipeline._id)) {
+        pipeline = await pipelineService.findPipeline(req.organizationId, pipelineId);
+
+        if (!pipeline) {
+          return res.status(400).json({
+            success: false,
+            error: 'Pipeline not found'
+          });
+        }
+      }
+
+      // A lead moved to another pipeline without a stage starts at its first stage
+      const nextStatus = status !== undefined
+        ? status
+        : pipeline.getStage(previousStatus) ? previousStatus : pipeline.stages[0].key;
+      const stage = pipeline.getStage(nextStatus);
+
+      if (!stage) {
+        return res.status(400).json({
+          success: false,
+          error: `Status must be one of: ${pipeline.stages.map(s => s.key).join(', ')}`
+        });
+      }
+
+      const switching = String(pipeline._id) !== String(previousPipeline._id);
+      const changed = switching || nextStatus !== previousStatus;
+
+      // Leaving the first stage for the first time is the first contact, for speed-to-lead
+      if (changed && !lead.firstContactedAt && previousStatus === previousPipeline.stages[0].key) {
+        lead.firstContactedAt = new Date();
+      }
+
+      // Leads from before pipelines get pinned to theirs on their first update
+      if (changed || !lead.pipelineId) {
+        lead.pipelineId = pipeline._id;
+        lead.status = nextStatus;
+        await lead.save();
+      }
+
+      if (changed) {
+        await activityService.log(lead, 'status_change', {
+          author: req.userId,
+          data: {
+            from: previousStatus,
+            to: nextStatus,
+            fromName: previousPipeline.getStage(previousStatus)?.name || previousStatus,
+            toName: stage.name,
+            ...(switching && { fromPipeline: previousPipeline.name, toPipeline: pipeline.name })
+          }
+        });
+      }
+
+      // Notes used to overwrite each other; each one is now its own timeline entry
+      if (typeof notes === 'string' && notes.trim()) {
+        await activityService.log(lead, 'note', { author: req.userId, body: notes });
+      }
+
       res.json({
         success: true,
         data: lead
@@ -334,40 +798,462 @@ class FacebookLeadController {
   }
   
   /**
-   * Export leads to CSV with enhanced fields
+   * Assign a lead to an organization member, or unassign it
    */
-  async exportLeads(req, res) {
+  async assignLead(req, res) {
     try {
-      const userId = req.userId;
-      const { formId, pageId, startDate, endDate, status } = req.query;
-      
-      // Build query
-      const query = { userId };
-      
-      // Add form filter if provided
-      if (formId) {
-        query.formId = formId;
+      const { userId } = req.body;
+
+      if (userId && !req.organization.getMember(userId)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Leads can only be assigned to members of this organization'
+        });
       }
-      
-      // Add page filter if provided
-      if (pageId) {
-        query.pageId = pageId;
+
+      const previous = await Lead.findOneAndUpdate(
+        this.leadQuery(req),
+        { assignedTo: userId || null, assignedAt: userId ? new Date() : null, routingRule: null }
+      );
+
+      if (!previous) {
+        return res.status(404).json({
+          success: false,
+          error: 'Lead not found'
+        });
       }
-      
-      // Add date range filter if provided
-      if (startDate || endDate) {
-        query.createdTime = {};
-        if (startDate) query.createdTime.$gte = new Date(startDate);
-        if (endDate) query.createdTime.$lte = new Date(endDate);
+
+      const lead = await Lead.findById(previous._id);
+
+      if (String(previous.assignedTo || '') !== String(lead.assignedTo || '')) {
+        await activityService.log(lead, 'assignment', {
+          author: req.userId,
+          data: { from: previous.assignedTo, to: lead.assignedTo }
+        });
       }
-      
-      // Add status filter if provided
-      if (status) {
-        query.status = status;
+
+      res.json({
+        success: true,
+        data: lead
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get a lead's activity timeline, oldest first
+   */
+  async getActivities(req, res) {
+    try {
+      const lead = await Lead.findOne(this.leadQuery(req));
+
+      if (!lead) {
+        return res.status(404).json({
+          success: false,
+          error: 'Lead not found'
+        });
+      }
+
+      const activities = await activityService.getTimeline(lead);
+
+      res.json({
+        success: true,
+        data: activities
+      });
+    } catch (error) {
+      console.error('Error fetching lead activities:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch lead activities'
+      });
+    }
+  }
+
+  /**
+   * Log a note, call or email on a lead's timeline
+   */
+  async addActivity(req, res) {
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array()
+        });
+      }
+
+      const lead = await Lead.findOne(this.leadQuery(req));
+
+      if (!lead) {
+        return res.status(404).json({
+          success: false,
+          error: 'Lead not found'
+        });
+      }
+
+      const activity = await activityService.log(lead, req.body.type, {
+        author: req.userId,
+        body: req.body.body
+      });
+      await activity.populate('author', 'name email');
+
+      res.status(201).json({
+        success: true,
+        data: activity
+      });
+    } catch (error) {
+      console.error('Error adding lead activity:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to add lead activity'
+      });
+    }
+  }
+
+  /**
+   * Set a lead's custom field values; null clears a field
+   */
+  async updateCustomFields(req, res) {
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array()
+        });
+      }
+
+      const lead = await Lead.findOne(this.leadQuery(req));
+
+      if (!lead) {
+        return res.status(404).json({
+          success: false,
+          error: 'Lead not found'
+        });
+      }
+
+      const fields = await customFieldService.getFields(req.organizationId);
+      const { values, errors: valueErrors } = customFieldService.coerceValues(fields, req.body.customFields);
+
+      if (valueErrors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: valueErrors.join('; ')
+        });
+      }
+
+      const customFields = { ...lead.customFields };
+      Object.entries(values).forEach(([key, value]) => {
+        if (value === null) {
+          delete customFields[key];
+        } else {
+          customFields[key] = value;
+        }
+      });
+
+      lead.customFields = customFields;
+      lead.markModified('customFields');
+      await lead.save();
+
+      res.json({
+        success: true,
+        data: lead
+      });
+    } catch (error) {
+      console.error('Error updating lead custom fields:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update custom fields'
+      });
+    }
+  }
+
+  /**
+   * Set a lead's tags; new names become workspace tags
+   */
+  async updateTags(req, res) {
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array()
+        });
+      }
+
+      const lead = await Lead.findOne(this.leadQuery(req));
+
+      if (!lead) {
+        return res.status(404).json({
+          success: false,
+          error: 'Lead not found'
+        });
+      }
+
+      lead.tags = await tagService.resolveNames(req.organizationId, req.body.tags);
+      await lead.save();
+
+      res.json({
+        success: true,
+        data: lead
+      });
+    } catch (error) {
+      console.error('Error updating lead tags:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update tags'
+      });
+    }
+  }
+
+  /**
+   * Get the other leads of the same person, and the leads merged into this one
+   */
+  async getDuplicates(req, res) {
+    try {
+      const lead = await Lead.findOne(this.leadQuery(req));
+
+      if (!lead) {
+        return res.status(404).json({
+          success: false,
+          error: 'Lead not found'
+        });
+      }
+
+      const duplicates = await contactService.getDuplicates(lead, this.leadScope(req));
+
+      res.json({
+        success: true,
+        data: duplicates
+      });
+    } catch (error) {
+      console.error('Error fetching duplicate leads:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch duplicate leads'
+      });
+    }
+  }
+
+  /**
+   * Merge duplicate leads into a lead, moving their notes and activities onto it
+   */
+  async mergeLeads(req, res) {
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array()
+        });
+      }
+
+      const lead = await Lead.findOne(this.leadQuery(req));
+
+      if (!lead) {
+        return res.status(404).json({
+          success: false,
+          error: 'Lead not found'
+        });
+      }
+
+      if (lead.mergedInto) {
+        return res.status(400).json({
+          success: false,
+          error: 'This lead has been merged into another lead'
+        });
+      }
+
+      const leadIds = [...new Set(req.body.leadIds.map(String))];
+
+      if (leadIds.includes(String(lead._id))) {
+        return res.status(400).json({
+          success: false,
+          error: 'A lead cannot be merged into itself'
+        });
+      }
+
+      const duplicates = await Lead.find({ ...this.leadScope(req), _id: { $in: leadIds }, mergedInto: null });
+
+      if (duplicates.length !== leadIds.length) {
+        return res.status(400).json({
+          success: false,
+          error: 'Only unmerged leads of this organization can be merged'
+        });
+      }
+
+      // Notes from before timelines move first; each move stands on its own
+      for (const duplicate of duplicates) {
+        await activityService.migrateLegacyNote(duplicate);
+      }
+
+      // All of the merge happens, or none of it
+      await bulkLeadService.inTransaction(session => contactService.mergeLeads(lead, duplicates, req.userId, session));
+
+      res.json({
+        success: true,
+        data: await contactService.getDuplicates(lead, this.leadScope(req))
+      });
+    } catch (error) {
+      console.error('Error merging leads:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to merge leads'
+      });
+    }
+  }
+
+  /**
+   * Split a merged lead back off, with its notes and activities
+   */
+  async unmergeLead(req, res) {
+    try {
+      const lead = await Lead.findOne(this.leadQuery(req));
+
+      if (!lead) {
+        return res.status(404).json({
+          success: false,
+          error: 'Lead not found'
+        });
+      }
+
+      const duplicate = mongoose.Types.ObjectId.isValid(req.params.mergedId)
+        ? await Lead.findOne({ ...this.leadScope(req), _id: req.params.mergedId, mergedInto: lead._id })
+        : null;
+
+      if (!duplicate) {
+        return res.status(404).json({
+          success: false,
+          error: 'Merged lead not found'
+        });
+      }
+
+      await bulkLeadService.inTransaction(session => contactService.unmergeLead(lead, duplicate, req.userId, session));
+
+      res.json({
+        success: true,
+        data: await contactService.getDuplicates(lead, this.leadScope(req))
+      });
+    } catch (error) {
+      console.error('Error unmerging lead:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to unmerge lead'
+      });
+    }
+  }
+
+  /**
+   * Build the CSV export of leads
+   * @param {Object} req - Express request object
+   * @param {Array} leads - Lean lead documents, in export order
+   * @returns {Promise<string>} CSV text
+   */
+  async buildCsv(req, leads) {
+    // Older leads may still have their notes on the lead itself
+    const latestNotes = await activityService.getLatestNotes(leads.map(lead => lead._id));
+
+    // Export stage names rather than keys
+    const pipelines = await pipelineService.getPipelines(req.organizationId);
+    const defaultPipeline = pipelines.find(pipeline => pipeline.isDefault);
+    const stageName = (lead) => {
+      const pipeline = pipelines.find(p => String(p._id) === String(lead.pipelineId)) || defaultPipeline;
+      return pipeline.getStage(lead.status)?.name || lead.status;
+    };
+
+    // One column per custom field, after the standard ones
+    const customFields = await customFieldService.getFields(req.organizationId);
+    
+    // Generate CSV header with enhanced fields
+    const csvHeader = [
+      'Lead ID',
+      'Form ID',
+      'Form Name',
+      'Page ID',
+      'Page Name',
+      'Full Name',
+      'Email',
+      'Phone',
+      'Phone (E.164)',
+      'Created Time',
+      'Status',
+      'Score',
+      'Campaign',
+      'Ad Set',
+      'Ad',
+      'Tags',
+      'Source',
+      'Notes',
+      // Field names are the workspace's own, so they may need quoting
+      ...customFields.map(field => `"${field.name.replace(/"/g, '""')}"`)
+    ].join(',');
+    
+    // Generate CSV rows
+    const csvRows = leads.map(lead => {
+      return [
+        lead.leadId,
+        lead.formId || '',
+        lead.formName || '',
+        lead.pageId || '',
+        lead.pageName || '',
+        lead.fullName || '',
+        lead.email || '',
+        lead.phone || '',
+        lead.phoneE164 || '',
+        lead.createdTime ? new Date(lead.createdTime).toISOString() : '',
+        stageName(lead),
+        lead.score ?? 0,
+        lead.rawData?.campaignName || '',
+        lead.rawData?.adsetName || '',
+        lead.rawData?.adName || '',
+        (lead.tags || []).join(', '),
+        getSourceLabel(lead.source),
+        latestNotes.get(lead._id.toString()) || lead.notes || '',
+        ...customFields.map(field => customFieldService.formatValue(field, lead.customFields?.[field.key]))
+      ].map(field => `"${String(field).replace(/"/g, '""')}"`).join(',');
+    });
+    
+    // Combine header and rows
+    return [csvHeader, ...csvRows].join('\n');
+  }
+
+  /**
+   * Send a CSV export as a download
+   * @param {Object} res - Express response object
+   * @param {string} csv - CSV text
+   */
+  sendCsv(res, csv) {
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename=leads-${new Date().toISOString().split('T')[0]}.csv`);
+    res.send(csv);
+  }
+
+  /**
+   * Export leads to CSV with enhanced fields
+   */
+  async exportLeads(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array()
+        });
       }
 
+      // Export what the table shows
+      const query = await this.leadFilters(req);
+
       const leads = await Lead.find(query)
-        .sort({ createdTime: -1 })
+        .sort(this.leadSort(req.query.sort, query))
         .lean();
         
       if (leads.length === 0) {
@@ -376,54 +1262,8 @@ class FacebookLeadController {
           error: 'No leads found matching the criteria'
         });
       }
-      
-      // Generate CSV header with enhanced fields
-      const csvHeader = [
-        'Lead ID',
-        'Form ID',
-        'Form Name',
-        'Page ID',
-        'Page Name',
-        'Full Name',
-        'Email',
-        'Phone',
-        'Created Time',
-        'Status',
-        'Campaign',
-        'Ad Set',
-        'Ad',
-        'Notes'
-      ].join(',');
-      
-      // Generate CSV rows
-      const csvRows = leads.map(lead => {
-        return [
-          lead.leadId,
-          lead.formId,
-          lead.formName || '',
-          lead.pageId || '',
-          lead.pageName || '',
-          lead.fullName || '',
-          lead.email || '',
-          lead.phone || '',
-          lead.createdTime ? new Date(lead.createdTime).toISOString() : '',
-          lead.status || 'new',
-          lead.rawData?.campaignName || '',
-          lead.rawData?.adsetName || '',
-          lead.rawData?.adName || '',
-          lead.notes || ''
-        ].map(field => `"${String(field).replace(/"/g, '""')}"`).join(',');
-      });
-      
-      // Combine header and rows
-      const csv = [csvHeader, ...csvRows].join('\n');
-      
-      // Set headers for CSV download
-      res.setHeader('Content-Type', 'text/csv');
-      res.setHeader('Content-Disposition', `attachment; filename=leads-${new Date().toISOString().split('T')[0]}.csv`);
-      
-      // Send CSV
-      res.send(csv);
+
+      this.sendCsv(res, await this.buildCsv(req, leads));
     } catch (error) {
       console.error('Error exporting leads:', error);
       res.status(500).json({
@@ -432,6 +1272,121 @@ class FacebookLeadController {
       });
     }
   }
+
+  /**
+   * Change, archive, delete or export many leads at once: the ones picked by
+   * ID, or every lead matching the list filters. Changes are made in one
+   * transaction, and the report says what happened to each lead. Exports
+   * send the CSV instead.
+   */
+  async bulkLeads(req, res) {
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array()
+        });
+      }
+
+      const { action, leadIds, filters, status, pipelineId, userId } = req.body;
+
+      if (!hasPermission(req.role, bulkLeadService.ACTIONS[action])) {
+        return res.status(403).json({
+          success: false,
+          error: `Your role (${req.role || 'none'}) does not allow this action`
+        });
+      }
+
+      if (action === 'assign' && userId && !req.organization.getMember(userId)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Leads can only be assigned to members of this organization'
+        });
+      }
+
+      if (action === 'status' && pipelineId && !await pipelineService.findPipeline(req.organizationId, pipelineId)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Pipeline not found'
+        });
+      }
+
+      // Tags as the workspace spells them, adding new ones
+      const tags = action === 'tag'
+        ? await tagService.resolveNames(req.organizationId, req.body.tags || [])
+        : [];
+
+      if (action === 'tag' && tags.length === 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Tags are required'
+        });
+      }
+
+      // Picked leads, or all leads matching the filters ("select all")
+      const params = bulkFilters(filters);
+      const query = leadIds
+        ? { ...this.leadScope(req), _id: { $in: leadIds }, mergedInto: null }
+        : await this.leadFilters(req, params);
+
+      const total = await Lead.countDocuments(query);
+
+      if (total > bulkLeadService.MAX_LEADS) {
+        return res.status(400).json({
+          success: false,
+          error: `Bulk actions cover up to ${bulkLeadService.MAX_LEADS} leads at a time; ${total} match`
+        });
+      }
+
+      const leads = await Lead.find(query)
+        .sort(this.leadSort(params.sort, query))
+        .lean();
+
+      if (action === 'export') {
+        if (leads.length === 0) {
+          return res.status(404).json({
+            success: false,
+            error: 'No leads found matching the criteria'
+          });
+        }
+
+        return this.sendCsv(res, await this.buildCsv(req, leads));
+      }
+
+      let results = await bulkLeadService.run(leads, action, { status, pipelineId, userId, tags }, {
+        organizationId: req.organizationId,
+        userId: req.userId
+      });
+
+      // Report picked leads in the order they were sent, including ones that
+      // don't exist or that the member can't see
+      if (leadIds) {
+        const byId = new Map(results.map(result => [String(result.leadId), result]));
+
+        results = [...new Set(leadIds.map(String))].map(id => byId.get(id)
+          || { leadId: id, name: null, success: false, changed: false, error: 'Lead not found' });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          action,
+          total: results.length,
+          succeeded: results.filter(result => result.success).length,
+          failed: results.filter(result => !result.success).length,
+          results
+        }
+      });
+    } catch (error) {
+      console.error('Error running bulk lead action:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to run bulk action'
+      });
+    }
+  }
 }
 
 // Create and export a singleton instance
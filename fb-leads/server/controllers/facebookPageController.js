@@ -1,9 +1,8 @@
-const User = require('../models/User');
 const Form = require('../models/Form');
-const axios = require('axios');
+const { graphClient } = require('../services/graphClient');
 
 // @route   GET /api/facebook/pages
-// @desc    Get all pages a user manages
+// @desc    Get all pages the organization's app manages
 // @access  Private
 const getUserPages = async (req, res) => {
   try {
@@ -15,28 +14,23 @@ const getUserPages = async (req, res) => {
       return res.status(400).json({ success: false, error: 'App ID is required' });
     }
 
-    // Find user and the specific app
-    const user = await User.findById(req.userId);
-    console.log('User found:', user ? user._id : 'Not found');
+    // Apps belong to the organization
+    const organization = req.organization;
 
-    if (!user || !user.facebookApps) {
-      return res.status(404).json({ success: false, error: 'User or apps not found' });
-    }
-
-    console.log('Available apps:', user.facebookApps.map(app => ({
+    console.log('Available apps:', organization.facebookApps.map(app => ({
       _id: app._id.toString(),
       appName: app.appName || 'Unnamed',
       appId: app.appId
     })));
 
     // Try to find the app by _id or by name
-    let app = user.facebookApps.find(app => app._id.toString() === appId);
+    let app = organization.facebookApps.find(app => app._id.toString() === appId);
     console.log('App found by ID match:', app ? 'Yes' : 'No');
     
     // If not found by ID, try by name (for backwards compatibility)
     if (!app && appId) {
       // Check for exact name match
-      app = user.facebookApps.find(app => 
+      app = organization.facebookApps.find(app => 
         (app.appName && app.appName.toLowerCase() === appId.toLowerCase()) ||
         (!app.appName && appId === 'Unnamed App')
       );
@@ -44,13 +38,13 @@ const getUserPages = async (req, res) => {
       
       // Special case for "Unnamed App" - find first app with null/undefined name
       if (!app && appId === 'Unnamed App') {
-        app = user.facebookApps.find(app => !app.appName);
+        app = organization.facebookApps.find(app => !app.appName);
         console.log('App found by "Unnamed App" special case:', app ? 'Yes' : 'No');
       }
       
       // Last resort - just use the first app if available
-      if (!app && user.facebookApps.length > 0) {
-        app = user.facebookApps[0];
+      if (!app && organization.facebookApps.length > 0) {
+        app = organization.facebookApps[0];
         console.log('Using first available app as fallback');
       }
     }
@@ -71,15 +65,16 @@ const getUserPages = async (req, res) => {
     // Get pages from Facebook
     try {
       console.log(`Fetching pages with access token from app: ${app.appName || 'Unknown app'}`);
-      const response = await axios.get(
-        `https://graph.facebook.com/v18.0/me/accounts?access_token=${app.accessToken}&fields=id,name,category,access_token`
-      );
+      const response = await graphClient.get('me/accounts', {
+        access_token: app.accessToken,
+        fields: 'id,name,category,access_token'
+      });
 
-      if (!response.data || !response.data.data) {
+      if (!response || !response.data) {
         return res.status(400).json({ success: false, error: 'Failed to fetch pages' });
       }
 
-      const pages = response.data.data.map(page => ({
+      const pages = response.data.map(page => ({
         pageId: page.id,
         name: page.name,
         category: page.category,
@@ -125,28 +120,23 @@ const getPageForms = async (req, res) => {
       return res.status(400).json({ success: false, error: 'Page ID and App ID are required' });
     }
 
-    // Find user and the specific app
-    const user = await User.findById(req.userId);
-    console.log('User found:', user ? user._id : 'Not found');
+    // Apps belong to the organization
+    const organization = req.organization;
 
-    if (!user || !user.facebookApps) {
-      return res.status(404).json({ success: false, error: 'User or apps not found' });
-    }
-
-    console.log('Available apps:', user.facebookApps.map(app => ({
+    console.log('Available apps:', organization.facebookApps.map(app => ({
       _id: app._id.toString(),
       appName: app.appName || 'Unnamed',
       appId: app.appId
     })));
 
     // Try to find the app by _id or by name
-    let app = user.facebookApps.find(app => app._id.toString() === appId);
+    let app = organization.facebookApps.find(app => app._id.toString() === appId);
     console.log('App found by ID match:', app ? 'Yes' : 'No');
     
     // If not found by ID, try by name (for backwards compatibility)
     if (!app && appId) {
       // Check for exact name match
-      app = user.facebookApps.find(app => 
+      app = organization.facebookApps.find(app => 
         (app.appName && app.appName.toLowerCase() === appId.toLowerCase()) ||
         (!app.appName && appId === 'Unnamed App')
       );
@@ -154,13 +144,13 @@ const getPageForms = async (req, res) => {
       
       // Special case for "Unnamed App" - find first app with null/undefined name
       if (!app && appId === 'Unnamed App') {
-        app = user.facebookApps.find(app => !app.appName);
+        app = organization.facebookApps.find(app => !app.appName);
         console.log('App found by "Unnamed App" special case:', app ? 'Yes' : 'No');
       }
       
       // Last resort - just use the first app if available
-      if (!app && user.facebookApps.length > 0) {
-        app = user.facebookApps[0];
+      if (!app && organization.facebookApps.length > 0) {
+        app = organization.facebookApps[0];
         console.log('Using first available app as fallback');
       }
     }
@@ -181,15 +171,16 @@ const getPageForms = async (req, res) => {
     // Get page access token
     try {
       console.log(`Fetching pages for app: ${app.appName || 'Unknown app'}`);
-      const pagesResponse = await axios.get(
-        `https://graph.facebook.com/v18.0/me/accounts?access_token=${app.accessToken}&fields=id,access_token`
-      );
+      const pagesResponse = await graphClient.get('me/accounts', {
+        access_token: app.accessToken,
+        fields: 'id,access_token'
+      });
 
-      if (!pagesResponse.data || !pagesResponse.data.data) {
+      if (!pagesResponse || !pagesResponse.data) {
         return res.status(400).json({ success: false, error: 'Failed to fetch pages' });
       }
 
-      const page = pagesResponse.data.data.find(p => p.id === pageId);
+      const page = pagesResponse.data.find(p => p.id === pageId);
 
       if (!page) {
         return res.status(404).json({ 
@@ -200,15 +191,15 @@ const getPageForms = async (req, res) => {
 
       // Get forms for the page
       console.log(`Fetching forms for page: ${pageId}`);
-      const formsResponse = await axios.get(
-        `https://graph.facebook.com/v18.0/${pageId}/leadgen_forms?access_token=${page.access_token}`
-      );
+      const formsResponse = await graphClient.get(`${pageId}/leadgen_forms`, {
+        access_token: page.access_token
+      });
 
-      if (!formsResponse.data || !formsResponse.data.data) {
+      if (!formsResponse || !formsResponse.data) {
         return res.json({ success: true, data: [] });
       }
 
-      const forms = formsResponse.data.data.map(form => ({
+      const forms = formsResponse.data.map(form => ({
         formId: form.id,
         name: form.name,
         status: form.status,
@@ -242,7 +233,7 @@ const getPageForms = async (req, res) => {
 };
 
 // @route   GET /api/facebook/discover
-// @desc    Discover and save all forms for a user
+// @desc    Discover and save all forms for the organization
 // @access  Private
 const discoverForms = async (req, res) => {
   try {
@@ -254,28 +245,23 @@ const discoverForms = async (req, res) => {
       return res.status(400).json({ success: false, error: 'App ID is required' });
     }
 
-    // Find user and the specific app
-    const user = await User.findById(req.userId);
-    console.log('User found:', user ? user._id : 'Not found');
-
-    if (!user || !user.facebookApps) {
-      return res.status(404).json({ success: false, error: 'User or apps not found' });
-    }
+    // Apps belong to the organization
+    const organization = req.organization;
 
-    console.log('Available apps:', user.facebookApps.map(app => ({
+    console.log('Available apps:', organization.facebookApps.map(app => ({
       _id: app._id.toString(),
       appName: app.appName || 'Unnamed',
       appId: app.appId
     })));
 
     // Try to find the app by _id or by name
-    let app = user.facebookApps.find(app => app._id.toString() === appId);
+    let app = organization.facebookApps.find(app => app._id.toString() === appId);
     console.log('App found by ID match:', app ? 'Yes' : 'No');
     
     // If not found by ID, try by name (for backwards compatibility)
     if (!app && appId) {
       // Check for exact name match
-      app = user.facebookApps.find(app => 
+      app = organization.facebookApps.find(app => 
         (app.appName && app.appName.toLowerCase() === appId.toLowerCase()) ||
         (!app.appName && appId === 'Unnamed App')
       );
@@ -283,13 +269,13 @@ const discoverForms = async (req, res) => {
       
       // Special case for "Unnamed App" - find first app with null/undefined name
       if (!app && appId === 'Unnamed App') {
-        app = user.facebookApps.find(app => !app.appName);
+        app = organization.facebookApps.find(app => !app.appName);
         console.log('App found by "Unnamed App" special case:', app ? 'Yes' : 'No');
       }
       
       // Last resort - just use the first app if available
-      if (!app && user.facebookApps.length > 0) {
-        app = user.facebookApps[0];
+      if (!app && organization.facebookApps.length > 0) {
+        app = organization.facebookApps[0];
         console.log('Using first available app as fallback');
       }
     }
@@ -311,15 +297,16 @@ const discoverForms = async (req, res) => {
     let allPages = [];
     try {
       console.log(`Discovering forms for app: ${app.appName || 'Unknown app'} with token: ${app.accessToken.substring(0, 10)}...`);
-      const response = await axios.get(
-        `https://graph.facebook.com/v18.0/me/accounts?access_token=${app.accessToken}&fields=id,name,category,access_token`
-      );
+      const response = await graphClient.get('me/accounts', {
+        access_token: app.accessToken,
+        fields: 'id,name,category,access_token'
+      });
 
-      if (!response.data || !response.data.data) {
+      if (!response || !response.data) {
         return res.status(400).json({ success: false, error: 'Failed to fetch pages' });
       }
 
-      allPages = response.data.data;
+      allPages = response.data;
       console.log(`Found ${allPages.length} total pages`);
     } catch (error) {
       console.error('Facebook API error:', error.response?.data || error.message);
@@ -365,35 +352,36 @@ const discoverForms = async (req, res) => {
     for (const page of pages) {
       try {
         console.log(`Fetching forms for page ${page.name} (${page.id})`);
-        const formsResponse = await axios.get(
-          `https://graph.facebook.com/v18.0/${page.id}/leadgen_forms?access_token=${page.access_token}`
-        );
+        const formsResponse = await graphClient.get(`${page.id}/leadgen_forms`, {
+          access_token: page.access_token
+        });
 
-        if (formsResponse.data && formsResponse.data.data) {
-          const forms = formsResponse.data.data;
+        if (formsResponse && formsResponse.data) {
+          const forms = formsResponse.data;
           totalForms += forms.length;
           console.log(`Found ${forms.length} forms for page ${page.name}`);
 
           // Save each form to database
           for (const form of forms) {
-            // Check if form already exists
+            // Check if form already exists in the organization
             const existingForm = await Form.findOne({ 
               formId: form.id,
-              userId: req.userId
+              organizationId: req.organizationId
             });
 
             if (!existingForm) {
               // Get form details
-              const formDetailsResponse = await axios.get(
-                `https://graph.facebook.com/v18.0/${form.id}?access_token=${page.access_token}&fields=name,status,page,created_time`
-              );
+              const formDetails = await graphClient.get(form.id, {
+                access_token: page.access_token,
+                fields: 'name,status,page,created_time'
+              });
 
-              const formDetails = formDetailsResponse.data;
               console.log(`Saving new form: ${formDetails.name} (${form.id})`);
 
               // Create new form
               const newForm = new Form({
                 userId: req.userId,
+                organizationId: req.organizationId,
                 formId: form.id,
                 formName: formDetails.name,
                 pageId: page.id,
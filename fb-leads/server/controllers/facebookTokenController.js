@@ -1,7 +1,7 @@
 const { validationResult } = require('express-validator');
 const facebookTokenService = require('../services/facebookTokenService');
-const User = require('../models/User'); // Added missing import for User model
-const mongoose = require('mongoose'); // Added missing import for mongoose
+const mongoose = require('mongoose');
+const Organization = require('../models/Organization');
 
 /**
  * Save a Facebook access token
@@ -17,7 +17,6 @@ const saveToken = async (req, res) => {
       });
     }
 
-    const userId = req.userId;
     const { accessToken, appId, appName } = req.body;
 
     console.log('[saveToken] Received token save request with:', { 
@@ -33,16 +32,14 @@ const saveToken = async (req, res) => {
 
     console.log('[saveToken] Using app name:', finalAppName);
 
-    // Save token to user
-    const user = await facebookTokenService.saveUserToken(userId, {
+    // Save token to the organization
+    const { app: savedApp } = await facebookTokenService.saveOrganizationToken(req.organizationId, {
       accessToken,
       appId,
       appName: finalAppName,
       tokenType: 'short_lived'
     });
 
-    // Verify the app was saved with the correct name
-    const savedApp = user.facebookApps[user.facebookApps.length - 1];
     console.log('[saveToken] App saved with name:', savedApp.appName);
     
     // Check if the name was saved correctly
@@ -79,14 +76,13 @@ const exchangeToken = async (req, res) => {
       });
     }
 
-    const userId = req.userId;
     const { appId } = req.body;
 
-    // Get the user and their token
+    // Get the organization's token
     let accessToken;
     
     if (appId) {
-      const apps = await facebookTokenService.getUserApps(userId);
+      const apps = await facebookTokenService.getOrganizationApps(req.organizationId);
       const app = apps.find(app => app._id.toString() === appId);
       
       if (!app) {
@@ -99,7 +95,7 @@ const exchangeToken = async (req, res) => {
       accessToken = app.accessToken;
     } else {
       // Use the legacy token
-      const apps = await facebookTokenService.getUserApps(userId);
+      const apps = await facebookTokenService.getOrganizationApps(req.organizationId);
       const legacyApp = apps.find(app => app._id === 'legacy');
       
       if (!legacyApp) {
@@ -112,11 +108,11 @@ const exchangeToken = async (req, res) => {
       accessToken = legacyApp.accessToken;
     }
 
-    // Exchange the token - pass userId to use user-specific app credentials if available
-    const longLivedToken = await facebookTokenService.exchangeToken(accessToken, userId);
+    // Exchange the token - pass the organization to use its app credentials if available
+    const longLivedToken = await facebookTokenService.exchangeToken(accessToken, req.organizationId);
 
     // Save the long-lived token
-    await facebookTokenService.saveUserToken(userId, {
+    await facebookTokenService.saveOrganizationToken(req.organizationId, {
       accessToken: longLivedToken.accessToken,
       appId: appId || null,
       tokenType: 'long_lived',
@@ -151,36 +147,35 @@ const saveAppCredentials = async (req, res) => {
       });
     }
 
-    const userId = req.userId;
     const { facebookAppId, facebookAppSecret } = req.body;
 
-    // Find the user
-    const user = await User.findById(userId);
+    // Find the organization
+    const organization = await Organization.findById(req.organizationId);
     
-    if (!user) {
+    if (!organization) {
       return res.status(404).json({
         success: false,
-        error: 'User not found'
+        error: 'Organization not found'
       });
     }
 
     // Update app credentials
     if (facebookAppId !== undefined) {
-      user.facebookAppId = facebookAppId;
+      organization.facebookAppId = facebookAppId;
     }
     
     if (facebookAppSecret !== undefined) {
-      user.facebookAppSecret = facebookAppSecret;
+      organization.facebookAppSecret = facebookAppSecret;
     }
 
-    // Save the user
-    await user.save();
+    // Save the organization
+    await organization.save();
 
     res.status(200).json({
       success: true,
       message: 'Facebook App credentials saved successfully',
-      hasAppId: !!user.facebookAppId,
-      hasAppSecret: !!user.facebookAppSecret
+      hasAppId: !!organization.facebookAppId,
+      hasAppSecret: !!organization.facebookAppSecret
     });
   } catch (error) {
     console.error('Save app credentials error:', error);
@@ -196,23 +191,13 @@ const saveAppCredentials = async (req, res) => {
  */
 const getAppCredentials = async (req, res) => {
   try {
-    const userId = req.userId;
-
-    // Find the user
-    const user = await User.findById(userId);
-    
-    if (!user) {
-      return res.status(404).json({
-        success: false,
-        error: 'User not found'
-      });
-    }
+    const organization = req.organization;
 
     res.status(200).json({
       success: true,
-      hasAppId: !!user.facebookAppId,
-      hasAppSecret: !!user.facebookAppSecret,
-      facebookAppId: user.facebookAppId || ''
+      hasAppId: !!organization.facebookAppId,
+      hasAppSecret: !!organization.facebookAppSecret,
+      facebookAppId: organization.facebookAppId || ''
     });
   } catch (error) {
     console.error('Get app credentials error:', error);
@@ -224,14 +209,12 @@ const getAppCredentials = async (req, res) => {
 };
 
 /**
- * Get all Facebook apps for a user
+ * Get all Facebook apps for the organization
  */
 const getUserApps = async (req, res) => {
   try {
-    const userId = req.userId;
-
     // Get apps
-    const apps = await facebookTokenService.getUserApps(userId);
+    const apps = await facebookTokenService.getOrganizationApps(req.organizationId);
 
     // Mask the tokens for security
     const maskedApps = apps.map(app => ({
@@ -257,84 +240,23 @@ const getUserApps = async (req, res) => {
  */
 const deleteApp = async (req, res) => {
   try {
-    const userId = req.userId;
     const { appId } = req.params;
     
     console.log('[deleteApp] Delete app request received for appId:', appId);
     
     if (!appId || appId === 'undefined') {
-      console.log('[deleteApp] Invalid appId:', appId);
       return res.status(400).json({
         success: false,
         error: 'App ID is required'
       });
     }
 
-    // Get the user to verify they have this app
-    const user = await User.findById(userId);
-    if (!user) {
-      console.log('[deleteApp] User not found:', userId);
-      return res.status(404).json({
-        success: false,
-        error: 'User not found'
-      });
-    }
-    
-    // Check if the app exists
-    const appExists = user.facebookApps.some(app => app._id.toString() === appId);
-    console.log('[deleteApp] App exists by _id:', appExists);
-    
-    // Try multiple deletion approaches for maximum reliability
-    let deleted = false;
-    
-    // 1. First try the direct User model method
-    try {
-      console.log('[deleteApp] Trying User.deleteApp method');
-      deleted = await user.deleteApp(appId);
-      console.log('[deleteApp] User.deleteApp result:', deleted);
-    } catch (methodError) {
-      console.error('[deleteApp] Error using User.deleteApp method:', methodError);
-    }
-    
-    // 2. If that didn't work, try the service method
-    if (!deleted) {
-      try {
-        console.log('[deleteApp] Trying facebookTokenService.deleteUserApp method');
-        await facebookTokenService.deleteUserApp(userId, appId);
-        deleted = true;
-      } catch (serviceError) {
-        console.error('[deleteApp] Error using facebookTokenService:', serviceError);
-      }
-    }
-    
-    // 3. Last resort - direct MongoDB update
-    if (!deleted) {
-      try {
-        console.log('[deleteApp] Trying direct MongoDB update');
-        const result = await User.updateOne(
-          { _id: userId },
-          { $pull: { facebookApps: { _id: mongoose.Types.ObjectId(appId) } } }
-        );
-        console.log('[deleteApp] Direct MongoDB update result:', result);
-        deleted = result.modifiedCount > 0 || result.nModified > 0;
-      } catch (dbError) {
-        console.error('[deleteApp] Error with direct MongoDB update:', dbError);
-      }
-    }
-
-    // Verify the app was deleted
-    const updatedUser = await User.findById(userId);
-    const appStillExists = updatedUser.facebookApps.some(app => app._id.toString() === appId);
-    console.log('[deleteApp] App still exists after all deletion attempts:', appStillExists);
-    
-    if (appStillExists) {
-      console.log('[deleteApp] WARNING: App could not be deleted after multiple attempts');
-    }
+    const deleted = await facebookTokenService.deleteOrganizationApp(req.organizationId, appId);
 
     res.status(200).json({
       success: true,
       message: 'Facebook app deletion process completed',
-      deleted: !appStillExists
+      deleted
     });
   } catch (error) {
     console.error('[deleteApp] Error:', error);
@@ -350,10 +272,9 @@ const deleteApp = async (req, res) => {
  */
 const deleteAppDirect = async (req, res) => {
   try {
-    const userId = req.userId;
     const { appId } = req.params;
     
-    console.log('[deleteAppDirect] Starting with userId:', userId, 'appId:', appId);
+    console.log('[deleteAppDirect] Starting with organizationId:', req.organizationId, 'appId:', appId);
     
     if (!appId || appId === 'undefined') {
       return res.status(400).json({
@@ -362,23 +283,18 @@ const deleteAppDirect = async (req, res) => {
       });
     }
 
-    // Use direct MongoDB update to remove the app
-    const result = await User.updateOne(
-      { _id: userId },
-      { $pull: { facebookApps: { _id: mongoose.Types.ObjectId(appId) } } }
+    // Use direct MongoDB update to remove the app, by _id or Facebook app ID
+    const conditions = [{ appId }];
+    if (mongoose.Types.ObjectId.isValid(appId)) {
+      conditions.push({ _id: new mongoose.Types.ObjectId(appId) });
+    }
+
+    const result = await Organization.updateOne(
+      { _id: req.organizationId },
+      { $pull: { facebookApps: { $or: conditions } } }
     );
     
     console.log('[deleteAppDirect] MongoDB update result:', result);
-    
-    if (result.nModified === 0) {
-      // Try with string ID
-      const result2 = await User.updateOne(
-        { _id: userId },
-        { $pull: { facebookApps: { _id: appId } } }
-      );
-      
-      console.log('[deleteAppDirect] Second attempt result:', result2);
-    }
 
     res.status(200).json({
       success: true,
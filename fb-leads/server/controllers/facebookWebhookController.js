@@ -0,0 +1,204 @@
+const crypto = require('crypto');
+const config = require('../config/default');
+const User = require('../models/User');
+const Form = require('../models/Form');
+const Organization = require('../models/Organization');
+const facebookLeadService = require('../services/facebookLeadService');
+const leadIngestService = require('../services/leadIngestService');
+
+/**
+ * The app secret a form's webhooks are signed with: the one saved in its
+ * organization's Settings (or, for accounts not yet moved into an
+ * organization, its user's), otherwise the server-wide app's
+ * @param {Object} form - Form document
+ * @param {Map} cache - Secrets already looked up, by owner
+ * @returns {Promise<string|null>} App secret, or null if there is none
+ */
+const getOwnerAppSecret = async (form, cache) => {
+  const [Model, ownerId] = form.organizationId ? [Organization, form.organizationId] : [User, form.userId];
+  const key = ownerId.toString();
+
+  if (!cache.has(key)) {
+    const owner = await Model.findById(ownerId).select('facebookAppSecret');
+    cache.set(key, owner?.facebookAppSecret || config.facebook.appSecret || null);
+  }
+
+  return cache.get(key);
+};
+
+/**
+ * Check the X-Hub-Signature-256 header against the raw request body
+ * @param {Buffer} rawBody - Unparsed request body
+ * @param {string} signatureHeader - Header value, e.g. "sha256=abc..."
+ * @param {Array<string>} secrets - Candidate app secrets
+ * @returns {boolean} Whether any secret produces the same signature
+ */
+const isValidSignature = (rawBody, signatureHeader, secrets) => {
+  if (!rawBody || !signatureHeader || !signatureHeader.startsWith('sha256=')) {
+    return false;
+  }
+
+  const received = Buffer.from(signatureHeader.substring('sha256='.length), 'hex');
+
+  return secrets.some(secret => {
+    const expected = crypto.createHmac('sha256', secret).update(rawBody).digest();
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+  });
+};
+
+/**
+ * Find the forms a payload's leadgen changes are for whose owner signed it.
+ * Each owner is checked with its own app secret only, so one organization's
+ * secret can't vouch for leads on another's forms.
+ * @param {Array<Object>} changes - Leadgen change values
+ * @param {Buffer} rawBody - Unparsed request body
+ * @param {string} signatureHeader - X-Hub-Signature-256 header value
+ * @returns {Promise<Array<Object>>} Form documents
+ */
+const findSignedForms = async (changes, rawBody, signatureHeader) => {
+  const formIds = [...new Set(changes.map(change => String(change.form_id)))];
+  const forms = await Form.find({ formId: { $in: formIds } });
+  const secrets = new Map();
+  const signed = [];
+
+  for (const form of forms) {
+    const secret = await getOwnerAppSecret(form, secrets);
+
+    if (secret && isValidSignature(rawBody, signatureHeader, [secret])) {
+      signed.push(form);
+    }
+  }
+
+  return signed;
+};
+
+/**
+ * Fetch and store one leadgen notification for every active form that
+ * tracks it
+ * @param {Object} change - Value of a leadgen change (leadgen_id, form_id, page_id)
+ * @param {Array<Object>} signedForms - Forms whose owner signed the payload
+ * @returns {Promise<number>} Number of leads saved
+ */
+const processLeadgenChange = async (change, signedForms) => {
+  const { leadgen_id: leadId, form_id: formId } = change;
+
+  const forms = signedForms.filter(form => form.formId === String(formId) && form.isActive);
+
+  if (forms.length === 0) {
+    console.log(`[webhook] No active form found for form ${formId}, skipping lead ${leadId}`);
+    return 0;
+  }
+
+  let saved = 0;
+
+  for (const form of forms) {
+    let { organizationId } = form;
+
+    if (!organizationId) {
+      const user = await User.findById(form.userId);
+      organizationId = (await Organization.ensureForUser(user))._id;
+    }
+
+    const { accessToken } = await facebookLeadService.validateOrganizationConfig(
+      organizationId,
+      form.facebookAppId ? form.facebookAppId.toString() : null
+    );
+
+    const lead = await facebookLeadService.fetchLeadById({
+      leadId,
+      accessToken,
+      formId: form.formId,
+      formName: form.formName,
+      pageId: form.pageId || change.page_id,
+      pageName: form.pageName,
+      fieldMappings: form.fieldMappings
+    });
+
+    await leadIngestService.ingest({
+      ...lead,
+      userId: form.userId,
+      organizationId
+    });
+    saved++;
+  }
+
+  return saved;
+};
+
+// @route   GET /api/webhooks/facebook
+// @desc    Answer Facebook's webhook verification handshake
+// @access  Public
+const verifySubscription = (req, res) => {
+  const mode = req.query['hub.mode'];
+  const token = req.query['hub.verify_token'];
+  const challenge = req.query['hub.challenge'];
+
+  const { webhookVerifyToken } = config.facebook;
+
+  if (mode === 'subscribe' && webhookVerifyToken && token === webhookVerifyToken) {
+    console.log('[webhook] Subscription verified');
+    return res.status(200).send(challenge);
+  }
+
+  console.warn('[webhook] Subscription verification failed');
+  res.status(403).json({ success: false, error: 'Webhook verification failed' });
+};
+
+// @route   POST /api/webhooks/facebook
+// @desc    Receive leadgen notifications and store the new leads
+// @access  Public (signed by Facebook)
+const handleEvent = async (req, res) => {
+  try {
+    const signature = req.header('X-Hub-Signature-256');
+    const { object, entry = [] } = req.body || {};
+
+    const changes = object === 'page'
+      ? entry.flatMap(item =>
+        (item.changes || [])
+          .filter(change => change.field === 'leadgen' && change.value)
+          .map(change => change.value)
+      )
+      : [];
+
+    const signedForms = await findSignedForms(changes, req.rawBody, signature);
+    const serverSecret = config.facebook.appSecret;
+
+    // Payloads for no form anyone tracks can still be signed by the server's app
+    if (signedForms.length === 0 && !(serverSecret && isValidSignature(req.rawBody, signature, [serverSecret]))) {
+      console.warn('[webhook] Rejected payload with invalid signature');
+      return res.status(401).json({ success: false, error: 'Invalid signature' });
+    }
+
+    const results = {
+      received: changes.length,
+      saved: 0,
+      errors: []
+    };
+
+    for (const change of changes) {
+      try {
+        results.saved += await processLeadgenChange(change, signedForms);
+      } catch (error) {
+        console.error(`[webhook] Error processing lead ${change.leadgen_id}:`, error);
+        results.errors.push({
+          leadId: change.leadgen_id,
+          error: error.message
+        });
+      }
+    }
+
+    console.log('[webhook] Leadgen results:', results);
+
+    // Always acknowledge so Facebook doesn't redeliver; the scheduled sync
+    // picks up any lead that failed here
+    res.status(200).json({ success: true, ...results });
+  } catch (error) {
+    console.error('[webhook] Error handling event:', error);
+    res.status(500).json({ success: false, error: 'Failed to process webhook' });
+  }
+};
+
+module.exports = {
+  verifySubscription,
+  handleEvent
+};
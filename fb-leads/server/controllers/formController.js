@@ -1,11 +1,33 @@
-import Form from '../models/Form.js';
-import { validationResult } from 'express-validator';
-import mongoose from 'mongoose';
+const Form = require('../models/Form');
+const pipelineService = require('../services/pipelineService');
+const phoneService = require('../services/phoneService');
+const facebookLeadService = require('../services/facebookLeadService');
+const fieldMappingService = require('../services/fieldMappingService');
+const customFieldService = require('../services/customFieldService');
+const { validationResult } = require('express-validator');
+const mongoose = require('mongoose');
+
+/**
+ * Find a form of the organization by MongoDB ObjectId or Facebook formId
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object|null>} Form document
+ */
+const findForm = (req) => {
+  const query = { organizationId: req.organizationId };
+
+  if (mongoose.Types.ObjectId.isValid(req.params.id)) {
+    query._id = req.params.id;
+  } else {
+    query.formId = req.params.id;
+  }
+
+  return Form.findOne(query);
+};
 
 /**
  * Add a new Facebook form
  */
-export const addForm = async (req, res) => {
+const addForm = async (req, res) => {
   try {
     // Check for validation errors
     const errors = validationResult(req);
@@ -17,20 +39,21 @@ export const addForm = async (req, res) => {
     }
 
     const { formId, formName } = req.body;
-    const userId = req.userId;
+    const organizationId = req.organizationId;
 
-    // Check if form already exists for this user
-    const existingForm = await Form.findOne({ userId, formId });
+    // Check if form already exists in the organization
+    const existingForm = await Form.findOne({ organizationId, formId });
     if (existingForm) {
       return res.status(400).json({ 
         success: false, 
-        error: 'Form already exists for this user' 
+        error: 'Form already exists in this organization' 
       });
     }
 
     // Create new form
     const form = new Form({
-      userId,
+      userId: req.userId,
+      organizationId,
       formId,
       formName: formName || null
     });
@@ -52,14 +75,12 @@ export const addForm = async (req, res) => {
 };
 
 /**
- * Get all forms for a user
+ * Get all forms for the organization
  */
-export const getForms = async (req, res) => {
+const getForms = async (req, res) => {
   try {
-    const userId = req.userId;
-
-    // Get all forms for user
-    const forms = await Form.find({ userId }).sort({ createdAt: -1 });
+    // Get all forms for the organization
+    const forms = await Form.find({ organizationId: req.organizationId }).sort({ createdAt: -1 });
 
     res.status(200).json({
       success: true,
@@ -78,13 +99,12 @@ export const getForms = async (req, res) => {
 /**
  * Delete a form
  */
-export const deleteForm = async (req, res) => {
+const deleteForm = async (req, res) => {
   try {
     const id = req.params.id;
-    const userId = req.userId;
     
     // Create a query that safely checks for either MongoDB ObjectId or Facebook formId
-    let query = { userId };
+    let query = { organizationId: req.organizationId };
     
     // Check if the ID is a valid MongoDB ObjectId
     if (mongoose.Types.ObjectId.isValid(id)) {
@@ -94,7 +114,7 @@ export const deleteForm = async (req, res) => {
       query.formId = id;
     }
 
-    // Find form by id and user id
+    // Find form by id within the organization
     const form = await Form.findOne(query);
 
     if (!form) {
@@ -105,7 +125,7 @@ export const deleteForm = async (req, res) => {
     }
 
     // Delete form
-    await form.remove();
+    await form.deleteOne();
 
     res.status(200).json({
       success: true,
@@ -123,14 +143,13 @@ export const deleteForm = async (req, res) => {
 /**
  * Update a form
  */
-export const updateForm = async (req, res) => {
+const updateForm = async (req, res) => {
   try {
     const id = req.params.id;
-    const userId = req.userId;
-    const { formName, isActive } = req.body;
+    const { formName, isActive, pipelineId, slaMinutes, defaultCountry } = req.body;
     
     // Create a query that safely checks for either MongoDB ObjectId or Facebook formId
-    let query = { userId };
+    let query = { organizationId: req.organizationId };
     
     // Check if the ID is a valid MongoDB ObjectId
     if (mongoose.Types.ObjectId.isValid(id)) {
@@ -140,7 +159,7 @@ export const updateForm = async (req, res) => {
       query.formId = id;
     }
 
-    // Find form by id and user id
+    // Find form by id within the organization
     let form = await Form.findOne(query);
 
     if (!form) {
@@ -154,6 +173,44 @@ export const updateForm = async (req, res) => {
     if (formName !== undefined) form.formName = formName;
     if (isActive !== undefined) form.isActive = isActive;
 
+    // Leads arriving from the form go into this pipeline; null for the default
+    if (pipelineId !== undefined) {
+      if (pipelineId && !await pipelineService.findPipeline(req.organizationId, pipelineId)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Pipeline not found'
+        });
+      }
+      form.pipelineId = pipelineId || null;
+    }
+
+    // Minutes new leads have to be contacted in; null for no target
+    if (slaMinutes !== undefined) {
+      if (slaMinutes !== null && !(Number.isInteger(slaMinutes) && slaMinutes > 0)) {
+        return res.status(400).json({
+          success: false,
+          error: 'SLA must be a whole number of minutes, or null for none'
+        });
+      }
+      if (!slaMinutes) {
+        form.slaSince = null;
+      } else if (!form.slaMinutes) {
+        form.slaSince = new Date();
+      }
+      form.slaMinutes = slaMinutes;
+    }
+
+    // Country phone numbers without a country code are read as; null for the organization's
+    if (defaultCountry !== undefined) {
+      if (defaultCountry && !phoneService.isSupportedCountry(defaultCountry)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Default country must be a two-letter country code, e.g. IN'
+        });
+      }
+      form.defaultCountry = defaultCountry || null;
+    }
+
     // Save updated form
     await form.save();
 
@@ -168,4 +225,115 @@ export const updateForm = async (req, res) => {
       error: 'Server error' 
     });
   }
-}; 
\ No newline at end of file
+};
+
+/**
+ * Get a form's questions from Facebook, with how each is mapped
+ */
+const getQuestions = async (req, res) => {
+  try {
+    const form = await findForm(req);
+
+    if (!form) {
+      return res.status(404).json({
+        success: false,
+        error: 'Form not found'
+      });
+    }
+
+    const { accessToken } = await facebookLeadService.validateOrganizationConfig(
+      req.organizationId,
+      form.facebookAppId ? form.facebookAppId.toString() : null
+    );
+    const questions = await facebookLeadService.fetchFormQuestions(form.formId, accessToken);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        questions,
+        fieldMappings: form.fieldMappings
+      }
+    });
+  } catch (error) {
+    console.error('Get form questions error:', error);
+    res.status(error.name === 'GraphApiError' ? 400 : 500).json({
+      success: false,
+      error: error.name === 'GraphApiError' ? error.message : 'Server error'
+    });
+  }
+};
+
+/**
+ * Save how a form's questions map onto lead attributes and custom fields.
+ * The leads already synced from the form are updated in the background; the
+ * reply says how many there are.
+ */
+const updateFieldMappings = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { fieldMappings } = req.body;
+    const customFields = await customFieldService.getFields(req.organizationId);
+    const invalid = fieldMappingService.validate(fieldMappings, customFields);
+
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        error: invalid
+      });
+    }
+
+    const form = await findForm(req);
+
+    if (!form) {
+      return res.status(404).json({
+        success: false,
+        error: 'Form not found'
+      });
+    }
+
+    await fieldMappingService.setMappings(form, fieldMappings.map(({ key, label, attribute, customField }) => ({
+      key: Form.normalizeKey(key),
+      label,
+      attribute,
+      customField: attribute === 'custom' ? customField : null
+    })));
+
+    const leads = await fieldMappingService.countLeads(form);
+
+    // A run still going for an earlier save stops at its next lead
+    setImmediate(() => {
+      fieldMappingService.applyToLeads(form)
+        .then(updated => updated !== null && console.log(`Field mappings of form ${form.formId}: ${updated} lead(s) updated`))
+        .catch(error => console.error(`Field mappings of form ${form.formId} could not be applied:`, error));
+    });
+
+    res.status(200).json({
+      success: true,
+      data: form,
+      leads
+    });
+  } catch (error) {
+    console.error('Update field mappings error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+module.exports = {
+  addForm,
+  getForms,
+  deleteForm,
+  updateForm,
+  getQuestions,
+  updateFieldMappings
+};
@@ -0,0 +1,453 @@
+const { validationResult } = require('express-validator');
+const mongoose = require('mongoose');
+const cron = require('node-cron');
+const ImportJob = require('../models/ImportJob');
+const ImportRow = require('../models/ImportRow');
+const leadImportService = require('../services/leadImportService');
+const customFieldService = require('../services/customFieldService');
+const leadIngestService = require('../services/leadIngestService');
+
+// Rows imported between checkpoints
+const CHECKPOINT_ROWS = 50;
+
+// Row errors kept on an import to send with its progress; the report has
+// all of them
+const MAX_LISTED_ERRORS = 20;
+
+/**
+ * Find one of the organization's imports
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object|null>} ImportJob document
+ */
+const findJob = (req) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return Promise.resolve(null);
+  }
+
+  return ImportJob.findOne({ _id: req.params.id, organizationId: req.organizationId });
+};
+
+/**
+ * An import for the client: its settings and progress, and its first row
+ * errors
+ * @param {Object} job - ImportJob document
+ * @returns {Object} Import
+ */
+const toClient = (job) => {
+  const { importErrors, ...fields } = job.toObject();
+
+  return {
+    ...fields,
+    importErrors: importErrors.slice(0, MAX_LISTED_ERRORS).map(({ row, message }) => ({ row, message }))
+  };
+};
+
+/**
+ * Mapping and dedup settings from the request body, with defaults
+ * @param {Object} body - Request body
+ * @returns {Object} { mapping, strategy, matchBy }
+ */
+const importOptions = (body) => ({
+  mapping: (body.mapping || []).map(({ column, attribute, customField }) => ({
+    column: Number(column),
+    attribute,
+    customField: attribute === 'custom' ? customField : null
+  })),
+  strategy: body.strategy || 'skip',
+  matchBy: body.matchBy || 'email'
+});
+
+/**
+ * Find a pending import and check the mapping sent for it. Sends the error
+ * response itself when something is wrong.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object|null>} { job, options }, or null after an error response
+ */
+const loadPendingJob = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+    return null;
+  }
+
+  const job = await findJob(req);
+
+  if (!job) {
+    res.status(404).json({
+      success: false,
+      error: 'Import not found'
+    });
+    return null;
+  }
+
+  if (job.status !== 'pending') {
+    res.status(400).json({
+      success: false,
+      error: 'This import has already been started'
+    });
+    return null;
+  }
+
+  const options = importOptions(req.body);
+  const customFields = await customFieldService.getFields(req.organizationId);
+  const problems = leadImportService.validateMapping(job, options, customFields);
+
+  if (problems.length > 0) {
+    res.status(400).json({
+      success: false,
+      errors: problems.map(msg => ({ msg }))
+    });
+    return null;
+  }
+
+  return { job, options };
+};
+
+/**
+ * Record why a row couldn't be imported
+ * @param {Object} job - ImportJob document
+ * @param {Object} row - ImportRow document
+ * @param {string} message - What was wrong
+ */
+const recordRowError = async (job, row, message) => {
+  job.failed++;
+  if (job.importErrors.length < MAX_LISTED_ERRORS) {
+    job.importErrors.push({ row: row.index + 2, message });
+  }
+  await ImportRow.updateOne({ _id: row._id }, { $set: { error: message } });
+};
+
+/**
+ * Import a running job's rows, from the last checkpoint on. Rows with errors
+ * are recorded and skipped; the rest are matched against stored leads and
+ * skipped, merged in or added as the job's strategy says. A row whose lead
+ * was added before a restart is counted, not added again.
+ * @param {Object} job - ImportJob document
+ */
+const importRows = async (job) => {
+  const context = await leadImportService.getContext(job.organizationId);
+  const rows = ImportRow.find({ importId: job._id, index: { $gte: job.processed } }).sort({ index: 1 }).cursor();
+
+  for await (const row of rows) {
+    const { index, values } = row;
+
+    try {
+      const { lead, errors } = leadImportService.buildLead(values, job.headers, job.mapping, context);
+
+      if (errors.length > 0) {
+        await recordRowError(job, row, errors.join('; '));
+      } else if (await leadImportService.isRowImported(job, index)) {
+        job.inserted++;
+      } else {
+        const existing = job.strategy === 'create'
+          ? null
+          : await leadImportService.findDuplicate(job.organizationId, lead, job.matchBy, context.defaultCountry);
+
+        if (existing && job.strategy === 'skip') {
+          job.skipped++;
+        } else if (existing) {
+          await leadImportService.updateLead(existing, lead, job, context.defaultCountry);
+          job.updated++;
+        } else {
+          await leadIngestService.ingest(await leadImportService.toNewLead(lead, job, index));
+          job.inserted++;
+        }
+      }
+    } catch (error) {
+      console.error(`Import ${job._id}: row ${index + 2} failed:`, error);
+      await recordRowError(job, row, error.message);
+    }
+
+    job.processed = index + 1;
+
+    if (job.processed % CHECKPOINT_ROWS === 0) {
+      await job.save();
+    }
+  }
+};
+
+/**
+ * Run a queued job. New leads go through the same steps as synced ones:
+ * stage, score, routing, contacts and segment notifications. If the job
+ * can't be saved at the end it's marked failed, so it isn't left running.
+ * @param {string} jobId - ImportJob ID
+ * @returns {Promise<Object|null>} The finished job, or null if it was already
+ * being run
+ */
+const runImport = async (jobId) => {
+  // Claim the job, so it isn't run twice
+  const job = await ImportJob.findOneAndUpdate(
+    { _id: jobId, status: 'queued' },
+    { $set: { status: 'running' } },
+    { new: true }
+  );
+
+  if (!job) {
+    return null;
+  }
+
+  job.startedAt = job.startedAt || new Date();
+  console.log(`Import ${job._id} of ${job.fileName}: ${job.total - job.processed} row(s) to go`);
+
+  try {
+    await importRows(job);
+    // The failed rows are kept for the error report; the rest aren't needed
+    // any more
+    await ImportRow.deleteMany({ importId: job._id, error: null });
+    job.status = 'completed';
+  } catch (error) {
+    console.error(`Import ${job._id} failed:`, error);
+    job.status = 'failed';
+    job.error = error.message;
+  } finally {
+    job.finishedAt = new Date();
+    await job.save().catch(async (error) => {
+      console.error(`Import ${job._id} could not be saved:`, error);
+      job.status = 'failed';
+      job.error = 'The import could not be saved';
+      await ImportJob.updateOne(
+        { _id: job._id, status: 'running' },
+        { $set: { status: 'failed', error: job.error, finishedAt: job.finishedAt } }
+      ).catch(updateError => console.error(`Import ${job._id} could not be marked failed:`, updateError));
+    });
+  }
+
+  console.log(`Import ${job._id} ${job.status}: ${job.inserted} added, ${job.updated} updated, ${job.skipped} skipped, ${job.failed} failed`);
+  return job;
+};
+
+/**
+ * Upload a CSV or XLSX file to import. Nothing is imported yet: the reply
+ * has the columns, a few rows and a suggested mapping to start from.
+ */
+const uploadImport = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        error: 'Choose a CSV or XLSX file to import'
+      });
+    }
+
+    let table;
+    try {
+      table = await leadImportService.parseFile(req.file.buffer, req.file.originalname);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    const job = await ImportJob.create({
+      organizationId: req.organizationId,
+      userId: req.userId,
+      fileName: req.file.originalname,
+      headers: table.headers,
+      total: table.rows.length
+    });
+
+    try {
+      await leadImportService.saveRows(job, table.rows);
+    } catch (error) {
+      await ImportRow.deleteMany({ importId: job._id });
+      await ImportJob.deleteOne({ _id: job._id });
+      throw error;
+    }
+
+    const customFields = await customFieldService.getFields(req.organizationId);
+
+    res.status(201).json({
+      success: true,
+      data: toClient(job),
+      sample: table.rows.slice(0, 5),
+      mapping: leadImportService.suggestMapping(table.headers, customFields),
+      targets: leadImportService.getTargets(customFields)
+    });
+  } catch (error) {
+    console.error('Upload import error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+/**
+ * Check every row of an upload with a mapping and dedup strategy, without
+ * importing anything
+ */
+const previewImport = async (req, res) => {
+  try {
+    const pending = await loadPendingJob(req, res);
+
+    if (!pending) {
+      return;
+    }
+
+    res.status(200).json({
+      success: true,
+      data: await leadImportService.preview(pending.job, pending.options)
+    });
+  } catch (error) {
+    console.error('Preview import error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+/**
+ * Start importing an upload with a mapping and dedup strategy. The import
+ * runs in the background; its progress is polled with getImport.
+ */
+const startImport = async (req, res) => {
+  try {
+    const pending = await loadPendingJob(req, res);
+
+    if (!pending) {
+      return;
+    }
+
+    const { job, options } = pending;
+    Object.assign(job, options, { status: 'queued' });
+    await job.save();
+
+    setImmediate(() => {
+      runImport(job._id).catch(error => console.error(`Import ${job._id} could not run:`, error));
+    });
+
+    res.status(202).json({
+      success: true,
+      data: toClient(job)
+    });
+  } catch (error) {
+    console.error('Start import error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+/**
+ * Get the organization's recent imports
+ */
+const getImports = async (req, res) => {
+  try {
+    const jobs = await ImportJob.find({ organizationId: req.organizationId })
+      .sort({ createdAt: -1 })
+      .limit(20)
+      .populate('userId', 'name email');
+
+    res.status(200).json({
+      success: true,
+      data: jobs.map(toClient)
+    });
+  } catch (error) {
+    console.error('Get imports error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+/**
+ * Get an import's settings and progress
+ */
+const getImport = async (req, res) => {
+  try {
+    const job = await findJob(req);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Import not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: toClient(job)
+    });
+  } catch (error) {
+    console.error('Get import error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+/**
+ * Download the rows an import couldn't bring in, with why, as CSV
+ */
+const downloadErrors = async (req, res) => {
+  try {
+    const job = await findJob(req);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Import not found'
+      });
+    }
+
+    const baseName = job.fileName.replace(/\.[^.]+$/, '').replace(/[^\w-]+/g, '_');
+
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename=${baseName}-errors.csv`);
+    res.send(await leadImportService.buildErrorReport(job));
+  } catch (error) {
+    console.error('Download import errors error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+/**
+ * Carry on with imports a restart stopped, one after another, from their
+ * last checkpoint. Rows after the checkpoint are imported again; the leads
+ * they added are found by their lead ID instead of being added twice.
+ */
+const resumeImports = async () => {
+  await ImportJob.updateMany({ status: 'running' }, { $set: { status: 'queued' } });
+  const jobs = await ImportJob.find({ status: 'queued' }).sort({ createdAt: 1 }).select('_id');
+
+  for (const job of jobs) {
+    try {
+      await runImport(job._id);
+    } catch (error) {
+      console.error(`Import ${job._id} could not resume:`, error);
+    }
+  }
+
+  return jobs.length;
+};
+
+/**
+ * Start the cron job deleting uploads never started
+ */
+const startCronJob = () => {
+  leadImportService.setupCronJob(cron);
+};
+
+module.exports = {
+  uploadImport,
+  previewImport,
+  startImport,
+  getImports,
+  getImport,
+  downloadErrors,
+  runImport,
+  resumeImports,
+  startCronJob
+};
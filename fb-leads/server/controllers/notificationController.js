@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+const Notification = require('../models/Notification');
+const notificationService = require('../services/notificationService');
+
+/**
+ * Get the member's latest notifications and their unread count
+ */
+const getNotifications = async (req, res) => {
+  try {
+    const { notifications, unreadCount } = await notificationService.getNotifications(req.organizationId, req.userId);
+
+    res.status(200).json({
+      success: true,
+      data: notifications,
+      unreadCount
+    });
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Server error'
+    });
+  }
+};
+
+/**
+ * Mark one of the member's notifications as read
+ */
+const markRead = async (req, res) => {
+  try {
+    const notification = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await Notification.findOne({ _id: req.params.id, organizationId: req.organizationId, user: req.userId })
+      : null;
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        error: 'Notification not found'
+      });
+    }
+
+    if (!notification.readAt) {
+      notification.readAt = new Date();
+      await notification.save();
+    }
+
+    res.status(200).json({
+      success: true,
+      data: notification
+    });
+  } catch (error) {
+    console.error('Mark notification read error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Server error'
+    });
+  }
+};
+
+/**
+ * Mark all of the member's notifications as read
+ */
+const markAllRead = async (req, res) => {
+  try {
+    await Notification.updateMany(
+      { organizationId: req.organizationId, user: req.userId, readAt: null },
+      { $set: { readAt: new Date() } }
+    );
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    console.error('Mark notifications read error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Server error'
+    });
+  }
+};
+
+module.exports = {
+  getNotifications,
+  markRead,
+  markAllRead
+};
@@ -0,0 +1,272 @@
+const { validationResult } = require('express-validator');
+const User = require('../models/User');
+const { getPermissions } = require('../config/permissions');
+
+/**
+ * Organization details with its members
+ * @param {Object} organization - Organization document, members.user populated
+ * @param {string} userId - ID of the requesting user
+ * @returns {Object} Organization data
+ */
+const formatOrganization = (organization, userId) => ({
+  id: organization._id,
+  name: organization.name,
+  defaultCountry: organization.defaultCountry,
+  role: organization.getRole(userId),
+  permissions: getPermissions(organization.getRole(userId)),
+  members: organization.members
+    .filter(member => member.user)
+    .map(member => ({
+      userId: member.user._id,
+      name: member.user.name,
+      email: member.user.email,
+      role: member.role,
+      joinedAt: member.joinedAt
+    })),
+  createdAt: organization.createdAt
+});
+
+/**
+ * Check whether the requesting member may manage members with a role.
+ * Admins are managed, and made, by the owner only.
+ * @param {Object} req - Express request object
+ * @param {string} role - Role of the member being managed
+ * @returns {boolean} Whether the requester may manage the role
+ */
+const canManageRole = (req, role) => {
+  return role !== 'owner' && (role !== 'admin' || req.role === 'owner');
+};
+
+/**
+ * Get the current user's organization
+ */
+const getOrganization = async (req, res) => {
+  try {
+    await req.organization.populate('members.user', 'name email');
+
+    res.status(200).json({
+      success: true,
+      data: formatOrganization(req.organization, req.userId)
+    });
+  } catch (error) {
+    console.error('Get organization error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Server error'
+    });
+  }
+};
+
+/**
+ * Rename the current user's organization or change its default phone country
+ */
+const updateOrganization = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { name, defaultCountry } = req.body;
+
+    if (name !== undefined) req.organization.name = name;
+    if (defaultCountry !== undefined) req.organization.defaultCountry = defaultCountry || null;
+
+    await req.organization.save();
+    await req.organization.populate('members.user', 'name email');
+
+    res.status(200).json({
+      success: true,
+      data: formatOrganization(req.organization, req.userId)
+    });
+  } catch (error) {
+    console.error('Update organization error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Server error'
+    });
+  }
+};
+
+/**
+ * Create an account for a teammate and add it to the organization
+ */
+const addMember = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { name, email, password, role = 'agent' } = req.body;
+
+    if (!canManageRole(req, role)) {
+      return res.status(403).json({
+        success: false,
+        error: `You cannot add members with the ${role} role`
+      });
+    }
+
+    const existingUser = await User.findOne({ email });
+    if (existingUser) {
+      return res.status(400).json({
+        success: false,
+        error: 'User already exists'
+      });
+    }
+
+    const user = await User.create({
+      name,
+      email,
+      password,
+      organizationId: req.organizationId
+    });
+
+    req.organization.members.push({ user: user._id, role });
+    await req.organization.save();
+    await req.organization.populate('members.user', 'name email');
+
+    res.status(201).json({
+      success: true,
+      data: formatOrganization(req.organization, req.userId)
+    });
+  } catch (error) {
+    console.error('Add member error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Server error'
+    });
+  }
+};
+
+/**
+ * Change a teammate's role
+ */
+const updateMemberRole = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { userId } = req.params;
+    const { role } = req.body;
+    const member = req.organization.getMember(userId);
+
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        error: 'Member not found'
+      });
+    }
+
+    if (member.user.toString() === req.userId.toString()) {
+      return res.status(400).json({
+        success: false,
+        error: 'You cannot change your own role'
+      });
+    }
+
+    if (!canManageRole(req, member.role) || !canManageRole(req, role)) {
+      return res.status(403).json({
+        success: false,
+        error: `You cannot change a ${member.role} to ${role}`
+      });
+    }
+
+    member.role = role;
+    await req.organization.save();
+    await req.organization.populate('members.user', 'name email');
+
+    res.status(200).json({
+      success: true,
+      data: formatOrganization(req.organization, req.userId)
+    });
+  } catch (error) {
+    console.error('Update member role error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Server error'
+    });
+  }
+};
+
+/**
+ * Remove a teammate from the organization. The account is kept and gets its
+ * own organization on its next request.
+ */
+const removeMember = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const member = req.organization.getMember(userId);
+
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        error: 'Member not found'
+      });
+    }
+
+    if (member.role === 'owner') {
+      return res.status(400).json({
+        success: false,
+        error: 'The organization owner cannot be removed'
+      });
+    }
+
+    if (member.user.toString() === req.userId.toString()) {
+      return res.status(400).json({
+        success: false,
+        error: 'You cannot remove yourself'
+      });
+    }
+
+    if (!canManageRole(req, member.role)) {
+      return res.status(403).json({
+        success: false,
+        error: `You cannot remove a member with the ${member.role} role`
+      });
+    }
+
+    req.organization.members = req.organization.members.filter(m => m !== member);
+    await req.organization.save();
+
+    await User.updateOne(
+      { _id: userId, organizationId: req.organizationId },
+      { $set: { organizationId: null } }
+    );
+
+    await req.organization.populate('members.user', 'name email');
+
+    res.status(200).json({
+      success: true,
+      data: formatOrganization(req.organization, req.userId)
+    });
+  } catch (error) {
+    console.error('Remove member error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Server error'
+    });
+  }
+};
+
+module.exports = {
+  getOrganization,
+  updateOrganization,
+  addMember,
+  updateMemberRole,
+  removeMember
+};
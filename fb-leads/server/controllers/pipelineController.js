@@ -0,0 +1,214 @@
+const { validationResult } = require('express-validator');
+const Pipeline = require('../models/Pipeline');
+const Form = require('../models/Form');
+const WebForm = require('../models/WebForm');
+const Lead = require('../models/Lead');
+const pipelineService = require('../services/pipelineService');
+
+/**
+ * Count a pipeline's leads in the given stages
+ * @param {Object} pipeline - Pipeline document
+ * @param {Array<string>} keys - Stage keys
+ * @returns {Promise<number>} Lead count
+ */
+const countLeadsInStages = (pipeline, keys) => {
+  return Lead.countDocuments({
+    organizationId: pipeline.organizationId,
+    pipelineId: pipeline.isDefault ? { $in: [pipeline._id, null] } : pipeline._id,
+    status: { $in: keys }
+  });
+};
+
+/**
+ * Get the organization's pipelines
+ */
+const getPipelines = async (req, res) => {
+  try {
+    const pipelines = await pipelineService.getPipelines(req.organizationId);
+
+    res.status(200).json({
+      success: true,
+      data: pipelines,
+      colors: Pipeline.COLORS
+    });
+  } catch (error) {
+    console.error('Get pipelines error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Server error'
+    });
+  }
+};
+
+/**
+ * Create a pipeline
+ */
+const createPipeline = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { name, stages } = req.body;
+
+    // Make sure the default exists, so this one doesn't become the only pipeline
+    await pipelineService.getDefaultPipeline(req.organizationId);
+
+    const pipeline = await Pipeline.create({
+      organizationId: req.organizationId,
+      name,
+      stages: pipelineService.buildStages(stages)
+    });
+
+    res.status(201).json({
+      success: true,
+      data: pipeline
+    });
+  } catch (error) {
+    console.error('Create pipeline error:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      error: error.message || 'Server error'
+    });
+  }
+};
+
+/**
+ * Update a pipeline's name and stages, or make it the default
+ */
+const updatePipeline = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const pipeline = await pipelineService.findPipeline(req.organizationId, req.params.id);
+
+    if (!pipeline) {
+      return res.status(404).json({
+        success: false,
+        error: 'Pipeline not found'
+      });
+    }
+
+    const { name, stages, isDefault } = req.body;
+
+    if (stages !== undefined) {
+      const nextStages = pipelineService.buildStages(stages, pipeline.stages);
+      const nextKeys = nextStages.map(stage => stage.key);
+      const removed = pipeline.stages.filter(stage => !nextKeys.includes(stage.key));
+
+      if (removed.length > 0) {
+        const count = await countLeadsInStages(pipeline, removed.map(stage => stage.key));
+
+        if (count > 0) {
+          return res.status(400).json({
+            success: false,
+            error: `Move the ${count} lead(s) in ${removed.map(stage => `"${stage.name}"`).join(', ')} to another stage first`
+          });
+        }
+      }
+
+      pipeline.stages = nextStages;
+    }
+
+    if (name !== undefined) {
+      pipeline.name = name;
+    }
+
+    await pipeline.save();
+
+    if (isDefault === true && !pipeline.isDefault) {
+      const current = await pipelineService.getDefaultPipeline(req.organizationId);
+
+      // Leads never moved onto a pipeline belong to the old default, so pin them there
+      await Lead.updateMany(
+        { organizationId: req.organizationId, pipelineId: null },
+        { $set: { pipelineId: current._id } }
+      );
+
+      // Only one pipeline is the default; unset the old one first
+      current.isDefault = false;
+      await current.save();
+      pipeline.isDefault = true;
+      await pipeline.save();
+    }
+
+    res.status(200).json({
+      success: true,
+      data: pipeline
+    });
+  } catch (error) {
+    console.error('Update pipeline error:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      error: error.message || 'Server error'
+    });
+  }
+};
+
+/**
+ * Delete a pipeline that no form or lead uses
+ */
+const deletePipeline = async (req, res) => {
+  try {
+    const pipeline = await pipelineService.findPipeline(req.organizationId, req.params.id);
+
+    if (!pipeline) {
+      return res.status(404).json({
+        success: false,
+        error: 'Pipeline not found'
+      });
+    }
+
+    if (pipeline.isDefault) {
+      return res.status(400).json({
+        success: false,
+        error: 'The default pipeline cannot be deleted'
+      });
+    }
+
+    const [forms, webForms, leads] = await Promise.all([
+      Form.countDocuments({ organizationId: req.organizationId, pipelineId: pipeline._id }),
+      WebForm.countDocuments({ organizationId: req.organizationId, pipelineId: pipeline._id }),
+      Lead.countDocuments({ organizationId: req.organizationId, pipelineId: pipeline._id })
+    ]);
+
+    if (forms > 0 || webForms > 0 || leads > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `This pipeline is used by ${forms} form(s), ${webForms} website form(s) and ${leads} lead(s)`
+      });
+    }
+
+    await pipeline.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    console.error('Delete pipeline error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Server error'
+    });
+  }
+};
+
+module.exports = {
+  getPipelines,
+  createPipeline,
+  updatePipeline,
+  deletePipeline
+};
@@ -0,0 +1,183 @@
+const WebForm = require('../models/WebForm');
+const webFormService = require('../services/webFormService');
+const webFormRenderer = require('../services/webFormRenderer');
+
+/**
+ * This server's URL as the visitor reached it
+ * @param {Object} req - Express request object
+ * @returns {string} e.g. "https://leads.example.com"
+ */
+const getBaseUrl = (req) => `${req.protocol}://${req.get('host')}`;
+
+/**
+ * Find a website form by its public ID
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object|null>} WebForm document
+ */
+const findPublicForm = (req) => {
+  return WebForm.findOne({ publicId: String(req.params.publicId) });
+};
+
+// @route   GET /api/public/forms/:publicId
+// @desc    Get a website form's fields, for the embed script
+// @access  Public
+const getForm = async (req, res) => {
+  try {
+    const form = await findPublicForm(req);
+
+    if (!form) {
+      return res.status(404).json({
+        success: false,
+        error: 'Form not found'
+      });
+    }
+
+    // Each definition carries its own signed time
+    res.set('Cache-Control', 'no-store');
+    res.json({
+      success: true,
+      data: webFormService.toDefinition(form)
+    });
+  } catch (error) {
+    console.error('Get public form error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+// @route   GET /api/public/forms/:publicId/page
+// @desc    Show a website form as a hosted page
+// @access  Public
+const getPage = async (req, res) => {
+  try {
+    const form = await findPublicForm(req);
+
+    if (!form) {
+      return res.status(404).type('text').send('Form not found');
+    }
+
+    const { submitUrl } = webFormService.getUrls(form, getBaseUrl(req));
+    res.set('Cache-Control', 'no-store');
+    res.type('html').send(webFormRenderer.renderPage(form, { submitUrl }));
+  } catch (error) {
+    console.error('Get form page error:', error);
+    res.status(500).type('text').send('Server error');
+  }
+};
+
+// @route   GET /api/public/forms/:publicId/embed.js
+// @desc    Get the script that draws a website form on another site
+// @access  Public
+const getEmbedScript = async (req, res) => {
+  try {
+    const form = await findPublicForm(req);
+
+    if (!form) {
+      return res.status(404).type('application/javascript').send('console.error("Lead form not found");');
+    }
+
+    // The script reads the fields when it runs, so it can be cached a while
+    res.set('Cache-Control', 'public, max-age=300');
+    res.type('application/javascript').send(webFormRenderer.renderEmbedScript(form, webFormService.getUrls(form, getBaseUrl(req))));
+  } catch (error) {
+    console.error('Get embed script error:', error);
+    res.status(500).type('application/javascript').send('console.error("Lead form unavailable");');
+  }
+};
+
+// @route   POST /api/public/forms/:publicId/submit
+// @desc    Submit a website form; answers become a lead. The embed sends
+//          JSON and gets JSON back; the hosted page posts the HTML form and
+//          gets a page back.
+// @access  Public (rate-limited)
+const submitForm = async (req, res) => {
+  const fromPage = req.is('application/x-www-form-urlencoded');
+  const body = req.body || {};
+  let form;
+
+  /**
+   * Answer in the kind the submission came in
+   * @param {number} status - HTTP status
+   * @param {Object} json - JSON response
+   * @param {Object} page - renderPage options for the hosted page
+   */
+  const respond = (status, json, page) => {
+    if (!fromPage) {
+      return res.status(status).json(json);
+    }
+    if (json.success && json.redirectUrl) {
+      return res.redirect(303, json.redirectUrl);
+    }
+
+    const { submitUrl } = webFormService.getUrls(form, getBaseUrl(req));
+    res.status(status).type('html').send(webFormRenderer.renderPage(form, { submitUrl, ...page }));
+  };
+
+  try {
+    form = await findPublicForm(req);
+
+    if (!form) {
+      return res.status(404).json({
+        success: false,
+        error: 'Form not found'
+      });
+    }
+
+    if (!form.isActive) {
+      return respond(403, { success: false, error: 'This form is closed' }, {});
+    }
+
+    const succeeded = { success: true, message: form.successMessage, redirectUrl: form.redirectUrl };
+    const pageUrl = body._pageUrl || req.get('Referer') || null;
+
+    // Spam gets the same answer as a real submission, so bots can't tell.
+    // Allowed sites are checked against where the browser says the request
+    // came from, never the page URL in the body, which the sender makes up.
+    const origin = req.get('Origin') || req.get('Referer') || null;
+    const spamReason = webFormService.getSpamReason(form, body, origin, req.hostname);
+
+    // A person who left the form open too long reloads it; nothing is kept
+    if (spamReason === 'expired') {
+      return respond(400, { success: false, error: 'This form has expired. Reload the page and send it again.' }, {
+        values: fromPage ? body : {},
+        errors: [{ path: null, msg: 'This form has expired. Please send it again.' }]
+      });
+    }
+
+    if (spamReason) {
+      console.log(`[web form] Dropped a submission to ${form.publicId} as spam: ${spamReason}`);
+      await webFormService.recordSpam(form);
+      return respond(200, succeeded, { message: form.successMessage });
+    }
+
+    const values = fromPage ? body : body.fields;
+    const { fieldData, errors } = webFormService.readAnswers(form, values && typeof values === 'object' ? values : {});
+
+    if (errors.length > 0) {
+      return respond(400, { success: false, errors }, { values, errors });
+    }
+
+    await webFormService.createLead(form, fieldData, {
+      pageUrl,
+      referrer: body._referrer || null,
+      userAgent: req.get('User-Agent')
+    });
+
+    respond(201, succeeded, { message: form.successMessage });
+  } catch (error) {
+    console.error('Submit web form error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Your answers could not be saved. Please try again.'
+    });
+  }
+};
+
+module.exports = {
+  getForm,
+  getPage,
+  getEmbedScript,
+  submitForm
+};
@@ -0,0 +1,296 @@
+const { validationResult } = require('express-validator');
+const mongoose = require('mongoose');
+const Form = require('../models/Form');
+const RoutingRule = require('../models/RoutingRule');
+const leadRoutingService = require('../services/leadRoutingService');
+
+/**
+ * Find user IDs that aren't members of the organization
+ * @param {Object} organization - Organization document
+ * @param {Array<string>} userIds - User IDs
+ * @returns {Array<string>} User IDs of non-members
+ */
+const findNonMembers = (organization, userIds = []) => {
+  return userIds.filter(userId => !mongoose.Types.ObjectId.isValid(userId) || !organization.getMember(userId));
+};
+
+/**
+ * Rule fields a request may set
+ * @param {Object} body - Request body
+ * @returns {Object} Rule fields
+ */
+const pickRuleFields = (body) => {
+  const fields = {};
+
+  ['name', 'isActive', 'priority', 'formIds', 'match', 'conditions', 'assignees'].forEach(key => {
+    if (body[key] !== undefined) {
+      fields[key] = body[key];
+    }
+  });
+
+  return fields;
+};
+
+/**
+ * Get the routing setup: rules, form agents and member capacity
+ */
+const getRouting = async (req, res) => {
+  try {
+    const organization = req.organization;
+
+    const [rules, forms] = await Promise.all([
+      RoutingRule.find({ organizationId: organization._id }).sort({ priority: 1, createdAt: 1 }),
+      Form.find({ organizationId: organization._id })
+        .select('formId formName pageName agents isActive')
+        .sort({ createdAt: -1 })
+    ]);
+
+    await organization.populate('members.user', 'name email');
+
+    const members = await Promise.all(organization.members
+      .filter(member => member.user)
+      .map(async member => ({
+        userId: member.user._id,
+        name: member.user.name,
+        email: member.user.email,
+        role: member.role,
+        maxOpenLeads: member.maxOpenLeads,
+        openLeads: await leadRoutingService.countOpenLeads(organization._id, member.user._id)
+      })));
+
+    res.status(200).json({
+      success: true,
+      data: {
+        rules,
+        forms,
+        members,
+        operators: RoutingRule.OPERATORS
+      }
+    });
+  } catch (error) {
+    console.error('Get routing error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Server error'
+    });
+  }
+};
+
+/**
+ * Create a routing rule
+ */
+const createRule = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const fields = pickRuleFields(req.body);
+
+    if (findNonMembers(req.organization, fields.assignees).length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Assignees must be members of this organization'
+      });
+    }
+
+    const rule = await RoutingRule.create({
+      ...fields,
+      organizationId: req.organizationId,
+      createdBy: req.userId
+    });
+
+    res.status(201).json({
+      success: true,
+      data: rule
+    });
+  } catch (error) {
+    console.error('Create routing rule error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Server error'
+    });
+  }
+};
+
+/**
+ * Update a routing rule
+ */
+const updateRule = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const fields = pickRuleFields(req.body);
+
+    if (findNonMembers(req.organization, fields.assignees).length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Assignees must be members of this organization'
+      });
+    }
+
+    const rule = await RoutingRule.findOneAndUpdate(
+      { _id: req.params.id, organizationId: req.organizationId },
+      { $set: fields },
+      { new: true, runValidators: true }
+    );
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        error: 'Routing rule not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: rule
+    });
+  } catch (error) {
+    console.error('Update routing rule error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Server error'
+    });
+  }
+};
+
+/**
+ * Delete a routing rule
+ */
+const deleteRule = async (req, res) => {
+  try {
+    const rule = await RoutingRule.findOneAndDelete({ _id: req.params.id, organizationId: req.organizationId });
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        error: 'Routing rule not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    console.error('Delete routing rule error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Server error'
+    });
+  }
+};
+
+/**
+ * Set the members a form's leads are shared between
+ */
+const updateFormAgents = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { agents } = req.body;
+
+    if (findNonMembers(req.organization, agents).length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Agents must be members of this organization'
+      });
+    }
+
+    const form = await Form.findOneAndUpdate(
+      { _id: req.params.id, organizationId: req.organizationId },
+      { $set: { agents } },
+      { new: true }
+    ).select('formId formName pageName agents isActive');
+
+    if (!form) {
+      return res.status(404).json({
+        success: false,
+        error: 'Form not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: form
+    });
+  } catch (error) {
+    console.error('Update form agents error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Server error'
+    });
+  }
+};
+
+/**
+ * Set the most open leads routing assigns to a member
+ */
+const updateMemberCapacity = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const member = req.organization.getMember(req.params.userId);
+
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        error: 'Member not found'
+      });
+    }
+
+    const { maxOpenLeads } = req.body;
+    member.maxOpenLeads = [undefined, null, ''].includes(maxOpenLeads) ? null : parseInt(maxOpenLeads, 10);
+    await req.organization.save();
+
+    res.status(200).json({
+      success: true,
+      data: {
+        userId: member.user,
+        maxOpenLeads: member.maxOpenLeads
+      }
+    });
+  } catch (error) {
+    console.error('Update member capacity error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Server error'
+    });
+  }
+};
+
+module.exports = {
+  getRouting,
+  createRule,
+  updateRule,
+  deleteRule,
+  updateFormAgents,
+  updateMemberCapacity
+};
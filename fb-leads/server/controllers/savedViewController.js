@@ -0,0 +1,246 @@
+const { validationResult } = require('express-validator');
+const mongoose = require('mongoose');
+const SavedView = require('../models/SavedView');
+const { hasPermission } = require('../config/permissions');
+
+/**
+ * Views a member can see: their own and the ones shared with the team
+ * @param {Object} req - Express request object
+ * @returns {Object} MongoDB query
+ */
+const visibleViews = (req) => ({
+  organizationId: req.organizationId,
+  $or: [{ createdBy: req.userId }, { shared: true }]
+});
+
+/**
+ * Check whether a member may change a view: their own, or a shared one if
+ * they may share views
+ * @param {Object} req - Express request object
+ * @param {Object} view - SavedView document
+ * @returns {boolean} Whether they may change it
+ */
+const canEdit = (req, view) => {
+  // createdBy may be populated
+  const creator = view.createdBy?._id || view.createdBy;
+
+  return String(creator) === String(req.userId)
+    || (view.shared && hasPermission(req.role, 'views:share'));
+};
+
+/**
+ * Find one of the views a member can see
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object|null>} SavedView document
+ */
+const findView = (req) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return Promise.resolve(null);
+  }
+
+  return SavedView.findOne({ _id: req.params.id, ...visibleViews(req) });
+};
+
+/**
+ * Keep the filter values that are plain text, e.g. { status: 'qualified' }
+ * @param {Object} filters - Filters from the request
+ * @returns {Object} Filters without empty values or unsafe keys
+ */
+const cleanFilters = (filters = {}) => {
+  return Object.fromEntries(
+    Object.entries(filters)
+      .filter(([key, value]) => /^\w+$/.test(key) && ['string', 'number'].includes(typeof value))
+      .map(([key, value]) => [key, String(value).trim()])
+      .filter(([, value]) => value)
+  );
+};
+
+/**
+ * View fields a request may set
+ * @param {Object} body - Request body
+ * @returns {Object} View fields
+ */
+const pickViewFields = (body) => {
+  const fields = {};
+
+  ['name', 'sort', 'columns', 'shared'].forEach(key => {
+    if (body[key] !== undefined) {
+      fields[key] = body[key];
+    }
+  });
+
+  if (body.filters !== undefined) {
+    fields.filters = cleanFilters(body.filters);
+  }
+
+  return fields;
+};
+
+/**
+ * The view for the client, with whether the member may change it
+ * @param {Object} req - Express request object
+ * @param {Object} view - SavedView document
+ * @returns {Object} View
+ */
+const toClient = (req, view) => ({
+  ...view.toObject(),
+  canEdit: canEdit(req, view)
+});
+
+/**
+ * Get the member's views and the team's shared ones
+ */
+const getViews = async (req, res) => {
+  try {
+    const views = await SavedView.find(visibleViews(req))
+      .sort({ name: 1 })
+      .populate('createdBy', 'name');
+
+    res.status(200).json({
+      success: true,
+      data: views.map(view => toClient(req, view)),
+      columns: SavedView.COLUMNS,
+      sorts: SavedView.SORTS
+    });
+  } catch (error) {
+    console.error('Get saved views error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+/**
+ * Save a view
+ */
+const createView = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const fields = pickViewFields(req.body);
+
+    if (fields.shared && !hasPermission(req.role, 'views:share')) {
+      return res.status(403).json({
+        success: false,
+        error: `Your role (${req.role}) does not allow sharing views with the team`
+      });
+    }
+
+    const view = await SavedView.create({
+      ...fields,
+      organizationId: req.organizationId,
+      createdBy: req.userId
+    });
+
+    res.status(201).json({
+      success: true,
+      data: toClient(req, view)
+    });
+  } catch (error) {
+    console.error('Create saved view error:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      error: error.message || 'Server error'
+    });
+  }
+};
+
+/**
+ * Rename a view, change what it shows, or share or unshare it
+ */
+const updateView = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const view = await findView(req);
+
+    if (!view) {
+      return res.status(404).json({
+        success: false,
+        error: 'View not found'
+      });
+    }
+
+    const fields = pickViewFields(req.body);
+    const sharing = fields.shared !== undefined && Boolean(fields.shared) !== view.shared;
+
+    if (!canEdit(req, view) || (sharing && !hasPermission(req.role, 'views:share'))) {
+      return res.status(403).json({
+        success: false,
+        error: sharing ? `Your role (${req.role}) does not allow sharing views with the team` : 'You can only change your own views'
+      });
+    }
+
+    view.set(fields);
+    await view.save();
+
+    res.status(200).json({
+      success: true,
+      data: toClient(req, view)
+    });
+  } catch (error) {
+    console.error('Update saved view error:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      error: error.message || 'Server error'
+    });
+  }
+};
+
+/**
+ * Delete a view
+ */
+const deleteView = async (req, res) => {
+  try {
+    const view = await findView(req);
+
+    if (!view) {
+      return res.status(404).json({
+        success: false,
+        error: 'View not found'
+      });
+    }
+
+    if (!canEdit(req, view)) {
+      return res.status(403).json({
+        success: false,
+        error: 'You can only delete your own views'
+      });
+    }
+
+    await view.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    console.error('Delete saved view error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+module.exports = {
+  getViews,
+  createView,
+  updateView,
+  deleteView
+};
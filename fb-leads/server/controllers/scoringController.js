@@ -0,0 +1,187 @@
+const { validationResult } = require('express-validator');
+const cron = require('node-cron');
+const ScoringRule = require('../models/ScoringRule');
+const RoutingRule = require('../models/RoutingRule');
+const scoringService = require('../services/scoringService');
+
+/**
+ * Rule fields a request may set
+ * @param {Object} body - Request body
+ * @returns {Object} Rule fields
+ */
+const pickRuleFields = (body) => {
+  const fields = {};
+
+  ['name', 'isActive', 'criterion', 'points', 'match', 'conditions', 'values', 'source', 'contactFields', 'withinHours'].forEach(key => {
+    if (body[key] !== undefined) {
+      fields[key] = body[key];
+    }
+  });
+
+  return fields;
+};
+
+/**
+ * Get the scoring rules, and the options they can use
+ */
+const getRules = async (req, res) => {
+  try {
+    const rules = await ScoringRule.find({ organizationId: req.organizationId }).sort({ createdAt: 1 });
+
+    res.status(200).json({
+      success: true,
+      data: rules,
+      criteria: ScoringRule.CRITERIA,
+      operators: RoutingRule.OPERATORS,
+      sources: ScoringRule.CAMPAIGN_SOURCES,
+      contactFields: ScoringRule.CONTACT_FIELDS
+    });
+  } catch (error) {
+    console.error('Get scoring rules error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Server error'
+    });
+  }
+};
+
+/**
+ * Create a scoring rule and rescore the organization's leads
+ */
+const createRule = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const fields = pickRuleFields(req.body);
+    const invalid = scoringService.validate(fields);
+
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        error: invalid
+      });
+    }
+
+    const rule = await ScoringRule.create({
+      ...fields,
+      organizationId: req.organizationId,
+      createdBy: req.userId
+    });
+
+    const rescored = await scoringService.rescoreLeads(req.organizationId);
+
+    res.status(201).json({
+      success: true,
+      data: rule,
+      rescored
+    });
+  } catch (error) {
+    console.error('Create scoring rule error:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      error: error.message || 'Server error'
+    });
+  }
+};
+
+/**
+ * Update a scoring rule and rescore the organization's leads
+ */
+const updateRule = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const rule = await ScoringRule.findOne({ _id: req.params.id, organizationId: req.organizationId });
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        error: 'Scoring rule not found'
+      });
+    }
+
+    rule.set(pickRuleFields(req.body));
+    const invalid = scoringService.validate(rule);
+
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        error: invalid
+      });
+    }
+
+    await rule.save();
+    const rescored = await scoringService.rescoreLeads(req.organizationId);
+
+    res.status(200).json({
+      success: true,
+      data: rule,
+      rescored
+    });
+  } catch (error) {
+    console.error('Update scoring rule error:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      error: error.message || 'Server error'
+    });
+  }
+};
+
+/**
+ * Delete a scoring rule and rescore the organization's leads
+ */
+const deleteRule = async (req, res) => {
+  try {
+    const rule = await ScoringRule.findOneAndDelete({ _id: req.params.id, organizationId: req.organizationId });
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        error: 'Scoring rule not found'
+      });
+    }
+
+    const rescored = await scoringService.rescoreLeads(req.organizationId);
+
+    res.status(200).json({
+      success: true,
+      data: {},
+      rescored
+    });
+  } catch (error) {
+    console.error('Delete scoring rule error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Server error'
+    });
+  }
+};
+
+/**
+ * Start the job that drops recency points once they run out
+ */
+const startCronJob = () => {
+  scoringService.setupCronJob(cron);
+};
+
+module.exports = {
+  getRules,
+  createRule,
+  updateRule,
+  deleteRule,
+  startCronJob
+};
@@ -0,0 +1,222 @@
+const { validationResult } = require('express-validator');
+const mongoose = require('mongoose');
+const Segment = require('../models/Segment');
+const segmentService = require('../services/segmentService');
+const leadFilterService = require('../services/leadFilterService');
+
+/**
+ * Find one of the organization's segments
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object|null>} Segment document
+ */
+const findSegment = (req) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return Promise.resolve(null);
+  }
+
+  return Segment.findOne({ _id: req.params.id, organizationId: req.organizationId });
+};
+
+/**
+ * The segment for the client, with how many of its leads the member can see
+ * and whether they're notified of new ones
+ * @param {Object} req - Express request object
+ * @param {Object} segment - Segment document
+ * @returns {Promise<Object>} Segment
+ */
+const toClient = async (req, segment) => {
+  const { subscribers, ...fields } = segment.toObject();
+
+  return {
+    ...fields,
+    leadCount: await segmentService.countLeads(segment, req),
+    subscribed: subscribers.some(user => String(user) === String(req.userId))
+  };
+};
+
+/**
+ * Get the organization's segments
+ */
+const getSegments = async (req, res) => {
+  try {
+    const segments = await Segment.find({ organizationId: req.organizationId }).sort({ name: 1 });
+
+    res.status(200).json({
+      success: true,
+      data: await Promise.all(segments.map(segment => toClient(req, segment))),
+      filters: leadFilterService.SEGMENT_FILTERS
+    });
+  } catch (error) {
+    console.error('Get segments error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+/**
+ * Create a segment from lead list filters
+ */
+const createSegment = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { name, description } = req.body;
+
+    const segment = await Segment.create({
+      organizationId: req.organizationId,
+      name,
+      description,
+      filters: leadFilterService.cleanSegmentFilters(req.body.filters),
+      createdBy: req.userId
+    });
+
+    res.status(201).json({
+      success: true,
+      data: await toClient(req, segment)
+    });
+  } catch (error) {
+    console.error('Create segment error:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      error: error.message || 'Server error'
+    });
+  }
+};
+
+/**
+ * Rename a segment or change its filters
+ */
+const updateSegment = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const segment = await findSegment(req);
+
+    if (!segment) {
+      return res.status(404).json({
+        success: false,
+        error: 'Segment not found'
+      });
+    }
+
+    const { name, description, filters } = req.body;
+
+    if (name !== undefined) {
+      segment.name = name;
+    }
+    if (description !== undefined) {
+      segment.description = description;
+    }
+    if (filters !== undefined) {
+      segment.filters = leadFilterService.cleanSegmentFilters(filters);
+    }
+
+    await segment.save();
+
+    res.status(200).json({
+      success: true,
+      data: await toClient(req, segment)
+    });
+  } catch (error) {
+    console.error('Update segment error:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      error: error.message || 'Server error'
+    });
+  }
+};
+
+/**
+ * Turn notifications of new leads in a segment on or off for the member
+ */
+const updateSubscription = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const segment = await findSegment(req);
+
+    if (!segment) {
+      return res.status(404).json({
+        success: false,
+        error: 'Segment not found'
+      });
+    }
+
+    const update = req.body.subscribed
+      ? { $addToSet: { subscribers: req.userId } }
+      : { $pull: { subscribers: req.userId } };
+
+    const updated = await Segment.findByIdAndUpdate(segment._id, update, { new: true });
+
+    res.status(200).json({
+      success: true,
+      data: await toClient(req, updated)
+    });
+  } catch (error) {
+    console.error('Update segment subscription error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+/**
+ * Delete a segment
+ */
+const deleteSegment = async (req, res) => {
+  try {
+    const segment = await findSegment(req);
+
+    if (!segment) {
+      return res.status(404).json({
+        success: false,
+        error: 'Segment not found'
+      });
+    }
+
+    await segment.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    console.error('Delete segment error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+module.exports = {
+  getSegments,
+  createSegment,
+  updateSegment,
+  updateSubscription,
+  deleteSegment
+};
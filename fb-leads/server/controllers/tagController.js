@@ -0,0 +1,217 @@
+const { validationResult } = require('express-validator');
+const mongoose = require('mongoose');
+const Tag = require('../models/Tag');
+const tagService = require('../services/tagService');
+
+/**
+ * Find one of the organization's tags
+ * @param {Object} req - Express request object
+ * @param {string} [id] - Tag ID, the route's by default
+ * @returns {Promise<Object|null>} Tag document
+ */
+const findTag = (req, id = req.params.id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return Promise.resolve(null);
+  }
+
+  return Tag.findOne({ _id: id, organizationId: req.organizationId });
+};
+
+/**
+ * Get the organization's tags with their lead counts
+ */
+const getTags = async (req, res) => {
+  try {
+    const tags = await tagService.getTags(req.organizationId);
+
+    res.status(200).json({
+      success: true,
+      data: tags,
+      colors: Tag.COLORS
+    });
+  } catch (error) {
+    console.error('Get tags error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+/**
+ * Create a tag ahead of using it, e.g. to pick its color
+ */
+const createTag = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { name, color } = req.body;
+
+    if (await tagService.findByName(req.organizationId, name)) {
+      return res.status(400).json({
+        success: false,
+        error: `A tag named "${name}" already exists`
+      });
+    }
+
+    const tag = await Tag.create({ organizationId: req.organizationId, name, color });
+
+    res.status(201).json({
+      success: true,
+      data: { ...tag.toObject(), leadCount: 0 }
+    });
+  } catch (error) {
+    console.error('Create tag error:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      error: error.message || 'Server error'
+    });
+  }
+};
+
+/**
+ * Rename a tag, on its leads too, or change its color. A name another tag
+ * has is refused; merging the tags does that.
+ */
+const updateTag = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const tag = await findTag(req);
+
+    if (!tag) {
+      return res.status(404).json({
+        success: false,
+        error: 'Tag not found'
+      });
+    }
+
+    const { name, color } = req.body;
+
+    if (color !== undefined) {
+      tag.color = color;
+    }
+
+    if (name !== undefined && name !== tag.name) {
+      const existing = await tagService.findByName(req.organizationId, name);
+
+      if (existing && !existing._id.equals(tag._id)) {
+        return res.status(400).json({
+          success: false,
+          error: `A tag named "${existing.name}" already exists; merge the tags instead`
+        });
+      }
+
+      await tagService.renameTag(tag, name);
+    } else {
+      await tag.save();
+    }
+
+    res.status(200).json({
+      success: true,
+      data: tag
+    });
+  } catch (error) {
+    console.error('Update tag error:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      error: error.message || 'Server error'
+    });
+  }
+};
+
+/**
+ * Merge a tag into another: its leads get the other tag, and it is deleted
+ */
+const mergeTag = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const [tag, target] = await Promise.all([findTag(req), findTag(req, req.body.targetId)]);
+
+    if (!tag || !target) {
+      return res.status(404).json({
+        success: false,
+        error: 'Tag not found'
+      });
+    }
+
+    if (tag._id.equals(target._id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'A tag cannot be merged into itself'
+      });
+    }
+
+    const leadCount = await tagService.mergeTags(tag, target);
+
+    res.status(200).json({
+      success: true,
+      data: { target, leadCount }
+    });
+  } catch (error) {
+    console.error('Merge tag error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+/**
+ * Delete a tag and take it off its leads
+ */
+const deleteTag = async (req, res) => {
+  try {
+    const tag = await findTag(req);
+
+    if (!tag) {
+      return res.status(404).json({
+        success: false,
+        error: 'Tag not found'
+      });
+    }
+
+    await tagService.deleteTag(tag);
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    console.error('Delete tag error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+module.exports = {
+  getTags,
+  createTag,
+  updateTag,
+  mergeTag,
+  deleteTag
+};
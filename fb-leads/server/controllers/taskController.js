@@ -0,0 +1,309 @@
+const { validationResult } = require('express-validator');
+const mongoose = require('mongoose');
+const cron = require('node-cron');
+const Task = require('../models/Task');
+const Lead = require('../models/Lead');
+const taskService = require('../services/taskService');
+const { hasPermission } = require('../config/permissions');
+
+/**
+ * Base query for the tasks a member may see: the organization's tasks, or
+ * only their own for roles without leads:read_all
+ * @param {Object} req - Express request object
+ * @returns {Object} MongoDB query
+ */
+const taskScope = (req) => {
+  const query = { organizationId: req.organizationId };
+
+  if (!hasPermission(req.role, 'leads:read_all')) {
+    query.assignee = req.userId;
+  }
+
+  return query;
+};
+
+/**
+ * Find a task the member may see
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object|null>} Task document
+ */
+const findTask = (req) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return null;
+  }
+
+  return Task.findOne({ ...taskScope(req), _id: req.params.id });
+};
+
+/**
+ * Check who a task may be given to. Members who can't assign leads can only
+ * give tasks to themselves.
+ * @param {Object} req - Express request object
+ * @param {string} assignee - User ID
+ * @returns {string|null} Error message, or null if allowed
+ */
+const checkAssignee = (req, assignee) => {
+  if (!req.organization.getMember(assignee)) {
+    return 'Assignee must be a member of this organization';
+  }
+
+  if (String(assignee) !== String(req.userId) && !hasPermission(req.role, 'leads:assign')) {
+    return 'You can only assign tasks to yourself';
+  }
+
+  return null;
+};
+
+/**
+ * Populate a task's lead and assignee for the client
+ * @param {Object} query - Mongoose query or document
+ * @returns {Object} The query or a promise of the populated document
+ */
+const populateTask = (query) => {
+  return query.populate([
+    { path: 'lead', select: 'fullName leadId' },
+    { path: 'assignee', select: 'name email' }
+  ]);
+};
+
+/**
+ * Get tasks, soonest due first
+ * Filters: lead, assignee ("me" or a user ID), status ("open" or "completed"),
+ * dueBefore and dueAfter
+ */
+const getTasks = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { lead, assignee, status, dueBefore, dueAfter, limit = 100 } = req.query;
+    const query = taskScope(req);
+
+    if (lead && mongoose.Types.ObjectId.isValid(lead)) {
+      query.lead = lead;
+    }
+
+    if (assignee && !query.assignee) {
+      if (assignee === 'me') {
+        query.assignee = req.userId;
+      } else if (mongoose.Types.ObjectId.isValid(assignee)) {
+        query.assignee = assignee;
+      }
+    }
+
+    if (status === 'open') {
+      query.completedAt = null;
+    } else if (status === 'completed') {
+      query.completedAt = { $ne: null };
+    }
+
+    if (dueBefore || dueAfter) {
+      query.dueAt = {};
+      if (dueBefore) query.dueAt.$lte = new Date(dueBefore);
+      if (dueAfter) query.dueAt.$gte = new Date(dueAfter);
+    }
+
+    const tasks = await populateTask(
+      Task.find(query)
+        .sort({ dueAt: 1 })
+        .limit(Math.min(Number(limit) || 100, 500))
+    );
+
+    res.status(200).json({
+      success: true,
+      data: tasks
+    });
+  } catch (error) {
+    console.error('Get tasks error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Server error'
+    });
+  }
+};
+
+/**
+ * Create a task on a lead. It goes to the lead's assignee, or the creator if
+ * the lead is unassigned, unless an assignee is given.
+ */
+const createTask = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const leadQuery = { _id: req.body.lead, organizationId: req.organizationId };
+    if (!hasPermission(req.role, 'leads:read_all')) {
+      leadQuery.assignedTo = req.userId;
+    }
+
+    const lead = await Lead.findOne(leadQuery);
+
+    if (!lead) {
+      return res.status(404).json({
+        success: false,
+        error: 'Lead not found'
+      });
+    }
+
+    const assignee = req.body.assignee || lead.assignedTo || req.userId;
+    const assigneeError = checkAssignee(req, assignee);
+
+    if (assigneeError) {
+      return res.status(400).json({
+        success: false,
+        error: assigneeError
+      });
+    }
+
+    const task = await Task.create({
+      organizationId: req.organizationId,
+      lead: lead._id,
+      title: req.body.title,
+      type: req.body.type,
+      dueAt: req.body.dueAt,
+      assignee,
+      createdBy: req.userId
+    });
+
+    res.status(201).json({
+      success: true,
+      data: await populateTask(task)
+    });
+  } catch (error) {
+    console.error('Create task error:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      error: error.message || 'Server error'
+    });
+  }
+};
+
+/**
+ * Update a task, or mark it done with completed true
+ */
+const updateTask = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const task = await findTask(req);
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        error: 'Task not found'
+      });
+    }
+
+    const { title, type, dueAt, assignee, completed } = req.body;
+
+    if (assignee !== undefined && String(assignee) !== String(task.assignee)) {
+      const assigneeError = checkAssignee(req, assignee);
+
+      if (assigneeError) {
+        return res.status(400).json({
+          success: false,
+          error: assigneeError
+        });
+      }
+
+      task.assignee = assignee;
+      // The new assignee hasn't been reminded
+      task.remindedAt = null;
+    }
+
+    if (title !== undefined) {
+      task.title = title;
+    }
+
+    if (type !== undefined) {
+      task.type = type;
+    }
+
+    if (dueAt !== undefined && new Date(dueAt).getTime() !== task.dueAt.getTime()) {
+      task.dueAt = dueAt;
+      // Remind again at the new time
+      task.remindedAt = null;
+    }
+
+    if (completed !== undefined) {
+      task.completedAt = completed ? task.completedAt || new Date() : null;
+      task.completedBy = completed ? task.completedBy || req.userId : null;
+    }
+
+    await task.save();
+
+    res.status(200).json({
+      success: true,
+      data: await populateTask(task)
+    });
+  } catch (error) {
+    console.error('Update task error:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      error: error.message || 'Server error'
+    });
+  }
+};
+
+/**
+ * Delete a task
+ */
+const deleteTask = async (req, res) => {
+  try {
+    const task = await findTask(req);
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        error: 'Task not found'
+      });
+    }
+
+    await task.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    console.error('Delete task error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Server error'
+    });
+  }
+};
+
+/**
+ * Start the task reminder cron job
+ */
+const startCronJob = () => {
+  taskService.setupCronJob(cron);
+};
+
+module.exports = {
+  getTasks,
+  createTask,
+  updateTask,
+  deleteTask,
+  startCronJob
+};
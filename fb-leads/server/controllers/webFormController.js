@@ -0,0 +1,212 @@
+const { validationResult } = require('express-validator');
+const mongoose = require('mongoose');
+const WebForm = require('../models/WebForm');
+const webFormService = require('../services/webFormService');
+const pipelineService = require('../services/pipelineService');
+const customFieldService = require('../services/customFieldService');
+
+// Settings a member can change, as sent in the body
+const EDITABLE = [
+  'name', 'title', 'description', 'fields', 'submitLabel', 'successMessage',
+  'redirectUrl', 'allowedDomains', 'pipelineId', 'isActive'
+];
+
+/**
+ * Find one of the organization's website forms
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object|null>} WebForm document
+ */
+const findWebForm = (req) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return Promise.resolve(null);
+  }
+
+  return WebForm.findOne({ _id: req.params.id, organizationId: req.organizationId });
+};
+
+/**
+ * The form for the client, with its hosted page, embed and submit URLs
+ * @param {Object} req - Express request object
+ * @param {Object} form - WebForm document
+ * @returns {Object} Form
+ */
+const toClient = (req, form) => ({
+  ...form.toObject(),
+  urls: webFormService.getUrls(form, `${req.protocol}://${req.get('host')}`)
+});
+
+/**
+ * Check the settings in a request body beyond what the route validators can:
+ * the fields as a whole, and that the pipeline is the organization's
+ * @param {Object} req - Express request object
+ * @returns {Promise<string|null>} What's wrong, or null
+ */
+const checkSettings = async (req) => {
+  const { fields, pipelineId } = req.body;
+
+  if (fields !== undefined) {
+    const errors = webFormService.checkFields(fields, await customFieldService.getFields(req.organizationId));
+
+    if (errors.length > 0) {
+      return errors.join('; ');
+    }
+  }
+
+  if (pipelineId && !await pipelineService.findPipeline(req.organizationId, pipelineId)) {
+    return 'Pipeline not found';
+  }
+
+  return null;
+};
+
+/**
+ * Get the organization's website forms
+ */
+const getWebForms = async (req, res) => {
+  try {
+    const forms = await WebForm.find({ organizationId: req.organizationId }).sort({ name: 1 });
+
+    res.status(200).json({
+      success: true,
+      data: forms.map(form => toClient(req, form))
+    });
+  } catch (error) {
+    console.error('Get web forms error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+/**
+ * Create a website form
+ */
+const createWebForm = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const problem = await checkSettings(req);
+    if (problem) {
+      return res.status(400).json({
+        success: false,
+        error: problem
+      });
+    }
+
+    const settings = Object.fromEntries(EDITABLE.filter(key => req.body[key] !== undefined).map(key => [key, req.body[key]]));
+
+    const form = await WebForm.create({
+      ...settings,
+      organizationId: req.organizationId,
+      userId: req.userId
+    });
+
+    res.status(201).json({
+      success: true,
+      data: toClient(req, form)
+    });
+  } catch (error) {
+    console.error('Create web form error:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      error: error.message || 'Server error'
+    });
+  }
+};
+
+/**
+ * Change a website form's fields or settings. The public ID stays, so embed
+ * code already on sites keeps working.
+ */
+const updateWebForm = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const form = await findWebForm(req);
+
+    if (!form) {
+      return res.status(404).json({
+        success: false,
+        error: 'Form not found'
+      });
+    }
+
+    const problem = await checkSettings(req);
+    if (problem) {
+      return res.status(400).json({
+        success: false,
+        error: problem
+      });
+    }
+
+    EDITABLE.forEach(key => {
+      if (req.body[key] !== undefined) {
+        form[key] = req.body[key];
+      }
+    });
+
+    await form.save();
+
+    res.status(200).json({
+      success: true,
+      data: toClient(req, form)
+    });
+  } catch (error) {
+    console.error('Update web form error:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      error: error.message || 'Server error'
+    });
+  }
+};
+
+/**
+ * Delete a website form; its leads stay
+ */
+const deleteWebForm = async (req, res) => {
+  try {
+    const form = await findWebForm(req);
+
+    if (!form) {
+      return res.status(404).json({
+        success: false,
+        error: 'Form not found'
+      });
+    }
+
+    await form.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    console.error('Delete web form error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+module.exports = {
+  getWebForms,
+  createWebForm,
+  updateWebForm,
+  deleteWebForm
+};
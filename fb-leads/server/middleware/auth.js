@@ -1,5 +1,7 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Organization = require('../models/Organization');
+const { hasPermission } = require('../config/permissions');
 
 // Default JWT secret if not provided in environment variables
 const JWT_SECRET = process.env.JWT_SECRET || 'fb_leads_default_secret_key_for_development';
@@ -32,9 +34,15 @@ const auth = async (req, res, next) => {
       });
     }
 
-    // Add user to request object
+    // Accounts created before organizations get one on their first request
+    const organization = await Organization.ensureForUser(user);
+
+    // Add user and organization to request object
     req.user = user;
     req.userId = user._id;
+    req.organization = organization;
+    req.organizationId = organization._id;
+    req.role = organization.getRole(user._id);
     
     next();
   } catch (error) {
@@ -46,6 +54,25 @@ const auth = async (req, res, next) => {
   }
 };
 
+/**
+ * Only let members whose role has every one of the given permissions through.
+ * Use after auth.
+ * @param {...string} permissions - Permission names from config/permissions
+ * @returns {Function} Express middleware
+ */
+const requirePermission = (...permissions) => (req, res, next) => {
+  const missing = permissions.find(permission => !hasPermission(req.role, permission));
+
+  if (missing) {
+    return res.status(403).json({
+      success: false,
+      error: `Your role (${req.role || 'none'}) does not allow this action`
+    });
+  }
+
+  next();
+};
+
 /**
  * Generate JWT token for user
  */
@@ -57,4 +84,4 @@ const generateToken = (userId) => {
   );
 };
 
-module.exports = { auth, generateToken }; 
\ No newline at end of file
+module.exports = { auth, requirePermission, generateToken }; 
\ No newline at end of file
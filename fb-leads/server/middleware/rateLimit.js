@@ -0,0 +1,66 @@
+// Counts of every limiter, so resetRateLimits can start them over
+const counters = new Set();
+
+/**
+ * Limit how often a client may call a route: at most max requests per key
+ * in each window, answering the rest with 429. Counts are kept in memory,
+ * per server process, so each process of a cluster allows max on its own.
+ * Keys on req.ip by default, which behind a reverse proxy is the proxy's
+ * unless the app trusts it (TRUST_PROXY in server.js).
+ * @param {Object} options - Limit options
+ * @param {number} options.windowMs - Window length in milliseconds
+ * @param {number} options.max - Requests allowed per key and window
+ * @param {Function} [options.key] - Key for a request, its IP by default
+ * @param {string} [options.message] - Error for requests over the limit
+ * @returns {Function} Express middleware
+ */
+const rateLimit = ({ windowMs, max, key = req => req.ip, message = 'Too many requests, please try again later' }) => {
+  const hits = new Map();
+  counters.add(hits);
+  let nextSweep = Date.now() + windowMs;
+
+  const middleware = (req, res, next) => {
+    const now = Date.now();
+
+    // Forget finished windows now and then, so the map doesn't grow forever
+    if (now >= nextSweep) {
+      hits.forEach((entry, entryKey) => {
+        if (entry.resetAt <= now) {
+          hits.delete(entryKey);
+        }
+      });
+      nextSweep = now + windowMs;
+    }
+
+    const requestKey = key(req);
+    let entry = hits.get(requestKey);
+
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      hits.set(requestKey, entry);
+    }
+
+    entry.count++;
+
+    if (entry.count > max) {
+      res.set('Retry-After', String(Math.ceil((entry.resetAt - now) / 1000)));
+      return res.status(429).json({
+        success: false,
+        error: message
+      });
+    }
+
+    next();
+  };
+
+  return middleware;
+};
+
+/**
+ * Start every window of every limiter over, e.g. between tests
+ */
+const resetRateLimits = () => {
+  counters.forEach(hits => hits.clear());
+};
+
+module.exports = { rateLimit, resetRateLimits };
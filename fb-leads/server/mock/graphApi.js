@@ -0,0 +1,378 @@
+const express = require('express');
+const path = require('path');
+const fs = require('fs');
+
+// Stand-in for the parts of the Facebook Graph API the app uses, serving
+// fixture data so the app can be run and tested without a Facebook app.
+//
+//   npm run mock:graph
+//   FACEBOOK_GRAPH_API_URL=http://localhost:5055 npm run dev
+
+const DEFAULT_FIXTURES = path.join(__dirname, 'fixtures', 'graphApi.json');
+const DEFAULT_PORT = 5055;
+
+// Values used to split insights rows when a breakdown is requested
+const BREAKDOWN_VALUES = {
+  age: ['25-34', '35-44'],
+  gender: ['female', 'male'],
+  device_platform: ['mobile_app', 'desktop'],
+  publisher_platform: ['facebook', 'instagram']
+};
+
+const INSIGHT_METRICS = ['impressions', 'clicks', 'spend', 'reach'];
+
+/**
+ * Load fixture data from disk
+ * @param {string} [file] - Fixture file path
+ * @returns {Object} Fixture data
+ */
+const loadFixtures = (file = process.env.MOCK_GRAPH_FIXTURES || DEFAULT_FIXTURES) => {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+};
+
+/**
+ * Graph API error body
+ * @param {number} code - Facebook error code
+ * @param {string} message - Error message
+ * @param {string} [type] - Error type
+ * @returns {Object} Error body
+ */
+const graphError = (code, message, type = 'OAuthException') => ({
+  error: {
+    message,
+    type,
+    code,
+    fbtrace_id: `mock${Date.now().toString(36)}`
+  }
+});
+
+// Tokens starting with "expired" behave like an expired user token
+const isExpiredToken = token => typeof token === 'string' && token.startsWith('expired');
+
+const encodeCursor = offset => Buffer.from(String(offset)).toString('base64');
+const decodeCursor = cursor => parseInt(Buffer.from(String(cursor), 'base64').toString(), 10) || 0;
+
+/**
+ * Parse a Graph "since" value, either a unix timestamp or a date string
+ * @param {string} value - since query parameter
+ * @returns {number|null} Milliseconds since the epoch
+ */
+const parseSince = value => {
+  if (!value) {
+    return null;
+  }
+
+  if (/^\d+$/.test(value)) {
+    return parseInt(value, 10) * 1000;
+  }
+
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? null : time;
+};
+
+/**
+ * Create the mock Graph API app
+ * @param {Object} [options] - Options
+ * @param {Object} [options.fixtures] - Fixture data (defaults to mock/fixtures/graphApi.json)
+ * @param {Object} [options.appUsage] - Value sent in the X-App-Usage header
+ * @returns {Object} Express app, with failNext(), requests and reset() for tests
+ */
+const createMockGraphApi = (options = {}) => {
+  const fixtures = options.fixtures || loadFixtures();
+  const app = express();
+
+  // Errors to return for the next requests, queued with failNext()
+  let failures = [];
+  app.requests = [];
+
+  /**
+   * Make the next requests fail
+   * @param {Object} [error] - Error to return
+   * @param {number} [error.code] - Facebook error code (default: 2, a transient error)
+   * @param {number} [error.status] - HTTP status (default: 500 for code 1/2, otherwise 400)
+   * @param {string} [error.message] - Error message
+   * @param {number} [error.times] - Number of requests to fail (default: 1)
+   * @param {string} [error.path] - Only fail requests whose path contains this
+   */
+  app.failNext = ({ code = 2, status, message, times = 1, path: pathFilter } = {}) => {
+    for (let i = 0; i < times; i++) {
+      failures.push({
+        code,
+        status: status || ([1, 2].includes(code) ? 500 : 400),
+        message: message || `Mock error ${code}`,
+        path: pathFilter
+      });
+    }
+  };
+
+  // Forget queued failures and logged requests
+  app.reset = () => {
+    failures = [];
+    app.requests.length = 0;
+  };
+
+  app.use(express.json());
+
+  // Log requests, send usage headers and serve queued failures
+  app.use((req, res, next) => {
+    app.requests.push({ method: req.method, path: req.path, query: req.query });
+
+    res.set('X-App-Usage', JSON.stringify(options.appUsage || { call_count: 1, total_cputime: 1, total_time: 1 }));
+
+    const index = failures.findIndex(failure => !failure.path || req.path.includes(failure.path));
+    if (index !== -1) {
+      const [failure] = failures.splice(index, 1);
+      return res.status(failure.status).json(graphError(failure.code, failure.message));
+    }
+
+    next();
+  });
+
+  const router = express.Router();
+
+  // Every call except the token exchange needs an access token
+  router.use((req, res, next) => {
+    if (req.path === '/oauth/access_token') {
+      return next();
+    }
+
+    const token = req.query.access_token;
+
+    if (!token) {
+      return res.status(400).json(graphError(104, 'An access token is required to request this resource.'));
+    }
+
+    if (isExpiredToken(token) && req.path !== '/debug_token') {
+      return res.status(400).json(graphError(190, 'Error validating access token: Session has expired.'));
+    }
+
+    next();
+  });
+
+  router.get('/oauth/access_token', (req, res) => {
+    const { grant_type, client_id, client_secret, fb_exchange_token } = req.query;
+
+    if (grant_type !== 'fb_exchange_token' || !client_id || !client_secret || !fb_exchange_token) {
+      return res.status(400).json(graphError(100, 'Missing client_id, client_secret or fb_exchange_token.'));
+    }
+
+    if (isExpiredToken(fb_exchange_token)) {
+      return res.status(400).json(graphError(190, 'Error validating access token: Session has expired.'));
+    }
+
+    res.json({
+      access_token: `mock-long-lived-${fb_exchange_token}`,
+      token_type: 'bearer',
+      expires_in: 60 * 24 * 60 * 60
+    });
+  });
+
+  router.get('/debug_token', (req, res) => {
+    const { input_token } = req.query;
+
+    if (!input_token) {
+      return res.status(400).json(graphError(100, 'The parameter input_token is required.'));
+    }
+
+    const expired = isExpiredToken(input_token);
+    const expiresAt = Math.floor(Date.now() / 1000) + (expired ? -3600 : 60 * 24 * 60 * 60);
+
+    res.json({
+      data: {
+        app_id: fixtures.app.id,
+        type: 'USER',
+        application: fixtures.app.name,
+        data_access_expires_at: expiresAt,
+        expires_at: expiresAt,
+        is_valid: !expired,
+        scopes: ['pages_show_list', 'pages_read_engagement', 'leads_retrieval', 'ads_read'],
+        user_id: fixtures.user.id
+      }
+    });
+  });
+
+  router.get('/me', (req, res) => {
+    res.json(fixtures.user);
+  });
+
+  router.get('/me/accounts', (req, res) => {
+    res.json({ data: fixtures.pages });
+  });
+
+  router.get('/me/adaccounts', (req, res) => {
+    res.json({ data: fixtures.adAccounts.map(({ pageIds, ...account }) => account) });
+  });
+
+  router.get('/:pageId/leadgen_forms', (req, res) => {
+    const page = fixtures.pages.find(p => p.id === req.params.pageId);
+
+    if (!page) {
+      return res.status(400).json(graphError(100, `Unsupported get request. Object with ID '${req.params.pageId}' does not exist.`, 'GraphMethodException'));
+    }
+
+    const forms = fixtures.forms
+      .filter(form => form.page === page.id)
+      .map(({ page: pageId, questions, ...form }) => form);
+
+    res.json({ data: forms });
+  });
+
+  router.get('/:pageId/adaccounts', (req, res) => {
+    const accounts = fixtures.adAccounts
+      .filter(account => account.pageIds.includes(req.params.pageId))
+      .map(({ pageIds, ...account }) => account);
+
+    res.json({ data: accounts });
+  });
+
+  // Leads newest first, cursor-paged like the real endpoint
+  router.get('/:formId/leads', (req, res) => {
+    const form = fixtures.forms.find(f => f.id === req.params.formId);
+
+    if (!form) {
+      return res.status(400).json(graphError(100, `Unsupported get request. Object with ID '${req.params.formId}' does not exist.`, 'GraphMethodException'));
+    }
+
+    const since = parseSince(req.query.since);
+    const limit = Math.min(parseInt(req.query.limit, 10) || 25, 500);
+    const offset = req.query.after ? decodeCursor(req.query.after) : 0;
+
+    const leads = fixtures.leads
+      .filter(lead => lead.form_id === form.id)
+      .filter(lead => !since || Date.parse(lead.created_time) >= since)
+      .sort((a, b) => Date.parse(b.created_time) - Date.parse(a.created_time));
+
+    const page = leads.slice(offset, offset + limit);
+    const body = { data: page };
+
+    if (page.length > 0) {
+      body.paging = {
+        cursors: {
+          before: encodeCursor(offset),
+          after: encodeCursor(offset + page.length)
+        }
+      };
+
+      if (offset + page.length < leads.length) {
+        const next = new URL(`${req.protocol}://${req.get('host')}${req.originalUrl}`);
+        next.searchParams.set('after', body.paging.cursors.after);
+        body.paging.next = next.toString();
+      }
+    }
+
+    res.json(body);
+  });
+
+  router.get('/:adAccountId/insights', (req, res) => {
+    const rows = fixtures.insights[req.params.adAccountId];
+
+    if (!rows) {
+      return res.status(400).json(graphError(100, `Unsupported get request. Object with ID '${req.params.adAccountId}' does not exist.`, 'GraphMethodException'));
+    }
+
+    const breakdown = req.query.breakdowns;
+    const values = BREAKDOWN_VALUES[breakdown];
+
+    if (breakdown && !values) {
+      return res.status(400).json(graphError(100, `(#100) ${breakdown} is not a valid breakdown`));
+    }
+
+    let data = rows;
+
+    // Split each row evenly across the breakdown values
+    if (values) {
+      data = rows.flatMap(row => values.map(value => {
+        const split = { ...row, [breakdown]: value };
+        INSIGHT_METRICS.forEach(metric => {
+          split[metric] = String(Math.round((parseFloat(row[metric]) / values.length) * 100) / 100);
+        });
+        return split;
+      }));
+    }
+
+    res.json({
+      data: data.map(row => ({
+        ...row,
+        date_start: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10),
+        date_stop: new Date().toISOString().slice(0, 10)
+      })),
+      paging: { cursors: { before: encodeCursor(0), after: encodeCursor(data.length) } }
+    });
+  });
+
+  // Any single object: lead, form or page
+  router.get('/:objectId', (req, res) => {
+    const { objectId } = req.params;
+
+    const lead = fixtures.leads.find(l => l.id === objectId);
+    if (lead) {
+      return res.json(lead);
+    }
+
+    const form = fixtures.forms.find(f => f.id === objectId);
+    if (form) {
+      const page = fixtures.pages.find(p => p.id === form.page);
+      return res.json({
+        ...form,
+        page: page ? { id: page.id, name: page.name } : undefined
+      });
+    }
+
+    const page = fixtures.pages.find(p => p.id === objectId);
+    if (page) {
+      const { access_token, ...details } = page;
+      return res.json(details);
+    }
+
+    res.status(400).json(graphError(100, `Unsupported get request. Object with ID '${objectId}' does not exist.`, 'GraphMethodException'));
+  });
+
+  // Any version prefix works, e.g. /v18.0/me/accounts
+  app.use('/:version(v\\d+\\.\\d+)', router);
+
+  app.use((req, res) => {
+    res.status(404).json(graphError(2500, `Unknown path components: ${req.path}`));
+  });
+
+  return app;
+};
+
+/**
+ * Start the mock Graph API
+ * @param {Object} [options] - Options passed to createMockGraphApi
+ * @param {number} [options.port] - Port to listen on (0 picks a free port)
+ * @returns {Promise<Object>} The app, the http server and the base URL
+ */
+const startMockGraphApi = (options = {}) => {
+  const app = createMockGraphApi(options);
+  const port = options.port ?? DEFAULT_PORT;
+
+  return new Promise((resolve, reject) => {
+    const server = app.listen(port, () => {
+      resolve({
+        app,
+        server,
+        url: `http://127.0.0.1:${server.address().port}`
+      });
+    });
+    server.on('error', reject);
+  });
+};
+
+if (require.main === module) {
+  startMockGraphApi({ port: parseInt(process.env.MOCK_GRAPH_PORT, 10) || DEFAULT_PORT })
+    .then(({ url }) => {
+      console.log(`Mock Graph API running at ${url}`);
+      console.log(`Start the server with FACEBOOK_GRAPH_API_URL=${url} to use it`);
+    })
+    .catch(error => {
+      console.error('Failed to start mock Graph API:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  createMockGraphApi,
+  startMockGraphApi,
+  loadFixtures
+};
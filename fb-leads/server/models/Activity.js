@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+const TYPES = ['status_change', 'note', 'call', 'email', 'assignment', 'sync', 'merge', 'unmerge', 'archive', 'unarchive', 'import', 'created'];
+
+// Types members log by hand; the others are recorded by the app
+const MANUAL_TYPES = ['note', 'call', 'email'];
+
+// One entry on a lead's timeline
+const activitySchema = new mongoose.Schema({
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    default: null
+  },
+  lead: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lead',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: TYPES,
+    required: true
+  },
+  // Member who did it, who ran the import or added the lead; null for sync, routing and other automatic events
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Note text, or a summary of a call or email
+  body: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  // Lead the entry was first logged on, when it came over in a merge
+  mergedFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lead',
+    default: null
+  },
+  // Details by type, e.g. { from, to } for status changes and assignments
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, { timestamps: true });
+
+activitySchema.index({ lead: 1, createdAt: 1 });
+
+activitySchema.statics.TYPES = TYPES;
+activitySchema.statics.MANUAL_TYPES = MANUAL_TYPES;
+
+const Activity = mongoose.model('Activity', activitySchema);
+
+module.exports = Activity;
@@ -6,6 +6,12 @@ const analyticsSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  // Cache is shared by the organization; userId is the member who fetched it
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    default: null
+  },
   adAccountId: {
     type: String,
     required: true
@@ -34,7 +40,7 @@ const analyticsSchema = new mongoose.Schema({
 }, { timestamps: true });
 
 // Index for efficient queries and TTL
-analyticsSchema.index({ userId: 1, adAccountId: 1, datePreset: 1, breakdown: 1 });
+analyticsSchema.index({ organizationId: 1, adAccountId: 1, datePreset: 1, breakdown: 1 });
 analyticsSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // TTL index
 
 const Analytics = mongoose.model('Analytics', analyticsSchema);
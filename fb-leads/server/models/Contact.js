@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// A person behind one or more leads, matched by email or phone. Contacts are
+// created and grown at sync time; members never edit them directly.
+const contactSchema = new mongoose.Schema({
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+  // Name from the latest lead
+  fullName: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  // Normalized emails and phones of all the contact's leads
+  emails: [{
+    type: String
+  }],
+  phones: [{
+    type: String
+  }]
+}, { timestamps: true });
+
+contactSchema.index({ organizationId: 1, emails: 1 });
+contactSchema.index({ organizationId: 1, phones: 1 });
+
+const Contact = mongoose.model('Contact', contactSchema);
+
+module.exports = Contact;
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+const TYPES = ['text', 'number', 'date', 'select', 'multi_select', 'boolean'];
+
+// A workspace-defined lead field. Values live in Lead.customFields under the
+// field's key.
+const customFieldSchema = new mongoose.Schema({
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+  // Key in Lead.customFields; made from the name and never changes, so
+  // fields can be renamed freely
+  key: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Fixed once created, so stored values always match it
+  type: {
+    type: String,
+    enum: TYPES,
+    required: true
+  },
+  // Choices of select and multi-select fields
+  options: [{
+    type: String,
+    trim: true
+  }],
+  // Position in forms and exports, lowest first
+  order: {
+    type: Number,
+    default: 0
+  }
+}, { timestamps: true });
+
+customFieldSchema.index({ organizationId: 1, key: 1 }, { unique: true });
+
+customFieldSchema.statics.TYPES = TYPES;
+
+const CustomField = mongoose.model('CustomField', customFieldSchema);
+
+module.exports = CustomField;
@@ -1,11 +1,51 @@
 const mongoose = require('mongoose');
 
+// Lead attributes a form question can fill
+const FIELD_ATTRIBUTES = ['fullName', 'firstName', 'lastName', 'email', 'phone', 'city'];
+
+// Question keys and answer names are compared trimmed and without case
+const normalizeKey = (key) => String(key ?? '').trim().toLowerCase();
+
+// Where a question's answers go: a lead attribute, or a named custom field
+const fieldMappingSchema = new mongoose.Schema({
+  // Question key, as it appears in the lead's fieldData
+  key: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  // Question text, for display
+  label: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  attribute: {
+    type: String,
+    enum: [...FIELD_ATTRIBUTES, 'custom'],
+    required: true
+  },
+  // CustomField key when attribute is 'custom'
+  customField: {
+    type: String,
+    trim: true,
+    default: null
+  }
+}, { _id: false });
+
 const formSchema = new mongoose.Schema({
   userId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: true
   },
+  // Workspace the form belongs to; userId is the member who added it
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    default: null
+  },
   formId: {
     type: String,
     required: true,
@@ -33,6 +73,64 @@ const formSchema = new mongoose.Schema({
     ref: 'User.facebookApps',
     default: null
   },
+  // Pipeline new leads from this form go into; null for the organization's default
+  pipelineId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Pipeline',
+    default: null
+  },
+  // Minutes a new lead from this form has to be contacted in; null for no target
+  slaMinutes: {
+    type: Number,
+    min: 1,
+    default: null
+  },
+  // When the target was set; leads submitted before it, or before the form
+  // was added, have none
+  slaSince: {
+    type: Date,
+    default: null
+  },
+  // Country phone numbers without a country code are read as, e.g. "IN";
+  // null for the organization's default
+  defaultCountry: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    default: null
+  },
+  // Question answers copied onto lead attributes and custom fields as leads
+  // sync; questions without a mapping only live in the lead's fieldData
+  fieldMappings: [fieldMappingSchema],
+  // Each save of the mappings bumps mappingsVersion, and the stored leads are
+  // re-mapped in the background until mappingsAppliedVersion catches up.
+  // Meanwhile previousFieldMappings holds the mappings leads may still have
+  // been mapped with, and mappingsAppliedThrough the last lead done, by _id,
+  // for a restart to carry on from.
+  mappingsVersion: {
+    type: Number,
+    default: 0
+  },
+  mappingsAppliedVersion: {
+    type: Number,
+    default: 0
+  },
+  previousFieldMappings: [fieldMappingSchema],
+  mappingsAppliedThrough: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  // Members new leads from this form are shared between, in turn, when no
+  // routing rule matches
+  agents: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Round-robin position in agents
+  routingCursor: {
+    type: Number,
+    default: 0
+  },
   lastFetchedAt: {
     type: Date,
     default: null
@@ -51,8 +149,15 @@ const formSchema = new mongoose.Schema({
   }
 }, { timestamps: true });
 
-// Compound index to ensure uniqueness of formId per user
-formSchema.index({ userId: 1, formId: 1 }, { unique: true });
+// A form can only be added once per organization. Forms of accounts that
+// haven't been moved into an organization yet have no organizationId.
+formSchema.index(
+  { organizationId: 1, formId: 1 },
+  { unique: true, partialFilterExpression: { organizationId: { $type: 'objectId' } } }
+);
+
+formSchema.statics.FIELD_ATTRIBUTES = FIELD_ATTRIBUTES;
+formSchema.statics.normalizeKey = normalizeKey;
 
 const Form = mongoose.model('Form', formSchema);
 
@@ -0,0 +1,138 @@
+const mongoose = require('mongoose');
+const Form = require('./Form');
+
+// Lead attributes a spreadsheet column can fill: those a form question can,
+// plus when the lead came in, its stage and its tags
+const IMPORT_ATTRIBUTES = [...Form.FIELD_ATTRIBUTES, 'createdTime', 'status', 'tags'];
+
+// What to do with a row matching a lead already stored, by email or phone:
+// leave the lead alone, fill in the row's values, or add the row anyway
+const STRATEGIES = ['skip', 'update', 'create'];
+const MATCH_BY = ['email', 'phone'];
+
+const STATUSES = ['pending', 'queued', 'running', 'completed', 'failed'];
+
+// Where a column's values go: a lead attribute, or a custom field
+const importMappingSchema = new mongoose.Schema({
+  // Index of the column in the file
+  column: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  attribute: {
+    type: String,
+    enum: [...IMPORT_ATTRIBUTES, 'custom'],
+    required: true
+  },
+  // CustomField key when attribute is 'custom'
+  customField: {
+    type: String,
+    trim: true,
+    default: null
+  }
+}, { _id: false });
+
+const importErrorSchema = new mongoose.Schema({
+  // Row number as the spreadsheet shows it, the header being row 1
+  row: {
+    type: Number,
+    required: true
+  },
+  message: {
+    type: String,
+    required: true
+  }
+}, { _id: false });
+
+// A CSV or XLSX file of leads being imported. It is uploaded first (pending),
+// mapped and previewed, then started and run in the background, checkpointing
+// how many rows are done so a restart picks it up where it stopped. The
+// file's rows are ImportRows.
+const importJobSchema = new mongoose.Schema({
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+  // Member who uploaded the file; imported leads are brought in by them
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  fileName: {
+    type: String,
+    trim: true,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: STATUSES,
+    default: 'pending'
+  },
+  // The file's header row
+  headers: [String],
+  mapping: [importMappingSchema],
+  strategy: {
+    type: String,
+    enum: STRATEGIES,
+    default: 'skip'
+  },
+  matchBy: {
+    type: String,
+    enum: MATCH_BY,
+    default: 'email'
+  },
+  total: {
+    type: Number,
+    default: 0
+  },
+  processed: {
+    type: Number,
+    default: 0
+  },
+  inserted: {
+    type: Number,
+    default: 0
+  },
+  updated: {
+    type: Number,
+    default: 0
+  },
+  skipped: {
+    type: Number,
+    default: 0
+  },
+  failed: {
+    type: Number,
+    default: 0
+  },
+  // The first row errors, to show with the progress; every failed row is
+  // kept as an ImportRow
+  importErrors: [importErrorSchema],
+  // Why the whole import failed, as opposed to single rows
+  error: {
+    type: String,
+    default: null
+  },
+  startedAt: {
+    type: Date,
+    default: null
+  },
+  finishedAt: {
+    type: Date,
+    default: null
+  }
+}, { timestamps: true });
+
+importJobSchema.index({ organizationId: 1, createdAt: -1 });
+importJobSchema.index({ status: 1 });
+
+importJobSchema.statics.IMPORT_ATTRIBUTES = IMPORT_ATTRIBUTES;
+importJobSchema.statics.STRATEGIES = STRATEGIES;
+importJobSchema.statics.MATCH_BY = MATCH_BY;
+
+const ImportJob = mongoose.model('ImportJob', importJobSchema);
+
+module.exports = ImportJob;
@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// A data row of an import's file, as text. Rows are kept apart from their
+// ImportJob so a big file doesn't outgrow one document. Once the import
+// finishes only the failed rows are kept, with why, for the error report.
+const importRowSchema = new mongoose.Schema({
+  importId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ImportJob',
+    required: true
+  },
+  // Index of the row below the header; the spreadsheet shows it as index + 2
+  index: {
+    type: Number,
+    required: true
+  },
+  values: [String],
+  // Why the row couldn't be imported
+  error: {
+    type: String,
+    default: null
+  }
+});
+
+importRowSchema.index({ importId: 1, index: 1 }, { unique: true });
+
+const ImportRow = mongoose.model('ImportRow', importRowSchema);
+
+module.exports = ImportRow;
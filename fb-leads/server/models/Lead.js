@@ -1,4 +1,8 @@
 const mongoose = require('mongoose');
+const provenanceSchema = require('./schemas/provenanceSchema');
+
+// Where leads come from, each handled by an adapter in services/leadSources
+const SOURCES = ['facebook_lead_ad', 'website_form', 'manual', 'import', 'api'];
 
 const leadSchema = new mongoose.Schema({
   userId: {
@@ -6,12 +10,33 @@ const leadSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  // Workspace the lead belongs to; userId is the member who brought it in, by sync, import or by hand
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    default: null
+  },
+  // Where the lead came from, and the details of it in that source's terms
+  source: {
+    type: String,
+    enum: SOURCES,
+    default: 'facebook_lead_ad'
+  },
+  provenance: {
+    type: provenanceSchema,
+    default: {}
+  },
+  // Form the lead was submitted on: the Facebook lead form, or the website
+  // form's public ID; null for leads added by hand, imported or sent by the API
   formId: {
     type: String,
-    required: true,
-    trim: true
+    required: function() {
+      return this.source === 'facebook_lead_ad';
+    },
+    trim: true,
+    default: null
   },
-  // New fields for form and page information
+  // Form name, and the Facebook page of lead ads
   formName: {
     type: String,
     trim: true,
@@ -27,10 +52,13 @@ const leadSchema = new mongoose.Schema({
     trim: true,
     default: null
   },
+  // Unique in the organization across sources: Facebook's ID for lead ads,
+  // and for the others the source's prefix and an ID of its own, e.g.
+  // "manual_" and an ObjectId (see services/leadSources). Organizations
+  // tracking the same Facebook form each keep their own copy of its leads.
   leadId: {
     type: String,
     required: true,
-    unique: true,
     trim: true
   },
   fullName: {
@@ -44,11 +72,44 @@ const leadSchema = new mongoose.Schema({
     lowercase: true,
     default: null
   },
+  // Name parts and city, from questions mapped onto them
+  firstName: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  lastName: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  city: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  // Phone as entered on the form
   phone: {
     type: String,
     trim: true,
     default: null
   },
+  // The phone in E.164, e.g. +919876543210; null when it isn't a valid number
+  phoneE164: {
+    type: String,
+    default: null
+  },
+  // Whether the phone is a valid number; null for leads without one
+  phoneValid: {
+    type: Boolean,
+    default: null
+  },
+  // The phone's digits without its country code or trunk zeros, e.g.
+  // 9876543210, so searches can match the start of national numbers
+  phoneDigits: {
+    type: String,
+    default: null
+  },
   createdTime: {
     type: Date,
     required: true
@@ -57,19 +118,126 @@ const leadSchema = new mongoose.Schema({
     name: String,
     value: mongoose.Schema.Types.Mixed
   }],
+  // Values of the organization's custom fields, by field key, typed as the
+  // field is (see CustomField)
+  customFields: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // The lead as its source sent it, e.g. Facebook's ad details
   rawData: {
     type: mongoose.Schema.Types.Mixed,
     default: {}
   },
+  // Pipeline the lead moves through; null until the organization's default
+  // pipeline is created
+  pipelineId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Pipeline',
+    default: null
+  },
+  // Key of the lead's stage in its pipeline
   status: {
     type: String,
-    enum: ['new', 'contacted', 'qualified', 'converted', 'lost'],
+    trim: true,
     default: 'new'
   },
+  // Free-text notes from before the activity timeline; moved onto the
+  // timeline the first time it's read
   notes: {
     type: String,
     default: null
   },
+  // The bodies of the lead's timeline notes, kept here so search can index them
+  noteText: {
+    type: String,
+    default: '',
+    select: false
+  },
+  // Member responsible for the lead; agents only see leads assigned to them
+  assignedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  assignedAt: {
+    type: Date,
+    default: null
+  },
+  // Routing rule that assigned the lead, if any
+  routingRule: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RoutingRule',
+    default: null
+  },
+  // When the lead first left its pipeline's first stage
+  firstContactedAt: {
+    type: Date,
+    default: null
+  },
+  // Speed-to-lead target from the form's SLA when the lead arrived; null for none
+  slaDueAt: {
+    type: Date,
+    default: null
+  },
+  // When the lead is about to breach its SLA, and when that was alerted
+  slaWarnAt: {
+    type: Date,
+    default: null
+  },
+  slaAlertedAt: {
+    type: Date,
+    default: null
+  },
+  // Person the lead belongs to, shared with their other submissions
+  contact: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Contact',
+    default: null
+  },
+  // Lead this duplicate was merged into; merged leads are hidden from lists
+  mergedInto: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lead',
+    default: null
+  },
+  mergedAt: {
+    type: Date,
+    default: null
+  },
+  // Tag names, like "VIP" or "wrong number" (see Tag)
+  tags: [{
+    type: String,
+    trim: true
+  }],
+  // Archived leads are hidden from lists, counts and routing but kept
+  archivedAt: {
+    type: Date,
+    default: null
+  },
+  // Sum of the points of the scoring rules the lead matches, and which they were
+  score: {
+    type: Number,
+    default: 0
+  },
+  scoreBreakdown: [{
+    _id: false,
+    rule: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ScoringRule'
+    },
+    name: String,
+    points: Number
+  }],
+  scoredAt: {
+    type: Date,
+    default: null
+  },
+  // When a recency rule the lead matches stops applying, so the score drops
+  scoreExpiresAt: {
+    type: Date,
+    default: null
+  },
   lastSyncedAt: {
     type: Date,
     default: Date.now
@@ -77,7 +245,44 @@ const leadSchema = new mongoose.Schema({
 }, { timestamps: true });
 
 // Compound index for faster queries
+leadSchema.index({ organizationId: 1, leadId: 1 }, { unique: true });
 leadSchema.index({ userId: 1, formId: 1, createdTime: -1 });
+leadSchema.index({ organizationId: 1, formId: 1, createdTime: -1 });
+leadSchema.index({ organizationId: 1, assignedTo: 1, createdTime: -1 });
+leadSchema.index({ organizationId: 1, pipelineId: 1, status: 1 });
+leadSchema.index({ contact: 1, createdTime: -1 });
+leadSchema.index({ mergedInto: 1 });
+leadSchema.index({ organizationId: 1, tags: 1 });
+// Imports look for leads a row duplicates by email or phone
+leadSchema.index({ organizationId: 1, email: 1 });
+leadSchema.index({ organizationId: 1, phoneE164: 1 });
+leadSchema.index({ organizationId: 1, phoneDigits: 1 });
+leadSchema.index({ organizationId: 1, score: -1 });
+leadSchema.index({ organizationId: 1, source: 1, createdTime: -1 });
+leadSchema.index({ scoreExpiresAt: 1 });
+// Custom field filters; fields differ per organization, so one wildcard index covers them
+leadSchema.index({ 'customFields.$**': 1 });
+// Lead search. No language, so names and emails are matched as written
+// rather than stemmed, and contact details outrank answers and ad names
+leadSchema.index({
+  fullName: 'text',
+  email: 'text',
+  phone: 'text',
+  notes: 'text',
+  noteText: 'text',
+  'fieldData.value': 'text',
+  'rawData.campaignName': 'text',
+  'rawData.adsetName': 'text',
+  'rawData.adName': 'text'
+}, {
+  name: 'lead_search',
+  default_language: 'none',
+  weights: { fullName: 10, email: 8, phone: 8, 'fieldData.value': 3, notes: 2, noteText: 2 }
+});
+// Uncontacted leads nearing their SLA
+leadSchema.index({ firstContactedAt: 1, slaAlertedAt: 1, slaWarnAt: 1 });
+
+leadSchema.statics.SOURCES = SOURCES;
 
 const Lead = mongoose.model('Lead', leadSchema);
 
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+const TYPES = ['task_due', 'sla_warning', 'segment_lead'];
+
+// An in-app notification for one member
+const notificationSchema = new mongoose.Schema({
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: TYPES,
+    required: true
+  },
+  title: {
+    type: String,
+    required: true
+  },
+  body: {
+    type: String,
+    default: ''
+  },
+  // App path to open, e.g. the lead's page
+  link: {
+    type: String,
+    default: null
+  },
+  // Details by type, e.g. { taskId, leadId } for task reminders,
+  // { leadId, slaDueAt } for SLA warnings or { leadId, segmentId } for new
+  // leads in a segment
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  readAt: {
+    type: Date,
+    default: null
+  }
+}, { timestamps: true });
+
+notificationSchema.index({ user: 1, organizationId: 1, createdAt: -1 });
+
+notificationSchema.statics.TYPES = TYPES;
+
+const Notification = mongoose.model('Notification', notificationSchema);
+
+module.exports = Notification;
@@ -0,0 +1,180 @@
+const mongoose = require('mongoose');
+const facebookAppSchema = require('./schemas/facebookAppSchema');
+const User = require('./User');
+const Form = require('./Form');
+const Lead = require('./Lead');
+const Analytics = require('./Analytics');
+const SyncRun = require('./SyncRun');
+const { ROLES } = require('../config/permissions');
+
+const memberSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  role: {
+    type: String,
+    enum: ROLES,
+    default: 'agent'
+  },
+  joinedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Most open leads routing will assign to the member (null for no limit)
+  maxOpenLeads: {
+    type: Number,
+    min: 0,
+    default: null
+  }
+}, { _id: false });
+
+// A workspace shared by a team. It owns the Facebook apps, forms, leads and
+// analytics cache, so every member works from the same data.
+const organizationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  members: [memberSchema],
+  // Country lead phone numbers without a country code are read as, e.g. "IN"
+  defaultCountry: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    default: null
+  },
+  facebookApps: [facebookAppSchema],
+  // Legacy single token, carried over from accounts created before apps existed
+  accessToken: {
+    type: String,
+    default: null
+  },
+  // Facebook App ID and Secret for generating long-lived tokens
+  facebookAppId: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  facebookAppSecret: {
+    type: String,
+    trim: true,
+    default: null
+  }
+}, { timestamps: true });
+
+organizationSchema.index({ 'members.user': 1 });
+
+// Data models that belong to an organization
+const OWNED_MODELS = [Form, Lead, Analytics, SyncRun];
+
+/**
+ * Get a user's organization, creating one for accounts that predate
+ * organizations. The new organization takes over the user's Facebook apps
+ * and credentials, and the user's forms, leads, analytics and sync runs.
+ * @param {Object} user - User document
+ * @returns {Promise<Object>} Organization document
+ */
+organizationSchema.statics.ensureForUser = async function(user) {
+  if (user.organizationId) {
+    const organization = await this.findById(user.organizationId);
+    if (organization) {
+      return organization;
+    }
+  }
+
+  const organization = await this.create({
+    name: `${user.name}'s workspace`,
+    members: [{ user: user._id, role: 'owner' }],
+    // Keep the app _ids, forms point at them through facebookAppId
+    facebookApps: (user.facebookApps || []).map(app => (app.toObject ? app.toObject() : app)),
+    accessToken: user.accessToken || null,
+    facebookAppId: user.facebookAppId || null,
+    facebookAppSecret: user.facebookAppSecret || null
+  });
+
+  // Only one concurrent request gets to attach its organization
+  const result = await User.updateOne(
+    { _id: user._id, organizationId: user.organizationId || null },
+    { $set: { organizationId: organization._id } }
+  );
+
+  if (result.modifiedCount === 0) {
+    await organization.deleteOne();
+    const current = await User.findById(user._id).select('organizationId');
+    user.organizationId = current.organizationId;
+    return this.findById(current.organizationId);
+  }
+
+  user.organizationId = organization._id;
+
+  await Promise.all(OWNED_MODELS.map(Model => Model.updateMany(
+    { userId: user._id, organizationId: null },
+    { $set: { organizationId: organization._id } }
+  )));
+
+  console.log(`[Organization] Created workspace ${organization._id} for user ${user._id}`);
+  return organization;
+};
+
+/**
+ * Get a member entry
+ * @param {string} userId - User ID
+ * @returns {Object|undefined} Member entry
+ */
+organizationSchema.methods.getMember = function(userId) {
+  // members.user may be populated
+  return this.members.find(member => member.user && (member.user._id || member.user).toString() === userId.toString());
+};
+
+/**
+ * Get a member's role
+ * @param {string} userId - User ID
+ * @returns {string|null} Role, or null for non-members
+ */
+organizationSchema.methods.getRole = function(userId) {
+  return this.getMember(userId)?.role || null;
+};
+
+/**
+ * Find a Facebook app by its document ID
+ * @param {string} appId - App _id
+ * @returns {Object|undefined} App subdocument
+ */
+organizationSchema.methods.findApp = function(appId) {
+  return this.facebookApps.find(app => app._id.toString() === appId.toString());
+};
+
+/**
+ * Access token to use when no particular app is asked for: the first app
+ * with a token, otherwise the legacy token
+ * @returns {string|null} Access token
+ */
+organizationSchema.methods.getAccessToken = function() {
+  const app = this.facebookApps.find(app => app.accessToken);
+  return app ? app.accessToken : this.accessToken || null;
+};
+
+/**
+ * Remove a Facebook app by document ID or Facebook app ID
+ * @param {string} appId - App _id or appId
+ * @returns {Promise<boolean>} Whether an app was removed
+ */
+organizationSchema.methods.deleteApp = async function(appId) {
+  const originalLength = this.facebookApps.length;
+
+  this.facebookApps = this.facebookApps.filter(app => app._id.toString() !== appId && app.appId !== appId);
+
+  if (this.facebookApps.length === originalLength) {
+    return false;
+  }
+
+  await this.save();
+  return true;
+};
+
+const Organization = mongoose.model('Organization', organizationSchema);
+
+module.exports = Organization;
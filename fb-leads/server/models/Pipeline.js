@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+
+// Colors the client knows how to render a stage badge in
+const COLORS = ['gray', 'blue', 'indigo', 'purple', 'pink', 'red', 'orange', 'yellow', 'green', 'teal'];
+
+// Whether a lead in the stage is still being worked, or closed as won or lost
+const OUTCOMES = ['open', 'won', 'lost'];
+
+// The statuses every lead had before pipelines existed
+const DEFAULT_STAGES = [
+  { key: 'new', name: 'New', color: 'blue', outcome: 'open' },
+  { key: 'contacted', name: 'Contacted', color: 'yellow', outcome: 'open' },
+  { key: 'qualified', name: 'Qualified', color: 'green', outcome: 'open' },
+  { key: 'converted', name: 'Converted', color: 'purple', outcome: 'won' },
+  { key: 'lost', name: 'Lost', color: 'red', outcome: 'lost' }
+];
+
+const stageSchema = new mongoose.Schema({
+  // Stored in Lead.status; never changes, so stages can be renamed freely
+  key: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  color: {
+    type: String,
+    enum: COLORS,
+    default: 'gray'
+  },
+  outcome: {
+    type: String,
+    enum: OUTCOMES,
+    default: 'open'
+  }
+}, { _id: false });
+
+// An organization's ordered sales stages. Each form feeds one pipeline; forms
+// without one use the organization's default.
+const pipelineSchema = new mongoose.Schema({
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  stages: {
+    type: [stageSchema],
+    validate: [
+      {
+        validator: stages => stages.length > 0,
+        message: 'A pipeline needs at least one stage'
+      },
+      {
+        validator: stages => new Set(stages.map(stage => stage.key)).size === stages.length,
+        message: 'Stage keys must be unique within a pipeline'
+      }
+    ]
+  }
+}, { timestamps: true });
+
+// One default pipeline per organization
+pipelineSchema.index({ organizationId: 1 }, { unique: true, partialFilterExpression: { isDefault: true } });
+
+/**
+ * Find a stage by key
+ * @param {string} key - Stage key
+ * @returns {Object|null} Stage
+ */
+pipelineSchema.methods.getStage = function(key) {
+  return this.stages.find(stage => stage.key === key) || null;
+};
+
+pipelineSchema.statics.COLORS = COLORS;
+pipelineSchema.statics.OUTCOMES = OUTCOMES;
+pipelineSchema.statics.DEFAULT_STAGES = DEFAULT_STAGES;
+
+const Pipeline = mongoose.model('Pipeline', pipelineSchema);
+
+module.exports = Pipeline;
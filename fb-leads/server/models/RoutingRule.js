@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+
+const OPERATORS = ['equals', 'not_equals', 'contains', 'in', 'gt', 'gte', 'lt', 'lte', 'exists'];
+
+const conditionSchema = new mongoose.Schema({
+  // Lead fieldData name, e.g. "city" or "budget"
+  field: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true
+  },
+  operator: {
+    type: String,
+    enum: OPERATORS,
+    default: 'equals'
+  },
+  // Compared against the answer; "in" takes a list, gt/gte/lt/lte a number
+  value: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  }
+}, { _id: false });
+
+// Sends new leads whose answers match the conditions to a set of members, in
+// turn. Rules are tried in priority order before a form's own agents.
+const routingRuleSchema = new mongoose.Schema({
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // Lower numbers are tried first
+  priority: {
+    type: Number,
+    default: 0
+  },
+  // Facebook form IDs the rule applies to; empty for every form
+  formIds: [{
+    type: String,
+    trim: true
+  }],
+  // Whether all or any of the conditions must match. A rule without
+  // conditions matches every lead.
+  match: {
+    type: String,
+    enum: ['all', 'any'],
+    default: 'all'
+  },
+  conditions: [conditionSchema],
+  assignees: {
+    type: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }],
+    validate: {
+      validator: assignees => assignees.length > 0,
+      message: 'A routing rule needs at least one assignee'
+    }
+  },
+  // Round-robin position in assignees
+  cursor: {
+    type: Number,
+    default: 0
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, { timestamps: true });
+
+routingRuleSchema.index({ organizationId: 1, priority: 1 });
+
+routingRuleSchema.statics.OPERATORS = OPERATORS;
+
+const RoutingRule = mongoose.model('RoutingRule', routingRuleSchema);
+
+module.exports = RoutingRule;
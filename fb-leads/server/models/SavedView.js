@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+// Lead list columns a view can show; the lead itself and its actions always show
+const COLUMNS = ['contact', 'source', 'campaign', 'date', 'score', 'status'];
+
+// Lead list orders a view can use (see /api/leads ?sort=)
+const SORTS = ['-createdTime', 'createdTime', '-score', 'score', 'relevance'];
+
+// A named leads list setup: the filter bar's state, the order and the
+// columns. Private views are only listed for the member who saved them.
+const savedViewSchema = new mongoose.Schema({
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Filter bar values by name, e.g. { status: 'qualified', dateRange: 'week' }
+  filters: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  sort: {
+    type: String,
+    enum: SORTS,
+    default: '-createdTime'
+  },
+  columns: {
+    type: [{
+      type: String,
+      enum: COLUMNS
+    }],
+    default: () => [...COLUMNS]
+  },
+  // Listed for the whole team rather than only its creator
+  shared: {
+    type: Boolean,
+    default: false
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, { timestamps: true });
+
+savedViewSchema.index({ organizationId: 1, createdBy: 1 });
+savedViewSchema.index({ organizationId: 1, shared: 1 });
+
+savedViewSchema.statics.COLUMNS = COLUMNS;
+savedViewSchema.statics.SORTS = SORTS;
+
+const SavedView = mongoose.model('SavedView', savedViewSchema);
+
+module.exports = SavedView;
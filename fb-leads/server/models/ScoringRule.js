@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+const RoutingRule = require('./RoutingRule');
+
+// What a rule looks at: form answers, the platform the lead came from, its
+// campaign, ad set or ad, which contact details it has, or how new it is
+const CRITERIA = ['answer', 'platform', 'campaign', 'completeness', 'recency'];
+const CAMPAIGN_SOURCES = ['campaign', 'adset', 'ad'];
+const CONTACT_FIELDS = ['fullName', 'email', 'phone'];
+
+// Answer conditions work as in routing rules
+const conditionSchema = new mongoose.Schema({
+  field: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true
+  },
+  operator: {
+    type: String,
+    enum: RoutingRule.OPERATORS,
+    default: 'equals'
+  },
+  value: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  }
+}, { _id: false });
+
+// Adds points to the score of every lead it matches. A lead's score is the
+// sum of the points of the organization's active rules that match it.
+const scoringRuleSchema = new mongoose.Schema({
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  criterion: {
+    type: String,
+    enum: CRITERIA,
+    required: true
+  },
+  // Negative points mark leads down
+  points: {
+    type: Number,
+    required: true
+  },
+  // answer: whether all or any of the conditions must hold
+  match: {
+    type: String,
+    enum: ['all', 'any'],
+    default: 'all'
+  },
+  conditions: [conditionSchema],
+  // platform: platforms that score, e.g. "ig"; campaign: parts of the name
+  values: [{
+    type: String,
+    trim: true
+  }],
+  // campaign: which name the values are looked for in
+  source: {
+    type: String,
+    enum: CAMPAIGN_SOURCES,
+    default: 'campaign'
+  },
+  // completeness: contact details the lead must all have
+  contactFields: [{
+    type: String,
+    enum: CONTACT_FIELDS
+  }],
+  // recency: leads created less than this many hours ago score
+  withinHours: {
+    type: Number,
+    min: 1,
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, { timestamps: true });
+
+scoringRuleSchema.index({ organizationId: 1, createdAt: 1 });
+
+scoringRuleSchema.statics.CRITERIA = CRITERIA;
+scoringRuleSchema.statics.CAMPAIGN_SOURCES = CAMPAIGN_SOURCES;
+scoringRuleSchema.statics.CONTACT_FIELDS = CONTACT_FIELDS;
+
+const ScoringRule = mongoose.model('ScoringRule', scoringRuleSchema);
+
+module.exports = ScoringRule;
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// A named, dynamic group of leads: whichever leads match its filters at the
+// time. Lists, exports and bulk actions can target it with ?segmentId=, and
+// subscribers are notified of new leads that fall in it.
+const segmentSchema = new mongoose.Schema({
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  // /api/leads filters by name, e.g. { status: 'new', tags: 'VIP', minScore: '50' },
+  // plus createdWithin, a number of days back from now
+  filters: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Members notified when a new lead they can see matches
+  subscribers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, { timestamps: true });
+
+segmentSchema.index({ organizationId: 1, name: 1 });
+
+const Segment = mongoose.model('Segment', segmentSchema);
+
+module.exports = Segment;
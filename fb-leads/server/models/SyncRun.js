@@ -0,0 +1,151 @@
+const mongoose = require('mongoose');
+
+const syncErrorSchema = new mongoose.Schema({
+  leadId: {
+    type: String,
+    default: null
+  },
+  message: {
+    type: String,
+    required: true
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const syncRunSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    default: null
+  },
+  form: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Form',
+    required: true
+  },
+  formId: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  trigger: {
+    type: String,
+    enum: ['manual', 'cron'],
+    default: 'manual'
+  },
+  status: {
+    type: String,
+    // partial: every page was fetched but some leads couldn't be stored
+    enum: ['running', 'completed', 'partial', 'failed'],
+    default: 'running'
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  finishedAt: {
+    type: Date,
+    default: null
+  },
+  // Only leads created after this time were requested
+  since: {
+    type: Date,
+    default: null
+  },
+  // Paging cursor the run started from (set when resuming a failed run)
+  startCursor: {
+    type: String,
+    default: null
+  },
+  // Cursor of the next page still to fetch; null once every page is stored
+  cursor: {
+    type: String,
+    default: null
+  },
+  // Newest lead createdTime stored so far; becomes "since" for the next run.
+  // A run that couldn't store some leads ends with it before the oldest of
+  // them, so the next run fetches them again.
+  watermark: {
+    type: Date,
+    default: null
+  },
+  // createdTime of the oldest lead this run, or the failed run it resumes,
+  // couldn't store
+  retryFrom: {
+    type: Date,
+    default: null
+  },
+  pages: {
+    type: Number,
+    default: 0
+  },
+  fetched: {
+    type: Number,
+    default: 0
+  },
+  inserted: {
+    type: Number,
+    default: 0
+  },
+  updated: {
+    type: Number,
+    default: 0
+  },
+  syncErrors: [syncErrorSchema]
+}, { timestamps: true });
+
+syncRunSchema.index({ form: 1, startedAt: -1 });
+syncRunSchema.index({ organizationId: 1, startedAt: -1 });
+
+/**
+ * Work out where the next run for a form should start
+ * @param {Object} form - Form document
+ * @returns {Promise<Object>} Checkpoint with since, cursor, watermark,
+ * retryFrom and whether the form has been synced before
+ */
+syncRunSchema.statics.getCheckpoint = async function(form) {
+  const lastRun = await this.findOne({
+    form: form._id,
+    status: { $ne: 'running' }
+  }).sort({ startedAt: -1 });
+
+  if (!lastRun) {
+    return { since: null, cursor: null, watermark: null, retryFrom: null, firstRun: true };
+  }
+
+  if (lastRun.status === 'completed' || lastRun.status === 'partial') {
+    return {
+      since: lastRun.watermark || lastRun.since,
+      cursor: null,
+      watermark: lastRun.watermark,
+      retryFrom: null,
+      firstRun: false
+    };
+  }
+
+  // A failed run is resumed from the page it stopped at, with the same
+  // "since" so nothing between the two runs is skipped. If it failed before
+  // storing a single page of a resumed cursor, the cursor has probably
+  // expired, so start the window again from the top.
+  const cursorExpired = lastRun.startCursor && lastRun.pages === 0;
+
+  return {
+    since: lastRun.since,
+    cursor: cursorExpired ? null : lastRun.cursor,
+    watermark: lastRun.watermark,
+    retryFrom: lastRun.retryFrom,
+    firstRun: false
+  };
+};
+
+const SyncRun = mongoose.model('SyncRun', syncRunSchema);
+
+module.exports = SyncRun;
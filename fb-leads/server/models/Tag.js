@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// Tag colors, the same as pipeline stages'
+const COLORS = ['gray', 'blue', 'indigo', 'purple', 'pink', 'red', 'orange', 'yellow', 'green', 'teal'];
+
+// A lead tag of the workspace. Leads hold tags by name in Lead.tags; this
+// keeps the color and lets tags be renamed and merged everywhere at once.
+const tagSchema = new mongoose.Schema({
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+  // Unique in the workspace, ignoring case
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 50
+  },
+  color: {
+    type: String,
+    enum: COLORS,
+    default: 'gray'
+  }
+}, { timestamps: true });
+
+tagSchema.index({ organizationId: 1, name: 1 }, { unique: true, collation: { locale: 'en', strength: 2 } });
+
+tagSchema.statics.COLORS = COLORS;
+
+const Tag = mongoose.model('Tag', tagSchema);
+
+module.exports = Tag;
@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+const TYPES = ['call', 'email', 'meeting'];
+
+// A follow-up on a lead, due at a set time
+const taskSchema = new mongoose.Schema({
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+  lead: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lead',
+    required: true
+  },
+  // Lead the task was first added to, when it came over in a merge
+  mergedFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lead',
+    default: null
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: TYPES,
+    default: 'call'
+  },
+  dueAt: {
+    type: Date,
+    required: true
+  },
+  assignee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Set when the task is done; null while it's open
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  completedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // When the assignee was notified that the task is due; cleared when the due date changes
+  remindedAt: {
+    type: Date,
+    default: null
+  }
+}, { timestamps: true });
+
+taskSchema.index({ organizationId: 1, assignee: 1, completedAt: 1, dueAt: 1 });
+taskSchema.index({ lead: 1, dueAt: 1 });
+// Open tasks that are due and haven't been reminded
+taskSchema.index({ completedAt: 1, remindedAt: 1, dueAt: 1 });
+
+taskSchema.statics.TYPES = TYPES;
+
+const Task = mongoose.model('Task', taskSchema);
+
+module.exports = Task;
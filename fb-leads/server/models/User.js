@@ -1,33 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
-
-const facebookAppSchema = new mongoose.Schema({
-  appId: {
-    type: String,
-    trim: true
-  },
-  appName: {
-    type: String,
-    trim: true
-  },
-  accessToken: {
-    type: String,
-    required: true
-  },
-  tokenType: {
-    type: String,
-    enum: ['short_lived', 'long_lived'],
-    default: 'short_lived'
-  },
-  expiresAt: {
-    type: Date,
-    default: null
-  },
-  createdAt: {
-    type: Date,
-    default: Date.now
-  }
-}, { _id: true });
+const facebookAppSchema = require('./schemas/facebookAppSchema');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -47,6 +20,15 @@ const userSchema = new mongoose.Schema({
     required: true,
     minlength: 6
   },
+  // Workspace the user works in; set when they register, join a team or first sign in
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    default: null,
+    index: true
+  },
+  // Facebook apps, tokens and credentials below are legacy: they now live on the
+  // Organization and are copied there the first time an older account signs in
   // Legacy field - kept for backward compatibility
   accessToken: {
     type: String,
@@ -0,0 +1,156 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Form = require('./Form');
+
+// Inputs a website form field can be
+const FIELD_TYPES = ['text', 'email', 'tel', 'textarea', 'select', 'checkbox'];
+
+// One question on a website form. Answers are stored in the lead's fieldData
+// under the key, as Facebook's are, and copied onto a lead attribute or a
+// custom field when the field maps to one.
+const webFormFieldSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true,
+    match: /^[a-z][a-z0-9_]*$/
+  },
+  label: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: FIELD_TYPES,
+    default: 'text'
+  },
+  required: {
+    type: Boolean,
+    default: false
+  },
+  // Choices of select fields
+  options: [{
+    type: String,
+    trim: true
+  }],
+  placeholder: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  // Lead attribute the answer fills; null to only keep it as an answer
+  attribute: {
+    type: String,
+    enum: [...Form.FIELD_ATTRIBUTES, 'custom', null],
+    default: null
+  },
+  // CustomField key when attribute is 'custom'
+  customField: {
+    type: String,
+    trim: true,
+    default: null
+  }
+}, { _id: false });
+
+/**
+ * Public ID for a new form, used in its embed code and submission URL
+ * @returns {string} 16 URL-safe characters
+ */
+const generatePublicId = () => crypto.randomBytes(12).toString('base64url');
+
+// A lead capture form built in the app, for the organization's own website:
+// embedded with a script tag or linked to as a hosted page. Submissions
+// become leads with the website_form source.
+const webFormSchema = new mongoose.Schema({
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+  // Member who built the form; its leads are brought in by them
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  publicId: {
+    type: String,
+    required: true,
+    unique: true,
+    default: generatePublicId
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Heading and intro shown above the fields
+  title: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  fields: [webFormFieldSchema],
+  submitLabel: {
+    type: String,
+    trim: true,
+    default: 'Submit'
+  },
+  successMessage: {
+    type: String,
+    trim: true,
+    default: 'Thanks! We\'ll be in touch soon.'
+  },
+  // Page visitors are sent to after submitting, instead of the message
+  redirectUrl: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  // Sites the form may be submitted from, e.g. "example.com" (subdomains
+  // included); empty for anywhere
+  allowedDomains: [{
+    type: String,
+    lowercase: true,
+    trim: true
+  }],
+  // Pipeline new leads go into; null for the organization's default
+  pipelineId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Pipeline',
+    default: null
+  },
+  // Inactive forms show as closed and refuse submissions
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  submissionCount: {
+    type: Number,
+    default: 0
+  },
+  // Submissions dropped by the honeypot, the fill time check or the domain check
+  spamCount: {
+    type: Number,
+    default: 0
+  },
+  lastSubmittedAt: {
+    type: Date,
+    default: null
+  }
+}, { timestamps: true });
+
+webFormSchema.index({ organizationId: 1, name: 1 });
+
+webFormSchema.statics.FIELD_TYPES = FIELD_TYPES;
+
+const WebForm = mongoose.model('WebForm', webFormSchema);
+
+module.exports = WebForm;
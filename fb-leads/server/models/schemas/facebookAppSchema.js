@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+// A Facebook app and its access token, saved from Settings
+const facebookAppSchema = new mongoose.Schema({
+  appId: {
+    type: String,
+    trim: true
+  },
+  appName: {
+    type: String,
+    trim: true
+  },
+  accessToken: {
+    type: String,
+    required: true
+  },
+  tokenType: {
+    type: String,
+    enum: ['short_lived', 'long_lived'],
+    default: 'short_lived'
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: true });
+
+module.exports = facebookAppSchema;
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// Where a lead came from, in its source's terms. Each source fills in its
+// own fields and leaves the rest unset (see services/leadSources).
+const provenanceSchema = new mongoose.Schema({
+  // Facebook lead ads: the ad the lead was submitted on. rawData keeps the
+  // same details as Facebook sent them.
+  platform: String,
+  adId: String,
+  campaignName: String,
+  adsetName: String,
+  adName: String,
+
+  // Website forms: the page the form was filled in on
+  pageUrl: String,
+  referrer: String,
+  userAgent: String,
+
+  // Manual entry and the API: the member who added the lead, and for the
+  // API the integration's name and its own ID for the lead
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  client: String,
+  externalId: String,
+
+  // Imports: the file and the row the lead was on
+  importId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ImportJob'
+  },
+  fileName: String,
+  row: Number
+}, { _id: false });
+
+module.exports = provenanceSchema;
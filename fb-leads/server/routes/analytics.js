@@ -1,31 +1,31 @@
 const express = require('express');
 const router = express.Router();
-const { auth } = require('../middleware/auth');
+const { auth, requirePermission } = require('../middleware/auth');
 const analyticsController = require('../controllers/analyticsController');
 
 // @route   GET /api/analytics/insights
 // @desc    Get Facebook Ads insights
-// @access  Private
-router.get('/insights', auth, analyticsController.getInsights);
+// @access  Private (analytics:read)
+router.get('/insights', auth, requirePermission('analytics:read'), analyticsController.getInsights);
 
 // @route   GET /api/analytics/ad-accounts
 // @desc    Get available ad accounts
-// @access  Private
-router.get('/ad-accounts', auth, analyticsController.getAdAccounts);
+// @access  Private (analytics:read)
+router.get('/ad-accounts', auth, requirePermission('analytics:read'), analyticsController.getAdAccounts);
 
 // @route   GET /api/analytics/pages
 // @desc    Get available Facebook pages
-// @access  Private
-router.get('/pages', auth, analyticsController.getPages);
+// @access  Private (analytics:read)
+router.get('/pages', auth, requirePermission('analytics:read'), analyticsController.getPages);
 
 // @route   GET /api/analytics/ad-accounts-by-page
 // @desc    Get ad accounts for a specific page
-// @access  Private
-router.get('/ad-accounts-by-page', auth, analyticsController.getAdAccountsByPage);
+// @access  Private (analytics:read)
+router.get('/ad-accounts-by-page', auth, requirePermission('analytics:read'), analyticsController.getAdAccountsByPage);
 
 // @route   GET /api/analytics/export
 // @desc    Export insights to CSV
-// @access  Private
-router.get('/export', auth, analyticsController.exportInsights);
+// @access  Private (analytics:export)
+router.get('/export', auth, requirePermission('analytics:export'), analyticsController.exportInsights);
 
 module.exports = router; 
\ No newline at end of file
@@ -1,7 +1,7 @@
 const express = require('express');
 const { check } = require('express-validator');
 const authController = require('../controllers/authController');
-const { auth } = require('../middleware/auth');
+const { auth, requirePermission } = require('../middleware/auth');
 
 const router = express.Router();
 
@@ -37,7 +37,7 @@ router.get('/profile', auth, authController.getProfile);
 
 // @route   PUT /api/auth/access-token
 // @desc    Update Facebook access token
-// @access  Private
-router.put('/access-token', auth, authController.updateAccessToken);
+// @access  Private (facebook:manage)
+router.put('/access-token', auth, requirePermission('facebook:manage'), authController.updateAccessToken);
 
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,51 @@
+const express = require('express');
+const { check } = require('express-validator');
+const customFieldController = require('../controllers/customFieldController');
+const CustomField = require('../models/CustomField');
+const { auth, requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(auth);
+
+// @route   GET /api/custom-fields
+// @desc    Get the organization's custom lead fields
+// @access  Private (leads:read)
+router.get('/', requirePermission('leads:read'), customFieldController.getCustomFields);
+
+// @route   POST /api/custom-fields
+// @desc    Create a custom lead field
+// @access  Private (fields:manage)
+router.post(
+  '/',
+  requirePermission('fields:manage'),
+  [
+    check('name', 'Name is required').trim().not().isEmpty(),
+    check('type', `Type must be one of: ${CustomField.TYPES.join(', ')}`).isIn(CustomField.TYPES),
+    check('options', 'Options must be a list').optional().isArray(),
+    check('order', 'Order must be a number').optional().isInt()
+  ],
+  customFieldController.createCustomField
+);
+
+// @route   PUT /api/custom-fields/:id
+// @desc    Rename a custom field, change its options or move it
+// @access  Private (fields:manage)
+router.put(
+  '/:id',
+  requirePermission('fields:manage'),
+  [
+    check('name', 'Name cannot be empty').optional().trim().not().isEmpty(),
+    check('options', 'Options must be a list').optional().isArray(),
+    check('order', 'Order must be a number').optional().isInt()
+  ],
+  customFieldController.updateCustomField
+);
+
+// @route   DELETE /api/custom-fields/:id
+// @desc    Delete a custom field and its values on leads
+// @access  Private (fields:manage)
+router.delete('/:id', requirePermission('fields:manage'), customFieldController.deleteCustomField);
+
+module.exports = router;
@@ -1,6 +1,6 @@
 const express = require('express');
 const router = express.Router();
-const { auth } = require('../middleware/auth');
+const { auth, requirePermission } = require('../middleware/auth');
 const { check } = require('express-validator');
 const facebookTokenController = require('../controllers/facebookTokenController');
 const facebookPageController = require('../controllers/facebookPageController');
@@ -12,66 +12,71 @@ router.use(auth);
 // Token management routes
 // @route   POST /api/facebook/token
 // @desc    Save a Facebook access token
-// @access  Private
-router.post('/token', [
+// @access  Private (facebook:manage)
+router.post('/token', requirePermission('facebook:manage'), [
   check('accessToken', 'Access token is required').not().isEmpty()
 ], facebookTokenController.saveToken);
 
 // @route   POST /api/facebook/token/exchange
 // @desc    Exchange a short-lived token for a long-lived token
-// @access  Private
-router.post('/token/exchange', facebookTokenController.exchangeToken);
+// @access  Private (facebook:manage)
+router.post('/token/exchange', requirePermission('facebook:manage'), facebookTokenController.exchangeToken);
 
 // @route   GET /api/facebook/apps
-// @desc    Get all Facebook apps for a user
-// @access  Private
-router.get('/apps', facebookTokenController.getUserApps);
+// @desc    Get all Facebook apps for the organization
+// @access  Private (facebook:read)
+router.get('/apps', requirePermission('facebook:read'), facebookTokenController.getUserApps);
 
 // @route   DELETE /api/facebook/apps/:appId
 // @desc    Delete a Facebook app
-// @access  Private
-router.delete('/apps/:appId', facebookTokenController.deleteApp);
+// @access  Private (facebook:manage)
+router.delete('/apps/:appId', requirePermission('facebook:manage'), facebookTokenController.deleteApp);
 
 // @route   DELETE /api/facebook/apps/direct/:appId
 // @desc    Delete a Facebook app using direct MongoDB approach
-// @access  Private
-router.delete('/apps/direct/:appId', facebookTokenController.deleteAppDirect);
+// @access  Private (facebook:manage)
+router.delete('/apps/direct/:appId', requirePermission('facebook:manage'), facebookTokenController.deleteAppDirect);
 
 // @route   POST /api/facebook/app-credentials
 // @desc    Save Facebook App ID and App Secret
-// @access  Private
-router.post('/app-credentials', facebookTokenController.saveAppCredentials);
+// @access  Private (facebook:manage)
+router.post('/app-credentials', requirePermission('facebook:manage'), facebookTokenController.saveAppCredentials);
 
 // @route   GET /api/facebook/app-credentials
 // @desc    Get Facebook App ID and App Secret status
-// @access  Private
-router.get('/app-credentials', facebookTokenController.getAppCredentials);
+// @access  Private (facebook:read)
+router.get('/app-credentials', requirePermission('facebook:read'), facebookTokenController.getAppCredentials);
 
 // Page and form discovery routes
 // @route   GET /api/facebook/pages
 // @desc    Get all Facebook pages for a user
-// @access  Private
-router.get('/pages', facebookPageController.getUserPages);
+// @access  Private (facebook:read)
+router.get('/pages', requirePermission('facebook:read'), facebookPageController.getUserPages);
 
 // @route   GET /api/facebook/pages/:pageId/forms
 // @desc    Get all forms for a Facebook page
-// @access  Private
-router.get('/pages/:pageId/forms', facebookPageController.getPageForms);
+// @access  Private (facebook:read)
+router.get('/pages/:pageId/forms', requirePermission('facebook:read'), facebookPageController.getPageForms);
 
 // @route   GET /api/facebook/discover
 // @desc    Discover and save all forms for a user
-// @access  Private
-router.get('/discover', facebookPageController.discoverForms);
+// @access  Private (forms:manage)
+router.get('/discover', requirePermission('forms:manage'), facebookPageController.discoverForms);
 
 // Lead fetching routes
 // @route   GET /api/facebook/forms/:formId/leads
 // @desc    Get all leads for a form
-// @access  Private
-router.get('/forms/:formId/leads', facebookLeadController.getLeads);
+// @access  Private (leads:read)
+router.get('/forms/:formId/leads', requirePermission('leads:read'), facebookLeadController.getLeads);
 
 // @route   GET /api/facebook/forms/:formId/sync
 // @desc    Sync leads for a form
-// @access  Private
-router.get('/forms/:formId/sync', facebookLeadController.handleManualSync);
+// @access  Private (leads:sync)
+router.get('/forms/:formId/sync', requirePermission('leads:sync'), facebookLeadController.handleManualSync);
+
+// @route   GET /api/facebook/sync-runs
+// @desc    Get the lead sync run history
+// @access  Private (forms:read)
+router.get('/sync-runs', requirePermission('forms:read'), facebookLeadController.getSyncRuns);
 
 module.exports = router;
@@ -1,7 +1,7 @@
 const express = require('express');
 const { check } = require('express-validator');
 const formController = require('../controllers/formController');
-const { auth } = require('../middleware/auth');
+const { auth, requirePermission } = require('../middleware/auth');
 
 const router = express.Router();
 
@@ -10,9 +10,10 @@ router.use(auth);
 
 // @route   POST /api/forms/add
 // @desc    Add a new form
-// @access  Private
+// @access  Private (forms:manage)
 router.post(
   '/add',
+  requirePermission('forms:manage'),
   [
     check('formId', 'Form ID is required').not().isEmpty()
   ],
@@ -20,18 +21,35 @@ router.post(
 );
 
 // @route   GET /api/forms/list
-// @desc    Get all forms for a user
-// @access  Private
-router.get('/list', formController.getForms);
+// @desc    Get all forms for the organization
+// @access  Private (forms:read)
+router.get('/list', requirePermission('forms:read'), formController.getForms);
 
 // @route   DELETE /api/forms/delete/:id
 // @desc    Delete a form
-// @access  Private
-router.delete('/delete/:id', formController.deleteForm);
+// @access  Private (forms:manage)
+router.delete('/delete/:id', requirePermission('forms:manage'), formController.deleteForm);
 
 // @route   PUT /api/forms/update/:id
 // @desc    Update a form
-// @access  Private
-router.put('/update/:id', formController.updateForm);
+// @access  Private (forms:manage)
+router.put('/update/:id', requirePermission('forms:manage'), formController.updateForm);
+
+// @route   GET /api/forms/:id/questions
+// @desc    Get a form's questions from Facebook and how each is mapped
+// @access  Private (forms:manage)
+router.get('/:id/questions', requirePermission('forms:manage'), formController.getQuestions);
+
+// @route   PUT /api/forms/:id/field-mappings
+// @desc    Map a form's questions to lead attributes or custom fields, and re-apply to its leads
+// @access  Private (forms:manage)
+router.put(
+  '/:id/field-mappings',
+  requirePermission('forms:manage'),
+  [
+    check('fieldMappings', 'Field mappings must be a list').isArray()
+  ],
+  formController.updateFieldMappings
+);
 
 module.exports = router; 
\ No newline at end of file
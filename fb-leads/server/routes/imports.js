@@ -0,0 +1,79 @@
+const express = require('express');
+const multer = require('multer');
+const { check } = require('express-validator');
+const importController = require('../controllers/importController');
+const ImportJob = require('../models/ImportJob');
+const leadImportService = require('../services/leadImportService');
+const { auth, requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Uploads are read in memory; they're parsed straight away and stored on the import
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: leadImportService.MAX_FILE_SIZE, files: 1 }
+}).single('file');
+
+/**
+ * Accept one file in the "file" field, answering upload errors like other
+ * bad requests
+ */
+const uploadFile = (req, res, next) => {
+  upload(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.code === 'LIMIT_FILE_SIZE'
+          ? `Files can be up to ${leadImportService.MAX_FILE_SIZE / (1024 * 1024)} MB`
+          : error.message
+      });
+    }
+
+    next();
+  });
+};
+
+// Mapping and dedup settings sent to preview or start an import
+const importChecks = [
+  check('mapping', 'Mapping must be a list').isArray(),
+  check('mapping.*.column', 'Invalid column').isInt({ min: 0 }),
+  check('mapping.*.attribute', `Columns can be mapped to: ${ImportJob.IMPORT_ATTRIBUTES.join(', ')} or custom`)
+    .isIn([...ImportJob.IMPORT_ATTRIBUTES, 'custom']),
+  check('strategy', `Strategy must be one of: ${ImportJob.STRATEGIES.join(', ')}`).optional().isIn(ImportJob.STRATEGIES),
+  check('matchBy', `Duplicates can be matched by: ${ImportJob.MATCH_BY.join(', ')}`).optional().isIn(ImportJob.MATCH_BY)
+];
+
+// All routes require authentication
+router.use(auth);
+
+// @route   GET /api/imports
+// @desc    Get the organization's recent lead imports
+// @access  Private (leads:import)
+router.get('/', requirePermission('leads:import'), importController.getImports);
+
+// @route   POST /api/imports
+// @desc    Upload a CSV or XLSX file of leads; returns its columns and a suggested mapping
+// @access  Private (leads:import)
+router.post('/', requirePermission('leads:import'), uploadFile, importController.uploadImport);
+
+// @route   GET /api/imports/:id
+// @desc    Get an import's settings and progress
+// @access  Private (leads:import)
+router.get('/:id', requirePermission('leads:import'), importController.getImport);
+
+// @route   GET /api/imports/:id/errors
+// @desc    Download the rows an import couldn't bring in, with why, as CSV
+// @access  Private (leads:import)
+router.get('/:id/errors', requirePermission('leads:import'), importController.downloadErrors);
+
+// @route   POST /api/imports/:id/preview
+// @desc    Check every row with a mapping and dedup strategy, without importing
+// @access  Private (leads:import)
+router.post('/:id/preview', requirePermission('leads:import'), importChecks, importController.previewImport);
+
+// @route   POST /api/imports/:id/start
+// @desc    Start importing in the background with a mapping and dedup strategy
+// @access  Private (leads:import)
+router.post('/:id/start', requirePermission('leads:import'), importChecks, importController.startImport);
+
+module.exports = router;
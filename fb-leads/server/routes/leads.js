@@ -1,35 +1,182 @@
 const express = require('express');
+const { check } = require('express-validator');
 const facebookLeadController = require('../controllers/facebookLeadController');
-const { auth } = require('../middleware/auth');
+const Activity = require('../models/Activity');
+const bulkLeadService = require('../services/bulkLeadService');
+const { auth, requirePermission } = require('../middleware/auth');
 
 const router = express.Router();
 
+// Lead list filters in the query string; the others are read leniently
+const filterChecks = [
+  check('search', 'Search must be text').optional().isString()
+];
+
 // All routes require authentication
 router.use(auth);
 
 // @route   GET /api/leads
 // @desc    Get all leads with pagination
-// @access  Private
-router.get('/', facebookLeadController.getLeads);
+// @access  Private (leads:read, agents only get their assigned leads)
+router.get(
+  '/',
+  requirePermission('leads:read'),
+  [
+    ...filterChecks,
+    check('before', 'before must be a date').optional().isISO8601(),
+    check('beforeId', 'beforeId must be a lead ID').optional().isMongoId()
+  ],
+  facebookLeadController.getLeads
+);
+
+// @route   POST /api/leads
+// @desc    Add a lead by hand, or from another system with source "api"; an
+//          API lead sent again with the same externalId is refreshed
+// @access  Private (leads:create, leads:assign to pick its owner)
+router.post(
+  '/',
+  requirePermission('leads:create'),
+  [
+    check('source', 'Source must be manual or api').optional().isIn(['manual', 'api']),
+    check('fullName', 'Add a name, email or phone').custom((value, { req }) => (
+      ['fullName', 'firstName', 'lastName', 'email', 'phone'].some(field => String(req.body[field] || '').trim())
+    )),
+    check(['fullName', 'firstName', 'lastName', 'city'], 'Names and city can be up to 200 characters')
+      .optional({ nullable: true }).isString().trim().isLength({ max: 200 }),
+    check('email', 'Please include a valid email').optional({ checkFalsy: true }).trim().isEmail(),
+    check('phone', 'Phone can be up to 50 characters').optional({ nullable: true }).isString().trim().isLength({ max: 50 }),
+    check('status', 'Status must be text').optional({ nullable: true }).isString(),
+    check('pipelineId', 'Invalid pipeline ID').optional({ nullable: true }).isMongoId(),
+    check('assignedTo', 'Invalid user ID').optional({ nullable: true }).isMongoId(),
+    check('customFields', 'customFields must be an object of values by field key').optional().isObject(),
+    check('tags', 'Tags must be a list').optional().isArray(),
+    check('tags.*', 'Tags can be up to 50 characters').isString().isLength({ max: 50 }),
+    check(['externalId', 'client'], 'externalId and client can be up to 200 characters')
+      .optional({ nullable: true }).isString().trim().isLength({ max: 200 })
+  ],
+  facebookLeadController.createLead
+);
+
+// @route   GET /api/leads/stage-counts
+// @desc    Count a pipeline's leads in each stage, with the lead list filters
+// @access  Private (leads:read)
+router.get('/stage-counts', requirePermission('leads:read'), filterChecks, facebookLeadController.getStageCounts);
+
+// @route   GET /api/leads/sla-summary
+// @desc    Median time to first contact and SLA breaches per agent and per form
+// @access  Private (leads:read, agents only get their assigned leads)
+router.get('/sla-summary', requirePermission('leads:read'), filterChecks, facebookLeadController.getSlaSummary);
 
 // @route   GET /api/leads/fetch
 // @desc    Manually fetch leads from Facebook
-// @access  Private
-router.get('/fetch', facebookLeadController.handleManualSync);
+// @access  Private (leads:sync)
+router.get('/fetch', requirePermission('leads:sync'), facebookLeadController.handleManualSync);
 
 // @route   GET /api/leads/export
 // @desc    Export leads to CSV
-// @access  Private
-router.get('/export', facebookLeadController.exportLeads);
+// @access  Private (leads:export)
+router.get('/export', requirePermission('leads:export'), filterChecks, facebookLeadController.exportLeads);
+
+// @route   POST /api/leads/bulk
+// @desc    Change status, assign, tag, archive, unarchive, delete or export many leads
+// @access  Private (the action's permission, e.g. leads:update for status)
+router.post(
+  '/bulk',
+  requirePermission('leads:read'),
+  [
+    check('action', `Action must be one of: ${Object.keys(bulkLeadService.ACTIONS).join(', ')}`).isIn(Object.keys(bulkLeadService.ACTIONS)),
+    check('leadIds', 'Pick leads or send filters').if(check('filters').not().exists()).isArray({ min: 1 }),
+    check('leadIds.*', 'Invalid lead ID').isMongoId(),
+    check('filters', 'Filters must be an object').optional().isObject(),
+    check('filters.search', 'Search must be text').optional().isString(),
+    check('status', 'Status is required').if(check('action').equals('status')).trim().not().isEmpty(),
+    check('pipelineId', 'Invalid pipeline ID').optional({ nullable: true }).isMongoId(),
+    check('userId', 'Invalid user ID').optional({ nullable: true }).isMongoId(),
+    check('tags', 'Tags must be a list').if(check('action').equals('tag')).isArray({ min: 1 }),
+    check('tags.*', 'Tags can be up to 50 characters').isString().isLength({ max: 50 })
+  ],
+  facebookLeadController.bulkLeads
+);
 
 // @route   GET /api/leads/:id
 // @desc    Get a specific lead
-// @access  Private
-router.get('/:id', facebookLeadController.getLead);
+// @access  Private (leads:read)
+router.get('/:id', requirePermission('leads:read'), facebookLeadController.getLead);
 
 // @route   PUT /api/leads/:id
-// @desc    Update lead status
-// @access  Private
-router.put('/:id', facebookLeadController.updateLeadStatus);
+// @desc    Update lead status; the change and any notes are added to the timeline
+// @access  Private (leads:update)
+router.put('/:id', requirePermission('leads:update'), facebookLeadController.updateLeadStatus);
+
+// @route   PUT /api/leads/:id/assign
+// @desc    Assign a lead to a member, or unassign it with userId null
+// @access  Private (leads:assign)
+router.put('/:id/assign', requirePermission('leads:assign'), facebookLeadController.assignLead);
+
+// @route   PUT /api/leads/:id/custom-fields
+// @desc    Set a lead's custom field values; null clears a field
+// @access  Private (leads:update)
+router.put(
+  '/:id/custom-fields',
+  requirePermission('leads:update'),
+  [
+    check('customFields', 'customFields must be an object of values by field key').isObject()
+  ],
+  facebookLeadController.updateCustomFields
+);
+
+// @route   PUT /api/leads/:id/tags
+// @desc    Set a lead's tags
+// @access  Private (leads:update)
+router.put(
+  '/:id/tags',
+  requirePermission('leads:update'),
+  [
+    check('tags', 'Tags must be a list').isArray(),
+    check('tags.*', 'Tags can be up to 50 characters').isString().isLength({ max: 50 })
+  ],
+  facebookLeadController.updateTags
+);
+
+// @route   GET /api/leads/:id/activities
+// @desc    Get a lead's activity timeline
+// @access  Private (leads:read)
+router.get('/:id/activities', requirePermission('leads:read'), facebookLeadController.getActivities);
+
+// @route   POST /api/leads/:id/activities
+// @desc    Log a note, call or email on a lead
+// @access  Private (leads:update)
+router.post(
+  '/:id/activities',
+  requirePermission('leads:update'),
+  [
+    check('type', `Type must be one of: ${Activity.MANUAL_TYPES.join(', ')}`).isIn(Activity.MANUAL_TYPES),
+    check('body', 'Body is required').trim().not().isEmpty()
+  ],
+  facebookLeadController.addActivity
+);
+
+// @route   GET /api/leads/:id/duplicates
+// @desc    Get the same person's other leads and the leads merged into this one
+// @access  Private (leads:read)
+router.get('/:id/duplicates', requirePermission('leads:read'), facebookLeadController.getDuplicates);
+
+// @route   POST /api/leads/:id/merge
+// @desc    Merge duplicate leads into this one, with their notes and activities
+// @access  Private (leads:merge)
+router.post(
+  '/:id/merge',
+  requirePermission('leads:merge'),
+  [
+    check('leadIds', 'Leads to merge are required').isArray({ min: 1 }),
+    check('leadIds.*', 'Invalid lead ID').isMongoId()
+  ],
+  facebookLeadController.mergeLeads
+);
+
+// @route   DELETE /api/leads/:id/merge/:mergedId
+// @desc    Split a merged lead back off, with its notes and activities
+// @access  Private (leads:merge)
+router.delete('/:id/merge/:mergedId', requirePermission('leads:merge'), facebookLeadController.unmergeLead);
 
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,25 @@
+const express = require('express');
+const notificationController = require('../controllers/notificationController');
+const { auth } = require('../middleware/auth');
+
+const router = express.Router();
+
+// All routes require authentication; members only see their own notifications
+router.use(auth);
+
+// @route   GET /api/notifications
+// @desc    Get the latest notifications and the unread count
+// @access  Private
+router.get('/', notificationController.getNotifications);
+
+// @route   PUT /api/notifications/read
+// @desc    Mark all notifications as read
+// @access  Private
+router.put('/read', notificationController.markAllRead);
+
+// @route   PUT /api/notifications/:id/read
+// @desc    Mark a notification as read
+// @access  Private
+router.put('/:id/read', notificationController.markRead);
+
+module.exports = router;
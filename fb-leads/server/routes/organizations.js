@@ -0,0 +1,65 @@
+const express = require('express');
+const { check } = require('express-validator');
+const organizationController = require('../controllers/organizationController');
+const phoneService = require('../services/phoneService');
+const { auth, requirePermission } = require('../middleware/auth');
+const { ASSIGNABLE_ROLES } = require('../config/permissions');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(auth);
+
+// @route   GET /api/organizations/current
+// @desc    Get the user's organization and its members
+// @access  Private
+router.get('/current', organizationController.getOrganization);
+
+// @route   PUT /api/organizations/current
+// @desc    Rename the organization or set its default phone country
+// @access  Private (organization:update)
+router.put(
+  '/current',
+  requirePermission('organization:update'),
+  [
+    check('name', 'Name is required').optional().trim().not().isEmpty(),
+    check('defaultCountry', 'Default country must be a two-letter country code, e.g. IN')
+      .optional({ values: 'falsy' })
+      .custom(country => phoneService.isSupportedCountry(country))
+  ],
+  organizationController.updateOrganization
+);
+
+// @route   POST /api/organizations/current/members
+// @desc    Create a teammate account in the organization
+// @access  Private (members:manage)
+router.post(
+  '/current/members',
+  requirePermission('members:manage'),
+  [
+    check('name', 'Name is required').not().isEmpty(),
+    check('email', 'Please include a valid email').isEmail(),
+    check('password', 'Please enter a password with 6 or more characters').isLength({ min: 6 }),
+    check('role', `Role must be one of: ${ASSIGNABLE_ROLES.join(', ')}`).optional().isIn(ASSIGNABLE_ROLES)
+  ],
+  organizationController.addMember
+);
+
+// @route   PUT /api/organizations/current/members/:userId
+// @desc    Change a teammate's role
+// @access  Private (members:manage)
+router.put(
+  '/current/members/:userId',
+  requirePermission('members:manage'),
+  [
+    check('role', `Role must be one of: ${ASSIGNABLE_ROLES.join(', ')}`).isIn(ASSIGNABLE_ROLES)
+  ],
+  organizationController.updateMemberRole
+);
+
+// @route   DELETE /api/organizations/current/members/:userId
+// @desc    Remove a teammate from the organization
+// @access  Private (members:manage)
+router.delete('/current/members/:userId', requirePermission('members:manage'), organizationController.removeMember);
+
+module.exports = router;
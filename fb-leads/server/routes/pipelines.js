@@ -0,0 +1,58 @@
+const express = require('express');
+const { check } = require('express-validator');
+const pipelineController = require('../controllers/pipelineController');
+const Pipeline = require('../models/Pipeline');
+const { auth, requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(auth);
+
+// Stage fields shared by create and update
+const stageValidators = [
+  check('stages.*.name', 'Each stage needs a name').trim().not().isEmpty(),
+  check('stages.*.color', `Color must be one of: ${Pipeline.COLORS.join(', ')}`).optional().isIn(Pipeline.COLORS),
+  check('stages.*.outcome', `Outcome must be one of: ${Pipeline.OUTCOMES.join(', ')}`).optional().isIn(Pipeline.OUTCOMES)
+];
+
+// @route   GET /api/pipelines
+// @desc    Get the organization's pipelines and their stages
+// @access  Private (leads:read)
+router.get('/', requirePermission('leads:read'), pipelineController.getPipelines);
+
+// @route   POST /api/pipelines
+// @desc    Create a pipeline
+// @access  Private (pipelines:manage)
+router.post(
+  '/',
+  requirePermission('pipelines:manage'),
+  [
+    check('name', 'Name is required').trim().not().isEmpty(),
+    check('stages', 'At least one stage is required').isArray({ min: 1 }),
+    ...stageValidators
+  ],
+  pipelineController.createPipeline
+);
+
+// @route   PUT /api/pipelines/:id
+// @desc    Rename a pipeline, change its stages or make it the default
+// @access  Private (pipelines:manage)
+router.put(
+  '/:id',
+  requirePermission('pipelines:manage'),
+  [
+    check('name', 'Name cannot be empty').optional().trim().not().isEmpty(),
+    check('stages', 'At least one stage is required').optional().isArray({ min: 1 }),
+    check('isDefault', 'isDefault must be true or false').optional().isBoolean(),
+    ...stageValidators
+  ],
+  pipelineController.updatePipeline
+);
+
+// @route   DELETE /api/pipelines/:id
+// @desc    Delete a pipeline no form or lead uses
+// @access  Private (pipelines:manage)
+router.delete('/:id', requirePermission('pipelines:manage'), pipelineController.deletePipeline);
+
+module.exports = router;
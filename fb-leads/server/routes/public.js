@@ -0,0 +1,39 @@
+const express = require('express');
+const config = require('../config/default');
+const publicFormController = require('../controllers/publicFormController');
+const { rateLimit } = require('../middleware/rateLimit');
+
+const router = express.Router();
+
+// Website forms are filled in by anyone, so no auth middleware here. The
+// hosted page posts a plain HTML form.
+router.use(express.urlencoded({ extended: false, limit: '20kb' }));
+
+// Submissions per visitor and form
+const submitLimit = rateLimit({
+  ...config.publicForms.rateLimit,
+  key: req => `${req.ip}:${req.params.publicId}`,
+  message: 'Too many submissions, please try again later'
+});
+
+// @route   GET /api/public/forms/:publicId
+// @desc    Get a website form's fields, for the embed script
+// @access  Public
+router.get('/forms/:publicId', publicFormController.getForm);
+
+// @route   GET /api/public/forms/:publicId/page
+// @desc    Show a website form as a hosted page
+// @access  Public
+router.get('/forms/:publicId/page', publicFormController.getPage);
+
+// @route   GET /api/public/forms/:publicId/embed.js
+// @desc    Get the script that draws a website form on another site
+// @access  Public
+router.get('/forms/:publicId/embed.js', publicFormController.getEmbedScript);
+
+// @route   POST /api/public/forms/:publicId/submit
+// @desc    Submit a website form; answers become a lead
+// @access  Public (rate-limited, honeypot and fill time checked)
+router.post('/forms/:publicId/submit', submitLimit, publicFormController.submitForm);
+
+module.exports = router;
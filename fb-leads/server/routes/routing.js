@@ -0,0 +1,81 @@
+const express = require('express');
+const { check } = require('express-validator');
+const routingController = require('../controllers/routingController');
+const RoutingRule = require('../models/RoutingRule');
+const { auth, requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+// All routes require authentication and the routing:manage permission
+router.use(auth, requirePermission('routing:manage'));
+
+// Rule fields shared by create and update; create also requires name and assignees
+const ruleValidators = [
+  check('priority', 'Priority must be a number').optional().isInt(),
+  check('isActive', 'isActive must be true or false').optional().isBoolean(),
+  check('formIds', 'formIds must be a list of form IDs').optional().isArray(),
+  check('match', 'Match must be "all" or "any"').optional().isIn(['all', 'any']),
+  check('conditions', 'Conditions must be a list').optional().isArray(),
+  check('conditions.*.field', 'Each condition needs a field').not().isEmpty(),
+  check('conditions.*.operator', `Operator must be one of: ${RoutingRule.OPERATORS.join(', ')}`).isIn(RoutingRule.OPERATORS)
+];
+
+// @route   GET /api/routing
+// @desc    Get routing rules, form agents and member capacity
+// @access  Private (routing:manage)
+router.get('/', routingController.getRouting);
+
+// @route   POST /api/routing/rules
+// @desc    Create a routing rule
+// @access  Private (routing:manage)
+router.post(
+  '/rules',
+  [
+    check('name', 'Name is required').trim().not().isEmpty(),
+    check('assignees', 'At least one assignee is required').isArray({ min: 1 }),
+    ...ruleValidators
+  ],
+  routingController.createRule
+);
+
+// @route   PUT /api/routing/rules/:id
+// @desc    Update a routing rule
+// @access  Private (routing:manage)
+router.put(
+  '/rules/:id',
+  [
+    check('name', 'Name cannot be empty').optional().trim().not().isEmpty(),
+    check('assignees', 'At least one assignee is required').optional().isArray({ min: 1 }),
+    ...ruleValidators
+  ],
+  routingController.updateRule
+);
+
+// @route   DELETE /api/routing/rules/:id
+// @desc    Delete a routing rule
+// @access  Private (routing:manage)
+router.delete('/rules/:id', routingController.deleteRule);
+
+// @route   PUT /api/routing/forms/:id
+// @desc    Set the agents a form's leads are shared between
+// @access  Private (routing:manage)
+router.put(
+  '/forms/:id',
+  [
+    check('agents', 'Agents must be a list of user IDs').isArray()
+  ],
+  routingController.updateFormAgents
+);
+
+// @route   PUT /api/routing/members/:userId
+// @desc    Set a member's open lead cap (null for no limit)
+// @access  Private (routing:manage)
+router.put(
+  '/members/:userId',
+  [
+    check('maxOpenLeads', 'Capacity must be a whole number of 0 or more').optional({ nullable: true, checkFalsy: false }).isInt({ min: 0 })
+  ],
+  routingController.updateMemberCapacity
+);
+
+module.exports = router;
@@ -0,0 +1,57 @@
+const express = require('express');
+const { check } = require('express-validator');
+const savedViewController = require('../controllers/savedViewController');
+const SavedView = require('../models/SavedView');
+const { auth, requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(auth);
+
+// Checks shared by creating and updating views
+const viewChecks = [
+  check('filters', 'Filters must be an object').optional().isObject(),
+  check('sort', `Sort must be one of: ${SavedView.SORTS.join(', ')}`).optional().isIn(SavedView.SORTS),
+  check('columns', 'Columns must be a list').optional().isArray(),
+  check('columns.*', `Columns must be some of: ${SavedView.COLUMNS.join(', ')}`).isIn(SavedView.COLUMNS),
+  check('shared', 'shared must be true or false').optional().isBoolean()
+];
+
+// @route   GET /api/saved-views
+// @desc    Get the member's saved lead list views and the team's shared ones
+// @access  Private (leads:read)
+router.get('/', requirePermission('leads:read'), savedViewController.getViews);
+
+// @route   POST /api/saved-views
+// @desc    Save a lead list view; sharing it needs views:share
+// @access  Private (leads:read)
+router.post(
+  '/',
+  requirePermission('leads:read'),
+  [
+    check('name', 'Name is required').trim().not().isEmpty(),
+    ...viewChecks
+  ],
+  savedViewController.createView
+);
+
+// @route   PUT /api/saved-views/:id
+// @desc    Update a view: the member's own, or a shared one with views:share
+// @access  Private (leads:read)
+router.put(
+  '/:id',
+  requirePermission('leads:read'),
+  [
+    check('name', 'Name cannot be empty').optional().trim().not().isEmpty(),
+    ...viewChecks
+  ],
+  savedViewController.updateView
+);
+
+// @route   DELETE /api/saved-views/:id
+// @desc    Delete a view: the member's own, or a shared one with views:share
+// @access  Private (leads:read)
+router.delete('/:id', requirePermission('leads:read'), savedViewController.deleteView);
+
+module.exports = router;
@@ -0,0 +1,65 @@
+const express = require('express');
+const { check } = require('express-validator');
+const scoringController = require('../controllers/scoringController');
+const ScoringRule = require('../models/ScoringRule');
+const RoutingRule = require('../models/RoutingRule');
+const { auth, requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+// All routes require authentication and the scoring:manage permission
+router.use(auth, requirePermission('scoring:manage'));
+
+// Rule fields shared by create and update; create also requires name, criterion and points
+const ruleValidators = [
+  check('isActive', 'isActive must be true or false').optional().isBoolean(),
+  check('match', 'Match must be "all" or "any"').optional().isIn(['all', 'any']),
+  check('conditions', 'Conditions must be a list').optional().isArray(),
+  check('conditions.*.field', 'Each condition needs a field').not().isEmpty(),
+  check('conditions.*.operator', `Operator must be one of: ${RoutingRule.OPERATORS.join(', ')}`).isIn(RoutingRule.OPERATORS),
+  check('values', 'Values must be a list').optional().isArray(),
+  check('source', `Source must be one of: ${ScoringRule.CAMPAIGN_SOURCES.join(', ')}`).optional().isIn(ScoringRule.CAMPAIGN_SOURCES),
+  check('contactFields', 'Contact fields must be a list').optional().isArray(),
+  check('contactFields.*', `Contact fields must be among: ${ScoringRule.CONTACT_FIELDS.join(', ')}`).isIn(ScoringRule.CONTACT_FIELDS),
+  check('withinHours', 'Hours must be a whole number of 1 or more').optional({ nullable: true }).isInt({ min: 1 })
+];
+
+// @route   GET /api/scoring/rules
+// @desc    Get the lead scoring rules
+// @access  Private (scoring:manage)
+router.get('/rules', scoringController.getRules);
+
+// @route   POST /api/scoring/rules
+// @desc    Create a scoring rule and rescore leads
+// @access  Private (scoring:manage)
+router.post(
+  '/rules',
+  [
+    check('name', 'Name is required').trim().not().isEmpty(),
+    check('criterion', `Criterion must be one of: ${ScoringRule.CRITERIA.join(', ')}`).isIn(ScoringRule.CRITERIA),
+    check('points', 'Points must be a whole number').isInt(),
+    ...ruleValidators
+  ],
+  scoringController.createRule
+);
+
+// @route   PUT /api/scoring/rules/:id
+// @desc    Update a scoring rule and rescore leads
+// @access  Private (scoring:manage)
+router.put(
+  '/rules/:id',
+  [
+    check('name', 'Name cannot be empty').optional().trim().not().isEmpty(),
+    check('criterion', `Criterion must be one of: ${ScoringRule.CRITERIA.join(', ')}`).optional().isIn(ScoringRule.CRITERIA),
+    check('points', 'Points must be a whole number').optional().isInt(),
+    ...ruleValidators
+  ],
+  scoringController.updateRule
+);
+
+// @route   DELETE /api/scoring/rules/:id
+// @desc    Delete a scoring rule and rescore leads
+// @access  Private (scoring:manage)
+router.delete('/rules/:id', scoringController.deleteRule);
+
+module.exports = router;
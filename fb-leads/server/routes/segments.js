@@ -0,0 +1,61 @@
+const express = require('express');
+const { check } = require('express-validator');
+const segmentController = require('../controllers/segmentController');
+const { auth, requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(auth);
+
+// @route   GET /api/segments
+// @desc    Get the organization's lead segments with their lead counts
+// @access  Private (leads:read)
+router.get('/', requirePermission('leads:read'), segmentController.getSegments);
+
+// @route   POST /api/segments
+// @desc    Create a segment from lead list filters
+// @access  Private (segments:manage)
+router.post(
+  '/',
+  requirePermission('segments:manage'),
+  [
+    check('name', 'Name is required').trim().not().isEmpty(),
+    check('description').optional().trim(),
+    check('filters', 'Filters must be an object').optional().isObject()
+  ],
+  segmentController.createSegment
+);
+
+// @route   PUT /api/segments/:id
+// @desc    Rename a segment or change its filters
+// @access  Private (segments:manage)
+router.put(
+  '/:id',
+  requirePermission('segments:manage'),
+  [
+    check('name', 'Name cannot be empty').optional().trim().not().isEmpty(),
+    check('description').optional().trim(),
+    check('filters', 'Filters must be an object').optional().isObject()
+  ],
+  segmentController.updateSegment
+);
+
+// @route   PUT /api/segments/:id/subscription
+// @desc    Turn notifications of new leads in a segment on or off
+// @access  Private (leads:read)
+router.put(
+  '/:id/subscription',
+  requirePermission('leads:read'),
+  [
+    check('subscribed', 'subscribed must be true or false').isBoolean().toBoolean()
+  ],
+  segmentController.updateSubscription
+);
+
+// @route   DELETE /api/segments/:id
+// @desc    Delete a segment
+// @access  Private (segments:manage)
+router.delete('/:id', requirePermission('segments:manage'), segmentController.deleteSegment);
+
+module.exports = router;
@@ -0,0 +1,64 @@
+const express = require('express');
+const { check } = require('express-validator');
+const tagController = require('../controllers/tagController');
+const Tag = require('../models/Tag');
+const { auth, requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(auth);
+
+const colorCheck = check('color', `Color must be one of: ${Tag.COLORS.join(', ')}`).optional().isIn(Tag.COLORS);
+
+// @route   GET /api/tags
+// @desc    Get the organization's lead tags with how many leads have each
+// @access  Private (leads:read)
+router.get('/', requirePermission('leads:read'), tagController.getTags);
+
+// @route   POST /api/tags
+// @desc    Create a lead tag
+// @access  Private (tags:manage)
+router.post(
+  '/',
+  requirePermission('tags:manage'),
+  [
+    check('name', 'Name is required').trim().not().isEmpty(),
+    check('name', 'Tags can be up to 50 characters').isLength({ max: 50 }),
+    colorCheck
+  ],
+  tagController.createTag
+);
+
+// @route   PUT /api/tags/:id
+// @desc    Rename a tag on every lead, or change its color
+// @access  Private (tags:manage)
+router.put(
+  '/:id',
+  requirePermission('tags:manage'),
+  [
+    check('name', 'Name cannot be empty').optional().trim().not().isEmpty(),
+    check('name', 'Tags can be up to 50 characters').optional().isLength({ max: 50 }),
+    colorCheck
+  ],
+  tagController.updateTag
+);
+
+// @route   POST /api/tags/:id/merge
+// @desc    Merge a tag into another one
+// @access  Private (tags:manage)
+router.post(
+  '/:id/merge',
+  requirePermission('tags:manage'),
+  [
+    check('targetId', 'Invalid tag ID').isMongoId()
+  ],
+  tagController.mergeTag
+);
+
+// @route   DELETE /api/tags/:id
+// @desc    Delete a tag and take it off its leads
+// @access  Private (tags:manage)
+router.delete('/:id', requirePermission('tags:manage'), tagController.deleteTag);
+
+module.exports = router;
@@ -0,0 +1,66 @@
+const express = require('express');
+const { check, query } = require('express-validator');
+const taskController = require('../controllers/taskController');
+const Task = require('../models/Task');
+const { auth, requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(auth);
+
+// Task fields shared by create and update
+const taskValidators = [
+  check('type', `Type must be one of: ${Task.TYPES.join(', ')}`).optional().isIn(Task.TYPES),
+  check('assignee', 'Assignee must be a user ID').optional().isMongoId()
+];
+
+// @route   GET /api/tasks
+// @desc    Get tasks, soonest due first (agents only get their own)
+// @access  Private (leads:read)
+router.get(
+  '/',
+  requirePermission('leads:read'),
+  [
+    query('dueBefore', 'dueBefore must be a date').optional().isISO8601(),
+    query('dueAfter', 'dueAfter must be a date').optional().isISO8601()
+  ],
+  taskController.getTasks
+);
+
+// @route   POST /api/tasks
+// @desc    Create a follow-up task on a lead
+// @access  Private (leads:update)
+router.post(
+  '/',
+  requirePermission('leads:update'),
+  [
+    check('lead', 'Lead is required').isMongoId(),
+    check('title', 'Title is required').trim().not().isEmpty(),
+    check('dueAt', 'Due date must be a date').isISO8601(),
+    ...taskValidators
+  ],
+  taskController.createTask
+);
+
+// @route   PUT /api/tasks/:id
+// @desc    Update a task, or mark it done with completed true
+// @access  Private (leads:update)
+router.put(
+  '/:id',
+  requirePermission('leads:update'),
+  [
+    check('title', 'Title cannot be empty').optional().trim().not().isEmpty(),
+    check('dueAt', 'Due date must be a date').optional().isISO8601(),
+    check('completed', 'completed must be true or false').optional().isBoolean(),
+    ...taskValidators
+  ],
+  taskController.updateTask
+);
+
+// @route   DELETE /api/tasks/:id
+// @desc    Delete a task
+// @access  Private (leads:update)
+router.delete('/:id', requirePermission('leads:update'), taskController.deleteTask);
+
+module.exports = router;
@@ -0,0 +1,65 @@
+const express = require('express');
+const { check } = require('express-validator');
+const webFormController = require('../controllers/webFormController');
+const Form = require('../models/Form');
+const WebForm = require('../models/WebForm');
+const { auth, requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Form settings sent to create or change a website form
+const webFormChecks = (nameCheck) => [
+  nameCheck,
+  check(['title', 'description', 'submitLabel', 'successMessage'], 'Text settings can be up to 1000 characters')
+    .optional().isString().trim().isLength({ max: 1000 }),
+  check('fields', 'Fields must be a list').optional().isArray({ max: 50 }),
+  check('fields.*.key', 'Field keys are lowercase letters, digits and underscores, starting with a letter')
+    .isString().trim().toLowerCase().matches(/^[a-z][a-z0-9_]{0,49}$/),
+  check('fields.*.label', 'Every field needs a label').isString().trim().not().isEmpty(),
+  check('fields.*.type', `Field types are: ${WebForm.FIELD_TYPES.join(', ')}`).optional().isIn(WebForm.FIELD_TYPES),
+  check('fields.*.required', 'required must be true or false').optional().isBoolean().toBoolean(),
+  check('fields.*.options', 'Options must be a list').optional().isArray(),
+  check('fields.*.attribute', `Fields can be mapped to: ${Form.FIELD_ATTRIBUTES.join(', ')} or custom`)
+    .optional({ nullable: true }).isIn([...Form.FIELD_ATTRIBUTES, 'custom']),
+  check('redirectUrl', 'Redirect URL must be an http(s) URL')
+    .optional({ nullable: true, checkFalsy: true }).isURL({ protocols: ['http', 'https'], require_protocol: true }),
+  check('allowedDomains', 'Allowed domains must be a list').optional().isArray(),
+  check('allowedDomains.*', 'Allowed domains are host names, e.g. example.com').isFQDN(),
+  check('pipelineId', 'Invalid pipeline ID').optional({ nullable: true }).isMongoId(),
+  check('isActive', 'isActive must be true or false').optional().isBoolean().toBoolean()
+];
+
+// All routes require authentication
+router.use(auth);
+
+// @route   GET /api/web-forms
+// @desc    Get the organization's website forms with their embed URLs
+// @access  Private (forms:read)
+router.get('/', requirePermission('forms:read'), webFormController.getWebForms);
+
+// @route   POST /api/web-forms
+// @desc    Create a website lead capture form
+// @access  Private (forms:manage)
+router.post(
+  '/',
+  requirePermission('forms:manage'),
+  webFormChecks(check('name', 'Name is required').isString().trim().not().isEmpty()),
+  webFormController.createWebForm
+);
+
+// @route   PUT /api/web-forms/:id
+// @desc    Change a website form's fields or settings
+// @access  Private (forms:manage)
+router.put(
+  '/:id',
+  requirePermission('forms:manage'),
+  webFormChecks(check('name', 'Name cannot be empty').optional().isString().trim().not().isEmpty()),
+  webFormController.updateWebForm
+);
+
+// @route   DELETE /api/web-forms/:id
+// @desc    Delete a website form; its leads stay
+// @access  Private (forms:manage)
+router.delete('/:id', requirePermission('forms:manage'), webFormController.deleteWebForm);
+
+module.exports = router;
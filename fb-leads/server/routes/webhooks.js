@@ -0,0 +1,18 @@
+const express = require('express');
+const facebookWebhookController = require('../controllers/facebookWebhookController');
+
+const router = express.Router();
+
+// Webhooks are called by Facebook, so no auth middleware here
+
+// @route   GET /api/webhooks/facebook
+// @desc    Verify the leadgen webhook subscription
+// @access  Public
+router.get('/facebook', facebookWebhookController.verifySubscription);
+
+// @route   POST /api/webhooks/facebook
+// @desc    Receive leadgen notifications
+// @access  Public (signature checked)
+router.post('/facebook', facebookWebhookController.handleEvent);
+
+module.exports = router;
@@ -11,11 +11,33 @@ const leadRoutes = require('./routes/leads');
 const formRoutes = require('./routes/forms');
 const facebookRoutes = require('./routes/facebook');
 const analyticsRoutes = require('./routes/analytics');
+const webhookRoutes = require('./routes/webhooks');
+const organizationRoutes = require('./routes/organizations');
+const routingRoutes = require('./routes/routing');
+const pipelineRoutes = require('./routes/pipelines');
+const taskRoutes = require('./routes/tasks');
+const notificationRoutes = require('./routes/notifications');
+const customFieldRoutes = require('./routes/customFields');
+const scoringRoutes = require('./routes/scoring');
+const savedViewRoutes = require('./routes/savedViews');
+const tagRoutes = require('./routes/tags');
+const segmentRoutes = require('./routes/segments');
+const importRoutes = require('./routes/imports');
+const webFormRoutes = require('./routes/webForms');
+const publicRoutes = require('./routes/public');
 
 // Controllers
 const facebookLeadController = require('./controllers/facebookLeadController');
-const formController = require('./controllers/formController');
 const analyticsController = require('./controllers/analyticsController');
+const taskController = require('./controllers/taskController');
+const scoringController = require('./controllers/scoringController');
+const importController = require('./controllers/importController');
+
+// Services
+const activityService = require('./services/activityService');
+const leadIngestService = require('./services/leadIngestService');
+const facebookLeadService = require('./services/facebookLeadService');
+const fieldMappingService = require('./services/fieldMappingService');
 
 // Load environment variables
 dotenv.config();
@@ -23,10 +45,23 @@ dotenv.config();
 const app = express();
 const PORT = process.env.PORT || 5000;
 
+// Behind a reverse proxy, take visitors' IPs (for rate limits) and the
+// protocol (for form URLs) from its X-Forwarded headers
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? parseInt(process.env.TRUST_PROXY, 10) : process.env.TRUST_PROXY);
+}
+
 // Middleware
 app.use(cors());
-app.use(express.json());
-app.use(morgan('dev'));
+app.use(express.json({
+  // Keep the raw body so webhook signatures can be verified
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
+if (process.env.NODE_ENV !== 'test') {
+  app.use(morgan('dev'));
+}
 
 // Database connection
 const connectDB = async () => {
@@ -64,15 +99,26 @@ const connectDB = async () => {
   }
 };
 
-// Connect to MongoDB
-connectDB();
-
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/leads', leadRoutes);
 app.use('/api/forms', formRoutes);
 app.use('/api/facebook', facebookRoutes);
 app.use('/api/analytics', analyticsRoutes);
+app.use('/api/webhooks', webhookRoutes);
+app.use('/api/organizations', organizationRoutes);
+app.use('/api/routing', routingRoutes);
+app.use('/api/pipelines', pipelineRoutes);
+app.use('/api/tasks', taskRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/custom-fields', customFieldRoutes);
+app.use('/api/scoring', scoringRoutes);
+app.use('/api/saved-views', savedViewRoutes);
+app.use('/api/tags', tagRoutes);
+app.use('/api/segments', segmentRoutes);
+app.use('/api/imports', importRoutes);
+app.use('/api/web-forms', webFormRoutes);
+app.use('/api/public', publicRoutes);
 
 // Health check route
 app.get('/api/health', (req, res) => {
@@ -87,13 +133,63 @@ if (process.env.NODE_ENV === 'production') {
   });
 }
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
-  
-  // Start the cron jobs
-  facebookLeadController.startCronJob();
-  analyticsController.startCronJob();
-  
-  console.log('Cron jobs started: Lead sync (every 2 minutes), Form discovery (every 1 minute), Analytics refresh (every 6 hours)');
-}); 
\ No newline at end of file
+// Connect, listen and start the cron jobs only when run directly, so tests
+// can require the app without side effects
+if (require.main === module) {
+  connectDB();
+
+  app.listen(PORT, () => {
+    console.log(`Server running on port ${PORT}`);
+    
+    // Start the cron jobs
+    facebookLeadController.startCronJob();
+    analyticsController.startCronJob();
+    taskController.startCronJob();
+    scoringController.startCronJob();
+    importController.startCronJob();
+    
+    // Let organizations tracking the same Facebook form each keep its leads
+    leadIngestService.dropGlobalLeadIdIndex()
+      .then(dropped => dropped && console.log('Made lead IDs unique per organization'))
+      .catch(error => console.error('Dropping the global lead ID index failed:', error));
+    
+    // Let members add forms again in an organization other than the one they added them in
+    facebookLeadService.dropUserFormIndex()
+      .then(dropped => dropped && console.log('Made forms unique per organization'))
+      .catch(error => console.error('Dropping the per-user form index failed:', error));
+    
+    // Give leads stored before lead sources had adapters their source and provenance
+    leadIngestService.backfillSources()
+      .then(count => count > 0 && console.log(`Updated the source of ${count} lead(s)`))
+      .catch(error => console.error('Lead source backfill failed:', error));
+    
+    // Let phone searches match the start of the numbers of older leads
+    leadIngestService.backfillPhoneDigits()
+      .then(count => count > 0 && console.log(`Indexed the phones of ${count} lead(s) for search`))
+      .catch(error => console.error('Phone digits backfill failed:', error));
+    
+    // Move the free-text notes of leads from before timelines onto them
+    activityService.backfillLegacyNotes()
+      .then(count => count > 0 && console.log(`Moved the notes of ${count} lead(s) onto their timelines`))
+      .catch(error => console.error('Legacy notes backfill failed:', error));
+    
+    // Make notes logged before search covered them searchable
+    activityService.backfillNoteText()
+      .then(count => count > 0 && console.log(`Indexed the notes of ${count} lead(s) for search`))
+      .catch(error => console.error('Note search backfill failed:', error));
+    
+    // Finish re-mapping the leads of forms a restart stopped
+    fieldMappingService.resumeApplies()
+      .then(count => count > 0 && console.log(`Resumed applying the field mappings of ${count} form(s)`))
+      .catch(error => console.error('Resuming field mappings failed:', error));
+    
+    // Finish lead imports a restart stopped
+    importController.resumeImports()
+      .then(count => count > 0 && console.log(`Resumed ${count} lead import(s)`))
+      .catch(error => console.error('Resuming lead imports failed:', error));
+    
+    console.log('Cron jobs started: Lead sync (every 2 minutes), Form discovery (every 1 minute), Analytics refresh (every 6 hours), Task reminders and SLA checks (every minute), Lead score expiry (every 5 minutes), Pending import expiry (every hour)');
+  });
+}
+
+module.exports = app; 
\ No newline at end of file
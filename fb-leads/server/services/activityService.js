@@ -0,0 +1,175 @@
+const Activity = require('../models/Activity');
+const Lead = require('../models/Lead');
+const User = require('../models/User');
+
+class ActivityService {
+  /**
+   * Add an entry to a lead's timeline
+   * @param {Object} lead - Lead document
+   * @param {string} type - Activity type
+   * @param {Object} [options] - Options
+   * @param {string} [options.author] - Member's user ID; omit for automatic events
+   * @param {string} [options.body] - Note text or summary
+   * @param {Object} [options.data] - Type-specific details
+   * @param {Object|null} [options.session] - Session of the transaction, if any
+   * @returns {Promise<Object>} Activity document
+   */
+  async log(lead, type, { author = null, body = '', data = {}, session = null } = {}) {
+    const [activity] = await Activity.create([{
+      organizationId: lead.organizationId,
+      lead: lead._id,
+      type,
+      author,
+      body,
+      data
+    }], { session });
+
+    if (type === 'note') {
+      await this.refreshNoteText([lead._id], session);
+    }
+
+    return activity;
+  }
+
+  /**
+   * Copy the bodies of leads' timeline notes onto the leads, for search
+   * @param {Array} leadIds - Lead IDs
+   * @param {Object|null} [session] - Session of the transaction, if any
+   * @returns {Promise<void>}
+   */
+  async refreshNoteText(leadIds, session = null) {
+    for (const leadId of leadIds) {
+      const notes = await Activity.find({ lead: leadId, type: 'note' })
+        .sort({ createdAt: 1 })
+        .select('body')
+        .session(session)
+        .lean();
+
+      await Lead.updateOne({ _id: leadId }, { $set: { noteText: notes.map(note => note.body).join('\n') } }, { session });
+    }
+  }
+
+  /**
+   * Fill in the note text of leads whose notes were logged before search
+   * covered them
+   * @returns {Promise<number>} Leads updated
+   */
+  async backfillNoteText() {
+    const leadIds = await Activity.distinct('lead', { type: 'note' });
+    const missing = await Lead.find({ _id: { $in: leadIds }, noteText: { $exists: false } }).distinct('_id');
+
+    await this.refreshNoteText(missing);
+    return missing.length;
+  }
+
+  /**
+   * Add an automatic entry without failing the operation that caused it
+   * @param {Object} lead - Lead document
+   * @param {string} type - Activity type
+   * @param {Object} [options] - Same as log()
+   * @returns {Promise<Object|null>} Activity document, or null if it couldn't be saved
+   */
+  async record(lead, type, options) {
+    try {
+      return await this.log(lead, type, options);
+    } catch (error) {
+      console.error(`[activity] Failed to record ${type} for lead ${lead.leadId}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Move a lead's old free-text notes onto its timeline. The note is added
+   * before the notes are cleared, so a failure in between leaves them on the
+   * lead, and a note already moved isn't added again on the next try.
+   * @param {Object} lead - Lead document
+   * @returns {Promise<void>}
+   */
+  async migrateLegacyNote(lead) {
+    if (!lead.notes) {
+      return;
+    }
+
+    const moved = await Activity.exists({ lead: lead._id, type: 'note', body: lead.notes, 'data.legacy': true });
+
+    if (!moved) {
+      const activity = await this.log(lead, 'note', { body: lead.notes, data: { legacy: true } });
+
+      // Date it to when the notes were last saved so it sorts with the rest of the history
+      await Activity.collection.updateOne(
+        { _id: activity._id },
+        { $set: { createdAt: lead.updatedAt || lead.createdAt } }
+      );
+    }
+
+    await Lead.updateOne({ _id: lead._id, notes: lead.notes }, { $set: { notes: null } });
+  }
+
+  /**
+   * Move the free-text notes of leads from before timelines onto them
+   * @returns {Promise<number>} Leads whose notes moved
+   */
+  async backfillLegacyNotes() {
+    const cursor = Lead.find({ notes: { $nin: [null, ''] } }).cursor();
+    let count = 0;
+
+    for await (const lead of cursor) {
+      await this.migrateLegacyNote(lead);
+      count++;
+    }
+
+    return count;
+  }
+
+  /**
+   * Get the most recent note of each lead
+   * @param {Array} leadIds - Lead IDs
+   * @returns {Promise<Map>} Note text by lead ID
+   */
+  async getLatestNotes(leadIds) {
+    const notes = await Activity.aggregate([
+      { $match: { lead: { $in: leadIds }, type: 'note' } },
+      { $sort: { createdAt: -1 } },
+      { $group: { _id: '$lead', body: { $first: '$body' } } }
+    ]);
+
+    return new Map(notes.map(note => [note._id.toString(), note.body]));
+  }
+
+  /**
+   * Get a lead's timeline, oldest first, including what merged leads brought
+   * @param {Object} lead - Lead document
+   * @returns {Promise<Array>} Activities with their authors and original leads
+   */
+  async getTimeline(lead) {
+    const activities = await Activity.find({ lead: lead._id })
+      .sort({ createdAt: 1, _id: 1 })
+      .populate('author', 'name email')
+      .populate('mergedFrom', 'fullName leadId')
+      .lean();
+
+    // Assignments store user IDs; add the names for display
+    const userIds = activities
+      .filter(activity => activity.type === 'assignment')
+      .flatMap(activity => [activity.data.from, activity.data.to])
+      .filter(Boolean);
+
+    if (userIds.length > 0) {
+      const users = await User.find({ _id: { $in: userIds } }).select('name').lean();
+      const names = new Map(users.map(user => [user._id.toString(), user.name]));
+
+      activities
+        .filter(activity => activity.type === 'assignment')
+        .forEach(activity => {
+          activity.data.fromName = activity.data.from ? names.get(activity.data.from.toString()) || null : null;
+          activity.data.toName = activity.data.to ? names.get(activity.data.to.toString()) || null : null;
+        });
+    }
+
+    return activities;
+  }
+}
+
+const activityService = new ActivityService();
+
+module.exports = activityService;
@@ -1,11 +1,7 @@
-const axios = require('axios');
 const Analytics = require('../models/Analytics');
+const { graphClient } = require('./graphClient');
 
 class AnalyticsService {
-  constructor() {
-    this.baseUrl = 'https://graph.facebook.com/v18.0';
-  }
-
   /**
    * Fetch insights from Facebook Ads API
    * @param {string} accessToken - Facebook access token
@@ -21,9 +17,6 @@ class AnalyticsService {
         ? adAccountId 
         : `act_${adAccountId}`;
       
-      // Build URL and parameters
-      const url = `${this.baseUrl}/${formattedAdAccountId}/insights`;
-      
       // Define fields to fetch
       const fields = [
         'campaign_name',
@@ -53,35 +46,32 @@ class AnalyticsService {
         params.breakdowns = breakdown;
       }
       
-      // Make the API request
-      const response = await axios.get(url, { params });
+      // Make the API request; throttling is tracked per ad account
+      const data = await graphClient.get(`${formattedAdAccountId}/insights`, params);
       
-      if (!response.data || !response.data.data) {
+      if (!data || !data.data) {
         throw new Error('Invalid response from Facebook Insights API');
       }
       
-      return response.data;
+      return data;
     } catch (error) {
-      console.error('Error fetching Facebook Ads insights:', error);
-      
-      if (error.response && error.response.data && error.response.data.error) {
-        throw new Error(`Facebook API Error: ${error.response.data.error.message}`);
-      }
-      
+      console.error(`Error fetching Facebook Ads insights for ${adAccountId}:`, error.message);
       throw error;
     }
   }
   
   /**
    * Cache insights data in MongoDB
-   * @param {string} userId - User ID
+   * @param {Object} scope - Who the cache belongs to
+   * @param {string} scope.organizationId - Organization ID
+   * @param {string} scope.userId - User ID of the member fetching the data
    * @param {string} adAccountId - Ad Account ID
    * @param {string} datePreset - Date preset
    * @param {string} breakdown - Breakdown parameter
    * @param {Object} data - Insights data
    * @returns {Promise<Object>} - The saved analytics document
    */
-  async cacheInsights(userId, adAccountId, datePreset, breakdown, data) {
+  async cacheInsights({ organizationId, userId }, adAccountId, datePreset, breakdown, data) {
     try {
       // Calculate expiration time (6 hours from now)
       const expiresAt = new Date();
@@ -89,7 +79,7 @@ class AnalyticsService {
       
       // Find existing cache or create new one
       let analytics = await Analytics.findOne({
-        userId,
+        organizationId,
         adAccountId,
         datePreset,
         breakdown
@@ -104,6 +94,7 @@ class AnalyticsService {
         // Create new cache
         analytics = new Analytics({
           userId,
+          organizationId,
           adAccountId,
           datePreset,
           breakdown,
@@ -124,7 +115,9 @@ class AnalyticsService {
   
   /**
    * Get cached insights or fetch new ones
-   * @param {string} userId - User ID
+   * @param {Object} scope - Who the cache belongs to
+   * @param {string} scope.organizationId - Organization ID
+   * @param {string} scope.userId - User ID of the member fetching the data
    * @param {string} accessToken - Facebook access token
    * @param {string} adAccountId - Ad Account ID
    * @param {string} datePreset - Date preset
@@ -132,12 +125,12 @@ class AnalyticsService {
    * @param {boolean} forceRefresh - Force refresh from API
    * @returns {Promise<Object>} - The insights data
    */
-  async getInsights(userId, accessToken, adAccountId, datePreset, breakdown = null, forceRefresh = false) {
+  async getInsights(scope, accessToken, adAccountId, datePreset, breakdown = null, forceRefresh = false) {
     try {
       // Check cache first if not forcing refresh
       if (!forceRefresh) {
         const cachedData = await Analytics.findOne({
-          userId,
+          organizationId: scope.organizationId,
           adAccountId,
           datePreset,
           breakdown
@@ -153,7 +146,7 @@ class AnalyticsService {
       const freshData = await this.fetchInsights(accessToken, adAccountId, datePreset, breakdown);
       
       // Cache the data
-      await this.cacheInsights(userId, adAccountId, datePreset, breakdown, freshData);
+      await this.cacheInsights(scope, adAccountId, datePreset, breakdown, freshData);
       
       return freshData;
     } catch (error) {
@@ -175,25 +168,32 @@ class AnalyticsService {
         // Find analytics records that are about to expire
         const analytics = await Analytics.find({
           expiresAt: { $lt: new Date(Date.now() + 1000 * 60 * 60) } // Less than 1 hour until expiry
-        }).populate('userId', 'facebookApps');
+        }).populate('organizationId');
         
         console.log(`Found ${analytics.length} analytics records to refresh`);
         
+        // Ad accounts Facebook is throttling; their other records wait for the next run
+        const throttledAccounts = new Set();
+        
         // Process each record
         for (const record of analytics) {
+          if (throttledAccounts.has(record.adAccountId)) {
+            continue;
+          }
+          
           try {
-            // Skip if user doesn't exist or has no apps
-            if (!record.userId || !record.userId.facebookApps || record.userId.facebookApps.length === 0) {
+            // Skip caches without an organization; they expire on their own
+            if (!record.organizationId) {
               continue;
             }
             
             // Find a valid access token
-            const app = record.userId.facebookApps.find(app => app.accessToken);
-            if (!app) continue;
+            const accessToken = record.organizationId.getAccessToken();
+            if (!accessToken) continue;
             
             // Fetch fresh data
             const freshData = await this.fetchInsights(
-              app.accessToken,
+              accessToken,
               record.adAccountId,
               record.datePreset,
               record.breakdown
@@ -209,8 +209,14 @@ class AnalyticsService {
             record.expiresAt = expiresAt;
             
             await record.save();
-            console.log(`Refreshed analytics for user ${record.userId._id}, ad account ${record.adAccountId}`);
+            console.log(`Refreshed analytics for organization ${record.organizationId._id}, ad account ${record.adAccountId}`);
           } catch (error) {
+            if (error.isThrottled) {
+              throttledAccounts.add(record.adAccountId);
+              console.warn(`Ad account ${record.adAccountId} is throttled, skipping it until the next run`);
+              continue;
+            }
+            
             console.error(`Error refreshing analytics record ${record._id}:`, error);
             // Continue with next record
           }
@@ -0,0 +1,230 @@
+const mongoose = require('mongoose');
+const Lead = require('../models/Lead');
+const Activity = require('../models/Activity');
+const Task = require('../models/Task');
+const pipelineService = require('./pipelineService');
+const contactService = require('./contactService');
+
+// Bulk actions, with the permission each needs
+const ACTIONS = {
+  status: 'leads:update',
+  assign: 'leads:assign',
+  tag: 'leads:update',
+  archive: 'leads:delete',
+  unarchive: 'leads:delete',
+  delete: 'leads:delete',
+  export: 'leads:export'
+};
+
+// Most leads one bulk action may cover
+const MAX_LEADS = 5000;
+
+// Standalone MongoDB servers, like the in-memory one used in development,
+// can't run transactions (IllegalOperation)
+const isTransactionUnsupported = (error) => error.code === 20 || /replica set member or mongos/.test(error.message || '');
+
+class BulkLeadService {
+  constructor() {
+    this.ACTIONS = ACTIONS;
+    this.MAX_LEADS = MAX_LEADS;
+  }
+
+  /**
+   * Work out what an action changes on each lead, before anything is written
+   * @param {Array} leads - Lean lead documents
+   * @param {string} action - One of ACTIONS, except export
+   * @param {Object} params - status and pipelineId, userId or tags, by action
+   * @param {Object} context - { organizationId, userId } of the member acting
+   * @returns {Promise<Array>} One plan per lead: { lead, error } when the action
+   * can't apply to it, otherwise { lead, update, addTags, activity, remove },
+   * where an empty plan means the lead already is as asked
+   */
+  async plan(leads, action, params, context) {
+    const now = new Date();
+    const entry = (lead, type, data = {}) => ({
+      organizationId: lead.organizationId,
+      lead: lead._id,
+      type,
+      author: context.userId,
+      data
+    });
+
+    switch (action) {
+      case 'status': {
+        const pipelines = await pipelineService.getPipelines(context.organizationId);
+        const defaultPipeline = pipelines.find(pipeline => pipeline.isDefault);
+        const target = params.pipelineId
+          ? pipelines.find(pipeline => String(pipeline._id) === String(params.pipelineId))
+          : null;
+
+        return leads.map(lead => {
+          const current = pipelines.find(pipeline => String(pipeline._id) === String(lead.pipelineId)) || defaultPipeline;
+          const pipeline = target || current;
+          const stage = pipeline.getStage(params.status);
+
+          if (!stage) {
+            return { lead, error: `"${params.status}" isn't a stage of ${pipeline.name}` };
+          }
+
+          const switching = String(pipeline._id) !== String(current._id);
+          const changed = switching || params.status !== lead.status;
+          const update = {};
+
+          // Leaving the first stage for the first time is the first contact, as in single updates
+          if (changed && !lead.firstContactedAt && lead.status === current.stages[0].key) {
+            update.firstContactedAt = now;
+          }
+          if (changed || !lead.pipelineId) {
+            update.pipelineId = pipeline._id;
+            update.status = params.status;
+          }
+
+          return {
+            lead,
+            update,
+            activity: changed && entry(lead, 'status_change', {
+              from: lead.status,
+              to: params.status,
+              fromName: current.getStage(lead.status)?.name || lead.status,
+              toName: stage.name,
+              ...(switching && { fromPipeline: current.name, toPipeline: pipeline.name })
+            })
+          };
+        });
+      }
+
+      case 'assign':
+        return leads.map(lead => {
+          if (String(lead.assignedTo || '') === String(params.userId || '')) {
+            return { lead };
+          }
+
+          return {
+            lead,
+            update: { assignedTo: params.userId || null, assignedAt: params.userId ? now : null, routingRule: null },
+            activity: entry(lead, 'assignment', { from: lead.assignedTo || null, to: params.userId || null })
+          };
+        });
+
+      case 'tag':
+        return leads.map(lead => {
+          const added = params.tags.filter(tag => !(lead.tags || []).includes(tag));
+          return added.length > 0 ? { lead, addTags: added } : { lead };
+        });
+
+      case 'archive':
+      case 'unarchive': {
+        const archiving = action === 'archive';
+
+        return leads.map(lead => (Boolean(lead.archivedAt) === archiving
+          ? { lead }
+          : { lead, update: { archivedAt: archiving ? now : null }, activity: entry(lead, action) }));
+      }
+
+      case 'delete': {
+        // Deleting a lead would take the notes and activities merged into it
+        const withMerged = new Set((await Lead.distinct('mergedInto', { mergedInto: { $in: leads.map(lead => lead._id) } }))
+          .map(String));
+
+        return leads.map(lead => (withMerged.has(String(lead._id))
+          ? { lead, error: 'Unmerge the leads merged into it first' }
+          : { lead, remove: true }));
+      }
+
+      default:
+        throw new Error(`Unknown bulk action: ${action}`);
+    }
+  }
+
+  /**
+   * Write planned changes
+   * @param {Array} plans - Plans without errors
+   * @param {Object|null} session - Session of the transaction, if any
+   * @returns {Promise<void>}
+   */
+  async apply(plans, session) {
+    // Tags are added to the lead's current ones, which may have changed since the plan
+    const updates = [
+      ...plans
+        .filter(plan => plan.update && Object.keys(plan.update).length > 0)
+        .map(plan => ({ updateOne: { filter: { _id: plan.lead._id }, update: { $set: plan.update } } })),
+      ...plans
+        .filter(plan => plan.addTags)
+        .map(plan => ({ updateOne: { filter: { _id: plan.lead._id }, update: { $addToSet: { tags: { $each: plan.addTags } } } } }))
+    ];
+    const activities = plans.filter(plan => plan.activity).map(plan => plan.activity);
+    const removed = plans.filter(plan => plan.remove).map(plan => plan.lead._id);
+    const options = session ? { session } : {};
+
+    if (updates.length > 0) {
+      await Lead.bulkWrite(updates, options);
+    }
+    if (activities.length > 0) {
+      await Activity.insertMany(activities, options);
+    }
+    if (removed.length > 0) {
+      const contactIds = await Lead.distinct('contact', { _id: { $in: removed }, contact: { $ne: null } }).session(session);
+
+      await Activity.deleteMany({ lead: { $in: removed } }, options);
+      await Task.deleteMany({ lead: { $in: removed } }, options);
+      await Lead.deleteMany({ _id: { $in: removed } }, options);
+      await contactService.refreshContacts(contactIds, session);
+    }
+  }
+
+  /**
+   * Run writes in a transaction, so they all happen or none do. Servers
+   * that can't run transactions get the writes without one.
+   * @param {Function} work - Called with the session, or null without one
+   * @returns {Promise<void>}
+   */
+  async inTransaction(work) {
+    const session = await mongoose.startSession();
+
+    try {
+      await session.withTransaction(() => work(session));
+    } catch (error) {
+      if (!isTransactionUnsupported(error)) {
+        throw error;
+      }
+
+      await work(null);
+    } finally {
+      await session.endSession();
+    }
+  }
+
+  /**
+   * Apply an action to leads in one transaction and report on each lead
+   * @param {Array} leads - Lean lead documents
+   * @param {string} action - One of ACTIONS, except export
+   * @param {Object} params - status and pipelineId, userId or tags, by action
+   * @param {Object} context - { organizationId, userId } of the member acting
+   * @returns {Promise<Array>} { leadId, name, success, changed, error } per lead
+   */
+  async run(leads, action, params, context) {
+    const plans = await this.plan(leads, action, params, context);
+    let failure = null;
+
+    try {
+      await this.inTransaction(session => this.apply(plans.filter(plan => !plan.error), session));
+    } catch (error) {
+      console.error(`Bulk ${action} failed:`, error);
+      failure = 'The bulk action failed';
+    }
+
+    return plans.map(plan => {
+      const error = plan.error || failure;
+
+      return {
+        leadId: plan.lead._id,
+        name: plan.lead.fullName || plan.lead.leadId,
+        success: !error,
+        changed: !error && Boolean(plan.remove || plan.addTags || (plan.update && Object.keys(plan.update).length > 0)),
+        ...(error && { error })
+      };
+    });
+  }
+}
+
+module.exports = new BulkLeadService();
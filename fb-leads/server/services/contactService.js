@@ -0,0 +1,217 @@
+const Contact = require('../models/Contact');
+const Lead = require('../models/Lead');
+const Activity = require('../models/Activity');
+const Task = require('../models/Task');
+const activityService = require('./activityService');
+
+// Lead fields shown in the duplicates panel
+const RELATED_FIELDS = 'leadId fullName email phone phoneE164 source formId formName provenance pipelineId status assignedTo createdTime mergedAt';
+
+class ContactService {
+  /**
+   * Normalize an email for matching
+   * @param {string} email - Email as submitted
+   * @returns {string|null} Lowercased email, or null if it isn't one
+   */
+  normalizeEmail(email) {
+    const normalized = typeof email === 'string' ? email.trim().toLowerCase() : '';
+    return normalized.includes('@') ? normalized : null;
+  }
+
+  /**
+   * Normalize a phone number for matching
+   * @param {string} phone - Phone as submitted
+   * @returns {string|null} Digits only, without an international 00 prefix,
+   * or null if too short to be a phone number
+   */
+  normalizePhone(phone) {
+    const digits = String(phone || '').replace(/\D/g, '').replace(/^00/, '');
+    return digits.length >= 7 ? digits : null;
+  }
+
+  /**
+   * Link a lead to the contact with the same email or phone, creating one if
+   * there's none. A lead that matches several contacts joins them into the
+   * oldest, which also cleans up contacts created by overlapping syncs.
+   * @param {Object} lead - Lead document
+   * @returns {Promise<Object|null>} Contact document, or null for leads with
+   * neither email nor phone
+   */
+  async linkLead(lead) {
+    const email = this.normalizeEmail(lead.email);
+    const phone = this.normalizePhone(lead.phoneE164 || lead.phone);
+
+    if (!lead.organizationId || (!email && !phone)) {
+      return null;
+    }
+
+    const emails = email ? [email] : [];
+    const phones = phone ? [phone] : [];
+
+    const matches = await Contact.find({
+      organizationId: lead.organizationId,
+      $or: [{ emails: { $in: emails } }, { phones: { $in: phones } }]
+    }).sort({ createdAt: 1 });
+
+    let contact;
+
+    if (matches.length === 0) {
+      contact = new Contact({ organizationId: lead.organizationId, emails, phones });
+    } else {
+      const [oldest, ...others] = matches;
+      contact = oldest;
+
+      if (others.length > 0) {
+        const otherIds = others.map(other => other._id);
+
+        await Lead.updateMany({ contact: { $in: otherIds } }, { $set: { contact: contact._id } });
+        await Contact.deleteMany({ _id: { $in: otherIds } });
+      }
+
+      contact.emails = [...new Set([...contact.emails, ...others.flatMap(other => other.emails), ...emails])];
+      contact.phones = [...new Set([...contact.phones, ...others.flatMap(other => other.phones), ...phones])];
+    }
+
+    if (lead.fullName) {
+      contact.fullName = lead.fullName;
+    }
+
+    await contact.save();
+
+    if (String(lead.contact || '') !== String(contact._id)) {
+      await Lead.updateOne({ _id: lead._id }, { $set: { contact: contact._id } });
+      lead.contact = contact._id;
+    }
+
+    return contact;
+  }
+
+  /**
+   * The person's other leads, and the leads merged into this one. Leads from
+   * before contacts are linked the first time they're looked at.
+   * @param {Object} lead - Lead document
+   * @param {Object} scope - Lead query limiting what the member may see
+   * @returns {Promise<Object>} { contact, leads, merged }
+   */
+  async getDuplicates(lead, scope) {
+    const contact = lead.contact
+      ? await Contact.findById(lead.contact).lean()
+      : await this.linkLead(lead);
+
+    const [leads, merged] = await Promise.all([
+      contact
+        ? Lead.find({ ...scope, contact: contact._id, _id: { $ne: lead._id }, mergedInto: null })
+          .select(RELATED_FIELDS)
+          .sort({ createdTime: -1 })
+          .lean()
+        : [],
+      Lead.find({ ...scope, mergedInto: lead._id })
+        .select(RELATED_FIELDS)
+        .sort({ mergedAt: -1 })
+        .lean()
+    ]);
+
+    return { contact, leads, merged };
+  }
+
+  /**
+   * Bring contacts in line with their leads after leads were deleted:
+   * contacts left without leads are deleted, and the others keep only the
+   * emails and phones of the leads they still have
+   * @param {Array} contactIds - Contact IDs
+   * @param {Object|null} [session] - Session of the transaction, if any
+   * @returns {Promise<void>}
+   */
+  async refreshContacts(contactIds, session = null) {
+    for (const contactId of contactIds) {
+      const leads = await Lead.find({ contact: contactId })
+        .select('fullName email phone phoneE164 createdTime')
+        .sort({ createdTime: 1 })
+        .session(session);
+
+      if (leads.length === 0) {
+        await Contact.deleteOne({ _id: contactId }, { session });
+        continue;
+      }
+
+      const named = leads.filter(lead => lead.fullName);
+
+      await Contact.updateOne({ _id: contactId }, {
+        $set: {
+          emails: [...new Set(leads.map(lead => this.normalizeEmail(lead.email)).filter(Boolean))],
+          phones: [...new Set(leads.map(lead => this.normalizePhone(lead.phoneE164 || lead.phone)).filter(Boolean))],
+          fullName: named.length > 0 ? named[named.length - 1].fullName : null
+        }
+      }, { session });
+    }
+  }
+
+  /**
+   * Merge duplicate leads into a lead. Their activities and tasks move onto
+   * it, marked with where they came from so they can be moved back, and the
+   * duplicates are hidden from lists. Leads already merged into a duplicate
+   * move along with it. Run it in a transaction (bulkLeadService.inTransaction)
+   * so a failure part way leaves the leads as they were; legacy notes should
+   * be moved onto the duplicates' timelines first.
+   * @param {Object} lead - Lead document to keep
+   * @param {Array<Object>} duplicates - Lead documents to merge into it
+   * @param {string} userId - User ID of the member merging
+   * @param {Object|null} [session] - Session of the transaction, if any
+   * @returns {Promise<void>}
+   */
+  async mergeLeads(lead, duplicates, userId, session = null) {
+    for (const duplicate of duplicates) {
+      await Lead.updateMany({ mergedInto: duplicate._id }, { $set: { mergedInto: lead._id } }, { session });
+      await Activity.updateMany({ lead: duplicate._id, mergedFrom: null }, { $set: { mergedFrom: duplicate._id } }, { session });
+      await Activity.updateMany({ lead: duplicate._id }, { $set: { lead: lead._id } }, { session });
+      await Task.updateMany({ lead: duplicate._id, mergedFrom: null }, { $set: { mergedFrom: duplicate._id } }, { session });
+      await Task.updateMany({ lead: duplicate._id }, { $set: { lead: lead._id } }, { session });
+      await Lead.updateOne({ _id: duplicate._id }, { $set: { mergedInto: lead._id, mergedAt: new Date() } }, { session });
+      await activityService.refreshNoteText([lead._id, duplicate._id], session);
+
+      await activityService.log(lead, 'merge', {
+        author: userId,
+        data: { leadId: duplicate._id, name: duplicate.fullName || duplicate.leadId, formName: duplicate.formName },
+        session
+      });
+    }
+  }
+
+  /**
+   * Split a merged lead back off, with the notes, activities and tasks it
+   * brought. Like mergeLeads, it's meant to run in a transaction.
+   * @param {Object} lead - Lead document it was merged into
+   * @param {Object} duplicate - Merged lead document
+   * @param {string} userId - User ID of the member unmerging
+   * @param {Object|null} [session] - Session of the transaction, if any
+   * @returns {Promise<void>}
+   */
+  async unmergeLead(lead, duplicate, userId, session = null) {
+    await Activity.updateMany(
+      { lead: lead._id, mergedFrom: duplicate._id },
+      { $set: { lead: duplicate._id, mergedFrom: null } },
+      { session }
+    );
+    await Task.updateMany(
+      { lead: lead._id, mergedFrom: duplicate._id },
+      { $set: { lead: duplicate._id, mergedFrom: null } },
+      { session }
+    );
+
+    await Lead.updateOne({ _id: duplicate._id }, { $set: { mergedInto: null, mergedAt: null } }, { session });
+    await activityService.refreshNoteText([lead._id, duplicate._id], session);
+
+    await activityService.log(lead, 'unmerge', {
+      author: userId,
+      data: { leadId: duplicate._id, name: duplicate.fullName || duplicate.leadId },
+      session
+    });
+    await activityService.log(duplicate, 'unmerge', {
+      author: userId,
+      data: { leadId: lead._id, name: lead.fullName || lead.leadId },
+      session
+    });
+  }
+}
+
+module.exports = new ContactService();
@@ -0,0 +1,248 @@
+const CustomField = require('../models/CustomField');
+const Form = require('../models/Form');
+const Lead = require('../models/Lead');
+const leadRoutingService = require('./leadRoutingService');
+
+const TRUE_VALUES = ['true', 'yes', 'y', '1'];
+const FALSE_VALUES = ['false', 'no', 'n', '0'];
+
+// Escape a value for use in a regex, so searches match it literally
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+class CustomFieldService {
+  /**
+   * Get an organization's custom fields in display order
+   * @param {string} organizationId - Organization ID
+   * @returns {Promise<Array>} CustomField documents
+   */
+  getFields(organizationId) {
+    return CustomField.find({ organizationId }).sort({ order: 1, createdAt: 1 });
+  }
+
+  /**
+   * Make a unique field key from a name, e.g. "Budget (USD)" -> "budget_usd"
+   * @param {string} name - Field name
+   * @param {Set<string>} taken - Keys already in use
+   * @returns {string} Field key
+   */
+  makeKey(name, taken) {
+    const base = String(name).toLowerCase().trim().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '') || 'field';
+    let key = base;
+
+    for (let i = 2; taken.has(key); i++) {
+      key = `${base}_${i}`;
+    }
+
+    return key;
+  }
+
+  /**
+   * Convert a value, typed in or answered on a form, to a field's type.
+   * Select answers are matched to the field's options ignoring case.
+   * @param {Object} field - CustomField document
+   * @param {*} value - Value to convert
+   * @returns {*} The typed value, null for an empty value, or undefined if
+   * the value doesn't fit the field
+   */
+  coerce(field, value) {
+    if (value === null || value === undefined || (typeof value === 'string' && !value.trim())) {
+      return null;
+    }
+
+    const matchOption = (answer) => field.options.find(
+      option => option.toLowerCase() === String(answer).trim().toLowerCase()
+    );
+
+    switch (field.type) {
+      case 'text':
+        return Array.isArray(value) ? value.join(', ') : String(value).trim();
+      case 'number': {
+        const number = leadRoutingService.parseNumber(value);
+        return number === null || !Number.isFinite(number) ? undefined : number;
+      }
+      case 'date': {
+        const date = new Date(value);
+        return Number.isNaN(date.getTime()) ? undefined : date;
+      }
+      case 'boolean': {
+        if (typeof value === 'boolean') {
+          return value;
+        }
+        const answer = String(value).trim().toLowerCase();
+        if (TRUE_VALUES.includes(answer)) return true;
+        if (FALSE_VALUES.includes(answer)) return false;
+        return undefined;
+      }
+      case 'select':
+        return matchOption(value);
+      case 'multi_select': {
+        // Facebook sends multiple choice answers as one comma separated string
+        const answers = Array.isArray(value) ? value : String(value).split(/[,;]/);
+        const selected = [...new Set(answers.map(matchOption).filter(Boolean))];
+        return selected.length > 0 ? selected : undefined;
+      }
+      default:
+        return undefined;
+    }
+  }
+
+  /**
+   * Convert values keyed by field key to their fields' types
+   * @param {Array} fields - The organization's CustomField documents
+   * @param {Object} values - { [key]: value }
+   * @returns {Object} { values, errors }: typed values of known fields, and
+   * a message for each value that doesn't fit its field or has no field
+   */
+  coerceValues(fields, values) {
+    const result = { values: {}, errors: [] };
+
+    Object.entries(values || {}).forEach(([key, value]) => {
+      const field = fields.find(f => f.key === key);
+
+      if (!field) {
+        result.errors.push(`Unknown custom field ${key}`);
+        return;
+      }
+
+      const typed = this.coerce(field, value);
+
+      if (typed === undefined) {
+        result.errors.push(field.options.length > 0
+          ? `${field.name} must be one of: ${field.options.join(', ')}`
+          : `${field.name} must be a ${field.type}`);
+        return;
+      }
+
+      result.values[key] = typed;
+    });
+
+    return result;
+  }
+
+  /**
+   * Lead query conditions for custom field filters. Text matches part of the
+   * value, select and boolean the exact value, and number and date fields
+   * take a range as { gte, lte }. Unknown fields and unusable values are
+   * ignored.
+   * @param {Array} fields - The organization's CustomField documents
+   * @param {Object} filters - { [key]: value | { gte, lte } }, from ?cf[key]=
+   * @returns {Object} MongoDB conditions on customFields
+   */
+  buildFilters(fields, filters) {
+    const conditions = {};
+
+    if (!filters || typeof filters !== 'object') {
+      return conditions;
+    }
+
+    Object.entries(filters).forEach(([key, filter]) => {
+      const field = fields.find(f => f.key === key);
+
+      if (!field || filter === '' || filter === null || filter === undefined) {
+        return;
+      }
+
+      const path = `customFields.${field.key}`;
+
+      if (field.type === 'number' || field.type === 'date') {
+        const range = typeof filter === 'object' ? filter : { gte: filter, lte: filter };
+        const condition = {};
+
+        ['gte', 'lte'].forEach(bound => {
+          if (range[bound] === undefined || range[bound] === '') {
+            return;
+          }
+
+          let value = this.coerce(field, range[bound]);
+
+          // A date up to a day means up to the end of it
+          if (field.type === 'date' && value && bound === 'lte' && /^\d{4}-\d{2}-\d{2}$/.test(range[bound])) {
+            value = new Date(value.getTime() + 24 * 60 * 60 * 1000 - 1);
+          }
+
+          if (value !== undefined && value !== null) {
+            condition[`$${bound}`] = value;
+          }
+        });
+
+        if (Object.keys(condition).length > 0) {
+          conditions[path] = condition;
+        }
+        return;
+      }
+
+      if (typeof filter === 'object') {
+        return;
+      }
+
+      if (field.type === 'text') {
+        conditions[path] = { $regex: escapeRegex(filter), $options: 'i' };
+        return;
+      }
+
+      const value = this.coerce(field, filter);
+
+      if (value === undefined || value === null) {
+        return;
+      }
+
+      if (field.type === 'boolean') {
+        // Leads never given a value count as "no"
+        conditions[path] = value ? true : { $ne: true };
+      } else if (field.type === 'multi_select') {
+        conditions[path] = { $in: value };
+      } else {
+        conditions[path] = value;
+      }
+    });
+
+    return conditions;
+  }
+
+  /**
+   * Format a lead's value of a field for CSV export
+   * @param {Object} field - CustomField document
+   * @param {*} value - Stored value
+   * @returns {string} Formatted value
+   */
+  formatValue(field, value) {
+    if (value === null || value === undefined) {
+      return '';
+    }
+
+    if (Array.isArray(value)) {
+      return value.join('; ');
+    }
+
+    if (field.type === 'date') {
+      const date = new Date(value);
+      return Number.isNaN(date.getTime()) ? String(value) : date.toISOString().split('T')[0];
+    }
+
+    if (field.type === 'boolean') {
+      return value ? 'Yes' : 'No';
+    }
+
+    return String(value);
+  }
+
+  /**
+   * Remove a field's values from the organization's leads and the form
+   * mappings that fill it
+   * @param {Object} field - CustomField document
+   * @returns {Promise<void>}
+   */
+  async removeValues(field) {
+    await Lead.updateMany(
+      { organizationId: field.organizationId, [`customFields.${field.key}`]: { $exists: true } },
+      { $unset: { [`customFields.${field.key}`]: '' } }
+    );
+
+    await Form.updateMany(
+      { organizationId: field.organizationId },
+      { $pull: { fieldMappings: { attribute: 'custom', customField: field.key } } }
+    );
+  }
+}
+
+module.exports = new CustomFieldService();
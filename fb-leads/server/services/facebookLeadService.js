@@ -1,36 +1,47 @@
-const axios = require('axios');
 const dotenv = require('dotenv');
-const User = require('../models/User');
+const mongoose = require('mongoose');
+const Organization = require('../models/Organization');
 const Form = require('../models/Form');
+const { graphClient } = require('./graphClient');
 
 // Configure dotenv
 dotenv.config();
 
-class FacebookLeadService {
-  constructor() {
-    this.baseUrl = 'https://graph.facebook.com/v18.0';
-  }
+// Fields requested for every lead, whether fetched by form or by ID
+const LEAD_FIELDS = [
+  'id',
+  'created_time',
+  'field_data',
+  'form_id',
+  'platform',
+  'campaign_name',
+  'adset_name',
+  'ad_name',
+  'ad_id'
+];
 
+class FacebookLeadService {
   /**
-   * Validates the Facebook API configuration for a user
-   * @param {string} userId - User ID
+   * Validates the Facebook API configuration for an organization
+   * @param {string} organizationId - Organization ID
    * @param {string} [appId] - Facebook app ID (optional)
-   * @returns {Promise<Object>} User with access token
+   * @returns {Promise<Object>} Organization with access token
    * @throws {Error} If configuration is invalid
    */
-  async validateUserConfig(userId, appId = null) {
-    const user = await User.findById(userId);
+  async validateOrganizationConfig(organizationId, appId = null) {
+    const organization = await Organization.findById(organizationId);
 
-    if (!user) {
-      throw new Error('User not found');
+    if (!organization) {
+      throw new Error('Organization not found');
     }
 
     // 1. If specific app ID is provided, get that token
-    if (appId && user.facebookApps && user.facebookApps.length > 0) {
-      const app = user.facebookApps.find(app => app._id.toString() === appId);
+    if (appId && organization.facebookApps.length > 0) {
+      // Forms store the app as an ObjectId, findApp compares as strings
+      const app = organization.findApp(appId);
       if (app) {
         return {
-          user,
+          organization,
           accessToken: app.accessToken,
           appId: app._id.toString()
         };
@@ -40,20 +51,20 @@ class FacebookLeadService {
     }
 
     // 2. Use first available app token if present
-    if (user.facebookApps && user.facebookApps.length > 0) {
-      const app = user.facebookApps[0];
+    if (organization.facebookApps.length > 0) {
+      const app = organization.facebookApps[0];
       return {
-        user,
+        organization,
         accessToken: app.accessToken,
         appId: app._id.toString()
       };
     }
 
     // 3. Use legacy token as fallback
-    if (user.accessToken) {
+    if (organization.accessToken) {
       return {
-        user,
-        accessToken: user.accessToken,
+        organization,
+        accessToken: organization.accessToken,
         appId: 'legacy'
       };
     }
@@ -63,94 +74,69 @@ class FacebookLeadService {
   }
 
   /**
-   * Fetches leads from Facebook Lead Ads form
+   * Finds the forms a sync should cover
    * @param {Object} options - Query options
-   * @param {string} options.userId - User ID
-   * @param {string} options.formId - Form ID (optional)
+   * @param {string} options.organizationId - Organization ID
+   * @param {string} options.formId - Form ID, MongoDB or Facebook (optional)
    * @param {string} options.appId - Facebook app ID (optional)
-   * @param {string} options.since - ISO date string for fetching leads since a specific date
-   * @param {number} options.limit - Number of leads to fetch (default: 100)
-   * @returns {Promise<Array>} Array of leads
+   * @returns {Promise<Array>} Array of form documents
    */
-  async fetchFacebookLeads(options = {}) {
-    try {
-      const { userId, formId, appId, since, limit = 100 } = options;
-      
-      // Validate user configuration
-      const { user, accessToken } = await this.validateUserConfig(userId, appId);
-      
-      // Get forms to fetch leads from
-      let forms;
-      if (formId) {
-        // If formId is provided, fetch only that form
-        const form = await Form.findOne({ 
-          userId, 
-          $or: [
-            { _id: formId },
-            { formId: formId }
-          ]
-        });
-        
-        if (!form) {
-          throw new Error(`Form not found: ${formId}`);
-        }
-        
-        forms = [form];
-      } else {
-        // Otherwise, fetch all active forms for the user
-        const query = { userId, isActive: true };
-        
-        // If appId is provided, filter forms by that app
-        if (appId && appId !== 'legacy') {
-          query.facebookAppId = appId;
-        }
-        
-        forms = await Form.find(query);
-        
-        if (forms.length === 0) {
-          throw new Error('No active forms found for this user');
-        }
+  async getFormsToSync(options = {}) {
+    const { organizationId, formId, appId } = options;
+
+    if (formId) {
+      // If formId is provided, fetch only that form
+      const idQuery = [{ formId }];
+      if (mongoose.Types.ObjectId.isValid(formId)) {
+        idQuery.push({ _id: formId });
       }
-      
-      console.log(`Fetching leads for ${forms.length} forms...`);
-      
-      // Fetch leads for each form
-      const allLeads = [];
-      
-      for (const form of forms) {
-        const formLeads = await this.fetchLeadsForForm({
-          formId: form.formId,
-          formName: form.formName,
-          pageId: form.pageId,
-          pageName: form.pageName,
-          accessToken,
-          since,
-          limit
-        });
-        
-        // Add user ID to each lead
-        const processedLeads = formLeads.map(lead => ({
-          ...lead,
-          userId
-        }));
-        
-        allLeads.push(...processedLeads);
-        
-        // Update lastFetchedAt for the form
-        form.lastFetchedAt = new Date();
-        await form.save();
+
+      const form = await Form.findOne({ organizationId, $or: idQuery });
+
+      if (!form) {
+        throw new Error(`Form not found: ${formId}`);
       }
-      
-      console.log(`Successfully fetched ${allLeads.length} leads`);
-      return allLeads;
-    } catch (error) {
-      console.error('Error fetching Facebook leads:', error);
-      throw error;
+
+      return [form];
+    }
+
+    // Otherwise, fetch all active forms for the organization
+    const query = { organizationId, isActive: true };
+
+    // If appId is provided, filter forms by that app
+    if (appId && appId !== 'legacy') {
+      query.facebookAppId = appId;
+    }
+
+    const forms = await Form.find(query);
+
+    if (forms.length === 0) {
+      throw new Error('No active forms found for this organization');
+    }
+
+    return forms;
+  }
+
+  /**
+   * Drop the index that let each user add a form once, from before forms
+   * belonged to organizations. It would refuse a form a member added in an
+   * organization they've since left.
+   * @returns {Promise<boolean>} Whether there was one to drop
+   */
+  async dropUserFormIndex() {
+    const indexes = await Form.collection.indexes();
+    const perUser = indexes.find(index => index.unique && Object.keys(index.key).join() === 'userId,formId');
+
+    if (!perUser) {
+      return false;
     }
+
+    await Form.collection.dropIndex(perUser.name);
+    return true;
   }
 
   /**
-   * Fetches leads for a specific form
+   * Fetches one page of leads for a specific form
    * @param {Object} options - Query options
    * @param {string} options.formId - Form ID
    * @param {string} options.formName - Form name
@@ -158,10 +144,14 @@ class FacebookLeadService {
    * @param {string} options.pageName - Page name
    * @param {string} options.accessToken - Facebook access token
    * @param {string} options.since - ISO date string for fetching leads since a specific date
-   * @param {number} options.limit - Number of leads to fetch
-   * @returns {Promise<Array>} Array of leads
+   * @param {number} options.limit - Number of leads per page (default: 100)
+   * @param {string} options.after - Paging cursor to continue from (optional)
+   * @param {Array} options.fieldMappings - The form's question mappings (optional)
+   * @returns {Promise<Object>} Normalized leads, the leads that couldn't be
+   * normalized as { leadId, createdTime, message }, and the cursor of the
+   * next page (null on the last page)
    */
-  async fetchLeadsForForm(options = {}) {
+  async fetchLeadPage(options = {}) {
     try {
       const { 
         formId, 
@@ -170,102 +160,184 @@ class FacebookLeadService {
         pageName, 
         accessToken, 
         since, 
-        limit,
-        after
+        limit = 100,
+        after,
+        fieldMappings
       } = options;
       
       // Build the query parameters
-      const params = new URLSearchParams({
+      const params = {
         access_token: accessToken,
         limit: limit,
-        fields: [
-          'id',
-          'created_time',
-          'field_data',
-          'form_id',
-          'platform',
-          'campaign_name',
-          'adset_name',
-          'ad_name',
-          'ad_id'
-        ].join(',')
-      });
+        fields: LEAD_FIELDS.join(',')
+      };
 
       // Add since parameter if provided
       if (since) {
-        params.append('since', since);
+        params.since = since;
       }
       
       // Add after parameter for pagination
       if (after) {
-        params.append('after', after);
+        params.after = after;
       }
 
       console.log(`Fetching leads for form: ${formId}`);
-      console.log('Since:', since || 'all time');
+      console.log('Since:', since || 'all time', after ? `(after cursor ${after})` : '');
 
-      const response = await axios.get(
-        `${this.baseUrl}/${formId}/leads?${params.toString()}`
-      );
+      const data = await graphClient.get(`${formId}/leads`, params);
 
-      if (!response.data) {
+      if (!data) {
         throw new Error('Empty response from Facebook API');
       }
 
-      if (!response.data.data) {
+      if (!data.data) {
         console.log(`No leads found for form: ${formId}`);
-        return []; // Return empty array instead of throwing error
+        return { leads: [], failed: [], nextCursor: null };
       }
 
-      const normalizedLeads = response.data.data.map(lead => {
+      // Leads that fail to normalize are handed back, so the sync can record
+      // them and fetch them again rather than lose them
+      const normalizedLeads = [];
+      const failed = [];
+      data.data.forEach(lead => {
         try {
-          return this.normalizeLead(lead, formId, formName, pageId, pageName);
+          normalizedLeads.push(this.normalizeLead(lead, formId, formName, pageId, pageName, fieldMappings));
         } catch (error) {
           console.error('Error normalizing lead:', error);
           console.error('Problematic lead data:', JSON.stringify(lead, null, 2));
-          return null;
+
+          const createdTime = lead?.created_time ? new Date(lead.created_time) : null;
+          failed.push({
+            leadId: lead?.id || null,
+            createdTime: createdTime && !isNaN(createdTime) ? createdTime : null,
+            message: `Could not read lead: ${error.message}`
+          });
         }
-      }).filter(lead => lead !== null); // Remove any leads that failed to normalize
+      });
 
       console.log(`Successfully fetched and normalized ${normalizedLeads.length} leads for form: ${formId}`);
       
-      // Handle pagination if there are more leads
-      if (response.data.paging && response.data.paging.next) {
-        try {
-          const nextPageUrl = new URL(response.data.paging.next);
-          const nextPageParams = Object.fromEntries(nextPageUrl.searchParams);
-          
-          // Recursively fetch next page
-          const nextPageLeads = await this.fetchLeadsForForm({
-            formId,
-            formName,
-            pageId,
-            pageName,
-            accessToken,
-            limit,
-            after: nextPageParams.after
-          });
-          
-          // Combine leads from both pages
-          normalizedLeads.push(...nextPageLeads);
-        } catch (error) {
-          console.error('Error fetching next page of leads:', error);
-        }
+      // Only hand back a cursor when Facebook says there is another page
+      const paging = data.paging;
+      let nextCursor = null;
+      if (paging && paging.next) {
+        nextCursor = paging.cursors?.after || new URL(paging.next).searchParams.get('after');
       }
       
-      return normalizedLeads;
+      return { leads: normalizedLeads, failed, nextCursor };
     } catch (error) {
-      if (error.response) {
-        // Facebook API error
-        const apiError = error.response.data.error || {};
-        console.error('Facebook API Error:', apiError);
-        throw new Error(`Facebook API Error: ${apiError.message || error.message}`);
+      // Graph errors arrive as GraphApiError so callers can check isTransient / isPermission
+      console.error(`Error fetching leads for form ${options.formId}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Fetches a single lead by its Facebook leadgen ID
+   * @param {Object} options - Query options
+   * @param {string} options.leadId - Facebook leadgen ID
+   * @param {string} options.accessToken - Facebook access token
+   * @param {string} options.formId - Form ID
+   * @param {string} options.formName - Form name
+   * @param {string} options.pageId - Page ID
+   * @param {string} options.pageName - Page name
+   * @param {Array} options.fieldMappings - The form's question mappings (optional)
+   * @returns {Promise<Object>} Normalized lead
+   */
+  async fetchLeadById(options = {}) {
+    try {
+      const { leadId, accessToken, formId, formName, pageId, pageName, fieldMappings } = options;
+
+      console.log(`Fetching lead: ${leadId}`);
+
+      const data = await graphClient.get(leadId, {
+        access_token: accessToken,
+        fields: LEAD_FIELDS.join(',')
+      });
+
+      if (!data || !data.id) {
+        throw new Error(`Empty response from Facebook API for lead ${leadId}`);
       }
-      console.error(`Error fetching leads for form ${options.formId}:`, error);
+
+      return this.normalizeLead(data, formId, formName, pageId, pageName, fieldMappings);
+    } catch (error) {
+      console.error(`Error fetching lead ${options.leadId}:`, error.message);
       throw error;
     }
   }
 
+  /**
+   * Fetches the questions of a lead form
+   * @param {string} formId - Form ID
+   * @param {string} accessToken - Facebook access token
+   * @returns {Promise<Array>} Questions as { key, label, type }, keys lower-cased like fieldData names
+   */
+  async fetchFormQuestions(formId, accessToken) {
+    const data = await graphClient.get(formId, {
+      access_token: accessToken,
+      fields: 'questions'
+    });
+
+    return (data?.questions || []).map(question => ({
+      key: question.key ? Form.normalizeKey(question.key) : null,
+      label: question.label || question.key,
+      type: question.type || 'CUSTOM'
+    })).filter(question => question.key);
+  }
+
+  /**
+   * Reads the lead attributes out of its answers: name, email and phone from
+   * the usual field names, then whatever the form's mappings say. A mapped
+   * question wins over a field name match.
+   * @param {Array} fieldData - Answers as { name, value }, compared with the
+   * mapping keys trimmed and without case
+   * @param {Array} [fieldMappings] - The form's question mappings
+   * @returns {Object} fullName, email and phone, plus firstName, lastName,
+   * city and customFields (answers by custom field key, untyped) when mapped
+   */
+  extractAttributes(fieldData, fieldMappings = []) {
+    let fullName = null;
+    let email = null;
+    let phone = null;
+
+    for (const field of fieldData) {
+      const fieldName = field.name.toLowerCase();
+      
+      if (fieldName === 'full_name' || fieldName === 'name' || fieldName === 'full name') {
+        fullName = field.value;
+      } else if (fieldName === 'email' || fieldName === 'email address') {
+        email = field.value;
+      } else if (fieldName === 'phone' || fieldName === 'phone_number' || fieldName === 'phone number' || fieldName === 'mobile' || fieldName === 'contact') {
+        phone = field.value;
+      }
+    }
+
+    const attributes = { fullName, email, phone };
+
+    for (const mapping of fieldMappings || []) {
+      const key = Form.normalizeKey(mapping.key);
+      const field = fieldData.find(f => Form.normalizeKey(f.name) === key);
+
+      if (!field || field.value === null || field.value === undefined || field.value === '') {
+        continue;
+      }
+
+      if (mapping.attribute === 'custom') {
+        attributes.customFields = { ...attributes.customFields, [mapping.customField]: field.value };
+      } else {
+        attributes[mapping.attribute] = field.value;
+      }
+    }
+
+    // Forms that ask for first and last name separately
+    if (!attributes.fullName && (attributes.firstName || attributes.lastName)) {
+      attributes.fullName = [attributes.firstName, attributes.lastName].filter(Boolean).join(' ');
+    }
+
+    return attributes;
+  }
+
   /**
    * Normalizes a lead object from Facebook's format
    * @param {Object} lead - Raw lead data from Facebook
@@ -273,9 +345,10 @@ class FacebookLeadService {
    * @param {string} formName - Form name
    * @param {string} pageId - Page ID
    * @param {string} pageName - Page name
+   * @param {Array} [fieldMappings] - The form's question mappings
    * @returns {Object} Normalized lead object
    */
-  normalizeLead(lead, formId, formName, pageId, pageName) {
+  normalizeLead(lead, formId, formName, pageId, pageName, fieldMappings = []) {
     if (!lead || typeof lead !== 'object') {
       throw new Error('Invalid lead data received');
     }
@@ -298,23 +371,6 @@ class FacebookLeadService {
       };
     });
 
-    // Extract common fields like name, email, phone
-    let fullName = null;
-    let email = null;
-    let phone = null;
-
-    for (const field of fieldData) {
-      const fieldName = field.name.toLowerCase();
-      
-      if (fieldName === 'full_name' || fieldName === 'name' || fieldName === 'full name') {
-        fullName = field.value;
-      } else if (fieldName === 'email' || fieldName === 'email address') {
-        email = field.value;
-      } else if (fieldName === 'phone' || fieldName === 'phone number' || fieldName === 'mobile' || fieldName === 'contact') {
-        phone = field.value;
-      }
-    }
-
     return {
       leadId: lead.id || 'unknown',
       formId: lead.form_id || formId,
@@ -322,9 +378,7 @@ class FacebookLeadService {
       pageId: pageId || null,
       pageName: pageName || null,
       createdTime: lead.created_time ? new Date(lead.created_time) : new Date(),
-      fullName,
-      email,
-      phone,
+      ...this.extractAttributes(fieldData, fieldMappings),
       fieldData,
       rawData: {
         platform: lead.platform || 'unknown',
@@ -1,47 +1,37 @@
-import axios from 'axios';
-import dotenv from 'dotenv';
-import User from '../models/User.js';
-import Form from '../models/Form.js';
+const dotenv = require('dotenv');
+const Organization = require('../models/Organization');
+const Form = require('../models/Form');
+const { graphClient } = require('./graphClient');
 
 // Configure dotenv
 dotenv.config();
 
 class FacebookPageService {
-  constructor() {
-    this.baseUrl = 'https://graph.facebook.com/v18.0';
-  }
-
   /**
-   * Get all pages a user manages
-   * @param {string} userId - User ID
+   * Get all pages an organization's token can manage
+   * @param {string} organizationId - Organization ID
    * @param {string} [appId] - Facebook app ID (optional)
    * @returns {Promise<Array>} Array of pages
    */
-  async getUserPages(userId, appId = null) {
+  async getOrganizationPages(organizationId, appId = null) {
     try {
-      const user = await User.findById(userId);
+      const organization = await Organization.findById(organizationId);
       
-      if (!user) {
-        throw new Error('User not found');
+      if (!organization) {
+        throw new Error('Organization not found');
       }
       
       let accessToken;
       
       if (appId) {
         // Get token for specific app
-        const app = user.facebookApps.find(app => app._id.toString() === appId);
+        const app = organization.findApp(appId);
         if (!app) {
           throw new Error('Facebook app not found');
         }
         accessToken = app.accessToken;
       } else {
-        // Use legacy token if no app specified
-        accessToken = user.accessToken;
-        
-        // If no legacy token, use the first app token
-        if (!accessToken && user.facebookApps.length > 0) {
-          accessToken = user.facebookApps[0].accessToken;
-        }
+        accessToken = organization.getAccessToken();
       }
       
       if (!accessToken) {
@@ -49,30 +39,23 @@ class FacebookPageService {
       }
       
       // Get pages from Facebook
-      const response = await axios.get(`${this.baseUrl}/me/accounts`, {
-        params: {
-          access_token: accessToken,
-          fields: 'id,name,access_token,category'
-        }
+      const data = await graphClient.get('me/accounts', {
+        access_token: accessToken,
+        fields: 'id,name,access_token,category'
       });
       
-      if (!response.data || !response.data.data) {
+      if (!data || !data.data) {
         return [];
       }
       
-      return response.data.data.map(page => ({
+      return data.data.map(page => ({
         pageId: page.id,
         name: page.name,
         accessToken: page.access_token,
         category: page.category
       }));
     } catch (error) {
-      console.error('Error getting user pages:', error);
-      
-      if (error.response && error.response.data && error.response.data.error) {
-        throw new Error(`Facebook API Error: ${error.response.data.error.message}`);
-      }
-      
+      console.error('Error getting organization pages:', error.message);
       throw error;
     }
   }
@@ -85,44 +68,38 @@ class FacebookPageService {
    */
   async getPageForms(pageId, pageAccessToken) {
     try {
-      const response = await axios.get(`${this.baseUrl}/${pageId}/leadgen_forms`, {
-        params: {
-          access_token: pageAccessToken,
-          fields: 'id,name,status,created_time'
-        }
+      const data = await graphClient.get(`${pageId}/leadgen_forms`, {
+        access_token: pageAccessToken,
+        fields: 'id,name,status,created_time'
       });
       
-      if (!response.data || !response.data.data) {
+      if (!data || !data.data) {
         return [];
       }
       
-      return response.data.data.map(form => ({
+      return data.data.map(form => ({
         formId: form.id,
         formName: form.name,
         status: form.status,
         createdTime: form.created_time
       }));
     } catch (error) {
-      console.error(`Error getting forms for page ${pageId}:`, error);
-      
-      if (error.response && error.response.data && error.response.data.error) {
-        throw new Error(`Facebook API Error: ${error.response.data.error.message}`);
-      }
-      
+      console.error(`Error getting forms for page ${pageId}:`, error.message);
       throw error;
     }
   }
 
   /**
-   * Discover and save all forms for a user
-   * @param {string} userId - User ID
+   * Discover and save all forms for an organization
+   * @param {string} organizationId - Organization ID
+   * @param {string} userId - ID of the member running the discovery
    * @param {string} [appId] - Facebook app ID (optional)
    * @returns {Promise<Object>} Discovery results
    */
-  async discoverAndSaveForms(userId, appId = null) {
+  async discoverAndSaveForms(organizationId, userId, appId = null) {
     try {
-      // Get all pages the user manages
-      const pages = await this.getUserPages(userId, appId);
+      // Get all pages the organization manages
+      const pages = await this.getOrganizationPages(organizationId, appId);
       
       if (pages.length === 0) {
         return {
@@ -146,7 +123,7 @@ class FacebookPageService {
             try {
               // Check if form already exists
               const existingForm = await Form.findOne({
-                userId,
+                organizationId,
                 formId: form.formId
               });
               
@@ -165,6 +142,7 @@ class FacebookPageService {
                 // Create new form
                 const newForm = new Form({
                   userId,
+                  organizationId,
                   formId: form.formId,
                   formName: form.formName,
                   pageId: page.pageId,
@@ -210,4 +188,4 @@ class FacebookPageService {
 }
 
 const facebookPageService = new FacebookPageService();
-export default facebookPageService; 
\ No newline at end of file
+module.exports = facebookPageService;
@@ -0,0 +1,203 @@
+const Form = require('../models/Form');
+const Lead = require('../models/Lead');
+const facebookLeadService = require('./facebookLeadService');
+const phoneService = require('./phoneService');
+const contactService = require('./contactService');
+const customFieldService = require('./customFieldService');
+const scoringService = require('./scoringService');
+
+// Compare stored custom field values, which may be dates or arrays
+const isSameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Where a mapping puts answers, to tell which ones a new mapping dropped
+const mappingTarget = (mapping) => (mapping.attribute === 'custom' ? `custom:${mapping.customField}` : mapping.attribute);
+
+// Leads gone through between checkpoints of an apply
+const CHECKPOINT_EVERY = 50;
+
+class FieldMappingService {
+  /**
+   * Check a form's question mappings
+   * @param {Array} fieldMappings - Mappings as { key, label, attribute, customField }
+   * @param {Array} customFields - The organization's CustomField documents
+   * @returns {string|null} What's wrong with them, or null if they're fine
+   */
+  validate(fieldMappings, customFields) {
+    const keys = new Set();
+    const attributes = new Set();
+
+    for (const mapping of fieldMappings) {
+      if (!mapping.key || typeof mapping.key !== 'string') {
+        return 'Each mapping needs a question key';
+      }
+
+      const key = Form.normalizeKey(mapping.key);
+      if (keys.has(key)) {
+        return `Question ${mapping.key} is mapped more than once`;
+      }
+      keys.add(key);
+
+      if (mapping.attribute === 'custom') {
+        if (!mapping.customField || !String(mapping.customField).trim()) {
+          return `Question ${mapping.key} needs a custom field`;
+        }
+        if (!customFields.some(field => field.key === mapping.customField)) {
+          return `Custom field ${mapping.customField} does not exist`;
+        }
+      } else if (!Form.FIELD_ATTRIBUTES.includes(mapping.attribute)) {
+        return `Attribute must be one of: ${[...Form.FIELD_ATTRIBUTES, 'custom'].join(', ')}`;
+      } else if (attributes.has(mapping.attribute)) {
+        return `Only one question can be mapped to ${mapping.attribute}`;
+      } else {
+        attributes.add(mapping.attribute);
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Count the stored leads of a form that applyToLeads goes through
+   * @param {Object} form - Form document
+   * @returns {Promise<number>} Leads
+   */
+  countLeads(form) {
+    return Lead.countDocuments({ organizationId: form.organizationId, formId: form.formId });
+  }
+
+  /**
+   * Save new mappings on a form and mark its leads as due for them. Leads an
+   * apply still under way hasn't reached have the mappings from before it, so
+   * those are kept among the ones the new mappings may have dropped.
+   * @param {Object} form - Form document
+   * @param {Array} fieldMappings - The new mappings, keys normalized
+   * @returns {Promise<Object>} The saved form
+   */
+  async setMappings(form, fieldMappings) {
+    const pending = form.mappingsAppliedVersion < form.mappingsVersion;
+    const previous = [...(pending ? form.previousFieldMappings : []), ...form.fieldMappings]
+      .map(mapping => mapping.toObject());
+
+    form.previousFieldMappings = previous.filter((mapping, index) =>
+      previous.findIndex(other => mappingTarget(other) === mappingTarget(mapping)) === index);
+    form.fieldMappings = fieldMappings;
+    form.mappingsVersion += 1;
+    form.mappingsAppliedThrough = null;
+
+    return form.save();
+  }
+
+  /**
+   * Re-read the attributes of a form's stored leads with its current
+   * mappings, re-parsing phones, rescoring and relinking contacts that changed.
+   * Questions a lead didn't answer leave its values alone; attributes and
+   * custom fields only a dropped mapping filled are cleared. Leads are gone
+   * through in _id order from the form's checkpoint, and a newer save of the
+   * mappings stops the run, since its own run goes over every lead again.
+   * @param {Object} form - Form document, as saved by setMappings
+   * @returns {Promise<number|null>} Leads updated, or null if a newer save stopped it
+   */
+  async applyToLeads(form) {
+    const version = form.mappingsVersion;
+    const defaultCountry = await phoneService.getDefaultCountry(form.organizationId, form.formId);
+    const customFields = await customFieldService.getFields(form.organizationId);
+    const scoringRules = await scoringService.getRules(form.organizationId);
+    const current = new Set(form.fieldMappings.map(mappingTarget));
+    const dropped = form.previousFieldMappings.filter(mapping => !current.has(mappingTarget(mapping)));
+    const query = { organizationId: form.organizationId, formId: form.formId };
+    if (form.mappingsAppliedThrough) {
+      query._id = { $gt: form.mappingsAppliedThrough };
+    }
+    const cursor = Lead.find(query).sort({ _id: 1 }).cursor();
+    const isCurrent = () => Form.exists({ _id: form._id, mappingsVersion: version });
+    let updated = 0;
+    let seen = 0;
+
+    for await (const lead of cursor) {
+      const { customFields: answers, ...attributes } = facebookLeadService.extractAttributes(lead.fieldData, form.fieldMappings);
+      const found = Object.fromEntries(Object.entries(attributes).filter(([, value]) => value !== null && value !== undefined));
+      const unset = dropped
+        .filter(mapping => mapping.attribute !== 'custom' && !(mapping.attribute in found))
+        .map(mapping => mapping.attribute);
+
+      lead.set({ ...found, ...Object.fromEntries(unset.map(attribute => [attribute, null])) });
+      lead.set(phoneService.parse(lead.phone, defaultCountry));
+
+      // Typed answers go over the lead's values; fields that aren't mapped keep theirs
+      const { values } = customFieldService.coerceValues(customFields, answers);
+      const changed = Object.entries(values)
+        .filter(([key, value]) => value !== null && !isSameValue(lead.customFields?.[key], value));
+      const cleared = dropped
+        .filter(mapping => mapping.attribute === 'custom' && lead.customFields?.[mapping.customField] !== undefined)
+        .map(mapping => mapping.customField)
+        .filter(key => !changed.some(([changedKey]) => changedKey === key));
+
+      if (changed.length > 0 || cleared.length > 0) {
+        const next = { ...lead.customFields, ...Object.fromEntries(changed) };
+        cleared.forEach(key => delete next[key]);
+        lead.customFields = next;
+        lead.markModified('customFields');
+      }
+
+      if (lead.isModified()) {
+        if (!await isCurrent()) {
+          return null;
+        }
+
+        const relink = lead.isModified('email') || lead.isModified('phoneE164') || lead.isModified('phone');
+        await lead.save();
+        updated++;
+
+        // Completeness rules look at the contact details
+        await scoringService.applyScore(lead, scoringRules);
+
+        if (relink) {
+          try {
+            await contactService.linkLead(lead);
+          } catch (error) {
+            console.error(`[contacts] Failed to link lead ${lead.leadId}:`, error.message);
+          }
+        }
+      }
+
+      seen++;
+      if (seen % CHECKPOINT_EVERY === 0) {
+        const checkpoint = await Form.updateOne(
+          { _id: form._id, mappingsVersion: version },
+          { $set: { mappingsAppliedThrough: lead._id } }
+        );
+        if (checkpoint.matchedCount === 0) {
+          return null;
+        }
+      }
+    }
+
+    const done = await Form.updateOne(
+      { _id: form._id, mappingsVersion: version },
+      { $set: { mappingsAppliedVersion: version, previousFieldMappings: [], mappingsAppliedThrough: null } }
+    );
+
+    return done.matchedCount > 0 ? updated : null;
+  }
+
+  /**
+   * Carry on with applies a restart stopped, one form after another, from
+   * their last checkpoint
+   * @returns {Promise<number>} Forms resumed
+   */
+  async resumeApplies() {
+    const forms = await Form.find({ $expr: { $lt: ['$mappingsAppliedVersion', '$mappingsVersion'] } });
+
+    for (const form of forms) {
+      try {
+        await this.applyToLeads(form);
+      } catch (error) {
+        console.error(`Field mappings of form ${form.formId} could not resume:`, error);
+      }
+    }
+
+    return forms.length;
+  }
+}
+
+module.exports = new FieldMappingService();
@@ -0,0 +1,316 @@
+const axios = require('axios');
+const config = require('../config/default');
+
+// Error codes Facebook documents as temporary: unknown/service errors and the
+// app, user and page-level rate limits
+const TRANSIENT_CODES = [1, 2, 4, 17, 613];
+
+// Codes that mean the app or token lacks a permission; retrying won't help
+const PERMISSION_CODES = [10, 200, 210, 220, 230, 270, 294, 299];
+
+// Codes that mean the access token itself is invalid or expired
+const AUTH_CODES = [102, 190];
+
+// Usage readings older than this no longer say anything about the current window
+const USAGE_TTL_MS = 5 * 60 * 1000;
+
+/**
+ * Error returned by the Graph API, classified so callers can tell a
+ * temporary failure from one that needs the user to act
+ */
+class GraphApiError extends Error {
+  /**
+   * @param {string} message - Facebook's error message
+   * @param {Object} [details] - Error details
+   * @param {number} [details.code] - Facebook error code
+   * @param {number} [details.subcode] - Facebook error subcode
+   * @param {string} [details.type] - Facebook error type
+   * @param {number} [details.status] - HTTP status
+   * @param {string} [details.fbtraceId] - Facebook trace ID, useful when reporting bugs
+   * @param {boolean} [details.transient] - Whether Facebook flagged the error as transient
+   * @param {boolean} [details.throttled] - Whether the request was held back by our own rate limiting
+   * @param {Object} [details.response] - The axios response, kept for callers that read error.response
+   */
+  constructor(message, details = {}) {
+    super(`Facebook API Error: ${message}`);
+    this.name = 'GraphApiError';
+    this.code = details.code ?? null;
+    this.subcode = details.subcode ?? null;
+    this.type = details.type ?? null;
+    this.status = details.status ?? null;
+    this.fbtraceId = details.fbtraceId ?? null;
+    this.response = details.response;
+    this.isThrottled = !!details.throttled || [4, 17, 32, 613].includes(this.code) || (this.code >= 80000 && this.code <= 80014);
+    this.isTransient = !details.throttled && (!!details.transient || TRANSIENT_CODES.includes(this.code));
+    this.isPermission = PERMISSION_CODES.includes(this.code);
+    this.isAuthError = AUTH_CODES.includes(this.code);
+  }
+
+  /**
+   * Build a GraphApiError from an axios error
+   * @param {Error} error - Error thrown by axios
+   * @returns {GraphApiError}
+   */
+  static fromAxiosError(error) {
+    if (error instanceof GraphApiError) {
+      return error;
+    }
+
+    if (!error.response) {
+      // Network failures (reset connections, timeouts) are worth another try
+      return new GraphApiError(error.message, { transient: true });
+    }
+
+    const apiError = (error.response.data && error.response.data.error) || {};
+
+    return new GraphApiError(apiError.message || error.message, {
+      code: apiError.code,
+      subcode: apiError.error_subcode,
+      type: apiError.type,
+      status: error.response.status,
+      fbtraceId: apiError.fbtrace_id,
+      transient: apiError.is_transient || (!apiError.code && error.response.status >= 500),
+      response: error.response
+    });
+  }
+}
+
+/**
+ * Shared client for the Facebook Graph API. Reads the usage headers Facebook
+ * sends back, slows down as an app or business gets close to its limit and
+ * retries transient errors with exponential backoff and jitter.
+ */
+class GraphClient {
+  /**
+   * @param {Object} [options] - Client options, defaulting to config.facebook.graphApi
+   */
+  constructor(options = {}) {
+    const defaults = config.facebook.graphApi;
+
+    this.host = (options.baseUrl || defaults.baseUrl).replace(/\/+$/, '');
+    this.version = options.version || defaults.version;
+    this.maxRetries = options.maxRetries ?? defaults.maxRetries;
+    this.baseDelayMs = options.baseDelayMs ?? defaults.baseDelayMs;
+    this.maxDelayMs = options.maxDelayMs ?? defaults.maxDelayMs;
+    this.usageThreshold = options.usageThreshold ?? defaults.usageThreshold;
+    this.sleep = options.sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+
+    // Latest usage reading per key: 'app' for X-App-Usage, otherwise the
+    // business or object ID the X-Business-Use-Case-Usage header was about
+    this.usage = new Map();
+  }
+
+  /**
+   * Base URL including the API version, e.g. https://graph.facebook.com/v18.0
+   */
+  get baseUrl() {
+    return `${this.host}/${this.version}`;
+  }
+
+  /**
+   * Make a GET request
+   * @param {string} path - Graph path, e.g. "me/accounts" or "123/leads"
+   * @param {Object} [params] - Query parameters, including access_token
+   * @returns {Promise<Object>} Response body
+   */
+  async get(path, params = {}) {
+    return this.request('get', path, { params });
+  }
+
+  /**
+   * Make a POST request
+   * @param {string} path - Graph path
+   * @param {Object} [params] - Query parameters, including access_token
+   * @param {Object} [data] - Request body
+   * @returns {Promise<Object>} Response body
+   */
+  async post(path, params = {}, data = undefined) {
+    return this.request('post', path, { params, data });
+  }
+
+  /**
+   * Make a request, retrying transient errors
+   * @param {string} method - HTTP method
+   * @param {string} path - Graph path
+   * @param {Object} [options] - Request options
+   * @param {Object} [options.params] - Query parameters
+   * @param {Object} [options.data] - Request body
+   * @returns {Promise<Object>} Response body
+   * @throws {GraphApiError} On a permanent error, or once retries run out
+   */
+  async request(method, path, { params = {}, data } = {}) {
+    const cleanPath = path.replace(/^\/+/, '');
+    // Usage is tracked per object so one throttled ad account or page doesn't slow down the rest
+    const usageKey = cleanPath.split(/[/?]/)[0];
+
+    for (let attempt = 0; ; attempt++) {
+      await this.waitForCapacity(usageKey);
+
+      try {
+        const response = await axios({
+          method,
+          url: `${this.baseUrl}/${cleanPath}`,
+          params,
+          data
+        });
+
+        this.recordUsage(response.headers, usageKey);
+        return response.data;
+      } catch (error) {
+        if (error.response) {
+          this.recordUsage(error.response.headers, usageKey);
+        }
+
+        const graphError = GraphApiError.fromAxiosError(error);
+
+        if (!graphError.isTransient || attempt >= this.maxRetries) {
+          throw graphError;
+        }
+
+        const delay = this.getRetryDelay(attempt);
+        console.warn(`[GraphClient] ${method.toUpperCase()} ${cleanPath} failed (code ${graphError.code ?? 'none'}): ${graphError.message}. Retrying in ${delay}ms (${attempt + 1}/${this.maxRetries})`);
+        await this.sleep(delay);
+      }
+    }
+  }
+
+  /**
+   * Exponential backoff with full jitter
+   * @param {number} attempt - Zero-based retry attempt
+   * @returns {number} Delay in milliseconds
+   */
+  getRetryDelay(attempt) {
+    const ceiling = Math.min(this.maxDelayMs, this.baseDelayMs * 2 ** attempt);
+    return Math.round(this.baseDelayMs / 2 + Math.random() * (ceiling - this.baseDelayMs / 2));
+  }
+
+  /**
+   * Store the usage Facebook reported in the response headers
+   * @param {Object} headers - Response headers
+   * @param {string} usageKey - Object the request was about
+   */
+  recordUsage(headers = {}, usageKey) {
+    const now = Date.now();
+
+    const appUsage = this.parseHeader(headers['x-app-usage']);
+    if (appUsage) {
+      this.usage.set('app', {
+        percent: this.getUsagePercent(appUsage),
+        regainAt: null,
+        at: now
+      });
+    }
+
+    const businessUsage = this.parseHeader(headers['x-business-use-case-usage']);
+    if (businessUsage) {
+      let highest = null;
+
+      for (const [businessId, entries] of Object.entries(businessUsage)) {
+        for (const entry of [].concat(entries)) {
+          const minutesToRegain = Number(entry.estimated_time_to_regain_access) || 0;
+          const reading = {
+            percent: this.getUsagePercent(entry),
+            regainAt: minutesToRegain > 0 ? now + minutesToRegain * 60 * 1000 : null,
+            at: now
+          };
+
+          this.usage.set(businessId, reading);
+
+          if (!highest || reading.percent > highest.percent) {
+            highest = reading;
+          }
+        }
+      }
+
+      // The header is keyed by business ID, so also remember it against the
+      // object we called to find it again before the next request
+      if (highest && usageKey) {
+        this.usage.set(usageKey, highest);
+      }
+    }
+  }
+
+  /**
+   * Wait before a request if the app or the object is close to its limit
+   * @param {string} usageKey - Object the request is about
+   * @throws {GraphApiError} If the object is blocked for longer than we're willing to wait
+   */
+  async waitForCapacity(usageKey) {
+    const now = Date.now();
+
+    for (const key of ['app', usageKey]) {
+      const reading = this.usage.get(key);
+
+      if (!reading || now - reading.at > USAGE_TTL_MS) {
+        continue;
+      }
+
+      if (reading.regainAt && reading.regainAt > now) {
+        const wait = reading.regainAt - now;
+
+        if (wait > this.maxDelayMs) {
+          throw new GraphApiError(
+            `Rate limit reached for ${key}, access returns in about ${Math.ceil(wait / 60000)} minutes`,
+            { throttled: true }
+          );
+        }
+
+        console.warn(`[GraphClient] ${key} is throttled, waiting ${wait}ms`);
+        await this.sleep(wait);
+        this.usage.delete(key);
+        continue;
+      }
+
+      if (reading.percent >= this.usageThreshold) {
+        // Wait longer the closer we are to 100%
+        const pressure = Math.min(1, (reading.percent - this.usageThreshold) / Math.max(1, 100 - this.usageThreshold));
+        const wait = Math.round(this.baseDelayMs + pressure * (this.maxDelayMs - this.baseDelayMs));
+
+        console.warn(`[GraphClient] ${key} usage at ${reading.percent}%, waiting ${wait}ms`);
+        await this.sleep(wait);
+
+        // The next response brings a fresh reading
+        this.usage.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Highest of the call count, CPU time and total time percentages
+   * @param {Object} usage - Usage object from a header
+   * @returns {number} Percentage of the limit used
+   */
+  getUsagePercent(usage) {
+    return Math.max(
+      Number(usage.call_count) || 0,
+      Number(usage.total_cputime) || 0,
+      Number(usage.total_time) || 0
+    );
+  }
+
+  /**
+   * Parse a JSON usage header
+   * @param {string} value - Header value
+   * @returns {Object|null} Parsed header, or null if missing or malformed
+   */
+  parseHeader(value) {
+    if (!value) {
+      return null;
+    }
+
+    try {
+      return typeof value === 'string' ? JSON.parse(value) : value;
+    } catch (error) {
+      console.warn('[GraphClient] Could not parse usage header:', value);
+      return null;
+    }
+  }
+}
+
+const graphClient = new GraphClient();
+
+module.exports = {
+  graphClient,
+  GraphClient,
+  GraphApiError
+};
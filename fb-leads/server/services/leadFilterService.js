@@ -0,0 +1,216 @@
+const mongoose = require('mongoose');
+const Lead = require('../models/Lead');
+const Segment = require('../models/Segment');
+const leadSearchService = require('./leadSearchService');
+const slaService = require('./slaService');
+const customFieldService = require('./customFieldService');
+const { hasPermission } = require('../config/permissions');
+
+// Filters a segment can hold: the list's, less the search, which a list
+// searching within the segment couldn't run alongside, plus createdWithin
+const SEGMENT_FILTERS = [
+  'source', 'formId', 'pageId', 'pipelineId', 'status', 'assignedTo', 'sla', 'minScore', 'maxScore',
+  'tags', 'archived', 'startDate', 'endDate', 'createdWithin'
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class LeadFilterService {
+  constructor() {
+    this.SEGMENT_FILTERS = SEGMENT_FILTERS;
+  }
+
+  /**
+   * Base query for the leads a member may see: the organization's leads, or
+   * only the leads assigned to them for roles without leads:read_all
+   * @param {Object} member - { organizationId, userId, role }
+   * @returns {Object} MongoDB query
+   */
+  scope({ organizationId, userId, role }) {
+    const query = { organizationId };
+
+    if (!hasPermission(role, 'leads:read_all')) {
+      query.assignedTo = userId;
+    }
+
+    return query;
+  }
+
+  /**
+   * Tag names from a filter, sent as "VIP,Callback" or as a list
+   * @param {string|Array} tags - Tag filter
+   * @returns {Array<string>} Tag names
+   */
+  parseTags(tags) {
+    return (Array.isArray(tags) ? tags : String(tags).split(','))
+      .map(tag => String(tag).trim())
+      .filter(Boolean);
+  }
+
+  /**
+   * Keep the filters a segment can hold, as text, and the custom field filters
+   * @param {Object} [filters] - Filters from the request
+   * @returns {Object} Filters without empty values or unknown keys
+   */
+  cleanSegmentFilters(filters = {}) {
+    const cleaned = Object.fromEntries(
+      Object.entries(filters)
+        .filter(([key, value]) => SEGMENT_FILTERS.includes(key) && ['string', 'number'].includes(typeof value))
+        .map(([key, value]) => [key, String(value).trim()])
+        .filter(([, value]) => value)
+    );
+
+    if (filters.cf && typeof filters.cf === 'object' && !Array.isArray(filters.cf)) {
+      cleaned.cf = filters.cf;
+    }
+
+    return cleaned;
+  }
+
+  /**
+   * Lead query for the list filters shared by the table, the board, the
+   * export, bulk actions and segments: source, form, page, dates, pipeline, status,
+   * assignee, search, score, tags, custom fields, archived and segment.
+   * Leads merged into another are left out, and archived ones unless asked for.
+   * @param {Object} params - Filters, e.g. a request's query string
+   * @param {Object} member - { organizationId, userId, role } of the member
+   * looking, for their scope and "assignedTo=me"
+   * @returns {Promise<Object>} MongoDB query
+   */
+  async buildQuery(params, member) {
+    const {
+      source,
+      formId,
+      pageId,
+      startDate,
+      endDate,
+      createdWithin,
+      status,
+      search,
+      assignedTo,
+      pipelineId,
+      sla,
+      minScore,
+      maxScore,
+      tags,
+      cf,
+      archived,
+      segmentId
+    } = params;
+
+    const query = this.scope(member);
+
+    // Merged duplicates only show on the lead they were merged into
+    query.mergedInto = null;
+
+    // Archived leads only show when asked for, and then on their own
+    query.archivedAt = archived === 'true' ? { $ne: null } : null;
+
+    // Add assignee filter ("me", "unassigned" or a user ID) unless the scope already limits it
+    if (assignedTo && !query.assignedTo) {
+      if (assignedTo === 'me') {
+        query.assignedTo = member.userId;
+      } else if (assignedTo === 'unassigned') {
+        query.assignedTo = null;
+      } else if (mongoose.Types.ObjectId.isValid(assignedTo)) {
+        query.assignedTo = assignedTo;
+      }
+    }
+
+    // Add source filter if provided
+    if (Lead.SOURCES.includes(source)) {
+      query.source = source;
+    }
+
+    // Add form filter if provided
+    if (formId) {
+      query.formId = formId;
+    }
+
+    // Add page filter if provided
+    if (pageId) {
+      query.pageId = pageId;
+    }
+
+    // Add date range filter if provided
+    if (startDate || endDate) {
+      query.createdTime = {};
+      if (startDate) query.createdTime.$gte = new Date(startDate);
+      if (endDate) query.createdTime.$lte = new Date(endDate);
+    }
+
+    // Leads created in the last so many days, counted from now
+    if (createdWithin && !isNaN(createdWithin)) {
+      const since = new Date(Date.now() - Number(createdWithin) * DAY_MS);
+      const from = query.createdTime?.$gte;
+      query.createdTime = { ...query.createdTime, $gte: from && from > since ? from : since };
+    }
+
+    // Add pipeline filter if provided
+    if (pipelineId && mongoose.Types.ObjectId.isValid(pipelineId)) {
+      query.pipelineId = pipelineId;
+    }
+
+    // Add status filter if provided
+    if (status) {
+      query.status = status;
+    }
+
+    // Add search filter if provided
+    if (search) {
+      Object.assign(query, leadSearchService.buildFilter(search));
+    }
+
+    // Only leads that missed their SLA; $and keeps its $or apart from the search
+    if (sla === 'breached') {
+      query.$and = [slaService.breachedFilter()];
+    }
+
+    // Add score range filter if provided
+    if (minScore !== undefined && minScore !== '' && !isNaN(minScore)) {
+      query.score = { $gte: Number(minScore) };
+    }
+    if (maxScore !== undefined && maxScore !== '' && !isNaN(maxScore)) {
+      query.score = { ...query.score, $lte: Number(maxScore) };
+    }
+
+    // Leads with every one of the tags
+    if (tags) {
+      const names = this.parseTags(tags);
+      if (names.length > 0) {
+        query.tags = { $all: names };
+      }
+    }
+
+    // Add custom field filters, sent as cf[key]=value or cf[key][gte]=value
+    if (cf) {
+      const fields = await customFieldService.getFields(member.organizationId);
+      Object.assign(query, customFieldService.buildFilters(fields, cf));
+    }
+
+    // Leads in a segment, on top of the other filters; an unknown segment has none
+    if (segmentId) {
+      const segment = mongoose.Types.ObjectId.isValid(segmentId)
+        ? await Segment.findOne({ _id: segmentId, organizationId: member.organizationId }).lean()
+        : null;
+
+      let segmentQuery = { _id: null };
+
+      if (segment) {
+        const filters = this.cleanSegmentFilters(segment.filters);
+        segmentQuery = await this.buildQuery(filters, member);
+
+        // Unless the segment is of archived leads, the list's archive filter applies
+        if (!filters.archived) {
+          delete segmentQuery.archivedAt;
+        }
+      }
+
+      query.$and = [...(query.$and || []), segmentQuery];
+    }
+
+    return query;
+  }
+}
+
+module.exports = new LeadFilterService();
@@ -0,0 +1,607 @@
+const { parse } = require('csv-parse/sync');
+const ExcelJS = require('exceljs');
+const Lead = require('../models/Lead');
+const ImportJob = require('../models/ImportJob');
+const ImportRow = require('../models/ImportRow');
+const customFieldService = require('./customFieldService');
+const pipelineService = require('./pipelineService');
+const phoneService = require('./phoneService');
+const scoringService = require('./scoringService');
+const tagService = require('./tagService');
+const activityService = require('./activityService');
+const { getSource } = require('./leadSources');
+
+// Largest file, and most rows, one import may have
+const MAX_FILE_SIZE = 5 * 1024 * 1024;
+const MAX_ROWS = 10000;
+
+// Validation errors the preview lists; the counts cover every row
+const MAX_PREVIEW_ERRORS = 100;
+
+// How long an upload may wait to be started before it's deleted, with its rows
+const PENDING_TTL_MS = 24 * 60 * 60 * 1000;
+
+// Loose check that a value is an email address
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Column headings each attribute is suggested for, compared without case,
+// spaces or punctuation
+const ATTRIBUTE_HEADERS = {
+  fullName: ['name', 'fullname', 'contactname', 'leadname'],
+  firstName: ['firstname', 'givenname', 'first'],
+  lastName: ['lastname', 'surname', 'familyname', 'last'],
+  email: ['email', 'emailaddress', 'mail'],
+  phone: ['phone', 'phonenumber', 'mobile', 'mobilenumber', 'cell', 'telephone', 'tel', 'contactnumber', 'whatsapp'],
+  city: ['city', 'town'],
+  createdTime: ['createdtime', 'created', 'createdat', 'createddate', 'datecreated', 'date', 'submittedat'],
+  status: ['status', 'stage', 'leadstatus'],
+  tags: ['tags', 'tag', 'labels']
+};
+
+const normalizeHeader = (header) => String(header || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Text of a spreadsheet cell: dates as ISO timestamps, formulas as their
+ * result, and links and rich text as what they show
+ * @param {*} value - ExcelJS cell value
+ * @returns {string} Cell text
+ */
+const cellText = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (typeof value === 'object') {
+    if (value.richText) return value.richText.map(part => part.text).join('');
+    if (value.text !== undefined) return cellText(value.text);
+    if (value.result !== undefined) return cellText(value.result);
+    if (value.error) return '';
+  }
+  return String(value);
+};
+
+class LeadImportService {
+  constructor() {
+    this.MAX_FILE_SIZE = MAX_FILE_SIZE;
+    this.MAX_ROWS = MAX_ROWS;
+    this.PENDING_TTL_MS = PENDING_TTL_MS;
+  }
+
+  /**
+   * Read the rows out of an uploaded CSV or XLSX file. The first row is the
+   * header; blank rows are left out.
+   * @param {Buffer} buffer - File contents
+   * @param {string} fileName - Original file name, for its extension
+   * @returns {Promise<Object>} { headers, rows }, all values as text
+   * @throws {Error} When the file can't be read, or has no rows or too many
+   */
+  async parseFile(buffer, fileName) {
+    const extension = String(fileName).split('.').pop().toLowerCase();
+    let table;
+
+    if (extension === 'csv' || extension === 'txt') {
+      table = this.parseCsv(buffer);
+    } else if (extension === 'xlsx') {
+      table = await this.parseXlsx(buffer);
+    } else {
+      throw new Error('Upload a .csv or .xlsx file');
+    }
+
+    const [headers = [], ...rows] = table
+      .map(row => row.map(value => String(value ?? '').trim()))
+      .filter(row => row.some(Boolean));
+
+    if (rows.length === 0) {
+      throw new Error('The file has no rows below its header');
+    }
+    if (rows.length > MAX_ROWS) {
+      throw new Error(`Files can have up to ${MAX_ROWS} rows; split this one up`);
+    }
+
+    // Every row as wide as the widest, so columns line up with the header
+    const width = Math.max(headers.length, ...rows.map(row => row.length));
+    const pad = (row) => [...row, ...Array(width - row.length).fill('')];
+
+    return {
+      headers: pad(headers).map((header, index) => header || `Column ${index + 1}`),
+      rows: rows.map(pad)
+    };
+  }
+
+  /**
+   * Store an upload's data rows
+   * @param {Object} job - ImportJob document
+   * @param {Array<Array<string>>} rows - Data rows, as parseFile reads them
+   */
+  async saveRows(job, rows) {
+    await ImportRow.insertMany(rows.map((values, index) => ({ importId: job._id, index, values })));
+  }
+
+  /**
+   * Data rows of an import, in file order
+   * @param {Object} job - ImportJob document
+   * @returns {Promise<Array<Array<string>>>} Each row's values
+   */
+  async getRows(job) {
+    const rows = await ImportRow.find({ importId: job._id }).sort({ index: 1 }).lean();
+    return rows.map(row => row.values);
+  }
+
+  /**
+   * Parse CSV text, separated by commas, semicolons or tabs, whichever the
+   * header row has most of
+   * @param {Buffer} buffer - File contents
+   * @returns {Array<Array<string>>} Rows of values
+   */
+  parseCsv(buffer) {
+    const firstLine = buffer.toString('utf8').split(/\r?\n/, 1)[0];
+    const delimiter = [',', ';', '\t']
+      .map(candidate => ({ candidate, count: firstLine.split(candidate).length }))
+      .sort((a, b) => b.count - a.count)[0].candidate;
+
+    try {
+      return parse(buffer, { bom: true, delimiter, relax_column_count: true, skip_empty_lines: true });
+    } catch (error) {
+      throw new Error(`The CSV couldn't be read: ${error.message}`);
+    }
+  }
+
+  /**
+   * Read the first worksheet of an XLSX workbook
+   * @param {Buffer} buffer - File contents
+   * @returns {Promise<Array<Array<string>>>} Rows of values
+   */
+  async parseXlsx(buffer) {
+    const workbook = new ExcelJS.Workbook();
+
+    try {
+      await workbook.xlsx.load(buffer);
+    } catch (error) {
+      throw new Error('The file isn\'t a readable Excel workbook');
+    }
+
+    const sheet = workbook.worksheets[0];
+    const rows = [];
+
+    sheet?.eachRow(row => {
+      // ExcelJS row values start at index 1
+      rows.push(row.values.slice(1).map(cellText));
+    });
+
+    return rows;
+  }
+
+  /**
+   * Targets columns can be mapped to: lead attributes and custom fields
+   * @param {Array} customFields - The organization's CustomField documents
+   * @returns {Array} { attribute, customField, name }
+   */
+  getTargets(customFields) {
+    return [
+      ...ImportJob.IMPORT_ATTRIBUTES.map(attribute => ({ attribute, customField: null })),
+      ...customFields.map(field => ({ attribute: 'custom', customField: field.key, name: field.name }))
+    ];
+  }
+
+  /**
+   * Suggest where each column goes from its heading: a lead attribute, or a
+   * custom field with that name or key. Each target is suggested once.
+   * @param {Array<string>} headers - Column headings
+   * @param {Array} customFields - The organization's CustomField documents
+   * @returns {Array} Mappings as { column, attribute, customField }
+   */
+  suggestMapping(headers, customFields) {
+    const mapping = [];
+    const used = new Set();
+
+    headers.forEach((header, column) => {
+      const name = normalizeHeader(header);
+      const attribute = Object.keys(ATTRIBUTE_HEADERS).find(key => (
+        !used.has(key) && (ATTRIBUTE_HEADERS[key].includes(name) || normalizeHeader(key) === name)
+      ));
+
+      if (attribute) {
+        used.add(attribute);
+        mapping.push({ column, attribute, customField: null });
+        return;
+      }
+
+      const field = customFields.find(f => (
+        !used.has(`custom:${f.key}`) && (normalizeHeader(f.name) === name || normalizeHeader(f.key) === name)
+      ));
+
+      if (field) {
+        used.add(`custom:${field.key}`);
+        mapping.push({ column, attribute: 'custom', customField: field.key });
+      }
+    });
+
+    return mapping;
+  }
+
+  /**
+   * Check a column mapping and dedup settings before previewing or starting
+   * @param {Object} job - ImportJob document
+   * @param {Object} options - { mapping, strategy, matchBy }
+   * @param {Array} customFields - The organization's CustomField documents
+   * @returns {Array<string>} Problems; empty when the mapping can be used
+   */
+  validateMapping(job, { mapping, strategy, matchBy }, customFields) {
+    const errors = [];
+    const seen = new Set();
+
+    mapping.forEach(({ column, attribute, customField }) => {
+      const header = job.headers[column];
+
+      if (header === undefined) {
+        errors.push(`The file has no column ${column + 1}`);
+        return;
+      }
+
+      if (attribute === 'custom' && !customFields.some(field => field.key === customField)) {
+        errors.push(`${header} is mapped to an unknown custom field`);
+        return;
+      }
+
+      const target = attribute === 'custom' ? `custom:${customField}` : attribute;
+      if (seen.has(target)) {
+        errors.push(`More than one column is mapped to ${attribute === 'custom' ? customField : attribute}`);
+      }
+      seen.add(target);
+    });
+
+    if (strategy !== 'create' && !seen.has(matchBy)) {
+      errors.push(`Map a column to ${matchBy} to find leads that are already stored, or import every row as a new lead`);
+    }
+
+    return errors;
+  }
+
+  /**
+   * What an import needs to read its rows: the organization's custom fields,
+   * the pipeline imported leads go into, and their default phone country
+   * @param {string} organizationId - Organization ID
+   * @returns {Promise<Object>} { customFields, pipeline, defaultCountry }
+   */
+  async getContext(organizationId) {
+    const [customFields, pipeline, defaultCountry] = await Promise.all([
+      customFieldService.getFields(organizationId),
+      pipelineService.getDefaultPipeline(organizationId),
+      phoneService.getDefaultCountry(organizationId, null)
+    ]);
+
+    return { customFields, pipeline, defaultCountry };
+  }
+
+  /**
+   * Turn a row into lead fields by the mapping. Every non-empty value is kept
+   * in fieldData under its heading, like a form's answers.
+   * @param {Array<string>} values - The row's values
+   * @param {Array<string>} headers - Column headings
+   * @param {Array} mapping - { column, attribute, customField }
+   * @param {Object} context - From getContext
+   * @returns {Object} { lead, errors }: the lead's fields, and what's wrong
+   * with the row; a row with errors isn't imported
+   */
+  buildLead(values, headers, mapping, { customFields, pipeline }) {
+    const lead = { fieldData: [], customFields: {}, tags: [] };
+    const errors = [];
+
+    headers.forEach((header, column) => {
+      const value = String(values[column] ?? '').trim();
+
+      if (value) {
+        lead.fieldData.push({ name: header, value });
+      }
+    });
+
+    mapping.forEach(({ column, attribute, customField }) => {
+      const header = headers[column];
+      const value = String(values[column] ?? '').trim();
+
+      if (!value) {
+        return;
+      }
+
+      switch (attribute) {
+        case 'custom':
+          lead.customFields[customField] = value;
+          break;
+        case 'email':
+          if (EMAIL_PATTERN.test(value)) {
+            lead.email = value.toLowerCase();
+          } else {
+            errors.push(`${header}: "${value}" isn't an email address`);
+          }
+          break;
+        case 'createdTime': {
+          const date = new Date(value);
+          if (Number.isNaN(date.getTime())) {
+            errors.push(`${header}: "${value}" isn't a date`);
+          } else {
+            lead.createdTime = date;
+          }
+          break;
+        }
+        case 'status': {
+          // Stages are matched by key or by name
+          const stage = pipeline.stages.find(s => (
+            s.key === value || s.name.toLowerCase() === value.toLowerCase()
+          ));
+          if (stage) {
+            lead.status = stage.key;
+          } else {
+            errors.push(`${header}: "${value}" isn't a stage of ${pipeline.name}`);
+          }
+          break;
+        }
+        case 'tags':
+          lead.tags = value.split(/[,;]/).map(tag => tag.trim()).filter(Boolean);
+          if (lead.tags.some(tag => tag.length > 50)) {
+            errors.push(`${header}: tags can be up to 50 characters`);
+          }
+          break;
+        default:
+          lead[attribute] = value;
+      }
+    });
+
+    const { values: customValues, errors: customErrors } = customFieldService.coerceValues(customFields, lead.customFields);
+    lead.customFields = customValues;
+    errors.push(...customErrors);
+
+    // Sheets with first and last name in separate columns
+    if (!lead.fullName && (lead.firstName || lead.lastName)) {
+      lead.fullName = [lead.firstName, lead.lastName].filter(Boolean).join(' ');
+    }
+
+    if (!lead.fullName && !lead.email && !lead.phone) {
+      errors.push('The row has no name, email or phone');
+    }
+
+    return { lead, errors };
+  }
+
+  /**
+   * The value a lead is matched on for dedup: its email, or its phone in
+   * E.164 (as entered when it isn't a valid number)
+   * @param {Object} lead - Lead fields from buildLead
+   * @param {string} matchBy - 'email' or 'phone'
+   * @param {string|null} defaultCountry - Country for phones without a code
+   * @returns {Object|null} Query on the matching field, or null without a value
+   */
+  matchQuery(lead, matchBy, defaultCountry) {
+    if (matchBy === 'email') {
+      return lead.email ? { email: lead.email } : null;
+    }
+
+    if (!lead.phone) {
+      return null;
+    }
+
+    const { phoneE164 } = phoneService.parse(lead.phone, defaultCountry);
+    return phoneE164 ? { phoneE164 } : { phone: lead.phone };
+  }
+
+  /**
+   * Find the stored lead a row duplicates, the newest one if there are several.
+   * Merged leads are left out; archived ones count.
+   * @param {string} organizationId - Organization ID
+   * @param {Object} lead - Lead fields from buildLead
+   * @param {string} matchBy - 'email' or 'phone'
+   * @param {string|null} defaultCountry - Country for phones without a code
+   * @returns {Promise<Object|null>} Lead document
+   */
+  async findDuplicate(organizationId, lead, matchBy, defaultCountry) {
+    const match = this.matchQuery(lead, matchBy, defaultCountry);
+
+    if (!match) {
+      return null;
+    }
+
+    return Lead.findOne({ ...match, organizationId, mergedInto: null }).sort({ createdTime: -1 });
+  }
+
+  /**
+   * Check every row without importing anything: how many are valid, how
+   * many match stored leads (or an earlier row), and what's wrong with the
+   * others
+   * @param {Object} job - ImportJob document
+   * @param {Object} options - { mapping, strategy, matchBy }
+   * @returns {Promise<Object>} { total, valid, invalid, duplicates, toCreate,
+   * toUpdate, toSkip, errors, sample }
+   */
+  async preview(job, { mapping, strategy, matchBy }) {
+    const context = await this.getContext(job.organizationId);
+    const rows = await this.getRows(job);
+    const result = { total: rows.length, valid: 0, invalid: 0, duplicates: 0, errors: [], sample: [] };
+    const matches = [];
+
+    rows.forEach((values, index) => {
+      const { lead, errors } = this.buildLead(values, job.headers, mapping, context);
+
+      if (errors.length > 0) {
+        result.invalid++;
+        if (result.errors.length < MAX_PREVIEW_ERRORS) {
+          result.errors.push({ row: index + 2, message: errors.join('; ') });
+        }
+        return;
+      }
+
+      result.valid++;
+      if (result.sample.length < 5) {
+        result.sample.push({ row: index + 2, ...lead });
+      }
+      matches.push(this.matchQuery(lead, matchBy, context.defaultCountry));
+    });
+
+    if (strategy !== 'create') {
+      const field = matchBy === 'email' ? 'email' : 'phoneE164';
+      const values = matches.filter(match => match?.[field]).map(match => match[field]);
+      const stored = new Set(await Lead.distinct(field, {
+        organizationId: job.organizationId,
+        mergedInto: null,
+        [field]: { $in: values }
+      }));
+      const seen = new Set();
+
+      // A row repeating an earlier one matches the lead that row creates
+      matches.forEach(match => {
+        const key = match && Object.values(match)[0];
+
+        if (key && (stored.has(key) || seen.has(key))) {
+          result.duplicates++;
+        }
+        if (key) {
+          seen.add(key);
+        }
+      });
+    }
+
+    return {
+      ...result,
+      toCreate: result.valid - result.duplicates,
+      toUpdate: strategy === 'update' ? result.duplicates : 0,
+      toSkip: strategy === 'skip' ? result.duplicates : 0
+    };
+  }
+
+  /**
+   * Find the lead an import already added for a row, e.g. before a restart
+   * stopped it
+   * @param {Object} job - ImportJob document
+   * @param {number} index - Index of the row in the file
+   * @returns {Promise<boolean>} Whether the row's lead is stored
+   */
+  async isRowImported(job, index) {
+    const leadId = getSource('import').leadId({ provenance: { importId: job._id, row: index + 2 } });
+
+    return Boolean(await Lead.exists({ organizationId: job.organizationId, leadId }));
+  }
+
+  /**
+   * Fields for a new lead from an imported row, for leadIngestService.ingest
+   * @param {Object} lead - Lead fields from buildLead
+   * @param {Object} job - ImportJob document
+   * @param {number} index - Index of the row in the file
+   * @returns {Promise<Object>} Lead to upsert
+   */
+  async toNewLead(lead, job, index) {
+    return {
+      ...lead,
+      source: 'import',
+      userId: job.userId,
+      organizationId: job.organizationId,
+      tags: await tagService.resolveNames(job.organizationId, lead.tags),
+      createdTime: lead.createdTime || new Date(),
+      provenance: { importId: job._id, fileName: job.fileName, row: index + 2 }
+    };
+  }
+
+  /**
+   * Fill a stored lead in with an imported row's values: its attributes,
+   * custom fields and tags. The lead's stage and owner are left alone.
+   * @param {Object} existing - Lead document the row duplicates
+   * @param {Object} lead - Lead fields from buildLead
+   * @param {Object} job - ImportJob document
+   * @param {string|null} defaultCountry - Country for phones without a code
+   * @returns {Promise<Object>} The updated lead document
+   */
+  async updateLead(existing, lead, job, defaultCountry) {
+    const set = {};
+
+    ['fullName', 'firstName', 'lastName', 'email', 'phone', 'city'].forEach(attribute => {
+      if (lead[attribute]) {
+        set[attribute] = lead[attribute];
+      }
+    });
+    if (lead.phone) {
+      Object.assign(set, phoneService.parse(lead.phone, defaultCountry));
+    }
+    Object.entries(lead.customFields).forEach(([key, value]) => {
+      set[`customFields.${key}`] = value;
+    });
+
+    const update = { $set: set };
+    if (lead.tags.length > 0) {
+      update.$addToSet = { tags: { $each: await tagService.resolveNames(job.organizationId, lead.tags) } };
+    }
+
+    let updated = await Lead.findByIdAndUpdate(existing._id, update, { new: true });
+
+    try {
+      updated = await scoringService.applyScore(updated);
+    } catch (error) {
+      console.error(`[scoring] Failed to score lead ${updated.leadId}:`, error.message);
+    }
+
+    await activityService.record(updated, 'import', {
+      author: job.userId,
+      data: { importId: job._id, fileName: job.fileName, updated: true }
+    });
+
+    return updated;
+  }
+
+  /**
+   * Delete uploads that were never started, with their rows
+   * @returns {Promise<number>} Imports deleted
+   */
+  async expirePendingImports() {
+    const jobIds = await ImportJob.find({ status: 'pending', updatedAt: { $lt: new Date(Date.now() - PENDING_TTL_MS) } })
+      .distinct('_id');
+    let expired = 0;
+
+    for (const jobId of jobIds) {
+      // An upload started since it was found keeps its rows
+      const deleted = await ImportJob.findOneAndDelete({ _id: jobId, status: 'pending' });
+
+      if (deleted) {
+        await ImportRow.deleteMany({ importId: jobId });
+        expired++;
+      }
+    }
+
+    return expired;
+  }
+
+  /**
+   * Schedule the sweep of uploads never started
+   * @param {Object} cron - node-cron
+   */
+  setupCronJob(cron) {
+    // Run every hour
+    cron.schedule('0 * * * *', async () => {
+      try {
+        const expired = await this.expirePendingImports();
+
+        if (expired > 0) {
+          console.log(`Deleted ${expired} import(s) never started`);
+        }
+      } catch (error) {
+        console.error('Expiring pending imports failed:', error);
+      }
+    });
+
+    console.log('Pending import expiry cron job started');
+  }
+
+  /**
+   * CSV of an import's failed rows: the row number and what was wrong, then
+   * the row as it was in the file
+   * @param {Object} job - ImportJob document
+   * @returns {Promise<string>} CSV text
+   */
+  async buildErrorReport(job) {
+    const quote = (value) => `"${String(value ?? '').replace(/"/g, '""')}"`;
+    const header = ['Row', 'Error', ...job.headers].map(quote).join(',');
+    const failed = await ImportRow.find({ importId: job._id, error: { $ne: null } }).sort({ index: 1 }).lean();
+    const rows = failed.map(row => [row.index + 2, row.error, ...row.values].map(quote).join(','));
+
+    return [header, ...rows].join('\n');
+  }
+}
+
+module.exports = new LeadImportService();
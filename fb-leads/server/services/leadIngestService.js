@@ -0,0 +1,245 @@
+const Lead = require('../models/Lead');
+const activityService = require('./activityService');
+const leadRoutingService = require('./leadRoutingService');
+const pipelineService = require('./pipelineService');
+const slaService = require('./slaService');
+const contactService = require('./contactService');
+const phoneService = require('./phoneService');
+const customFieldService = require('./customFieldService');
+const scoringService = require('./scoringService');
+const segmentService = require('./segmentService');
+const { getSource } = require('./leadSources');
+
+class LeadIngestService {
+  /**
+   * Insert a lead from any source, or refresh it if it was already stored.
+   * Its source's adapter gives it its leadId, provenance and first timeline
+   * entry; new leads without an owner are assigned by the routing rules.
+   * @param {Object} lead - Lead fields, with its source (Facebook lead ads by
+   * default). Facebook leads come from facebookLeadService.normalizeLead,
+   * imported ones from leadImportService.toNewLead.
+   * @returns {Promise<Object>} The saved lead document and whether it was new
+   */
+  async ingest(lead) {
+    const adapter = getSource(lead.source || 'facebook_lead_ad');
+    const leadId = adapter.leadId(lead);
+
+    // userId records who first brought the lead in, so later syncs by teammates leave it alone.
+    // Leads may come with a stage, pipeline and owner; they're only set on insert.
+    const { userId, status, pipelineId, assignedTo, tags, ...fields } = lead;
+    const onInsert = { userId };
+    const createdTime = lead.createdTime || new Date();
+
+    // Leads without a submission time of their own arrive now
+    if (!lead.createdTime) {
+      onInsert.createdTime = createdTime;
+    }
+
+    fields.leadId = leadId;
+    fields.source = adapter.source;
+
+    // Whoever first added the lead stays its creator when it's sent again
+    delete fields.provenance;
+    const { createdBy, ...provenance } = adapter.provenance(lead);
+    Object.entries(provenance)
+      .filter(([, value]) => value !== undefined)
+      .forEach(([key, value]) => {
+        fields[`provenance.${key}`] = value;
+      });
+    if (createdBy) {
+      onInsert['provenance.createdBy'] = createdBy;
+    }
+
+    // Keep the phone as entered, and in E.164 for dialing when it's valid.
+    // A lead sent again without its phone keeps the one it has.
+    if (lead.phone !== undefined) {
+      const defaultCountry = lead.organizationId
+        ? await phoneService.getDefaultCountry(lead.organizationId, lead.formId)
+        : null;
+      Object.assign(fields, phoneService.parse(lead.phone, defaultCountry));
+    }
+
+    // Mapped answers are stored typed and set one field at a time, so values
+    // added on the lead itself survive later syncs
+    delete fields.customFields;
+    if (lead.organizationId && lead.customFields && Object.keys(lead.customFields).length > 0) {
+      const customFields = await customFieldService.getFields(lead.organizationId);
+      const { values } = customFieldService.coerceValues(customFields, lead.customFields);
+      Object.entries(values)
+        .filter(([, value]) => value !== null)
+        .forEach(([key, value]) => {
+          fields[`customFields.${key}`] = value;
+        });
+    }
+
+    // New leads start in the first stage of the pipeline they were given,
+    // else their form's, else the default pipeline
+    if (lead.organizationId) {
+      const pipeline = (pipelineId && await pipelineService.findPipeline(lead.organizationId, pipelineId))
+        || await pipelineService.getPipelineForForm(lead.organizationId, lead.formId);
+      onInsert.pipelineId = pipeline._id;
+      onInsert.status = status || pipeline.stages[0].key;
+
+      // The form's SLA when the lead arrived; later changes to it don't move the target
+      Object.assign(onInsert, await slaService.getFormTargets(lead.organizationId, lead.formId, createdTime));
+    }
+
+    if (assignedTo) {
+      onInsert.assignedTo = assignedTo;
+      onInsert.assignedAt = new Date();
+    }
+
+    // Leads are keyed within their organization, so one tracking the same
+    // Facebook form as another never takes over the other's leads
+    const result = await Lead.findOneAndUpdate(
+      { organizationId: lead.organizationId || null, leadId },
+      {
+        $set: {
+          ...fields,
+          lastSyncedAt: new Date()
+        },
+        $setOnInsert: onInsert,
+        // Tags are added to the ones members gave the lead, never replace them
+        ...(tags?.length > 0 && { $addToSet: { tags: { $each: tags } } })
+      },
+      {
+        upsert: true,
+        new: true,
+        setDefaultsOnInsert: true,
+        includeResultMetadata: true
+      }
+    );
+
+    console.log(`Lead ${leadId} saved to database`);
+
+    const inserted = !result.lastErrorObject?.updatedExisting;
+    let saved = result.value;
+
+    // Score new leads, and rescore ones whose answers may have changed
+    try {
+      saved = await scoringService.applyScore(saved);
+    } catch (error) {
+      console.error(`[scoring] Failed to score lead ${leadId}:`, error.message);
+    }
+
+    // New leads go to a member straight away; a routing failure must not lose the lead
+    if (inserted) {
+      const { type, ...options } = adapter.activity(saved);
+      await activityService.record(saved, type, options);
+
+      if (assignedTo) {
+        await activityService.record(saved, 'assignment', {
+          author: userId,
+          data: { from: null, to: assignedTo }
+        });
+      }
+
+      try {
+        saved = await leadRoutingService.routeLead(saved) || saved;
+      } catch (error) {
+        console.error(`[routing] Failed to route lead ${leadId}:`, error.message);
+      }
+
+      // Group repeat submissions by the same person
+      try {
+        await contactService.linkLead(saved);
+      } catch (error) {
+        console.error(`[contacts] Failed to link lead ${leadId}:`, error.message);
+      }
+
+      // Tell members following the segments it falls in, once it has its owner
+      try {
+        await segmentService.notifyNewLead(saved);
+      } catch (error) {
+        console.error(`[segments] Failed to notify for lead ${leadId}:`, error.message);
+      }
+    }
+
+    return {
+      lead: saved,
+      inserted
+    };
+  }
+
+  /**
+   * Drop the index that kept leadIds unique across organizations, from
+   * before they were unique per organization
+   * @returns {Promise<boolean>} Whether there was one to drop
+   */
+  async dropGlobalLeadIdIndex() {
+    const indexes = await Lead.collection.indexes();
+    const global = indexes.find(index => index.unique && Object.keys(index.key).join() === 'leadId');
+
+    if (!global) {
+      return false;
+    }
+
+    await Lead.collection.dropIndex(global.name);
+    return true;
+  }
+
+  /**
+   * Bring leads stored before sources had adapters in line: Facebook leads
+   * get their new source name and their ad details as provenance, and
+   * imported ones the file and row they kept in rawData
+   * @returns {Promise<number>} Leads updated
+   */
+  async backfillSources() {
+    const facebook = await Lead.updateMany(
+      { source: { $in: [null, 'facebook'] } },
+      [{
+        $set: {
+          source: 'facebook_lead_ad',
+          provenance: {
+            platform: '$rawData.platform',
+            adId: '$rawData.adId',
+            campaignName: '$rawData.campaignName',
+            adsetName: '$rawData.adsetName',
+            adName: '$rawData.adName'
+          }
+        }
+      }]
+    );
+
+    const imported = await Lead.updateMany(
+      { source: 'import', 'provenance.importId': { $exists: false }, 'rawData.importId': { $exists: true } },
+      [{
+        $set: {
+          provenance: {
+            importId: '$rawData.importId',
+            fileName: '$rawData.fileName',
+            row: '$rawData.row'
+          },
+          rawData: { $literal: {} }
+        }
+      }]
+    );
+
+    return facebook.modifiedCount + imported.modifiedCount;
+  }
+
+  /**
+   * Give leads stored before phone searches matched number prefixes the
+   * digits those searches look at
+   * @returns {Promise<number>} Leads updated
+   */
+  async backfillPhoneDigits() {
+    const cursor = Lead.find({ phone: { $nin: [null, ''] }, phoneDigits: { $exists: false } })
+      .select('phone phoneE164')
+      .lean()
+      .cursor();
+    let updated = 0;
+
+    for await (const lead of cursor) {
+      const { phoneDigits } = phoneService.parse(lead.phoneE164 || lead.phone);
+      await Lead.updateOne({ _id: lead._id }, { $set: { phoneDigits } });
+      updated++;
+    }
+
+    return updated;
+  }
+}
+
+const leadIngestService = new LeadIngestService();
+
+module.exports = leadIngestService;
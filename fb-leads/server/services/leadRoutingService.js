@@ -0,0 +1,314 @@
+const Lead = require('../models/Lead');
+const Form = require('../models/Form');
+const RoutingRule = require('../models/RoutingRule');
+const Organization = require('../models/Organization');
+const activityService = require('./activityService');
+const pipelineService = require('./pipelineService');
+
+class LeadRoutingService {
+  /**
+   * Read a number out of a form answer such as "$5,000 - $10,000"
+   * @param {*} value - Answer or condition value
+   * @returns {number|null} First number in the value
+   */
+  parseNumber(value) {
+    if (typeof value === 'number') {
+      return value;
+    }
+
+    const match = String(value ?? '').match(/-?\d[\d,]*(\.\d+)?/);
+    return match ? parseFloat(match[0].replace(/,/g, '')) : null;
+  }
+
+  /**
+   * Get a lead's answer to a form field
+   * @param {Object} lead - Lead document
+   * @param {string} field - fieldData name, compared trimmed and without case
+   * @returns {*} Answer, or null when the field wasn't answered
+   */
+  getAnswer(lead, field) {
+    const name = Form.normalizeKey(field);
+    const entry = (lead.fieldData || []).find(item => Form.normalizeKey(item.name) === name);
+    return entry && entry.value !== undefined ? entry.value : null;
+  }
+
+  /**
+   * Check one rule condition against a lead's answers
+   * @param {Object} lead - Lead document
+   * @param {Object} condition - { field, operator, value }
+   * @returns {boolean} Whether the condition holds
+   */
+  matchesCondition(lead, condition) {
+    const answer = this.getAnswer(lead, condition.field);
+    const text = answer === null ? '' : String(answer).trim().toLowerCase();
+    const expected = String(condition.value ?? '').trim().toLowerCase();
+
+    switch (condition.operator) {
+      case 'exists':
+        return text !== '';
+      case 'equals':
+        return text === expected;
+      case 'not_equals':
+        return text !== expected;
+      case 'contains':
+        return text !== '' && text.includes(expected);
+      case 'in': {
+        const values = Array.isArray(condition.value) ? condition.value : String(condition.value ?? '').split(',');
+        return values.map(value => String(value).trim().toLowerCase()).includes(text);
+      }
+      case 'gt':
+      case 'gte':
+      case 'lt':
+      case 'lte': {
+        const number = this.parseNumber(answer);
+        const limit = this.parseNumber(condition.value);
+
+        if (number === null || limit === null) {
+          return false;
+        }
+
+        return {
+          gt: number > limit,
+          gte: number >= limit,
+          lt: number < limit,
+          lte: number <= limit
+        }[condition.operator];
+      }
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Check whether a routing rule applies to a lead
+   * @param {Object} lead - Lead document
+   * @param {Object} rule - RoutingRule document
+   * @returns {boolean} Whether the rule matches
+   */
+  matchesRule(lead, rule) {
+    if (rule.formIds && rule.formIds.length > 0 && !rule.formIds.includes(lead.formId)) {
+      return false;
+    }
+
+    const conditions = rule.conditions || [];
+
+    if (conditions.length === 0) {
+      return true;
+    }
+
+    return rule.match === 'any'
+      ? conditions.some(condition => this.matchesCondition(lead, condition))
+      : conditions.every(condition => this.matchesCondition(lead, condition));
+  }
+
+  /**
+   * Count a member's open leads, i.e. those not in a won or lost stage,
+   * archived or merged into another lead
+   * @param {string} organizationId - Organization ID
+   * @param {string} userId - Member's user ID
+   * @param {Object} [filter] - Further conditions on the leads
+   * @returns {Promise<number>} Open lead count
+   */
+  async countOpenLeads(organizationId, userId, filter = {}) {
+    return Lead.countDocuments({
+      ...filter,
+      organizationId,
+      assignedTo: userId,
+      mergedInto: null,
+      archivedAt: null,
+      ...await pipelineService.openLeadsFilter(organizationId)
+    });
+  }
+
+  /**
+   * Check whether a member can take another lead
+   * @param {Object} organization - Organization document
+   * @param {string} userId - Member's user ID
+   * @returns {Promise<boolean>} Whether the member is below their cap
+   */
+  async hasCapacity(organization, userId) {
+    const member = organization.getMember(userId);
+
+    if (!member) {
+      return false;
+    }
+
+    if (member.maxOpenLeads === null || member.maxOpenLeads === undefined) {
+      return true;
+    }
+
+    return await this.countOpenLeads(organization._id, userId) < member.maxOpenLeads;
+  }
+
+  /**
+   * Check a lead just assigned against its member's cap. Leads assigned at
+   * the same time by concurrent syncs all pass hasCapacity, so only those
+   * assigned first, up to the cap, are within it.
+   * @param {Object} organization - Organization document
+   * @param {Object} lead - Lead document, assigned
+   * @returns {Promise<boolean>} Whether the lead is within the member's cap
+   */
+  async isWithinCapacity(organization, lead) {
+    const member = organization.getMember(lead.assignedTo);
+
+    if (!member || member.maxOpenLeads === null || member.maxOpenLeads === undefined) {
+      return Boolean(member);
+    }
+
+    const ahead = await this.countOpenLeads(organization._id, lead.assignedTo, {
+      _id: { $ne: lead._id },
+      $or: [
+        { assignedAt: null },
+        { assignedAt: { $lt: lead.assignedAt } },
+        { assignedAt: lead.assignedAt, _id: { $lt: lead._id } }
+      ]
+    });
+
+    return ahead < member.maxOpenLeads;
+  }
+
+  /**
+   * Assign a lead to the next member in turn who still has capacity
+   * @param {Object} options - Options
+   * @param {Object} options.lead - Lead document
+   * @param {string|null} options.ruleId - Routing rule picking the member
+   * @param {Object} options.organization - Organization document
+   * @param {Object} options.Model - Model holding the round-robin cursor (RoutingRule or Form)
+   * @param {Object} options.doc - Document holding the cursor
+   * @param {string} options.cursorField - Name of the cursor field
+   * @param {Array} options.candidates - User IDs to pick from
+   * @returns {Promise<Object|null>} The updated lead, or null when everyone
+   * is full
+   */
+  async assignInTurn({ lead, ruleId, organization, Model, doc, cursorField, candidates }) {
+    // Members who left the organization are skipped
+    const members = candidates.filter(userId => organization.getMember(userId));
+
+    if (members.length === 0) {
+      return null;
+    }
+
+    // Take a turn atomically so concurrent syncs don't pick the same member
+    const previous = await Model.findOneAndUpdate(
+      { _id: doc._id },
+      { $inc: { [cursorField]: 1 } },
+      { new: false, projection: { [cursorField]: 1 } }
+    );
+    const start = (previous ? previous[cursorField] : 0) % members.length;
+
+    for (let i = 0; i < members.length; i++) {
+      const userId = members[(start + i) % members.length];
+
+      if (!await this.hasCapacity(organization, userId)) {
+        continue;
+      }
+
+      const updated = await this.assign(lead, userId, ruleId, organization);
+
+      // False when a concurrent sync took the member's last place first
+      if (updated !== false) {
+        return updated;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Assign a new lead: the first matching routing rule picks from its
+   * assignees, otherwise the lead's form picks from its agents
+   * @param {Object} lead - Lead document
+   * @returns {Promise<Object|null>} The updated lead, or null when it wasn't assigned
+   */
+  async routeLead(lead) {
+    if (!lead.organizationId || lead.assignedTo) {
+      return null;
+    }
+
+    const organization = await Organization.findById(lead.organizationId);
+
+    if (!organization) {
+      return null;
+    }
+
+    const rules = await RoutingRule.find({ organizationId: organization._id, isActive: true })
+      .sort({ priority: 1, createdAt: 1 });
+
+    for (const rule of rules) {
+      if (!this.matchesRule(lead, rule)) {
+        continue;
+      }
+
+      const updated = await this.assignInTurn({
+        lead,
+        ruleId: rule._id,
+        organization,
+        Model: RoutingRule,
+        doc: rule,
+        cursorField: 'cursor',
+        candidates: rule.assignees
+      });
+
+      // When a rule's members are all at capacity the next rule gets a chance
+      if (updated) {
+        return updated;
+      }
+    }
+
+    const form = await Form.findOne({ organizationId: organization._id, formId: lead.formId });
+
+    if (form && form.agents.length > 0) {
+      return this.assignInTurn({
+        lead,
+        ruleId: null,
+        organization,
+        Model: Form,
+        doc: form,
+        cursorField: 'routingCursor',
+        candidates: form.agents
+      });
+    }
+
+    return null;
+  }
+
+  /**
+   * Assign a lead unless someone assigned it in the meantime. The assignment
+   * is taken back if it puts the member over their cap.
+   * @param {Object} lead - Lead document
+   * @param {string} userId - Member's user ID
+   * @param {string|null} ruleId - Routing rule that picked the member
+   * @param {Object} organization - Organization document
+   * @returns {Promise<Object|null|false>} The updated lead, null when it was
+   * already assigned, or false when the member turned out to be full
+   */
+  async assign(lead, userId, ruleId, organization) {
+    const updated = await Lead.findOneAndUpdate(
+      { _id: lead._id, assignedTo: null },
+      { $set: { assignedTo: userId, assignedAt: new Date(), routingRule: ruleId } },
+      { new: true }
+    );
+
+    if (updated && !await this.isWithinCapacity(organization, updated)) {
+      await Lead.updateOne(
+        { _id: lead._id, assignedTo: userId },
+        { $set: { assignedTo: null, assignedAt: null, routingRule: null } }
+      );
+      return false;
+    }
+
+    if (updated) {
+      await activityService.record(updated, 'assignment', {
+        data: { from: null, to: userId, ruleId }
+      });
+
+      console.log(`[routing] Lead ${lead.leadId} assigned to ${userId}${ruleId ? ` by rule ${ruleId}` : ' by form round-robin'}`);
+    }
+
+    return updated;
+  }
+}
+
+const leadRoutingService = new LeadRoutingService();
+
+module.exports = leadRoutingService;
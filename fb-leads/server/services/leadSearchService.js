@@ -0,0 +1,139 @@
+const phoneService = require('./phoneService');
+
+// Most words a search looks for
+const MAX_TERMS = 10;
+
+// Longest matched value returned; longer ones are cut down around the match
+const MAX_MATCH_LENGTH = 120;
+
+// rawData names of the campaign sources, with their labels
+const CAMPAIGN_FIELDS = [
+  ['campaignName', 'Campaign'],
+  ['adsetName', 'Ad set'],
+  ['adName', 'Ad']
+];
+
+class LeadSearchService {
+  /**
+   * Split a search into the words it looks for. Quotes, backslashes and
+   * leading minus signs mean something to $text, so they're dropped, as are
+   * words without a letter or digit to look up.
+   * @param {string} search - Search as typed
+   * @returns {Array<string>} Words
+   */
+  getTerms(search) {
+    return String(search || '')
+      .split(/\s+/)
+      .map(term => term.replace(/["\\]/g, '').replace(/^-+/, ''))
+      .filter(term => /[\p{L}\p{N}]/u.test(term))
+      .slice(0, MAX_TERMS);
+  }
+
+  /**
+   * Lead query for a search. Words are looked up in the lead search index
+   * (see Lead), and a lead must contain all of them. Phone-like searches
+   * match the start of phone numbers instead, with or without the country
+   * code, so "+91 98765" and "098765 43210" both find +919876543210.
+   * @param {string} search - Search as typed
+   * @returns {Object|null} MongoDB query, or null if there's nothing to search for
+   */
+  buildFilter(search) {
+    const digits = phoneService.searchPattern(search);
+
+    // Prefixes, so the phone indexes are used rather than every lead read
+    if (digits) {
+      return {
+        $or: [
+          { phoneE164: { $regex: `^\\+${digits}` } },
+          { phoneDigits: { $regex: `^${digits}` } }
+        ]
+      };
+    }
+
+    const terms = this.getTerms(search);
+
+    if (terms.length === 0) {
+      return null;
+    }
+
+    // Each word as a phrase, so leads need all of them rather than any
+    return { $text: { $search: terms.map(term => `"${term}"`).join(' ') } };
+  }
+
+  /**
+   * Find where a lead matched a search, to show and highlight in the list
+   * @param {Object} lead - Lead document
+   * @param {string} search - Search as typed
+   * @returns {Object|null} { field, label, value } of the field matching the
+   * most words, or null if none does
+   */
+  findMatch(lead, search) {
+    const phonePattern = phoneService.searchPattern(search);
+    const terms = this.getTerms(search).map(term => term.toLowerCase());
+
+    const candidates = [
+      { field: 'fullName', label: 'Name', value: lead.fullName },
+      { field: 'email', label: 'Email', value: lead.email },
+      { field: 'phone', label: 'Phone', value: lead.phoneE164 || lead.phone },
+      ...(lead.fieldData || []).map(answer => ({ field: 'fieldData', label: answer.name, value: answer.value })),
+      ...CAMPAIGN_FIELDS.map(([name, label]) => ({ field: name, label, value: lead.rawData?.[name] })),
+      { field: 'notes', label: 'Notes', value: lead.noteText || lead.notes }
+    ];
+
+    const matches = (candidate) => {
+      if (candidate.value === null || candidate.value === undefined || candidate.value === '') {
+        return 0;
+      }
+
+      const value = String(candidate.value).toLowerCase();
+
+      if (phonePattern) {
+        return value.replace(/\D/g, '').includes(phonePattern) ? 1 : 0;
+      }
+
+      return terms.filter(term => value.includes(term)).length;
+    };
+
+    let best = null;
+    let bestCount = 0;
+
+    candidates.forEach(candidate => {
+      const count = matches(candidate);
+
+      if (count > bestCount) {
+        best = candidate;
+        bestCount = count;
+      }
+    });
+
+    if (!best) {
+      return null;
+    }
+
+    return {
+      field: best.field,
+      label: best.label,
+      value: this.excerpt(String(best.value), phonePattern ? null : terms[0])
+    };
+  }
+
+  /**
+   * Cut a long value down to the part around a word
+   * @param {string} value - Matched value
+   * @param {string|null} term - Word to keep in view
+   * @returns {string} The value, or an excerpt of it with ellipses
+   */
+  excerpt(value, term) {
+    if (value.length <= MAX_MATCH_LENGTH) {
+      return value;
+    }
+
+    const at = term ? Math.max(value.toLowerCase().indexOf(term), 0) : 0;
+    const start = Math.max(at - MAX_MATCH_LENGTH / 3, 0);
+    const end = Math.min(start + MAX_MATCH_LENGTH, value.length);
+
+    return `${start > 0 ? '…' : ''}${value.slice(start, end).trim()}${end < value.length ? '…' : ''}`;
+  }
+}
+
+module.exports = new LeadSearchService();
@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// Leads another system sends to POST /api/leads. With the system's own ID
+// for a lead, sending it again refreshes the lead instead of adding another.
+module.exports = {
+  source: 'api',
+  label: 'API',
+
+  leadId(lead) {
+    const externalId = lead.provenance?.externalId;
+
+    return externalId
+      ? `api_${lead.organizationId}_${externalId}`
+      : `api_${new mongoose.Types.ObjectId()}`;
+  },
+
+  provenance(lead) {
+    const { client, externalId } = lead.provenance || {};
+    return { createdBy: lead.userId, client, externalId };
+  },
+
+  activity(lead) {
+    return { type: 'created', author: lead.userId, data: { source: 'api', client: lead.provenance?.client } };
+  }
+};
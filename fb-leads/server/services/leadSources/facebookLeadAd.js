@@ -0,0 +1,23 @@
+// Leads submitted on Facebook lead ads, fetched by sync or delivered by
+// webhook (see facebookLeadService.normalizeLead)
+module.exports = {
+  source: 'facebook_lead_ad',
+  label: 'Facebook lead ad',
+
+  leadId(lead) {
+    if (!lead.leadId) {
+      throw new Error('Facebook leads need their Facebook lead ID');
+    }
+
+    return lead.leadId;
+  },
+
+  provenance(lead) {
+    const { platform, adId, campaignName, adsetName, adName } = lead.rawData || {};
+    return { platform, adId, campaignName, adsetName, adName };
+  },
+
+  activity(lead) {
+    return { type: 'sync', data: { formId: lead.formId, formName: lead.formName } };
+  }
+};
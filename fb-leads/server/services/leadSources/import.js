@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// Leads imported from a CSV or XLSX file (see leadImportService). A row's
+// lead is named after its import and row, so importing the row again, as
+// when an import resumes after a restart, finds the lead instead of adding
+// another.
+module.exports = {
+  source: 'import',
+  label: 'Import',
+
+  leadId(lead) {
+    const { importId, row } = lead.provenance || {};
+
+    return importId && row
+      ? `import_${importId}_${row}`
+      : `import_${new mongoose.Types.ObjectId()}`;
+  },
+
+  provenance(lead) {
+    const { importId, fileName, row } = lead.provenance || {};
+    return { importId, fileName, row };
+  },
+
+  activity(lead) {
+    return {
+      type: 'import',
+      author: lead.userId,
+      data: { importId: lead.provenance.importId, fileName: lead.provenance.fileName }
+    };
+  }
+};
@@ -0,0 +1,47 @@
+const facebookLeadAd = require('./facebookLeadAd');
+const websiteForm = require('./websiteForm');
+const manual = require('./manual');
+const importSource = require('./import');
+const api = require('./api');
+
+// Adapters for where leads come from, by Lead source. Each one knows its
+// source's side of ingesting a lead (see leadIngestService.ingest):
+// - leadId(lead): the lead's leadId, unique in its organization. A lead
+//   ingested again into the organization with the same one refreshes the
+//   stored lead rather than adding another.
+// - provenance(lead): the lead's provenance sub-document
+// - activity(lead): the timeline entry a new lead starts with, as
+//   { type, author, data }
+// - label: how the source reads to members
+const ADAPTERS = [facebookLeadAd, websiteForm, manual, importSource, api];
+
+/**
+ * Get the adapter for a source
+ * @param {string} source - Lead source, e.g. 'manual'
+ * @returns {Object} Adapter
+ * @throws {Error} For a source without one
+ */
+const getSource = (source) => {
+  const adapter = ADAPTERS.find(candidate => candidate.source === source);
+
+  if (!adapter) {
+    throw new Error(`Unknown lead source ${source}`);
+  }
+
+  return adapter;
+};
+
+/**
+ * How a source reads to members, e.g. in exports
+ * @param {string} source - Lead source
+ * @returns {string} The adapter's label, or the source itself without one
+ */
+const getSourceLabel = (source) => {
+  return ADAPTERS.find(adapter => adapter.source === source)?.label || source || '';
+};
+
+module.exports = {
+  ADAPTERS,
+  getSource,
+  getSourceLabel
+};
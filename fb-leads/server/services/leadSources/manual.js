@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+
+// Leads a member adds by hand, e.g. from a phone call or a walk-in
+module.exports = {
+  source: 'manual',
+  label: 'Added by hand',
+
+  leadId() {
+    return `manual_${new mongoose.Types.ObjectId()}`;
+  },
+
+  provenance(lead) {
+    return { createdBy: lead.userId };
+  },
+
+  activity(lead) {
+    return { type: 'created', author: lead.userId, data: { source: 'manual' } };
+  }
+};
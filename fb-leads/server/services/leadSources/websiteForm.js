@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+
+// Leads submitted on a form embedded on the organization's website
+module.exports = {
+  source: 'website_form',
+  label: 'Website form',
+
+  leadId() {
+    return `web_${new mongoose.Types.ObjectId()}`;
+  },
+
+  provenance(lead) {
+    const { pageUrl, referrer, userAgent } = lead.provenance || {};
+    return { pageUrl, referrer, userAgent };
+  },
+
+  activity(lead) {
+    return { type: 'created', data: { source: 'website_form', formName: lead.formName } };
+  }
+};
@@ -0,0 +1,39 @@
+const Notification = require('../models/Notification');
+
+class NotificationService {
+  /**
+   * Raise an in-app notification for a member
+   * @param {Object} notification - Notification fields
+   * @param {string} notification.organizationId - Organization ID
+   * @param {string} notification.user - User ID of the member to notify
+   * @param {string} notification.type - Notification type
+   * @param {string} notification.title - Short title
+   * @param {string} [notification.body] - Details
+   * @param {string} [notification.link] - App path to open
+   * @param {Object} [notification.data] - Type-specific details
+   * @returns {Promise<Object>} Notification document
+   */
+  notify({ organizationId, user, type, title, body = '', link = null, data = {} }) {
+    return Notification.create({ organizationId, user, type, title, body, link, data });
+  }
+
+  /**
+   * Get a member's latest notifications and how many are unread
+   * @param {string} organizationId - Organization ID
+   * @param {string} userId - User ID
+   * @param {number} [limit] - Notifications to return (default 20)
+   * @returns {Promise<Object>} { notifications, unreadCount }
+   */
+  async getNotifications(organizationId, userId, limit = 20) {
+    const query = { organizationId, user: userId };
+
+    const [notifications, unreadCount] = await Promise.all([
+      Notification.find(query).sort({ createdAt: -1 }).limit(limit),
+      Notification.countDocuments({ ...query, readAt: null })
+    ]);
+
+    return { notifications, unreadCount };
+  }
+}
+
+module.exports = new NotificationService();
@@ -0,0 +1,72 @@
+const { parsePhoneNumberFromString, isSupportedCountry } = require('libphonenumber-js');
+const Form = require('../models/Form');
+const Organization = require('../models/Organization');
+
+class PhoneService {
+  /**
+   * Check a default country code
+   * @param {string} country - ISO 3166-1 alpha-2 code, e.g. "IN"
+   * @returns {boolean} Whether phone numbers can be parsed for it
+   */
+  isSupportedCountry(country) {
+    return typeof country === 'string' && isSupportedCountry(country.toUpperCase());
+  }
+
+  /**
+   * Parse a phone number as entered into E.164. Numbers without a country
+   * code are read as numbers of the default country.
+   * @param {string} phone - Phone as entered, e.g. "098765 43210"
+   * @param {string|null} [defaultCountry] - ISO country code
+   * @returns {Object} { phoneE164, phoneValid, phoneDigits }; phoneE164 is
+   * null unless the number is valid, phoneValid is null without a phone, and
+   * phoneDigits is the number without its country code, for searches
+   */
+  parse(phone, defaultCountry = null) {
+    if (!phone || !String(phone).trim()) {
+      return { phoneE164: null, phoneValid: null, phoneDigits: null };
+    }
+
+    const parsed = parsePhoneNumberFromString(String(phone), defaultCountry || undefined);
+
+    if (!parsed || !parsed.isValid()) {
+      return { phoneE164: null, phoneValid: false, phoneDigits: String(phone).replace(/\D/g, '').replace(/^0+/, '') || null };
+    }
+
+    return { phoneE164: parsed.number, phoneValid: true, phoneDigits: parsed.nationalNumber };
+  }
+
+  /**
+   * Default country for a form's leads: the form's own, else the organization's
+   * @param {string} organizationId - Organization ID
+   * @param {string} formId - Facebook form ID
+   * @returns {Promise<string|null>} ISO country code, or null for none
+   */
+  async getDefaultCountry(organizationId, formId) {
+    const form = await Form.findOne({ organizationId, formId }).select('defaultCountry');
+
+    if (form?.defaultCountry) {
+      return form.defaultCountry;
+    }
+
+    const organization = await Organization.findById(organizationId).select('defaultCountry');
+    return organization?.defaultCountry || null;
+  }
+
+  /**
+   * Digits a phone-like search term starts numbers with, e.g. "9198765" for
+   * "+91 98765" or "9876543210" for "098765 43210". Leading zeros are trunk
+   * prefixes rather than part of the number.
+   * @param {string} search - Search term
+   * @returns {string|null} Digits, or null if the term isn't phone-like
+   */
+  searchPattern(search) {
+    if (typeof search !== 'string' || !/^[\d\s()+.-]+$/.test(search)) {
+      return null;
+    }
+
+    const digits = search.replace(/\D/g, '').replace(/^0+/, '');
+    return digits.length >= 3 ? digits : null;
+  }
+}
+
+module.exports = new PhoneService();
@@ -0,0 +1,168 @@
+const mongoose = require('mongoose');
+const Pipeline = require('../models/Pipeline');
+const Form = require('../models/Form');
+const Lead = require('../models/Lead');
+
+class PipelineService {
+  /**
+   * Get the organization's default pipeline, creating it from the original
+   * five statuses the first time. Leads from before pipelines move onto it.
+   * @param {string} organizationId - Organization ID
+   * @returns {Promise<Object>} Pipeline document
+   */
+  async getDefaultPipeline(organizationId) {
+    const existing = await Pipeline.findOne({ organizationId, isDefault: true });
+
+    if (existing) {
+      return existing;
+    }
+
+    let pipeline;
+
+    try {
+      pipeline = await Pipeline.create({
+        organizationId,
+        name: 'Sales',
+        isDefault: true,
+        stages: Pipeline.DEFAULT_STAGES
+      });
+    } catch (error) {
+      // Another request created it first
+      if (error.code === 11000) {
+        return Pipeline.findOne({ organizationId, isDefault: true });
+      }
+      throw error;
+    }
+
+    await Lead.updateMany(
+      { organizationId, pipelineId: null },
+      { $set: { pipelineId: pipeline._id } }
+    );
+
+    return pipeline;
+  }
+
+  /**
+   * Get all of an organization's pipelines, default first
+   * @param {string} organizationId - Organization ID
+   * @returns {Promise<Array>} Pipeline documents
+   */
+  async getPipelines(organizationId) {
+    await this.getDefaultPipeline(organizationId);
+
+    return Pipeline.find({ organizationId }).sort({ isDefault: -1, createdAt: 1 });
+  }
+
+  /**
+   * Find one of an organization's pipelines
+   * @param {string} organizationId - Organization ID
+   * @param {string} pipelineId - Pipeline ID
+   * @returns {Promise<Object|null>} Pipeline document
+   */
+  findPipeline(organizationId, pipelineId) {
+    if (!mongoose.Types.ObjectId.isValid(pipelineId)) {
+      return Promise.resolve(null);
+    }
+
+    return Pipeline.findOne({ _id: pipelineId, organizationId });
+  }
+
+  /**
+   * Get the pipeline new leads from a form go into
+   * @param {string} organizationId - Organization ID
+   * @param {string} formId - Facebook form ID
+   * @returns {Promise<Object>} Pipeline document
+   */
+  async getPipelineForForm(organizationId, formId) {
+    const form = await Form.findOne({ organizationId, formId }).select('pipelineId');
+
+    if (form && form.pipelineId) {
+      const pipeline = await this.findPipeline(organizationId, form.pipelineId);
+
+      if (pipeline) {
+        return pipeline;
+      }
+    }
+
+    return this.getDefaultPipeline(organizationId);
+  }
+
+  /**
+   * Get the pipeline a lead is in
+   * @param {Object} lead - Lead document
+   * @returns {Promise<Object>} Pipeline document
+   */
+  async getLeadPipeline(lead) {
+    if (lead.pipelineId) {
+      const pipeline = await this.findPipeline(lead.organizationId, lead.pipelineId);
+
+      if (pipeline) {
+        return pipeline;
+      }
+    }
+
+    return this.getDefaultPipeline(lead.organizationId);
+  }
+
+  /**
+   * Build a query condition matching an organization's open leads, i.e.
+   * those not in a won or lost stage of their pipeline
+   * @param {string} organizationId - Organization ID
+   * @returns {Promise<Object>} MongoDB query condition
+   */
+  async openLeadsFilter(organizationId) {
+    const pipelines = await this.getPipelines(organizationId);
+
+    const closed = pipelines
+      .map(pipeline => ({
+        // Leads that were never moved onto a pipeline are in the default one
+        pipelineId: { $in: pipeline.isDefault ? [pipeline._id, null] : [pipeline._id] },
+        status: { $in: pipeline.stages.filter(stage => stage.outcome !== 'open').map(stage => stage.key) }
+      }))
+      .filter(condition => condition.status.$in.length > 0);
+
+    return closed.length > 0 ? { $nor: closed } : {};
+  }
+
+  /**
+   * Turn a stage name into a key that isn't taken yet
+   * @param {string} name - Stage name, e.g. "Site visit booked"
+   * @param {Set<string>} taken - Keys already in use
+   * @returns {string} Key, e.g. "site_visit_booked"
+   */
+  makeStageKey(name, taken) {
+    const base = String(name).toLowerCase().trim().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '') || 'stage';
+    let key = base;
+
+    for (let i = 2; taken.has(key); i++) {
+      key = `${base}_${i}`;
+    }
+
+    taken.add(key);
+    return key;
+  }
+
+  /**
+   * Build a pipeline's stages from a request. Stages sent with the key of an
+   * existing stage keep it; new stages get a key from their name.
+   * @param {Array} stages - [{ key?, name, color, outcome }]
+   * @param {Array} [existing] - The pipeline's current stages
+   * @returns {Array} Stages
+   */
+  buildStages(stages, existing = []) {
+    const existingKeys = new Set(existing.map(stage => stage.key));
+    // Keys of stages removed in this update aren't handed to new stages
+    const taken = new Set(existingKeys);
+
+    return stages.map(stage => ({
+      key: stage.key && existingKeys.has(stage.key) ? stage.key : this.makeStageKey(stage.name, taken),
+      name: stage.name,
+      color: stage.color,
+      outcome: stage.outcome
+    }));
+  }
+}
+
+const pipelineService = new PipelineService();
+
+module.exports = pipelineService;
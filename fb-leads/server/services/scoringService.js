@@ -0,0 +1,212 @@
+const Lead = require('../models/Lead');
+const ScoringRule = require('../models/ScoringRule');
+const leadRoutingService = require('./leadRoutingService');
+
+// rawData names of the campaign sources
+const SOURCE_NAMES = {
+  campaign: 'campaignName',
+  adset: 'adsetName',
+  ad: 'adName'
+};
+
+// Lead fields a score is computed from
+const SCORED_FIELDS = 'organizationId fieldData rawData fullName email phone phoneE164 phoneValid createdTime score scoreBreakdown scoreExpiresAt';
+
+const HOUR = 60 * 60 * 1000;
+
+class ScoringService {
+  /**
+   * Get an organization's active scoring rules
+   * @param {string} organizationId - Organization ID
+   * @returns {Promise<Array>} ScoringRule documents
+   */
+  getRules(organizationId) {
+    return ScoringRule.find({ organizationId, isActive: true }).sort({ createdAt: 1 });
+  }
+
+  /**
+   * Check that a rule has what its criterion needs
+   * @param {Object} rule - Rule fields
+   * @returns {string|null} What's missing, or null if the rule is complete
+   */
+  validate(rule) {
+    switch (rule.criterion) {
+      case 'answer':
+        return rule.conditions && rule.conditions.length > 0 ? null : 'Answer rules need at least one condition';
+      case 'platform':
+      case 'campaign':
+        return rule.values && rule.values.some(value => String(value).trim())
+          ? null
+          : `${rule.criterion === 'platform' ? 'Platform' : 'Campaign'} rules need at least one value`;
+      case 'completeness':
+        return rule.contactFields && rule.contactFields.length > 0 ? null : 'Completeness rules need at least one contact field';
+      case 'recency':
+        return rule.withinHours > 0 ? null : 'Recency rules need a number of hours';
+      default:
+        return `Criterion must be one of: ${ScoringRule.CRITERIA.join(', ')}`;
+    }
+  }
+
+  /**
+   * Check whether a scoring rule applies to a lead
+   * @param {Object} lead - Lead document
+   * @param {Object} rule - ScoringRule document
+   * @param {Date} now - Time recency is measured from
+   * @returns {boolean} Whether the rule matches
+   */
+  matchesRule(lead, rule, now) {
+    const values = (rule.values || []).map(value => value.trim().toLowerCase()).filter(Boolean);
+
+    switch (rule.criterion) {
+      case 'answer':
+        return rule.match === 'any'
+          ? rule.conditions.some(condition => leadRoutingService.matchesCondition(lead, condition))
+          : rule.conditions.every(condition => leadRoutingService.matchesCondition(lead, condition));
+      case 'platform':
+        return values.includes(String(lead.rawData?.platform || '').toLowerCase());
+      case 'campaign': {
+        const name = String(lead.rawData?.[SOURCE_NAMES[rule.source]] || '').toLowerCase();
+        return name !== '' && name !== 'unknown' && values.some(value => name.includes(value));
+      }
+      case 'completeness':
+        return rule.contactFields.every(field => (field === 'phone'
+          ? Boolean(lead.phoneE164 || lead.phone) && lead.phoneValid !== false
+          : Boolean(lead[field] && String(lead[field]).trim())));
+      case 'recency':
+        return now - new Date(lead.createdTime) < rule.withinHours * HOUR;
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Score a lead against rules
+   * @param {Object} lead - Lead document
+   * @param {Array} rules - Active ScoringRule documents
+   * @param {Date} [now] - Time recency is measured from
+   * @returns {Object} { score, scoreBreakdown, scoredAt, scoreExpiresAt }
+   */
+  scoreLead(lead, rules, now = new Date()) {
+    const matched = rules.filter(rule => this.matchesRule(lead, rule, now));
+
+    // The soonest a matched recency rule stops applying
+    const expiries = matched
+      .filter(rule => rule.criterion === 'recency')
+      .map(rule => new Date(lead.createdTime).getTime() + rule.withinHours * HOUR);
+
+    return {
+      score: matched.reduce((total, rule) => total + rule.points, 0),
+      scoreBreakdown: matched.map(rule => ({ rule: rule._id, name: rule.name, points: rule.points })),
+      scoredAt: now,
+      scoreExpiresAt: expiries.length > 0 ? new Date(Math.min(...expiries)) : null
+    };
+  }
+
+  /**
+   * Check whether a new score differs from the lead's stored one
+   * @param {Object} lead - Lead document
+   * @param {Object} result - scoreLead result
+   * @returns {boolean} Whether the lead needs updating
+   */
+  hasChanged(lead, result) {
+    const names = breakdown => (breakdown || []).map(item => `${item.name}:${item.points}`).join('|');
+
+    return lead.score !== result.score
+      || names(lead.scoreBreakdown) !== names(result.scoreBreakdown)
+      || String(lead.scoreExpiresAt || '') !== String(result.scoreExpiresAt || '');
+  }
+
+  /**
+   * Score a lead and save its score
+   * @param {Object} lead - Lead document
+   * @param {Array} [rules] - The organization's active rules, fetched if not given
+   * @returns {Promise<Object>} The lead with its score
+   */
+  async applyScore(lead, rules) {
+    const result = this.scoreLead(lead, rules || await this.getRules(lead.organizationId));
+
+    await Lead.updateOne({ _id: lead._id }, { $set: result });
+
+    if (typeof lead.set === 'function') {
+      lead.set(result);
+      return lead;
+    }
+
+    return { ...lead, ...result };
+  }
+
+  /**
+   * Recompute the scores of an organization's leads, e.g. after its rules change
+   * @param {string} organizationId - Organization ID
+   * @param {Object} [filter] - Only leads matching this query
+   * @returns {Promise<number>} Leads whose score changed
+   */
+  async rescoreLeads(organizationId, filter = {}) {
+    const rules = await this.getRules(organizationId);
+    const now = new Date();
+    const cursor = Lead.find({ ...filter, organizationId }).select(SCORED_FIELDS).lean().cursor();
+    let updates = [];
+    let updated = 0;
+
+    for await (const lead of cursor) {
+      const result = this.scoreLead(lead, rules, now);
+
+      if (!this.hasChanged(lead, result)) {
+        continue;
+      }
+
+      updates.push({ updateOne: { filter: { _id: lead._id }, update: { $set: result } } });
+
+      if (updates.length === 500) {
+        await Lead.bulkWrite(updates);
+        updated += updates.length;
+        updates = [];
+      }
+    }
+
+    if (updates.length > 0) {
+      await Lead.bulkWrite(updates);
+      updated += updates.length;
+    }
+
+    return updated;
+  }
+
+  /**
+   * Rescore leads whose recency points have run out
+   * @returns {Promise<number>} Leads rescored
+   */
+  async expireRecencyScores() {
+    const organizationIds = await Lead.distinct('organizationId', { scoreExpiresAt: { $lte: new Date() } });
+    let rescored = 0;
+
+    for (const organizationId of organizationIds) {
+      rescored += await this.rescoreLeads(organizationId, { scoreExpiresAt: { $lte: new Date() } });
+    }
+
+    return rescored;
+  }
+
+  /**
+   * Schedule the recency check
+   * @param {Object} cron - node-cron
+   */
+  setupCronJob(cron) {
+    // Run every 5 minutes
+    cron.schedule('*/5 * * * *', async () => {
+      try {
+        const rescored = await this.expireRecencyScores();
+
+        if (rescored > 0) {
+          console.log(`Rescored ${rescored} lead(s) past their recency window`);
+        }
+      } catch (error) {
+        console.error('Lead score expiry failed:', error);
+      }
+    });
+
+    console.log('Lead score expiry cron job started');
+  }
+}
+
+module.exports = new ScoringService();
@@ -0,0 +1,65 @@
+const Segment = require('../models/Segment');
+const Lead = require('../models/Lead');
+const Organization = require('../models/Organization');
+const leadFilterService = require('./leadFilterService');
+const notificationService = require('./notificationService');
+
+class SegmentService {
+  /**
+   * Count the leads of a segment a member can see
+   * @param {Object} segment - Segment document
+   * @param {Object} member - { organizationId, userId, role }
+   * @returns {Promise<number>} Number of leads
+   */
+  async countLeads(segment, member) {
+    return Lead.countDocuments(await leadFilterService.buildQuery({ segmentId: segment._id }, member));
+  }
+
+  /**
+   * Notify the subscribers of each segment a new lead falls in. Members are
+   * only told about leads they can see, so agents hear of their own leads.
+   * @param {Object} lead - Lead document, after routing
+   * @returns {Promise<number>} Notifications sent
+   */
+  async notifyNewLead(lead) {
+    const segments = await Segment.find({ organizationId: lead.organizationId, 'subscribers.0': { $exists: true } });
+
+    if (segments.length === 0) {
+      return 0;
+    }
+
+    const organization = await Organization.findById(lead.organizationId);
+    let sent = 0;
+
+    for (const segment of segments) {
+      for (const userId of segment.subscribers) {
+        const member = organization?.getMember(userId);
+        if (!member) continue;
+
+        const query = await leadFilterService.buildQuery({ segmentId: segment._id }, {
+          organizationId: lead.organizationId,
+          userId,
+          role: member.role
+        });
+
+        if (!await Lead.exists({ ...query, _id: lead._id })) continue;
+
+        await notificationService.notify({
+          organizationId: lead.organizationId,
+          user: userId,
+          type: 'segment_lead',
+          title: `New lead in ${segment.name}: ${lead.fullName || lead.leadId}`,
+          body: lead.formName || '',
+          link: `/leads/${lead._id}`,
+          data: { leadId: lead._id, segmentId: segment._id }
+        });
+
+        sent++;
+      }
+    }
+
+    return sent;
+  }
+}
+
+module.exports = new SegmentService();
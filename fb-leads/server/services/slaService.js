@@ -0,0 +1,269 @@
+const Lead = require('../models/Lead');
+const Form = require('../models/Form');
+const Organization = require('../models/Organization');
+const notificationService = require('./notificationService');
+const { hasPermission } = require('../config/permissions');
+
+// Share of the SLA that has passed when a lead is about to breach
+const WARN_AT = 0.8;
+
+// Leads that breached longer ago than this aren't alerted, e.g. old leads
+// brought in by a form's first sync
+const ALERT_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+class SlaService {
+  /**
+   * SLA due and warning times for a lead
+   * @param {Date} createdTime - When the lead was submitted
+   * @param {number|null} slaMinutes - Minutes to first contact
+   * @returns {Object} { slaDueAt, slaWarnAt }, or {} without a target
+   */
+  getTargets(createdTime, slaMinutes) {
+    if (!slaMinutes || !createdTime) {
+      return {};
+    }
+
+    const start = new Date(createdTime).getTime();
+
+    return {
+      slaDueAt: new Date(start + slaMinutes * 60 * 1000),
+      slaWarnAt: new Date(start + slaMinutes * 60 * 1000 * WARN_AT)
+    };
+  }
+
+  /**
+   * SLA due and warning times for a new lead from a form. Leads submitted
+   * before the form had its target, like the old leads of a form's first
+   * sync, get none: nobody could have contacted them in time.
+   * @param {string} organizationId - Organization ID
+   * @param {string} formId - Facebook form ID
+   * @param {Date} createdTime - When the lead was submitted
+   * @returns {Promise<Object>} { slaDueAt, slaWarnAt }, or {} without a target
+   */
+  async getFormTargets(organizationId, formId, createdTime) {
+    const form = await Form.findOne({ organizationId, formId }).select('slaMinutes slaSince createdAt');
+
+    if (!form?.slaMinutes || !createdTime) {
+      return {};
+    }
+
+    const since = Math.max(form.slaSince?.getTime() || 0, form.createdAt?.getTime() || 0);
+
+    return new Date(createdTime).getTime() < since ? {} : this.getTargets(createdTime, form.slaMinutes);
+  }
+
+  /**
+   * Whether a lead missed its SLA: contacted late, or not contacted and overdue
+   * @param {Object} lead - Lead
+   * @param {Date} [now] - Current time
+   * @returns {boolean} Whether the SLA was breached
+   */
+  isBreached(lead, now = new Date()) {
+    if (!lead.slaDueAt) {
+      return false;
+    }
+
+    return new Date(lead.firstContactedAt || now) > new Date(lead.slaDueAt);
+  }
+
+  /**
+   * Query matching leads that breached their SLA
+   * @param {Date} [now] - Current time
+   * @returns {Object} MongoDB query
+   */
+  breachedFilter(now = new Date()) {
+    return {
+      slaDueAt: { $ne: null },
+      $or: [
+        { firstContactedAt: null, slaDueAt: { $lt: now } },
+        { $expr: { $gt: ['$firstContactedAt', '$slaDueAt'] } }
+      ]
+    };
+  }
+
+  /**
+   * Median of a list of numbers
+   * @param {Array<number>} values - Numbers
+   * @returns {number|null} Median, or null for an empty list
+   */
+  median(values) {
+    if (values.length === 0) {
+      return null;
+    }
+
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+  }
+
+  /**
+   * Response time stats for a group of leads
+   * @param {Array<Object>} leads - Leads
+   * @param {Date} now - Current time
+   * @returns {Object} { leads, contacted, medianMinutes, withSla, breached }
+   */
+  summarize(leads, now) {
+    const minutes = leads
+      .filter(lead => lead.firstContactedAt)
+      .map(lead => Math.max(0, (new Date(lead.firstContactedAt) - new Date(lead.createdTime)) / 60000));
+
+    return {
+      leads: leads.length,
+      contacted: minutes.length,
+      medianMinutes: this.median(minutes),
+      withSla: leads.filter(lead => lead.slaDueAt).length,
+      breached: leads.filter(lead => this.isBreached(lead, now)).length
+    };
+  }
+
+  /**
+   * Time to first contact overall, per agent and per form
+   * @param {Object} query - Lead query
+   * @param {Object} organization - Organization document with members.user populated
+   * @returns {Promise<Object>} { overall, byAgent, byForm }
+   */
+  async getSummary(query, organization) {
+    const now = new Date();
+    const leads = await Lead.find(query)
+      .select('formId formName assignedTo createdTime firstContactedAt slaDueAt')
+      .lean();
+
+    const group = (keyOf) => {
+      const groups = new Map();
+
+      leads.forEach(lead => {
+        const key = keyOf(lead);
+        if (!groups.has(key)) {
+          groups.set(key, []);
+        }
+        groups.get(key).push(lead);
+      });
+
+      return [...groups.entries()];
+    };
+
+    const memberName = (userId) => {
+      const member = organization.members.find(m => m.user && String(m.user._id) === userId);
+      return member ? member.user.name : 'Former member';
+    };
+
+    const forms = await Form.find({ organizationId: organization._id }).select('formId formName slaMinutes').lean();
+
+    return {
+      overall: this.summarize(leads, now),
+      byAgent: group(lead => (lead.assignedTo ? String(lead.assignedTo) : null))
+        .map(([userId, agentLeads]) => ({
+          userId,
+          name: userId ? memberName(userId) : 'Unassigned',
+          ...this.summarize(agentLeads, now)
+        }))
+        .sort((a, b) => b.leads - a.leads),
+      byForm: group(lead => lead.formId)
+        .map(([formId, formLeads]) => {
+          const form = forms.find(f => f.formId === formId);
+
+          return {
+            formId,
+            formName: form?.formName || formLeads[0].formName || formId,
+            slaMinutes: form?.slaMinutes || null,
+            ...this.summarize(formLeads, now)
+          };
+        })
+        .sort((a, b) => b.leads - a.leads)
+    };
+  }
+
+  /**
+   * Alert members about uncontacted leads that are about to breach their SLA:
+   * the assignee, or everyone who can assign leads when it's unassigned.
+   * Each lead is claimed first, so overlapping runs alert once.
+   * @param {Date} [now] - Current time
+   * @returns {Promise<number>} Leads alerted
+   */
+  async sendBreachAlerts(now = new Date()) {
+    const leads = await Lead.find({
+      firstContactedAt: null,
+      mergedInto: null,
+      archivedAt: null,
+      slaAlertedAt: null,
+      slaWarnAt: { $lte: now },
+      slaDueAt: { $gte: new Date(now.getTime() - ALERT_WINDOW_MS) }
+    })
+      .sort({ slaDueAt: 1 })
+      .limit(500);
+
+    const organizations = new Map();
+    let alerted = 0;
+
+    for (const lead of leads) {
+      try {
+        const claimed = await Lead.updateOne(
+          { _id: lead._id, slaAlertedAt: null, firstContactedAt: null },
+          { $set: { slaAlertedAt: now } }
+        );
+
+        if (claimed.modifiedCount === 0) {
+          continue;
+        }
+
+        let recipients = lead.assignedTo ? [lead.assignedTo] : [];
+
+        if (recipients.length === 0) {
+          const key = String(lead.organizationId);
+          if (!organizations.has(key)) {
+            organizations.set(key, await Organization.findById(lead.organizationId));
+          }
+
+          recipients = (organizations.get(key)?.members || [])
+            .filter(member => hasPermission(member.role, 'leads:assign'))
+            .map(member => member.user);
+        }
+
+        const minutesLeft = Math.ceil((lead.slaDueAt - now) / 60000);
+        const name = lead.fullName || lead.leadId;
+
+        await Promise.all(recipients.map(user => notificationService.notify({
+          organizationId: lead.organizationId,
+          user,
+          type: 'sla_warning',
+          title: minutesLeft > 0
+            ? `Contact ${name} within ${minutesLeft} min`
+            : `${name} missed the response target`,
+          body: lead.formName || '',
+          link: `/leads/${lead._id}`,
+          data: { leadId: lead._id, slaDueAt: lead.slaDueAt }
+        })));
+
+        alerted++;
+      } catch (error) {
+        console.error(`[sla] Failed to alert for lead ${lead.leadId}:`, error.message);
+      }
+    }
+
+    return alerted;
+  }
+
+  /**
+   * Schedule the SLA check
+   * @param {Object} cron - node-cron
+   */
+  setupCronJob(cron) {
+    // Run every minute
+    cron.schedule('* * * * *', async () => {
+      try {
+        const alerted = await this.sendBreachAlerts();
+
+        if (alerted > 0) {
+          console.log(`Sent SLA alerts for ${alerted} lead(s)`);
+        }
+      } catch (error) {
+        console.error('SLA check failed:', error);
+      }
+    });
+
+    console.log('SLA check cron job started');
+  }
+}
+
+module.exports = new SlaService();
@@ -0,0 +1,142 @@
+const mongoose = require('mongoose');
+const Tag = require('../models/Tag');
+const Lead = require('../models/Lead');
+
+// Escape a value for use in a regex, so names match literally
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+class TagService {
+  /**
+   * Find one of the organization's tags by name, ignoring case
+   * @param {string} organizationId - Organization ID
+   * @param {string} name - Tag name
+   * @returns {Promise<Object|null>} Tag document
+   */
+  findByName(organizationId, name) {
+    return Tag.findOne({ organizationId, name: new RegExp(`^${escapeRegex(String(name).trim())}$`, 'i') });
+  }
+
+  /**
+   * Turn tag names typed on leads into the workspace's tags: "vip" becomes an
+   * existing "VIP", and names not seen before become new gray tags
+   * @param {string} organizationId - Organization ID
+   * @param {Array<string>} names - Tag names
+   * @returns {Promise<Array<string>>} Tag names as the workspace spells them, without repeats
+   */
+  async resolveNames(organizationId, names) {
+    const resolved = [];
+
+    for (const name of names.map(value => String(value).trim()).filter(Boolean)) {
+      let tag = await this.findByName(organizationId, name);
+
+      if (!tag) {
+        try {
+          tag = await Tag.create({ organizationId, name });
+        } catch (error) {
+          // Created at the same time by another request
+          if (error.code !== 11000) throw error;
+          tag = await this.findByName(organizationId, name);
+        }
+      }
+
+      if (!resolved.includes(tag.name)) {
+        resolved.push(tag.name);
+      }
+    }
+
+    return resolved;
+  }
+
+  /**
+   * Get an organization's tags by name, with how many leads have each.
+   * Tags found on leads but not yet listed are added.
+   * @param {string} organizationId - Organization ID
+   * @returns {Promise<Array>} Tags as plain objects with leadCount
+   */
+  async getTags(organizationId) {
+    // Aggregations don't cast IDs like queries do
+    const counts = await Lead.aggregate([
+      { $match: { organizationId: new mongoose.Types.ObjectId(String(organizationId)), mergedInto: null } },
+      { $unwind: '$tags' },
+      { $group: { _id: '$tags', count: { $sum: 1 } } }
+    ]);
+    const countByName = new Map(counts.map(count => [count._id, count.count]));
+
+    let tags = await Tag.find({ organizationId }).lean();
+    const listed = new Set(tags.map(tag => tag.name));
+    const unlisted = [...countByName.keys()].filter(name => !listed.has(name));
+
+    if (unlisted.length > 0) {
+      await this.resolveNames(organizationId, unlisted);
+      tags = await Tag.find({ organizationId }).lean();
+    }
+
+    return tags
+      .map(tag => ({ ...tag, leadCount: countByName.get(tag.name) || 0 }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Put one tag's name on its leads in place of another's
+   * @param {string} organizationId - Organization ID
+   * @param {string} from - Name to replace
+   * @param {string|null} to - Name to put instead, or null to only take it off
+   * @returns {Promise<number>} Number of leads changed
+   */
+  async replaceOnLeads(organizationId, from, to) {
+    const query = { organizationId, tags: from };
+
+    if (to) {
+      await Lead.updateMany(query, { $addToSet: { tags: to } });
+    }
+
+    const result = await Lead.updateMany(query, { $pull: { tags: from } });
+    return result.modifiedCount;
+  }
+
+  /**
+   * Rename a tag, on every lead too
+   * @param {Object} tag - Tag document
+   * @param {string} name - New name, not used by another tag
+   * @returns {Promise<Object>} The saved tag
+   */
+  async renameTag(tag, name) {
+    const previous = tag.name;
+
+    tag.name = name;
+    await tag.save();
+
+    if (previous !== tag.name) {
+      await this.replaceOnLeads(tag.organizationId, previous, tag.name);
+    }
+
+    return tag;
+  }
+
+  /**
+   * Merge a tag into another: its leads get the other tag instead, and it goes
+   * @param {Object} source - Tag document to merge away
+   * @param {Object} target - Tag document to keep
+   * @returns {Promise<number>} Number of leads retagged
+   */
+  async mergeTags(source, target) {
+    const changed = await this.replaceOnLeads(source.organizationId, source.name, target.name);
+    await source.deleteOne();
+
+    return changed;
+  }
+
+  /**
+   * Delete a tag and take it off its leads
+   * @param {Object} tag - Tag document
+   * @returns {Promise<number>} Number of leads untagged
+   */
+  async deleteTag(tag) {
+    const changed = await this.replaceOnLeads(tag.organizationId, tag.name, null);
+    await tag.deleteOne();
+
+    return changed;
+  }
+}
+
+module.exports = new TagService();
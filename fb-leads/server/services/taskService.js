@@ -0,0 +1,77 @@
+const Task = require('../models/Task');
+const notificationService = require('./notificationService');
+
+const TYPE_LABELS = {
+  call: 'Call',
+  email: 'Email',
+  meeting: 'Meeting'
+};
+
+class TaskService {
+  /**
+   * Notify assignees of open tasks that have come due. Each task is claimed
+   * before its notification is raised, so overlapping runs remind once.
+   * @param {Date} [now] - Current time
+   * @returns {Promise<number>} Reminders sent
+   */
+  async sendDueReminders(now = new Date()) {
+    const tasks = await Task.find({ completedAt: null, remindedAt: null, dueAt: { $lte: now } })
+      .populate('lead', 'fullName leadId')
+      .sort({ dueAt: 1 })
+      .limit(500);
+
+    let sent = 0;
+
+    for (const task of tasks) {
+      try {
+        const claimed = await Task.updateOne(
+          { _id: task._id, remindedAt: null, dueAt: task.dueAt, assignee: task.assignee },
+          { $set: { remindedAt: now } }
+        );
+
+        if (claimed.modifiedCount === 0) {
+          continue;
+        }
+
+        await notificationService.notify({
+          organizationId: task.organizationId,
+          user: task.assignee,
+          type: 'task_due',
+          title: `${TYPE_LABELS[task.type] || 'Task'} due: ${task.title}`,
+          body: task.lead ? task.lead.fullName || task.lead.leadId : '',
+          link: task.lead ? `/leads/${task.lead._id}` : null,
+          data: { taskId: task._id, leadId: task.lead?._id, dueAt: task.dueAt }
+        });
+
+        sent++;
+      } catch (error) {
+        console.error(`[tasks] Failed to send reminder for task ${task._id}:`, error.message);
+      }
+    }
+
+    return sent;
+  }
+
+  /**
+   * Schedule the task reminder job
+   * @param {Object} cron - node-cron
+   */
+  setupCronJob(cron) {
+    // Run every minute
+    cron.schedule('* * * * *', async () => {
+      try {
+        const sent = await this.sendDueReminders();
+
+        if (sent > 0) {
+          console.log(`Sent ${sent} task reminder(s)`);
+        }
+      } catch (error) {
+        console.error('Task reminder job failed:', error);
+      }
+    });
+
+    console.log('Task reminder cron job started');
+  }
+}
+
+module.exports = new TaskService();
@@ -0,0 +1,268 @@
+const webFormService = require('./webFormService');
+
+/**
+ * Escape text for HTML content and attribute values
+ * @param {*} value - Text
+ * @returns {string} Escaped text
+ */
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Styles of the hosted page and the embed, on lead-form classes so a site
+// embedding the form can restyle it
+const STYLES = `
+.lead-form { font-family: system-ui, -apple-system, sans-serif; max-width: 480px; color: #111827; }
+.lead-form h2 { font-size: 1.25rem; margin: 0 0 .5rem; }
+.lead-form p { margin: 0 0 1rem; color: #4b5563; }
+.lead-form label { display: block; font-size: .875rem; font-weight: 500; margin-bottom: .25rem; }
+.lead-form .lead-form-field { margin-bottom: 1rem; }
+.lead-form input, .lead-form select, .lead-form textarea { box-sizing: border-box; width: 100%; padding: .5rem; border: 1px solid #d1d5db; border-radius: .375rem; font: inherit; }
+.lead-form input[type=checkbox] { width: auto; margin-right: .5rem; }
+.lead-form button { padding: .5rem 1rem; border: 0; border-radius: .375rem; background: #2563eb; color: #fff; font: inherit; cursor: pointer; }
+.lead-form button:disabled { opacity: .6; }
+.lead-form .lead-form-errors { color: #b91c1c; font-size: .875rem; margin-bottom: 1rem; }
+.lead-form .lead-form-trap { position: absolute; left: -10000px; width: 1px; height: 1px; overflow: hidden; }
+`;
+
+// The embed script. It reads the form's definition when the page loads, so
+// changes to the form show without changing the embed code, draws it after
+// itself or in <div data-lead-form="publicId">, and sends answers as JSON.
+// Plain ES5 and DOM text nodes, so it runs on any site and can't inject markup.
+const EMBED_SCRIPT = `(function () {
+  var config = __CONFIG__;
+  var script = document.currentScript;
+  var container = document.querySelector('[data-lead-form="' + config.publicId + '"]');
+
+  if (!container) {
+    container = document.createElement('div');
+    script.parentNode.insertBefore(container, script.nextSibling);
+  }
+
+  if (!document.getElementById('lead-form-styles')) {
+    var style = document.createElement('style');
+    style.id = 'lead-form-styles';
+    style.textContent = config.styles;
+    document.head.appendChild(style);
+  }
+
+  function el(tag, attributes, text) {
+    var node = document.createElement(tag);
+    Object.keys(attributes || {}).forEach(function (name) {
+      if (attributes[name] !== false && attributes[name] !== null && attributes[name] !== undefined) {
+        node.setAttribute(name, attributes[name] === true ? '' : attributes[name]);
+      }
+    });
+    if (text) node.textContent = text;
+    return node;
+  }
+
+  function input(field, id) {
+    var attributes = { id: id, name: field.key, required: field.required, placeholder: field.placeholder || null };
+
+    if (field.type === 'textarea') return el('textarea', Object.assign(attributes, { rows: 4 }));
+    if (field.type === 'checkbox') return el('input', Object.assign(attributes, { type: 'checkbox', value: 'yes', placeholder: null }));
+    if (field.type === 'select') {
+      var select = el('select', attributes);
+      select.appendChild(el('option', { value: '' }, field.placeholder || 'Choose...'));
+      field.options.forEach(function (option) {
+        select.appendChild(el('option', { value: option }, option));
+      });
+      return select;
+    }
+    return el('input', Object.assign(attributes, { type: field.type }));
+  }
+
+  function render(definition) {
+    container.innerHTML = '';
+
+    if (!definition.isActive) {
+      container.appendChild(el('p', { 'class': 'lead-form' }, 'This form is closed.'));
+      return;
+    }
+
+    var form = el('form', { 'class': 'lead-form' });
+    if (definition.title) form.appendChild(el('h2', {}, definition.title));
+    if (definition.description) form.appendChild(el('p', {}, definition.description));
+
+    definition.fields.forEach(function (field) {
+      var id = 'lead-form-' + config.publicId + '-' + field.key;
+      var wrapper = el('div', { 'class': 'lead-form-field' });
+      var label = el('label', { 'for': id }, field.label + (field.required ? ' *' : ''));
+
+      if (field.type === 'checkbox') {
+        label.insertBefore(input(field, id), label.firstChild);
+        wrapper.appendChild(label);
+      } else {
+        wrapper.appendChild(label);
+        wrapper.appendChild(input(field, id));
+      }
+      form.appendChild(wrapper);
+    });
+
+    var trap = el('div', { 'class': 'lead-form-trap', 'aria-hidden': 'true' });
+    trap.appendChild(el('input', { type: 'text', name: config.honeypot, tabindex: '-1', autocomplete: 'off' }));
+    form.appendChild(trap);
+
+    var errors = el('div', { 'class': 'lead-form-errors', role: 'alert' });
+    var button = el('button', { type: 'submit' }, definition.submitLabel);
+    form.appendChild(errors);
+    form.appendChild(button);
+
+    form.addEventListener('submit', function (event) {
+      event.preventDefault();
+
+      var answers = {};
+      definition.fields.forEach(function (field) {
+        var element = form.elements[field.key];
+        answers[field.key] = field.type === 'checkbox' ? element.checked : element.value;
+      });
+
+      var body = { fields: answers, _pageUrl: window.location.href, _referrer: document.referrer };
+      body[config.honeypot] = form.elements[config.honeypot].value;
+      body[config.shownAt] = definition.shownAt;
+
+      button.disabled = true;
+      errors.textContent = '';
+
+      fetch(config.submitUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+        body: JSON.stringify(body)
+      })
+        .then(function (response) { return response.json(); })
+        .then(function (result) {
+          if (result.success && result.redirectUrl) {
+            window.location.href = result.redirectUrl;
+          } else if (result.success) {
+            container.innerHTML = '';
+            container.appendChild(el('p', { 'class': 'lead-form' }, result.message));
+          } else {
+            errors.textContent = result.errors ? result.errors.map(function (error) { return error.msg; }).join(' ') : result.error;
+            button.disabled = false;
+          }
+        })
+        .catch(function () {
+          errors.textContent = 'Your answers could not be sent. Please try again.';
+          button.disabled = false;
+        });
+    });
+
+    container.appendChild(form);
+  }
+
+  fetch(config.definitionUrl)
+    .then(function (response) { return response.json(); })
+    .then(function (result) {
+      if (result.success) render(result.data);
+    });
+})();
+`;
+
+class WebFormRenderer {
+  /**
+   * The hosted page of a form: a plain HTML form posting to the submit URL,
+   * which works without JavaScript. After a submission it shows the success
+   * message, or the form again with the answers and what's wrong with them.
+   * @param {Object} form - WebForm document
+   * @param {Object} options - Page options
+   * @param {string} options.submitUrl - Submit URL (see webFormService.getUrls)
+   * @param {Object} [options.values] - Answers to fill back in, by field key
+   * @param {Array} [options.errors] - Errors as { path, msg }
+   * @param {string} [options.message] - Message shown instead of the form
+   * @returns {string} HTML page
+   */
+  renderPage(form, { submitUrl, values = {}, errors = [], message = null }) {
+    const title = escapeHtml(form.title || form.name);
+    let body;
+
+    if (message) {
+      body = `<p class="lead-form">${escapeHtml(message)}</p>`;
+    } else if (!form.isActive) {
+      body = '<p class="lead-form">This form is closed.</p>';
+    } else {
+      body = `<form class="lead-form" method="post" action="${escapeHtml(submitUrl)}">
+${form.title ? `<h2>${title}</h2>` : ''}
+${form.description ? `<p>${escapeHtml(form.description)}</p>` : ''}
+${errors.length > 0 ? `<div class="lead-form-errors" role="alert">${errors.map(error => escapeHtml(error.msg)).join('<br>')}</div>` : ''}
+${form.fields.map(field => this.renderField(field, values[field.key])).join('\n')}
+<div class="lead-form-trap" aria-hidden="true"><input type="text" name="${webFormService.HONEYPOT_FIELD}" tabindex="-1" autocomplete="off"></div>
+<input type="hidden" name="${webFormService.SHOWN_AT_FIELD}" value="${escapeHtml(webFormService.signShownAt(form))}">
+<button type="submit">${escapeHtml(form.submitLabel)}</button>
+</form>`;
+    }
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="robots" content="noindex">
+<title>${title}</title>
+<style>body { margin: 2rem auto; padding: 0 1rem; max-width: 480px; }${STYLES}</style>
+</head>
+<body>
+${body}
+</body>
+</html>`;
+  }
+
+  /**
+   * One field of the hosted page
+   * @param {Object} field - WebForm field
+   * @param {*} value - Answer to fill back in
+   * @returns {string} HTML
+   */
+  renderField(field, value) {
+    const id = `field-${field.key}`;
+    const attributes = `id="${id}" name="${field.key}"${field.required ? ' required' : ''}${
+      field.placeholder ? ` placeholder="${escapeHtml(field.placeholder)}"` : ''
+    }`;
+    const label = `${escapeHtml(field.label)}${field.required ? ' *' : ''}`;
+    const answer = Array.isArray(value) ? value[0] : value;
+
+    if (field.type === 'checkbox') {
+      return `<div class="lead-form-field"><label for="${id}"><input type="checkbox" value="yes" ${attributes}${answer ? ' checked' : ''}>${label}</label></div>`;
+    }
+
+    let input;
+    if (field.type === 'textarea') {
+      input = `<textarea rows="4" ${attributes}>${escapeHtml(answer)}</textarea>`;
+    } else if (field.type === 'select') {
+      input = `<select ${attributes}><option value="">Choose...</option>${field.options.map(option => (
+        `<option value="${escapeHtml(option)}"${option === answer ? ' selected' : ''}>${escapeHtml(option)}</option>`
+      )).join('')}</select>`;
+    } else {
+      input = `<input type="${field.type}" value="${escapeHtml(answer)}" ${attributes}>`;
+    }
+
+    return `<div class="lead-form-field"><label for="${id}">${label}</label>${input}</div>`;
+  }
+
+  /**
+   * The embed script of a form, for a <script src> tag on any site
+   * @param {Object} form - WebForm document
+   * @param {Object} urls - The form's URLs (see webFormService.getUrls)
+   * @returns {string} JavaScript
+   */
+  renderEmbedScript(form, urls) {
+    const embedConfig = {
+      publicId: form.publicId,
+      definitionUrl: urls.definitionUrl,
+      submitUrl: urls.submitUrl,
+      honeypot: webFormService.HONEYPOT_FIELD,
+      shownAt: webFormService.SHOWN_AT_FIELD,
+      styles: STYLES
+    };
+
+    // Escape "<" so nothing in the config can close a script tag
+    return EMBED_SCRIPT.replace('__CONFIG__', () => JSON.stringify(embedConfig).replace(/</g, '\\u003c'));
+  }
+}
+
+const webFormRenderer = new WebFormRenderer();
+
+module.exports = webFormRenderer;
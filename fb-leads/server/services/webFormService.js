@@ -0,0 +1,309 @@
+const crypto = require('crypto');
+const WebForm = require('../models/WebForm');
+const config = require('../config/default');
+const facebookLeadService = require('./facebookLeadService');
+const leadIngestService = require('./leadIngestService');
+
+// Longest answer a field takes
+const MAX_ANSWER_LENGTH = 2000;
+
+// Hidden inputs of the hosted page and the embed: a honeypot people never
+// see, so never fill, and when the form was shown, in server time and
+// signed by the server. Field keys start with a letter, so they can't clash.
+const HONEYPOT_FIELD = '_website';
+const SHOWN_AT_FIELD = '_ts';
+
+const SIGNING_SECRET = config.publicForms.signingSecret || crypto.randomBytes(32).toString('hex');
+
+// "<ms since epoch>.<HMAC>", as made by signShownAt
+const SHOWN_AT_PATTERN = /^(\d{1,15})\.([A-Za-z0-9_-]{43})$/;
+
+// Loose checks of email and phone answers; phones are parsed on the lead
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_PATTERN = /^\+?[\d\s().-]{5,30}$/;
+
+// UTM parameters of the page URL, stored like a Facebook lead's ad details
+// so the campaign column, search and scoring rules cover them
+const UTM_DETAILS = {
+  utm_source: 'platform',
+  utm_campaign: 'campaignName',
+  utm_medium: 'adsetName',
+  utm_content: 'adName'
+};
+
+class WebFormService {
+  constructor() {
+    this.HONEYPOT_FIELD = HONEYPOT_FIELD;
+    this.SHOWN_AT_FIELD = SHOWN_AT_FIELD;
+  }
+
+  /**
+   * Check a form's fields as a whole: unique keys, choices for selects and
+   * custom fields that exist
+   * @param {Array} fields - Fields as { key, label, type, options, attribute, customField }
+   * @param {Array} customFields - The organization's CustomField documents
+   * @returns {Array<string>} Problems, empty when the fields are fine
+   */
+  checkFields(fields, customFields) {
+    const errors = [];
+    const keys = new Set();
+
+    fields.forEach(field => {
+      if (keys.has(field.key)) {
+        errors.push(`Two fields have the key "${field.key}"`);
+      }
+      keys.add(field.key);
+
+      if (field.type === 'select' && !(field.options || []).some(option => String(option).trim())) {
+        errors.push(`${field.label} needs choices`);
+      }
+      if (field.attribute === 'custom' && !customFields.some(customField => customField.key === field.customField)) {
+        errors.push(`${field.label} is mapped to a custom field that doesn't exist`);
+      }
+    });
+
+    if (fields.length === 0) {
+      errors.push('Add at least one field');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Sign the time a form is shown, for its hidden SHOWN_AT_FIELD input
+   * @param {Object} form - WebForm document
+   * @param {number} [shownAt] - Time in ms, now by default
+   * @returns {string} Signed time, e.g. "1718000000000.<signature>"
+   */
+  signShownAt(form, shownAt = Date.now()) {
+    const signature = crypto.createHmac('sha256', SIGNING_SECRET)
+      .update(`${form.publicId}.${shownAt}`)
+      .digest('base64url');
+
+    return `${shownAt}.${signature}`;
+  }
+
+  /**
+   * Read a signed time a form was shown
+   * @param {Object} form - WebForm document
+   * @param {*} value - Submitted SHOWN_AT_FIELD value
+   * @returns {number|null} Time in ms, or null when missing or not signed
+   * by this server for this form
+   */
+  readShownAt(form, value) {
+    const match = typeof value === 'string' && value.match(SHOWN_AT_PATTERN);
+
+    if (!match) {
+      return null;
+    }
+
+    const expected = Buffer.from(this.signShownAt(form, match[1]));
+    const received = Buffer.from(value);
+
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received)
+      ? Number(match[1])
+      : null;
+  }
+
+  /**
+   * The form as the embed script draws it, with the signed time it was shown
+   * @param {Object} form - WebForm document
+   * @returns {Object} Public form definition
+   */
+  toDefinition(form) {
+    return {
+      publicId: form.publicId,
+      title: form.title,
+      description: form.description,
+      fields: form.fields.map(({ key, label, type, required, options, placeholder }) => ({
+        key, label, type, required, options, placeholder
+      })),
+      submitLabel: form.submitLabel,
+      isActive: form.isActive,
+      shownAt: this.signShownAt(form)
+    };
+  }
+
+  /**
+   * Where a form is reached from outside the app
+   * @param {Object} form - WebForm document
+   * @param {string} baseUrl - This server's URL, e.g. "https://leads.example.com"
+   * @returns {Object} definitionUrl, pageUrl (hosted page), embedUrl (script) and submitUrl
+   */
+  getUrls(form, baseUrl) {
+    const base = `${baseUrl}/api/public/forms/${form.publicId}`;
+
+    return {
+      definitionUrl: base,
+      pageUrl: `${base}/page`,
+      embedUrl: `${base}/embed.js`,
+      submitUrl: `${base}/submit`
+    };
+  }
+
+  /**
+   * Read a submission's answers into fieldData, as Facebook sends a lead's.
+   * Answers to fields the form doesn't have are ignored.
+   * @param {Object} form - WebForm document
+   * @param {Object} values - Answers by field key
+   * @returns {Object} { fieldData, errors } with errors as { path, msg }
+   */
+  readAnswers(form, values = {}) {
+    const fieldData = [];
+    const errors = [];
+
+    form.fields.forEach(field => {
+      let value = Array.isArray(values[field.key]) ? values[field.key][0] : values[field.key];
+
+      if (field.type === 'checkbox') {
+        value = value && !['false', 'off', '0'].includes(String(value).toLowerCase()) ? 'yes' : '';
+      } else {
+        value = ['string', 'number'].includes(typeof value) ? String(value).trim() : '';
+      }
+
+      if (!value) {
+        if (field.required) {
+          errors.push({ path: field.key, msg: `${field.label} is required` });
+        }
+        return;
+      }
+
+      if (value.length > MAX_ANSWER_LENGTH) {
+        errors.push({ path: field.key, msg: `${field.label} can be up to ${MAX_ANSWER_LENGTH} characters` });
+      } else if (field.type === 'email' && !EMAIL_PATTERN.test(value)) {
+        errors.push({ path: field.key, msg: `${field.label} must be an email address` });
+      } else if (field.type === 'tel' && !PHONE_PATTERN.test(value)) {
+        errors.push({ path: field.key, msg: `${field.label} must be a phone number` });
+      } else if (field.type === 'select' && !field.options.includes(value)) {
+        errors.push({ path: field.key, msg: `${field.label} must be one of its choices` });
+      } else {
+        fieldData.push({ name: field.key, value });
+      }
+    });
+
+    if (errors.length === 0 && fieldData.length === 0) {
+      errors.push({ path: null, msg: 'Fill in the form before sending it' });
+    }
+
+    return { fieldData, errors };
+  }
+
+  /**
+   * Tell whether a submission looks like spam: the honeypot is filled in, it
+   * has no time the form was shown signed by this server, came sooner after
+   * that than a person could fill the form in or so long after that the
+   * time may be reused ('expired'), or came from a site the form isn't
+   * allowed on
+   * @param {Object} form - WebForm document
+   * @param {Object} body - Submission body
+   * @param {string|null} origin - URL the submission came from: its Origin
+   * header, else its Referer
+   * @param {string} [ownHost] - This server's host, whose hosted page is
+   * always allowed
+   * @returns {string|null} Why it's spam, or null
+   */
+  getSpamReason(form, body, origin, ownHost = null) {
+    if (String(body[HONEYPOT_FIELD] || '').trim()) {
+      return 'honeypot';
+    }
+
+    const shownAt = this.readShownAt(form, body[SHOWN_AT_FIELD]);
+    if (shownAt === null) {
+      return 'unsigned';
+    }
+    if (Date.now() - shownAt < config.publicForms.minFillMs) {
+      return 'too fast';
+    }
+    if (Date.now() - shownAt > config.publicForms.maxFillMs) {
+      return 'expired';
+    }
+
+    if (form.allowedDomains.length > 0) {
+      let host = null;
+      try {
+        host = new URL(origin).hostname.toLowerCase();
+      } catch (error) {
+        host = null;
+      }
+
+      const allowed = host && (host === ownHost || form.allowedDomains.some(domain => host === domain || host.endsWith(`.${domain}`)));
+      if (!allowed) {
+        return 'domain';
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Ad details from the UTM parameters of the page the form was on
+   * @param {string|null} pageUrl - Page URL
+   * @returns {Object} e.g. { platform: 'google', campaignName: 'spring' }
+   */
+  getUtmDetails(pageUrl) {
+    const details = {};
+
+    try {
+      const { searchParams } = new URL(pageUrl);
+      Object.entries(UTM_DETAILS).forEach(([param, name]) => {
+        if (searchParams.get(param)) {
+          details[name] = searchParams.get(param).slice(0, 200);
+        }
+      });
+    } catch (error) {
+      // No page URL, or not one
+    }
+
+    return details;
+  }
+
+  /**
+   * Turn answers into a lead, like a Facebook lead: fieldData, attributes
+   * from the field mappings and the usual field names, the pipeline of the
+   * form, then routing and the rest (see leadIngestService.ingest)
+   * @param {Object} form - WebForm document
+   * @param {Array} fieldData - Answers from readAnswers
+   * @param {Object} context - { pageUrl, referrer, userAgent } of the visitor
+   * @returns {Promise<Object>} The new lead document
+   */
+  async createLead(form, fieldData, { pageUrl, referrer, userAgent }) {
+    const fieldMappings = form.fields
+      .filter(field => field.attribute)
+      .map(({ key, attribute, customField }) => ({ key, attribute, customField }));
+
+    const { lead } = await leadIngestService.ingest({
+      source: 'website_form',
+      userId: form.userId,
+      organizationId: form.organizationId,
+      formId: form.publicId,
+      formName: form.name,
+      pipelineId: form.pipelineId,
+      createdTime: new Date(),
+      ...facebookLeadService.extractAttributes(fieldData, fieldMappings),
+      fieldData,
+      rawData: this.getUtmDetails(pageUrl),
+      provenance: {
+        pageUrl: pageUrl ? String(pageUrl).slice(0, 2000) : null,
+        referrer: referrer ? String(referrer).slice(0, 2000) : null,
+        userAgent: userAgent ? String(userAgent).slice(0, 500) : null
+      }
+    });
+
+    await WebForm.updateOne({ _id: form._id }, { $inc: { submissionCount: 1 }, $set: { lastSubmittedAt: new Date() } });
+
+    return lead;
+  }
+
+  /**
+   * Count a submission dropped as spam
+   * @param {Object} form - WebForm document
+   * @returns {Promise<void>}
+   */
+  async recordSpam(form) {
+    await WebForm.updateOne({ _id: form._id }, { $inc: { spamCount: 1 } });
+  }
+}
+
+const webFormService = new WebFormService();
+
+module.exports = webFormService;
@@ -0,0 +1,119 @@
+const Lead = require('../models/Lead');
+const Activity = require('../models/Activity');
+const leadIngestService = require('../services/leadIngestService');
+const activityService = require('../services/activityService');
+const db = require('./helpers/db');
+const { createUser, addMember, createLead } = require('./helpers/factories');
+const { as } = require('./helpers/api');
+
+beforeAll(db.connect);
+afterEach(db.clear);
+afterAll(db.close);
+
+describe('lead activity timeline', () => {
+  let user;
+  let organization;
+  let token;
+  let lead;
+
+  beforeEach(async () => {
+    ({ user, organization, token } = await createUser());
+    lead = await createLead(user, { leadId: 'timeline' });
+  });
+
+  it('records status changes and keeps every note', async () => {
+    await as(token).put(`/api/leads/${lead._id}`).send({ status: 'contacted', notes: 'Left a voicemail' });
+    await as(token).put(`/api/leads/${lead._id}`).send({ status: 'contacted', notes: 'Called back, interested' });
+
+    const res = await as(token).get(`/api/leads/${lead._id}/activities`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.map(activity => activity.type)).toEqual(['status_change', 'note', 'note']);
+    expect(res.body.data[0].data).toMatchObject({ from: 'new', to: 'contacted', toName: 'Contacted' });
+    expect(res.body.data[0].author.name).toBe(user.name);
+    expect(res.body.data.slice(1).map(activity => activity.body)).toEqual(['Left a voicemail', 'Called back, interested']);
+  });
+
+  it('rejects unknown statuses', async () => {
+    const res = await as(token).put(`/api/leads/${lead._id}`).send({ status: 'won' });
+
+    expect(res.status).toBe(400);
+    expect(await Activity.countDocuments()).toBe(0);
+  });
+
+  it('logs calls and emails', async () => {
+    const res = await as(token)
+      .post(`/api/leads/${lead._id}/activities`)
+      .send({ type: 'call', body: 'Discussed pricing' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.type).toBe('call');
+    expect(res.body.data.author.name).toBe(user.name);
+  });
+
+  it('only lets members log notes, calls and emails', async () => {
+    const res = await as(token)
+      .post(`/api/leads/${lead._id}/activities`)
+      .send({ type: 'status_change', body: 'Converted' });
+
+    expect(res.status).toBe(400);
+  });
+
+  it('records assignments', async () => {
+    const { user: agent } = await addMember(organization, 'agent');
+
+    await as(token).put(`/api/leads/${lead._id}/assign`).send({ userId: agent._id });
+
+    const res = await as(token).get(`/api/leads/${lead._id}/activities`);
+    expect(res.body.data).toHaveLength(1);
+    expect(res.body.data[0].type).toBe('assignment');
+    expect(res.body.data[0].data.toName).toBe(agent.name);
+  });
+
+  it('records leads arriving from Facebook', async () => {
+    const { lead: received } = await leadIngestService.ingest({
+      leadId: 'from-facebook',
+      formId: 'form-1',
+      formName: 'Spring Promo',
+      organizationId: organization._id,
+      userId: user._id,
+      createdTime: new Date()
+    });
+
+    const activities = await Activity.find({ lead: received._id });
+    expect(activities.map(activity => activity.type)).toEqual(['sync']);
+    expect(activities[0].data.formName).toBe('Spring Promo');
+  });
+
+  it('moves old notes onto the timeline once', async () => {
+    await Lead.updateOne({ _id: lead._id }, { notes: 'Prefers email' });
+
+    expect(await activityService.backfillLegacyNotes()).toBe(1);
+    expect(await activityService.backfillLegacyNotes()).toBe(0);
+    const res = await as(token).get(`/api/leads/${lead._id}/activities`);
+
+    expect(res.body.data).toHaveLength(1);
+    expect(res.body.data[0].body).toBe('Prefers email');
+    expect((await Lead.findById(lead._id)).notes).toBeNull();
+  });
+
+  it('keeps old notes on the lead when their timeline note can\'t be saved', async () => {
+    await Lead.updateOne({ _id: lead._id }, { notes: 'Prefers email' });
+    const create = jest.spyOn(Activity, 'create').mockRejectedValueOnce(new Error('write failed'));
+
+    await expect(activityService.backfillLegacyNotes()).rejects.toThrow('write failed');
+    create.mockRestore();
+
+    expect((await Lead.findById(lead._id)).notes).toBe('Prefers email');
+    expect(await activityService.backfillLegacyNotes()).toBe(1);
+    expect(await Activity.countDocuments({ lead: lead._id, type: 'note' })).toBe(1);
+  });
+
+  it('keeps agents out of other members\' leads', async () => {
+    const { token: agent } = await addMember(organization, 'agent');
+
+    const res = await as(agent).get(`/api/leads/${lead._id}/activities`);
+
+    expect(res.status).toBe(404);
+  });
+});
@@ -0,0 +1,90 @@
+const request = require('supertest');
+const app = require('../server');
+const db = require('./helpers/db');
+
+beforeAll(db.connect);
+afterEach(db.clear);
+afterAll(db.close);
+
+describe('POST /api/auth/register', () => {
+  it('creates a user and returns a token', async () => {
+    const res = await request(app)
+      .post('/api/auth/register')
+      .send({ name: 'Ada', email: 'Ada@Example.com', password: 'secret123' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.success).toBe(true);
+    expect(res.body.data.email).toBe('ada@example.com');
+    expect(res.body.data.token).toEqual(expect.any(String));
+  });
+
+  it('rejects a duplicate email', async () => {
+    const body = { name: 'Ada', email: 'ada@example.com', password: 'secret123' };
+    await request(app).post('/api/auth/register').send(body);
+
+    const res = await request(app).post('/api/auth/register').send(body);
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('User already exists');
+  });
+
+  it('validates the payload', async () => {
+    const res = await request(app)
+      .post('/api/auth/register')
+      .send({ name: '', email: 'not-an-email', password: '123' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors.map(error => error.path)).toEqual(
+      expect.arrayContaining(['name', 'email', 'password'])
+    );
+  });
+});
+
+describe('POST /api/auth/login', () => {
+  beforeEach(async () => {
+    await request(app)
+      .post('/api/auth/register')
+      .send({ name: 'Ada', email: 'ada@example.com', password: 'secret123' });
+  });
+
+  it('logs in with the right password', async () => {
+    const res = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'ada@example.com', password: 'secret123' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.token).toEqual(expect.any(String));
+    expect(res.body.data.facebookApps).toEqual([]);
+  });
+
+  it('rejects a wrong password', async () => {
+    const res = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'ada@example.com', password: 'wrong-password' });
+
+    expect(res.status).toBe(401);
+    expect(res.body.error).toBe('Invalid credentials');
+  });
+
+  it('rejects an unknown email', async () => {
+    const res = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'nobody@example.com', password: 'secret123' });
+
+    expect(res.status).toBe(401);
+  });
+
+  it('returns a token that works for the profile', async () => {
+    const login = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'ada@example.com', password: 'secret123' });
+
+    const res = await request(app)
+      .get('/api/auth/profile')
+      .set('Authorization', `Bearer ${login.body.data.token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.email).toBe('ada@example.com');
+    expect(res.body.data.password).toBeUndefined();
+  });
+});
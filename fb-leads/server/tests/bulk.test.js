@@ -0,0 +1,152 @@
+const request = require('supertest');
+const app = require('../server');
+const Lead = require('../models/Lead');
+const Activity = require('../models/Activity');
+const Contact = require('../models/Contact');
+const bulkLeadService = require('../services/bulkLeadService');
+const contactService = require('../services/contactService');
+const db = require('./helpers/db');
+const { createUser, addMember, createLead } = require('./helpers/factories');
+
+describe('bulk lead plans', () => {
+  const context = { organizationId: 'org', userId: 'member' };
+  const leads = [
+    { _id: 'a', organizationId: 'org', assignedTo: null, tags: ['VIP'], archivedAt: null },
+    { _id: 'b', organizationId: 'org', assignedTo: 'member', tags: [], archivedAt: new Date() }
+  ];
+
+  it('only change leads that differ from what was asked', async () => {
+    const assign = await bulkLeadService.plan(leads, 'assign', { userId: 'member' }, context);
+    const archive = await bulkLeadService.plan(leads, 'archive', {}, context);
+
+    expect(assign[0].update).toMatchObject({ assignedTo: 'member' });
+    expect(assign[0].activity).toMatchObject({ type: 'assignment', author: 'member', data: { from: null, to: 'member' } });
+    expect(assign[1].update).toBeUndefined();
+    expect(archive[0].activity).toMatchObject({ type: 'archive' });
+    expect(archive[1].update).toBeUndefined();
+  });
+
+  it('add only the tags a lead doesn\'t have', async () => {
+    const plans = await bulkLeadService.plan(leads, 'tag', { tags: ['VIP', 'Callback'] }, context);
+
+    expect(plans[0].addTags).toEqual(['Callback']);
+    expect(plans[1].addTags).toEqual(['VIP', 'Callback']);
+  });
+});
+
+describe('POST /api/leads/bulk', () => {
+  let user;
+  let organization;
+  let token;
+
+  beforeAll(db.connect);
+  afterEach(db.clear);
+  afterAll(db.close);
+
+  beforeEach(async () => {
+    ({ user, organization, token } = await createUser());
+  });
+
+  const bulk = (body, authToken = token) => request(app)
+    .post('/api/leads/bulk')
+    .send(body)
+    .set('Authorization', `Bearer ${authToken}`);
+
+  it('changes the status of the picked leads and reports on each', async () => {
+    const first = await createLead(user, { leadId: 'first' });
+    const second = await createLead(user, { leadId: 'second', status: 'contacted' });
+
+    const res = await bulk({ action: 'status', status: 'contacted', leadIds: [first._id, second._id, '507f1f77bcf86cd799439011'] });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ total: 3, succeeded: 2, failed: 1 });
+    expect(res.body.data.results.map(result => result.changed)).toEqual([true, false, false]);
+    expect(res.body.data.results[2].error).toBe('Lead not found');
+    expect((await Lead.findById(first._id)).status).toBe('contacted');
+    expect(await Activity.countDocuments({ lead: first._id, type: 'status_change' })).toBe(1);
+  });
+
+  it('reports stages the lead\'s pipeline doesn\'t have', async () => {
+    const lead = await createLead(user);
+
+    const res = await bulk({ action: 'status', status: 'nope', leadIds: [lead._id] });
+
+    expect(res.body.data.results[0]).toMatchObject({ success: false, error: expect.stringMatching(/stage/) });
+  });
+
+  it('keeps tags added to a lead while the tag action runs', async () => {
+    const lead = await createLead(user, { tags: ['VIP'] });
+    const context = { organizationId: organization._id, userId: user._id };
+    const plans = await bulkLeadService.plan([await Lead.findById(lead._id).lean()], 'tag', { tags: ['Callback'] }, context);
+
+    await Lead.updateOne({ _id: lead._id }, { $push: { tags: 'Hot' } });
+    await bulkLeadService.apply(plans, null);
+
+    expect((await Lead.findById(lead._id)).tags).toEqual(['VIP', 'Hot', 'Callback']);
+  });
+
+  it('archives every lead matching the filters, and hides them from the list', async () => {
+    await createLead(user, { leadId: 'junk-1', rawData: { campaignName: 'Bad Campaign' }, formId: 'bad-form' });
+    await createLead(user, { leadId: 'junk-2', formId: 'bad-form' });
+    await createLead(user, { leadId: 'keep', formId: 'good-form' });
+
+    const res = await bulk({ action: 'archive', filters: { formId: 'bad-form' } });
+
+    expect(res.body.data.succeeded).toBe(2);
+
+    const list = await request(app).get('/api/leads').set('Authorization', `Bearer ${token}`);
+    const archived = await request(app).get('/api/leads').query({ archived: 'true' }).set('Authorization', `Bearer ${token}`);
+
+    expect(list.body.data.map(lead => lead.leadId)).toEqual(['keep']);
+    expect(archived.body.total).toBe(2);
+  });
+
+  it('deletes leads with their timeline, but not leads others were merged into', async () => {
+    const junk = await createLead(user, { leadId: 'junk' });
+    const primary = await createLead(user, { leadId: 'primary' });
+    await createLead(user, { leadId: 'merged', mergedInto: primary._id });
+    await Activity.create({ organizationId: organization._id, lead: junk._id, type: 'note', body: 'Spam' });
+
+    const res = await bulk({ action: 'delete', leadIds: [junk._id, primary._id] });
+
+    expect(res.body.data.results.map(result => result.success)).toEqual([true, false]);
+    expect(await Lead.exists({ _id: junk._id })).toBeNull();
+    expect(await Activity.exists({ lead: junk._id })).toBeNull();
+    expect(await Lead.exists({ _id: primary._id })).not.toBeNull();
+  });
+
+  it('deletes contacts left without leads and drops the details of deleted ones', async () => {
+    const kept = await createLead(user, { email: 'jane@example.com', phone: '+14155550100', fullName: 'Jane' });
+    const deleted = await createLead(user, { email: 'jane@example.com', phone: '+14155550199', fullName: 'Jane D.' });
+    const alone = await createLead(user, { email: 'sam@example.com' });
+    for (const lead of [kept, deleted, alone]) {
+      await contactService.linkLead(lead);
+    }
+
+    await bulk({ action: 'delete', leadIds: [deleted._id, alone._id] }).expect(200);
+
+    const contacts = await Contact.find();
+    expect(contacts).toHaveLength(1);
+    expect(contacts[0]).toMatchObject({ fullName: 'Jane', emails: ['jane@example.com'], phones: ['14155550100'] });
+  });
+
+  it('exports the picked leads as CSV', async () => {
+    const lead = await createLead(user, { leadId: 'picked' });
+    await createLead(user, { leadId: 'other' });
+
+    const res = await bulk({ action: 'export', leadIds: [lead._id] });
+
+    expect(res.headers['content-type']).toMatch(/text\/csv/);
+    expect(res.text.split('\n')).toHaveLength(2);
+    expect(res.text).toContain('"picked"');
+  });
+
+  it('checks the permission of the action', async () => {
+    const { token: agentToken } = await addMember(organization, 'agent');
+    const lead = await createLead(user);
+
+    const res = await bulk({ action: 'delete', leadIds: [lead._id] }, agentToken);
+
+    expect(res.status).toBe(403);
+  });
+});
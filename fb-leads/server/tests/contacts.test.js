@@ -0,0 +1,179 @@
+const Lead = require('../models/Lead');
+const Contact = require('../models/Contact');
+const Activity = require('../models/Activity');
+const Task = require('../models/Task');
+const contactService = require('../services/contactService');
+const bulkLeadService = require('../services/bulkLeadService');
+const leadIngestService = require('../services/leadIngestService');
+const db = require('./helpers/db');
+const { createUser, addMember, createLead } = require('./helpers/factories');
+const { as } = require('./helpers/api');
+
+describe('contact matching', () => {
+  it('normalizes emails and phones', () => {
+    expect(contactService.normalizeEmail('  Jane@Example.COM ')).toBe('jane@example.com');
+    expect(contactService.normalizeEmail('not an email')).toBeNull();
+    expect(contactService.normalizePhone('+1 (555) 010-2030')).toBe('15550102030');
+    expect(contactService.normalizePhone('0044 20 7946 0958')).toBe('442079460958');
+    expect(contactService.normalizePhone('123')).toBeNull();
+  });
+});
+
+describe('duplicate leads', () => {
+  let user;
+  let organization;
+  let token;
+
+  beforeAll(db.connect);
+  afterEach(db.clear);
+  afterAll(db.close);
+
+  const sync = (leadId, fields) => leadIngestService.ingest({
+    leadId,
+    formId: 'form-1',
+    organizationId: organization._id,
+    userId: user._id,
+    createdTime: new Date(),
+    ...fields
+  });
+
+  beforeEach(async () => {
+    ({ user, organization, token } = await createUser());
+  });
+
+  it('groups submissions by email or phone at sync time', async () => {
+    const { lead: first } = await sync('first', { email: 'jane@example.com', phone: '+1 555 010 2030' });
+    const { lead: second } = await sync('second', { email: 'JANE@example.com ', phone: null });
+    const { lead: third } = await sync('third', { email: 'other@example.com', phone: '15550102030' });
+    const { lead: stranger } = await sync('stranger', { email: 'someone@example.com' });
+
+    const contact = await Contact.findById(first.contact);
+    expect(String(second.contact)).toBe(String(contact._id));
+    expect(String(third.contact)).toBe(String(contact._id));
+    expect(String(stranger.contact)).not.toBe(String(contact._id));
+    expect(contact.emails.sort()).toEqual(['jane@example.com', 'other@example.com']);
+  });
+
+  it('joins contacts a lead turns out to connect', async () => {
+    await sync('by-email', { email: 'jane@example.com' });
+    await sync('by-phone', { phone: '5550102030' });
+    expect(await Contact.countDocuments()).toBe(2);
+
+    await sync('both', { email: 'jane@example.com', phone: '5550102030' });
+
+    const contacts = await Contact.find();
+    expect(contacts).toHaveLength(1);
+    expect(await Lead.countDocuments({ contact: contacts[0]._id })).toBe(3);
+  });
+
+  it('lists the same person\'s other leads, linking older leads on the way', async () => {
+    const lead = await createLead(user, { email: 'jane@example.com' });
+    const other = await createLead(user, { email: 'jane@example.com', formName: 'Second form' });
+    await createLead(user, { email: 'someone@example.com' });
+    await contactService.linkLead(other);
+
+    const res = await as(token).get(`/api/leads/${lead._id}/duplicates`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.leads.map(related => related.leadId)).toEqual([other.leadId]);
+    expect(res.body.data.merged).toEqual([]);
+  });
+
+  it('merges notes and activities and hides the duplicate', async () => {
+    const lead = await createLead(user, { email: 'jane@example.com' });
+    const duplicate = await createLead(user, { email: 'jane@example.com', notes: 'Old notes' });
+    await Activity.create({ organizationId: organization._id, lead: duplicate._id, type: 'call', body: 'No answer' });
+
+    const res = await as(token).post(`/api/leads/${lead._id}/merge`).send({ leadIds: [duplicate._id] });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.merged.map(merged => merged.leadId)).toEqual([duplicate.leadId]);
+
+    const timeline = await as(token).get(`/api/leads/${lead._id}/activities`);
+    expect(timeline.body.data.map(activity => activity.type).sort()).toEqual(['call', 'merge', 'note']);
+    expect(timeline.body.data.find(activity => activity.type === 'call').mergedFrom.leadId).toBe(duplicate.leadId);
+
+    const list = await as(token).get('/api/leads');
+    expect(list.body.data.map(listed => listed.leadId)).toEqual([lead.leadId]);
+  });
+
+  it('unmerges a lead with what it brought', async () => {
+    const lead = await createLead(user);
+    const duplicate = await createLead(user);
+    await Activity.create({ organizationId: organization._id, lead: lead._id, type: 'note', body: 'Kept' });
+    await Activity.create({ organizationId: organization._id, lead: duplicate._id, type: 'note', body: 'Returned' });
+
+    await as(token).post(`/api/leads/${lead._id}/merge`).send({ leadIds: [duplicate._id] });
+    const res = await as(token).delete(`/api/leads/${lead._id}/merge/${duplicate._id}`);
+
+    expect(res.status).toBe(200);
+    expect((await Lead.findById(duplicate._id)).mergedInto).toBeNull();
+
+    const notes = await Activity.find({ type: 'note' });
+    expect(notes.find(note => note.body === 'Returned').lead).toEqual(duplicate._id);
+    expect(notes.find(note => note.body === 'Kept').lead).toEqual(lead._id);
+    expect(await Activity.countDocuments({ type: 'unmerge' })).toBe(2);
+  });
+
+  it('moves tasks along with a merge and back with an unmerge', async () => {
+    const lead = await createLead(user);
+    const duplicate = await createLead(user);
+    const task = await Task.create({
+      organizationId: organization._id,
+      lead: duplicate._id,
+      title: 'Call back',
+      dueAt: new Date(),
+      assignee: user._id
+    });
+
+    await as(token).post(`/api/leads/${lead._id}/merge`).send({ leadIds: [duplicate._id] });
+    expect(await Task.findById(task._id)).toMatchObject({ lead: lead._id, mergedFrom: duplicate._id });
+
+    await as(token).delete(`/api/leads/${lead._id}/merge/${duplicate._id}`);
+    expect(await Task.findById(task._id)).toMatchObject({ lead: duplicate._id, mergedFrom: null });
+  });
+
+  it('merges and unmerges in a transaction', async () => {
+    const lead = await createLead(user);
+    const duplicate = await createLead(user);
+    const inTransaction = jest.spyOn(bulkLeadService, 'inTransaction');
+
+    await as(token).post(`/api/leads/${lead._id}/merge`).send({ leadIds: [duplicate._id] }).expect(200);
+    await as(token).delete(`/api/leads/${lead._id}/merge/${duplicate._id}`).expect(200);
+
+    expect(inTransaction).toHaveBeenCalledTimes(2);
+    inTransaction.mockRestore();
+  });
+
+  it('carries leads already merged into a duplicate along with it', async () => {
+    const lead = await createLead(user);
+    const duplicate = await createLead(user);
+    const older = await createLead(user);
+
+    await as(token).post(`/api/leads/${duplicate._id}/merge`).send({ leadIds: [older._id] });
+    await as(token).post(`/api/leads/${lead._id}/merge`).send({ leadIds: [duplicate._id] });
+
+    expect((await Lead.findById(older._id)).mergedInto).toEqual(lead._id);
+  });
+
+  it('rejects merging a lead into itself or an already merged lead', async () => {
+    const lead = await createLead(user);
+    const merged = await createLead(user, { mergedInto: lead._id });
+
+    const self = await as(token).post(`/api/leads/${lead._id}/merge`).send({ leadIds: [lead._id] });
+    expect(self.status).toBe(400);
+
+    const again = await as(token).post(`/api/leads/${lead._id}/merge`).send({ leadIds: [merged._id] });
+    expect(again.status).toBe(400);
+  });
+
+  it('does not let agents merge leads', async () => {
+    const { user: agent, token: agentToken } = await addMember(organization, 'agent');
+    const lead = await createLead(user, { assignedTo: agent._id });
+    const duplicate = await createLead(user, { assignedTo: agent._id });
+
+    const res = await as(agentToken).post(`/api/leads/${lead._id}/merge`).send({ leadIds: [duplicate._id] });
+
+    expect(res.status).toBe(403);
+  });
+});
@@ -0,0 +1,150 @@
+const Lead = require('../models/Lead');
+const Form = require('../models/Form');
+const customFieldService = require('../services/customFieldService');
+const db = require('./helpers/db');
+const { createUser, addMember, createForm, createLead } = require('./helpers/factories');
+const { as } = require('./helpers/api');
+
+const budget = { key: 'budget', name: 'Budget', type: 'number', options: [] };
+const moveIn = { key: 'move_in', name: 'Move-in date', type: 'date', options: [] };
+const financing = { key: 'financing', name: 'Needs financing', type: 'boolean', options: [] };
+const bedrooms = { key: 'bedrooms', name: 'Bedrooms', type: 'select', options: ['1', '2', '3+'] };
+const amenities = { key: 'amenities', name: 'Amenities', type: 'multi_select', options: ['Pool', 'Gym', 'Parking'] };
+const notes = { key: 'notes', name: 'Notes', type: 'text', options: [] };
+
+describe('custom field values', () => {
+  it('are converted to the field\'s type', () => {
+    expect(customFieldService.coerce(budget, '$5,000')).toBe(5000);
+    expect(customFieldService.coerce(moveIn, '2024-06-01')).toEqual(new Date('2024-06-01'));
+    expect(customFieldService.coerce(financing, 'Yes')).toBe(true);
+    expect(customFieldService.coerce(bedrooms, '3+')).toBe('3+');
+    expect(customFieldService.coerce(amenities, 'pool, parking')).toEqual(['Pool', 'Parking']);
+  });
+
+  it('are rejected when they don\'t fit the field', () => {
+    expect(customFieldService.coerce(budget, 'a lot')).toBeUndefined();
+    expect(customFieldService.coerce(bedrooms, '5')).toBeUndefined();
+    expect(customFieldService.coerce(financing, 'maybe')).toBeUndefined();
+    expect(customFieldService.coerce(budget, '')).toBeNull();
+  });
+
+  it('report unknown and invalid fields', () => {
+    const { values, errors } = customFieldService.coerceValues([budget, bedrooms], {
+      budget: '12000',
+      bedrooms: '7',
+      color: 'red'
+    });
+
+    expect(values).toEqual({ budget: 12000 });
+    expect(errors).toHaveLength(2);
+  });
+
+  it('build lead filters by type', () => {
+    const filters = customFieldService.buildFilters([budget, notes, financing, amenities], {
+      budget: { gte: '1000', lte: '5000' },
+      notes: 'pool (heated)',
+      financing: 'false',
+      amenities: 'Gym',
+      unknown: 'x'
+    });
+
+    expect(filters).toEqual({
+      'customFields.budget': { $gte: 1000, $lte: 5000 },
+      'customFields.notes': { $regex: 'pool \\(heated\\)', $options: 'i' },
+      'customFields.financing': { $ne: true },
+      'customFields.amenities': { $in: ['Gym'] }
+    });
+  });
+
+  it('are formatted for export', () => {
+    expect(customFieldService.formatValue(amenities, ['Pool', 'Gym'])).toBe('Pool; Gym');
+    expect(customFieldService.formatValue(moveIn, new Date('2024-06-01T00:00:00Z'))).toBe('2024-06-01');
+    expect(customFieldService.formatValue(financing, false)).toBe('No');
+    expect(customFieldService.formatValue(budget, undefined)).toBe('');
+  });
+});
+
+describe('/api/custom-fields', () => {
+  let user;
+  let organization;
+  let token;
+
+  beforeAll(db.connect);
+  afterEach(db.clear);
+  afterAll(db.close);
+
+  beforeEach(async () => {
+    ({ user, organization, token } = await createUser());
+  });
+
+  it('creates fields with keys made from their names', async () => {
+    const res = await as(token).post('/api/custom-fields').send({ name: 'Budget (USD)', type: 'number' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data).toMatchObject({ key: 'budget_usd', type: 'number' });
+
+    const list = await as(token).get('/api/custom-fields');
+    expect(list.body.data).toHaveLength(1);
+  });
+
+  it('requires options for select fields', async () => {
+    const res = await as(token).post('/api/custom-fields').send({ name: 'Bedrooms', type: 'select', options: [' '] });
+
+    expect(res.status).toBe(400);
+  });
+
+  it('sets, filters and exports lead values', async () => {
+    await as(token).post('/api/custom-fields').send({ name: 'Budget', type: 'number' });
+    await as(token).post('/api/custom-fields').send({ name: 'Bedrooms', type: 'select', options: ['1', '2', '3+'] });
+    const lead = await createLead(user, { fullName: 'Big Budget' });
+    await createLead(user, { fullName: 'Small Budget', customFields: { budget: 500 } });
+
+    const update = await as(token).put(`/api/leads/${lead._id}/custom-fields`).send({
+      customFields: { budget: '25,000', bedrooms: '3+' }
+    });
+
+    expect(update.status).toBe(200);
+    expect(update.body.data.customFields).toEqual({ budget: 25000, bedrooms: '3+' });
+
+    const filtered = await as(token).get('/api/leads').query({ 'cf[budget][gte]': '10000' });
+    expect(filtered.body.data.map(l => l.fullName)).toEqual(['Big Budget']);
+
+    const csv = await as(token).get('/api/leads/export');
+    const [header, ...rows] = csv.text.split('\n');
+    expect(header).toContain('"Budget","Bedrooms"');
+    expect(rows.find(row => row.includes('Big Budget'))).toMatch(/"25000","3\+"$/);
+  });
+
+  it('rejects lead values that don\'t fit the field', async () => {
+    await as(token).post('/api/custom-fields').send({ name: 'Budget', type: 'number' });
+    const lead = await createLead(user);
+
+    const res = await as(token).put(`/api/leads/${lead._id}/custom-fields`).send({
+      customFields: { budget: 'plenty' }
+    });
+
+    expect(res.status).toBe(400);
+  });
+
+  it('removes a deleted field from leads and form mappings', async () => {
+    const created = await as(token).post('/api/custom-fields').send({ name: 'Budget', type: 'number' });
+    const lead = await createLead(user, { customFields: { budget: 500 } });
+    const form = await createForm(user, {
+      fieldMappings: [{ key: 'budget', attribute: 'custom', customField: 'budget' }]
+    });
+
+    const res = await as(token).delete(`/api/custom-fields/${created.body.data._id}`);
+
+    expect(res.status).toBe(200);
+    expect((await Lead.findById(lead._id)).customFields).toEqual({});
+    expect((await Form.findById(form._id)).fieldMappings).toHaveLength(0);
+  });
+
+  it('only lets managers change fields', async () => {
+    const { token: agentToken } = await addMember(organization, 'agent');
+
+    const res = await as(agentToken).post('/api/custom-fields').send({ name: 'Budget', type: 'number' });
+
+    expect(res.status).toBe(403);
+  });
+});
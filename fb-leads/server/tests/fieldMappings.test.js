@@ -0,0 +1,177 @@
+const Lead = require('../models/Lead');
+const CustomField = require('../models/CustomField');
+const Form = require('../models/Form');
+const fieldMappingService = require('../services/fieldMappingService');
+const { graphClient } = require('../services/graphClient');
+const { startMockGraphApi } = require('../mock/graphApi');
+const db = require('./helpers/db');
+const { createUser, addMember, createForm, createLead } = require('./helpers/factories');
+const { as } = require('./helpers/api');
+
+// Fixture form with a custom roof_age question in mock/fixtures/graphApi.json
+const FORM_ID = '400000000000001';
+
+let mock;
+let originalHost;
+
+beforeAll(async () => {
+  await db.connect();
+  mock = await startMockGraphApi({ port: 0 });
+
+  originalHost = graphClient.host;
+  graphClient.host = mock.url;
+});
+
+afterEach(async () => {
+  mock.app.reset();
+  await db.clear();
+});
+
+afterAll(async () => {
+  graphClient.host = originalHost;
+  await new Promise(resolve => mock.server.close(resolve));
+  await db.close();
+});
+
+describe('form field mappings', () => {
+  let user;
+  let organization;
+  let token;
+  let form;
+
+  beforeEach(async () => {
+    ({ user, organization, token } = await createUser());
+    form = await createForm(user, { formId: FORM_ID });
+  });
+
+  it('loads the form\'s questions from Facebook', async () => {
+    const res = await as(token).get(`/api/forms/${form._id}/questions`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.questions.map(question => question.key)).toContain('roof_age');
+    expect(res.body.data.fieldMappings).toEqual([]);
+  });
+
+  // Mappings are applied to stored leads in the background
+  const waitFor = async (check) => {
+    for (let attempt = 0; attempt < 100; attempt++) {
+      if (await check()) {
+        return;
+      }
+      await new Promise(resolve => setTimeout(resolve, 50));
+    }
+
+    throw new Error('Mappings were not applied');
+  };
+
+  it('applies new mappings to leads already synced', async () => {
+    const lead = await createLead(user, {
+      formId: FORM_ID,
+      fullName: null,
+      fieldData: [
+        { name: 'first_name', value: 'Ana' },
+        { name: 'roof_age', value: '10-15 years' }
+      ]
+    });
+    await createLead(user, { formId: 'another-form', fieldData: [{ name: 'first_name', value: 'Sam' }] });
+    await CustomField.create({ organizationId: organization._id, key: 'roof_age', name: 'Roof age', type: 'text' });
+
+    const res = await as(token).put(`/api/forms/${form._id}/field-mappings`).send({
+      fieldMappings: [
+        { key: 'first_name', label: 'First name', attribute: 'firstName' },
+        { key: 'roof_age', label: 'How old is your roof?', attribute: 'custom', customField: 'roof_age' }
+      ]
+    });
+
+    expect(res.status).toBe(200);
+    expect(res.body.leads).toBe(1);
+
+    await waitFor(async () => (await Lead.findById(lead._id)).firstName);
+    const updated = await Lead.findById(lead._id);
+    expect(updated).toMatchObject({ firstName: 'Ana', fullName: 'Ana', customFields: { roof_age: '10-15 years' } });
+  });
+
+  it('keeps values a lead has no answer for and clears ones a removed mapping filled', async () => {
+    await CustomField.create({ organizationId: organization._id, key: 'roof_age', name: 'Roof age', type: 'text' });
+    form.fieldMappings = [
+      { key: 'town', attribute: 'city' },
+      { key: 'roof_age', attribute: 'custom', customField: 'roof_age' }
+    ];
+    await form.save();
+    const lead = await createLead(user, {
+      formId: FORM_ID,
+      fullName: 'Ana Diaz',
+      email: 'ana@example.com',
+      city: 'Austin',
+      customFields: { roof_age: '10-15 years' },
+      fieldData: [{ name: 'town', value: 'Austin' }, { name: 'roof_age', value: '10-15 years' }]
+    });
+
+    await as(token).put(`/api/forms/${form._id}/field-mappings`).send({
+      fieldMappings: [{ key: 'town', attribute: 'city' }]
+    }).expect(200);
+
+    await waitFor(async () => !(await Lead.findById(lead._id)).customFields?.roof_age);
+    expect(await Lead.findById(lead._id)).toMatchObject({ fullName: 'Ana Diaz', email: 'ana@example.com', city: 'Austin' });
+
+    await as(token).put(`/api/forms/${form._id}/field-mappings`).send({ fieldMappings: [] }).expect(200);
+
+    await waitFor(async () => (await Lead.findById(lead._id)).city === null);
+    expect(await Lead.findById(lead._id)).toMatchObject({ fullName: 'Ana Diaz', email: 'ana@example.com' });
+  });
+
+  it('stops applying mappings a newer save replaced', async () => {
+    const lead = await createLead(user, { formId: FORM_ID, city: null, fieldData: [{ name: 'town', value: 'Austin' }] });
+    await fieldMappingService.setMappings(form, [{ key: 'town', attribute: 'city' }]);
+    const stale = await Form.findById(form._id);
+
+    await fieldMappingService.setMappings(form, []);
+
+    expect(await fieldMappingService.applyToLeads(stale)).toBeNull();
+    expect((await Lead.findById(lead._id)).city).toBeNull();
+    expect(await Form.findById(form._id)).toMatchObject({ mappingsVersion: 2, mappingsAppliedVersion: 0 });
+  });
+
+  it('resumes applying mappings a restart stopped, clearing what earlier unapplied mappings filled', async () => {
+    const lead = await createLead(user, {
+      formId: FORM_ID,
+      city: 'Austin',
+      fieldData: [{ name: 'first_name', value: 'Ana' }, { name: 'town', value: 'Austin' }]
+    });
+    await fieldMappingService.setMappings(form, [{ key: 'town', attribute: 'city' }]);
+    await fieldMappingService.setMappings(form, [{ key: 'first_name', attribute: 'firstName' }]);
+
+    expect(await fieldMappingService.resumeApplies()).toBe(1);
+
+    expect(await Lead.findById(lead._id)).toMatchObject({ firstName: 'Ana', city: null });
+    expect(await Form.findById(form._id)).toMatchObject({ mappingsVersion: 2, mappingsAppliedVersion: 2, mappingsAppliedThrough: null });
+    expect(await fieldMappingService.resumeApplies()).toBe(0);
+  });
+
+  it('rejects two questions mapped to the same attribute', async () => {
+    const res = await as(token).put(`/api/forms/${form._id}/field-mappings`).send({
+      fieldMappings: [
+        { key: 'email', attribute: 'email' },
+        { key: 'work_email', attribute: 'email' }
+      ]
+    });
+
+    expect(res.status).toBe(400);
+  });
+
+  it('rejects mappings to custom fields that do not exist', async () => {
+    const res = await as(token).put(`/api/forms/${form._id}/field-mappings`).send({
+      fieldMappings: [{ key: 'roof_age', attribute: 'custom', customField: 'roof_age' }]
+    });
+
+    expect(res.status).toBe(400);
+  });
+
+  it('only lets form managers change mappings', async () => {
+    const { token: agentToken } = await addMember(organization, 'agent');
+
+    const res = await as(agentToken).put(`/api/forms/${form._id}/field-mappings`).send({ fieldMappings: [] });
+
+    expect(res.status).toBe(403);
+  });
+});
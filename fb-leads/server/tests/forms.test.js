@@ -0,0 +1,131 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../server');
+const Form = require('../models/Form');
+const facebookLeadService = require('../services/facebookLeadService');
+const db = require('./helpers/db');
+const { createUser, createForm } = require('./helpers/factories');
+
+beforeAll(db.connect);
+afterEach(db.clear);
+afterAll(db.close);
+
+describe('/api/forms', () => {
+  let user;
+  let token;
+
+  beforeEach(async () => {
+    ({ user, token } = await createUser());
+  });
+
+  it('requires authentication', async () => {
+    const res = await request(app).get('/api/forms/list');
+
+    expect(res.status).toBe(401);
+  });
+
+  it('adds a form', async () => {
+    const res = await request(app)
+      .post('/api/forms/add')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ formId: '400000000000001', formName: 'Roof Inspection' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.formId).toBe('400000000000001');
+    expect(await Form.countDocuments({ userId: user._id })).toBe(1);
+  });
+
+  it('rejects a form without an ID', async () => {
+    const res = await request(app)
+      .post('/api/forms/add')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ formName: 'No ID' });
+
+    expect(res.status).toBe(400);
+  });
+
+  it('rejects the same form twice', async () => {
+    await createForm(user, { formId: 'dup' });
+
+    const res = await request(app)
+      .post('/api/forms/add')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ formId: 'dup' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Form already exists in this organization');
+  });
+
+  it('lists only the user\'s forms', async () => {
+    const other = await createUser();
+    await createForm(user);
+    await createForm(user);
+    await createForm(other.user);
+
+    const res = await request(app)
+      .get('/api/forms/list')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.count).toBe(2);
+  });
+
+  it('updates a form by document ID or Facebook form ID', async () => {
+    const form = await createForm(user, { formId: 'fb-form' });
+
+    const byId = await request(app)
+      .put(`/api/forms/update/${form._id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ formName: 'Renamed' });
+
+    const byFormId = await request(app)
+      .put('/api/forms/update/fb-form')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ isActive: false });
+
+    expect(byId.status).toBe(200);
+    expect(byFormId.status).toBe(200);
+
+    const saved = await Form.findById(form._id);
+    expect(saved.formName).toBe('Renamed');
+    expect(saved.isActive).toBe(false);
+  });
+
+  it('deletes a form', async () => {
+    const form = await createForm(user);
+
+    const res = await request(app)
+      .delete(`/api/forms/delete/${form._id}`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(await Form.findById(form._id)).toBeNull();
+  });
+
+  it('does not touch another user\'s form', async () => {
+    const other = await createUser();
+    const form = await createForm(other.user);
+
+    const res = await request(app)
+      .delete(`/api/forms/delete/${form._id}`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(404);
+    expect(await Form.findById(form._id)).not.toBeNull();
+  });
+});
+
+describe('dropUserFormIndex', () => {
+  it('drops the per-user form index so a form can be added again in another organization', async () => {
+    const { user } = await createUser();
+    await Form.collection.createIndex({ userId: 1, formId: 1 }, { unique: true });
+    await createForm(user, { formId: 'moved' });
+
+    expect(await facebookLeadService.dropUserFormIndex()).toBe(true);
+    expect(await facebookLeadService.dropUserFormIndex()).toBe(false);
+
+    // The same member adding the form in the organization they moved to
+    await Form.create({ userId: user._id, organizationId: new mongoose.Types.ObjectId(), formId: 'moved' });
+    expect(await Form.countDocuments({ formId: 'moved' })).toBe(2);
+  });
+});
@@ -0,0 +1,96 @@
+const { GraphClient, GraphApiError } = require('../services/graphClient');
+const { startMockGraphApi } = require('../mock/graphApi');
+
+let mock;
+let client;
+let sleeps;
+
+beforeAll(async () => {
+  mock = await startMockGraphApi({ port: 0 });
+});
+
+beforeEach(() => {
+  mock.app.reset();
+  sleeps = [];
+  client = new GraphClient({
+    baseUrl: mock.url,
+    sleep: async ms => { sleeps.push(ms); }
+  });
+});
+
+afterAll(done => {
+  mock.server.close(done);
+});
+
+describe('GraphClient', () => {
+  it('builds URLs from the configured host and version', () => {
+    const versioned = new GraphClient({ baseUrl: 'http://localhost:5055/', version: 'v21.0' });
+
+    expect(versioned.baseUrl).toBe('http://localhost:5055/v21.0');
+  });
+
+  it('returns the response body', async () => {
+    const data = await client.get('/me/accounts', { access_token: 'token' });
+
+    expect(data.data).toHaveLength(2);
+  });
+
+  it.each([1, 2, 4, 17, 613])('retries transient code %i', async code => {
+    mock.app.failNext({ code, times: 2 });
+
+    const data = await client.get('me/accounts', { access_token: 'token' });
+
+    expect(data.data).toHaveLength(2);
+    expect(sleeps).toHaveLength(2);
+  });
+
+  it('gives up after maxRetries', async () => {
+    mock.app.failNext({ code: 2, times: 10 });
+
+    await expect(client.get('me/accounts', { access_token: 'token' }))
+      .rejects.toMatchObject({ code: 2, isTransient: true });
+    expect(sleeps).toHaveLength(client.maxRetries);
+  });
+
+  it('does not retry permission errors', async () => {
+    mock.app.failNext({ code: 200, message: 'Permissions error' });
+
+    const error = await client.get('me/accounts', { access_token: 'token' }).catch(err => err);
+
+    expect(error).toBeInstanceOf(GraphApiError);
+    expect(error.message).toBe('Facebook API Error: Permissions error');
+    expect(error.isPermission).toBe(true);
+    expect(error.isTransient).toBe(false);
+    expect(sleeps).toHaveLength(0);
+  });
+
+  it('flags expired tokens as auth errors', async () => {
+    const error = await client.get('me/accounts', { access_token: 'expired-token' }).catch(err => err);
+
+    expect(error.code).toBe(190);
+    expect(error.isAuthError).toBe(true);
+    expect(error.response.status).toBe(400);
+  });
+
+  it('slows down when app usage passes the threshold', async () => {
+    client.recordUsage({ 'x-app-usage': JSON.stringify({ call_count: 95, total_cputime: 10, total_time: 10 }) });
+
+    await client.get('me/accounts', { access_token: 'token' });
+
+    expect(sleeps).toHaveLength(1);
+  });
+
+  it('fails fast for a throttled ad account without blocking others', async () => {
+    client.recordUsage({
+      'x-business-use-case-usage': JSON.stringify({
+        999: [{ type: 'ads_insights', call_count: 100, total_cputime: 10, total_time: 10, estimated_time_to_regain_access: 30 }]
+      })
+    }, 'act_300000000000001');
+
+    await expect(client.get('act_300000000000001/insights', { access_token: 'token' }))
+      .rejects.toMatchObject({ isThrottled: true, isTransient: false });
+
+    const other = await client.get('act_300000000000002/insights', { access_token: 'token' });
+    expect(other.data).toHaveLength(1);
+  });
+});
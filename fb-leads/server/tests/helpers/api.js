@@ -0,0 +1,17 @@
+const request = require('supertest');
+const app = require('../../server');
+
+/**
+ * Send requests to the API as a member
+ * @param {string} token - The member's JWT, from createUser or addMember
+ * @returns {Object} get, post, put and delete, each taking a path and
+ * returning the supertest request
+ */
+const as = token => ({
+  get: path => request(app).get(path).set('Authorization', `Bearer ${token}`),
+  post: path => request(app).post(path).set('Authorization', `Bearer ${token}`),
+  put: path => request(app).put(path).set('Authorization', `Bearer ${token}`),
+  delete: path => request(app).delete(path).set('Authorization', `Bearer ${token}`)
+});
+
+module.exports = { as };
@@ -0,0 +1,39 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+/**
+ * Connect mongoose to a database of its own on the run's MongoDB (see
+ * globalSetup). Waits for the indexes, since lead search needs its text
+ * index. Without a MongoDB, fails at once, and so do the queries of the
+ * tests, rather than each waiting on mongoose's command buffer.
+ */
+const connect = async () => {
+  if (!process.env.MONGO_TEST_URI) {
+    mongoose.set('bufferCommands', false);
+    throw new Error(`No test MongoDB (${process.env.TEST_DB_UNAVAILABLE || 'not started'}). `
+      + 'Set MONGOMS_SYSTEM_BINARY to a local mongod, or MONGO_TEST_URI to a running server.');
+  }
+
+  await mongoose.connect(process.env.MONGO_TEST_URI, { dbName: `test_${crypto.randomBytes(6).toString('hex')}` });
+  await Promise.all(Object.values(mongoose.models).map(model => model.init()));
+};
+
+/**
+ * Remove every document, keeping indexes
+ */
+const clear = async () => {
+  const collections = Object.values(mongoose.connection.collections);
+  await Promise.all(collections.map(collection => collection.deleteMany({})));
+};
+
+/**
+ * Drop the file's database and disconnect
+ */
+const close = async () => {
+  if (mongoose.connection.readyState === 1) {
+    await mongoose.connection.dropDatabase();
+  }
+  await mongoose.disconnect();
+};
+
+module.exports = { connect, clear, close };
@@ -0,0 +1,112 @@
+const User = require('../../models/User');
+const Form = require('../../models/Form');
+const Lead = require('../../models/Lead');
+const Organization = require('../../models/Organization');
+const { generateToken } = require('../../middleware/auth');
+
+let sequence = 0;
+
+/**
+ * Create a user with one Facebook app in its own organization and return it
+ * with a JWT
+ * @param {Object} [overrides] - User fields
+ * @returns {Promise<Object>} { user, organization, token, app }
+ */
+const createUser = async (overrides = {}) => {
+  sequence++;
+
+  const user = await User.create({
+    name: `Test User ${sequence}`,
+    email: `user${sequence}@example.com`,
+    password: 'password123',
+    facebookApps: [{
+      appId: '123456789012345',
+      appName: 'Test App',
+      accessToken: 'mock-user-token',
+      tokenType: 'long_lived'
+    }],
+    ...overrides
+  });
+
+  const organization = await Organization.ensureForUser(user);
+
+  return {
+    user,
+    organization,
+    token: generateToken(user._id),
+    app: organization.facebookApps[0]
+  };
+};
+
+/**
+ * Create a user in an existing organization and return it with a JWT
+ * @param {Object} organization - Organization document
+ * @param {string} role - Member role
+ * @returns {Promise<Object>} { user, token }
+ */
+const addMember = async (organization, role) => {
+  sequence++;
+
+  const user = await User.create({
+    name: `Test ${role} ${sequence}`,
+    email: `${role}${sequence}@example.com`,
+    password: 'password123',
+    organizationId: organization._id
+  });
+
+  organization.members.push({ user: user._id, role });
+  await organization.save();
+
+  return {
+    user,
+    token: generateToken(user._id)
+  };
+};
+
+/**
+ * Create a form for a user
+ * @param {Object} user - User document
+ * @param {Object} [overrides] - Form fields
+ * @returns {Promise<Object>} Form document
+ */
+const createForm = (user, overrides = {}) => {
+  sequence++;
+
+  return Form.create({
+    userId: user._id,
+    organizationId: user.organizationId,
+    formId: `form-${sequence}`,
+    formName: `Form ${sequence}`,
+    pageId: 'page-1',
+    pageName: 'Test Page',
+    facebookAppId: user.facebookApps[0]?._id,
+    ...overrides
+  });
+};
+
+/**
+ * Create a lead for a user
+ * @param {Object} user - User document
+ * @param {Object} [overrides] - Lead fields
+ * @returns {Promise<Object>} Lead document
+ */
+const createLead = (user, overrides = {}) => {
+  sequence++;
+
+  return Lead.create({
+    userId: user._id,
+    organizationId: user.organizationId,
+    formId: 'form-1',
+    formName: 'Form 1',
+    pageId: 'page-1',
+    pageName: 'Test Page',
+    leadId: `lead-${sequence}`,
+    fullName: `Lead ${sequence}`,
+    email: `lead${sequence}@example.com`,
+    phone: `+1555000${String(sequence).padStart(4, '0')}`,
+    createdTime: new Date(),
+    ...overrides
+  });
+};
+
+module.exports = { createUser, addMember, createForm, createLead };
@@ -0,0 +1,35 @@
+const { MongoMemoryServer } = require('mongodb-memory-server');
+
+// How long to wait for the in-memory MongoDB to start, including a first
+// download of its binary
+const START_TIMEOUT = parseInt(process.env.TEST_DB_START_TIMEOUT, 10) || 120000;
+
+/**
+ * Start one MongoDB for the whole run and hand its URI to the test files in
+ * MONGO_TEST_URI. With MONGO_TEST_URI already set, that server is used
+ * instead. When no MongoDB can be started, e.g. the binary can't be
+ * downloaded, the reason goes in TEST_DB_UNAVAILABLE so the suites that need
+ * one fail at once and the rest still run. MONGOMS_SYSTEM_BINARY points
+ * mongodb-memory-server at a local mongod instead of downloading one.
+ */
+module.exports = async () => {
+  if (process.env.MONGO_TEST_URI) {
+    return;
+  }
+
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`MongoDB did not start within ${START_TIMEOUT} ms`)), START_TIMEOUT);
+  });
+
+  try {
+    const mongod = await Promise.race([MongoMemoryServer.create(), timeout]);
+    globalThis.__MONGOD__ = mongod;
+    process.env.MONGO_TEST_URI = mongod.getUri();
+  } catch (error) {
+    process.env.TEST_DB_UNAVAILABLE = error.message;
+    console.warn(`\nNo test MongoDB, so tests that need one will fail: ${error.message}`);
+  } finally {
+    clearTimeout(timer);
+  }
+};
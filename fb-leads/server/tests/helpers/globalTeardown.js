@@ -0,0 +1,8 @@
+/**
+ * Stop the MongoDB started for the run, if any
+ */
+module.exports = async () => {
+  if (globalThis.__MONGOD__) {
+    await globalThis.__MONGOD__.stop();
+  }
+};
@@ -0,0 +1,262 @@
+const request = require('supertest');
+const app = require('../server');
+const Lead = require('../models/Lead');
+const Activity = require('../models/Activity');
+const CustomField = require('../models/CustomField');
+const ImportJob = require('../models/ImportJob');
+const ImportRow = require('../models/ImportRow');
+const leadIngestService = require('../services/leadIngestService');
+const { runImport } = require('../controllers/importController');
+const leadImportService = require('../services/leadImportService');
+const db = require('./helpers/db');
+const { createUser, addMember, createLead } = require('./helpers/factories');
+
+const budget = { key: 'budget', name: 'Budget', type: 'number', options: [] };
+const pipeline = {
+  name: 'Sales',
+  stages: [{ key: 'new', name: 'New' }, { key: 'contacted', name: 'Contacted' }]
+};
+
+describe('import files', () => {
+  it('are read as text rows under a header, whatever the CSV separator', async () => {
+    const csv = Buffer.from('﻿Name;Email\n"Doe; Jane";jane@example.com\n\n;\nSam;sam@example.com;extra\n');
+
+    const { headers, rows } = await leadImportService.parseFile(csv, 'leads.csv');
+
+    expect(headers).toEqual(['Name', 'Email', 'Column 3']);
+    expect(rows).toEqual([['Doe; Jane', 'jane@example.com', ''], ['Sam', 'sam@example.com', 'extra']]);
+  });
+
+  it('are refused when they aren\'t CSV or XLSX, or have no rows', async () => {
+    await expect(leadImportService.parseFile(Buffer.from('x'), 'leads.pdf')).rejects.toThrow('.csv or .xlsx');
+    await expect(leadImportService.parseFile(Buffer.from('Name,Email\n'), 'leads.csv')).rejects.toThrow('no rows');
+  });
+
+  it('get columns suggested from their headings', () => {
+    const mapping = leadImportService.suggestMapping(['E-mail', 'Mobile Number', 'Budget', 'Source'], [budget]);
+
+    expect(mapping).toEqual([
+      { column: 0, attribute: 'email', customField: null },
+      { column: 1, attribute: 'phone', customField: null },
+      { column: 2, attribute: 'custom', customField: 'budget' }
+    ]);
+  });
+});
+
+describe('imported rows', () => {
+  const headers = ['First', 'Last', 'Email', 'Stage', 'Budget', 'Tags', 'Source'];
+  const mapping = [
+    { column: 0, attribute: 'firstName' },
+    { column: 1, attribute: 'lastName' },
+    { column: 2, attribute: 'email' },
+    { column: 3, attribute: 'status' },
+    { column: 4, attribute: 'custom', customField: 'budget' },
+    { column: 5, attribute: 'tags' }
+  ];
+  const context = { customFields: [budget], pipeline };
+
+  it('become lead fields, keeping every value as an answer', () => {
+    const { lead, errors } = leadImportService.buildLead(
+      ['Jane', 'Doe', 'Jane@Example.com', 'Contacted', '$1,200', 'VIP; Callback', 'Expo'],
+      headers, mapping, context
+    );
+
+    expect(errors).toEqual([]);
+    expect(lead).toMatchObject({
+      fullName: 'Jane Doe',
+      email: 'jane@example.com',
+      status: 'contacted',
+      customFields: { budget: 1200 },
+      tags: ['VIP', 'Callback']
+    });
+    expect(lead.fieldData).toContainEqual({ name: 'Source', value: 'Expo' });
+  });
+
+  it('report what doesn\'t fit', () => {
+    const { errors } = leadImportService.buildLead(['', '', 'not-an-email', 'Won', 'lots', '', ''], headers, mapping, context);
+
+    expect(errors).toEqual([
+      'Email: "not-an-email" isn\'t an email address',
+      'Stage: "Won" isn\'t a stage of Sales',
+      'Budget must be a number',
+      'The row has no name, email or phone'
+    ]);
+  });
+});
+
+describe('/api/imports', () => {
+  let user;
+  let organization;
+  let token;
+
+  beforeAll(db.connect);
+  afterEach(db.clear);
+  afterAll(db.close);
+
+  beforeEach(async () => {
+    ({ user, organization, token } = await createUser());
+  });
+
+  const csv = [
+    'Name,Email,Phone,Budget',
+    'Jane Doe,jane@example.com,+14155550100,1200',
+    'Sam Lee,sam@example.com,,',
+    'No Email,not-an-email,,',
+    'Jane Again,JANE@example.com,,3000'
+  ].join('\n');
+
+  const upload = (content = csv, authToken = token) => request(app)
+    .post('/api/imports')
+    .set('Authorization', `Bearer ${authToken}`)
+    .attach('file', Buffer.from(content), 'leads.csv');
+
+  const post = (path, body) => request(app).post(path).set('Authorization', `Bearer ${token}`).send(body);
+  const get = (path) => request(app).get(path).set('Authorization', `Bearer ${token}`);
+
+  const runToEnd = async (importId, options) => {
+    await post(`/api/imports/${importId}/start`, options).expect(202);
+
+    for (let attempt = 0; attempt < 100; attempt++) {
+      const res = await get(`/api/imports/${importId}`);
+      if (['completed', 'failed'].includes(res.body.data.status)) {
+        return res.body.data;
+      }
+      await new Promise(resolve => setTimeout(resolve, 50));
+    }
+
+    throw new Error('Import did not finish');
+  };
+
+  it('uploads a file and suggests a mapping', async () => {
+    await CustomField.create({ organizationId: organization._id, ...budget });
+
+    const res = await upload();
+
+    expect(res.status).toBe(201);
+    expect(res.body.data).toMatchObject({ fileName: 'leads.csv', status: 'pending', total: 4 });
+    expect(res.body.sample).toHaveLength(4);
+    expect(res.body.mapping.map(m => m.customField || m.attribute)).toEqual(['fullName', 'email', 'phone', 'budget']);
+  });
+
+  it('previews validation errors and duplicates without importing', async () => {
+    await createLead(user, { leadId: 'stored', email: 'sam@example.com' });
+    const { body } = await upload();
+
+    const res = await post(`/api/imports/${body.data._id}/preview`, { mapping: body.mapping, strategy: 'skip', matchBy: 'email' });
+
+    expect(res.body.data).toMatchObject({ total: 4, valid: 3, invalid: 1, duplicates: 2, toCreate: 1, toSkip: 2 });
+    expect(res.body.data.errors).toEqual([{ row: 4, message: 'Email: "not-an-email" isn\'t an email address' }]);
+    expect(await Lead.countDocuments()).toBe(1);
+  });
+
+  it('refuses to find duplicates by a column that isn\'t mapped', async () => {
+    const { body } = await upload();
+
+    const res = await post(`/api/imports/${body.data._id}/preview`, {
+      mapping: [{ column: 0, attribute: 'fullName' }],
+      strategy: 'update',
+      matchBy: 'email'
+    });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors[0].msg).toMatch(/Map a column to email/);
+  });
+
+  it('imports in the background, skipping duplicates and reporting bad rows', async () => {
+    await createLead(user, { leadId: 'stored', email: 'sam@example.com', fullName: 'Sam' });
+    const { body } = await upload();
+
+    const job = await runToEnd(body.data._id, { mapping: body.mapping, strategy: 'skip', matchBy: 'email' });
+
+    expect(job).toMatchObject({ status: 'completed', processed: 4, inserted: 1, skipped: 2, failed: 1 });
+
+    const imported = await Lead.findOne({ email: 'jane@example.com' });
+    expect(imported).toMatchObject({ source: 'import', formId: null, fullName: 'Jane Doe', phoneE164: '+14155550100', status: 'new' });
+    expect(imported.leadId).toMatch(/^import_/);
+    expect(await Activity.findOne({ lead: imported._id, type: 'import' })).toBeTruthy();
+
+    expect(await ImportRow.find({ importId: body.data._id }).lean()).toEqual([
+      expect.objectContaining({ index: 2, values: ['No Email', 'not-an-email', '', ''], error: expect.stringMatching(/isn't an email/) })
+    ]);
+
+    const report = await get(`/api/imports/${body.data._id}/errors`);
+    expect(report.text.split('\n')).toEqual([
+      '"Row","Error","Name","Email","Phone","Budget"',
+      '"4","Email: ""not-an-email"" isn\'t an email address","No Email","not-an-email","",""'
+    ]);
+  });
+
+  it('fills in duplicates with the update strategy', async () => {
+    await CustomField.create({ organizationId: organization._id, ...budget });
+    await createLead(user, { leadId: 'stored', email: 'jane@example.com', fullName: 'J. Doe', status: 'contacted' });
+    const { body } = await upload();
+
+    const job = await runToEnd(body.data._id, { mapping: body.mapping, strategy: 'update', matchBy: 'email' });
+    const stored = await Lead.findOne({ leadId: 'stored' });
+
+    expect(job).toMatchObject({ inserted: 1, updated: 2, failed: 1 });
+    expect(stored).toMatchObject({ fullName: 'Jane Again', status: 'contacted', customFields: { budget: 3000 } });
+  });
+
+  it('adds every row as a new lead with the create strategy', async () => {
+    await createLead(user, { leadId: 'stored', email: 'jane@example.com' });
+    const { body } = await upload();
+
+    const job = await runToEnd(body.data._id, { mapping: body.mapping, strategy: 'create' });
+
+    expect(job).toMatchObject({ inserted: 3, failed: 1 });
+    expect(await Lead.countDocuments({ email: 'jane@example.com' })).toBe(3);
+  });
+
+  it('doesn\'t add rows again when it resumes after a restart', async () => {
+    const { body } = await upload();
+    // Stopped after adding the first row, before a checkpoint
+    await ImportJob.updateOne({ _id: body.data._id }, { $set: { mapping: body.mapping, strategy: 'create', status: 'queued' } });
+    const job = await ImportJob.findById(body.data._id);
+    const [first] = await leadImportService.getRows(job);
+    const { lead } = leadImportService.buildLead(first, job.headers, job.mapping, await leadImportService.getContext(organization._id));
+    await leadIngestService.ingest(await leadImportService.toNewLead(lead, job, 0));
+
+    const resumed = await runImport(body.data._id);
+
+    expect(resumed).toMatchObject({ status: 'completed', inserted: 3, failed: 1 });
+    expect(await Lead.countDocuments({ source: 'import' })).toBe(3);
+    expect(await Lead.findOne({ email: 'jane@example.com' })).toMatchObject({ leadId: `import_${job._id}_2` });
+  });
+
+  it('is marked failed when it can\'t be saved at the end', async () => {
+    const { body } = await upload();
+    await ImportJob.updateOne({ _id: body.data._id }, { $set: { mapping: body.mapping, strategy: 'create', status: 'queued' } });
+    jest.spyOn(ImportJob.prototype, 'save').mockRejectedValueOnce(new Error('Document too large'));
+
+    try {
+      await runImport(body.data._id);
+    } finally {
+      ImportJob.prototype.save.mockRestore();
+    }
+
+    expect(await ImportJob.findById(body.data._id)).toMatchObject({ status: 'failed', error: 'The import could not be saved' });
+  });
+
+  it('deletes uploads never started, with their rows, after a day', async () => {
+    const { body: stale } = await upload();
+    const { body: fresh } = await upload();
+    const lastDay = new Date(Date.now() - leadImportService.PENDING_TTL_MS - 1000);
+    const job = await ImportJob.findById(stale.data._id);
+    await ImportJob.collection.updateOne({ _id: job._id }, { $set: { updatedAt: lastDay } });
+
+    expect(await leadImportService.expirePendingImports()).toBe(1);
+
+    expect(await ImportJob.findById(stale.data._id)).toBeNull();
+    expect(await ImportRow.countDocuments({ importId: stale.data._id })).toBe(0);
+    expect(await ImportRow.countDocuments({ importId: fresh.data._id })).toBe(4);
+  });
+
+  it('is kept from members who can\'t import', async () => {
+    const { token: agentToken } = await addMember(organization, 'agent');
+
+    const res = await upload(csv, agentToken);
+
+    expect(res.status).toBe(403);
+  });
+});
@@ -0,0 +1,151 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../server');
+const Lead = require('../models/Lead');
+const Activity = require('../models/Activity');
+const leadIngestService = require('../services/leadIngestService');
+const { ADAPTERS, getSource } = require('../services/leadSources');
+const db = require('./helpers/db');
+const { createUser, addMember, createLead } = require('./helpers/factories');
+
+describe('lead source adapters', () => {
+  it('cover every lead source', () => {
+    expect(ADAPTERS.map(adapter => adapter.source).sort()).toEqual([...Lead.SOURCES].sort());
+    expect(() => getSource('carrier_pigeon')).toThrow('Unknown lead source');
+  });
+
+  it('keep Facebook\'s lead ID and ad details', () => {
+    const facebook = getSource('facebook_lead_ad');
+    const lead = { leadId: 'fb-1', rawData: { platform: 'ig', adId: '42', campaignName: 'Spring' } };
+
+    expect(facebook.leadId(lead)).toBe('fb-1');
+    expect(facebook.provenance(lead)).toMatchObject({ platform: 'ig', adId: '42', campaignName: 'Spring' });
+    expect(() => facebook.leadId({})).toThrow();
+  });
+
+  it('give other leads an ID of their own, stable for API leads with an externalId', () => {
+    const organizationId = new mongoose.Types.ObjectId();
+
+    expect(getSource('manual').leadId({})).toMatch(/^manual_[0-9a-f]{24}$/);
+    expect(getSource('website_form').leadId({})).toMatch(/^web_/);
+    expect(getSource('api').leadId({ organizationId, provenance: { externalId: 'crm-7' } })).toBe(`api_${organizationId}_crm-7`);
+    expect(getSource('api').leadId({ organizationId, provenance: {} })).toMatch(/^api_[0-9a-f]{24}$/);
+  });
+});
+
+describe('POST /api/leads', () => {
+  let user;
+  let organization;
+  let token;
+
+  beforeAll(db.connect);
+  afterEach(db.clear);
+  afterAll(db.close);
+
+  beforeEach(async () => {
+    ({ user, organization, token } = await createUser());
+  });
+
+  const post = (body, authToken = token) => request(app)
+    .post('/api/leads')
+    .set('Authorization', `Bearer ${authToken}`)
+    .send(body);
+
+  it('adds a lead by hand', async () => {
+    const res = await post({ firstName: 'Jane', lastName: 'Doe', email: 'jane@example.com', phone: '+14155550100', tags: ['Walk-in'] });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data).toMatchObject({
+      source: 'manual',
+      fullName: 'Jane Doe',
+      formId: null,
+      phoneE164: '+14155550100',
+      status: 'new',
+      tags: ['Walk-in'],
+      provenance: { createdBy: user._id.toString() }
+    });
+    expect(res.body.data.leadId).toMatch(/^manual_/);
+
+    const activity = await Activity.findOne({ lead: res.body.data._id, type: 'created' });
+    expect(activity.author.toString()).toBe(user._id.toString());
+    expect(activity.data).toMatchObject({ source: 'manual' });
+  });
+
+  it('refreshes an API lead sent again with the same externalId', async () => {
+    const first = await post({ source: 'api', externalId: 'crm-7', client: 'Zapier', email: 'sam@example.com' });
+    const again = await post({ source: 'api', externalId: 'crm-7', client: 'Zapier', email: 'sam@example.com', fullName: 'Sam Lee' });
+
+    expect(first.status).toBe(201);
+    expect(again.status).toBe(200);
+    expect(again.body.data).toMatchObject({ _id: first.body.data._id, fullName: 'Sam Lee', provenance: { client: 'Zapier', externalId: 'crm-7' } });
+    expect(await Lead.countDocuments({ source: 'api' })).toBe(1);
+  });
+
+  it('keeps the tags, attributes and creator of an API lead sent again without them', async () => {
+    const { user: manager, token: managerToken } = await addMember(organization, 'manager');
+    const first = await post({ source: 'api', externalId: 'crm-8', email: 'sam@example.com', phone: '+14155550100', tags: ['Zapier'] });
+    await Lead.updateOne({ _id: first.body.data._id }, { $push: { tags: 'Hot' }, $set: { city: 'Lisbon' } });
+
+    const again = await post({ source: 'api', externalId: 'crm-8', fullName: 'Sam Lee', tags: ['Renewal'] }, managerToken);
+
+    expect(again.status).toBe(200);
+    expect(again.body.data).toMatchObject({
+      fullName: 'Sam Lee',
+      email: 'sam@example.com',
+      phoneE164: '+14155550100',
+      city: 'Lisbon',
+      tags: ['Zapier', 'Hot', 'Renewal'],
+      provenance: { createdBy: user._id.toString(), externalId: 'crm-8' }
+    });
+    expect(again.body.data.provenance.createdBy).not.toBe(manager._id.toString());
+  });
+
+  it('refuses leads without a name, email or phone, or with a bad stage', async () => {
+    const empty = await post({ city: 'Lisbon' });
+    const badStage = await post({ fullName: 'Jane', status: 'won-ish' });
+
+    expect(empty.status).toBe(400);
+    expect(empty.body.errors[0].msg).toBe('Add a name, email or phone');
+    expect(badStage.status).toBe(400);
+    expect(await Lead.countDocuments()).toBe(0);
+  });
+
+  it('gives agents the leads they add, and only lets managers and above pick an owner', async () => {
+    const { user: agent, token: agentToken } = await addMember(organization, 'agent');
+
+    const own = await post({ fullName: 'Walk-in' }, agentToken);
+    const picked = await post({ fullName: 'Referral', assignedTo: user._id.toString() }, agentToken);
+    const assigned = await post({ fullName: 'Referral', assignedTo: agent._id.toString() });
+
+    expect(own.body.data.assignedTo).toBe(agent._id.toString());
+    expect(picked.status).toBe(403);
+    expect(assigned.body.data.assignedTo).toBe(agent._id.toString());
+  });
+
+  it('is kept from read-only members', async () => {
+    const { token: readonlyToken } = await addMember(organization, 'readonly');
+
+    const res = await post({ fullName: 'Jane' }, readonlyToken);
+
+    expect(res.status).toBe(403);
+  });
+
+  it('filters leads by source', async () => {
+    await createLead(user);
+    await post({ fullName: 'Jane' });
+
+    const res = await request(app)
+      .get('/api/leads?source=manual')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.body.data.map(lead => lead.fullName)).toEqual(['Jane']);
+  });
+
+  it('backfills the source and provenance of leads stored before adapters', async () => {
+    const legacy = await createLead(user, { rawData: { platform: 'fb', adId: '42' } });
+    await Lead.collection.updateOne({ _id: legacy._id }, { $set: { source: 'facebook' }, $unset: { provenance: '' } });
+
+    expect(await leadIngestService.backfillSources()).toBe(1);
+    expect(await Lead.findById(legacy._id)).toMatchObject({ source: 'facebook_lead_ad', provenance: { platform: 'fb', adId: '42' } });
+  });
+});
@@ -0,0 +1,169 @@
+const request = require('supertest');
+const app = require('../server');
+const Lead = require('../models/Lead');
+const db = require('./helpers/db');
+const { createUser, createLead } = require('./helpers/factories');
+
+beforeAll(db.connect);
+afterEach(db.clear);
+afterAll(db.close);
+
+describe('/api/leads', () => {
+  let user;
+  let token;
+
+  const get = (path, query = {}) => request(app)
+    .get(path)
+    .query(query)
+    .set('Authorization', `Bearer ${token}`);
+
+  beforeEach(async () => {
+    ({ user, token } = await createUser());
+
+    await createLead(user, {
+      leadId: 'l1',
+      formId: 'form-a',
+      fullName: 'Jordan Rivera',
+      email: 'jordan@example.com',
+      status: 'new',
+      createdTime: new Date('2024-03-01T10:00:00Z')
+    });
+    await createLead(user, {
+      leadId: 'l2',
+      formId: 'form-a',
+      fullName: 'Sam Patel',
+      email: 'sam@example.com',
+      status: 'contacted',
+      createdTime: new Date('2024-03-05T10:00:00Z')
+    });
+    await createLead(user, {
+      leadId: 'l3',
+      formId: 'form-b',
+      pageId: 'page-2',
+      fullName: 'Alex "AJ" Chen',
+      email: 'alex@example.com',
+      status: 'qualified',
+      createdTime: new Date('2024-03-10T10:00:00Z')
+    });
+
+    const other = await createUser();
+    await createLead(other.user, { leadId: 'other', formId: 'form-a' });
+  });
+
+  describe('GET /', () => {
+    it('returns the user\'s leads newest first', async () => {
+      const res = await get('/api/leads');
+
+      expect(res.status).toBe(200);
+      expect(res.body.total).toBe(3);
+      expect(res.body.data.map(lead => lead.leadId)).toEqual(['l3', 'l2', 'l1']);
+    });
+
+    it('filters by form, page and status', async () => {
+      const byForm = await get('/api/leads', { formId: 'form-a' });
+      const byPage = await get('/api/leads', { pageId: 'page-2' });
+      const byStatus = await get('/api/leads', { status: 'contacted' });
+
+      expect(byForm.body.data.map(lead => lead.leadId)).toEqual(['l2', 'l1']);
+      expect(byPage.body.data.map(lead => lead.leadId)).toEqual(['l3']);
+      expect(byStatus.body.data.map(lead => lead.leadId)).toEqual(['l2']);
+    });
+
+    it('filters by date range', async () => {
+      const res = await get('/api/leads', {
+        startDate: '2024-03-02T00:00:00Z',
+        endDate: '2024-03-06T00:00:00Z'
+      });
+
+      expect(res.body.data.map(lead => lead.leadId)).toEqual(['l2']);
+    });
+
+    it('searches name, email and phone case-insensitively', async () => {
+      const byName = await get('/api/leads', { search: 'jordan' });
+      const byEmail = await get('/api/leads', { search: 'SAM@' });
+
+      expect(byName.body.data.map(lead => lead.leadId)).toEqual(['l1']);
+      expect(byEmail.body.data.map(lead => lead.leadId)).toEqual(['l2']);
+    });
+
+    it('paginates', async () => {
+      const first = await get('/api/leads', { page: 1, limit: 2 });
+      const second = await get('/api/leads', { page: 2, limit: 2 });
+
+      expect(first.body.totalPages).toBe(2);
+      expect(first.body.data.map(lead => lead.leadId)).toEqual(['l3', 'l2']);
+      expect(second.body.data.map(lead => lead.leadId)).toEqual(['l1']);
+    });
+
+    it('lists the leads after a lead, unaffected by leads before it moving away', async () => {
+      await createLead(user, { leadId: 'l2-tied', formId: 'form-a', createdTime: new Date('2024-03-05T10:00:00Z') });
+
+      const first = await get('/api/leads', { limit: 2 });
+      const last = first.body.data[1];
+      await Lead.deleteOne({ leadId: 'l3' });
+      const next = await get('/api/leads', { before: last.createdTime, beforeId: last._id, limit: 2 });
+
+      expect(first.body.data.map(lead => lead.leadId)).toEqual(['l3', 'l2-tied']);
+      expect(next.body.data.map(lead => lead.leadId)).toEqual(['l2', 'l1']);
+      expect(next.body.total).toBe(2);
+    });
+
+    it('rejects cursors that aren\'t a date and a lead ID', async () => {
+      const res = await get('/api/leads', { before: 'yesterday', beforeId: 'l3' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.errors.map(error => error.msg)).toEqual(['before must be a date', 'beforeId must be a lead ID']);
+    });
+  });
+
+  describe('GET /stage-counts', () => {
+    it('counts the default pipeline\'s leads in every stage', async () => {
+      const res = await get('/api/leads/stage-counts');
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toEqual({ new: 1, contacted: 1, qualified: 1, converted: 0, lost: 0 });
+    });
+
+    it('applies the lead list filters', async () => {
+      const res = await get('/api/leads/stage-counts', { formId: 'form-a', startDate: '2024-03-02T00:00:00Z' });
+
+      expect(res.body.data).toMatchObject({ new: 0, contacted: 1, qualified: 0 });
+    });
+  });
+
+  describe('GET /:id', () => {
+    it('finds a lead by Facebook lead ID', async () => {
+      const res = await get('/api/leads/l2');
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.fullName).toBe('Sam Patel');
+    });
+
+    it('does not return another user\'s lead', async () => {
+      const res = await get('/api/leads/other');
+
+      expect(res.status).toBe(404);
+    });
+  });
+
+  describe('GET /export', () => {
+    it('exports matching leads as CSV', async () => {
+      const res = await get('/api/leads/export', { formId: 'form-b' });
+
+      expect(res.status).toBe(200);
+      expect(res.headers['content-type']).toMatch(/text\/csv/);
+
+      const lines = res.text.split('\n');
+      expect(lines[0]).toMatch(/^Lead ID,Form ID/);
+      expect(lines).toHaveLength(2);
+      // Quotes inside values are doubled
+      expect(lines[1]).toContain('"Alex ""AJ"" Chen"');
+    });
+
+    it('returns 404 when nothing matches', async () => {
+      const res = await get('/api/leads/export', { status: 'lost' });
+
+      expect(res.status).toBe(404);
+    });
+  });
+});
@@ -0,0 +1,143 @@
+const facebookLeadService = require('../services/facebookLeadService');
+
+const normalize = (lead, ...context) => facebookLeadService.normalizeLead(lead, ...context);
+
+describe('facebookLeadService.normalizeLead', () => {
+  it('extracts name, email and phone', () => {
+    const lead = normalize({
+      id: '1',
+      created_time: '2024-03-01T10:15:00+0000',
+      field_data: [
+        { name: 'full_name', values: ['Jordan Rivera'] },
+        { name: 'email', values: ['jordan@example.com'] },
+        { name: 'phone_number', values: ['+15555550101'] }
+      ]
+    }, 'form-1', 'Form', 'page-1', 'Page');
+
+    expect(lead).toMatchObject({
+      leadId: '1',
+      formId: 'form-1',
+      formName: 'Form',
+      pageId: 'page-1',
+      pageName: 'Page',
+      fullName: 'Jordan Rivera',
+      email: 'jordan@example.com',
+      phone: '+15555550101'
+    });
+    expect(lead.createdTime).toEqual(new Date('2024-03-01T10:15:00Z'));
+  });
+
+  it('recognises alternative field names regardless of case', () => {
+    const lead = normalize({
+      id: '2',
+      field_data: [
+        { name: 'Full Name', values: ['Sam Patel'] },
+        { name: 'Email Address', values: ['sam@example.com'] },
+        { name: 'Mobile', values: ['555-0102'] }
+      ]
+    });
+
+    expect(lead.fullName).toBe('Sam Patel');
+    expect(lead.email).toBe('sam@example.com');
+    expect(lead.phone).toBe('555-0102');
+  });
+
+  it('uses the first value of multi-value fields', () => {
+    const lead = normalize({
+      id: '3',
+      field_data: [{ name: 'email', values: ['first@example.com', 'second@example.com'] }]
+    });
+
+    expect(lead.email).toBe('first@example.com');
+  });
+
+  it('keeps fields with no values as null', () => {
+    const lead = normalize({
+      id: '4',
+      field_data: [
+        { name: 'email', values: [] },
+        { name: 'phone' },
+        { values: ['orphan'] }
+      ]
+    });
+
+    expect(lead.email).toBeNull();
+    expect(lead.phone).toBeNull();
+    expect(lead.fieldData).toEqual([
+      { name: 'email', value: null },
+      { name: 'phone', value: null },
+      { name: 'unknown', value: 'orphan' }
+    ]);
+  });
+
+  it('copies every answer into fieldData, lower-cased', () => {
+    const lead = normalize({
+      id: '5',
+      field_data: [{ name: 'Roof_Age', values: ['10-15 years'] }]
+    });
+
+    expect(lead.fieldData).toEqual([{ name: 'roof_age', value: '10-15 years' }]);
+  });
+
+  it('tolerates a missing field_data array', () => {
+    const lead = normalize({ id: '6' }, 'form-1');
+
+    expect(lead.fieldData).toEqual([]);
+    expect(lead.fullName).toBeNull();
+    expect(lead.createdTime).toBeInstanceOf(Date);
+  });
+
+  it('prefers the form ID on the lead and defaults ad details', () => {
+    const lead = normalize({ id: '7', form_id: 'form-from-lead', field_data: [] }, 'form-1');
+
+    expect(lead.formId).toBe('form-from-lead');
+    expect(lead.rawData).toMatchObject({
+      platform: 'unknown',
+      campaignName: 'unknown',
+      adsetName: 'unknown',
+      adName: 'unknown'
+    });
+  });
+
+  it('applies the form\'s field mappings', () => {
+    const lead = normalize({
+      id: '8',
+      field_data: [
+        { name: 'first_name', values: ['Ana'] },
+        { name: 'last_name', values: ['Lopez'] },
+        { name: 'work_email', values: ['ana@example.com'] },
+        { name: 'Budget', values: ['$5,000'] },
+        { name: 'city', values: [''] }
+      ]
+    }, 'form-1', 'Form', 'page-1', 'Page', [
+      { key: 'first_name', attribute: 'firstName' },
+      { key: 'last_name', attribute: 'lastName' },
+      { key: 'work_email', attribute: 'email' },
+      { key: 'budget', attribute: 'custom', customField: 'Budget' },
+      { key: 'city', attribute: 'city' }
+    ]);
+
+    expect(lead).toMatchObject({
+      fullName: 'Ana Lopez',
+      firstName: 'Ana',
+      lastName: 'Lopez',
+      email: 'ana@example.com',
+      customFields: { Budget: '$5,000' }
+    });
+    expect(lead.city).toBeUndefined();
+  });
+
+  it('matches mapping keys to answers trimmed and without case', () => {
+    const attributes = facebookLeadService.extractAttributes(
+      [{ name: 'Roof Age ', value: '10-15 years' }, { name: 'town', value: 'Austin' }],
+      [{ key: ' roof age', attribute: 'custom', customField: 'roof_age' }, { key: 'Town', attribute: 'city' }]
+    );
+
+    expect(attributes).toMatchObject({ city: 'Austin', customFields: { roof_age: '10-15 years' } });
+  });
+
+  it('rejects data that is not an object', () => {
+    expect(() => normalize(null)).toThrow('Invalid lead data received');
+    expect(() => normalize('lead')).toThrow('Invalid lead data received');
+  });
+});
@@ -0,0 +1,166 @@
+const request = require('supertest');
+const app = require('../server');
+const User = require('../models/User');
+const Lead = require('../models/Lead');
+const Form = require('../models/Form');
+const Organization = require('../models/Organization');
+const { generateToken } = require('../middleware/auth');
+const db = require('./helpers/db');
+const { createUser, createLead } = require('./helpers/factories');
+
+beforeAll(db.connect);
+afterEach(db.clear);
+afterAll(db.close);
+
+describe('/api/organizations', () => {
+  let owner;
+  let ownerToken;
+
+  beforeEach(async () => {
+    ({ user: owner, token: ownerToken } = await createUser());
+  });
+
+  const addTeammate = (body = {}) => request(app)
+    .post('/api/organizations/current/members')
+    .set('Authorization', `Bearer ${ownerToken}`)
+    .send({ name: 'Sam Patel', email: 'sam@example.com', password: 'password123', ...body });
+
+  const login = async (email, password = 'password123') => {
+    const res = await request(app).post('/api/auth/login').send({ email, password });
+    return res.body.data.token;
+  };
+
+  it('returns the organization with its members', async () => {
+    const res = await request(app)
+      .get('/api/organizations/current')
+      .set('Authorization', `Bearer ${ownerToken}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ name: `${owner.name}'s workspace`, role: 'owner' });
+    expect(res.body.data.members).toEqual([
+      expect.objectContaining({ email: owner.email, role: 'owner' })
+    ]);
+  });
+
+  it('lets a teammate see the same leads', async () => {
+    await createLead(owner, { leadId: 'shared-lead' });
+
+    const created = await addTeammate({ role: 'manager' });
+    expect(created.status).toBe(201);
+    expect(created.body.data.members).toHaveLength(2);
+
+    const teammateToken = await login('sam@example.com');
+    const res = await request(app)
+      .get('/api/leads')
+      .set('Authorization', `Bearer ${teammateToken}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.map(lead => lead.leadId)).toEqual(['shared-lead']);
+  });
+
+  it('shares the Facebook apps with teammates', async () => {
+    await addTeammate({ role: 'admin' });
+    const teammateToken = await login('sam@example.com');
+
+    const res = await request(app)
+      .get('/api/facebook/apps')
+      .set('Authorization', `Bearer ${teammateToken}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toHaveLength(1);
+    expect(res.body.data[0].appName).toBe('Test App');
+  });
+
+  it('does not show leads from other organizations', async () => {
+    const { user: other } = await createUser();
+    await createLead(other, { leadId: 'other-lead' });
+
+    const res = await request(app)
+      .get('/api/leads')
+      .set('Authorization', `Bearer ${ownerToken}`);
+
+    expect(res.body.data).toHaveLength(0);
+  });
+
+  it('rejects an email that is already registered', async () => {
+    const res = await addTeammate({ email: owner.email });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('User already exists');
+  });
+
+  it('adds teammates as agents unless another role is given', async () => {
+    const res = await addTeammate();
+    const manager = await addTeammate({ email: 'alex@example.com', role: 'manager' });
+
+    expect(res.body.data.members.find(m => m.email === 'sam@example.com').role).toBe('agent');
+    expect(manager.body.data.members.find(m => m.email === 'alex@example.com').role).toBe('manager');
+  });
+
+  it('only lets owners and admins manage members', async () => {
+    await addTeammate({ role: 'manager' });
+    const teammateToken = await login('sam@example.com');
+
+    const res = await request(app)
+      .post('/api/organizations/current/members')
+      .set('Authorization', `Bearer ${teammateToken}`)
+      .send({ name: 'Alex Kim', email: 'alex@example.com', password: 'password123' });
+
+    expect(res.status).toBe(403);
+  });
+
+  it('removes a teammate, who then gets a workspace of their own', async () => {
+    await createLead(owner, { leadId: 'shared-lead' });
+    const created = await addTeammate({ role: 'manager' });
+    const teammate = created.body.data.members.find(member => member.email === 'sam@example.com');
+
+    const res = await request(app)
+      .delete(`/api/organizations/current/members/${teammate.userId}`)
+      .set('Authorization', `Bearer ${ownerToken}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.members).toHaveLength(1);
+
+    const teammateToken = await login('sam@example.com');
+    const leads = await request(app)
+      .get('/api/leads')
+      .set('Authorization', `Bearer ${teammateToken}`);
+
+    expect(leads.body.data).toHaveLength(0);
+  });
+
+  it('does not remove the owner', async () => {
+    const res = await request(app)
+      .delete(`/api/organizations/current/members/${owner._id}`)
+      .set('Authorization', `Bearer ${ownerToken}`);
+
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('existing accounts', () => {
+  it('move their apps, forms and leads into a new organization', async () => {
+    // An account from before organizations existed
+    const user = await User.create({
+      name: 'Legacy User',
+      email: 'legacy@example.com',
+      password: 'password123',
+      facebookApps: [{ appId: '123', appName: 'Old App', accessToken: 'old-token' }]
+    });
+    await Form.create({ userId: user._id, formId: 'legacy-form', facebookAppId: user.facebookApps[0]._id });
+    await Lead.create({ userId: user._id, formId: 'legacy-form', leadId: 'legacy-lead', createdTime: new Date() });
+
+    const res = await request(app)
+      .get('/api/leads')
+      .set('Authorization', `Bearer ${generateToken(user._id)}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.map(lead => lead.leadId)).toEqual(['legacy-lead']);
+
+    const { organizationId } = await User.findById(user._id);
+    const organization = await Organization.findById(organizationId);
+
+    expect(organization.facebookApps[0]._id).toEqual(user.facebookApps[0]._id);
+    expect(await Form.countDocuments({ organizationId })).toBe(1);
+  });
+});
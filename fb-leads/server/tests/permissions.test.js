@@ -0,0 +1,135 @@
+const { hasPermission, getPermissions } = require('../config/permissions');
+const db = require('./helpers/db');
+const { createUser, addMember, createLead } = require('./helpers/factories');
+const { as } = require('./helpers/api');
+
+describe('permission matrix', () => {
+  it('gives the owner every permission', () => {
+    expect(getPermissions('owner')).toContain('organization:update');
+    expect(getPermissions('owner')).toContain('facebook:manage');
+  });
+
+  it('keeps read-only members from changing anything', () => {
+    expect(hasPermission('readonly', 'leads:read')).toBe(true);
+    expect(hasPermission('readonly', 'leads:update')).toBe(false);
+    expect(hasPermission('readonly', 'leads:export')).toBe(false);
+  });
+
+  it('gives unknown roles nothing', () => {
+    expect(getPermissions(null)).toEqual([]);
+  });
+});
+
+describe('role-based access', () => {
+  let owner;
+  let organization;
+  let facebookApp;
+
+  beforeAll(db.connect);
+  afterEach(db.clear);
+  afterAll(db.close);
+
+  beforeEach(async () => {
+    ({ user: owner, organization, app: facebookApp } = await createUser());
+  });
+
+  it('only lets owners and admins delete Facebook apps', async () => {
+    const { token: manager } = await addMember(organization, 'manager');
+    const { token: admin } = await addMember(organization, 'admin');
+
+    const denied = await as(manager).delete(`/api/facebook/apps/${facebookApp._id}`);
+    expect(denied.status).toBe(403);
+
+    const allowed = await as(admin).delete(`/api/facebook/apps/${facebookApp._id}`);
+    expect(allowed.status).toBe(200);
+    expect(allowed.body.deleted).toBe(true);
+  });
+
+  it('only lets owners and admins change app credentials', async () => {
+    const { token: manager } = await addMember(organization, 'manager');
+
+    const res = await as(manager).post('/api/facebook/app-credentials').send({ facebookAppId: '1' });
+
+    expect(res.status).toBe(403);
+  });
+
+  it('keeps agents and read-only members from exporting leads', async () => {
+    await createLead(owner, { assignedTo: owner._id });
+    const { token: agent } = await addMember(organization, 'agent');
+    const { token: readonly } = await addMember(organization, 'readonly');
+
+    expect((await as(agent).get('/api/leads/export')).status).toBe(403);
+    expect((await as(readonly).get('/api/leads/export')).status).toBe(403);
+  });
+
+  it('only shows agents the leads assigned to them', async () => {
+    const { user: agentUser, token: agent } = await addMember(organization, 'agent');
+    const mine = await createLead(owner, { leadId: 'mine', assignedTo: agentUser._id });
+    const other = await createLead(owner, { leadId: 'other' });
+
+    const list = await as(agent).get('/api/leads');
+    expect(list.body.data.map(lead => lead.leadId)).toEqual(['mine']);
+
+    expect((await as(agent).get(`/api/leads/${mine._id}`)).status).toBe(200);
+    expect((await as(agent).get(`/api/leads/${other._id}`)).status).toBe(404);
+    expect((await as(agent).put(`/api/leads/${other._id}`).send({ status: 'contacted' })).status).toBe(404);
+  });
+
+  it('lets managers assign leads to members', async () => {
+    const { token: manager } = await addMember(organization, 'manager');
+    const { user: agentUser, token: agent } = await addMember(organization, 'agent');
+    const lead = await createLead(owner, { leadId: 'to-assign' });
+
+    const res = await as(manager).put(`/api/leads/${lead._id}/assign`).send({ userId: agentUser._id });
+    expect(res.status).toBe(200);
+    expect(res.body.data.assignedTo).toBe(agentUser._id.toString());
+
+    const list = await as(agent).get('/api/leads');
+    expect(list.body.data).toHaveLength(1);
+  });
+
+  it('does not assign leads outside the organization', async () => {
+    const { user: stranger } = await createUser();
+    const lead = await createLead(owner);
+
+    const res = await as((await addMember(organization, 'manager')).token)
+      .put(`/api/leads/${lead._id}/assign`)
+      .send({ userId: stranger._id });
+
+    expect(res.status).toBe(400);
+  });
+
+  it('keeps agents from assigning leads', async () => {
+    const { user: agentUser, token: agent } = await addMember(organization, 'agent');
+    const lead = await createLead(owner, { assignedTo: agentUser._id });
+
+    const res = await as(agent).put(`/api/leads/${lead._id}/assign`).send({ userId: null });
+
+    expect(res.status).toBe(403);
+  });
+
+  it('only lets the owner manage admins', async () => {
+    const { token: admin } = await addMember(organization, 'admin');
+    const { user: otherAdmin } = await addMember(organization, 'admin');
+    const { user: agentUser } = await addMember(organization, 'agent');
+
+    const promote = await as(admin).put(`/api/organizations/current/members/${agentUser._id}`).send({ role: 'admin' });
+    expect(promote.status).toBe(403);
+
+    const remove = await as(admin).delete(`/api/organizations/current/members/${otherAdmin._id}`);
+    expect(remove.status).toBe(403);
+
+    const change = await as(admin).put(`/api/organizations/current/members/${agentUser._id}`).send({ role: 'manager' });
+    expect(change.status).toBe(200);
+  });
+
+  it('returns the role and permissions with the profile', async () => {
+    const { token: readonly } = await addMember(organization, 'readonly');
+
+    const res = await as(readonly).get('/api/auth/profile');
+
+    expect(res.body.data.organization.role).toBe('readonly');
+    expect(res.body.data.organization.permissions).toContain('leads:read');
+    expect(res.body.data.organization.permissions).not.toContain('leads:update');
+  });
+});
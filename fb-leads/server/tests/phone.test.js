@@ -0,0 +1,93 @@
+const request = require('supertest');
+const app = require('../server');
+const phoneService = require('../services/phoneService');
+const leadIngestService = require('../services/leadIngestService');
+const db = require('./helpers/db');
+const { createUser, createForm, createLead } = require('./helpers/factories');
+
+describe('phoneService', () => {
+  it('reads numbers without a country code in the default country', () => {
+    const indian = { phoneE164: '+919876543210', phoneValid: true, phoneDigits: '9876543210' };
+
+    expect(phoneService.parse('09876543210', 'IN')).toEqual(indian);
+    expect(phoneService.parse('98-76-543210', 'IN')).toEqual(indian);
+    expect(phoneService.parse('+91 98765 43210')).toEqual(indian);
+  });
+
+  it('flags invalid numbers and leaves missing ones alone', () => {
+    expect(phoneService.parse('12345', 'IN')).toEqual({ phoneE164: null, phoneValid: false, phoneDigits: '12345' });
+    expect(phoneService.parse('09876543210')).toEqual({ phoneE164: null, phoneValid: false, phoneDigits: '9876543210' });
+    expect(phoneService.parse(null)).toEqual({ phoneE164: null, phoneValid: null, phoneDigits: null });
+  });
+
+  it('turns phone-like search terms into digits', () => {
+    expect(phoneService.searchPattern('098765 43210')).toBe('9876543210');
+    expect(phoneService.searchPattern('+91 98765')).toBe('9198765');
+    expect(phoneService.searchPattern('Jane')).toBeNull();
+    expect(phoneService.searchPattern(['98765'])).toBeNull();
+  });
+});
+
+describe('phone normalization at ingestion', () => {
+  let user;
+  let organization;
+  let token;
+
+  beforeAll(db.connect);
+  afterEach(db.clear);
+  afterAll(db.close);
+
+  beforeEach(async () => {
+    ({ user, organization, token } = await createUser());
+  });
+
+  const sync = (formId, phone) => leadIngestService.ingest({
+    leadId: `lead-${formId}-${phone}`,
+    formId,
+    organizationId: organization._id,
+    userId: user._id,
+    createdTime: new Date(),
+    phone
+  });
+
+  it('uses the form\'s default country, then the organization\'s', async () => {
+    organization.defaultCountry = 'GB';
+    await organization.save();
+    await createForm(user, { formId: 'form-in', defaultCountry: 'IN' });
+
+    const { lead: indian } = await sync('form-in', '09876 543210');
+    const { lead: british } = await sync('form-other', '020 7946 0958');
+
+    expect(indian).toMatchObject({ phone: '09876 543210', phoneE164: '+919876543210', phoneValid: true });
+    expect(british.phoneE164).toBe('+442079460958');
+  });
+
+  it('keeps invalid numbers as entered and flags them', async () => {
+    const { lead } = await sync('form-1', '98-76');
+
+    expect(lead).toMatchObject({ phone: '98-76', phoneE164: null, phoneValid: false });
+  });
+
+  it('finds leads by either format', async () => {
+    await createLead(user, { leadId: 'indian', phone: '098765 43210', phoneE164: '+919876543210', phoneDigits: '9876543210' });
+    await createLead(user, { leadId: 'other' });
+
+    const search = term => request(app)
+      .get('/api/leads')
+      .query({ search: term })
+      .set('Authorization', `Bearer ${token}`);
+
+    expect((await search('+91 98765 43210')).body.data.map(lead => lead.leadId)).toEqual(['indian']);
+    expect((await search('098765')).body.data.map(lead => lead.leadId)).toEqual(['indian']);
+    expect((await search('43210')).body.data).toEqual([]);
+  });
+
+  it('rejects unknown default countries', async () => {
+    const res = await request(app)
+      .put('/api/organizations/current')
+      .send({ defaultCountry: 'XX' })
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(400);
+  });
+});
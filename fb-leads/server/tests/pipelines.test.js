@@ -0,0 +1,170 @@
+const Lead = require('../models/Lead');
+const Pipeline = require('../models/Pipeline');
+const pipelineService = require('../services/pipelineService');
+const leadRoutingService = require('../services/leadRoutingService');
+const leadIngestService = require('../services/leadIngestService');
+const db = require('./helpers/db');
+const { createUser, addMember, createForm, createLead } = require('./helpers/factories');
+const { as } = require('./helpers/api');
+
+describe('stage keys', () => {
+  it('are made from the name and never collide', () => {
+    const taken = new Set(['new']);
+
+    expect(pipelineService.makeStageKey('Site visit booked', taken)).toBe('site_visit_booked');
+    expect(pipelineService.makeStageKey('New', taken)).toBe('new_2');
+  });
+
+  it('are kept for existing stages', () => {
+    const stages = pipelineService.buildStages(
+      [{ key: 'new', name: 'Fresh' }, { name: 'Deposit paid', outcome: 'won' }],
+      [{ key: 'new', name: 'New' }]
+    );
+
+    expect(stages.map(stage => stage.key)).toEqual(['new', 'deposit_paid']);
+  });
+});
+
+describe('/api/pipelines', () => {
+  let user;
+  let organization;
+  let token;
+
+  beforeAll(db.connect);
+  afterEach(db.clear);
+  afterAll(db.close);
+
+  beforeEach(async () => {
+    ({ user, organization, token } = await createUser());
+  });
+
+  const createPipeline = () => as(token).post('/api/pipelines').send({
+    name: 'Real estate',
+    stages: [
+      { name: 'Enquiry', color: 'blue' },
+      { name: 'Site visit booked', color: 'yellow' },
+      { name: 'Deposit paid', color: 'green', outcome: 'won' },
+      { name: 'Dropped', color: 'red', outcome: 'lost' }
+    ]
+  });
+
+  it('creates a default pipeline from the original statuses and moves existing leads onto it', async () => {
+    const lead = await createLead(user, { status: 'qualified' });
+
+    const res = await as(token).get('/api/pipelines');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toHaveLength(1);
+    expect(res.body.data[0].isDefault).toBe(true);
+    expect(res.body.data[0].stages.map(stage => stage.key)).toEqual(['new', 'contacted', 'qualified', 'converted', 'lost']);
+
+    const migrated = await Lead.findById(lead._id);
+    expect(migrated.pipelineId.toString()).toBe(res.body.data[0]._id);
+    expect(migrated.status).toBe('qualified');
+  });
+
+  it('starts new leads in the first stage of their form\'s pipeline', async () => {
+    const pipeline = (await createPipeline()).body.data;
+    const form = await createForm(user);
+    await as(token).put(`/api/forms/update/${form._id}`).send({ pipelineId: pipeline._id });
+
+    const { lead } = await leadIngestService.ingest({
+      leadId: 'real-estate-lead',
+      formId: form.formId,
+      organizationId: organization._id,
+      userId: user._id,
+      createdTime: new Date()
+    });
+
+    expect(lead.pipelineId.toString()).toBe(pipeline._id);
+    expect(lead.status).toBe('enquiry');
+  });
+
+  it('only accepts stages of the lead\'s pipeline', async () => {
+    const pipeline = (await createPipeline()).body.data;
+    const lead = await createLead(user);
+
+    const invalid = await as(token).put(`/api/leads/${lead._id}`).send({ status: 'site_visit_booked' });
+    expect(invalid.status).toBe(400);
+
+    const moved = await as(token).put(`/api/leads/${lead._id}`).send({ pipelineId: pipeline._id });
+    expect(moved.status).toBe(200);
+    expect(moved.body.data.status).toBe('enquiry');
+
+    const advanced = await as(token).put(`/api/leads/${lead._id}`).send({ status: 'site_visit_booked' });
+    expect(advanced.status).toBe(200);
+  });
+
+  it('keeps stages that still have leads', async () => {
+    const pipeline = (await createPipeline()).body.data;
+    await createLead(user, { pipelineId: pipeline._id, status: 'dropped' });
+
+    const res = await as(token).put(`/api/pipelines/${pipeline._id}`).send({
+      stages: pipeline.stages.filter(stage => stage.key !== 'dropped')
+    });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/Move the 1 lead\(s\) in "Dropped"/);
+  });
+
+  it('renames stages without moving leads', async () => {
+    const pipeline = (await createPipeline()).body.data;
+
+    const res = await as(token).put(`/api/pipelines/${pipeline._id}`).send({
+      stages: pipeline.stages.map(stage => (stage.key === 'enquiry' ? { ...stage, name: 'New enquiry' } : stage))
+    });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.stages[0]).toMatchObject({ key: 'enquiry', name: 'New enquiry' });
+  });
+
+  it('switches the default pipeline', async () => {
+    const pipeline = (await createPipeline()).body.data;
+
+    await as(token).put(`/api/pipelines/${pipeline._id}`).send({ isDefault: true });
+
+    const defaults = await Pipeline.find({ organizationId: organization._id, isDefault: true });
+    expect(defaults.map(p => p._id.toString())).toEqual([pipeline._id]);
+  });
+
+  it('refuses to delete pipelines in use', async () => {
+    const pipeline = (await createPipeline()).body.data;
+    const form = await createForm(user, { pipelineId: pipeline._id });
+
+    const inUse = await as(token).delete(`/api/pipelines/${pipeline._id}`);
+    expect(inUse.status).toBe(400);
+
+    await form.deleteOne();
+    const deleted = await as(token).delete(`/api/pipelines/${pipeline._id}`);
+    expect(deleted.status).toBe(200);
+  });
+
+  it('refuses to delete pipelines website forms put leads into', async () => {
+    const pipeline = (await createPipeline()).body.data;
+    await as(token)
+      .post('/api/web-forms')
+      .send({ name: 'Contact us', fields: [{ key: 'email', label: 'Email', type: 'email' }], pipelineId: pipeline._id })
+      .expect(201);
+
+    const res = await as(token).delete(`/api/pipelines/${pipeline._id}`);
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toContain('1 website form(s)');
+  });
+
+  it('only lets managers and above change pipelines', async () => {
+    const { token: agent } = await addMember(organization, 'agent');
+
+    expect((await as(agent).get('/api/pipelines')).status).toBe(200);
+    expect((await as(agent).post('/api/pipelines').send({ name: 'Mine', stages: [{ name: 'A' }] })).status).toBe(403);
+  });
+
+  it('counts leads in won and lost stages as closed', async () => {
+    const pipeline = (await createPipeline()).body.data;
+    await createLead(user, { assignedTo: user._id, pipelineId: pipeline._id, status: 'enquiry' });
+    await createLead(user, { assignedTo: user._id, pipelineId: pipeline._id, status: 'deposit_paid' });
+    await createLead(user, { assignedTo: user._id, status: 'lost' });
+
+    expect(await leadRoutingService.countOpenLeads(organization._id, user._id)).toBe(1);
+  });
+});
@@ -0,0 +1,188 @@
+const request = require('supertest');
+const app = require('../server');
+const RoutingRule = require('../models/RoutingRule');
+const leadRoutingService = require('../services/leadRoutingService');
+const leadIngestService = require('../services/leadIngestService');
+const db = require('./helpers/db');
+const { createUser, addMember, createForm, createLead } = require('./helpers/factories');
+
+describe('routing conditions', () => {
+  const lead = {
+    formId: 'form-1',
+    fieldData: [
+      { name: 'city', value: 'Mumbai' },
+      { name: 'budget', value: '$5,000 - $10,000' }
+    ]
+  };
+
+  it('compares answers case-insensitively', () => {
+    expect(leadRoutingService.matchesCondition(lead, { field: 'city', operator: 'equals', value: 'mumbai' })).toBe(true);
+    expect(leadRoutingService.matchesCondition(lead, { field: 'City', operator: 'in', value: 'Delhi, Mumbai' })).toBe(true);
+    expect(leadRoutingService.matchesCondition(lead, { field: 'city', operator: 'not_equals', value: 'Mumbai' })).toBe(false);
+  });
+
+  it('matches field names whatever their case', () => {
+    const answered = { fieldData: [{ name: 'Preferred City', value: 'Mumbai' }] };
+
+    expect(leadRoutingService.matchesCondition(answered, { field: 'preferred city', operator: 'equals', value: 'Mumbai' })).toBe(true);
+    expect(leadRoutingService.matchesCondition(answered, { field: 'PREFERRED CITY ', operator: 'exists' })).toBe(true);
+  });
+
+  it('reads numbers out of formatted answers', () => {
+    expect(leadRoutingService.matchesCondition(lead, { field: 'budget', operator: 'gte', value: '5000' })).toBe(true);
+    expect(leadRoutingService.matchesCondition(lead, { field: 'budget', operator: 'gt', value: 5000 })).toBe(false);
+  });
+
+  it('treats unanswered fields as not matching', () => {
+    expect(leadRoutingService.matchesCondition(lead, { field: 'phone', operator: 'exists' })).toBe(false);
+    expect(leadRoutingService.matchesCondition(lead, { field: 'phone', operator: 'lt', value: 10 })).toBe(false);
+  });
+
+  it('applies a rule only to its forms', () => {
+    const rule = { formIds: ['form-2'], match: 'all', conditions: [] };
+
+    expect(leadRoutingService.matchesRule(lead, rule)).toBe(false);
+    expect(leadRoutingService.matchesRule(lead, { ...rule, formIds: [] })).toBe(true);
+  });
+});
+
+describe('lead routing', () => {
+  let owner;
+  let organization;
+  let token;
+  let sequence = 0;
+
+  beforeAll(db.connect);
+  afterEach(db.clear);
+  afterAll(db.close);
+
+  beforeEach(async () => {
+    ({ user: owner, organization, token } = await createUser());
+  });
+
+  // Store a lead the way a sync or webhook does
+  const receiveLead = async (formId, fieldData = []) => {
+    sequence++;
+
+    const { lead } = await leadIngestService.ingest({
+      leadId: `routed-${sequence}`,
+      formId,
+      organizationId: organization._id,
+      userId: owner._id,
+      fieldData,
+      createdTime: new Date()
+    });
+
+    return lead;
+  };
+
+  it('shares a form\'s leads between its agents in turn', async () => {
+    const { user: first } = await addMember(organization, 'agent');
+    const { user: second } = await addMember(organization, 'agent');
+    const form = await createForm(owner, { agents: [first._id, second._id] });
+
+    const leads = [];
+    for (let i = 0; i < 4; i++) {
+      leads.push(await receiveLead(form.formId));
+    }
+
+    expect(leads.map(lead => lead.assignedTo.toString())).toEqual([
+      first._id.toString(),
+      second._id.toString(),
+      first._id.toString(),
+      second._id.toString()
+    ]);
+    expect(leads[0].assignedAt).toBeInstanceOf(Date);
+    expect(leads[0].routingRule).toBeNull();
+  });
+
+  it('sends leads matching a rule to its assignees before the form agents', async () => {
+    const { user: agent } = await addMember(organization, 'agent');
+    const { user: specialist } = await addMember(organization, 'agent');
+    const form = await createForm(owner, { agents: [agent._id] });
+    const rule = await RoutingRule.create({
+      organizationId: organization._id,
+      name: 'Mumbai',
+      conditions: [{ field: 'city', operator: 'equals', value: 'Mumbai' }],
+      assignees: [specialist._id]
+    });
+
+    const matched = await receiveLead(form.formId, [{ name: 'city', value: 'Mumbai' }]);
+    const unmatched = await receiveLead(form.formId, [{ name: 'city', value: 'Pune' }]);
+
+    expect(matched.assignedTo.toString()).toBe(specialist._id.toString());
+    expect(matched.routingRule.toString()).toBe(rule._id.toString());
+    expect(unmatched.assignedTo.toString()).toBe(agent._id.toString());
+  });
+
+  it('skips members who are at capacity', async () => {
+    const { user: full } = await addMember(organization, 'agent');
+    const { user: free } = await addMember(organization, 'agent');
+    organization.getMember(full._id).maxOpenLeads = 1;
+    await organization.save();
+    await createLead(owner, { assignedTo: full._id });
+    const form = await createForm(owner, { agents: [full._id, free._id] });
+
+    const first = await receiveLead(form.formId);
+    const second = await receiveLead(form.formId);
+
+    expect(first.assignedTo.toString()).toBe(free._id.toString());
+    expect(second.assignedTo.toString()).toBe(free._id.toString());
+  });
+
+  it('keeps a member within their cap when leads arrive at once', async () => {
+    const { user: agent } = await addMember(organization, 'agent');
+    organization.getMember(agent._id).maxOpenLeads = 1;
+    await organization.save();
+    const form = await createForm(owner, { agents: [agent._id] });
+
+    const leads = await Promise.all([1, 2, 3].map(() => receiveLead(form.formId)));
+
+    expect(leads.filter(lead => lead.assignedTo)).toHaveLength(1);
+    expect(await leadRoutingService.countOpenLeads(organization._id, agent._id)).toBe(1);
+  });
+
+  it('leaves leads unassigned when nobody can take them', async () => {
+    const form = await createForm(owner);
+
+    const lead = await receiveLead(form.formId);
+
+    expect(lead.assignedTo).toBeNull();
+  });
+
+  it('only lets managers and above change routing', async () => {
+    const { token: agent } = await addMember(organization, 'agent');
+
+    const denied = await request(app).get('/api/routing').set('Authorization', `Bearer ${agent}`);
+    expect(denied.status).toBe(403);
+
+    const allowed = await request(app).get('/api/routing').set('Authorization', `Bearer ${token}`);
+    expect(allowed.status).toBe(200);
+    expect(allowed.body.data.members).toHaveLength(1);
+  });
+
+  it('rejects rules assigning leads to non-members', async () => {
+    const { user: outsider } = await createUser();
+
+    const res = await request(app)
+      .post('/api/routing/rules')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ name: 'Outside', assignees: [outsider._id] });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Assignees must be members of this organization');
+  });
+
+  it('filters leads by assignee', async () => {
+    const { user: agent } = await addMember(organization, 'agent');
+    await createLead(owner, { leadId: 'mine', assignedTo: owner._id });
+    await createLead(owner, { leadId: 'theirs', assignedTo: agent._id });
+    await createLead(owner, { leadId: 'nobody' });
+
+    const mine = await request(app).get('/api/leads?assignedTo=me').set('Authorization', `Bearer ${token}`);
+    const unassigned = await request(app).get('/api/leads?assignedTo=unassigned').set('Authorization', `Bearer ${token}`);
+
+    expect(mine.body.data.map(lead => lead.leadId)).toEqual(['mine']);
+    expect(unassigned.body.data.map(lead => lead.leadId)).toEqual(['nobody']);
+  });
+});
@@ -0,0 +1,79 @@
+const db = require('./helpers/db');
+const { createUser, addMember } = require('./helpers/factories');
+const { as } = require('./helpers/api');
+
+beforeAll(db.connect);
+afterEach(db.clear);
+afterAll(db.close);
+
+describe('/api/saved-views', () => {
+  let organization;
+  let token;
+  let agentToken;
+
+  beforeEach(async () => {
+    ({ organization, token } = await createUser());
+    ({ token: agentToken } = await addMember(organization, 'agent'));
+  });
+
+  const names = res => res.body.data.map(view => view.name);
+
+  it('saves the filters, sort and columns of a view', async () => {
+    const res = await as(token).post('/api/saved-views').send({
+      name: 'Qualified this week',
+      filters: { status: 'qualified', dateRange: 'week', formId: '', $where: 'x', nested: { a: 1 } },
+      sort: '-score',
+      columns: ['contact', 'score', 'status']
+    });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data).toMatchObject({
+      filters: { status: 'qualified', dateRange: 'week' },
+      sort: '-score',
+      columns: ['contact', 'score', 'status'],
+      shared: false,
+      canEdit: true
+    });
+    expect(Object.keys(res.body.data.filters)).toEqual(['status', 'dateRange']);
+  });
+
+  it('rejects unknown sorts and columns', async () => {
+    const bySort = await as(token).post('/api/saved-views').send({ name: 'Bad', sort: 'name' });
+    const byColumn = await as(token).post('/api/saved-views').send({ name: 'Bad', columns: ['secret'] });
+
+    expect(bySort.status).toBe(400);
+    expect(byColumn.status).toBe(400);
+  });
+
+  it('lists private views only for their creator, and shared ones for everyone', async () => {
+    await as(token).post('/api/saved-views').send({ name: 'Mine' });
+    await as(token).post('/api/saved-views').send({ name: 'Team', shared: true });
+    await as(agentToken).post('/api/saved-views').send({ name: 'Agent' });
+
+    expect(names(await as(token).get('/api/saved-views'))).toEqual(['Mine', 'Team']);
+    expect(names(await as(agentToken).get('/api/saved-views'))).toEqual(['Agent', 'Team']);
+  });
+
+  it('only lets members who may share views share or change shared ones', async () => {
+    const shared = await as(token).post('/api/saved-views').send({ name: 'Team', shared: true });
+    const own = await as(agentToken).post('/api/saved-views').send({ name: 'Agent' });
+
+    const sharing = await as(agentToken).put(`/api/saved-views/${own.body.data._id}`).send({ shared: true });
+    const renaming = await as(agentToken).put(`/api/saved-views/${shared.body.data._id}`).send({ name: 'Renamed' });
+    const deleting = await as(agentToken).delete(`/api/saved-views/${shared.body.data._id}`);
+    const listed = await as(agentToken).get('/api/saved-views');
+
+    expect(sharing.status).toBe(403);
+    expect(renaming.status).toBe(403);
+    expect(deleting.status).toBe(403);
+    expect(listed.body.data.find(view => view.name === 'Team').canEdit).toBe(false);
+  });
+
+  it('keeps other members\' private views out of reach', async () => {
+    const own = await as(agentToken).post('/api/saved-views').send({ name: 'Agent' });
+
+    const res = await as(token).put(`/api/saved-views/${own.body.data._id}`).send({ name: 'Mine now' });
+
+    expect(res.status).toBe(404);
+  });
+});
@@ -0,0 +1,112 @@
+const Lead = require('../models/Lead');
+const scoringService = require('../services/scoringService');
+const db = require('./helpers/db');
+const { createUser, addMember, createLead } = require('./helpers/factories');
+const { as } = require('./helpers/api');
+
+const HOUR = 60 * 60 * 1000;
+
+describe('lead scores', () => {
+  const now = new Date('2024-06-01T12:00:00Z');
+  const lead = {
+    fullName: 'Priya Shah',
+    email: 'priya@example.com',
+    phone: '98765 43210',
+    phoneValid: false,
+    createdTime: new Date(now.getTime() - 2 * HOUR),
+    fieldData: [{ name: 'budget', value: '$50,000' }, { name: 'timeline', value: 'This month' }],
+    rawData: { platform: 'ig', campaignName: 'Summer Villas - Retargeting', adName: 'unknown' }
+  };
+
+  const rule = (fields) => ({ _id: fields.name, isActive: true, values: [], conditions: [], contactFields: [], ...fields });
+
+  it('add up the points of the rules a lead matches', () => {
+    const rules = [
+      rule({ name: 'Big budget', criterion: 'answer', points: 30, conditions: [{ field: 'budget', operator: 'gte', value: 20000 }] }),
+      rule({ name: 'Instagram', criterion: 'platform', points: 10, values: ['IG'] }),
+      rule({ name: 'Retargeting', criterion: 'campaign', points: 15, source: 'campaign', values: ['retargeting'] }),
+      rule({ name: 'Any ad', criterion: 'campaign', points: 5, source: 'ad', values: ['unknown'] }),
+      rule({ name: 'Cold answer', criterion: 'answer', points: -20, conditions: [{ field: 'timeline', operator: 'equals', value: 'Next year' }] })
+    ];
+
+    const result = scoringService.scoreLead(lead, rules, now);
+
+    expect(result.score).toBe(55);
+    expect(result.scoreBreakdown.map(item => item.name)).toEqual(['Big budget', 'Instagram', 'Retargeting']);
+  });
+
+  it('only count valid phones as contact details', () => {
+    const complete = rule({ name: 'Complete', criterion: 'completeness', points: 10, contactFields: ['email', 'phone'] });
+
+    expect(scoringService.scoreLead(lead, [complete], now).score).toBe(0);
+    expect(scoringService.scoreLead({ ...lead, phoneValid: true }, [complete], now).score).toBe(10);
+  });
+
+  it('expire recency points when the window closes', () => {
+    const fresh = rule({ name: 'Fresh', criterion: 'recency', points: 20, withinHours: 24 });
+    const result = scoringService.scoreLead(lead, [fresh], now);
+
+    expect(result.score).toBe(20);
+    expect(result.scoreExpiresAt).toEqual(new Date(lead.createdTime.getTime() + 24 * HOUR));
+    expect(scoringService.scoreLead(lead, [fresh], new Date(now.getTime() + 23 * HOUR)).score).toBe(0);
+  });
+
+  it('need what their criterion looks at', () => {
+    expect(scoringService.validate({ criterion: 'answer', conditions: [] })).toMatch(/condition/);
+    expect(scoringService.validate({ criterion: 'platform', values: [' '] })).toMatch(/value/);
+    expect(scoringService.validate({ criterion: 'recency', withinHours: 48 })).toBeNull();
+  });
+});
+
+describe('/api/scoring', () => {
+  let user;
+  let organization;
+  let token;
+
+  beforeAll(db.connect);
+  afterEach(db.clear);
+  afterAll(db.close);
+
+  beforeEach(async () => {
+    ({ user, organization, token } = await createUser());
+  });
+
+  it('rescores leads when rules change, and sorts and filters by score', async () => {
+    const hot = await createLead(user, { fullName: 'Hot', fieldData: [{ name: 'budget', value: '90000' }] });
+    await createLead(user, { fullName: 'Cold', fieldData: [{ name: 'budget', value: '1000' }] });
+
+    const res = await as(token).post('/api/scoring/rules').send({
+      name: 'Big budget',
+      criterion: 'answer',
+      points: 40,
+      conditions: [{ field: 'budget', operator: 'gte', value: 50000 }]
+    });
+
+    expect(res.status).toBe(201);
+    expect(res.body.rescored).toBe(1);
+    expect((await Lead.findById(hot._id)).score).toBe(40);
+
+    const sorted = await as(token).get('/api/leads').query({ sort: '-score' });
+    expect(sorted.body.data.map(lead => lead.fullName)).toEqual(['Hot', 'Cold']);
+
+    const filtered = await as(token).get('/api/leads').query({ minScore: 10 });
+    expect(filtered.body.data.map(lead => lead.fullName)).toEqual(['Hot']);
+
+    await as(token).delete(`/api/scoring/rules/${res.body.data._id}`);
+    expect((await Lead.findById(hot._id)).score).toBe(0);
+  });
+
+  it('rejects rules missing what their criterion needs', async () => {
+    const res = await as(token).post('/api/scoring/rules').send({ name: 'Fresh', criterion: 'recency', points: 10 });
+
+    expect(res.status).toBe(400);
+  });
+
+  it('only lets managers change rules', async () => {
+    const { token: agentToken } = await addMember(organization, 'agent');
+
+    const res = await as(agentToken).get('/api/scoring/rules');
+
+    expect(res.status).toBe(403);
+  });
+});
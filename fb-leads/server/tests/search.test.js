@@ -0,0 +1,113 @@
+const request = require('supertest');
+const app = require('../server');
+const leadSearchService = require('../services/leadSearchService');
+const db = require('./helpers/db');
+const { createUser, createLead } = require('./helpers/factories');
+
+describe('leadSearchService', () => {
+  it('searches for every word as typed, without $text operators', () => {
+    expect(leadSearchService.buildFilter('Priya "Shah" -villa')).toEqual({
+      $text: { $search: '"Priya" "Shah" "villa"' }
+    });
+    expect(leadSearchService.buildFilter('" \\ "')).toBeNull();
+  });
+
+  it('matches phone-like searches on the start of numbers', () => {
+    expect(leadSearchService.buildFilter('(+91) 98765')).toEqual({
+      $or: [
+        { phoneE164: { $regex: '^\\+9198765' } },
+        { phoneDigits: { $regex: '^9198765' } }
+      ]
+    });
+  });
+
+  it('says which field matched the most words', () => {
+    const lead = {
+      fullName: 'Priya Shah',
+      email: 'priya@example.com',
+      phoneE164: '+919876543210',
+      fieldData: [{ name: 'budget', value: 'Around 50k for a villa' }],
+      rawData: { campaignName: 'Summer Villas' }
+    };
+
+    expect(leadSearchService.findMatch(lead, 'priya shah')).toEqual({ field: 'fullName', label: 'Name', value: 'Priya Shah' });
+    expect(leadSearchService.findMatch(lead, 'villa 50k')).toEqual({ field: 'fieldData', label: 'budget', value: 'Around 50k for a villa' });
+    expect(leadSearchService.findMatch(lead, 'summer')).toMatchObject({ field: 'campaignName', label: 'Campaign' });
+    expect(leadSearchService.findMatch(lead, '98765 43210')).toMatchObject({ field: 'phone' });
+    expect(leadSearchService.findMatch(lead, 'nobody')).toBeNull();
+  });
+
+  it('cuts long matches down around the word', () => {
+    const note = `${'a'.repeat(200)} callback ${'b'.repeat(200)}`;
+    const match = leadSearchService.findMatch({ noteText: note }, 'callback');
+
+    expect(match.field).toBe('notes');
+    expect(match.value).toContain('callback');
+    expect(match.value.length).toBeLessThan(130);
+  });
+});
+
+describe('lead search', () => {
+  let user;
+  let token;
+
+  beforeAll(db.connect);
+  afterEach(db.clear);
+  afterAll(db.close);
+
+  beforeEach(async () => {
+    ({ user, token } = await createUser());
+  });
+
+  const search = (term, query = {}) => request(app)
+    .get('/api/leads')
+    .query({ search: term, ...query })
+    .set('Authorization', `Bearer ${token}`);
+
+  const leadIds = res => res.body.data.map(lead => lead.leadId);
+
+  it('finds leads by their answers, ad names and notes', async () => {
+    const lead = await createLead(user, { leadId: 'answers', fieldData: [{ name: 'budget', value: 'Sea view villa' }] });
+    await createLead(user, { leadId: 'campaign', rawData: { campaignName: 'Spring Retargeting', adName: 'Carousel' } });
+    await createLead(user, { leadId: 'other' });
+
+    await request(app)
+      .post(`/api/leads/${lead._id}/activities`)
+      .send({ type: 'note', body: 'Wants a callback on Friday' })
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(leadIds(await search('villa'))).toEqual(['answers']);
+    expect(leadIds(await search('carousel'))).toEqual(['campaign']);
+
+    const byNote = await search('callback friday');
+    expect(leadIds(byNote)).toEqual(['answers']);
+    expect(byNote.body.data[0].searchMatch).toMatchObject({ field: 'notes', value: 'Wants a callback on Friday' });
+    expect(byNote.body.data[0].noteText).toBeUndefined();
+  });
+
+  it('ranks name matches above other fields, unless another order is picked', async () => {
+    await createLead(user, { leadId: 'campaign', rawData: { campaignName: 'Morgan Homes' }, createdTime: new Date('2024-03-02') });
+    await createLead(user, { leadId: 'name', fullName: 'Morgan Lee', createdTime: new Date('2024-03-01') });
+
+    expect(leadIds(await search('morgan'))).toEqual(['name', 'campaign']);
+    expect(leadIds(await search('morgan', { sort: '-createdTime' }))).toEqual(['campaign', 'name']);
+  });
+
+  it('treats regex characters as text', async () => {
+    await createLead(user, { leadId: 'one', fullName: 'Jo Smith' });
+
+    const res = await search('.* (a+)+$');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toEqual([]);
+  });
+
+  it('rejects searches that aren\'t text', async () => {
+    const res = await request(app)
+      .get('/api/leads?search[$gt]=1')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors[0].msg).toBe('Search must be text');
+  });
+});
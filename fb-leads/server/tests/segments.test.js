@@ -0,0 +1,125 @@
+const Notification = require('../models/Notification');
+const leadIngestService = require('../services/leadIngestService');
+const leadFilterService = require('../services/leadFilterService');
+const db = require('./helpers/db');
+const { createUser, addMember, createLead } = require('./helpers/factories');
+const { as } = require('./helpers/api');
+
+describe('lead filter queries', () => {
+  const owner = { organizationId: 'org', userId: 'owner', role: 'owner' };
+
+  it('match leads with every tag asked for', async () => {
+    const query = await leadFilterService.buildQuery({ tags: 'VIP, Callback,' }, owner);
+
+    expect(query.tags).toEqual({ $all: ['VIP', 'Callback'] });
+  });
+
+  it('count createdWithin back from now, keeping a later start date', async () => {
+    const now = Date.now();
+    const recent = await leadFilterService.buildQuery({ createdWithin: '7' }, owner);
+    const later = await leadFilterService.buildQuery({ createdWithin: '7', startDate: new Date(now).toISOString() }, owner);
+
+    expect(recent.createdTime.$gte.getTime()).toBeLessThanOrEqual(now - 7 * 24 * 60 * 60 * 1000 + 1000);
+    expect(later.createdTime.$gte.getTime()).toBe(now);
+  });
+
+  it('keep agents to their own leads', async () => {
+    const query = await leadFilterService.buildQuery({ assignedTo: 'unassigned' }, { ...owner, userId: 'agent', role: 'agent' });
+
+    expect(query.assignedTo).toBe('agent');
+  });
+
+  it('keep only the filters a segment can hold', () => {
+    const filters = leadFilterService.cleanSegmentFilters({
+      status: 'new', tags: 'VIP', minScore: 50, search: 'villa', segmentId: 'x', $where: 'y', formId: '', cf: { budget: { gte: '1000' } }
+    });
+
+    expect(filters).toEqual({ status: 'new', tags: 'VIP', minScore: '50', cf: { budget: { gte: '1000' } } });
+  });
+});
+
+describe('/api/segments', () => {
+  let user;
+  let organization;
+  let token;
+
+  beforeAll(db.connect);
+  afterEach(db.clear);
+  afterAll(db.close);
+
+  beforeEach(async () => {
+    ({ user, organization, token } = await createUser());
+  });
+
+  const createSegment = async (filters, authToken = token) => {
+    const res = await as(authToken).post('/api/segments').send({ name: 'VIPs', filters });
+    return res.body.data;
+  };
+
+  let sequence = 0;
+  const receiveLead = async (fields = {}) => {
+    sequence++;
+
+    const { lead } = await leadIngestService.ingest({
+      leadId: `segment-${sequence}`,
+      formId: 'form-1',
+      organizationId: organization._id,
+      userId: user._id,
+      fieldData: [],
+      createdTime: new Date(),
+      ...fields
+    });
+
+    return lead;
+  };
+
+  it('lists segments with how many leads are in each', async () => {
+    await createLead(user, { leadId: 'vip', tags: ['VIP'] });
+    await createLead(user, { leadId: 'plain' });
+    await createSegment({ tags: 'VIP' });
+
+    const res = await as(token).get('/api/segments');
+
+    expect(res.body.data).toHaveLength(1);
+    expect(res.body.data[0]).toMatchObject({ name: 'VIPs', filters: { tags: 'VIP' }, leadCount: 1, subscribed: false });
+  });
+
+  it('lets lists and exports target a segment, narrowed by other filters', async () => {
+    await createLead(user, { leadId: 'vip-new', tags: ['VIP'] });
+    await createLead(user, { leadId: 'vip-lost', tags: ['VIP'], status: 'lost' });
+    await createLead(user, { leadId: 'plain' });
+    const segment = await createSegment({ tags: 'VIP' });
+
+    const list = await as(token).get('/api/leads').query({ segmentId: segment._id });
+    const narrowed = await as(token).get('/api/leads').query({ segmentId: segment._id, status: 'lost' });
+    const csv = await as(token).get('/api/leads/export').query({ segmentId: segment._id });
+
+    expect(list.body.total).toBe(2);
+    expect(narrowed.body.data.map(lead => lead.leadId)).toEqual(['vip-lost']);
+    expect(csv.text.split('\n')).toHaveLength(3);
+  });
+
+  it('notifies subscribers of new leads in the segment they can see', async () => {
+    const { user: agent, token: agentToken } = await addMember(organization, 'agent');
+    const segment = await createSegment({ minScore: '0', formId: 'form-1' });
+    await as(token).put(`/api/segments/${segment._id}/subscription`).send({ subscribed: true });
+    await as(agentToken).put(`/api/segments/${segment._id}/subscription`).send({ subscribed: true });
+
+    const lead = await receiveLead({ fullName: 'Priya Shah' });
+    await receiveLead({ formId: 'form-2' });
+
+    const notifications = await Notification.find({ type: 'segment_lead' });
+    expect(notifications).toHaveLength(1);
+    expect(notifications[0]).toMatchObject({ title: 'New lead in VIPs: Priya Shah', link: `/leads/${lead._id}` });
+    expect(String(notifications[0].user)).toBe(String(user._id));
+    expect(String(notifications[0].user)).not.toBe(String(agent._id));
+  });
+
+  it('leaves managing segments to members who may', async () => {
+    const { token: agentToken } = await addMember(organization, 'agent');
+
+    const res = await as(agentToken).post('/api/segments').send({ name: 'Mine' });
+
+    expect(res.status).toBe(403);
+  });
+});
@@ -0,0 +1,151 @@
+const Lead = require('../models/Lead');
+const Form = require('../models/Form');
+const Notification = require('../models/Notification');
+const slaService = require('../services/slaService');
+const leadIngestService = require('../services/leadIngestService');
+const db = require('./helpers/db');
+const { createUser, addMember, createForm, createLead } = require('./helpers/factories');
+const { as } = require('./helpers/api');
+
+const minutesAgo = minutes => new Date(Date.now() - minutes * 60 * 1000);
+
+describe('SLA helpers', () => {
+  it('takes the median of odd and even lists', () => {
+    expect(slaService.median([9, 1, 5])).toBe(5);
+    expect(slaService.median([4, 1, 3, 10])).toBe(3.5);
+    expect(slaService.median([])).toBeNull();
+  });
+
+  it('warns once most of the target has passed', () => {
+    const createdTime = new Date('2024-03-01T10:00:00Z');
+    const { slaDueAt, slaWarnAt } = slaService.getTargets(createdTime, 15);
+
+    expect(slaDueAt.toISOString()).toBe('2024-03-01T10:15:00.000Z');
+    expect(slaWarnAt.toISOString()).toBe('2024-03-01T10:12:00.000Z');
+    expect(slaService.getTargets(createdTime, null)).toEqual({});
+  });
+
+  it('counts late contact and overdue leads as breached', () => {
+    const slaDueAt = minutesAgo(10);
+
+    expect(slaService.isBreached({ slaDueAt, firstContactedAt: minutesAgo(5) })).toBe(true);
+    expect(slaService.isBreached({ slaDueAt, firstContactedAt: minutesAgo(20) })).toBe(false);
+    expect(slaService.isBreached({ slaDueAt, firstContactedAt: null })).toBe(true);
+    expect(slaService.isBreached({ slaDueAt: null, firstContactedAt: null })).toBe(false);
+  });
+});
+
+describe('speed-to-lead SLA', () => {
+  let user;
+  let organization;
+  let token;
+
+  beforeAll(db.connect);
+  afterEach(db.clear);
+  afterAll(db.close);
+
+  beforeEach(async () => {
+    ({ user, organization, token } = await createUser());
+  });
+
+  it('sets the target from the form when a lead arrives', async () => {
+    await createForm(user, { formId: 'form-sla', slaMinutes: 15 });
+    const createdTime = new Date(Date.now() + 1000);
+
+    const { lead } = await leadIngestService.ingest({
+      leadId: 'fast',
+      formId: 'form-sla',
+      organizationId: organization._id,
+      userId: user._id,
+      createdTime
+    });
+
+    expect(lead.slaDueAt).toEqual(new Date(createdTime.getTime() + 15 * 60 * 1000));
+  });
+
+  it('sets no target on leads from before the form or its target', async () => {
+    const form = await createForm(user, { formId: 'form-sla' });
+    // Added an hour ago, without a target
+    await Form.collection.updateOne({ _id: form._id }, { $set: { createdAt: new Date(Date.now() - 60 * 60 * 1000) } });
+    const receive = (leadId, createdTime) => leadIngestService.ingest({
+      leadId,
+      formId: 'form-sla',
+      organizationId: organization._id,
+      userId: user._id,
+      createdTime
+    });
+
+    await as(token).put(`/api/forms/update/${form._id}`).send({ slaMinutes: 15 }).expect(200);
+    const { lead: backfilled } = await receive('backfilled', new Date('2024-03-01T10:00:00Z'));
+    const { lead: earlier } = await receive('earlier', new Date(Date.now() - 60 * 1000));
+    const { lead: later } = await receive('later', new Date(Date.now() + 1000));
+
+    expect(backfilled.slaDueAt).toBeNull();
+    expect(earlier.slaDueAt).toBeNull();
+    expect(later.slaDueAt).not.toBeNull();
+  });
+
+  it('records the first move out of the first stage only', async () => {
+    const lead = await createLead(user, { status: 'new' });
+
+    await as(token).put(`/api/leads/${lead._id}`).send({ status: 'contacted' });
+    const contacted = await Lead.findById(lead._id);
+    expect(contacted.firstContactedAt).not.toBeNull();
+
+    await as(token).put(`/api/leads/${lead._id}`).send({ status: 'new' });
+    await as(token).put(`/api/leads/${lead._id}`).send({ status: 'qualified' });
+    expect((await Lead.findById(lead._id)).firstContactedAt).toEqual(contacted.firstContactedAt);
+  });
+
+  it('filters leads that breached their SLA', async () => {
+    await createLead(user, { leadId: 'late', slaDueAt: minutesAgo(30), firstContactedAt: minutesAgo(10) });
+    await createLead(user, { leadId: 'overdue', slaDueAt: minutesAgo(5) });
+    await createLead(user, { leadId: 'on-time', slaDueAt: minutesAgo(30), firstContactedAt: minutesAgo(40) });
+    await createLead(user, { leadId: 'no-sla' });
+
+    const res = await as(token).get('/api/leads').query({ sla: 'breached' });
+
+    expect(res.body.data.map(lead => lead.leadId).sort()).toEqual(['late', 'overdue']);
+  });
+
+  it('summarises median response time per agent and per form', async () => {
+    const { user: agent } = await addMember(organization, 'agent');
+    const createdTime = minutesAgo(60);
+
+    await createLead(user, { formId: 'form-a', assignedTo: agent._id, createdTime, firstContactedAt: minutesAgo(50) });
+    await createLead(user, { formId: 'form-a', assignedTo: agent._id, createdTime, firstContactedAt: minutesAgo(30) });
+    await createLead(user, { formId: 'form-b', createdTime, slaDueAt: minutesAgo(45) });
+
+    const res = await as(token).get('/api/leads/sla-summary');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.overall).toMatchObject({ leads: 3, contacted: 2, medianMinutes: 20, breached: 1 });
+    expect(res.body.data.byAgent.find(row => row.name === agent.name)).toMatchObject({ medianMinutes: 20 });
+    expect(res.body.data.byForm.find(row => row.formId === 'form-b')).toMatchObject({ contacted: 0, breached: 1 });
+  });
+
+  it('alerts the assignee once when a lead is about to breach', async () => {
+    const { user: agent } = await addMember(organization, 'agent');
+    await createLead(user, { assignedTo: agent._id, slaWarnAt: minutesAgo(1), slaDueAt: new Date(Date.now() + 3 * 60 * 1000) });
+    await createLead(user, { slaWarnAt: minutesAgo(1), slaDueAt: minutesAgo(-3), firstContactedAt: new Date() });
+
+    expect(await slaService.sendBreachAlerts()).toBe(1);
+    expect(await slaService.sendBreachAlerts()).toBe(0);
+
+    const notifications = await Notification.find();
+    expect(notifications).toHaveLength(1);
+    expect(String(notifications[0].user)).toBe(String(agent._id));
+    expect(notifications[0].title).toMatch(/within 3 min/);
+  });
+
+  it('alerts managers about unassigned leads', async () => {
+    await addMember(organization, 'agent');
+    const { user: manager } = await addMember(organization, 'manager');
+    await createLead(user, { slaWarnAt: minutesAgo(5), slaDueAt: minutesAgo(1) });
+
+    await slaService.sendBreachAlerts();
+
+    const recipients = (await Notification.find()).map(notification => String(notification.user)).sort();
+    expect(recipients).toEqual([String(user._id), String(manager._id)].sort());
+  });
+});
@@ -0,0 +1,282 @@
+const mongoose = require('mongoose');
+const Lead = require('../models/Lead');
+const SyncRun = require('../models/SyncRun');
+const facebookLeadController = require('../controllers/facebookLeadController');
+const facebookLeadService = require('../services/facebookLeadService');
+const leadIngestService = require('../services/leadIngestService');
+const { graphClient } = require('../services/graphClient');
+const { startMockGraphApi } = require('../mock/graphApi');
+const db = require('./helpers/db');
+const { createUser, createForm } = require('./helpers/factories');
+
+// Fixture form with five leads in mock/fixtures/graphApi.json
+const FORM_ID = '400000000000001';
+
+let mock;
+let originalHost;
+let originalSleep;
+
+beforeAll(async () => {
+  await db.connect();
+  mock = await startMockGraphApi({ port: 0 });
+
+  originalHost = graphClient.host;
+  originalSleep = graphClient.sleep;
+  graphClient.host = mock.url;
+  graphClient.sleep = async () => {};
+});
+
+afterEach(async () => {
+  mock.app.reset();
+  await db.clear();
+});
+
+afterAll(async () => {
+  graphClient.host = originalHost;
+  graphClient.sleep = originalSleep;
+  await new Promise(resolve => mock.server.close(resolve));
+  await db.close();
+});
+
+describe('syncFacebookLeads', () => {
+  let user;
+
+  beforeEach(async () => {
+    ({ user } = await createUser());
+    await createForm(user, { formId: FORM_ID, formName: 'Free Roof Inspection' });
+  });
+
+  const sync = () => facebookLeadController.syncFacebookLeads({
+    organizationId: user.organizationId.toString(),
+    userId: user._id.toString()
+  });
+
+  it('inserts every lead on the first sync', async () => {
+    const results = await sync();
+
+    expect(results).toMatchObject({ totalFetched: 5, inserted: 5, updated: 0, errors: [] });
+    expect(await Lead.countDocuments({ userId: user._id })).toBe(5);
+
+    const lead = await Lead.findOne({ leadId: '500000000000001' });
+    expect(lead).toMatchObject({
+      formId: FORM_ID,
+      formName: 'Free Roof Inspection',
+      fullName: 'Jordan Rivera',
+      email: 'jordan.rivera@example.com'
+    });
+  });
+
+  it('does not duplicate leads when synced again', async () => {
+    await sync();
+    const second = await sync();
+
+    expect(second.inserted).toBe(0);
+    expect(await Lead.countDocuments({ userId: user._id })).toBe(5);
+  });
+
+  it('only asks for leads since the last sync', async () => {
+    await sync();
+    mock.app.reset();
+
+    await sync();
+
+    const leadRequest = mock.app.requests.find(req => req.path.endsWith(`/${FORM_ID}/leads`));
+    expect(new Date(leadRequest.query.since)).toEqual(new Date('2024-03-08T11:45:00Z'));
+  });
+
+  it('keeps changes made in the CRM when a lead is synced again', async () => {
+    await sync();
+    await Lead.updateOne({ leadId: '500000000000005' }, { status: 'contacted', notes: 'Called back' });
+
+    await SyncRun.deleteMany({});
+    await sync();
+
+    const lead = await Lead.findOne({ leadId: '500000000000005' });
+    expect(lead.status).toBe('contacted');
+    expect(lead.notes).toBe('Called back');
+  });
+
+  it('records each run', async () => {
+    await sync();
+
+    const runs = await SyncRun.find({ userId: user._id });
+    expect(runs).toHaveLength(1);
+    expect(runs[0]).toMatchObject({ status: 'completed', trigger: 'manual', fetched: 5, inserted: 5 });
+    expect(runs[0].watermark).toEqual(new Date('2024-03-08T11:45:00Z'));
+  });
+
+  it('retries transient Graph errors', async () => {
+    mock.app.failNext({ code: 2, times: 2, path: '/leads' });
+
+    const results = await sync();
+
+    expect(results.inserted).toBe(5);
+  });
+
+  it('marks the run failed on a permanent error and recovers on the next sync', async () => {
+    mock.app.failNext({ code: 200, message: 'Permissions error', path: '/leads' });
+
+    const failed = await sync();
+
+    expect(failed.runs[0].status).toBe('failed');
+    expect(failed.errors[0].error).toMatch('Permissions error');
+    expect(await Lead.countDocuments()).toBe(0);
+
+    const retried = await sync();
+
+    expect(retried.runs[0].status).toBe('completed');
+    expect(retried.inserted).toBe(5);
+  });
+
+  it('fetches a lead that could not be stored again on the next sync', async () => {
+    const ingest = leadIngestService.ingest.bind(leadIngestService);
+    const spy = jest.spyOn(leadIngestService, 'ingest').mockImplementation(lead => (
+      lead.leadId === '500000000000003' ? Promise.reject(new Error('Write conflict')) : ingest(lead)
+    ));
+
+    const first = await sync();
+    spy.mockRestore();
+
+    expect(first.runs[0].status).toBe('partial');
+    expect(first.errors).toEqual([{ formId: FORM_ID, leadId: '500000000000003', error: 'Write conflict' }]);
+    expect(await Lead.countDocuments()).toBe(4);
+
+    const run = await SyncRun.findById(first.runs[0].id);
+    expect(run.watermark < new Date('2024-03-04T08:05:00Z')).toBe(true);
+
+    const second = await sync();
+
+    expect(second.runs[0].status).toBe('completed');
+    expect(await Lead.countDocuments()).toBe(5);
+    expect(await Lead.exists({ leadId: '500000000000003' })).toBeTruthy();
+  });
+
+  it('records leads that could not be read and fetches them again', async () => {
+    const normalizeLead = facebookLeadService.normalizeLead.bind(facebookLeadService);
+    const spy = jest.spyOn(facebookLeadService, 'normalizeLead').mockImplementation((lead, ...rest) => {
+      if (lead.id === '500000000000004') {
+        throw new Error('Invalid lead data received');
+      }
+      return normalizeLead(lead, ...rest);
+    });
+
+    const first = await sync();
+    spy.mockRestore();
+
+    expect(first.runs[0].status).toBe('partial');
+    expect(first.totalFetched).toBe(5);
+    expect(first.errors[0]).toMatchObject({ leadId: '500000000000004', error: expect.stringContaining('Invalid lead data received') });
+
+    await sync();
+
+    expect(await Lead.exists({ leadId: '500000000000004' })).toBeTruthy();
+  });
+
+  it('fails without an organization', async () => {
+    await expect(facebookLeadController.syncFacebookLeads({}))
+      .rejects.toThrow('Organization ID is required for syncing leads');
+  });
+
+  it('fails for an unknown organization', async () => {
+    await expect(facebookLeadController.syncFacebookLeads({ organizationId: new mongoose.Types.ObjectId().toString() }))
+      .rejects.toThrow('Organization not found');
+  });
+
+  it('stores leads on the organization', async () => {
+    await sync();
+
+    expect(await Lead.countDocuments({ organizationId: user.organizationId })).toBe(5);
+  });
+
+  it('keeps each organization\'s copy of leads from a form they both track', async () => {
+    const { user: other } = await createUser();
+    await createForm(other, { formId: FORM_ID, formName: 'Free Roof Inspection' });
+
+    await sync();
+    await Lead.updateOne({ organizationId: user.organizationId, leadId: '500000000000001' }, { status: 'contacted' });
+
+    await facebookLeadController.syncFacebookLeads({
+      organizationId: other.organizationId.toString(),
+      userId: other._id.toString()
+    });
+    await SyncRun.deleteMany({});
+    await sync();
+
+    expect(await Lead.countDocuments({ organizationId: user.organizationId })).toBe(5);
+    expect(await Lead.countDocuments({ organizationId: other.organizationId })).toBe(5);
+
+    const ours = await Lead.findOne({ organizationId: user.organizationId, leadId: '500000000000001' });
+    const theirs = await Lead.findOne({ organizationId: other.organizationId, leadId: '500000000000001' });
+    expect(ours.status).toBe('contacted');
+    expect(ours.userId.toString()).toBe(user._id.toString());
+    expect(theirs.status).not.toBe('contacted');
+    expect(theirs.userId.toString()).toBe(other._id.toString());
+  });
+});
+
+describe('leadgen webhooks', () => {
+  const request = require('supertest');
+  const crypto = require('crypto');
+  const app = require('../server');
+  const Organization = require('../models/Organization');
+
+  let user;
+  let organization;
+
+  beforeEach(async () => {
+    ({ user, organization } = await createUser());
+    await Organization.updateOne({ _id: organization._id }, { $set: { facebookAppSecret: 'our-secret' } });
+    await createForm(user, { formId: FORM_ID, formName: 'Free Roof Inspection' });
+  });
+
+  const send = (secret) => {
+    const body = JSON.stringify({
+      object: 'page',
+      entry: [{ changes: [{ field: 'leadgen', value: { leadgen_id: '500000000000001', form_id: FORM_ID } }] }]
+    });
+    const signature = crypto.createHmac('sha256', secret).update(body).digest('hex');
+
+    return request(app)
+      .post('/api/webhooks/facebook')
+      .set('Content-Type', 'application/json')
+      .set('X-Hub-Signature-256', `sha256=${signature}`)
+      .send(body);
+  };
+
+  it('stores leads signed with the form owner\'s app secret', async () => {
+    const res = await send('our-secret');
+
+    expect(res.status).toBe(200);
+    expect(res.body.saved).toBe(1);
+    expect(await Lead.countDocuments({ organizationId: organization._id })).toBe(1);
+  });
+
+  it('refuses leads signed with another organization\'s secret or the placeholder', async () => {
+    const { organization: other } = await createUser();
+    await Organization.updateOne({ _id: other._id }, { $set: { facebookAppSecret: 'their-secret' } });
+
+    expect((await send('their-secret')).status).toBe(401);
+    expect((await send('your-app-secret-here')).status).toBe(401);
+    expect(await Lead.countDocuments()).toBe(0);
+  });
+
+  it('verifies subscriptions only with a configured verify token', async () => {
+    const config = require('../config/default');
+    const original = config.facebook.webhookVerifyToken;
+    const verify = (token) => request(app)
+      .get('/api/webhooks/facebook')
+      .query({ 'hub.mode': 'subscribe', 'hub.verify_token': token, 'hub.challenge': '42' });
+
+    try {
+      config.facebook.webhookVerifyToken = null;
+      expect((await verify('fb_leads_webhook_verify_token')).status).toBe(403);
+      expect((await verify('')).status).toBe(403);
+
+      config.facebook.webhookVerifyToken = 'our-token';
+      expect((await verify('other-token')).status).toBe(403);
+      expect((await verify('our-token')).text).toBe('42');
+    } finally {
+      config.facebook.webhookVerifyToken = original;
+    }
+  });
+});
@@ -0,0 +1,96 @@
+const Lead = require('../models/Lead');
+const Tag = require('../models/Tag');
+const db = require('./helpers/db');
+const { createUser, addMember, createLead } = require('./helpers/factories');
+const { as } = require('./helpers/api');
+
+beforeAll(db.connect);
+afterEach(db.clear);
+afterAll(db.close);
+
+describe('lead tags', () => {
+  let user;
+  let organization;
+  let token;
+
+  beforeEach(async () => {
+    ({ user, organization, token } = await createUser());
+  });
+
+  const tagsOf = async lead => (await Lead.findById(lead._id)).tags;
+
+  it('tags a lead with the workspace\'s spelling of each tag', async () => {
+    await Tag.create({ organizationId: organization._id, name: 'VIP', color: 'purple' });
+    const lead = await createLead(user);
+
+    const res = await as(token).put(`/api/leads/${lead._id}/tags`).send({ tags: ['vip', 'Callback Friday', 'VIP '] });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.tags).toEqual(['VIP', 'Callback Friday']);
+    expect(await Tag.countDocuments({ organizationId: organization._id })).toBe(2);
+  });
+
+  it('lists tags with their colors and lead counts', async () => {
+    await as(token).post('/api/tags').send({ name: 'Wrong number', color: 'red' });
+    await createLead(user, { leadId: 'a', tags: ['Wrong number'] });
+    await createLead(user, { leadId: 'b', tags: ['Wrong number', 'VIP'] });
+
+    const res = await as(token).get('/api/tags');
+
+    expect(res.body.data.map(tag => [tag.name, tag.color, tag.leadCount])).toEqual([
+      ['VIP', 'gray', 1],
+      ['Wrong number', 'red', 2]
+    ]);
+  });
+
+  it('renames a tag on its leads, but not onto another tag\'s name', async () => {
+    const { body: { data: tag } } = await as(token).post('/api/tags').send({ name: 'Call back' });
+    await as(token).post('/api/tags').send({ name: 'VIP' });
+    const lead = await createLead(user, { tags: ['Call back', 'VIP'] });
+
+    const renamed = await as(token).put(`/api/tags/${tag._id}`).send({ name: 'Callback' });
+    const taken = await as(token).put(`/api/tags/${tag._id}`).send({ name: 'vip' });
+
+    expect(renamed.status).toBe(200);
+    expect(await tagsOf(lead)).toEqual(['VIP', 'Callback']);
+    expect(taken.status).toBe(400);
+  });
+
+  it('merges a tag into another without doubling it on leads', async () => {
+    const { body: { data: source } } = await as(token).post('/api/tags').send({ name: 'Hot' });
+    const { body: { data: target } } = await as(token).post('/api/tags').send({ name: 'VIP' });
+    const both = await createLead(user, { leadId: 'both', tags: ['Hot', 'VIP'] });
+    const hot = await createLead(user, { leadId: 'hot', tags: ['Hot'] });
+
+    const res = await as(token).post(`/api/tags/${source._id}/merge`).send({ targetId: target._id });
+
+    expect(res.status).toBe(200);
+    expect(await tagsOf(both)).toEqual(['VIP']);
+    expect(await tagsOf(hot)).toEqual(['VIP']);
+    expect(await Tag.exists({ _id: source._id })).toBeNull();
+  });
+
+  it('filters and exports leads by tag', async () => {
+    await createLead(user, { leadId: 'vip-callback', tags: ['VIP', 'Callback'] });
+    await createLead(user, { leadId: 'vip', tags: ['VIP'] });
+    await createLead(user, { leadId: 'plain' });
+
+    const vip = await as(token).get('/api/leads').query({ tags: 'VIP' });
+    const both = await as(token).get('/api/leads').query({ tags: 'VIP,Callback' });
+    const csv = await as(token).get('/api/leads/export').query({ tags: 'Callback' });
+
+    expect(vip.body.total).toBe(2);
+    expect(both.body.data.map(lead => lead.leadId)).toEqual(['vip-callback']);
+    expect(csv.text).toContain('"vip-callback"');
+    expect(csv.text).not.toContain('"plain"');
+  });
+
+  it('leaves managing tags to members who may', async () => {
+    const { token: agentToken } = await addMember(organization, 'agent');
+    const { body: { data: tag } } = await as(token).post('/api/tags').send({ name: 'VIP' });
+
+    const res = await as(agentToken).delete(`/api/tags/${tag._id}`);
+
+    expect(res.status).toBe(403);
+  });
+});
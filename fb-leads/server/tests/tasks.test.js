@@ -0,0 +1,123 @@
+const Task = require('../models/Task');
+const Notification = require('../models/Notification');
+const taskService = require('../services/taskService');
+const db = require('./helpers/db');
+const { createUser, addMember, createLead } = require('./helpers/factories');
+const { as } = require('./helpers/api');
+
+beforeAll(db.connect);
+afterEach(db.clear);
+afterAll(db.close);
+
+describe('follow-up tasks', () => {
+  let user;
+  let organization;
+  let token;
+  let lead;
+
+  const inMinutes = minutes => new Date(Date.now() + minutes * 60 * 1000);
+
+  beforeEach(async () => {
+    ({ user, organization, token } = await createUser());
+    lead = await createLead(user);
+  });
+
+  it('creates a task for the lead\'s assignee', async () => {
+    const { user: agent } = await addMember(organization, 'agent');
+    await lead.updateOne({ assignedTo: agent._id });
+
+    const res = await as(token)
+      .post('/api/tasks')
+      .send({ lead: lead._id, title: 'Call back about pricing', type: 'call', dueAt: inMinutes(60) });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.assignee.name).toBe(agent.name);
+    expect(res.body.data.lead.fullName).toBe(lead.fullName);
+  });
+
+  it('rejects unknown types and missing due dates', async () => {
+    const res = await as(token)
+      .post('/api/tasks')
+      .send({ lead: lead._id, title: 'Lunch', type: 'lunch' });
+
+    expect(res.status).toBe(400);
+    expect(await Task.countDocuments()).toBe(0);
+  });
+
+  it('lists open tasks due before a time, soonest first', async () => {
+    await Task.create([
+      { organizationId: organization._id, lead: lead._id, title: 'Later', dueAt: inMinutes(60 * 48), assignee: user._id },
+      { organizationId: organization._id, lead: lead._id, title: 'Overdue', dueAt: inMinutes(-60), assignee: user._id },
+      { organizationId: organization._id, lead: lead._id, title: 'Soon', dueAt: inMinutes(30), assignee: user._id },
+      { organizationId: organization._id, lead: lead._id, title: 'Done', dueAt: inMinutes(-30), assignee: user._id, completedAt: new Date() }
+    ]);
+
+    const res = await as(token).get('/api/tasks').query({ assignee: 'me', status: 'open', dueBefore: inMinutes(60 * 24).toISOString() });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.map(task => task.title)).toEqual(['Overdue', 'Soon']);
+  });
+
+  it('rejects due filters that aren\'t dates', async () => {
+    const before = await as(token).get('/api/tasks').query({ dueBefore: 'abc' });
+    const after = await as(token).get('/api/tasks').query({ dueAfter: 'tomorrow' });
+
+    expect(before.status).toBe(400);
+    expect(before.body.errors[0].msg).toBe('dueBefore must be a date');
+    expect(after.status).toBe(400);
+  });
+
+  it('completes and reopens tasks', async () => {
+    const task = await Task.create({ organizationId: organization._id, lead: lead._id, title: 'Send brochure', type: 'email', dueAt: inMinutes(10), assignee: user._id });
+
+    const done = await as(token).put(`/api/tasks/${task._id}`).send({ completed: true });
+    expect(done.body.data.completedAt).not.toBeNull();
+
+    const reopened = await as(token).put(`/api/tasks/${task._id}`).send({ completed: false });
+    expect(reopened.body.data.completedAt).toBeNull();
+  });
+
+  it('keeps agents to their own tasks', async () => {
+    const { user: agent, token: agentToken } = await addMember(organization, 'agent');
+    const { user: other } = await addMember(organization, 'agent');
+    await lead.updateOne({ assignedTo: agent._id });
+
+    await Task.create({ organizationId: organization._id, lead: lead._id, title: 'Not mine', dueAt: inMinutes(10), assignee: other._id });
+
+    const list = await as(agentToken).get('/api/tasks');
+    const assignOther = await as(agentToken)
+      .post('/api/tasks')
+      .send({ lead: lead._id, title: 'Hand off', dueAt: inMinutes(10), assignee: other._id });
+
+    expect(list.body.data).toHaveLength(0);
+    expect(assignOther.status).toBe(400);
+  });
+
+  it('reminds the assignee once when a task comes due', async () => {
+    const task = await Task.create({ organizationId: organization._id, lead: lead._id, title: 'Call back', dueAt: inMinutes(-1), assignee: user._id });
+    await Task.create({ organizationId: organization._id, lead: lead._id, title: 'Tomorrow', dueAt: inMinutes(60 * 24), assignee: user._id });
+
+    expect(await taskService.sendDueReminders()).toBe(1);
+    expect(await taskService.sendDueReminders()).toBe(0);
+
+    const res = await as(token).get('/api/notifications');
+    expect(res.body.unreadCount).toBe(1);
+    expect(res.body.data[0].title).toBe('Call due: Call back');
+    expect(res.body.data[0].link).toBe(`/leads/${lead._id}`);
+
+    // Moving the due date reminds again at the new time
+    await as(token).put(`/api/tasks/${task._id}`).send({ dueAt: inMinutes(-5) });
+    expect(await taskService.sendDueReminders()).toBe(1);
+  });
+
+  it('marks notifications as read', async () => {
+    const notification = await Notification.create({ organizationId: organization._id, user: user._id, type: 'task_due', title: 'Call due' });
+    await Notification.create({ organizationId: organization._id, user: user._id, type: 'task_due', title: 'Email due' });
+
+    await as(token).put(`/api/notifications/${notification._id}/read`);
+    expect((await as(token).get('/api/notifications')).body.unreadCount).toBe(1);
+
+    await as(token).put('/api/notifications/read');
+    expect((await as(token).get('/api/notifications')).body.unreadCount).toBe(0);
+  });
+});
@@ -0,0 +1,331 @@
+const request = require('supertest');
+const app = require('../server');
+const Lead = require('../models/Lead');
+const Activity = require('../models/Activity');
+const WebForm = require('../models/WebForm');
+const { resetRateLimits } = require('../middleware/rateLimit');
+const webFormService = require('../services/webFormService');
+const webFormRenderer = require('../services/webFormRenderer');
+const db = require('./helpers/db');
+const { createUser, addMember } = require('./helpers/factories');
+const { as } = require('./helpers/api');
+
+const FIELDS = [
+  { key: 'full_name', label: 'Name', type: 'text', required: true, attribute: 'fullName' },
+  { key: 'email', label: 'Email', type: 'email', required: true },
+  { key: 'phone', label: 'Phone', type: 'tel' },
+  { key: 'budget', label: 'Budget', type: 'select', options: ['Under 100k', '100k+'] },
+  { key: 'newsletter', label: 'Send me news', type: 'checkbox' }
+];
+
+describe('website form answers', () => {
+  const form = { fields: FIELDS, allowedDomains: [] };
+
+  it('read answers into fieldData, ignoring unknown fields', () => {
+    const { fieldData, errors } = webFormService.readAnswers(form, {
+      full_name: ' Jane Doe ', email: 'jane@example.com', newsletter: 'on', budget: '100k+', admin: 'true'
+    });
+
+    expect(errors).toEqual([]);
+    expect(fieldData).toEqual([
+      { name: 'full_name', value: 'Jane Doe' },
+      { name: 'email', value: 'jane@example.com' },
+      { name: 'budget', value: '100k+' },
+      { name: 'newsletter', value: 'yes' }
+    ]);
+  });
+
+  it('report missing and malformed answers by field', () => {
+    const { errors } = webFormService.readAnswers(form, { email: 'nope', phone: 'call me', budget: 'A million' });
+
+    expect(errors).toEqual([
+      { path: 'full_name', msg: 'Name is required' },
+      { path: 'email', msg: 'Email must be an email address' },
+      { path: 'phone', msg: 'Phone must be a phone number' },
+      { path: 'budget', msg: 'Budget must be one of its choices' }
+    ]);
+  });
+
+  it('refuse an empty submission', () => {
+    const { errors } = webFormService.readAnswers({ fields: [FIELDS[2]] }, {});
+
+    expect(errors).toEqual([{ path: null, msg: 'Fill in the form before sending it' }]);
+  });
+
+  it('take ad details from the UTM parameters of the page', () => {
+    expect(webFormService.getUtmDetails('https://example.com/?utm_source=google&utm_campaign=spring')).toEqual({
+      platform: 'google', campaignName: 'spring'
+    });
+    expect(webFormService.getUtmDetails(null)).toEqual({});
+  });
+
+  it('check fields as a whole', () => {
+    const errors = webFormService.checkFields([
+      { key: 'email', label: 'Email' },
+      { key: 'email', label: 'Email again' },
+      { key: 'plan', label: 'Plan', type: 'select', options: [' '] },
+      { key: 'budget', label: 'Budget', attribute: 'custom', customField: 'budget' }
+    ], []);
+
+    expect(errors).toEqual([
+      'Two fields have the key "email"',
+      'Plan needs choices',
+      'Budget is mapped to a custom field that doesn\'t exist'
+    ]);
+    expect(webFormService.checkFields([], [])).toEqual(['Add at least one field']);
+  });
+});
+
+describe('website form spam checks', () => {
+  const form = { publicId: 'abc123', fields: FIELDS, allowedDomains: ['example.com'] };
+  const shown = (ago = 60000) => ({ _ts: webFormService.signShownAt(form, Date.now() - ago) });
+
+  it('catch a filled-in honeypot', () => {
+    expect(webFormService.getSpamReason(form, { ...shown(), _website: 'http://spam.test' }, 'https://example.com')).toBe('honeypot');
+  });
+
+  it('need the time the form was shown, signed for this form', () => {
+    const other = webFormService.signShownAt({ publicId: 'other' }, Date.now() - 60000);
+
+    expect(webFormService.getSpamReason(form, {}, 'https://example.com')).toBe('unsigned');
+    expect(webFormService.getSpamReason(form, { _ts: '0' }, 'https://example.com')).toBe('unsigned');
+    expect(webFormService.getSpamReason(form, { _ts: String(Date.now() - 60000) }, 'https://example.com')).toBe('unsigned');
+    expect(webFormService.getSpamReason(form, { _ts: other }, 'https://example.com')).toBe('unsigned');
+    expect(webFormService.getSpamReason(form, { _ts: ['x'] }, 'https://example.com')).toBe('unsigned');
+  });
+
+  it('catch a submission sent sooner than a person could fill the form', () => {
+    expect(webFormService.getSpamReason(form, shown(0), 'https://example.com')).toBe('too fast');
+    expect(webFormService.getSpamReason(form, shown(), 'https://example.com')).toBeNull();
+  });
+
+  it('refuse a shown time old enough to be reused', () => {
+    expect(webFormService.getSpamReason(form, shown(2 * 24 * 60 * 60 * 1000), 'https://example.com')).toBe('expired');
+  });
+
+  it('allow only the form\'s domains, their subdomains and the hosted page', () => {
+    expect(webFormService.getSpamReason(form, shown(), 'https://www.example.com/contact')).toBeNull();
+    expect(webFormService.getSpamReason(form, shown(), 'https://leads.test/page', 'leads.test')).toBeNull();
+    expect(webFormService.getSpamReason(form, shown(), 'https://notexample.com')).toBe('domain');
+    expect(webFormService.getSpamReason(form, shown(), null)).toBe('domain');
+    expect(webFormService.getSpamReason({ ...form, allowedDomains: [] }, shown(), null)).toBeNull();
+  });
+});
+
+describe('website form rendering', () => {
+  const form = {
+    publicId: 'abc123',
+    name: 'Contact',
+    title: '<script>alert(1)</script>',
+    fields: [{ key: 'full_name', label: 'Name "quoted"', type: 'text', required: true, options: [] }],
+    submitLabel: 'Send',
+    isActive: true
+  };
+
+  it('escape the form\'s text and the answers on the hosted page', () => {
+    const html = webFormRenderer.renderPage(form, { submitUrl: '/submit', values: { full_name: '"><img src=x>' } });
+
+    expect(html).not.toContain('<script>alert(1)</script>');
+    expect(html).toContain('&lt;script&gt;alert(1)&lt;/script&gt;');
+    expect(html).toContain('Name &quot;quoted&quot; *');
+    expect(html).toContain('value="&quot;&gt;&lt;img src=x&gt;"');
+    expect(html).toContain('name="_website"');
+  });
+
+  it('keep the embed config from closing its script tag', () => {
+    const script = webFormRenderer.renderEmbedScript({ publicId: '</script>' }, { definitionUrl: '/d', submitUrl: '/s' });
+
+    expect(script).not.toContain('</script>');
+    expect(script).toContain('\\u003c/script>');
+  });
+});
+
+describe('/api/web-forms and /api/public/forms', () => {
+  let user;
+  let organization;
+  let token;
+
+  beforeAll(db.connect);
+  afterEach(db.clear);
+  afterAll(db.close);
+
+  beforeEach(async () => {
+    ({ user, organization, token } = await createUser());
+    resetRateLimits();
+  });
+
+  const createWebForm = async (settings = {}) => {
+    const res = await as(token).post('/api/web-forms').send({ name: 'Contact us', fields: FIELDS, ...settings });
+    return res.body.data;
+  };
+
+  // Sent a minute after the form was shown
+  const shownAt = form => webFormService.signShownAt(form, Date.now() - 60000);
+
+  const submit = (form, fields, extra = {}) => request(app)
+    .post(`/api/public/forms/${form.publicId}/submit`)
+    .send({ fields, _pageUrl: 'https://example.com/contact?utm_source=google', _ts: shownAt(form), ...extra });
+
+  it('create a form with its embed URLs', async () => {
+    const res = await as(token).post('/api/web-forms').send({ name: 'Contact us', fields: FIELDS });
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.data.publicId).toBeTruthy();
+    expect(res.body.data.urls.embedUrl).toMatch(new RegExp(`/api/public/forms/${res.body.data.publicId}/embed.js$`));
+  });
+
+  it('refuse fields with the same key', async () => {
+    const res = await as(token).post('/api/web-forms').send({ name: 'Contact us', fields: [FIELDS[1], FIELDS[1]] });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error).toContain('Two fields have the key "email"');
+  });
+
+  it('let only members who manage forms change them', async () => {
+    const form = await createWebForm();
+    const { token: agentToken } = await addMember(organization, 'agent');
+
+    expect((await as(agentToken).get('/api/web-forms')).statusCode).toBe(200);
+    expect((await as(agentToken).put(`/api/web-forms/${form._id}`).send({ isActive: false })).statusCode).toBe(403);
+    expect((await as(agentToken).delete(`/api/web-forms/${form._id}`)).statusCode).toBe(403);
+  });
+
+  it('keep other organizations\' forms out of reach', async () => {
+    const form = await createWebForm();
+    const { token: otherToken } = await createUser();
+
+    const res = await as(otherToken).put(`/api/web-forms/${form._id}`).send({ name: 'Mine' });
+
+    expect(res.statusCode).toBe(404);
+  });
+
+  it('serve the form\'s fields without the settings behind them', async () => {
+    const form = await createWebForm({ redirectUrl: 'https://example.com/thanks' });
+
+    const res = await request(app).get(`/api/public/forms/${form.publicId}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.fields.map(field => field.key)).toEqual(FIELDS.map(field => field.key));
+    expect(res.body.data.fields[0].attribute).toBeUndefined();
+    expect(res.body.data.organizationId).toBeUndefined();
+  });
+
+  it('turn a submission into a website lead', async () => {
+    const form = await createWebForm();
+
+    const res = await submit(form, { full_name: 'Jane Doe', email: 'jane@example.com', phone: '+1 555 0100' })
+      .set('User-Agent', 'test-browser');
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.message).toBe('Thanks! We\'ll be in touch soon.');
+
+    const lead = await Lead.findOne({ organizationId: organization._id });
+    expect(lead.source).toBe('website_form');
+    expect(lead.leadId).toMatch(/^web_/);
+    expect(lead.userId.toString()).toBe(user._id.toString());
+    expect(lead.formName).toBe('Contact us');
+    expect(lead.fullName).toBe('Jane Doe');
+    expect(lead.email).toBe('jane@example.com');
+    expect(lead.provenance).toMatchObject({ pageUrl: 'https://example.com/contact?utm_source=google', userAgent: 'test-browser' });
+    expect(lead.rawData.platform).toBe('google');
+
+    const activity = await Activity.findOne({ lead: lead._id, type: 'created' });
+    expect(activity.data.source).toBe('website_form');
+
+    const saved = await WebForm.findById(form._id);
+    expect(saved.submissionCount).toBe(1);
+  });
+
+  it('answer spam like a submission without keeping it', async () => {
+    const form = await createWebForm();
+
+    const res = await submit(form, { full_name: 'Bot', email: 'bot@example.com' }, { _website: 'http://spam.test' });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.success).toBe(true);
+    expect(await Lead.countDocuments()).toBe(0);
+    expect((await WebForm.findById(form._id)).spamCount).toBe(1);
+  });
+
+  it('drop a submission without a signed time the form was shown', async () => {
+    const form = await createWebForm();
+
+    const res = await submit(form, { full_name: 'Jane Doe', email: 'jane@example.com' }, { _ts: String(Date.now() - 60000) });
+
+    expect(res.statusCode).toBe(200);
+    expect(await Lead.countDocuments()).toBe(0);
+    expect((await WebForm.findById(form._id)).spamCount).toBe(1);
+  });
+
+  it('sign the time the form was shown in its definition and hosted page', async () => {
+    const form = await createWebForm();
+
+    const definition = await request(app).get(`/api/public/forms/${form.publicId}`);
+    const page = await request(app).get(`/api/public/forms/${form.publicId}/page`);
+
+    expect(webFormService.readShownAt(form, definition.body.data.shownAt)).toEqual(expect.any(Number));
+    expect(page.text).toMatch(/name="_ts" value="\d+\.[A-Za-z0-9_-]{43}"/);
+    expect(definition.headers['cache-control']).toBe('no-store');
+  });
+
+  it('check allowed sites against the Origin header, not the page URL sent', async () => {
+    const form = await createWebForm({ allowedDomains: ['example.com'] });
+    const answers = { full_name: 'Jane Doe', email: 'jane@example.com' };
+
+    const forged = await submit(form, answers).set('Origin', 'https://spam.test');
+    const allowed = await submit(form, answers).set('Origin', 'https://www.example.com');
+    const unknown = await submit(form, answers);
+
+    expect(forged.statusCode).toBe(200);
+    expect(allowed.statusCode).toBe(201);
+    expect(unknown.statusCode).toBe(200);
+    expect(await Lead.countDocuments()).toBe(1);
+    expect((await WebForm.findById(form._id)).spamCount).toBe(2);
+  });
+
+  it('return what\'s wrong with the answers', async () => {
+    const form = await createWebForm();
+
+    const res = await submit(form, { email: 'jane@example.com' });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.errors).toEqual([{ path: 'full_name', msg: 'Name is required' }]);
+    expect(await Lead.countDocuments()).toBe(0);
+  });
+
+  it('refuse submissions to a closed form', async () => {
+    const form = await createWebForm({ isActive: false });
+
+    const res = await submit(form, { full_name: 'Jane Doe', email: 'jane@example.com' });
+
+    expect(res.statusCode).toBe(403);
+  });
+
+  it('limit how often a visitor can submit', async () => {
+    const form = await createWebForm();
+
+    let res;
+    for (let i = 0; i <= 10; i++) {
+      res = await submit(form, {});
+    }
+
+    expect(res.statusCode).toBe(429);
+    expect(res.headers['retry-after']).toBeTruthy();
+  });
+
+  it('take posts from the hosted page and answer with a page', async () => {
+    const form = await createWebForm();
+
+    const res = await request(app)
+      .post(`/api/public/forms/${form.publicId}/submit`)
+      .type('form')
+      .send({ full_name: 'Jane Doe', email: 'jane@example.com', newsletter: 'yes', _ts: shownAt(form) });
+
+    expect(res.statusCode).toBe(201);
+    expect(res.headers['content-type']).toMatch(/html/);
+    expect(res.text).toContain('Thanks! We&#39;ll be in touch soon.');
+
+    const lead = await Lead.findOne();
+    expect(lead.fieldData).toContainEqual(expect.objectContaining({ name: 'newsletter', value: 'yes' }));
+  });
+});